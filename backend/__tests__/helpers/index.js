@@ -0,0 +1,44 @@
+/**
+ * Test helpers
+ * Route tests run without a database: models are stubbed with jest.spyOn and
+ * resolve through `query`, and requests carry a token from `tokenFor`.
+ */
+
+process.env.JWT_SECRET = 'test-secret';
+
+const mongoose = require('mongoose');
+const { generateToken } = require('../../src/utils/jwt');
+
+// Chainable stand-in for a mongoose query resolving to `result`
+const query = (result) => {
+  const chain = {};
+  ['select', 'populate', 'sort', 'limit', 'skip', 'lean'].forEach((method) => {
+    chain[method] = () => chain;
+  });
+  chain.distinct = (field) => query(result.map((doc) => doc[field]));
+  chain.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return chain;
+};
+
+/**
+ * A plain active user, as the auth middleware loads it
+ * @param {string} role
+ * @param {string} [subRole]
+ * @param {Object} [fields] - Any other fields (firstName, email, ...)
+ */
+const makeUser = (role, subRole = 'none', fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  role,
+  subRole,
+  isActive: true,
+  ...fields,
+});
+
+// Authorization header value for a user
+const tokenFor = (user) => `Bearer ${generateToken({ userId: user._id, role: user.role })}`;
+
+module.exports = {
+  query,
+  makeUser,
+  tokenFor,
+};
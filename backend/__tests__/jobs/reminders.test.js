@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const { query } = require('../helpers');
+const Task = require('../../src/models/Task');
+const Project = require('../../src/models/Project');
+const ClientInvoice = require('../../src/models/ClientInvoice');
+const ReminderLog = require('../../src/models/ReminderLog');
+const NotificationService = require('../../src/utils/notificationService');
+const { runTaskReminders } = require('../../src/jobs/taskReminders');
+const { runInstallmentReminders } = require('../../src/jobs/installmentReminders');
+const { runOverdueInvoices } = require('../../src/jobs/overdueInvoices');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('reminder jobs', () => {
+  // Keys claimed so far, standing in for the unique index on ReminderLog.key
+  let claimed;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+
+    claimed = new Set();
+    jest.spyOn(ReminderLog, 'claim').mockImplementation(async (key, data) => {
+      if (claimed.has(key)) return null;
+      claimed.add(key);
+      return { _id: key, ...data, save: jest.fn().mockResolvedValue() };
+    });
+    jest.spyOn(ReminderLog, 'deleteOne').mockImplementation(async ({ _id }) => {
+      claimed.delete(_id);
+      return { deletedCount: 1 };
+    });
+  });
+
+  describe('task reminders', () => {
+    const makeTask = (notifyBefore) => new Task({
+      projectId: new mongoose.Types.ObjectId(),
+      taskName: 'Site visit',
+      date: new Date(),
+      time: '10:30',
+      notifyBefore,
+      createdBy: new mongoose.Types.ObjectId(),
+    });
+
+    beforeEach(() => {
+      jest.spyOn(NotificationService, 'sendTaskReminder').mockImplementation(async () => ({ _id: new mongoose.Types.ObjectId() }));
+    });
+
+    it('reminds tasks set to notify at their start time', async () => {
+      const task = makeTask(0);
+      jest.spyOn(Task, 'find').mockImplementation(() => query([task]));
+
+      expect(task.notifyAt).toEqual(task.scheduledAt);
+      expect(await runTaskReminders({ now: new Date(task.scheduledAt.getTime() - MINUTE_MS) })).toEqual({ checked: 1, sent: 0 });
+      expect(await runTaskReminders({ now: new Date(task.scheduledAt.getTime() + 30 * 1000) })).toEqual({ checked: 1, sent: 1 });
+      expect(NotificationService.sendTaskReminder).toHaveBeenCalledWith(expect.objectContaining({ recipientId: task.createdBy, task }));
+    });
+
+    it('reminds once, and again after a failed send', async () => {
+      const task = makeTask(30);
+      const now = new Date(task.scheduledAt.getTime() - 10 * MINUTE_MS);
+      jest.spyOn(Task, 'find').mockImplementation(() => query([task]));
+      NotificationService.sendTaskReminder.mockRejectedValueOnce(new Error('socket down'));
+
+      expect((await runTaskReminders({ now })).sent).toBe(0);
+      expect(ReminderLog.deleteOne).toHaveBeenCalled();
+      expect((await runTaskReminders({ now })).sent).toBe(1);
+      expect((await runTaskReminders({ now })).sent).toBe(0);
+      expect(NotificationService.sendTaskReminder).toHaveBeenCalledTimes(2);
+    });
+
+    it('skips tasks that started a while ago', async () => {
+      const task = makeTask(0);
+      jest.spyOn(Task, 'find').mockImplementation(() => query([task]));
+
+      expect((await runTaskReminders({ now: new Date(task.scheduledAt.getTime() + 60 * MINUTE_MS) })).sent).toBe(0);
+      expect(ReminderLog.claim).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('overdue installments', () => {
+    let project;
+
+    beforeEach(() => {
+      project = new Project({
+        title: 'Lake House',
+        client: new mongoose.Types.ObjectId(),
+        createdBy: new mongoose.Types.ObjectId(),
+        projectType: 'residential',
+        installments: [{ title: 'Second installment', amount: 250000, dueDate: new Date(Date.now() - 2 * 24 * 60 * MINUTE_MS) }],
+      });
+      jest.spyOn(Project, 'find').mockImplementation(() => query([project]));
+      jest.spyOn(Project, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(NotificationService, 'notifyInstallmentOverdue').mockImplementation(async () => ({ _id: new mongoose.Types.ObjectId() }));
+    });
+
+    const flips = () => Project.updateOne.mock.calls.filter(([, update]) => update.$set['installments.$.status'] === 'overdue');
+
+    it('keeps the installment due until the notice is sent', async () => {
+      NotificationService.notifyInstallmentOverdue.mockRejectedValueOnce(new Error('mail down'));
+
+      expect(await runInstallmentReminders()).toEqual({ reminded: 0, overdue: 0 });
+      expect(flips()).toHaveLength(0);
+
+      expect(await runInstallmentReminders()).toEqual({ reminded: 0, overdue: 1 });
+      expect(flips()).toHaveLength(1);
+      expect(NotificationService.notifyInstallmentOverdue).toHaveBeenCalledWith(expect.objectContaining({ recipientId: project.client }));
+    });
+
+    it('only flips the status when an earlier run already sent the notice', async () => {
+      claimed.add(`installment_overdue:${project.installments[0]._id}:${project.installments[0].dueDate.getTime()}`);
+
+      expect((await runInstallmentReminders()).overdue).toBe(1);
+      expect(NotificationService.notifyInstallmentOverdue).not.toHaveBeenCalled();
+      expect(flips()).toHaveLength(1);
+    });
+  });
+
+  describe('overdue invoices', () => {
+    const invoice = {
+      _id: new mongoose.Types.ObjectId(),
+      invoiceNumber: 'INV-0007',
+      dueDate: new Date(Date.now() - 24 * 60 * MINUTE_MS),
+      clientId: { _id: new mongoose.Types.ObjectId() },
+      createdBy: { _id: new mongoose.Types.ObjectId() },
+      calculateLateFee: () => 500,
+    };
+
+    beforeEach(() => {
+      jest.spyOn(ClientInvoice, 'getOverdueInvoices').mockResolvedValue([invoice]);
+      jest.spyOn(ClientInvoice, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(NotificationService, 'notifyInvoiceOverdue').mockImplementation(async () => ({ _id: new mongoose.Types.ObjectId() }));
+    });
+
+    it('marks the invoice overdue only after notifying, and retries failed notices', async () => {
+      NotificationService.notifyInvoiceOverdue.mockRejectedValueOnce(new Error('mail down'));
+
+      expect(await runOverdueInvoices()).toEqual({ checked: 1, overdue: 0 });
+      expect(ClientInvoice.updateOne).not.toHaveBeenCalled();
+
+      expect(await runOverdueInvoices()).toEqual({ checked: 1, overdue: 1 });
+      expect(ClientInvoice.updateOne).toHaveBeenCalledWith(
+        { _id: invoice._id, status: { $in: ['sent', 'viewed'] } },
+        expect.objectContaining({ $set: { status: 'overdue' } })
+      );
+      expect(NotificationService.notifyInvoiceOverdue).toHaveBeenCalledWith({ recipientId: invoice.clientId._id, invoice, lateFee: 500 });
+    });
+  });
+});
@@ -0,0 +1,230 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { query, makeUser, tokenFor } = require('../helpers');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const Task = require('../../src/models/Task');
+const File = require('../../src/models/File');
+const ClientInvoice = require('../../src/models/ClientInvoice');
+const ClientTimelineEvent = require('../../src/models/ClientTimelineEvent');
+const PurchaseOrder = require('../../src/models/PurchaseOrder');
+const MaterialRequest = require('../../src/models/MaterialRequest');
+const PermissionOverride = require('../../src/models/PermissionOverride');
+
+const users = {
+  owner: makeUser('owner'),
+  clientA: makeUser('client'),
+  clientB: makeUser('client'),
+  employeeA: makeUser('employee', 'executionTeam'),
+  employeeB: makeUser('employee', 'executionTeam'),
+  vendorA: makeUser('vendor'),
+  vendorB: makeUser('vendor'),
+};
+
+const projectA = new Project({
+  title: 'Project A',
+  client: users.clientA._id,
+  assignedEmployees: [users.employeeA._id],
+  assignedVendors: [users.vendorA._id],
+  createdBy: users.owner._id,
+});
+
+const projectB = new Project({
+  title: 'Project B',
+  client: users.clientB._id,
+  createdBy: users.employeeB._id,
+});
+
+const projects = {
+  [projectA._id]: projectA,
+  [projectB._id]: projectB,
+};
+
+const taskA = { _id: new mongoose.Types.ObjectId(), projectId: projectA._id };
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/projects', require('../../src/routes/projects'));
+  app.use('/api/tasks', require('../../src/routes/tasks'));
+  app.use('/api/invoices', require('../../src/routes/invoices'));
+  app.use('/api/material-requests', require('../../src/routes/materialRequests'));
+  app.use('/api/purchase-orders', require('../../src/routes/purchaseOrders'));
+  app.use('/api/files', require('../../src/routes/files'));
+  return app;
+};
+
+// Project-scoped reads and the data lookup each one must not reach when access is denied
+const projectReads = [
+  { name: 'files', url: (id) => `/api/files/project/${id}`, lookup: () => File.find },
+  { name: 'invoices', url: (id) => `/api/invoices/project/${id}`, lookup: () => ClientInvoice.find },
+  { name: 'tasks', url: (id) => `/api/tasks/project/${id}`, lookup: () => Task.getProjectTasks },
+  { name: 'purchase orders', url: (id) => `/api/purchase-orders/project/${id}`, lookup: () => PurchaseOrder.findByProject },
+  { name: 'material requests', url: (id) => `/api/material-requests/project/${id}`, lookup: () => MaterialRequest.findByProject },
+  { name: 'project timeline', url: (id) => `/api/projects/${id}/timeline`, lookup: () => ClientTimelineEvent.getProjectTimeline },
+];
+
+describe('project access guard', () => {
+  let app;
+
+  beforeAll(() => {
+    app = buildApp();
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => { });
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+
+    jest.spyOn(User, 'findById').mockImplementation((id) => (
+      query(Object.values(users).find((user) => user._id.equals(id)) || null)
+    ));
+    jest.spyOn(PermissionOverride, 'find').mockImplementation(() => query([]));
+    jest.spyOn(Project, 'findById').mockImplementation((id) => query(projects[id] || null));
+    jest.spyOn(Project, 'find').mockImplementation(() => query([]));
+    jest.spyOn(Task, 'findById').mockImplementation((id) => query(taskA._id.equals(id) ? taskA : null));
+    jest.spyOn(Task, 'getProjectTasks').mockResolvedValue([]);
+    jest.spyOn(File, 'find').mockImplementation(() => query([]));
+    jest.spyOn(ClientInvoice, 'find').mockImplementation(() => query([]));
+    jest.spyOn(ClientInvoice, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(ClientTimelineEvent, 'getProjectTimeline').mockResolvedValue([]);
+    jest.spyOn(ClientTimelineEvent, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(PurchaseOrder, 'findByProject').mockResolvedValue([]);
+    jest.spyOn(MaterialRequest, 'findByProject').mockResolvedValue([]);
+  });
+
+  describe.each(projectReads)('GET $name of a project', ({ url, lookup, name }) => {
+    it('rejects a client of another project', async () => {
+      const res = await request(app).get(url(projectA._id)).set('Authorization', tokenFor(users.clientB));
+
+      expect(res.status).toBe(403);
+      expect(res.body.success).toBe(false);
+      expect(lookup()).not.toHaveBeenCalled();
+    });
+
+    it('rejects a vendor not assigned to the project', async () => {
+      const res = await request(app).get(url(projectA._id)).set('Authorization', tokenFor(users.vendorB));
+
+      expect(res.status).toBe(403);
+      expect(lookup()).not.toHaveBeenCalled();
+    });
+
+    it('rejects an employee not assigned to the project', async () => {
+      const res = await request(app).get(url(projectA._id)).set('Authorization', tokenFor(users.employeeB));
+
+      expect(res.status).toBe(403);
+      expect(lookup()).not.toHaveBeenCalled();
+    });
+
+    it('allows the project client', async () => {
+      const res = await request(app).get(url(projectA._id)).set('Authorization', tokenFor(users.clientA));
+
+      expect(res.status).toBe(200);
+    });
+
+    it('allows an assigned employee', async () => {
+      const res = await request(app).get(url(projectA._id)).set('Authorization', tokenFor(users.employeeA));
+
+      expect(res.status).toBe(200);
+    });
+
+    it('allows the owner on any project', async () => {
+      const res = await request(app).get(url(projectB._id)).set('Authorization', tokenFor(users.owner));
+
+      expect(res.status).toBe(200);
+    });
+
+    if (name !== 'invoices') {
+      it('allows an assigned vendor', async () => {
+        const res = await request(app).get(url(projectA._id)).set('Authorization', tokenFor(users.vendorA));
+
+        expect(res.status).toBe(200);
+      });
+    }
+
+    it('returns 404 for an unknown project', async () => {
+      const res = await request(app)
+        .get(url(new mongoose.Types.ObjectId()))
+        .set('Authorization', tokenFor(users.owner));
+
+      expect(res.status).toBe(404);
+    });
+
+    it('returns 400 for an invalid project ID', async () => {
+      const res = await request(app).get(url('not-an-id')).set('Authorization', tokenFor(users.owner));
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  it('keeps client invoices from assigned vendors', async () => {
+    const res = await request(app)
+      .get(`/api/invoices/project/${projectA._id}`)
+      .set('Authorization', tokenFor(users.vendorA));
+
+    expect(res.status).toBe(403);
+    expect(ClientInvoice.find).not.toHaveBeenCalled();
+  });
+
+  it('rejects reading a task from another project by its ID', async () => {
+    const res = await request(app)
+      .get(`/api/tasks/${taskA._id}`)
+      .set('Authorization', tokenFor(users.clientB));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('rejects creating a task on another project', async () => {
+    const createSpy = jest.spyOn(Task.prototype, 'save');
+
+    const res = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', tokenFor(users.employeeB))
+      .send({ projectId: projectA._id.toString(), taskName: 'Site visit', date: new Date(), time: '10:00' });
+
+    expect(res.status).toBe(403);
+    expect(createSpy).not.toHaveBeenCalled();
+  });
+
+  it('rejects project file listings filtered to another project', async () => {
+    const res = await request(app)
+      .get(`/api/files?projectId=${projectA._id}`)
+      .set('Authorization', tokenFor(users.vendorB));
+
+    expect(res.status).toBe(403);
+    expect(File.find).not.toHaveBeenCalled();
+  });
+
+  it('rejects requests without a token', async () => {
+    const res = await request(app).get(`/api/tasks/project/${projectA._id}`);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('Project membership', () => {
+  it('matches populated and unpopulated references', () => {
+    const populated = {
+      client: { _id: users.clientA._id, firstName: 'Client' },
+      assignedEmployees: [{ _id: users.employeeA._id, firstName: 'Employee' }],
+      assignedVendors: [],
+    };
+    const hasMember = (user) => Project.schema.methods.hasMember.call(populated, user);
+
+    expect(hasMember(users.clientA)).toBe(true);
+    expect(hasMember(users.employeeA)).toBe(true);
+    expect(hasMember(users.clientB)).toBe(false);
+    expect(projectA.hasMember(users.vendorA)).toBe(true);
+    expect(projectA.hasMember(users.vendorA, { vendors: false })).toBe(false);
+    expect(projectB.hasMember(users.employeeB)).toBe(true);
+    expect(projectB.hasMember(users.owner)).toBe(true);
+  });
+
+  it('builds a query for the projects a user belongs to', () => {
+    expect(Project.memberFilter(users.owner)).toEqual({});
+    expect(Project.memberFilter(users.vendorA).$or).toContainEqual({ assignedVendors: users.vendorA._id });
+    expect(Project.memberFilter(users.vendorA, { vendors: false }).$or)
+      .not.toContainEqual({ assignedVendors: users.vendorA._id });
+  });
+});
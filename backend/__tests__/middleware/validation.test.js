@@ -0,0 +1,158 @@
+jest.mock('../../src/utils/storage', () => ({
+  ...jest.requireActual('../../src/utils/storage'),
+  deleteUpload: jest.fn().mockResolvedValue(true),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { query, makeUser, tokenFor } = require('../helpers');
+const { deleteUpload } = require('../../src/utils/storage');
+const { validateProjectImages } = require('../../src/middleware/validation');
+const { AUTH_ROUTE, ROUTES, loadRouter } = require('../../src/routes');
+const User = require('../../src/models/User');
+const PermissionOverride = require('../../src/models/PermissionOverride');
+
+// Write endpoints that take no input besides the caller
+const NO_INPUT = [
+  'post /api/auth/logout',
+  'delete /api/auth/sessions',
+  'post /api/auth/2fa/setup',
+  'post /api/auth/upload-profile-photo',
+  'delete /api/auth/remove-profile-photo',
+  'post /api/users/profile-photo',
+  'delete /api/users/profile-photo',
+  'post /api/quotations/:id/notes',
+  'post /api/attendance/check-in',
+  'post /api/attendance/check-out',
+  'put /api/notifications/mark-all-read',
+  'delete /api/notifications/',
+  'post /api/calendar/feed',
+  'delete /api/calendar/feed',
+];
+
+const owner = makeUser('owner', 'none', { firstName: 'Olive' });
+const token = tokenFor(owner);
+
+describe('request validation', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    [AUTH_ROUTE, ...ROUTES].forEach((route) => app.use(route.path, loadRouter(route)));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(owner));
+    jest.spyOn(PermissionOverride, 'find').mockImplementation(() => query([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('validates every write endpoint', () => {
+    const unvalidated = [];
+    [AUTH_ROUTE, ...ROUTES].forEach((route) => {
+      loadRouter(route).stack.filter((layer) => layer.route).forEach((layer) => {
+        Object.keys(layer.route.methods).filter((method) => method !== 'get').forEach((method) => {
+          const name = `${method} ${route.path}${layer.route.path}`;
+          if (!layer.route.stack.some((handler) => handler.handle.builder) && !NO_INPUT.includes(name)) {
+            unvalidated.push(name);
+          }
+        });
+      });
+    });
+    expect(unvalidated).toEqual([]);
+  });
+
+  it('reports each failed field with its path and a code', async () => {
+    const res = await request(app)
+      .post(`/api/projects/${new mongoose.Types.ObjectId()}/invoices`)
+      .set('Authorization', token)
+      .send({ lineItems: [{ quantity: 2, unitPrice: 50 }, { description: 'Tiles', quantity: 0, unitPrice: 50 }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      success: false,
+      message: 'Line item description is required',
+      code: 'VALIDATION_FAILED',
+      errors: [
+        { field: 'lineItems[0].description', message: 'Line item description is required', code: 'REQUIRED', location: 'body' },
+        { field: 'lineItems[1].quantity', message: 'Quantity must be a number greater than 0', code: 'INVALID', location: 'body' },
+        { field: 'dueDate', message: 'Due date is required', code: 'REQUIRED', location: 'body' },
+      ],
+    });
+  });
+
+  it('checks route IDs before loading anything', async () => {
+    const res = await request(app).delete('/api/notifications/not-an-id').set('Authorization', token);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'id', message: 'Invalid ID', code: 'INVALID', location: 'params' }]);
+  });
+
+  it('keeps the code a rule gives its error, and never echoes values back', async () => {
+    const res = await request(app)
+      .put('/api/auth/change-password')
+      .set('Authorization', token)
+      .send({ currentPassword: 'Secret123', newPassword: 'Better456', confirmPassword: 'Better457' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{
+      field: 'confirmPassword',
+      message: 'Password confirmation does not match new password',
+      code: 'MISMATCH',
+      location: 'body',
+    }]);
+    expect(JSON.stringify(res.body)).not.toContain('Better45');
+  });
+
+  it('reports unknown notification types, bad timezones and missing signatures as field errors', async () => {
+    const preferences = await request(app)
+      .put('/api/notifications/preferences')
+      .set('Authorization', token)
+      .send({ types: { payment_overdue: { email: false }, carrier_pigeon: { push: true } }, timezone: 'Mars/Olympus' });
+
+    expect(preferences.status).toBe(400);
+    expect(preferences.body).toEqual(expect.objectContaining({ code: 'VALIDATION_FAILED' }));
+    expect(preferences.body.errors).toEqual([
+      { field: 'types', message: 'Unknown notification type(s): carrier_pigeon', code: 'INVALID', location: 'body' },
+      { field: 'timezone', message: 'Invalid timezone', code: 'INVALID', location: 'body' },
+    ]);
+
+    const approval = await request(app)
+      .post(`/api/clients/me/approvals/${new mongoose.Types.ObjectId()}/respond`)
+      .set('Authorization', token)
+      .send({ decision: 'approve', signature: { name: '  ' } });
+
+    expect(approval.status).toBe(400);
+    expect(approval.body.errors).toEqual([{
+      field: 'signature',
+      message: 'Type your name or draw your signature to approve',
+      code: 'INVALID',
+      location: 'body',
+    }]);
+  });
+
+  it('discards files stored before the request was rejected', async () => {
+    const req = {
+      body: { type: 'sideways' },
+      files: [{ key: 'images/a.jpg' }, { key: 'images/b.jpg' }, { buffer: Buffer.alloc(1) }],
+    };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    for (const handler of validateProjectImages) {
+      if (handler.run) await handler.run(req);
+      else handler(req, res, next);
+    }
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(deleteUpload.mock.calls).toEqual([['images/a.jpg'], ['images/b.jpg']]);
+  });
+});
@@ -0,0 +1,315 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { query } = require('../helpers');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const TwoFactorPolicy = require('../../src/models/TwoFactorPolicy');
+const twoFactor = require('../../src/utils/twoFactor');
+const { verifyToken } = require('../../src/utils/jwt');
+const { createSession } = require('../../src/utils/sessionService');
+const { sessionRoom } = require('../../src/utils/socket');
+
+jest.mock('../../src/utils/emailService', () => ({
+  ...jest.requireActual('../../src/utils/emailService'),
+  sendPasswordOTP: jest.fn(),
+}));
+
+// RFC 6238 test secret ("12345678901234567890")
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('two-factor login', () => {
+  let app;
+  let owner;
+
+  const makeOwner = async () => {
+    const user = new User({
+      firstName: 'Olivia',
+      lastName: 'Owner',
+      email: 'owner@example.com',
+      password: 'unused',
+      role: 'owner',
+      twoFactor: { enabled: true, secret: RFC_SECRET, backupCodes: [] },
+    });
+    user.password = await require('bcryptjs').hash('Secret123', 4);
+    return user;
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../../src/routes/auth'));
+  });
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => { });
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+
+    owner = await makeOwner();
+    jest.spyOn(User, 'findOne').mockImplementation(() => query(owner));
+    jest.spyOn(User, 'findById').mockImplementation(() => query(owner));
+    // Writes land on the one in-memory owner
+    const apply = ({ $set = {}, $inc = {} }) => {
+      owner.set($set);
+      Object.entries($inc).forEach(([field, by]) => owner.set(field, (owner.get(field) || 0) + by));
+    };
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      apply(update);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation((filter, update) => {
+      apply(update);
+      return query(owner);
+    });
+    jest.spyOn(User.prototype, 'save').mockResolvedValue();
+    jest.spyOn(TwoFactorPolicy, 'findOne').mockImplementation(() => query(null));
+    jest.spyOn(Session, 'create').mockImplementation(async () => ({ _id: new mongoose.Types.ObjectId() }));
+  });
+
+  const login = () => request(app)
+    .post('/api/auth/login')
+    .send({ email: 'owner@example.com', password: 'Secret123' });
+
+  it('asks for a code instead of starting a session', async () => {
+    const res = await login();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.twoFactorRequired).toBe(true);
+    expect(res.body.data.token).toBeUndefined();
+    expect(Session.create).not.toHaveBeenCalled();
+    expect(() => verifyToken(res.body.data.twoFactorToken)).toThrow();
+  });
+
+  it('starts a session once the code is verified', async () => {
+    const { body } = await login();
+
+    const res = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ twoFactorToken: body.data.twoFactorToken, code: twoFactor.generateCode(RFC_SECRET, twoFactor.currentStep()) });
+
+    expect(res.status).toBe(200);
+    expect(verifyToken(res.body.data.token).userId).toBe(owner._id.toString());
+    expect(res.body.data.user.twoFactor).toEqual({ enabled: true, enabledAt: null });
+  });
+
+  it('counts wrong codes and locks out after too many', async () => {
+    const { body } = await login();
+    const verify = () => request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ twoFactorToken: body.data.twoFactorToken, code: '000000' });
+
+    for (let attempt = 1; attempt <= 5; attempt += 1) {
+      expect((await verify()).status).toBe(401);
+    }
+    expect(owner.twoFactorLockedUntil.getTime()).toBeGreaterThan(Date.now() + 14 * 60 * 1000);
+    expect(owner.twoFactorAttempts).toBe(0);
+
+    const locked = await verify();
+    expect(locked.status).toBe(429);
+    expect(Session.create).not.toHaveBeenCalled();
+  });
+
+  it('keeps the 2FA lockout apart from the password reset OTP limit', async () => {
+    const { body } = await login();
+    const verify = () => request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ twoFactorToken: body.data.twoFactorToken, code: '000000' });
+    const requestOtp = () => request(app).post('/api/auth/request-password-otp').send({ email: 'owner@example.com' });
+
+    // Wrong codes don't use up password reset requests
+    for (let attempt = 0; attempt < 3; attempt += 1) await verify();
+    expect(owner.passwordResetAttempts).toBe(0);
+    expect((await requestOtp()).status).toBe(200);
+
+    // Finishing a password reset doesn't lift a 2FA lockout
+    owner.twoFactorLockedUntil = new Date(Date.now() + 60 * 1000);
+    owner.passwordResetAttempts = 0;
+    expect((await verify()).status).toBe(429);
+
+    // A correct code clears the 2FA count but not the OTP requests made
+    owner.twoFactorLockedUntil = null;
+    owner.twoFactorAttempts = 2;
+    owner.passwordResetAttempts = 2;
+    const res = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ twoFactorToken: body.data.twoFactorToken, code: twoFactor.generateCode(RFC_SECRET, twoFactor.currentStep()) });
+    expect(res.status).toBe(200);
+    expect(owner).toMatchObject({ twoFactorAttempts: 0, twoFactorLockedUntil: null, passwordResetAttempts: 2 });
+  });
+
+  it('sends users of a required role without 2FA to set it up', async () => {
+    owner.twoFactor.enabled = false;
+    TwoFactorPolicy.findOne.mockImplementation(() => query({ requiredFor: ['owner'] }));
+    jest.spyOn(TwoFactorPolicy, 'findOneAndUpdate').mockResolvedValue({});
+    await twoFactor.setRequiredSubjects(['owner']);
+
+    const res = await login();
+
+    expect(res.body.data.twoFactorSetupRequired).toBe(true);
+    expect(twoFactor.readChallenge(res.body.data.twoFactorToken, 'setup')).not.toBeNull();
+    expect(twoFactor.readChallenge(res.body.data.twoFactorToken, 'verify')).toBeNull();
+  });
+});
+
+describe('sessions', () => {
+  let app;
+  let user;
+  let sessions;
+  let io;
+
+  // Minimal filter matching for the queries sessionService runs
+  const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+    const value = doc[key];
+    if (condition === null) return value == null;
+    if (condition?.constructor === Object) {
+      if ('$gt' in condition) return value > condition.$gt;
+      if ('$ne' in condition) return String(value) !== String(condition.$ne);
+      if ('$in' in condition) return condition.$in.some((id) => String(id) === String(value));
+    }
+    return String(value) === String(condition);
+  });
+  const findOne = (filter) => sessions.find((doc) => matches(doc, filter)) || null;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../../src/routes/auth'));
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => { });
+    jest.spyOn(console, 'warn').mockImplementation(() => { });
+
+    user = new User({
+      firstName: 'Dev',
+      lastName: 'Designer',
+      email: 'dev@example.com',
+      password: 'unused',
+      role: 'employee',
+      subRole: 'designTeam',
+    });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(user));
+
+    // In-memory stand-in for the sessions collection
+    sessions = [];
+    jest.spyOn(Session, 'create').mockImplementation(async (data) => {
+      const session = new Session(data);
+      sessions.push(session);
+      return session;
+    });
+    jest.spyOn(Session, 'findById').mockImplementation((id) => query(findOne({ _id: id })));
+    jest.spyOn(Session, 'find').mockImplementation((filter) => query(sessions.filter((doc) => matches(doc, filter))));
+    jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const session = findOne(filter);
+      if (session) session.set(update.$set);
+      return session;
+    });
+    jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, update) => {
+      const session = findOne(filter);
+      if (session) session.set(update.$set);
+      return { modifiedCount: session ? 1 : 0 };
+    });
+    jest.spyOn(Session, 'updateMany').mockImplementation(async (filter, update) => {
+      const matched = sessions.filter((doc) => matches(doc, filter));
+      matched.forEach((session) => session.set(update.$set));
+      return { modifiedCount: matched.length };
+    });
+
+    io = { emitted: [], disconnected: [] };
+    io.to = (room) => ({ emit: (event) => io.emitted.push([room, event]) });
+    io.in = (room) => ({ disconnectSockets: () => io.disconnected.push(room) });
+    app.set('io', io);
+  });
+
+  const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+  const listSessions = (token) => request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${token}`);
+
+  it('rotates the refresh token on every use', async () => {
+    const first = await createSession(user);
+
+    const res = await refresh(first.refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.refreshToken).not.toBe(first.refreshToken);
+    expect(res.body.data.refreshToken.split('.')[0]).toBe(first.refreshToken.split('.')[0]);
+    expect(verifyToken(res.body.data.token).sid).toBe(sessions[0]._id.toString());
+    expect((await refresh(res.body.data.refreshToken)).status).toBe(200);
+  });
+
+  it('revokes the whole session when a rotated-out token is presented again', async () => {
+    const first = await createSession(user);
+    const { body } = await refresh(first.refreshToken);
+
+    const replay = await refresh(first.refreshToken);
+
+    expect(replay.status).toBe(401);
+    expect(sessions[0]).toMatchObject({ revokedReason: 'token_reuse' });
+    // The legitimate holder's newer tokens stop working too
+    expect((await refresh(body.data.refreshToken)).status).toBe(401);
+    expect((await listSessions(body.data.token)).status).toBe(401);
+  });
+
+  it('rejects malformed and unknown refresh tokens', async () => {
+    expect((await refresh('not-a-token')).status).toBe(401);
+    expect((await refresh(`${new mongoose.Types.ObjectId()}.secret`)).status).toBe(401);
+  });
+
+  it('signs out another device and disconnects its sockets', async () => {
+    const laptop = await createSession(user);
+    const phone = await createSession(user);
+    const phoneId = sessions[1]._id.toString();
+
+    const listed = await listSessions(laptop.token);
+    expect(listed.body.data.sessions.map((s) => s.current)).toEqual([true, false]);
+
+    const res = await request(app)
+      .delete(`/api/auth/sessions/${phoneId}`)
+      .set('Authorization', `Bearer ${laptop.token}`);
+
+    expect(res.status).toBe(200);
+    expect(io.emitted).toEqual([[sessionRoom(phoneId), 'forceLogout']]);
+    expect(io.disconnected).toEqual([sessionRoom(phoneId)]);
+    expect((await listSessions(phone.token)).status).toBe(401);
+    expect((await refresh(phone.refreshToken)).status).toBe(401);
+    expect((await listSessions(laptop.token)).status).toBe(200);
+  });
+
+  it("does not sign out another user's session", async () => {
+    const mine = await createSession(user);
+    await createSession(new User({ ...user.toObject(), _id: new mongoose.Types.ObjectId() }));
+
+    const res = await request(app)
+      .delete(`/api/auth/sessions/${sessions[1]._id}`)
+      .set('Authorization', `Bearer ${mine.token}`);
+
+    expect(res.status).toBe(404);
+    expect(sessions[1].revokedAt).toBeNull();
+  });
+
+  it('signs out every other device, keeping the current one', async () => {
+    const current = await createSession(user);
+    const others = [await createSession(user), await createSession(user)];
+
+    const res = await request(app)
+      .delete('/api/auth/sessions')
+      .set('Authorization', `Bearer ${current.token}`);
+
+    expect(res.body.data.revokedSessions).toBe(2);
+    for (const other of others) {
+      expect((await listSessions(other.token)).status).toBe(401);
+    }
+    expect((await listSessions(current.token)).status).toBe(200);
+  });
+
+  it('ends the current session on logout', async () => {
+    const { token, refreshToken } = await createSession(user);
+
+    const res = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(sessions[0]).toMatchObject({ revokedReason: 'logout' });
+    expect((await refresh(refreshToken)).status).toBe(401);
+  });
+});
@@ -0,0 +1,107 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { query, makeUser, tokenFor } = require('../helpers');
+const { hashFeedToken } = require('../../src/utils/calendarFeed');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const Task = require('../../src/models/Task');
+const PurchaseOrder = require('../../src/models/PurchaseOrder');
+const PermissionOverride = require('../../src/models/PermissionOverride');
+
+const employee = makeUser('employee', 'executionTeam', { firstName: 'Esha' });
+const token = tokenFor(employee);
+
+// Far enough ahead to stay inside the feed window
+const future = (days) => new Date(Date.UTC(2040, 0, 1) + days * 24 * 60 * 60 * 1000);
+
+const project = new Project({
+  title: 'Lake House',
+  client: new mongoose.Types.ObjectId(),
+  createdBy: employee._id,
+  projectType: 'residential',
+  progress: {
+    milestones: [
+      { name: 'Foundation', targetDate: future(10) },
+      { name: 'Survey', targetDate: future(1), status: 'completed' },
+    ],
+  },
+  installments: [{ title: 'Second installment', amount: 250000, dueDate: future(20) }],
+  paymentSchedule: [{ name: 'Advance', amount: 100000, dueDate: future(2), status: 'paid' }],
+});
+
+const task = {
+  _id: new mongoose.Types.ObjectId(),
+  projectId: { _id: project._id, title: project.title },
+  taskName: 'Site visit',
+  taskDescription: 'Check the plinth, levels',
+  date: future(3),
+  time: '10:30',
+  notifyBefore: 15,
+};
+
+const order = { _id: new mongoose.Types.ObjectId(), purchaseOrderNumber: 'PO-0042', title: 'Cement', expectedDeliveryDate: future(5), project: { title: 'Lake House' } };
+
+describe('calendar feed', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/calendar', require('../../src/routes/calendar'));
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(employee));
+    jest.spyOn(PermissionOverride, 'find').mockImplementation(() => query([]));
+    jest.spyOn(Project, 'find').mockImplementation(() => query([project]));
+    jest.spyOn(Task, 'find').mockImplementation(() => query([task]));
+    jest.spyOn(PurchaseOrder, 'find').mockImplementation(() => query([order]));
+  });
+
+  it('serves tasks, milestones, deliveries and due payments at the secret URL', async () => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ acknowledged: true });
+
+    const created = await request(app).post('/api/calendar/feed').set('Authorization', token);
+    expect(created.status).toBe(201);
+    const secret = created.body.data.url.match(/\/api\/calendar\/feed\/([\w-]+)\.ics$/)[1];
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: employee._id },
+      { $set: expect.objectContaining({ 'calendarFeed.tokenHash': hashFeedToken(secret) }) }
+    );
+
+    jest.spyOn(User, 'findOne').mockImplementation((filter) => query(
+      filter['calendarFeed.tokenHash'] === hashFeedToken(secret) ? employee : null
+    ));
+
+    const feed = await request(app).get(`/api/calendar/feed/${secret}.ics`);
+    expect(feed.status).toBe(200);
+    expect(feed.headers['content-type']).toMatch(/^text\/calendar/);
+    const summaries = feed.text.split('\r\n').filter((line) => line.startsWith('SUMMARY:'));
+    expect(summaries).toEqual([
+      'SUMMARY:Site visit',
+      'SUMMARY:Delivery: PO-0042 (Lake House)',
+      'SUMMARY:Milestone: Foundation (Lake House)',
+      'SUMMARY:Payment due: Second installment (Lake House)',
+    ]);
+    expect(feed.text).toContain('DTSTART:20400104T103000');
+    expect(feed.text).toContain('DESCRIPTION:Project: Lake House\\nCheck the plinth\\, levels');
+    expect(Task.find).toHaveBeenCalledWith(expect.objectContaining({ assignedTo: employee._id }));
+
+    const revoked = await request(app).get('/api/calendar/feed/not-the-secret.ics');
+    expect(revoked.status).toBe(404);
+  });
+
+  it('leaves payments out of vendor feeds', async () => {
+    const vendor = { ...employee, role: 'vendor' };
+    jest.spyOn(User, 'findOne').mockImplementation(() => query(vendor));
+
+    const feed = await request(app).get('/api/calendar/feed/vendor-secret.ics');
+
+    expect(feed.status).toBe(200);
+    expect(feed.text).not.toContain('Payment due');
+    expect(PurchaseOrder.find).toHaveBeenCalledWith(expect.objectContaining({ vendor: vendor._id }));
+  });
+});
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { query, makeUser, tokenFor } = require('../helpers');
+const { createLocalDriver } = require('../../src/utils/storage/local');
+const { setStorage } = require('../../src/utils/storage');
+const { CHUNK_SIZE } = require('../../src/utils/chunkedUploads');
+const { MAX_IMAGE_SIZE } = require('../../src/utils/images');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const File = require('../../src/models/File');
+const UploadSession = require('../../src/models/UploadSession');
+
+const users = {
+  owner: makeUser('owner'),
+  employee: makeUser('employee'),
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Three parts, the last one short
+const drawing = crypto.randomBytes(CHUNK_SIZE.min * 2 + 1000);
+const partOf = (index) => drawing.subarray(index * CHUNK_SIZE.min, (index + 1) * CHUNK_SIZE.min);
+
+describe('chunked uploads', () => {
+  let app;
+  let root;
+  let storage;
+  let sessions;
+  let files;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/files/uploads', require('../../src/routes/uploads'));
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'chunks-'));
+    storage = createLocalDriver({ root, baseUrl: 'http://api.test/uploads', secret: 'chunk-secret' });
+    setStorage(storage);
+
+    sessions = new Map();
+    files = [];
+
+    // Sessions live in memory; updates apply the few operators the routes use
+    const apply = (filter, update) => {
+      const session = sessions.get(String(filter._id));
+      if (!session || (filter.status && session.status !== filter.status)) return null;
+      if (update.$pull) session.parts = session.parts.filter((part) => part.index !== update.$pull.parts.index);
+      if (update.$push) session.parts.push(update.$push.parts);
+      if (update.$set) session.set(update.$set);
+      return session;
+    };
+
+    jest.spyOn(User, 'findById').mockImplementation((id) => (
+      query(Object.values(users).find((user) => user._id.equals(id)) || null)
+    ));
+    jest.spyOn(UploadSession, 'create').mockImplementation(async (doc) => {
+      const session = new UploadSession(doc);
+      sessions.set(String(session._id), session);
+      return session;
+    });
+    jest.spyOn(UploadSession, 'findById').mockImplementation((id) => query(sessions.get(String(id)) || null));
+    jest.spyOn(UploadSession, 'updateOne').mockImplementation(async (filter, update) => (
+      { modifiedCount: apply(filter, update) ? 1 : 0 }
+    ));
+    jest.spyOn(UploadSession, 'findOneAndUpdate').mockImplementation(async (filter, update) => apply(filter, update));
+    jest.spyOn(UploadSession.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(File.prototype, 'save').mockImplementation(function () {
+      files.push(this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(File, 'findById').mockImplementation((id) => query(files.find((file) => file._id.equals(id)) || null));
+    jest.spyOn(Project, 'findById').mockImplementation(() => query(null));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const start = (body = {}, user = users.employee) => request(app)
+    .post('/api/files/uploads')
+    .set('Authorization', tokenFor(user))
+    .send({ name: 'site-plan.pdf', mimeType: 'application/pdf', size: drawing.length, chunkSize: CHUNK_SIZE.min, ...body });
+
+  const sendPart = (uploadId, index, body = partOf(index), checksum = sha256(body)) => request(app)
+    .put(`/api/files/uploads/${uploadId}/parts/${index}`)
+    .set('Authorization', tokenFor(users.employee))
+    .set('Content-Type', 'application/octet-stream')
+    .set('X-Chunk-Checksum', checksum)
+    .send(body);
+
+  const complete = (uploadId) => request(app)
+    .post(`/api/files/uploads/${uploadId}/complete`)
+    .set('Authorization', tokenFor(users.employee));
+
+  it('resumes from the parts already received and assembles the file', async () => {
+    const started = await start({ checksum: sha256(drawing) });
+    expect(started.status).toBe(201);
+    const { uploadId, totalChunks } = started.body.data;
+    expect(totalChunks).toBe(3);
+
+    expect((await sendPart(uploadId, 2)).status).toBe(200);
+    expect((await sendPart(uploadId, 0)).status).toBe(200);
+
+    // e.g. after the app restarted
+    const status = await request(app).get(`/api/files/uploads/${uploadId}`).set('Authorization', tokenFor(users.employee));
+    expect(status.body.data.receivedChunks).toEqual([0, 2]);
+    expect(status.body.data.missingChunks).toEqual([1]);
+
+    const early = await complete(uploadId);
+    expect(early.status).toBe(400);
+    expect(early.body.data.missingChunks).toEqual([1]);
+
+    expect((await sendPart(uploadId, 1)).status).toBe(200);
+    const done = await complete(uploadId);
+
+    expect(done.status).toBe(201);
+    expect(done.body.data.upload.status).toBe('completed');
+    expect(files).toHaveLength(1);
+    const stored = await storage.get(files[0].storageKey);
+    expect(stored.size).toBe(drawing.length);
+    expect(fs.readFileSync(path.join(root, files[0].storageKey)).equals(drawing)).toBe(true);
+    expect(await storage.list('upload-parts/')).toEqual([]);
+
+    // A repeated completion returns the same file
+    const again = await complete(uploadId);
+    expect(again.status).toBe(200);
+    expect(files).toHaveLength(1);
+  });
+
+  it('rejects parts that do not match their checksum or size', async () => {
+    const { body } = await start();
+    const { uploadId } = body.data;
+
+    const corrupted = await sendPart(uploadId, 0, partOf(0), sha256(partOf(1)));
+    expect(corrupted.status).toBe(422);
+
+    const short = await sendPart(uploadId, 0, partOf(0).subarray(1));
+    expect(short.status).toBe(400);
+
+    expect(sessions.get(uploadId).parts).toHaveLength(0);
+    expect(await storage.list('upload-parts/')).toEqual([]);
+  });
+
+  it('discards the upload when the assembled file does not match its checksum', async () => {
+    const { body } = await start({ checksum: sha256(Buffer.from('something else')) });
+    const { uploadId } = body.data;
+    for (const index of [0, 1, 2]) await sendPart(uploadId, index);
+
+    const res = await complete(uploadId);
+
+    expect(res.status).toBe(422);
+    expect(sessions.get(uploadId).status).toBe('aborted');
+    expect(files).toHaveLength(0);
+    expect(await storage.list('')).toEqual([]);
+  });
+
+  it('refuses images too large to re-encode before any part is sent', async () => {
+    const res = await start({ name: 'panorama.jpg', mimeType: 'image/jpeg', size: MAX_IMAGE_SIZE + 1 });
+
+    expect(res.status).toBe(413);
+    expect(sessions.size).toBe(0);
+
+    const video = await start({ name: 'walkthrough.mp4', mimeType: 'video/mp4', size: MAX_IMAGE_SIZE + 1 });
+    expect(video.status).toBe(201);
+  });
+
+  it('keeps uploads private to their user and removes parts on abort', async () => {
+    const { body } = await start();
+    const { uploadId } = body.data;
+    await sendPart(uploadId, 0);
+
+    const other = await request(app).get(`/api/files/uploads/${uploadId}`).set('Authorization', tokenFor(users.owner));
+    expect(other.status).toBe(404);
+
+    const aborted = await request(app).delete(`/api/files/uploads/${uploadId}`).set('Authorization', tokenFor(users.employee));
+    expect(aborted.status).toBe(200);
+    expect(await storage.list('upload-parts/')).toEqual([]);
+    expect((await sendPart(uploadId, 1)).status).toBe(409);
+  });
+});
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { query, makeUser, tokenFor } = require('../helpers');
+const { createLocalDriver } = require('../../src/utils/storage/local');
+const { setStorage } = require('../../src/utils/storage');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const ProjectDocument = require('../../src/models/ProjectDocument');
+const DocumentApproval = require('../../src/models/DocumentApproval');
+const ClientTimelineEvent = require('../../src/models/ClientTimelineEvent');
+const PermissionOverride = require('../../src/models/PermissionOverride');
+const NotificationService = require('../../src/utils/notificationService');
+
+const person = (role, firstName) => makeUser(role, 'none', {
+  firstName,
+  lastName: 'Test',
+  email: `${firstName.toLowerCase()}@example.com`,
+});
+
+const users = {
+  employee: person('employee', 'Dana'),
+  client: person('client', 'Chris'),
+};
+
+const project = new Project({
+  title: 'Villa',
+  client: users.client._id,
+  assignedEmployees: [users.employee._id],
+  createdBy: users.employee._id,
+});
+
+// In-memory stand-in for a Mongo filter: plain values and $in
+const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => (
+  value && value.$in
+    ? value.$in.includes(doc[field])
+    : String(doc[field]) === String(value)
+));
+
+describe('document approvals', () => {
+  let app;
+  let root;
+  let document;
+  let approvals;
+  let timelineEvents;
+  let emitted;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    // Records which rooms each socket event went to ('*' for a broadcast)
+    app.set('io', {
+      to: (rooms) => ({ emit: (event) => emitted.push({ event, rooms: [].concat(rooms) }) }),
+      emit: (event) => emitted.push({ event, rooms: ['*'] }),
+    });
+    app.use('/api/projects', require('../../src/routes/projects'));
+    app.use('/api/clients', require('../../src/routes/clients'));
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'approvals-'));
+    setStorage(createLocalDriver({ root, baseUrl: 'http://api.test/uploads', secret: 'approval-secret' }));
+
+    document = new ProjectDocument({ project: project._id, name: 'Kitchen Layout', type: 'design', createdBy: users.employee._id });
+    document.addVersion({ url: 'http://api.test/uploads/documents/kitchen-1.pdf', originalName: 'kitchen.pdf', uploadedBy: users.employee._id });
+    document.addVersion({ url: 'http://api.test/uploads/documents/kitchen-2.pdf', originalName: 'kitchen rev B.pdf', uploadedBy: users.employee._id });
+    approvals = [];
+    timelineEvents = [];
+    emitted = [];
+
+    jest.spyOn(User, 'findById').mockImplementation((id) => (
+      query(Object.values(users).find((user) => user._id.equals(id)) || null)
+    ));
+    jest.spyOn(PermissionOverride, 'find').mockImplementation(() => query([]));
+    jest.spyOn(Project, 'findById').mockImplementation(() => query(project));
+    jest.spyOn(ProjectDocument, 'findOne').mockImplementation(() => query(document));
+    jest.spyOn(ProjectDocument, 'findById').mockImplementation(() => query(document));
+    jest.spyOn(DocumentApproval, 'findOne').mockImplementation((filter) => query(
+      approvals.find((approval) => matches(approval, filter)) || null
+    ));
+    jest.spyOn(DocumentApproval, 'find').mockImplementation((filter) => query(
+      approvals.filter((approval) => matches(approval, filter))
+    ));
+    jest.spyOn(DocumentApproval, 'findOneAndUpdate').mockImplementation((filter, update) => {
+      const approval = approvals.find((candidate) => matches(candidate, filter));
+      if (approval) approval.set(update.$set);
+      return query(approval || null);
+    });
+    jest.spyOn(DocumentApproval, 'updateOne').mockImplementation((filter, update) => {
+      const approval = approvals.find((candidate) => matches(candidate, filter));
+      if (approval) approval.set(update.$set);
+      return Promise.resolve({ modifiedCount: approval ? 1 : 0 });
+    });
+    jest.spyOn(DocumentApproval.prototype, 'save').mockImplementation(function () {
+      if (!approvals.includes(this)) approvals.push(this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(ClientTimelineEvent.prototype, 'save').mockImplementation(function () {
+      this.createdAt = new Date();
+      timelineEvents.push(this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(NotificationService, 'notifyApprovalRequested').mockResolvedValue(null);
+    jest.spyOn(NotificationService, 'notifyApprovalResponded').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const requestApproval = (body = {}) => request(app)
+    .post(`/api/projects/${project._id}/documents/${document._id}/approval-requests`)
+    .set('Authorization', tokenFor(users.employee))
+    .send(body);
+
+  const respond = (approval, body) => request(app)
+    .post(`/api/clients/me/approvals/${approval._id}/respond`)
+    .set('Authorization', tokenFor(users.client))
+    .set('User-Agent', 'HousewayApp/1.0')
+    .send(body);
+
+  it('sends the latest design version to the project client, once at a time', async () => {
+    const res = await requestApproval({ message: 'Please sign off the new layout' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.approval).toEqual(expect.objectContaining({
+      version: 2,
+      status: 'pending',
+      documentName: 'Kitchen Layout',
+      client: users.client._id.toString(),
+    }));
+    expect(NotificationService.notifyApprovalRequested).toHaveBeenCalledWith(expect.objectContaining({ projectTitle: 'Villa' }));
+
+    const again = await requestApproval({ version: 1 });
+    expect(again.status).toBe(409);
+
+    document.type = 'other';
+    approvals = [];
+    const other = await requestApproval();
+    expect(other.status).toBe(400);
+  });
+
+  it('records a signed approval with a certificate on the client timeline', async () => {
+    await requestApproval();
+    const [approval] = approvals;
+
+    const unsigned = await respond(approval, { decision: 'approve' });
+    expect(unsigned.status).toBe(400);
+
+    const res = await respond(approval, {
+      decision: 'approve',
+      comments: 'Looks great',
+      signature: { name: 'Chris Test', strokes: 'M10 40 L30 10 L50 40', width: 300, height: 120 },
+    });
+
+    expect(res.status).toBe(200);
+    expect(approval.status).toBe('approved');
+    expect(approval.signature).toEqual(expect.objectContaining({
+      name: 'Chris Test',
+      userAgent: 'HousewayApp/1.0',
+      ip: expect.any(String),
+      signedAt: expect.any(Date),
+    }));
+
+    const certificatePath = path.join(root, approval.certificate.storageKey);
+    expect(fs.readFileSync(certificatePath).subarray(0, 5).toString()).toBe('%PDF-');
+
+    expect(timelineEvents).toHaveLength(1);
+    expect(timelineEvents[0]).toEqual(expect.objectContaining({ eventType: 'approval', title: 'Approved: Kitchen Layout v2' }));
+    expect(timelineEvents[0].attachments[0].url).toBe(approval.certificate.url);
+    expect(approval.timelineEvent).toEqual(timelineEvents[0]._id);
+
+    const twice = await respond(approval, { decision: 'approve', signature: { name: 'Chris Test' } });
+    expect(twice.status).toBe(409);
+  });
+
+  it('needs comments to request changes and issues no certificate', async () => {
+    await requestApproval();
+    const [approval] = approvals;
+
+    const empty = await respond(approval, { decision: 'request-changes' });
+    expect(empty.status).toBe(400);
+
+    const res = await respond(approval, { decision: 'request-changes', comments: 'Move the island left' });
+
+    expect(res.status).toBe(200);
+    expect(approval.status).toBe('changes-requested');
+    expect(approval.signature).toBeUndefined();
+    expect(approval.certificate?.url).toBeUndefined();
+    expect(timelineEvents[0]).toEqual(expect.objectContaining({
+      title: 'Changes requested: Kitchen Layout v2',
+      description: 'Move the island left',
+    }));
+    expect(NotificationService.notifyApprovalResponded).toHaveBeenCalledWith({ approval });
+    // Only the client's devices and staff hear about it
+    expect(emitted.filter(({ event }) => event === 'timelineEventAdded')).toEqual([
+      { event: 'timelineEventAdded', rooms: [`user_${users.client._id}`, 'role_owner', 'role_employee'] },
+    ]);
+  });
+
+  it('records only one of two answers sent at the same time', async () => {
+    await requestApproval();
+    const [stored] = approvals;
+    // Both requests read the approval before either one writes
+    const snapshot = stored.toObject();
+    DocumentApproval.findOne.mockImplementation(() => query(DocumentApproval.hydrate(snapshot)));
+    const signature = { name: 'Chris Test' };
+
+    const responses = await Promise.all([
+      respond(stored, { decision: 'approve', signature }),
+      respond(stored, { decision: 'approve', signature }),
+    ]);
+
+    expect(responses.map((res) => res.status).sort()).toEqual([200, 409]);
+    expect(timelineEvents).toHaveLength(1);
+    expect(fs.readdirSync(path.join(root, 'approvals'), { recursive: true }).filter((name) => name.endsWith('.pdf'))).toHaveLength(1);
+  });
+
+  it('hands the request back when the answer cannot be recorded', async () => {
+    await requestApproval();
+    const [approval] = approvals;
+    DocumentApproval.prototype.save.mockRejectedValueOnce(new Error('write conflict'));
+
+    const res = await respond(approval, { decision: 'request-changes', comments: 'Move the island left' });
+
+    expect(res.status).toBe(500);
+    expect(DocumentApproval.updateOne).toHaveBeenCalledWith(
+      { _id: approval._id, status: 'responding' },
+      { $set: { status: 'pending' } }
+    );
+  });
+
+  it('rejects malformed list filters', async () => {
+    const list = (search) => request(app)
+      .get(`/api/clients/me/approvals${search}`)
+      .set('Authorization', tokenFor(users.client));
+
+    const badId = await list('?projectId=not-an-id');
+    expect(badId.status).toBe(400);
+    expect(badId.body.errors[0]).toEqual(expect.objectContaining({ field: 'projectId', location: 'query' }));
+
+    const operator = await list('?status[$ne]=cancelled');
+    expect(operator.status).toBe(400);
+    expect(DocumentApproval.find).not.toHaveBeenCalled();
+
+    const ok = await list(`?status=pending&projectId=${project._id}`);
+    expect(ok.status).toBe(200);
+    expect(DocumentApproval.find).toHaveBeenCalledWith({ client: users.client._id, status: 'pending', project: String(project._id) });
+  });
+});
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { query, makeUser, tokenFor } = require('../helpers');
+const { createLocalDriver } = require('../../src/utils/storage/local');
+const { setStorage } = require('../../src/utils/storage');
+const { serveSignedUploads } = require('../../src/middleware/signedUploads');
+const { clearCache } = require('../../src/utils/permissions');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const File = require('../../src/models/File');
+const PermissionOverride = require('../../src/models/PermissionOverride');
+
+const REFERENCING_MODELS = [
+  'File', 'Project', 'ClientMedia', 'ClientInvoice', 'ClientTimelineEvent', 'MaterialRequest',
+  'PurchaseOrder', 'VendorInvoice', 'Quotation', 'NegotiationMessage', 'ServiceRequest', 'User', 'ProjectDocument', 'DocumentApproval',
+].map((name) => require(`../../src/models/${name}`));
+
+const users = {
+  owner: makeUser('owner'),
+  client: makeUser('client'),
+  otherClient: makeUser('client'),
+  employee: makeUser('employee', 'designTeam'),
+  otherEmployee: makeUser('employee', 'designTeam'),
+  vendor: makeUser('vendor'),
+};
+
+const project = new Project({
+  title: 'Villa',
+  client: users.client._id,
+  assignedEmployees: [users.employee._id],
+  assignedVendors: [users.vendor._id],
+  createdBy: users.owner._id,
+});
+
+describe('signed file links', () => {
+  let app;
+  let root;
+  let storage;
+  let plan;
+  let invoice;
+  let sketch;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/uploads', serveSignedUploads());
+    app.use('/api/files', require('../../src/routes/files'));
+  });
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => { });
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'links-'));
+    storage = createLocalDriver({ root, baseUrl: 'http://api.test/uploads', secret: 'link-secret' });
+    setStorage(storage);
+
+    await storage.put(`documents/${project._id}/plan.pdf`, Buffer.from('plan'));
+    await storage.put(`invoices/${project._id}/inv.pdf`, Buffer.from('invoice'));
+    plan = new File({
+      filename: 'plan.pdf', originalName: 'plan.pdf', category: 'documents', mimeType: 'application/pdf', size: 4,
+      path: storage.url(`documents/${project._id}/plan.pdf`), storageKey: `documents/${project._id}/plan.pdf`,
+      uploadedBy: users.employee._id, project: project._id,
+    });
+    invoice = new File({
+      filename: 'inv.pdf', originalName: 'inv.pdf', category: 'invoices', mimeType: 'application/pdf', size: 7,
+      path: storage.url(`invoices/${project._id}/inv.pdf`), storageKey: `invoices/${project._id}/inv.pdf`,
+      uploadedBy: users.employee._id, project: project._id,
+    });
+    await storage.put('documents/sketch.pdf', Buffer.from('sketch'));
+    sketch = new File({
+      filename: 'sketch.pdf', originalName: 'sketch.pdf', category: 'documents', mimeType: 'application/pdf', size: 6,
+      path: storage.url('documents/sketch.pdf'), storageKey: 'documents/sketch.pdf',
+      uploadedBy: users.employee._id,
+    });
+
+    clearCache();
+    jest.spyOn(User, 'findById').mockImplementation((id) => (
+      query(Object.values(users).find((user) => user._id.equals(id)) || null)
+    ));
+    jest.spyOn(PermissionOverride, 'find').mockImplementation(() => query([]));
+    jest.spyOn(Project, 'findById').mockImplementation((id) => query(project._id.equals(id) ? project : null));
+    jest.spyOn(File, 'findByIdAndDelete').mockResolvedValue(null);
+    jest.spyOn(File, 'findById').mockImplementation((id) => query([plan, invoice, sketch].find((file) => file._id.equals(id)) || null));
+    REFERENCING_MODELS.forEach((Model) => jest.spyOn(Model, 'findOne').mockImplementation(() => query(null)));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const linkFor = (file, user) => request(app).get(`/api/files/${file._id}/link`).set('Authorization', tokenFor(user));
+  const remove = (file, user) => request(app).delete(`/api/files/id/${file._id}`).set('Authorization', tokenFor(user));
+  const open = (url) => {
+    const { pathname, search } = new URL(url);
+    return request(app).get(pathname + search);
+  };
+
+  it('does not serve uploads without a signature', async () => {
+    const res = await request(app).get(`/uploads/documents/${project._id}/plan.pdf`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('issues expiring links to project members', async () => {
+    const res = await linkFor(plan, users.client);
+
+    expect(res.status).toBe(200);
+    expect(new Date(res.body.data.expiresAt).getTime()).toBeGreaterThan(Date.now());
+    const file = await open(res.body.data.url);
+    expect(file.status).toBe(200);
+    expect(file.body.toString()).toBe('plan');
+  });
+
+  it('refuses links to users outside the project and invoices to vendors', async () => {
+    expect((await linkFor(plan, users.otherClient)).status).toBe(403);
+    expect((await linkFor(plan, users.vendor)).status).toBe(200);
+    expect((await linkFor(invoice, users.vendor)).status).toBe(403);
+  });
+
+  it('rejects tampered and expired links', async () => {
+    const { body } = await linkFor(plan, users.employee);
+    const url = new URL(body.data.url);
+
+    url.searchParams.set('signature', 'f'.repeat(64));
+    expect((await open(url.href)).status).toBe(403);
+
+    const expired = await storage.signedUrl(plan.storageKey, { expiresIn: -1 });
+    expect((await open(expired)).status).toBe(403);
+  });
+
+  it('signs stored URLs for users who can see the referencing record', async () => {
+    const imageUrl = storage.url(`images/${project._id}/site.jpg`);
+    Project.findOne.mockImplementation(() => query(project));
+    const linkForUrl = (user) => request(app).post('/api/files/link').set('Authorization', tokenFor(user)).send({ url: imageUrl });
+
+    const allowed = await linkForUrl(users.employee);
+    expect(allowed.status).toBe(200);
+    expect(storage.verifySignature(
+      `images/${project._id}/site.jpg`,
+      new URL(allowed.body.data.url).searchParams.get('expires'),
+      new URL(allowed.body.data.url).searchParams.get('signature')
+    )).toBe(true);
+
+    expect((await linkForUrl(users.otherClient)).status).toBe(403);
+  });
+
+  it('returns 404 for unknown files and leaves outside URLs alone', async () => {
+    const send = (url) => request(app).post('/api/files/link').set('Authorization', tokenFor(users.client)).send({ url });
+
+    expect((await send(storage.url('images/unknown.jpg'))).status).toBe(404);
+
+    const outside = await send('https://images.example.com/sample.jpg');
+    expect(outside.status).toBe(200);
+    expect(outside.body.data).toEqual({ url: 'https://images.example.com/sample.jpg', expiresAt: null });
+  });
+
+  it('keeps files outside projects to their uploader and owners', async () => {
+    expect((await linkFor(sketch, users.employee)).status).toBe(200);
+    expect((await linkFor(sketch, users.owner)).status).toBe(200);
+    expect((await linkFor(sketch, users.otherEmployee)).status).toBe(403);
+    expect((await linkFor(sketch, users.client)).status).toBe(403);
+  });
+
+  it('only deletes files for users with files.delete', async () => {
+    const denied = await remove(plan, users.client);
+    expect(denied.status).toBe(403);
+    expect(denied.body.requiredPermission).toBe('files.delete');
+    expect((await remove(plan, users.vendor)).status).toBe(403);
+
+    const deleted = await remove(plan, users.owner);
+    expect(deleted.status).toBe(200);
+    expect(File.findByIdAndDelete).toHaveBeenCalledWith(plan._id.toString());
+  });
+
+  it('deletes files outside projects only for their uploader', async () => {
+    PermissionOverride.find.mockImplementation(() => query([{ permission: 'files.delete', subject: 'employee', allowed: true }]));
+
+    expect((await remove(sketch, users.otherEmployee)).status).toBe(403);
+    expect(File.findByIdAndDelete).not.toHaveBeenCalled();
+
+    expect((await remove(sketch, users.employee)).status).toBe(200);
+    expect(File.findByIdAndDelete).toHaveBeenCalledWith(sketch._id.toString());
+  });
+});
@@ -0,0 +1,88 @@
+const express = require('express');
+const request = require('supertest');
+const { query, makeUser, tokenFor } = require('../helpers');
+const User = require('../../src/models/User');
+const PermissionOverride = require('../../src/models/PermissionOverride');
+const { authenticate, requirePermission } = require('../../src/middleware/auth');
+const { clearCache } = require('../../src/utils/permissions');
+
+describe('permission routes', () => {
+  let app;
+  let users;
+  let overrides;
+
+  const owner = makeUser('owner');
+  const designer = makeUser('employee', 'designTeam');
+  const executive = makeUser('employee', 'executionTeam');
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/permissions', require('../../src/routes/permissions'));
+    app.get('/api/audit-log', authenticate, requirePermission('audit.view'), (req, res) => res.json({ success: true }));
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => { });
+    clearCache();
+
+    users = [owner, designer, executive];
+    jest.spyOn(User, 'findById').mockImplementation((id) => query(users.find((u) => u._id.equals(id)) || null));
+
+    overrides = [];
+    jest.spyOn(PermissionOverride, 'find').mockImplementation(() => query(overrides.map((doc) => ({ ...doc }))));
+    jest.spyOn(PermissionOverride, 'findOneAndUpdate').mockImplementation(async ({ permission, subject }, { $set }) => {
+      overrides = overrides.filter((doc) => doc.permission !== permission || doc.subject !== subject);
+      overrides.push({ permission, subject, ...$set });
+    });
+    jest.spyOn(PermissionOverride, 'deleteOne').mockImplementation(async ({ permission, subject }) => {
+      overrides = overrides.filter((doc) => doc.permission !== permission || doc.subject !== subject);
+    });
+  });
+
+  const auditLog = (user) => request(app).get('/api/audit-log').set('Authorization', tokenFor(user));
+  const update = (user, permission, body) => request(app)
+    .put(`/api/permissions/${permission}`)
+    .set('Authorization', tokenFor(user))
+    .send(body);
+
+  it('refuses users without the permission', async () => {
+    const res = await auditLog(designer);
+
+    expect(res.status).toBe(403);
+    expect(res.body.requiredPermission).toBe('audit.view');
+    expect((await auditLog(owner)).status).toBe(200);
+    expect((await request(app).get('/api/audit-log')).status).toBe(401);
+  });
+
+  it('rejects unknown permission names when routes are defined', () => {
+    expect(() => requirePermission('audit.delete')).toThrow('Unknown permission: audit.delete');
+  });
+
+  it('applies an override on the next request', async () => {
+    const res = await update(owner, 'audit.view', { subject: 'employee:designTeam', allowed: true });
+
+    expect(res.status).toBe(200);
+    expect(overrides).toEqual([expect.objectContaining({ permission: 'audit.view', subject: 'employee:designTeam', allowed: true, updatedBy: owner._id })]);
+    expect((await auditLog(designer)).status).toBe(200);
+    expect((await auditLog(executive)).status).toBe(403);
+
+    await update(owner, 'audit.view', { subject: 'employee:designTeam', allowed: null });
+    expect((await auditLog(designer)).status).toBe(403);
+  });
+
+  it('only lets permission managers edit permissions', async () => {
+    const res = await update(designer, 'audit.view', { subject: 'employee:designTeam', allowed: true });
+
+    expect(res.status).toBe(403);
+    expect(overrides).toHaveLength(0);
+    expect((await request(app).get('/api/permissions').set('Authorization', tokenFor(designer))).status).toBe(403);
+  });
+
+  it('validates the permission and subject', async () => {
+    expect((await update(owner, 'audit.delete', { subject: 'employee', allowed: true })).status).toBe(404);
+    expect((await update(owner, 'audit.view', { subject: 'owner', allowed: false })).status).toBe(400);
+    expect((await update(owner, 'audit.view', { subject: 'employee', allowed: 'yes' })).status).toBe(400);
+  });
+});
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { query, makeUser, tokenFor } = require('../helpers');
+const { createLocalDriver } = require('../../src/utils/storage/local');
+const { setStorage } = require('../../src/utils/storage');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const ProjectDocument = require('../../src/models/ProjectDocument');
+const PermissionOverride = require('../../src/models/PermissionOverride');
+
+const users = {
+  owner: makeUser('owner'),
+  client: makeUser('client'),
+  vendor: makeUser('vendor'),
+};
+
+const project = new Project({
+  title: 'Villa',
+  client: users.client._id,
+  assignedVendors: [users.vendor._id],
+  createdBy: users.owner._id,
+});
+
+const floorPlan = () => {
+  const document = new ProjectDocument({
+    project: project._id,
+    name: 'Floor Plan.pdf',
+    type: 'design',
+    createdBy: users.owner._id,
+  });
+  document.addVersion({ url: 'http://api.test/uploads/documents/plan-1.pdf', originalName: 'Floor Plan.pdf', size: 100, uploadedBy: users.owner._id });
+  return document;
+};
+
+describe('project documents', () => {
+  describe('versions', () => {
+    it('numbers versions and keeps the first current until another is marked', () => {
+      const document = floorPlan();
+      document.addVersion({ url: 'http://api.test/uploads/documents/plan-2.pdf', originalName: 'Floor Plan rev B.pdf', size: 140, notes: 'Moved the kitchen', uploadedBy: users.client._id });
+
+      expect(document.versions.map((version) => version.number)).toEqual([1, 2]);
+      expect(document.latestVersion).toBe(2);
+      expect(document.currentVersion).toBe(1);
+      expect(document.url).toBe('http://api.test/uploads/documents/plan-1.pdf');
+
+      const version = document.markCurrent(2, users.owner);
+      expect(version.approvedBy).toEqual(users.owner._id);
+      expect(document.url).toBe('http://api.test/uploads/documents/plan-2.pdf');
+      expect(document.markCurrent(5, users.owner)).toBeNull();
+    });
+
+    it('lists versions newest first with the metadata that changed', () => {
+      const document = floorPlan();
+      document.addVersion({ url: 'http://api.test/uploads/documents/plan-2.pdf', originalName: 'Floor Plan rev B.pdf', size: 140, notes: 'Moved the kitchen', uploadedBy: users.owner._id });
+
+      const history = document.toHistoryJSON();
+
+      expect(history.versions.map((version) => [version.number, version.isCurrent])).toEqual([[2, false], [1, true]]);
+      const fields = history.versions[0].changes.map((change) => change.field);
+      expect(fields).toEqual(expect.arrayContaining(['originalName', 'size', 'notes']));
+      expect(fields).not.toContain('uploadedBy');
+      expect(history.versions[0].changes.find((change) => change.field === 'size')).toEqual({ field: 'size', before: 100, after: 140 });
+      expect(history.versions[1].changes).toEqual([]);
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+    let root;
+    let storage;
+    let documents;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/projects', require('../../src/routes/projects'));
+    });
+
+    beforeEach(() => {
+      jest.restoreAllMocks();
+      jest.spyOn(console, 'error').mockImplementation(() => { });
+
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'documents-'));
+      storage = createLocalDriver({ root, baseUrl: 'http://api.test/uploads', secret: 'document-secret' });
+      jest.spyOn(storage, 'delete');
+      setStorage(storage);
+
+      documents = [floorPlan()];
+
+      jest.spyOn(User, 'findById').mockImplementation((id) => (
+        query(Object.values(users).find((user) => user._id.equals(id)) || null)
+      ));
+      jest.spyOn(PermissionOverride, 'find').mockImplementation(() => query([]));
+      jest.spyOn(Project, 'findById').mockImplementation((id) => query(project._id.equals(id) ? project : null));
+      jest.spyOn(ProjectDocument, 'find').mockImplementation(() => query(documents));
+      jest.spyOn(ProjectDocument, 'findOne').mockImplementation(({ _id }) => (
+        query(documents.find((document) => document._id.equals(_id)) || null)
+      ));
+      jest.spyOn(ProjectDocument, 'populate').mockImplementation(async (docs) => docs);
+      jest.spyOn(ProjectDocument.prototype, 'populate').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(ProjectDocument.prototype, 'save').mockImplementation(function () {
+        if (!documents.includes(this)) documents.push(this);
+        return Promise.resolve(this);
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('adds a re-uploaded document as its next version', async () => {
+      const res = await request(app)
+        .post(`/api/projects/${project._id}/upload-documents`)
+        .set('Authorization', tokenFor(users.client))
+        .field('notes', 'Bigger windows')
+        .attach('documents', Buffer.from('%PDF-1.4 revised'), { filename: 'floor plan.pdf', contentType: 'application/pdf' });
+
+      expect(res.status).toBe(200);
+      expect(documents).toHaveLength(1);
+      const [updated] = res.body.data.documents;
+      expect(updated.latestVersion).toBe(2);
+      expect(updated.currentVersion).toBe(1);
+      expect(updated.versions[0]).toEqual(expect.objectContaining({ number: 2, notes: 'Bigger windows', isCurrent: false }));
+    });
+
+    const upload = (user, files, fields = {}) => {
+      const req = request(app)
+        .post(`/api/projects/${project._id}/upload-documents`)
+        .set('Authorization', tokenFor(user));
+      Object.entries(fields).forEach(([field, value]) => req.field(field, value));
+      files.forEach((filename) => req.attach('documents', Buffer.from('%PDF-1.4'), { filename, contentType: 'application/pdf' }));
+      return req;
+    };
+    const deletedKeys = () => storage.delete.mock.calls.map(([key]) => key);
+
+    it('stores nothing when the target document is missing', async () => {
+      const res = await upload(users.client, ['floor plan.pdf'], { documentId: project._id.toString() });
+
+      expect(res.status).toBe(404);
+      expect(ProjectDocument.prototype.save).not.toHaveBeenCalled();
+      expect(documents[0].versions).toHaveLength(1);
+      expect(deletedKeys()).toEqual([expect.stringMatching(/\.pdf$/)]);
+    });
+
+    it('removes the files of documents that could not be saved', async () => {
+      ProjectDocument.prototype.save.mockImplementationOnce(function () {
+        return Promise.resolve(this);
+      }).mockImplementationOnce(() => Promise.reject(new Error('write conflict')));
+
+      const res = await upload(users.client, ['floor plan.pdf', 'Elevation.pdf']);
+
+      expect(res.status).toBe(500);
+      // The floor plan's new version was saved and keeps its file
+      expect(documents[0].versions).toHaveLength(2);
+      expect(deletedKeys()).toHaveLength(1);
+      expect(deletedKeys()[0]).not.toBe(storage.keyFromUrl(documents[0].versions[1].url));
+    });
+
+    it('lets project editors mark a version current and compare versions', async () => {
+      documents[0].addVersion({ url: 'http://api.test/uploads/documents/plan-2.pdf', originalName: 'Floor Plan.pdf', size: 180, uploadedBy: users.owner._id });
+      const url = `/api/projects/${project._id}/documents/${documents[0]._id}`;
+
+      const diff = await request(app).get(`${url}/diff`).set('Authorization', tokenFor(users.client));
+      expect(diff.status).toBe(200);
+      expect(diff.body.data).toEqual({
+        from: 1,
+        to: 2,
+        changes: expect.arrayContaining([{ field: 'size', before: 100, after: 180 }]),
+      });
+
+      const denied = await request(app).put(`${url}/current`).set('Authorization', tokenFor(users.client)).send({ version: 2 });
+      expect(denied.status).toBe(403);
+
+      const marked = await request(app).put(`${url}/current`).set('Authorization', tokenFor(users.owner)).send({ version: 2 });
+      expect(marked.status).toBe(200);
+      expect(marked.body.data.document.currentVersion).toBe(2);
+      expect(documents[0].getVersion(2).approvedBy).toEqual(users.owner._id);
+    });
+
+    it('hides invoice documents from vendors', async () => {
+      documents[0].type = 'invoice';
+
+      const list = await request(app).get(`/api/projects/${project._id}/documents`).set('Authorization', tokenFor(users.vendor));
+      expect(list.status).toBe(200);
+      expect(ProjectDocument.find).toHaveBeenCalledWith({ project: project._id.toString(), type: { $ne: 'invoice' } });
+
+      const diff = await request(app)
+        .get(`/api/projects/${project._id}/documents/${documents[0]._id}/diff`)
+        .set('Authorization', tokenFor(users.vendor));
+      expect(diff.status).toBe(404);
+    });
+  });
+});
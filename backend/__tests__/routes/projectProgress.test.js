@@ -0,0 +1,123 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { query, makeUser, tokenFor } = require('../helpers');
+const { progressBreakdown, refreshProgress } = require('../../src/utils/projectProgress');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const Task = require('../../src/models/Task');
+const PurchaseOrder = require('../../src/models/PurchaseOrder');
+const PermissionOverride = require('../../src/models/PermissionOverride');
+
+const owner = makeUser('owner');
+const token = tokenFor(owner);
+
+const makeProject = (progress) => new Project({
+  projectId: 'HW-00001',
+  title: 'Lake House',
+  description: 'Two-storey lakeside home',
+  projectType: 'residential',
+  client: new mongoose.Types.ObjectId(),
+  createdBy: owner._id,
+  progress: {
+    milestones: [
+      { name: 'Foundation', status: 'completed' },
+      { name: 'Structure', status: 'in-progress' },
+    ],
+    ...progress,
+  },
+});
+
+const tasks = ['completed', 'completed', 'pending', 'cancelled'].map((status) => ({ status }));
+const order = (...deliveryStatuses) => new PurchaseOrder({
+  items: deliveryStatuses.map((deliveryStatus) => ({ itemName: 'Cement', quantity: 1, unit: 'bag', unitPrice: 1, deliveryStatus })),
+});
+
+describe('automatic project progress', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/projects', require('../../src/routes/projects'));
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(owner));
+    jest.spyOn(PermissionOverride, 'find').mockImplementation(() => query([]));
+    jest.spyOn(Task, 'find').mockImplementation(() => query(tasks));
+    jest.spyOn(PurchaseOrder, 'find').mockImplementation(() => query([order('delivered', 'delivered'), order('delivered', 'pending')]));
+  });
+
+  it('weights milestones, tasks and deliveries into one figure', () => {
+    const { percentage, parts } = progressBreakdown(
+      makeProject().progress,
+      tasks,
+      [order('delivered', 'delivered'), order('delivered', 'pending')]
+    );
+
+    expect(parts.map(({ key, value, share, contribution }) => ({ key, value, share, contribution }))).toEqual([
+      { key: 'milestones', value: 50, share: 50, contribution: 25 },
+      { key: 'tasks', value: 66.7, share: 30, contribution: 20 },
+      { key: 'deliveries', value: 75, share: 20, contribution: 15 },
+    ]);
+    expect(percentage).toBe(60);
+  });
+
+  it('shares the weight of parts with nothing in them yet', () => {
+    const { percentage, parts } = progressBreakdown(makeProject().progress, tasks, []);
+
+    expect(parts.find((part) => part.key === 'deliveries')).toEqual(expect.objectContaining({ included: false, share: 0 }));
+    expect(parts.find((part) => part.key === 'milestones').share).toBe(62.5);
+    // 50 * 0.625 + 66.7 * 0.375
+    expect(percentage).toBe(56);
+    expect(progressBreakdown({}, [], []).percentage).toBe(0);
+  });
+
+  it('stores the new figure for auto projects only', async () => {
+    const update = jest.spyOn(Project, 'updateOne').mockResolvedValue({});
+    const manual = makeProject();
+    jest.spyOn(Project, 'findById').mockImplementation(() => query(manual));
+    expect(await refreshProgress(manual._id)).toBeNull();
+    expect(update).not.toHaveBeenCalled();
+
+    const auto = makeProject({ mode: 'auto', percentage: 10 });
+    Project.findById.mockImplementation(() => query(auto));
+    expect(await refreshProgress(auto._id)).toBe(60);
+    expect(update).toHaveBeenCalledWith(
+      { _id: auto._id },
+      { $set: { 'progress.percentage': 60, 'progress.lastUpdated': expect.any(Date) } }
+    );
+  });
+
+  it('recomputes on save when milestones change', async () => {
+    const project = makeProject({ mode: 'auto' });
+    project.progress.milestones[1].status = 'completed';
+    // Run the save hooks without a database
+    await new Promise((resolve, reject) => {
+      Project.schema.s.hooks.execPre('save', project, [{}], (error) => (error ? reject(error) : resolve()));
+    });
+
+    // 100 * 0.5 + 66.7 * 0.3 + 75 * 0.2
+    expect(project.progress.percentage).toBe(85);
+  });
+
+  it('explains the figure and refuses typed-in values in auto mode', async () => {
+    const project = makeProject({ mode: 'auto', percentage: 60 });
+    jest.spyOn(Project, 'findById').mockImplementation(() => query(project));
+
+    const breakdown = await request(app).get(`/api/projects/${project._id}/progress`).set('Authorization', token);
+    expect(breakdown.status).toBe(200);
+    expect(breakdown.body.data.progress).toEqual(expect.objectContaining({ mode: 'auto', percentage: 60, computedPercentage: 60 }));
+    expect(breakdown.body.data.progress.parts).toHaveLength(3);
+
+    const typed = await request(app)
+      .put(`/api/projects/${project._id}/progress`)
+      .set('Authorization', token)
+      .send({ percentage: 90 });
+    expect(typed.status).toBe(400);
+    expect(project.progress.percentage).toBe(60);
+  });
+});
@@ -0,0 +1,190 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { query, makeUser, tokenFor } = require('../helpers');
+const { templateFromProject } = require('../../src/utils/projectTemplates');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const ProjectDocument = require('../../src/models/ProjectDocument');
+const ProjectTemplate = require('../../src/models/ProjectTemplate');
+const Task = require('../../src/models/Task');
+const MaterialRequest = require('../../src/models/MaterialRequest');
+const PermissionOverride = require('../../src/models/PermissionOverride');
+
+const owner = makeUser('owner');
+const token = tokenFor(owner);
+
+const source = new Project({
+  title: 'Lake House',
+  description: 'Three bedroom house by the lake',
+  client: new mongoose.Types.ObjectId(),
+  createdBy: owner._id,
+  projectType: 'residential',
+  budget: { estimated: 1000000 },
+  timeline: { startDate: new Date('2026-03-02'), expectedEndDate: new Date('2026-05-01') },
+  progress: {
+    milestones: [{ name: 'Foundation', targetDate: new Date('2026-03-16'), status: 'completed' }],
+  },
+  paymentSchedule: [
+    { name: 'Advance', amount: 200000, dueDate: new Date('2026-03-02'), status: 'paid' },
+    { name: 'Structure', amount: 300000, dueDate: new Date('2026-04-01') },
+  ],
+});
+
+const task = (fields) => new Task({ projectId: source._id, time: '09:00', createdBy: owner._id, ...fields });
+
+const callId = new mongoose.Types.ObjectId();
+const tasks = [
+  task({ taskName: 'Kick-off meeting', date: new Date('2026-03-02'), status: 'completed' }),
+  task({ _id: callId, series: callId, taskName: 'Client call', date: new Date('2026-03-04'), time: '17:00', recurrence: { frequency: 'weekly', until: new Date('2026-03-18') } }),
+  task({ series: callId, taskName: 'Client call', date: new Date('2026-03-11'), time: '17:00' }),
+  task({ series: callId, taskName: 'Client call', date: new Date('2026-03-18'), time: '17:00' }),
+  task({ taskName: 'Pool survey', date: new Date('2026-03-05'), status: 'cancelled' }),
+];
+
+const materialRequest = (fields) => ({
+  requiredBy: new Date('2026-03-09'),
+  materials: [{ name: 'Cement', quantity: 50, unit: 'kg', category: 'cement', requiredBy: new Date('2026-03-09') }],
+  ...fields,
+});
+const materialRequests = [
+  materialRequest({ title: 'Foundation materials', status: 'fulfilled' }),
+  materialRequest({ title: 'Imported marble', status: 'rejected' }),
+];
+
+const documents = [
+  { name: 'Floor Plan', type: 'design' },
+  { name: 'Invoice 1', type: 'invoice' },
+];
+
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+describe('project templates', () => {
+  let app;
+  let emitted;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    // Records which rooms each socket event went to ('*' for a broadcast)
+    app.set('io', {
+      to: (rooms) => ({ emit: (event) => emitted.push({ event, rooms: [].concat(rooms) }) }),
+      emit: (event) => emitted.push({ event, rooms: ['*'] }),
+    });
+    app.use('/api/projects', require('../../src/routes/projects'));
+    app.use('/api/project-templates', require('../../src/routes/projectTemplates'));
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+    emitted = [];
+    jest.spyOn(User, 'findById').mockImplementation(() => query(owner));
+    jest.spyOn(PermissionOverride, 'find').mockImplementation(() => query([]));
+    jest.spyOn(Project, 'findById').mockImplementation(() => query(source));
+  });
+
+  it('saves dates as days from the project start', () => {
+    const template = templateFromProject(source, { tasks, materialRequests, documents });
+
+    expect(template.durationDays).toBe(60);
+    expect(template.milestones).toEqual([expect.objectContaining({ name: 'Foundation', dayOffset: 14 })]);
+    expect(template.paymentSchedule).toEqual([
+      { name: 'Advance', percentage: 20, dayOffset: 0 },
+      { name: 'Structure', percentage: 30, dayOffset: 30 },
+    ]);
+    // The call series keeps its first task, repeated as often as it was
+    expect(template.tasks.map((item) => [item.taskName, item.dayOffset])).toEqual([
+      ['Kick-off meeting', 0],
+      ['Client call', 2],
+    ]);
+    expect(template.tasks[1].recurrence).toEqual(expect.objectContaining({ frequency: 'weekly', count: 3 }));
+    expect(template.materialRequests.map((item) => [item.title, item.dayOffset])).toEqual([['Foundation materials', 7]]);
+    expect(template.documentChecklist).toEqual([{ name: 'Floor Plan', type: 'design', required: true }]);
+  });
+
+  it('duplicates a project with its dates shifted to the new start', async () => {
+    jest.spyOn(Task, 'find').mockImplementation(() => query(tasks));
+    jest.spyOn(MaterialRequest, 'find').mockImplementation(() => query(materialRequests));
+    jest.spyOn(ProjectDocument, 'find').mockImplementation(() => query(documents));
+    jest.spyOn(Project.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(Project.prototype, 'populate').mockImplementation(async function () { return this; });
+    jest.spyOn(Task, 'create').mockImplementation(async (fields) => new Task(fields));
+    jest.spyOn(Task, 'insertMany').mockImplementation(async (docs) => docs);
+    const created = [];
+    jest.spyOn(MaterialRequest, 'create').mockImplementation(async (fields) => {
+      created.push(fields);
+      return new MaterialRequest(fields);
+    });
+
+    const res = await request(app)
+      .post(`/api/projects/${source._id}/duplicate`)
+      .set('Authorization', token)
+      .send({ startDate: '2031-06-02' });
+
+    expect(res.status).toBe(201);
+    const { project } = res.body.data;
+    expect(project.title).toBe('Lake House (copy)');
+    expect(project.client).toBe(source.client.toString());
+    expect(day(project.timeline.expectedEndDate)).toBe('2031-08-01');
+    expect(project.progress.milestones.map((milestone) => [milestone.status, day(milestone.targetDate)])).toEqual([['pending', '2031-06-16']]);
+    expect(project.paymentSchedule.map((payment) => [payment.amount, payment.status, day(payment.dueDate)])).toEqual([
+      [200000, 'pending', '2031-06-02'],
+      [300000, 'pending', '2031-07-02'],
+    ]);
+    expect(project.documentChecklist.map((item) => item.name)).toEqual(['Floor Plan']);
+
+    expect(res.body.data.tasks).toBe(4);
+    const calls = Task.insertMany.mock.calls[0][0];
+    expect(calls.map((call) => day(call.date))).toEqual(['2031-06-04', '2031-06-11', '2031-06-18']);
+    expect(created.map((item) => [item.title, day(item.requiredBy)])).toEqual([['Foundation materials', '2031-06-09']]);
+  });
+
+  it('keeps payment percentages within the budget', async () => {
+    const res = await request(app)
+      .put(`/api/project-templates/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', token)
+      .send({
+        paymentSchedule: [
+          { name: 'Advance', percentage: 60 },
+          { name: 'Handover', percentage: 50 },
+        ],
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([expect.objectContaining({ field: 'paymentSchedule', code: 'INVALID' })]);
+  });
+
+  it('creates a project from a template for a client', async () => {
+    const template = new ProjectTemplate({
+      name: 'Villa',
+      projectType: 'residential',
+      durationDays: 90,
+      paymentSchedule: [{ name: 'Advance', percentage: 25, dayOffset: 0 }],
+      tasks: [{ taskName: 'Kick-off meeting' }],
+      createdBy: owner._id,
+    });
+    const client = { _id: new mongoose.Types.ObjectId(), role: 'client' };
+    jest.spyOn(ProjectTemplate, 'findById').mockImplementation(() => query(template));
+    User.findById.mockImplementation((id) => query(id.toString() === client._id.toString() ? client : owner));
+    jest.spyOn(Project.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(Project.prototype, 'populate').mockImplementation(async function () { return this; });
+    jest.spyOn(Task, 'create').mockImplementation(async (fields) => new Task(fields));
+
+    const res = await request(app)
+      .post(`/api/project-templates/${template._id}/instantiate`)
+      .set('Authorization', token)
+      .send({ title: 'Hill Villa', clientId: client._id.toString(), startDate: '2031-01-06', budget: 400000 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.project).toEqual(expect.objectContaining({ title: 'Hill Villa', projectType: 'residential' }));
+    expect(day(res.body.data.project.timeline.expectedEndDate)).toBe('2031-04-06');
+    expect(res.body.data.project.paymentSchedule).toEqual([expect.objectContaining({ amount: 100000 })]);
+    expect(Task.create).toHaveBeenCalledWith(expect.objectContaining({ taskName: 'Kick-off meeting', date: new Date('2031-01-06') }));
+    // Announced to owners and the new project's members, not to everyone
+    expect(emitted).toEqual([{
+      event: 'projectUpdated',
+      rooms: ['role_owner', `user_${client._id}`, `user_${owner._id}`],
+    }]);
+  });
+});
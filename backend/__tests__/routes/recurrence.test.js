@@ -0,0 +1,122 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { query, makeUser, tokenFor } = require('../helpers');
+const { occurrenceDates } = require('../../src/utils/recurrence');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const Task = require('../../src/models/Task');
+const TaskTemplate = require('../../src/models/TaskTemplate');
+const PermissionOverride = require('../../src/models/PermissionOverride');
+
+const owner = makeUser('owner');
+const token = tokenFor(owner);
+
+const project = new Project({
+  title: 'Lake House',
+  client: new mongoose.Types.ObjectId(),
+  createdBy: owner._id,
+  projectType: 'residential',
+  timeline: { startDate: new Date('2026-03-02'), expectedEndDate: new Date('2026-03-31') },
+});
+
+const day = (date) => date.toISOString().slice(0, 10);
+
+describe('recurring tasks', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/tasks', require('../../src/routes/tasks'));
+    app.use('/api/task-templates', require('../../src/routes/taskTemplates'));
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(owner));
+    jest.spyOn(PermissionOverride, 'find').mockImplementation(() => query([]));
+    jest.spyOn(Project, 'findById').mockImplementation(() => query(project));
+    // Nothing is stored; the progress refresh finds a manual project
+    jest.spyOn(Task, 'insertMany').mockImplementation(async (docs) => docs);
+  });
+
+  it('lays out daily, weekly and monthly occurrences', () => {
+    // 2026-03-06 is a Friday
+    expect(occurrenceDates('2026-03-06', { frequency: 'daily', count: 4, skipWeekends: true }).map(day))
+      .toEqual(['2026-03-06', '2026-03-09', '2026-03-10', '2026-03-11']);
+    expect(occurrenceDates('2026-03-06', { frequency: 'weekly', interval: 2, until: '2026-04-03' }).map(day))
+      .toEqual(['2026-03-06', '2026-03-20', '2026-04-03']);
+    expect(occurrenceDates('2026-01-31', { frequency: 'monthly', count: 4 }).map(day))
+      .toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+    // 2026-02-28 is a Saturday
+    expect(occurrenceDates('2026-01-28', { frequency: 'monthly', count: 2, skipWeekends: true }).map(day))
+      .toEqual(['2026-01-28', '2026-03-02']);
+    expect(occurrenceDates('2026-01-01', { frequency: 'daily' })).toHaveLength(366);
+  });
+
+  it('creates every occurrence of a series with the first task', async () => {
+    const tasks = await Task.createWithOccurrences({
+      projectId: project._id,
+      taskName: 'Client call',
+      date: new Date('2026-03-02'),
+      time: '10:00',
+      duration: 0,
+      recurrence: { frequency: 'weekly', count: 3 },
+      createdBy: owner._id,
+    });
+
+    expect(tasks.map((task) => day(task.date))).toEqual(['2026-03-02', '2026-03-09', '2026-03-16']);
+    expect(tasks.every((task) => task.series.equals(tasks[0]._id))).toBe(true);
+    expect(tasks[0].recurrence.frequency).toBe('weekly');
+    expect(tasks[1].recurrence).toBeUndefined();
+    expect(tasks[2].duration).toBe(0);
+  });
+
+  it('needs an end date or a count to repeat', async () => {
+    const res = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', token)
+      .send({
+        projectId: project._id.toString(),
+        taskName: 'Site visit',
+        date: '2026-03-02',
+        time: '09:00',
+        recurrence: { frequency: 'daily' },
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([expect.objectContaining({ field: 'recurrence', code: 'REQUIRED' })]);
+  });
+
+  it('applies a project type template from the project start', async () => {
+    const template = new TaskTemplate({
+      name: 'Residential basics',
+      projectType: 'residential',
+      createdBy: owner._id,
+      tasks: [
+        { taskName: 'Kick-off meeting', dayOffset: 0 },
+        { taskName: 'Weekly client call', dayOffset: 2, time: '17:00', recurrence: { frequency: 'weekly' } },
+      ],
+    });
+    jest.spyOn(TaskTemplate, 'findById').mockImplementation(() => query(template));
+    jest.spyOn(Task, 'create').mockImplementation(async (fields) => new Task(fields));
+
+    const res = await request(app)
+      .post(`/api/task-templates/${template._id}/apply`)
+      .set('Authorization', token)
+      .send({ projectId: project._id.toString() });
+
+    expect(res.status).toBe(201);
+    // The weekly call runs until the expected end date
+    expect(res.body.data.tasks.map((task) => [task.taskName, day(new Date(task.date))])).toEqual([
+      ['Kick-off meeting', '2026-03-02'],
+      ['Weekly client call', '2026-03-04'],
+      ['Weekly client call', '2026-03-11'],
+      ['Weekly client call', '2026-03-18'],
+      ['Weekly client call', '2026-03-25'],
+    ]);
+    expect(res.body.data.tasks[1].time).toBe('17:00');
+  });
+});
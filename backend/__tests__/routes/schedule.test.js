@@ -0,0 +1,136 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { query, makeUser, tokenFor } = require('../helpers');
+const { buildSchedule, createsCycle } = require('../../src/utils/schedule');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const Task = require('../../src/models/Task');
+const PermissionOverride = require('../../src/models/PermissionOverride');
+
+const owner = makeUser('owner');
+const token = tokenFor(owner);
+
+const project = new Project({
+  title: 'Lake House',
+  client: new mongoose.Types.ObjectId(),
+  createdBy: owner._id,
+  timeline: { expectedEndDate: new Date('2026-03-10') },
+  progress: { milestones: [{ name: 'Structure' }, { name: 'Finishing' }] },
+});
+const [structure, finishing] = project.progress.milestones;
+
+const makeTask = (taskName, startDate, duration, fields = {}) => new Task({
+  projectId: project._id,
+  taskName,
+  date: new Date(startDate),
+  time: '09:00',
+  duration,
+  createdBy: owner._id,
+  ...fields,
+});
+
+const after = (task, type = 'finish-to-start', lag = 0) => ({ task: task._id, type, lag });
+
+describe('project schedule', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/projects', require('../../src/routes/projects'));
+    app.use('/api/tasks', require('../../src/routes/tasks'));
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(owner));
+    jest.spyOn(PermissionOverride, 'find').mockImplementation(() => query([]));
+    jest.spyOn(Project, 'findById').mockImplementation(() => query(project));
+  });
+
+  it('fills start, end and duration from each other', async () => {
+    const legacy = makeTask('Site visit', '2026-03-02', undefined);
+    await legacy.validate();
+    expect(legacy.startDate).toEqual(new Date('2026-03-02'));
+    expect(legacy.duration).toBe(1);
+    expect(legacy.endDate).toEqual(new Date('2026-03-03'));
+
+    const ranged = makeTask('Plastering', '2026-03-02', undefined, { endDate: new Date('2026-03-06') });
+    await ranged.validate();
+    expect(ranged.duration).toBe(4);
+  });
+
+  it('starts tasks after their predecessors and finds the critical path', () => {
+    const foundation = makeTask('Foundation', '2026-03-01', 5, { milestone: structure._id });
+    const walls = makeTask('Walls', '2026-03-01', 4, { milestone: structure._id, dependencies: [after(foundation)] });
+    // Wiring can start two days into the walls and has time to spare
+    const wiring = makeTask('Wiring', '2026-03-01', 1, { milestone: finishing._id, dependencies: [after(walls, 'start-to-start', 2)] });
+    const painting = makeTask('Painting', '2026-03-01', 3, {
+      milestone: finishing._id,
+      dependencies: [after(walls), after(wiring)],
+    });
+    const cancelled = makeTask('Old plan', '2026-02-01', 30, { status: 'cancelled' });
+    const tiling = makeTask('Tiling', '2026-03-01', 1, { dependencies: [after(cancelled)] });
+
+    const schedule = buildSchedule([painting, wiring, walls, foundation, cancelled, tiling], project.progress.milestones);
+    const byName = Object.fromEntries(schedule.tasks.map((task) => [task.taskName, task]));
+
+    expect(byName.Walls.start).toEqual(new Date('2026-03-06'));
+    expect(byName.Wiring.start).toEqual(new Date('2026-03-08'));
+    expect(byName.Painting.start).toEqual(new Date('2026-03-10'));
+    expect(byName.Painting.delayed).toBe(true);
+    expect(byName.Wiring.slack).toBe(1);
+    expect(byName.Tiling.dependencies).toEqual([]);
+    expect(byName['Old plan']).toBeUndefined();
+
+    expect(schedule.end).toEqual(new Date('2026-03-13'));
+    expect(schedule.duration).toBe(12);
+    expect(schedule.criticalPath).toEqual([foundation, walls, painting].map((task) => task._id.toString()));
+    expect(schedule.milestones.map(({ name, tasks, critical }) => ({ name, tasks: tasks.length, critical }))).toEqual([
+      { name: 'Structure', tasks: 2, critical: true },
+      { name: 'Finishing', tasks: 2, critical: true },
+    ]);
+  });
+
+  it('spots dependencies that would loop back to the task', () => {
+    const a = makeTask('A', '2026-03-01', 1);
+    const b = makeTask('B', '2026-03-01', 1, { dependencies: [after(a)] });
+    const c = makeTask('C', '2026-03-01', 1, { dependencies: [after(b)] });
+
+    expect(createsCycle(a._id, [after(c)], [b, c])).toBe(true);
+    expect(createsCycle(a._id, [after(a)], [b, c])).toBe(true);
+    expect(createsCycle(c._id, [after(a)], [a, b])).toBe(false);
+    expect(createsCycle(null, [after(c)], [a, b, c])).toBe(false);
+  });
+
+  it('serves the schedule at /api/projects/:id/schedule', async () => {
+    const first = makeTask('Foundation', '2026-03-01', 5);
+    const second = makeTask('Walls', '2026-03-01', 4, { dependencies: [after(first)] });
+    jest.spyOn(Task, 'find').mockImplementation(() => query([first, second]));
+
+    const res = await request(app).get(`/api/projects/${project._id}/schedule`).set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.schedule.criticalPath).toEqual([first._id.toString(), second._id.toString()]);
+    expect(res.body.data.schedule.late).toBe(false);
+  });
+
+  it('rejects dependencies that form a cycle', async () => {
+    const first = makeTask('Foundation', '2026-03-01', 5);
+    const second = makeTask('Walls', '2026-03-01', 4, { dependencies: [after(first)] });
+    jest.spyOn(Task, 'findById').mockImplementation(() => query(first));
+    jest.spyOn(Task, 'find').mockImplementation(() => query([first, second]));
+    const save = jest.spyOn(Task.prototype, 'save');
+
+    const res = await request(app)
+      .put(`/api/tasks/${first._id}`)
+      .set('Authorization', token)
+      .send({ dependencies: [{ task: second._id.toString() }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('These dependencies would make the task wait on itself');
+    expect(save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,92 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { query, makeUser, tokenFor } = require('../helpers');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const PurchaseOrder = require('../../src/models/PurchaseOrder');
+const ClientInvoice = require('../../src/models/ClientInvoice');
+const VendorInvoice = require('../../src/models/VendorInvoice');
+const MaterialRequest = require('../../src/models/MaterialRequest');
+const File = require('../../src/models/File');
+const PermissionOverride = require('../../src/models/PermissionOverride');
+
+const SEARCHED_MODELS = { Project, User, PurchaseOrder, ClientInvoice, VendorInvoice, MaterialRequest, File };
+
+const users = {
+  owner: makeUser('owner', 'none', { firstName: 'owner', lastName: 'Test' }),
+  employee: makeUser('employee', 'designTeam', { firstName: 'employee', lastName: 'Test' }),
+  vendor: makeUser('vendor', 'none', { firstName: 'vendor', lastName: 'Test' }),
+};
+
+describe('global search', () => {
+  let app;
+  let found; // Model name -> documents returned by find
+  let filters; // Model name -> filters passed to find
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/search', require('../../src/routes/search'));
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+    found = {};
+    filters = {};
+
+    jest.spyOn(User, 'findById').mockImplementation((id) => (
+      query(Object.values(users).find((user) => user._id.equals(id)) || null)
+    ));
+    jest.spyOn(PermissionOverride, 'find').mockImplementation(() => query([]));
+    Object.entries(SEARCHED_MODELS).forEach(([name, Model]) => {
+      jest.spyOn(Model, 'find').mockImplementation((filter) => {
+        filters[name] = [...(filters[name] || []), filter];
+        return query(found[name] || []);
+      });
+    });
+  });
+
+  const search = (user, params) => request(app)
+    .get('/api/search')
+    .query(params)
+    .set('Authorization', tokenFor(user));
+
+  it('only searches what a vendor can already see', async () => {
+    const res = await search(users.vendor, { q: 'tiles' });
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body.data.results).sort()).toEqual(['files', 'invoices', 'materials', 'projects', 'purchaseOrders']);
+    expect(filters.ClientInvoice).toBeUndefined();
+    expect(filters.User).toBeUndefined();
+    expect(filters.PurchaseOrder[0]).toEqual({ vendor: users.vendor._id, $text: { $search: 'tiles' } });
+    expect(filters.VendorInvoice[0]).toEqual({ vendor: users.vendor._id, $text: { $search: 'tiles' } });
+    expect(filters.MaterialRequest[0].$or).toEqual([
+      { requestedBy: users.vendor._id },
+      { 'assignedVendors.vendor': users.vendor._id },
+    ]);
+  });
+
+  it('matches identifiers by prefix and lists those hits first', async () => {
+    const byId = { _id: new mongoose.Types.ObjectId(), projectId: 'HW-00012', title: 'Villa', status: 'in-progress' };
+    const byText = { _id: new mongoose.Types.ObjectId(), projectId: 'HW-00040', title: 'HW-00012 extension', status: 'planning' };
+    found.Project = [byId, byText];
+
+    const res = await search(users.owner, { q: 'hw-0001', types: 'projects' });
+
+    expect(res.status).toBe(200);
+    const identifierFilter = filters.Project.find((filter) => filter.$and);
+    expect(identifierFilter.$and[1].projectId.test('HW-00012')).toBe(true);
+    expect(identifierFilter.$and[1].projectId.test('XHW-00012')).toBe(false);
+    expect(res.body.data.results.projects.map((result) => result.title)).toEqual(['Villa', 'HW-00012 extension']);
+    expect(res.body.data.results.projects[0]).toEqual(expect.objectContaining({ type: 'projects', subtitle: 'HW-00012' }));
+    expect(res.body.data.total).toBe(2);
+  });
+
+  it('rejects short queries and unknown types', async () => {
+    expect((await search(users.employee, { q: ' a ' })).status).toBe(400);
+    expect((await search(users.employee, { q: 'tiles', types: 'projects,payroll' })).status).toBe(400);
+    expect(filters.Project).toBeUndefined();
+  });
+});
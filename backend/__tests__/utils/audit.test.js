@@ -0,0 +1,188 @@
+const express = require('express');
+const multer = require('multer');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { query, makeUser, tokenFor } = require('../helpers');
+const User = require('../../src/models/User');
+const AuditEvent = require('../../src/models/AuditEvent');
+const { requestContext, setAuditActor, getAuditContext, diff, auditPlugin } = require('../../src/utils/audit');
+
+describe('audit diff', () => {
+  const options = {
+    ignore: new Set(['_id', 'updatedAt', 'lastLogin']),
+    redact: new Set(['password']),
+  };
+
+  it('lists changed top-level fields with before and after values', () => {
+    const before = { _id: 1, status: 'planning', budget: { estimated: 10 }, updatedAt: 1 };
+    const after = { _id: 1, status: 'in-progress', budget: { estimated: 10 }, updatedAt: 2 };
+
+    expect(diff(before, after, options)).toEqual([
+      { field: 'status', before: 'planning', after: 'in-progress' },
+    ]);
+  });
+
+  it('ignores key order and compares ids by value', () => {
+    const id = new mongoose.Types.ObjectId();
+    const before = { client: id, budget: { estimated: 10, actual: 5 } };
+    const after = { client: new mongoose.Types.ObjectId(id.toString()), budget: { actual: 5, estimated: 10 } };
+
+    expect(diff(before, after, options)).toEqual([]);
+  });
+
+  it('redacts sensitive fields and skips ignored ones', () => {
+    const changes = diff(
+      { password: 'old-hash', lastLogin: 1 },
+      { password: 'new-hash', lastLogin: 2 },
+      options
+    );
+
+    expect(changes).toEqual([{ field: 'password', before: '[redacted]', after: '[redacted]' }]);
+  });
+
+  it('records every field of a created document', () => {
+    expect(diff(null, { title: 'New' }, options)).toEqual([
+      { field: 'title', before: null, after: 'New' },
+    ]);
+  });
+});
+
+describe('audit request context', () => {
+  const buildApp = () => {
+    const app = express();
+    app.use(express.json());
+    app.use(requestContext);
+    app.use((req, res, next) => {
+      setAuditActor({ _id: 'user-1', role: 'owner' });
+      next();
+    });
+
+    const respondWithContext = (req, res) => res.json(getAuditContext() || null);
+    app.post('/json', respondWithContext);
+    app.post('/upload', multer({ storage: multer.memoryStorage() }).single('file'), respondWithContext);
+    return app;
+  };
+
+  it('records the actor and user agent of the request', async () => {
+    const res = await request(buildApp()).post('/json').set('User-Agent', 'tests').send({ a: 1 });
+
+    expect(res.body).toMatchObject({ actor: 'user-1', actorRole: 'owner', userAgent: 'tests' });
+  });
+
+  it('keeps the context through multipart uploads', async () => {
+    const res = await request(buildApp()).post('/upload').attach('file', Buffer.from('data'), 'a.txt');
+
+    expect(res.body).toMatchObject({ actor: 'user-1', actorRole: 'owner' });
+  });
+
+  it('is empty outside a request', () => {
+    expect(getAuditContext()).toBeUndefined();
+  });
+});
+
+describe('audit plugin bulk writes', () => {
+  const schema = new mongoose.Schema({ title: String, status: String, project: mongoose.Schema.Types.ObjectId });
+  schema.plugin(auditPlugin, { projectField: 'project' });
+  const Item = mongoose.model('AuditedItem', schema);
+
+  const project = new mongoose.Types.ObjectId();
+  const items = ['Tile', 'Paint'].map((title) => ({ _id: new mongoose.Types.ObjectId(), title, status: 'open', project }));
+  let events;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    events = [];
+    jest.spyOn(AuditEvent, 'create').mockImplementation(async (event) => events.push(event));
+    // Writes succeed without a database; the hooks around them still run
+    jest.spyOn(mongoose.Query.prototype, '_updateMany').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(mongoose.Query.prototype, '_deleteMany').mockResolvedValue({ deletedCount: 2 });
+    jest.spyOn(Item.collection, 'insertMany').mockImplementation(async (docs) => ({ insertedCount: docs.length }));
+  });
+
+  it('records one update per document changed by updateMany', async () => {
+    jest.spyOn(Item, 'find')
+      .mockImplementationOnce(() => query(items))
+      .mockImplementationOnce(() => query(items.map((item) => ({ ...item, status: 'done' }))));
+
+    await Item.updateMany({ project }, { $set: { status: 'done' } });
+
+    expect(events).toEqual(items.map((item) => expect.objectContaining({
+      entityType: 'AuditedItem',
+      entityId: item._id,
+      project,
+      action: 'update',
+      changes: [{ field: 'status', before: 'open', after: 'done' }],
+    })));
+  });
+
+  it('records one delete per document removed by deleteMany', async () => {
+    jest.spyOn(Item, 'find').mockImplementation(() => query(items));
+
+    await Item.deleteMany({ project });
+
+    expect(events.map((event) => [event.action, event.entityId])).toEqual(items.map((item) => ['delete', item._id]));
+  });
+
+  it('records a create per document added by insertMany', async () => {
+    const inserted = await Item.insertMany([{ title: 'Grout', project }, { title: 'Sealant', project }]);
+
+    expect(events.map((event) => [event.action, event.entityId])).toEqual(inserted.map((item) => ['create', item._id]));
+    expect(events[0].changes).toEqual(expect.arrayContaining([{ field: 'title', before: null, after: 'Grout' }]));
+  });
+});
+
+describe('audit route', () => {
+  const owner = makeUser('owner');
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use('/api/audit', require('../../src/routes/audit'));
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => { });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(owner));
+    jest.spyOn(AuditEvent, 'find').mockImplementation(() => query([]));
+    jest.spyOn(AuditEvent, 'countDocuments').mockResolvedValue(0);
+  });
+
+  const list = (params) => request(app).get('/api/audit').query(params).set('Authorization', tokenFor(owner));
+
+  it('filters by date range', async () => {
+    const res = await list({ from: '2026-03-01', to: '2026-03-31T23:59:59Z' });
+
+    expect(res.status).toBe(200);
+    expect(AuditEvent.find).toHaveBeenCalledWith({
+      createdAt: { $gte: new Date('2026-03-01'), $lte: new Date('2026-03-31T23:59:59Z') },
+    });
+  });
+
+  it('rejects dates it cannot parse', async () => {
+    const res = await list({ from: 'last week' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid from date');
+    expect((await list({ to: '2026-13-45' })).status).toBe(400);
+    expect(AuditEvent.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('user audit options', () => {
+  it('records calendar feed changes without the token hash', async () => {
+    const user = { _id: new mongoose.Types.ObjectId(), firstName: 'Dev', calendarFeed: { tokenHash: null } };
+    const events = [];
+    jest.spyOn(AuditEvent, 'create').mockImplementation(async (event) => events.push(event));
+    jest.spyOn(mongoose.Query.prototype, '_updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'findOne').mockImplementation(() => query(user));
+    jest.spyOn(User, 'findById').mockImplementation(() => query({ ...user, calendarFeed: { tokenHash: 'abc123' } }));
+
+    await User.updateOne({ _id: user._id }, { $set: { 'calendarFeed.tokenHash': 'abc123' } });
+
+    expect(events).toEqual([expect.objectContaining({
+      action: 'update',
+      changes: [{ field: 'calendarFeed', before: '[redacted]', after: '[redacted]' }],
+    })]);
+  });
+});
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const EmailOutbox = require('../../src/models/EmailOutbox');
+const Notification = require('../../src/models/Notification');
+const { renderTemplate } = require('../../src/utils/emailTemplates');
+const { sendEmail } = require('../../src/utils/emailService');
+const { queueEmail, processOutbox, backoffMs } = require('../../src/utils/emailOutbox');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('email', () => {
+  const env = { ...process.env };
+  let mailDir;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => { });
+    jest.spyOn(console, 'warn').mockImplementation(() => { });
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+
+    mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'houseway-mail-'));
+    process.env.EMAIL_LOCAL_DIR = mailDir;
+    delete process.env.EMAIL_TRANSPORT;
+    delete process.env.SMTP_USER;
+    delete process.env.SMTP_PASS;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    fs.rmSync(mailDir, { recursive: true, force: true });
+  });
+
+  describe('templates', () => {
+    it('escapes interpolated values in the HTML', () => {
+      const { subject, html, text } = renderTemplate('notification', {
+        name: 'Asha',
+        title: 'Quote <approved>',
+        message: 'Tiles & fittings "as discussed"',
+      });
+
+      expect(subject).toBe('Quote <approved>');
+      expect(html).toContain('<h1 style="color: #ffffff; margin: 0; font-size: 24px;">Quote &lt;approved&gt;</h1>');
+      expect(html).toContain('Tiles &amp; fittings &quot;as discussed&quot;');
+      expect(text).toBe('Hi Asha,\n\nTiles & fittings "as discussed"');
+    });
+
+    it('lists only the details that are set', () => {
+      const { text } = renderTemplate('deadlineReminder', {
+        title: 'Task Reminder',
+        message: 'Site visit is scheduled at 10:30 today.',
+        dueAt: '2 Mar 2026, 10:30',
+      });
+
+      expect(text).toBe('Hi,\n\nSite visit is scheduled at 10:30 today.\n\nDue: 2 Mar 2026, 10:30');
+    });
+
+    it('rejects unknown templates', () => {
+      expect(() => renderTemplate('missing', {})).toThrow('Unknown email template: missing');
+    });
+  });
+
+  describe('local transport', () => {
+    it('writes the message to EMAIL_LOCAL_DIR instead of sending it', async () => {
+      process.env.EMAIL_TRANSPORT = 'local';
+
+      const result = await sendEmail({
+        to: 'asha@example.com',
+        subject: 'Invoice INV-001',
+        html: '<p>Attached</p>',
+        text: 'Attached',
+        attachments: [{ filename: 'Invoice_INV-001.pdf', content: Buffer.from('%PDF'), contentType: 'application/pdf' }],
+      });
+
+      expect(result.success).toBe(true);
+      expect(path.dirname(result.path)).toBe(mailDir);
+      const message = fs.readFileSync(result.path, 'utf8');
+      expect(message).toContain('To: asha@example.com');
+      expect(message).toContain('Subject: Invoice INV-001');
+      expect(message).toContain('filename=Invoice_INV-001.pdf');
+    });
+
+    it('fails without SMTP credentials outside local mode', async () => {
+      await expect(sendEmail({ to: 'asha@example.com', subject: 'Hi', html: '<p>Hi</p>' }))
+        .rejects.toThrow('Email service not configured');
+    });
+  });
+
+  describe('outbox', () => {
+    const notificationId = new mongoose.Types.ObjectId();
+    let entry;
+    let claims;
+
+    beforeEach(() => {
+      entry = new EmailOutbox({
+        to: 'asha@example.com',
+        template: 'notification',
+        ...renderTemplate('notification', { title: 'Payment overdue', message: 'Installment 2 is overdue' }),
+        notifications: [notificationId],
+        maxAttempts: 3,
+      });
+      jest.spyOn(entry, 'save').mockResolvedValue(entry);
+
+      // claimNext hands out the entry once per run, counting the attempt like the real update
+      claims = 0;
+      jest.spyOn(EmailOutbox, 'claimNext').mockImplementation(async () => {
+        if (claims > 0 || entry.status === 'sent' || entry.status === 'failed') return null;
+        claims += 1;
+        entry.status = 'sending';
+        entry.attempts += 1;
+        return entry;
+      });
+      jest.spyOn(Notification, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    const run = async () => {
+      claims = 0;
+      return processOutbox();
+    };
+
+    it('backs off exponentially up to the cap', () => {
+      expect(backoffMs(1)).toBe(MINUTE_MS);
+      expect(backoffMs(2)).toBe(2 * MINUTE_MS);
+      expect(backoffMs(4)).toBe(8 * MINUTE_MS);
+      expect(backoffMs(20)).toBe(6 * 60 * MINUTE_MS);
+    });
+
+    it('retries a failed email later and records the outcome once sent', async () => {
+      const before = Date.now();
+      expect(await run()).toEqual({ sent: 0, failed: 1 });
+      expect(entry.status).toBe('pending');
+      expect(entry.lastError).toMatch('Email service not configured');
+      expect(entry.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + MINUTE_MS);
+      expect(Notification.updateMany).not.toHaveBeenCalled();
+
+      process.env.EMAIL_TRANSPORT = 'local';
+      expect(await run()).toEqual({ sent: 1, failed: 0 });
+      expect(entry).toMatchObject({ status: 'sent', attempts: 2, lastError: null });
+      expect(fs.readdirSync(mailDir)).toHaveLength(1);
+      expect(Notification.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [notificationId] } },
+        { $set: { 'delivery.email': 'sent' } }
+      );
+    });
+
+    it('gives up after maxAttempts and marks the notifications failed', async () => {
+      await run();
+      await run();
+      expect(entry.status).toBe('pending');
+
+      expect(await run()).toEqual({ sent: 0, failed: 1 });
+      expect(entry).toMatchObject({ status: 'failed', attempts: 3 });
+      expect(Notification.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [notificationId] } },
+        { $set: { 'delivery.email': 'failed' } }
+      );
+      expect(await run()).toEqual({ sent: 0, failed: 0 });
+    });
+
+    it('skips a duplicate dedupeKey', async () => {
+      const create = jest.spyOn(EmailOutbox, 'create')
+        .mockResolvedValueOnce({ _id: 'outbox-1' })
+        .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+      const email = {
+        to: 'asha@example.com',
+        template: 'notification',
+        data: { title: 'Invoice sent', message: 'INV-001' },
+        dedupeKey: 'invoice_sent:1',
+      };
+
+      expect(await queueEmail(email)).toEqual({ _id: 'outbox-1' });
+      expect(await queueEmail(email)).toBeNull();
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ subject: 'Invoice sent', maxAttempts: 5 }));
+    });
+  });
+});
@@ -0,0 +1,27 @@
+const { buildCalendar } = require('../../src/utils/icalendar');
+
+describe('iCalendar', () => {
+  it('writes all-day and local-time events, escaped and folded', () => {
+    const text = buildCalendar({
+      name: 'Site, team',
+      stamp: new Date('2026-03-01T08:00:00Z'),
+      events: [
+        { uid: 'a@houseway', summary: 'Pour slab; level 1', start: new Date('2026-03-02T09:30:00Z'), alarmMinutes: 30 },
+        { uid: 'b@houseway', summary: 'Handover', description: 'x'.repeat(100), start: new Date('2026-03-31'), allDay: true },
+      ],
+    });
+    const lines = text.split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('X-WR-CALNAME:Site\\, team');
+    expect(lines).toContain('DTSTART:20260302T093000');
+    expect(lines).toContain('DTEND:20260302T103000');
+    expect(lines).toContain('SUMMARY:Pour slab\\; level 1');
+    expect(lines).toContain('TRIGGER:-PT30M');
+    expect(lines).toContain('DTSTART;VALUE=DATE:20260331');
+    expect(lines).toContain('DTEND;VALUE=DATE:20260401');
+    expect(lines.every((line) => line.length <= 75)).toBe(true);
+    expect(text.replace(/\r\n /g, '')).toContain(`DESCRIPTION:${'x'.repeat(100)}`);
+    expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+});
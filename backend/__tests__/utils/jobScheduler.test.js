@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const JobScheduler = require('../../src/utils/jobScheduler');
+const ScheduledJob = require('../../src/models/ScheduledJob');
+const ReminderLog = require('../../src/models/ReminderLog');
+
+describe('job scheduler', () => {
+  // In-memory ScheduledJob collection with the same lock rules as acquire/release
+  let jobs;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+    // Connected as far as tick() can tell (the readyState setter would announce it to mongoose)
+    mongoose.connection._readyState = 1;
+
+    jobs = { cleanup: { name: 'cleanup', intervalMs: 60 * 1000, nextRunAt: new Date(0), lockedBy: null, lockedUntil: null } };
+    jest.spyOn(ScheduledJob, 'acquire').mockImplementation(async (name, instanceId, lockMs) => {
+      const job = jobs[name];
+      const now = new Date();
+      if (!job || job.nextRunAt > now || (job.lockedUntil && job.lockedUntil > now)) return null;
+      Object.assign(job, { lockedBy: instanceId, lockedUntil: new Date(now.getTime() + lockMs) });
+      return { ...job };
+    });
+    jest.spyOn(ScheduledJob, 'release').mockImplementation(async (name, instanceId, { error = null, result = {} } = {}) => {
+      const job = jobs[name];
+      if (job.lockedBy !== instanceId) return null;
+      Object.assign(job, {
+        lockedBy: null, lockedUntil: null, lastError: error, lastResult: result, nextRunAt: new Date(Date.now() + job.intervalMs),
+      });
+      return job;
+    });
+  });
+
+  afterEach(() => {
+    mongoose.connection._readyState = 0;
+  });
+
+  it('runs a due job on one instance at a time', async () => {
+    let finish;
+    const handler = jest.fn(() => new Promise((resolve) => { finish = resolve; }));
+    const first = new JobScheduler().register('cleanup', 60 * 1000, handler);
+    const second = new JobScheduler().register('cleanup', 60 * 1000, handler);
+
+    const running = first.tick();
+    await new Promise((resolve) => setImmediate(resolve));
+    await second.tick();
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(jobs.cleanup.lockedBy).toBe(first.instanceId);
+
+    finish({ removed: 2 });
+    await running;
+    expect(jobs.cleanup).toEqual(expect.objectContaining({ lockedBy: null, lastError: null, lastResult: { removed: 2 } }));
+    expect(jobs.cleanup.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+
+    // Not due again until the interval has passed
+    await second.tick();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('records a failed run and releases the lock', async () => {
+    const scheduler = new JobScheduler().register('cleanup', 60 * 1000, async () => {
+      throw new Error('boom');
+    });
+
+    await scheduler.tick();
+
+    expect(jobs.cleanup).toEqual(expect.objectContaining({ lockedBy: null, lastError: 'boom' }));
+  });
+
+  it('waits for the database connection', async () => {
+    mongoose.connection._readyState = 0;
+    const handler = jest.fn();
+
+    await new JobScheduler().register('cleanup', 60 * 1000, handler).tick();
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(ScheduledJob.acquire).not.toHaveBeenCalled();
+  });
+});
+
+describe('ScheduledJob locks', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(ScheduledJob, 'findOneAndUpdate').mockResolvedValue(null);
+  });
+
+  it('only claims due, enabled jobs whose lock has expired', async () => {
+    await ScheduledJob.acquire('cleanup', 'host:1', 5000);
+
+    const [filter, update] = ScheduledJob.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual(expect.objectContaining({
+      name: 'cleanup',
+      enabled: true,
+      nextRunAt: { $lte: expect.any(Date) },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: expect.any(Date) } }],
+    }));
+    expect(update.$set.lockedBy).toBe('host:1');
+    expect(update.$set.lockedUntil.getTime() - update.$set.lastRunAt.getTime()).toBe(5000);
+  });
+
+  it('only releases a lock held by the same instance', async () => {
+    await ScheduledJob.release('cleanup', 'host:1', { error: 'boom' });
+
+    const [filter, [stage]] = ScheduledJob.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ name: 'cleanup', lockedBy: 'host:1' });
+    expect(stage.$set).toEqual(expect.objectContaining({ lockedBy: null, lockedUntil: null, lastError: 'boom' }));
+  });
+});
+
+describe('ReminderLog', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims a reminder key once', async () => {
+    const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    jest.spyOn(ReminderLog, 'create')
+      .mockImplementationOnce(async (data) => data)
+      .mockRejectedValueOnce(duplicate);
+
+    expect(await ReminderLog.claim('task_reminder:1:0', { kind: 'task_reminder' })).toEqual({ key: 'task_reminder:1:0', kind: 'task_reminder' });
+    expect(await ReminderLog.claim('task_reminder:1:0', { kind: 'task_reminder' })).toBeNull();
+  });
+
+  it('passes other errors on', async () => {
+    jest.spyOn(ReminderLog, 'create').mockRejectedValue(new Error('not connected'));
+
+    await expect(ReminderLog.claim('task_reminder:1:0', {})).rejects.toThrow('not connected');
+  });
+});
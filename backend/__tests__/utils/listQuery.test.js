@@ -0,0 +1,146 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { query, makeUser, tokenFor } = require('../helpers');
+const { parseListQuery, findPage } = require('../../src/utils/listQuery');
+const User = require('../../src/models/User');
+const PurchaseOrder = require('../../src/models/PurchaseOrder');
+const PermissionOverride = require('../../src/models/PermissionOverride');
+
+const SPEC = {
+  filters: { status: 'status', projectId: 'project', amount: 'totalAmount', createdAt: 'createdAt' },
+  sorts: { createdAt: 'createdAt', amount: 'totalAmount', title: 'title' },
+  defaultSort: '-createdAt',
+};
+
+const order = (totalAmount, createdAt) => new PurchaseOrder({ title: `Order ${totalAmount}`, totalAmount, createdAt });
+
+describe('list queries', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+  });
+
+  it('turns whitelisted filters into typed conditions', () => {
+    const projectId = new mongoose.Types.ObjectId();
+    const { filter, sort, limit, page } = parseListQuery(PurchaseOrder, {
+      status: 'sent,acknowledged',
+      projectId: projectId.toString(),
+      amount: { gte: '100', lt: '500' },
+      createdAt: { gte: '2025-01-01' },
+      vendor: 'ignored',
+      sort: 'amount,-createdAt',
+      limit: '500',
+    }, SPEC);
+
+    expect(filter).toEqual({
+      status: { $in: ['sent', 'acknowledged'] },
+      project: projectId,
+      totalAmount: { $gte: 100, $lt: 500 },
+      createdAt: { $gte: new Date('2025-01-01') },
+    });
+    expect(sort).toEqual({ totalAmount: 1, createdAt: -1, _id: 1 });
+    expect(limit).toBe(100);
+    expect(page).toBe(1);
+  });
+
+  it('rejects unknown sorts, operators and values', () => {
+    expect(() => parseListQuery(PurchaseOrder, { sort: 'vendor' }, SPEC)).toThrow(/Cannot sort by vendor/);
+    expect(() => parseListQuery(PurchaseOrder, { status: { gt: 'draft' } }, SPEC)).toThrow(/Unsupported operator/);
+    expect(() => parseListQuery(PurchaseOrder, { status: 'lost' }, SPEC)).toThrow(/Invalid status: lost/);
+    expect(() => parseListQuery(PurchaseOrder, { amount: 'lots' }, SPEC)).toThrow(/Invalid amount/);
+    expect(() => parseListQuery(PurchaseOrder, { cursor: 'not-a-cursor' }, SPEC)).toThrow(/Invalid cursor/);
+  });
+
+  it('continues from the cursor of the previous page', async () => {
+    const first = [order(300, new Date('2025-03-01')), order(200, new Date('2025-02-01')), order(100, new Date('2025-01-01'))];
+    jest.spyOn(PurchaseOrder, 'find').mockImplementation(() => query(first));
+    jest.spyOn(PurchaseOrder, 'countDocuments').mockResolvedValue(3);
+
+    const page = await findPage(PurchaseOrder, { vendor: 'v1' }, parseListQuery(PurchaseOrder, { limit: '2' }, SPEC));
+
+    expect(page.items).toHaveLength(2);
+    expect(page.pagination).toEqual(expect.objectContaining({ limit: 2, total: 3, hasMore: true, current: 1, pages: 2 }));
+
+    const next = parseListQuery(PurchaseOrder, { limit: '2', cursor: page.pagination.nextCursor }, SPEC);
+    const last = first[1];
+    expect(next.page).toBeNull();
+    expect(next.after).toEqual({
+      $or: [
+        { $or: [{ createdAt: { $lt: last.createdAt } }, { createdAt: null }] },
+        { createdAt: last.createdAt, $or: [{ _id: { $lt: last._id } }, { _id: null }] },
+      ],
+    });
+
+    PurchaseOrder.find.mockClear();
+    await findPage(PurchaseOrder, { vendor: 'v1' }, next);
+    expect(PurchaseOrder.find).toHaveBeenCalledWith({ $and: [{ vendor: 'v1' }, next.after] });
+    expect(PurchaseOrder.countDocuments).toHaveBeenLastCalledWith({ vendor: 'v1' });
+
+    expect(() => parseListQuery(PurchaseOrder, { sort: 'amount', cursor: page.pagination.nextCursor }, SPEC))
+      .toThrow(/does not match the sort order/);
+  });
+
+  it('rejects cursors carrying anything but encoded values', async () => {
+    const cursor = (v, sort = '-createdAt,-_id') => Buffer.from(JSON.stringify({ s: sort, v })).toString('base64url');
+    const id = new mongoose.Types.ObjectId().toString();
+    const parse = (v) => parseListQuery(PurchaseOrder, { cursor: cursor(v) }, SPEC);
+
+    expect(parse([{ d: '2025-02-01T00:00:00.000Z' }, { o: id }]).after.$or).toHaveLength(2);
+    expect(() => parse([null, { o: id }])).not.toThrow();
+    [
+      [{ $ne: null }, { o: id }],
+      [{ d: '2025-02-01', $gt: '' }, { o: id }],
+      [{ d: 'yesterday' }, { o: id }],
+      [{ d: '2025-02-01' }, { o: { $exists: true } }],
+      [{ d: '2025-02-01' }, { o: 'not-an-id' }],
+      [['2025-02-01'], { o: id }],
+    ].forEach((v) => expect(() => parse(v)).toThrow(/Invalid cursor/));
+
+    const vendor = makeUser('vendor');
+    jest.spyOn(User, 'findById').mockImplementation(() => query(vendor));
+    jest.spyOn(PermissionOverride, 'find').mockImplementation(() => query([]));
+    jest.spyOn(PurchaseOrder, 'find').mockImplementation(() => query([]));
+    const app = express();
+    app.use('/api/purchase-orders', require('../../src/routes/purchaseOrders'));
+
+    const res = await request(app)
+      .get('/api/purchase-orders')
+      .query({ cursor: cursor([{ $ne: null }, { $ne: null }]) })
+      .set('Authorization', tokenFor(vendor));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid cursor');
+    expect(PurchaseOrder.find).not.toHaveBeenCalled();
+  });
+
+  it('keeps a list route scoped to the user whatever the filters ask for', async () => {
+    const vendor = makeUser('vendor');
+    jest.spyOn(User, 'findById').mockImplementation(() => query(vendor));
+    jest.spyOn(PermissionOverride, 'find').mockImplementation(() => query([]));
+    jest.spyOn(PurchaseOrder, 'find').mockImplementation(() => query([]));
+    jest.spyOn(PurchaseOrder, 'countDocuments').mockResolvedValue(0);
+
+    const app = express();
+    app.use('/api/purchase-orders', require('../../src/routes/purchaseOrders'));
+    const token = tokenFor(vendor);
+    const otherVendor = new mongoose.Types.ObjectId().toString();
+
+    const res = await request(app)
+      .get(`/api/purchase-orders?vendorId=${otherVendor}&status[in]=sent,completed`)
+      .set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    expect(PurchaseOrder.find).toHaveBeenCalledWith({
+      $and: [
+        { vendor: vendor._id },
+        { vendor: new mongoose.Types.ObjectId(otherVendor), status: { $in: ['sent', 'completed'] } },
+      ],
+    });
+    expect(res.body.data.pagination).toEqual({ limit: 10, total: 0, hasMore: false, nextCursor: null, current: 1, pages: 0 });
+
+    const bad = await request(app).get('/api/purchase-orders?sort=secret').set('Authorization', token);
+    expect(bad.status).toBe(400);
+    expect(bad.body.message).toMatch(/Cannot sort by secret/);
+  });
+});
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const { query, makeUser } = require('../helpers');
+const User = require('../../src/models/User');
+const Notification = require('../../src/models/Notification');
+const ReminderLog = require('../../src/models/ReminderLog');
+const NotificationService = require('../../src/utils/notificationService');
+const { queueEmail } = require('../../src/utils/emailOutbox');
+const { runNotificationDigest } = require('../../src/jobs/notificationDigest');
+
+jest.mock('../../src/utils/emailOutbox', () => ({
+  queueEmail: jest.fn(async (data) => ({ _id: 'outbox-1', ...data })),
+}));
+
+const paymentOverdue = (recipient) => ({
+  recipient: recipient._id,
+  type: 'payment_overdue',
+  title: 'Payment overdue',
+  message: 'Installment 2 is overdue',
+});
+
+describe('notification delivery', () => {
+  let created;
+
+  const recipientWith = (channels, fields = {}) => makeUser('client', 'none', {
+    firstName: 'Asha',
+    email: 'asha@example.com',
+    notificationPreferences: { types: { payment_overdue: channels } },
+    ...fields,
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    queueEmail.mockClear();
+
+    created = [];
+    jest.spyOn(Notification, 'createNotification').mockImplementation(async (data) => {
+      const notification = { _id: new mongoose.Types.ObjectId(), ...data, save: jest.fn().mockResolvedValue() };
+      created.push(notification);
+      return notification;
+    });
+    jest.spyOn(NotificationService, 'push').mockResolvedValue();
+    jest.spyOn(NotificationService, 'emitUnreadCount').mockResolvedValue();
+  });
+
+  it('still emails a type whose in-app notifications are off', async () => {
+    const recipient = recipientWith({ inApp: false, email: true, push: true });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(recipient));
+
+    const notification = await NotificationService.create(paymentOverdue(recipient));
+
+    expect(notification.delivery).toMatchObject({ inApp: 'off', push: 'off', email: 'pending' });
+    expect(queueEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'asha@example.com', notifications: [notification._id] }));
+    expect(NotificationService.push).not.toHaveBeenCalled();
+    expect(NotificationService.emitUnreadCount).not.toHaveBeenCalled();
+  });
+
+  it('lists without emailing when only email is off', async () => {
+    const recipient = recipientWith({ inApp: true, email: false, push: true });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(recipient));
+
+    const notification = await NotificationService.create(paymentOverdue(recipient));
+
+    expect(notification.delivery).toMatchObject({ inApp: 'shown', push: 'sent', email: 'off' });
+    expect(NotificationService.push).toHaveBeenCalledWith(notification);
+    expect(queueEmail).not.toHaveBeenCalled();
+  });
+
+  it('stores nothing when both in-app and email are off', async () => {
+    const recipient = recipientWith({ inApp: false, email: false, push: true });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(recipient));
+
+    expect(await NotificationService.create(paymentOverdue(recipient))).toBeNull();
+    expect(created).toHaveLength(0);
+    expect(queueEmail).not.toHaveBeenCalled();
+  });
+
+  it('keeps email-only notifications out of the list and unread count', () => {
+    const userId = new mongoose.Types.ObjectId();
+
+    expect(Notification.listedFor(userId)).toEqual({ recipient: userId, 'delivery.inApp': { $ne: 'off' } });
+  });
+
+  it('gives the task reminder email the task date and time', async () => {
+    const recipient = recipientWith({ inApp: true, email: true, push: false });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(recipient));
+    const task = { _id: new mongoose.Types.ObjectId(), taskName: 'Site visit', date: new Date(2026, 2, 2), time: '10:30' };
+
+    await NotificationService.sendTaskReminder({ recipientId: recipient._id, task, projectTitle: 'Lake House' });
+
+    expect(queueEmail).toHaveBeenCalledWith(expect.objectContaining({
+      template: 'deadlineReminder',
+      data: expect.objectContaining({ projectTitle: 'Lake House', dueAt: '2 Mar 2026, 10:30' }),
+    }));
+  });
+
+  it('sends email-only notifications in the daily digest', async () => {
+    const recipient = recipientWith({ inApp: false, email: true, push: false }, {
+      notificationPreferences: {
+        types: { payment_overdue: { inApp: false, email: true, push: false } },
+        dailyDigest: { enabled: true, time: '00:00' },
+        timezone: 'UTC',
+      },
+    });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(recipient));
+
+    const notification = await NotificationService.create(paymentOverdue(recipient));
+    expect(notification.delivery).toMatchObject({ inApp: 'off', email: 'digest' });
+    expect(queueEmail).not.toHaveBeenCalled();
+
+    const find = jest.spyOn(Notification, 'find').mockImplementation(() => query(created));
+    jest.spyOn(Notification, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'find').mockImplementation(() => query([recipient]));
+    jest.spyOn(ReminderLog, 'claim').mockImplementation(async (key) => ({ _id: key }));
+
+    expect(await runNotificationDigest({ now: new Date('2026-03-02T12:00:00Z') })).toEqual({ checked: 1, sent: 1 });
+    // The digest picks up held-back emails whether or not they are listed in-app
+    expect(find).toHaveBeenCalledWith({ recipient: recipient._id, 'delivery.email': 'digest' });
+    expect(queueEmail).toHaveBeenCalledWith(expect.objectContaining({
+      template: 'notificationDigest',
+      notifications: [notification._id],
+    }));
+  });
+});
+
+describe('notification push events', () => {
+  let emitted;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    emitted = [];
+    NotificationService.setIO({
+      to: (rooms) => ({ emit: (event, payload) => emitted.push({ event, rooms: [].concat(rooms), payload }) }),
+      emit: (event, payload) => emitted.push({ event, rooms: ['*'], payload }),
+    });
+    jest.spyOn(Notification, 'getUnreadCount').mockResolvedValue(4);
+  });
+
+  afterAll(() => NotificationService.setIO(null));
+
+  it('pushes the notification and unread count to the recipient room only', async () => {
+    const recipient = new mongoose.Types.ObjectId();
+    const notification = { _id: new mongoose.Types.ObjectId(), recipient, populate: jest.fn().mockResolvedValue() };
+
+    await NotificationService.push(notification);
+
+    expect(notification.populate).toHaveBeenCalledWith(expect.arrayContaining([
+      { path: 'sender', select: 'firstName lastName profileImage role' },
+    ]));
+    expect(Notification.getUnreadCount).toHaveBeenCalledWith(recipient);
+    expect(emitted).toEqual([
+      { event: 'notification', rooms: [`user_${recipient}`], payload: { notification, unreadCount: 4 } },
+    ]);
+  });
+
+  it('sends the unread count to the user room', async () => {
+    const userId = new mongoose.Types.ObjectId();
+
+    await NotificationService.emitUnreadCount(userId);
+
+    expect(emitted).toEqual([
+      { event: 'notificationCount', rooms: [`user_${userId}`], payload: { unreadCount: 4 } },
+    ]);
+  });
+});
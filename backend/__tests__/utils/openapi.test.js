@@ -0,0 +1,165 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { validationResult } = require('express-validator');
+const { query, makeUser, tokenFor } = require('../helpers');
+const { buildOpenApiDocument } = require('../../src/utils/openapi');
+const { validateRegistration, validateMaterialRequest } = require('../../src/middleware/validation');
+const { AUTH_ROUTE, ROUTES, loadRouter } = require('../../src/routes');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const PermissionOverride = require('../../src/models/PermissionOverride');
+
+const openapi = buildOpenApiDocument();
+const DOCUMENT_ID = 'https://houseway.test/openapi.json';
+
+// Validator patterns are JavaScript regexes, not unicode ones
+const ajv = new Ajv2020({ strict: false, unicodeRegExp: false, allErrors: true });
+addFormats(ajv);
+ajv.addSchema({ ...openapi, $id: DOCUMENT_ID });
+
+const pointer = (...parts) => parts.map((part) => String(part).replace(/~/g, '~0').replace(/\//g, '~1')).join('/');
+
+const validatorAt = (...parts) => ajv.getSchema(`${DOCUMENT_ID}#/${pointer(...parts)}`);
+
+const requestValidator = (method, path) => validatorAt('paths', path, method, 'requestBody', 'content', 'application/json', 'schema');
+
+// Errors of `body` against the documented response for `status`, or null when it matches
+const responseErrors = (method, path, status, body) => {
+  const { responses } = openapi.paths[path][method];
+  const key = [String(status), `${String(status)[0]}XX`, 'default'].find((candidate) => responses[candidate]);
+  const parts = responses[key].$ref
+    ? ['components', 'responses', responses[key].$ref.split('/').pop()]
+    : ['paths', path, method, 'responses', key];
+  const validate = validatorAt(...parts, 'content', 'application/json', 'schema');
+  return validate(body) ? null : validate.errors;
+};
+
+// Run the validator chains of a route's validation middleware
+const passesValidators = async (handlers, body) => {
+  const req = { body };
+  await Promise.all(handlers.filter((handler) => handler.run).map((chain) => chain.run(req)));
+  return validationResult(req).isEmpty();
+};
+
+const owner = makeUser('owner', 'none', { firstName: 'Olive', lastName: 'Owner' });
+const token = tokenFor(owner);
+
+describe('OpenAPI document', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    [AUTH_ROUTE, ...ROUTES].forEach((route) => app.use(route.path, loadRouter(route)));
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(owner));
+    jest.spyOn(PermissionOverride, 'find').mockImplementation(() => query([]));
+  });
+
+  it('describes every mounted route, and is served at /api/docs', async () => {
+    [AUTH_ROUTE, ...ROUTES].forEach((route) => {
+      loadRouter(route).stack.filter((layer) => layer.route).forEach((layer) => {
+        const path = `${route.path}${layer.route.path === '/' ? '' : layer.route.path}`.replace(/:(\w+)/g, '{$1}');
+        Object.keys(layer.route.methods).forEach((method) => {
+          const operation = openapi.paths[path]?.[method];
+          expect({ route: `${method} ${path}`, documented: !!operation?.description }).toEqual({
+            route: `${method} ${path}`,
+            documented: true,
+          });
+        });
+      });
+    });
+
+    const res = await request(app).get('/api/docs');
+    expect(res.status).toBe(200);
+    expect(res.body.openapi).toBe('3.1.0');
+    expect(res.body.paths['/api/projects/{id}'].get.security).toEqual([{ bearerAuth: [] }]);
+    expect(res.body.paths['/api/auth/login'].post.security).toEqual([]);
+  });
+
+  it('builds request schemas from the validator chains', () => {
+    const schema = openapi.paths['/api/material-requests'].post.requestBody.content['application/json'].schema;
+    expect(schema.required).toEqual(['projectId', 'title', 'materials', 'requiredBy']);
+    expect(schema.properties.title).toEqual(expect.objectContaining({ minLength: 1, maxLength: 100 }));
+    expect(schema.properties.materials.type).toBe('array');
+    expect(schema.properties.materials.items.required).toEqual(['name', 'quantity', 'unit', 'category', 'requiredBy']);
+    expect(schema.properties.materials.items.properties.category.enum).toContain('cement');
+    expect(schema.properties.assignedVendors.items.properties.vendor.$ref).toBe('#/components/schemas/ObjectId');
+
+    const preferences = openapi.paths['/api/notifications/preferences'].put.requestBody.content['application/json'].schema;
+    expect(preferences.required).toBeUndefined();
+    expect(preferences.properties.types.additionalProperties.additionalProperties.type).toBe('boolean');
+    expect(preferences.properties.quietHours.properties.start.pattern).toBe('^([01]\\d|2[0-3]):[0-5]\\d$');
+  });
+
+  it('accepts and rejects the same request bodies as the validators', async () => {
+    const registration = {
+      firstName: 'Dana',
+      lastName: 'Test',
+      email: 'dana@example.com',
+      password: 'Secret123',
+      role: 'client',
+    };
+    const materialRequest = {
+      projectId: new mongoose.Types.ObjectId().toString(),
+      title: 'Tiles for kitchen',
+      requiredBy: '2026-03-01',
+      materials: [{ name: 'Tiles', quantity: 40, unit: 'box', category: 'tiles', requiredBy: '2026-03-01' }],
+    };
+    const cases = [
+      ['post', '/api/auth/register', validateRegistration, registration],
+      ['post', '/api/auth/register', validateRegistration, { ...registration, password: 'weak' }],
+      ['post', '/api/auth/register', validateRegistration, { ...registration, role: 'admin' }],
+      ['post', '/api/auth/register', validateRegistration, { ...registration, email: undefined }],
+      ['post', '/api/material-requests', validateMaterialRequest, materialRequest],
+      ['post', '/api/material-requests', validateMaterialRequest, { ...materialRequest, materials: 'tiles' }],
+      ['post', '/api/material-requests', validateMaterialRequest, { ...materialRequest, priority: 'whenever' }],
+      ['post', '/api/material-requests', validateMaterialRequest, {
+        ...materialRequest,
+        materials: [{ ...materialRequest.materials[0], category: 'glass' }],
+      }],
+    ];
+
+    for (const [method, path, chains, body] of cases) {
+      const documented = requestValidator(method, path)(JSON.parse(JSON.stringify(body)));
+      const enforced = await passesValidators(chains, JSON.parse(JSON.stringify(body)));
+      expect({ path, body, documented }).toEqual({ path, body, documented: enforced });
+    }
+  });
+
+  it('matches the responses routes actually send', async () => {
+    const project = new Project({
+      title: 'Lake House',
+      description: 'Two-storey lake house',
+      client: new mongoose.Types.ObjectId(),
+      createdBy: owner._id,
+      projectType: 'residential',
+      status: 'planning',
+    });
+    jest.spyOn(Project, 'find').mockImplementation(() => query([project]));
+    jest.spyOn(Project, 'countDocuments').mockResolvedValue(1);
+
+    const list = await request(app).get('/api/projects').set('Authorization', token);
+    expect(list.status).toBe(200);
+    expect(responseErrors('get', '/api/projects', list.status, list.body)).toBeNull();
+
+    const invalid = await request(app).post('/api/projects').set('Authorization', token).send({ title: 'x' });
+    expect(invalid.status).toBe(400);
+    expect(responseErrors('post', '/api/projects', invalid.status, invalid.body)).toBeNull();
+
+    const anonymous = await request(app).get('/api/projects');
+    expect(anonymous.status).toBe(401);
+    expect(responseErrors('get', '/api/projects', anonymous.status, anonymous.body)).toBeNull();
+
+    // A response the document does not allow is caught
+    const drifted = { ...list.body, data: { ...list.body.data, pagination: { page: 1 } } };
+    expect(responseErrors('get', '/api/projects', 200, drifted)).not.toBeNull();
+  });
+});
@@ -0,0 +1,126 @@
+const PermissionOverride = require('../../src/models/PermissionOverride');
+const {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  SUBJECTS,
+  isGranted,
+  hasPermission,
+  getUserPermissions,
+  getPermissionMatrix,
+  setOverride,
+  clearCache,
+} = require('../../src/utils/permissions');
+
+describe('permissions', () => {
+  let overrides;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    clearCache();
+
+    // In-memory PermissionOverride collection
+    overrides = [];
+    jest.spyOn(PermissionOverride, 'find').mockImplementation(() => ({
+      select: () => ({ lean: async () => overrides.map((doc) => ({ ...doc })) }),
+    }));
+    jest.spyOn(PermissionOverride, 'findOneAndUpdate').mockImplementation(async ({ permission, subject }, { $set }) => {
+      const existing = overrides.find((doc) => doc.permission === permission && doc.subject === subject);
+      if (existing) Object.assign(existing, $set);
+      else overrides.push({ permission, subject, ...$set });
+    });
+    jest.spyOn(PermissionOverride, 'deleteOne').mockImplementation(async ({ permission, subject }) => {
+      overrides = overrides.filter((doc) => doc.permission !== permission || doc.subject !== subject);
+    });
+  });
+
+  describe('registry', () => {
+    it('describes every permission and only grants known subjects', () => {
+      PERMISSION_KEYS.forEach((key) => {
+        expect(PERMISSIONS[key].description).toEqual(expect.any(String));
+        PERMISSIONS[key].grants.forEach((subject) => expect(SUBJECTS).toContain(subject));
+      });
+    });
+
+    it('grants the defaults by role and sub-role', () => {
+      expect(isGranted('projects.create', 'employee', 'designTeam')).toBe(true);
+      expect(isGranted('projects.create', 'vendor', 'none')).toBe(false);
+      expect(isGranted('quotations.submit', 'vendor', 'none')).toBe(true);
+      expect(isGranted('files.delete', 'employee', 'executionTeam')).toBe(false);
+    });
+
+    it('gives owners everything and nobody unknown permissions', () => {
+      expect(PERMISSION_KEYS.every((key) => isGranted(key, 'owner'))).toBe(true);
+      expect(isGranted('files.destroy', 'employee', 'none')).toBe(false);
+    });
+  });
+
+  describe('overrides', () => {
+    it('lets the most specific subject win', () => {
+      const stored = {
+        'projects.delete': { employee: true, 'employee:vendorTeam': false },
+        'invoices.create': { employee: false },
+      };
+
+      expect(isGranted('projects.delete', 'employee', 'designTeam', stored)).toBe(true);
+      expect(isGranted('projects.delete', 'employee', 'vendorTeam', stored)).toBe(false);
+      expect(isGranted('invoices.create', 'employee', 'executionTeam', stored)).toBe(false);
+      expect(isGranted('projects.delete', 'owner', 'none', { 'projects.delete': { owner: false } })).toBe(true);
+    });
+
+    it('shows defaults, overrides and the effective grants in the matrix', async () => {
+      await setOverride({ permission: 'audit.view', subject: 'employee:designTeam', allowed: true });
+
+      const { subjects, permissions } = await getPermissionMatrix();
+      const audit = permissions.find(({ key }) => key === 'audit.view');
+
+      expect(subjects).toEqual(SUBJECTS);
+      expect(audit).toMatchObject({
+        defaults: [],
+        overrides: { 'employee:designTeam': true },
+        effective: expect.objectContaining({ employee: false, 'employee:designTeam': true }),
+      });
+    });
+
+    it('resets an override to the default', async () => {
+      const designer = { role: 'employee', subRole: 'designTeam' };
+      await setOverride({ permission: 'projects.edit', subject: 'employee', allowed: false });
+      expect(await hasPermission(designer, 'projects.edit')).toBe(false);
+
+      await setOverride({ permission: 'projects.edit', subject: 'employee', allowed: null });
+
+      expect(overrides).toHaveLength(0);
+      expect(await hasPermission(designer, 'projects.edit')).toBe(true);
+    });
+  });
+
+  describe('cache', () => {
+    const vendor = { role: 'vendor', subRole: 'none' };
+
+    it('reloads overrides after 30 seconds', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+      expect(await hasPermission(vendor, 'po.create')).toBe(false);
+
+      // Changed behind the cache's back, e.g. by another server instance
+      overrides.push({ permission: 'po.create', subject: 'vendor', allowed: true });
+      now.mockReturnValue(1000000 + 29 * 1000);
+      expect(await hasPermission(vendor, 'po.create')).toBe(false);
+
+      now.mockReturnValue(1000000 + 31 * 1000);
+      expect(await hasPermission(vendor, 'po.create')).toBe(true);
+      expect(PermissionOverride.find).toHaveBeenCalledTimes(2);
+    });
+
+    it('is cleared as soon as an override changes', async () => {
+      expect(await getUserPermissions(vendor)).not.toContain('po.create');
+
+      await setOverride({ permission: 'po.create', subject: 'vendor', allowed: true });
+
+      expect(await getUserPermissions(vendor)).toContain('po.create');
+    });
+
+    it('is not needed for owners', async () => {
+      expect(await getUserPermissions({ role: 'owner', subRole: 'none' })).toEqual(PERMISSION_KEYS);
+      expect(PermissionOverride.find).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { query, makeUser } = require('../helpers');
+const { generateToken } = require('../../src/utils/jwt');
+const { setupSocket, authenticateSocket } = require('../../src/utils/socket');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const PurchaseOrder = require('../../src/models/PurchaseOrder');
+const Project = require('../../src/models/Project');
+
+const users = {
+  owner: makeUser('owner'),
+  employee: makeUser('employee', 'executionTeam'),
+  vendor: makeUser('vendor'),
+  otherVendor: makeUser('vendor'),
+};
+
+const order = { _id: new mongoose.Types.ObjectId(), vendor: users.vendor._id, project: new mongoose.Types.ObjectId() };
+
+// Just enough of a socket.io socket to record rooms and handlers
+const fakeSocket = ({ user, sessionId = null, handshake = {} } = {}) => {
+  const handlers = {};
+  const broadcast = { emit: jest.fn() };
+  return {
+    id: 'socket-1',
+    handshake,
+    data: { user, sessionId },
+    rooms: new Set(),
+    handlers,
+    broadcast,
+    join(room) { this.rooms.add(room); },
+    leave(room) { this.rooms.delete(room); },
+    on(event, handler) { handlers[event] = handler; },
+    emit: jest.fn(),
+    to: jest.fn(() => broadcast),
+  };
+};
+
+// Runs the connection handler for a user and returns the socket
+const connect = (user, sessionId) => {
+  let onConnection;
+  setupSocket({ use: jest.fn(), on: (event, handler) => { onConnection = handler; } });
+  const socket = fakeSocket({ user, sessionId });
+  onConnection(socket);
+  return socket;
+};
+
+const authenticate = async (handshake) => {
+  const socket = fakeSocket({ handshake });
+  const next = jest.fn();
+  await authenticateSocket(socket, next);
+  return { socket, error: next.mock.calls[0][0] };
+};
+
+describe('socket authentication', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(User, 'findById').mockImplementation((id) => (
+      query(Object.values(users).find((user) => user._id.equals(id)) || null)
+    ));
+  });
+
+  it('accepts the REST access token from auth, header or query', async () => {
+    const token = generateToken({ userId: users.employee._id, role: 'employee' });
+
+    for (const handshake of [{ auth: { token } }, { headers: { authorization: `Bearer ${token}` } }, { query: { token } }]) {
+      const { socket, error } = await authenticate(handshake);
+      expect(error).toBeUndefined();
+      expect(socket.data.user).toBe(users.employee);
+    }
+  });
+
+  it('rejects missing, expired and forged tokens', async () => {
+    const expired = jwt.sign({ userId: users.employee._id }, process.env.JWT_SECRET, { expiresIn: -10 });
+    const forged = jwt.sign({ userId: users.owner._id, role: 'owner' }, 'not-the-secret');
+
+    expect((await authenticate({})).error.message).toBe('Authentication required');
+    expect((await authenticate({ auth: { token: expired } })).error.message).toBe('Token expired');
+    expect((await authenticate({ auth: { token: forged } })).error.message).toBe('Authentication failed');
+  });
+
+  it('rejects deactivated users and signed-out sessions', async () => {
+    const sid = new mongoose.Types.ObjectId();
+    const inactive = { ...users.employee, isActive: false };
+    User.findById.mockImplementationOnce(() => query(inactive));
+    const token = generateToken({ userId: users.employee._id, role: 'employee' });
+    expect((await authenticate({ auth: { token } })).error.message).toBe('Authentication failed');
+
+    jest.spyOn(Session, 'findById').mockImplementation(() => query({
+      user: users.employee._id,
+      isActive: () => false,
+    }));
+    const sessionToken = generateToken({ userId: users.employee._id, role: 'employee', sid });
+    expect((await authenticate({ auth: { token: sessionToken } })).error.message).toBe('Authentication failed');
+  });
+});
+
+describe('socket rooms', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => { });
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+    jest.spyOn(PurchaseOrder, 'findById').mockImplementation((id) => query(order._id.equals(id) ? order : null));
+    jest.spyOn(Project, 'exists').mockResolvedValue(null);
+  });
+
+  const joinOrder = async (socket, payload) => {
+    const ack = jest.fn();
+    await socket.handlers.joinOrder(payload, ack);
+    return ack.mock.calls[0][0];
+  };
+
+  it('puts each socket in its user, role and session rooms only', () => {
+    const vendor = connect(users.vendor, 'session-1');
+    expect([...vendor.rooms]).toEqual([`user_${users.vendor._id}`, 'role_vendor', `vendor_${users.vendor._id}`, 'session_session-1']);
+
+    const employee = connect(users.employee);
+    expect([...employee.rooms]).toEqual([`user_${users.employee._id}`, 'role_employee']);
+  });
+
+  it('lets the order vendor, owners and assigned staff join an order room', async () => {
+    expect(await joinOrder(connect(users.vendor), { orderId: order._id.toString() })).toEqual({ success: true });
+    expect(await joinOrder(connect(users.owner), { orderId: order._id.toString() })).toEqual({ success: true });
+
+    Project.exists.mockResolvedValueOnce({ _id: order.project });
+    const employee = connect(users.employee);
+    expect(await joinOrder(employee, { orderId: order._id.toString() })).toEqual({ success: true });
+    expect(employee.rooms.has(`order_${order._id}`)).toBe(true);
+    expect(Project.exists).toHaveBeenCalledWith(expect.objectContaining({ _id: order.project }));
+  });
+
+  it('keeps other users out of an order room', async () => {
+    const outsider = connect(users.otherVendor);
+
+    expect(await joinOrder(outsider, { orderId: order._id.toString() })).toEqual({ success: false, message: 'Access denied' });
+    expect(outsider.rooms.has(`order_${order._id}`)).toBe(false);
+    expect(outsider.emit).toHaveBeenCalledWith('joinOrderDenied', expect.objectContaining({ orderId: order._id.toString() }));
+  });
+
+  it('answers malformed payloads instead of throwing', async () => {
+    const socket = connect(users.vendor);
+
+    for (const payload of [null, undefined, 'x', { orderId: { $ne: null } }, { orderId: 'not-an-id' }]) {
+      expect(await joinOrder(socket, payload)).toEqual({ success: false, message: 'A valid orderId is required' });
+    }
+    expect(() => socket.handlers.leaveOrder(null)).not.toThrow();
+    expect(() => socket.handlers.typing(null)).not.toThrow();
+    expect(PurchaseOrder.findById).not.toHaveBeenCalled();
+  });
+
+  it('only relays typing from members of the order room', async () => {
+    const outsider = connect(users.otherVendor);
+    outsider.handlers.typing({ orderId: order._id.toString(), isTyping: true });
+    expect(outsider.to).not.toHaveBeenCalled();
+
+    const vendor = connect(users.vendor);
+    await joinOrder(vendor, { orderId: order._id.toString() });
+    vendor.handlers.typing({ orderId: order._id.toString(), isTyping: true });
+    expect(vendor.to).toHaveBeenCalledWith(`order_${order._id}`);
+    expect(vendor.broadcast.emit).toHaveBeenCalledWith('userTyping', { userId: users.vendor._id.toString(), isTyping: true });
+  });
+});
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const express = require('express');
+const request = require('supertest');
+const sharp = require('sharp');
+const { createLocalDriver } = require('../../src/utils/storage/local');
+const { createS3Driver } = require('../../src/utils/storage/s3');
+const { buildKey, setStorage, saveUpload, deleteByUrl } = require('../../src/utils/storage');
+const { renditionKey } = require('../../src/utils/images');
+const { uploadMultiple } = require('../../src/middleware/upload');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+// A 1600x800 JPEG a phone took sideways: EXIF orientation 6 and a GPS position
+const sidewaysPhoto = () => sharp({ create: { width: 1600, height: 800, channels: 3, background: '#c08040' } })
+  .jpeg()
+  .withMetadata({ orientation: 6 })
+  .withExif({ IFD0: { Make: 'Phone' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '12/1 58/1 0/1' } })
+  .toBuffer();
+
+describe('local storage driver', () => {
+  let root;
+  let storage;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+    storage = createLocalDriver({ root, baseUrl: 'http://api.test/uploads' });
+    setStorage(storage);
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('stores buffers and streams and reads them back', async () => {
+    const stored = await storage.put('documents/p1/plan.txt', Buffer.from('floor plan'));
+    await storage.put('documents/p1/notes.txt', Readable.from(['site ', 'notes']));
+
+    expect(stored).toEqual({ key: 'documents/p1/plan.txt', url: 'http://api.test/uploads/documents/p1/plan.txt', size: 10 });
+    expect(await readAll((await storage.get('documents/p1/notes.txt')).stream)).toBe('site notes');
+    expect(await storage.exists('documents/p1/plan.txt')).toBe(true);
+    expect(await storage.get('documents/p1/missing.txt')).toBeNull();
+  });
+
+  it('lists by prefix and deletes', async () => {
+    await storage.put('documents/p1/a.txt', Buffer.from('a'));
+    await storage.put('documents/p2/b.txt', Buffer.from('b'));
+    await storage.put('images/c.png', Buffer.from('c'));
+
+    const keys = (await storage.list('documents/')).map((entry) => entry.key).sort();
+    expect(keys).toEqual(['documents/p1/a.txt', 'documents/p2/b.txt']);
+    expect((await storage.list('documents/p1')).map((entry) => entry.key)).toEqual(['documents/p1/a.txt']);
+
+    expect(await storage.delete('images/c.png')).toBe(true);
+    expect(await storage.delete('images/c.png')).toBe(false);
+  });
+
+  it('refuses keys outside its folder', async () => {
+    await expect(storage.put('../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  });
+
+  it('deletes files by the URL stored for them', async () => {
+    const { url, filename, key } = await saveUpload({
+      body: await sharp({ create: { width: 4, height: 4, channels: 4, background: '#00000000' } }).png().toBuffer(),
+      mimetype: 'image/png',
+      originalname: 'My Photo!.png',
+      folder: 'profile-photos',
+    });
+
+    expect(key).toBe(`profile-photos/${filename}`);
+    expect(filename).toMatch(/^My_Photo-\d+-\d+\.png$/);
+    expect(await deleteByUrl(url)).toBe(true);
+    expect(await deleteByUrl('https://elsewhere.test/photo.png')).toBe(false);
+  });
+
+  it('receives multipart uploads through the configured driver', async () => {
+    const app = express();
+    app.post('/clients/:id/media', uploadMultiple('media', 5, { folder: (req) => `client-media/${req.params.id}` }), (req, res) => {
+      res.json(req.files.map(({ key, url, size }) => ({ key, url, size })));
+    });
+
+    const res = await request(app)
+      .post('/clients/c1/media')
+      .attach('media', Buffer.from('%PDF-1.4'), { filename: 'brief.pdf', contentType: 'application/pdf' });
+
+    expect(res.status).toBe(200);
+    const [file] = res.body;
+    expect(file.key).toMatch(/^client-media\/c1\/brief-\d+-\d+\.pdf$/);
+    expect(file.url).toBe(`http://api.test/uploads/${file.key}`);
+    expect(file.size).toBe(8);
+    expect(fs.readFileSync(path.join(root, file.key), 'utf8')).toBe('%PDF-1.4');
+  });
+});
+
+describe('image uploads', () => {
+  let root;
+  let storage;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'images-'));
+    storage = createLocalDriver({ root, baseUrl: 'http://api.test/uploads' });
+    setStorage(storage);
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('stores photos upright without their metadata', async () => {
+    const saved = await saveUpload({
+      body: await sidewaysPhoto(),
+      mimetype: 'image/jpeg',
+      originalname: 'site.jpg',
+      folder: 'project-media',
+    });
+
+    expect(saved).toMatchObject({ width: 800, height: 1600 });
+    expect(saved.renditions).toBeUndefined();
+    const metadata = await sharp(fs.readFileSync(path.join(root, saved.key))).metadata();
+    expect(metadata).toMatchObject({ width: 800, height: 1600 });
+    expect(metadata.orientation).toBeUndefined();
+    expect(metadata.exif).toBeUndefined();
+  });
+
+  it('stores thumbnail and medium renditions and deletes them with the original', async () => {
+    const saved = await saveUpload({
+      body: Readable.from([await sidewaysPhoto()]),
+      mimetype: 'image/jpeg',
+      originalname: 'site.jpg',
+      folder: 'project-media',
+      renditions: true,
+    });
+
+    expect(saved.renditions).toEqual({
+      thumb: storage.url(renditionKey(saved.key, 'thumb')),
+      medium: storage.url(renditionKey(saved.key, 'medium')),
+    });
+    const thumb = await sharp(fs.readFileSync(path.join(root, renditionKey(saved.key, 'thumb')))).metadata();
+    const medium = await sharp(fs.readFileSync(path.join(root, renditionKey(saved.key, 'medium')))).metadata();
+    expect(thumb).toMatchObject({ format: 'jpeg', width: 160, height: 320 });
+    expect(medium).toMatchObject({ format: 'jpeg', width: 640, height: 1280 });
+
+    expect(await deleteByUrl(saved.url)).toBe(true);
+    expect(await storage.list('project-media/')).toEqual([]);
+  });
+
+  it('rejects files that claim to be images but are not', async () => {
+    const app = express();
+    app.post('/media', uploadMultiple('media', 5, { folder: 'client-media', renditions: true }), (req, res) => {
+      res.json(req.files);
+    });
+
+    const res = await request(app)
+      .post('/media')
+      .attach('media', Buffer.from('not a photo'), { filename: 'photo.jpg', contentType: 'image/jpeg' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('The uploaded image could not be read');
+  });
+
+  it('refuses images with more pixels than it will decode', async () => {
+    process.env.MAX_IMAGE_PIXELS = '1000000';
+    let images;
+    jest.isolateModules(() => {
+      images = require('../../src/utils/images');
+    });
+    delete process.env.MAX_IMAGE_PIXELS;
+
+    // 1600x800 is 1.28 megapixels
+    await expect(images.normalizeImage(await sidewaysPhoto(), 'image/jpeg')).rejects.toMatchObject({
+      status: 413,
+      message: 'Image is too large. Maximum is 1 megapixels',
+    });
+  });
+
+  it('passes image sizes and renditions on to multipart routes', async () => {
+    const app = express();
+    app.post('/media', uploadMultiple('media', 5, { folder: 'client-media', renditions: true }), (req, res) => {
+      res.json(req.files.map(({ width, height, renditions }) => ({ width, height, renditions })));
+    });
+
+    const res = await request(app)
+      .post('/media')
+      .attach('media', await sidewaysPhoto(), { filename: 'site.jpg', contentType: 'image/jpeg' });
+
+    expect(res.status).toBe(200);
+    expect(res.body[0]).toMatchObject({ width: 800, height: 1600 });
+    expect(Object.keys(res.body[0].renditions)).toEqual(['thumb', 'medium']);
+  });
+});
+
+describe('storage keys and URLs', () => {
+  it('builds unique sanitised keys grouped by project', () => {
+    const key = buildKey({ folder: 'invoices', projectId: 'p1', originalname: 'Invoice #12.pdf' });
+    expect(key).toMatch(/^invoices\/p1\/Invoice_12-\d+-\d+\.pdf$/);
+    expect(buildKey({ folder: 'invoices', originalname: 'a.pdf' })).not.toBe(buildKey({ folder: 'invoices', originalname: 'a.pdf' }));
+  });
+
+  it('maps S3-compatible URLs back to keys', () => {
+    const minio = createS3Driver({ bucket: 'houseway', endpoint: 'http://localhost:9000', forcePathStyle: true });
+    const aws = createS3Driver({ bucket: 'houseway', region: 'eu-west-1' });
+
+    expect(minio.url('images/a.png')).toBe('http://localhost:9000/houseway/images/a.png');
+    expect(minio.keyFromUrl('http://localhost:9000/houseway/images/a.png?X-Amz-Signature=x')).toBe('images/a.png');
+    expect(aws.url('images/a.png')).toBe('https://houseway.s3.eu-west-1.amazonaws.com/images/a.png');
+    expect(aws.keyFromUrl('http://localhost:9000/houseway/images/a.png')).toBeNull();
+  });
+
+  it('signs S3 read URLs locally', async () => {
+    const minio = createS3Driver({
+      bucket: 'houseway',
+      endpoint: 'http://localhost:9000',
+      forcePathStyle: true,
+      accessKeyId: 'minio',
+      secretAccessKey: 'minio-secret',
+    });
+
+    const signed = new URL(await minio.signedUrl('images/a.png', { expiresIn: 300 }));
+    expect(signed.pathname).toBe('/houseway/images/a.png');
+    expect(signed.searchParams.get('X-Amz-Expires')).toBe('300');
+  });
+});
@@ -0,0 +1,49 @@
+const twoFactor = require('../../src/utils/twoFactor');
+
+// RFC 6238 test secret ("12345678901234567890")
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP codes', () => {
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    expect(twoFactor.generateCode(RFC_SECRET, twoFactor.currentStep(59 * 1000))).toBe('287082');
+    expect(twoFactor.generateCode(RFC_SECRET, twoFactor.currentStep(1111111109 * 1000))).toBe('081804');
+    expect(twoFactor.generateCode(RFC_SECRET, twoFactor.currentStep(2000000000 * 1000))).toBe('279037');
+  });
+
+  it('accepts the neighbouring codes for clock drift and nothing further', () => {
+    const now = 1111111109 * 1000;
+    const step = twoFactor.currentStep(now);
+
+    expect(twoFactor.verifyCode(RFC_SECRET, twoFactor.generateCode(RFC_SECRET, step - 1), { now })).toBe(step - 1);
+    expect(twoFactor.verifyCode(RFC_SECRET, twoFactor.generateCode(RFC_SECRET, step + 1), { now })).toBe(step + 1);
+    expect(twoFactor.verifyCode(RFC_SECRET, twoFactor.generateCode(RFC_SECRET, step - 2), { now })).toBeNull();
+    expect(twoFactor.verifyCode(RFC_SECRET, 'abcdef', { now })).toBeNull();
+  });
+
+  it('rejects a code that was already used', () => {
+    const now = 1111111109 * 1000;
+    const step = twoFactor.currentStep(now);
+    const code = twoFactor.generateCode(RFC_SECRET, step);
+
+    expect(twoFactor.verifyCode(RFC_SECRET, code, { now, lastStep: step })).toBeNull();
+  });
+
+  it('builds an otpauth URI for authenticator apps', () => {
+    const secret = twoFactor.generateSecret();
+    const url = new URL(twoFactor.otpauthUrl(secret, 'owner@example.com'));
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.searchParams.get('secret')).toBe(secret);
+    expect(url.searchParams.get('period')).toBe('30');
+  });
+
+  it('generates distinct backup codes stored as hashes', () => {
+    const { codes, hashes } = twoFactor.generateBackupCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach((code) => expect(code).toMatch(/^[a-f\d]{5}-[a-f\d]{5}$/));
+    expect(hashes.some((hash) => codes.includes(hash))).toBe(false);
+  });
+});
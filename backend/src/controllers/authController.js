@@ -1,22 +1,12 @@
-const { validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken } = require('../utils/jwt');
+const { createSession, revokeUserSessions } = require('../utils/sessionService');
+const { isRequiredFor: isTwoFactorRequired, issueChallenge } = require('../utils/twoFactor');
 
 /**
  * Register a new user
  */
 const register = async (req, res) => {
   try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array(),
-      });
-    }
-
     const {
       firstName,
       lastName,
@@ -92,13 +82,8 @@ const register = async (req, res) => {
       subRole: user.subRole,
     });
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: user._id,
-      email: user.email,
-      role: user.role,
-      subRole: user.subRole,  // ✅ include subRole in token
-    });
+    // Start a session: short-lived access token + refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -106,6 +91,7 @@ const register = async (req, res) => {
       data: {
         user: user.toSafeObject(),
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -123,25 +109,17 @@ const register = async (req, res) => {
  */
 const login = async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array(),
-      });
-    }
-
     const { email, password } = req.body;
     console.log('[Auth] Login attempt for:', email);
     
     // Set a timeout for the database query to prevent hanging
+    let timeout;
     const user = await Promise.race([
       User.findByEmail(email),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Database query timeout')), 8000)
-      )
-    ]);
+      new Promise((_, reject) => {
+        timeout = setTimeout(() => reject(new Error('Database query timeout')), 8000);
+      })
+    ]).finally(() => clearTimeout(timeout));
     
     if (!user) {
       return res.status(401).json({ success: false, message: 'Invalid email or password' });
@@ -159,15 +137,26 @@ const login = async (req, res) => {
       return res.status(401).json({ success: false, message: 'Invalid email or password' });
     }
 
+    // Second step: a code from the authenticator app, or enrolling one if the role requires it
+    if (user.twoFactor?.enabled || await isTwoFactorRequired(user)) {
+      const enrolled = Boolean(user.twoFactor?.enabled);
+      return res.json({
+        success: true,
+        message: enrolled
+          ? 'Enter the code from your authenticator app'
+          : 'Two-factor authentication is required for your account. Set it up to continue.',
+        data: {
+          twoFactorRequired: enrolled,
+          twoFactorSetupRequired: !enrolled,
+          twoFactorToken: issueChallenge(user, enrolled ? 'verify' : 'setup'),
+        },
+      });
+    }
+
     user.lastLogin = new Date();
     await user.save();
 
-    const token = generateToken({
-      userId: user._id,
-      email: user.email,
-      role: user.role,
-      subRole: user.subRole,  // ✅ include subRole in JWT
-    });
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
@@ -175,6 +164,7 @@ const login = async (req, res) => {
       data: {
         user: user.toSafeObject(),
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -212,15 +202,6 @@ const getProfile = async (req, res) => {
  */
 const updateProfile = async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array(),
-      });
-    }
-
     const allowedUpdates = [
       'firstName',
       'lastName',
@@ -264,15 +245,6 @@ const updateProfile = async (req, res) => {
  */
 const changePassword = async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array(),
-      });
-    }
-
     const { currentPassword, newPassword } = req.body;
     const user = await User.findById(req.user._id);
 
@@ -287,6 +259,14 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    await revokeUserSessions({
+      userId: user._id,
+      exceptSessionId: req.sessionId,
+      reason: 'password_change',
+      io: req.app.get('io'),
+    });
+
     res.json({
       success: true,
       message: 'Password changed successfully',
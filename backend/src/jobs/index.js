@@ -0,0 +1,39 @@
+/**
+ * Background jobs
+ * Registers every recurring job with the persistent scheduler.
+ */
+
+const JobScheduler = require('../utils/jobScheduler');
+const { runTaskReminders } = require('./taskReminders');
+const { runInstallmentReminders } = require('./installmentReminders');
+const { runOverdueInvoices } = require('./overdueInvoices');
+const { runNotificationDigest } = require('./notificationDigest');
+const { runStaleUploads } = require('./staleUploads');
+const { processOutbox } = require('../utils/emailOutbox');
+
+const MINUTE_MS = 60 * 1000;
+
+const createScheduler = (options) => new JobScheduler(options)
+  .register('taskReminders', MINUTE_MS, runTaskReminders)
+  .register('installmentReminders', 60 * MINUTE_MS, runInstallmentReminders)
+  .register('overdueInvoices', 60 * MINUTE_MS, runOverdueInvoices)
+  .register('notificationDigest', 15 * MINUTE_MS, runNotificationDigest)
+  .register('emailOutbox', MINUTE_MS, processOutbox)
+  .register('staleUploads', 60 * MINUTE_MS, runStaleUploads);
+
+/**
+ * Start the scheduler unless disabled with JOB_SCHEDULER_ENABLED=false
+ * @returns {Promise<JobScheduler|null>}
+ */
+const startJobs = async (options) => {
+  if (process.env.JOB_SCHEDULER_ENABLED === 'false') {
+    console.log('⏸️  Job scheduler disabled (JOB_SCHEDULER_ENABLED=false)');
+    return null;
+  }
+
+  const scheduler = createScheduler(options);
+  await scheduler.start();
+  return scheduler;
+};
+
+module.exports = { createScheduler, startJobs };
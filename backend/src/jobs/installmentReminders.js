@@ -0,0 +1,152 @@
+/**
+ * Installment job
+ * - Reminds the client INSTALLMENT_REMINDER_DAYS (default 3) days before an
+ *   installment is due and sets `reminderSent`
+ * - Notifies the client and the project creator of unpaid installments past
+ *   their due date, then flips them to `overdue` (only after the notice is
+ *   out, so a failed send is retried on the next run)
+ */
+
+const Project = require('../models/Project');
+const ReminderLog = require('../models/ReminderLog');
+const NotificationService = require('../utils/notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sendDueReminders = async (now) => {
+  const reminderDays = parseInt(process.env.INSTALLMENT_REMINDER_DAYS) || 3;
+  const horizon = new Date(now.getTime() + reminderDays * DAY_MS);
+
+  const projects = await Project.find({
+    installments: {
+      $elemMatch: {
+        status: { $in: ['pending', 'partial'] },
+        reminderSent: false,
+        dueDate: { $gte: now, $lte: horizon },
+      },
+    },
+  }).select('title client installments');
+
+  let sent = 0;
+
+  for (const project of projects) {
+    const due = project.installments.filter((inst) =>
+      ['pending', 'partial'].includes(inst.status) &&
+      !inst.reminderSent &&
+      inst.dueDate >= now &&
+      inst.dueDate <= horizon
+    );
+
+    for (const installment of due) {
+      const log = await ReminderLog.claim(`installment_reminder:${installment._id}:${installment.dueDate.getTime()}`, {
+        kind: 'installment_reminder',
+        refId: installment._id,
+        project: project._id,
+        recipients: [project.client],
+        metadata: { dueDate: installment.dueDate, amount: installment.amount },
+      });
+      if (!log) continue;
+
+      await Project.updateOne(
+        { _id: project._id, 'installments._id': installment._id },
+        { $set: { 'installments.$.reminderSent': true } }
+      );
+
+      try {
+        const notification = await NotificationService.sendInstallmentReminder({
+          clientId: project.client,
+          projectId: project._id,
+          projectTitle: project.title,
+          installment,
+        });
+        // null when the recipient has opted out of this notification type
+        log.notifications = notification ? [notification._id] : [];
+        await log.save();
+        sent += 1;
+      } catch (error) {
+        // Release the claim so the next run retries
+        await ReminderLog.deleteOne({ _id: log._id });
+        await Project.updateOne(
+          { _id: project._id, 'installments._id': installment._id },
+          { $set: { 'installments.$.reminderSent': false } }
+        );
+        console.error(`❌ [Jobs] Installment reminder failed for ${installment._id}:`, error.message);
+      }
+    }
+  }
+
+  return sent;
+};
+
+const markOverdue = async (now) => {
+  const projects = await Project.find({
+    installments: {
+      $elemMatch: {
+        status: { $in: ['pending', 'partial'] },
+        dueDate: { $lt: now },
+      },
+    },
+  }).select('title client createdBy installments');
+
+  let flipped = 0;
+
+  for (const project of projects) {
+    const overdue = project.installments.filter((inst) =>
+      ['pending', 'partial'].includes(inst.status) && inst.dueDate < now
+    );
+
+    for (const installment of overdue) {
+      const recipients = [project.client, project.createdBy]
+        .filter(Boolean)
+        .filter((id, i, arr) => arr.findIndex((other) => other.toString() === id.toString()) === i);
+
+      const log = await ReminderLog.claim(`installment_overdue:${installment._id}:${installment.dueDate.getTime()}`, {
+        kind: 'installment_overdue',
+        refId: installment._id,
+        project: project._id,
+        recipients,
+        metadata: { dueDate: installment.dueDate, amount: installment.amount, paidAmount: installment.paidAmount },
+      });
+
+      // No claim: an earlier run already sent the notice, only the status flip is left
+      if (log) {
+        try {
+          const notifications = await Promise.all(recipients.map((recipientId) =>
+            NotificationService.notifyInstallmentOverdue({
+              recipientId,
+              projectId: project._id,
+              projectTitle: project.title,
+              installment,
+            })
+          ));
+          log.notifications = notifications.filter(Boolean).map((n) => n._id);
+          await log.save();
+        } catch (error) {
+          // Release the claim and leave the status so the next run retries
+          await ReminderLog.deleteOne({ _id: log._id });
+          console.error(`❌ [Jobs] Overdue notice failed for installment ${installment._id}:`, error.message);
+          continue;
+        }
+      }
+
+      const result = await Project.updateOne(
+        {
+          _id: project._id,
+          installments: { $elemMatch: { _id: installment._id, status: { $in: ['pending', 'partial'] } } },
+        },
+        { $set: { 'installments.$.status': 'overdue' } }
+      );
+      flipped += result.modifiedCount;
+    }
+  }
+
+  return flipped;
+};
+
+const runInstallmentReminders = async ({ now = new Date() } = {}) => {
+  const reminded = await sendDueReminders(now);
+  const overdue = await markOverdue(now);
+  return { reminded, overdue };
+};
+
+module.exports = { runInstallmentReminders };
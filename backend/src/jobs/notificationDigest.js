@@ -0,0 +1,74 @@
+/**
+ * Daily digest job
+ * For users with a daily digest, bundles notifications held back for email
+ * (delivery.email = 'digest') into one email once their digest time has passed.
+ */
+
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const ReminderLog = require('../models/ReminderLog');
+const { queueEmail } = require('../utils/emailOutbox');
+const { resolvePreferences, isDigestDue, localDateKey } = require('../utils/notificationPreferences');
+
+const MAX_DIGEST_ITEMS = 50;
+
+const runNotificationDigest = async ({ now = new Date() } = {}) => {
+  const users = await User.find({
+    isActive: true,
+    'notificationPreferences.dailyDigest.enabled': true,
+  }).select('firstName email notificationPreferences');
+
+  let sent = 0;
+
+  for (const user of users) {
+    const preferences = resolvePreferences(user.notificationPreferences);
+    if (!user.email || !isDigestDue(preferences, now)) continue;
+
+    const pending = await Notification.find({ recipient: user._id, 'delivery.email': 'digest' })
+      .sort({ createdAt: -1 })
+      .limit(MAX_DIGEST_ITEMS)
+      .select('title message createdAt');
+    if (pending.length === 0) continue;
+
+    // One digest per user per local day
+    const day = localDateKey(preferences, now);
+    const ids = pending.map((n) => n._id);
+    const log = await ReminderLog.claim(`notification_digest:${user._id}:${day}`, {
+      kind: 'notification_digest',
+      refId: user._id,
+      recipients: [user._id],
+      notifications: ids,
+      metadata: { day, count: pending.length },
+    });
+    if (!log) continue;
+
+    try {
+      await queueEmail({
+        to: user.email,
+        recipient: user._id,
+        template: 'notificationDigest',
+        data: {
+          name: user.firstName,
+          date: new Date(now).toLocaleDateString('en-IN', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+            timeZone: preferences.timezone,
+          }),
+          items: pending.map(({ title, message }) => ({ title, message })),
+        },
+        notifications: ids,
+      });
+      await Notification.updateMany({ _id: { $in: ids } }, { $set: { 'delivery.email': 'pending' } });
+      sent += 1;
+    } catch (error) {
+      // Release the claim so the next run retries
+      await ReminderLog.deleteOne({ _id: log._id });
+      console.error(`❌ [Jobs] Notification digest failed for ${user._id}:`, error.message);
+    }
+  }
+
+  return { checked: users.length, sent };
+};
+
+module.exports = { runNotificationDigest };
@@ -0,0 +1,62 @@
+/**
+ * Overdue invoice job
+ * Notifies the client and invoice creator of sent/viewed client invoices
+ * past their due date (including any late fee from the invoice's
+ * lateFeeSettings), then flips them to `overdue` and records the reminder
+ * date. The status only changes once the notice is out, so a failed send is
+ * retried on the next run.
+ */
+
+const ClientInvoice = require('../models/ClientInvoice');
+const ReminderLog = require('../models/ReminderLog');
+const NotificationService = require('../utils/notificationService');
+
+const runOverdueInvoices = async ({ now = new Date() } = {}) => {
+  const invoices = await ClientInvoice.getOverdueInvoices();
+
+  let flipped = 0;
+
+  for (const invoice of invoices) {
+    // Fee is computed before the status flip; calculateLateFee only looks at dates
+    const lateFee = invoice.calculateLateFee();
+
+    // clientId/createdBy are populated by the model's pre-find hook
+    const recipients = [invoice.clientId?._id, invoice.createdBy?._id]
+      .filter(Boolean)
+      .filter((id, i, arr) => arr.findIndex((other) => other.toString() === id.toString()) === i);
+
+    const log = await ReminderLog.claim(`invoice_overdue:${invoice._id}:${invoice.dueDate.getTime()}`, {
+      kind: 'invoice_overdue',
+      refId: invoice._id,
+      project: invoice.projectId?._id || invoice.projectId,
+      recipients,
+      metadata: { invoiceNumber: invoice.invoiceNumber, dueDate: invoice.dueDate, lateFee },
+    });
+
+    // No claim: an earlier run already sent the notice, only the status flip is left
+    if (log) {
+      try {
+        const notifications = await Promise.all(recipients.map((recipientId) =>
+          NotificationService.notifyInvoiceOverdue({ recipientId, invoice, lateFee })
+        ));
+        log.notifications = notifications.filter(Boolean).map((n) => n._id);
+        await log.save();
+      } catch (error) {
+        // Release the claim and leave the status so the next run retries
+        await ReminderLog.deleteOne({ _id: log._id });
+        console.error(`❌ [Jobs] Overdue notice failed for invoice ${invoice.invoiceNumber}:`, error.message);
+        continue;
+      }
+    }
+
+    const result = await ClientInvoice.updateOne(
+      { _id: invoice._id, status: { $in: ['sent', 'viewed'] } },
+      { $set: { status: 'overdue' }, $push: { reminderDates: now } }
+    );
+    flipped += result.modifiedCount;
+  }
+
+  return { checked: invoices.length, overdue: flipped };
+};
+
+module.exports = { runOverdueInvoices };
@@ -0,0 +1,36 @@
+/**
+ * Stale upload job
+ * Expires chunked uploads (see routes/uploads) that received no part before
+ * their `expiresAt` and deletes the parts they left in storage.
+ */
+
+const UploadSession = require('../models/UploadSession');
+const { removeParts } = require('../utils/chunkedUploads');
+
+const runStaleUploads = async ({ now = new Date() } = {}) => {
+  const sessions = await UploadSession.find({
+    status: { $in: ['uploading', 'completing'] },
+    expiresAt: { $lt: now },
+  });
+
+  let expired = 0;
+
+  for (const session of sessions) {
+    const result = await UploadSession.updateOne(
+      { _id: session._id, status: session.status, expiresAt: { $lt: now } },
+      { $set: { status: 'expired' } }
+    );
+    if (result.modifiedCount === 0) continue;
+    expired += 1;
+
+    try {
+      await removeParts(session);
+    } catch (error) {
+      console.error(`❌ [Jobs] Could not remove parts of upload ${session._id}:`, error.message);
+    }
+  }
+
+  return { checked: sessions.length, expired };
+};
+
+module.exports = { runStaleUploads };
@@ -0,0 +1,64 @@
+/**
+ * Task reminder job
+ * Sends a notification once a task reaches its `notifyAt` time
+ * (scheduledAt - notifyBefore minutes), up to START_GRACE_MS after it starts
+ * so tasks reminded at their start time (notifyBefore 0) are not missed.
+ */
+
+const Task = require('../models/Task');
+const ReminderLog = require('../models/ReminderLog');
+const NotificationService = require('../utils/notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A few job runs (one a minute) past the start
+const START_GRACE_MS = 5 * 60 * 1000;
+
+const runTaskReminders = async ({ now = new Date() } = {}) => {
+  // notifyBefore is capped at 24h, so only tasks dated around today can be due
+  const tasks = await Task.find({
+    status: { $in: ['pending', 'in-progress'] },
+    date: { $gte: new Date(now.getTime() - DAY_MS), $lte: new Date(now.getTime() + 2 * DAY_MS) },
+  }).populate('projectId', 'title');
+
+  let sent = 0;
+
+  for (const task of tasks) {
+    const { scheduledAt, notifyAt } = task;
+    if (!scheduledAt || !notifyAt) continue;
+    if (notifyAt > now || now - scheduledAt > START_GRACE_MS) continue;
+
+    const recipientId = task.assignedTo || task.createdBy;
+    if (!recipientId) continue;
+
+    // Keyed on the scheduled time so a rescheduled task is reminded again
+    const log = await ReminderLog.claim(`task_reminder:${task._id}:${scheduledAt.getTime()}`, {
+      kind: 'task_reminder',
+      refId: task._id,
+      project: task.projectId?._id || task.projectId,
+      recipients: [recipientId],
+      metadata: { scheduledAt, notifyAt },
+    });
+    if (!log) continue;
+
+    try {
+      const notification = await NotificationService.sendTaskReminder({
+        recipientId,
+        task,
+        projectTitle: task.projectId?.title,
+      });
+      // null when the recipient has opted out of this notification type
+      log.notifications = notification ? [notification._id] : [];
+      await log.save();
+      sent += 1;
+    } catch (error) {
+      // Release the claim so the next run retries
+      await ReminderLog.deleteOne({ _id: log._id });
+      console.error(`❌ [Jobs] Task reminder failed for ${task._id}:`, error.message);
+    }
+  }
+
+  return { checked: tasks.length, sent };
+};
+
+module.exports = { runTaskReminders };
@@ -1,5 +1,8 @@
 const { verifyToken, extractTokenFromHeader } = require('../utils/jwt');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const { setAuditActor } = require('../utils/audit');
 
 
 /**
@@ -30,8 +33,25 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact administrator.',
+      });
+    }
+
+    // Signed out remotely (session revoked or force-logout)
+    if (await Session.isTokenRevoked(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again.',
+      });
+    }
+
     // Add user info to request object
     req.user = user;
+    req.sessionId = decoded.sid || null;
+    setAuditActor(user);
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -81,6 +101,41 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Middleware to require a permission from the registry in utils/permissions
+ * @param {string} permission - e.g. 'projects.assign'
+ */
+const requirePermission = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.',
+      });
+    }
+
+    try {
+      if (!(await hasPermission(req.user, permission))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Insufficient permissions.',
+          requiredPermission: permission,
+        });
+      }
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Permission check failed.',
+      });
+    }
+  };
+};
+
 /**
  * Middleware to check if user is owner
  */
@@ -104,6 +159,7 @@ const isAuthenticated = authenticate;
 module.exports = {
   authenticate,
   authorize,
+  requirePermission,
   isOwner,
   isOwnerOrEmployee,
   isOwnerEmployeeOrVendor,
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+
+/**
+ * Middleware to require membership of the project a request targets
+ * (client, creator, assigned employee or vendor; owners always pass).
+ * The loaded project is available as req.project.
+ * @param {string|Function} resolveProjectId - Route param name, or (req) => projectId (may be async).
+ *   Resolving to nothing skips the check so the handler can 404 / 400 as before; a resolver
+ *   that throws an error with a `status` (see projectOf) answers with that status instead.
+ * @param {Object} [options]
+ * @param {boolean} [options.vendors=true] - Whether assigned vendors count as members
+ */
+const requireProjectAccess = (resolveProjectId = 'projectId', options = {}) => {
+  const resolve = typeof resolveProjectId === 'function'
+    ? resolveProjectId
+    : (req) => req.params[resolveProjectId];
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.',
+      });
+    }
+
+    try {
+      const projectId = await resolve(req);
+      if (!projectId) return next();
+
+      if (!mongoose.Types.ObjectId.isValid(projectId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid project ID',
+        });
+      }
+
+      const project = await Project.findById(projectId)
+        .select('title client createdBy assignedEmployees assignedVendors');
+
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          message: 'Project not found',
+        });
+      }
+
+      if (!project.hasMember(req.user, options)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You do not have access to this project.',
+        });
+      }
+
+      req.project = project;
+      next();
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      console.error('Project access check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Project access check failed.',
+      });
+    }
+  };
+};
+
+/**
+ * Resolver for requireProjectAccess: the project of the document a route param points at.
+ * A document outside any project is only open to owners and, with `ownerField`, the user
+ * it names; anyone else gets a 403 rather than skipping the check.
+ * @param {mongoose.Model} Model - e.g. Task
+ * @param {string} param - Route param holding the document ID
+ * @param {string} [field='project'] - Field on the document referencing the project
+ * @param {Object} [options]
+ * @param {string} [options.ownerField] - Field naming the user a project-less document belongs to (e.g. uploadedBy)
+ */
+const projectOf = (Model, param, field = 'project', { ownerField } = {}) => async (req) => {
+  const id = req.params[param];
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const doc = await Model.findById(id).select(ownerField ? `${field} ${ownerField}` : field);
+  if (!doc) return null;
+  if (doc[field]) return doc[field];
+
+  const isOwner = req.user.role === 'owner';
+  const isRecordOwner = ownerField && doc[ownerField]?.toString() === req.user._id.toString();
+  if (!isOwner && !isRecordOwner) {
+    const error = new Error('Access denied. You do not have access to this record.');
+    error.status = 403;
+    throw error;
+  }
+  return null;
+};
+
+module.exports = {
+  requireProjectAccess,
+  projectOf,
+};
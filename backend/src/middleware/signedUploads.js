@@ -0,0 +1,48 @@
+const { getStorage } = require('../utils/storage');
+
+/**
+ * Serves local-storage files at /uploads, but only for URLs signed by
+ * storage.signedUrl() that have not expired. Links are issued by
+ * /api/files/:id/link and /api/files/link after an access check.
+ */
+const serveSignedUploads = () => {
+  return (req, res, next) => {
+    const storage = getStorage();
+    if (storage.name !== 'local') {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    let key;
+    try {
+      key = decodeURIComponent(req.path.replace(/^\/+/, ''));
+    } catch (error) {
+      key = null;
+    }
+
+    if (!key || !storage.verifySignature(key, req.query.expires, req.query.signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This link is invalid or has expired.',
+      });
+    }
+
+    // Let other origins (the web app on another port) display images
+    res.header('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.header('Cache-Control', 'private, max-age=300');
+    res.sendFile(key, { root: storage.root, cacheControl: false }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'File not found',
+        });
+      } else if (error) {
+        next(error);
+      }
+    });
+  };
+};
+
+module.exports = { serveSignedUploads };
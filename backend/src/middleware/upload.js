@@ -1,40 +1,45 @@
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
+const { saveUpload, deleteUpload } = require('../utils/storage');
 
-// Ensure upload directories exist
-const uploadDirs = ['uploads/documents', 'uploads/images', 'uploads/quotations', 'uploads/purchase-orders'];
-uploadDirs.forEach(dir => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+// Default folder from the route and file type; routes can pass their own
+const defaultFolder = (req, file) => {
+  if (req.route.path.includes('quotation')) {
+    return 'quotations';
+  } else if (req.route.path.includes('purchase-order')) {
+    return 'purchase-orders';
+  } else if (file.mimetype.startsWith('image/')) {
+    return 'images';
   }
-});
-
-// Storage configuration
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    let uploadPath = 'uploads/';
+  return 'documents';
+};
 
-    // Determine upload path based on file type and route
-    if (req.route.path.includes('quotation')) {
-      uploadPath += 'quotations/';
-    } else if (req.route.path.includes('purchase-order')) {
-      uploadPath += 'purchase-orders/';
-    } else if (file.mimetype.startsWith('image/')) {
-      uploadPath += 'images/';
-    } else {
-      uploadPath += 'documents/';
-    }
+/**
+ * Multer storage engine that streams each file to the configured storage
+ * driver through saveUpload(). Files get `key`, `filename` (last part of the
+ * key), `url` and `size`; images also get `width`, `height` and, when asked
+ * for, `renditions`.
+ * @param {string|Function} [folder] - Folder, or (req, file) => folder
+ * @param {Object} [options]
+ * @param {boolean} [options.renditions] - Store thumbnail and medium copies of images
+ */
+const storageEngine = (folder = defaultFolder, { renditions = false } = {}) => ({
+  _handleFile(req, file, cb) {
+    saveUpload({
+      body: file.stream,
+      mimetype: file.mimetype,
+      originalname: file.originalname,
+      folder: typeof folder === 'function' ? folder(req, file) : folder,
+      renditions,
+    })
+      .then((saved) => cb(null, saved))
+      .catch(cb);
+  },
 
-    cb(null, uploadPath);
+  // Multer calls this for files already stored when a later one fails
+  _removeFile(req, file, cb) {
+    if (!file.key) return cb(null);
+    deleteUpload(file.key).then(() => cb(null), cb);
   },
-  filename: (req, file, cb) => {
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const extension = path.extname(file.originalname);
-    const baseName = path.basename(file.originalname, extension);
-    cb(null, `${baseName}-${uniqueSuffix}${extension}`);
-  }
 });
 
 // File filter function
@@ -66,8 +71,8 @@ const fileFilter = (req, file, cb) => {
 };
 
 // Multer configuration
-const upload = multer({
-  storage: storage,
+const createUpload = (folder, options) => multer({
+  storage: storageEngine(folder, options),
   fileFilter: fileFilter,
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024, // 100MB default for video support
@@ -75,10 +80,13 @@ const upload = multer({
   },
 });
 
+const upload = createUpload();
+
 // Middleware for single file upload
-const uploadSingle = (fieldName) => {
+const uploadSingle = (fieldName, { folder, renditions } = {}) => {
+  const parser = folder || renditions ? createUpload(folder, { renditions }) : upload;
   return (req, res, next) => {
-    upload.single(fieldName)(req, res, (err) => {
+    parser.single(fieldName)(req, res, (err) => {
       if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
           return res.status(400).json({
@@ -108,9 +116,10 @@ const uploadSingle = (fieldName) => {
 };
 
 // Middleware for multiple file upload
-const uploadMultiple = (fieldName, maxCount = 5) => {
+const uploadMultiple = (fieldName, maxCount = 5, { folder, renditions } = {}) => {
+  const parser = folder || renditions ? createUpload(folder, { renditions }) : upload;
   return (req, res, next) => {
-    upload.array(fieldName, maxCount)(req, res, (err) => {
+    parser.array(fieldName, maxCount)(req, res, (err) => {
       if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
           return res.status(400).json({
@@ -140,9 +149,10 @@ const uploadMultiple = (fieldName, maxCount = 5) => {
 };
 
 // Middleware for mixed file upload (multiple fields)
-const uploadFields = (fields) => {
+const uploadFields = (fields, { folder, renditions } = {}) => {
+  const parser = folder || renditions ? createUpload(folder, { renditions }) : upload;
   return (req, res, next) => {
-    upload.fields(fields)(req, res, (err) => {
+    parser.fields(fields)(req, res, (err) => {
       if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
           return res.status(400).json({
@@ -171,31 +181,10 @@ const uploadFields = (fields) => {
   };
 };
 
-// Helper function to delete file
-const deleteFile = (filePath) => {
-  try {
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      return true;
-    }
-    return false;
-  } catch (error) {
-    console.error('Error deleting file:', error);
-    return false;
-  }
-};
-
-// Helper function to get file URL
-const getFileUrl = (req, filename) => {
-  const baseUrl = `${req.protocol}://${req.get('host')}`;
-  return `${baseUrl}/uploads/${filename}`;
-};
-
 module.exports = {
   upload,
   uploadSingle,
   uploadMultiple,
   uploadFields,
-  deleteFile,
-  getFileUrl,
+  storageEngine,
 };
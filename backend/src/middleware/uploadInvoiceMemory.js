@@ -1,6 +1,6 @@
 const multer = require("multer");
 
-// Memory storage required for GCS uploads
+// Memory storage; the route stores the file through utils/storage
 const storage = multer.memoryStorage();
 
 const fileFilter = (req, file, cb) => {
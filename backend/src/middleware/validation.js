@@ -1,4 +1,235 @@
-const { body } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { SUBJECTS } = require('../utils/permissions');
+const { POLICY_SUBJECTS } = require('../utils/twoFactor');
+const { deleteUpload } = require('../utils/storage');
+const { FREQUENCIES, MAX_OCCURRENCES } = require('../utils/recurrence');
+const { NOTIFICATION_TYPES, isValidTimezone } = require('../utils/notificationPreferences');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const ProjectDocument = require('../models/ProjectDocument');
+const DocumentApproval = require('../models/DocumentApproval');
+const Task = require('../models/Task');
+const ClientInvoice = require('../models/ClientInvoice');
+const ClientMedia = require('../models/ClientMedia');
+const ClientTimelineEvent = require('../models/ClientTimelineEvent');
+const Quotation = require('../models/Quotation');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const NegotiationMessage = require('../models/NegotiationMessage');
+const ServiceRequest = require('../models/ServiceRequest');
+
+// ---- Error envelope ---------------------------------------------------------
+
+/**
+ * Send a 400 with field errors in the shape every validation failure uses:
+ * { success: false, message, code: 'VALIDATION_FAILED', errors: [{ field, message, code, location }] }
+ * @param {express.Response} res
+ * @param {Object[]} errors - Field errors, the first one becomes the message
+ */
+const sendValidationErrors = (res, errors) => res.status(400).json({
+  success: false,
+  message: errors[0]?.message || 'Validation failed',
+  code: 'VALIDATION_FAILED',
+  errors,
+});
+
+const isMissing = (value) => value === undefined
+  || value === null
+  || (typeof value === 'string' && !value.trim())
+  || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Field error of a failed check. Messages given as { code, message } keep
+ * their code; otherwise it is REQUIRED when nothing was sent, else INVALID.
+ * The value is left out so passwords are never echoed back.
+ */
+const toFieldError = ({ path, location, value, msg }) => {
+  const coded = msg !== null && typeof msg === 'object';
+  return {
+    field: path,
+    message: coded ? msg.message : msg,
+    code: coded ? msg.code : (isMissing(value) ? 'REQUIRED' : 'INVALID'),
+    location,
+  };
+};
+
+/**
+ * Delete files multer already stored for a rejected request
+ * @param {Object} req
+ * @param {Array} [only] - Just these of the request's files (the rest were kept)
+ */
+const discardUploads = (req, only) => {
+  const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+  (only || [req.file, ...files]).filter((file) => file?.key).forEach((file) => {
+    deleteUpload(file.key).catch((error) => console.error('Discard upload error:', error));
+  });
+};
+
+/**
+ * Ends every validator list: responds 400 with the failed checks, if any
+ */
+const handleValidationErrors = (req, res, next) => {
+  const result = validationResult(req);
+  if (result.isEmpty()) return next();
+
+  discardUploads(req);
+  return sendValidationErrors(res, result.array({ onlyFirstError: true }).map(toFieldError));
+};
+
+// ---- Shared rules -----------------------------------------------------------
+
+const enumOf = (Model, pathname) => Model.schema.path(pathname).enumValues;
+
+// 'id' -> 'ID', 'documentId' -> 'document ID'
+const idLabel = (name) => (name === 'id'
+  ? 'ID'
+  : `${name.replace(/Id$/, '').replace(/([A-Z])/g, ' $1').toLowerCase()} ID`);
+
+const idParam = (name) => param(name)
+  .isMongoId()
+  .withMessage(`Invalid ${idLabel(name)}`);
+
+/**
+ * Validation rules for routes whose only input is IDs in the path
+ * @param {...string} names - Route params, e.g. 'id', 'documentId'
+ */
+const validateIds = (...names) => [...names.map(idParam), handleValidationErrors];
+
+const optionalText = (field, max, label) => body(field)
+  .optional({ values: 'null' })
+  .isString()
+  .withMessage(`${label} must be text`)
+  .bail()
+  .isLength({ max })
+  .withMessage(`${label} cannot exceed ${max} characters`);
+
+const requiredText = (field, max, label) => body(field)
+  .isString()
+  .withMessage(`${label} is required`)
+  .bail()
+  .trim()
+  .notEmpty()
+  .withMessage(`${label} is required`)
+  .isLength({ max })
+  .withMessage(`${label} cannot exceed ${max} characters`);
+
+const newPassword = (field, label) => body(field)
+  .isLength({ min: 6 })
+  .withMessage(`${label} must be at least 6 characters long`)
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage(`${label} must contain at least one lowercase letter, one uppercase letter, and one number`);
+
+const email = (field = 'email') => body(field)
+  .trim()
+  .notEmpty()
+  .withMessage('Email is required')
+  .isEmail()
+  .withMessage('Please provide a valid email address')
+  .normalizeEmail();
+
+const phone = (field = 'phone') => body(field)
+  .optional({ values: 'falsy' })
+  .matches(/^\+?[\d\s-()]+$/)
+  .withMessage('Please provide a valid phone number');
+
+const lineItems = [
+  body('lineItems.*.description')
+    .trim()
+    .notEmpty()
+    .withMessage('Line item description is required')
+    .isLength({ max: 200 })
+    .withMessage('Line item description cannot exceed 200 characters'),
+
+  body('lineItems.*.quantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Quantity must be a number greater than 0'),
+
+  body('lineItems.*.unitPrice')
+    .isFloat({ min: 0 })
+    .withMessage('Unit price must be a number of at least 0'),
+
+  body('lineItems.*.category')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(ClientInvoice, 'lineItems.category'))
+    .withMessage(`Category must be one of: ${enumOf(ClientInvoice, 'lineItems.category').join(', ')}`),
+];
+
+const invoiceTerms = [
+  body('taxRate')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tax rate must be between 0 and 100'),
+
+  body('discountType')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(ClientInvoice, 'discountType'))
+    .withMessage('Discount type must be percentage or fixed'),
+
+  body('discountValue')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Discount must be a number of at least 0'),
+
+  optionalText('paymentTerms', 500, 'Payment terms'),
+  optionalText('notes', 1000, 'Notes'),
+];
+
+const newInvoice = [
+  body('lineItems')
+    .isArray({ min: 1 })
+    .withMessage('At least one line item is required'),
+
+  ...lineItems,
+  ...invoiceTerms,
+
+  body('currency')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(ClientInvoice, 'currency'))
+    .withMessage(`Currency must be one of: ${enumOf(ClientInvoice, 'currency').join(', ')}`),
+
+  optionalText('internalNotes', 1000, 'Internal notes'),
+];
+
+const dueDate = body('dueDate')
+  .notEmpty()
+  .withMessage('Due date is required')
+  .isISO8601()
+  .withMessage('Due date must be a valid date');
+
+const timelineEvent = [
+  body('eventType')
+    .isIn(enumOf(ClientTimelineEvent, 'eventType'))
+    .withMessage(`Event type must be one of: ${enumOf(ClientTimelineEvent, 'eventType').join(', ')}`),
+
+  requiredText('title', 200, 'Title'),
+  requiredText('description', 1000, 'Description'),
+
+  body('attachments')
+    .optional()
+    .isArray()
+    .withMessage('Attachments must be a list'),
+
+  body('visibility')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(ClientTimelineEvent, 'visibility'))
+    .withMessage('Visibility must be public or internal'),
+];
+
+// Multipart fields arrive as strings
+const mediaDetails = [
+  optionalText('description', 500, 'Description'),
+
+  body('category')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(ClientMedia, 'category'))
+    .withMessage(`Category must be one of: ${enumOf(ClientMedia, 'category').join(', ')}`),
+
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be true or false'),
+];
+
+// ---- Auth & users -----------------------------------------------------------
 
 /**
  * Validation rules for user registration
@@ -10,55 +241,56 @@ const validateRegistration = [
     .withMessage('First name is required')
     .isLength({ min: 2, max: 50 })
     .withMessage('First name must be between 2 and 50 characters'),
-  
+
   body('lastName')
     .trim()
     .notEmpty()
     .withMessage('Last name is required')
     .isLength({ min: 2, max: 50 })
     .withMessage('Last name must be between 2 and 50 characters'),
-  
-  body('email')
-    .trim()
-    .notEmpty()
-    .withMessage('Email is required')
-    .isEmail()
-    .withMessage('Please provide a valid email address')
-    .normalizeEmail(),
-  
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
-  
+
+  email(),
+  newPassword('password', 'Password'),
+
   body('role')
     .notEmpty()
     .withMessage('Role is required')
     .isIn(['owner', 'employee', 'vendor', 'client', 'guest'])
     .withMessage('Role must be one of: owner, employee, vendor, client, guest'),
-  
+
   body('phone')
     .optional()
     .matches(/^\+?[\d\s-()]+$/)
     .withMessage('Please provide a valid phone number'),
+
+  handleValidationErrors,
 ];
 
 /**
  * Validation rules for user login
  */
 const validateLogin = [
-  body('email')
-    .trim()
-    .notEmpty()
-    .withMessage('Email is required')
-    .isEmail()
-    .withMessage('Please provide a valid email address')
-    .normalizeEmail(),
-  
+  email(),
+
   body('password')
     .notEmpty()
     .withMessage('Password is required'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for refreshing an access token
+ */
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+
+  handleValidationErrors,
 ];
 
 /**
@@ -70,17 +302,24 @@ const validateProfileUpdate = [
     .trim()
     .isLength({ min: 2, max: 50 })
     .withMessage('First name must be between 2 and 50 characters'),
-  
+
   body('lastName')
     .optional()
     .trim()
     .isLength({ min: 2, max: 50 })
     .withMessage('Last name must be between 2 and 50 characters'),
-  
+
   body('phone')
     .optional()
     .matches(/^\+?[\d\s-()]+$/)
     .withMessage('Please provide a valid phone number'),
+
+  body('address')
+    .optional()
+    .isObject()
+    .withMessage('Address must be an object'),
+
+  handleValidationErrors,
 ];
 
 /**
@@ -90,22 +329,338 @@ const validatePasswordChange = [
   body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
-  
+
+  newPassword('newPassword', 'New password'),
+
+  body('confirmPassword')
+    .custom((value, { req }) => value === req.body.newPassword)
+    .withMessage({ code: 'MISMATCH', message: 'Password confirmation does not match new password' }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for signing out one session
+ */
+const validateSessionId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for asking for a password reset code
+ */
+const validatePasswordOtpRequest = [
+  email(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for checking a password reset code
+ */
+const validatePasswordOtp = [
+  email(),
+
+  body('otp')
+    .isString()
+    .withMessage('OTP is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('OTP is required'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for setting a new password with a verified reset code
+ */
+const validatePasswordReset = [
+  email(),
+
+  body('resetToken')
+    .isString()
+    .withMessage('Reset token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+
   body('newPassword')
+    .isString()
+    .withMessage('New password is required')
+    .bail()
     .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number'),
-  
-  body('confirmPassword')
-    .custom((value, { req }) => {
-      if (value !== req.body.newPassword) {
-        throw new Error('Password confirmation does not match new password');
-      }
-      return true;
-    }),
+    .withMessage('Password must be at least 6 characters'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for activating or deactivating a user
+ */
+const validateUserStatus = [
+  idParam('id'),
+
+  body('isActive')
+    .isBoolean({ strict: true })
+    .withMessage('isActive must be true or false'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for creating a client account (by staff)
+ */
+const validateClientRegistration = [
+  body(['firstName', 'lastName'])
+    .trim()
+    .notEmpty()
+    .withMessage('First and last name are required')
+    .isLength({ max: 50 })
+    .withMessage('Names cannot exceed 50 characters'),
+
+  email(),
+
+  body('password')
+    .isString()
+    .withMessage('Password is required')
+    .bail()
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+
+  phone(),
+  optionalText('clientId', 50, 'Client ID'),
+  optionalText('username', 50, 'Username'),
+
+  body(['address', 'clientDetails'])
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Address and client details must be objects'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for updating one's own profile (users API)
+ */
+const validateUserProfile = [
+  body(['firstName', 'lastName'])
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Names cannot exceed 50 characters'),
+
+  body('email')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address'),
+
+  phone(),
+
+  body('address')
+    .optional({ values: 'falsy' })
+    .isObject()
+    .withMessage('Address must be an object'),
+
+  body('profileImage')
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage('Profile image must be a URL'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for changing one's password (users API)
+ */
+const validateUserPasswordChange = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+
+  body('newPassword')
+    .isString()
+    .withMessage('New password is required')
+    .bail()
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters'),
+
+  handleValidationErrors,
+];
+
+// ---- Clients ----------------------------------------------------------------
+
+/**
+ * Validation rules for updating a client. Only these fields are applied
+ * (see matchedData in routes/clients).
+ */
+const validateClientUpdate = [
+  idParam('id'),
+
+  body(['firstName', 'lastName'])
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('First and last name cannot be empty')
+    .isLength({ max: 50 })
+    .withMessage('Names cannot exceed 50 characters'),
+
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address'),
+
+  phone(),
+
+  body('isActive')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('isActive must be true or false'),
+
+  body(['address', 'clientDetails'])
+    .optional()
+    .isObject()
+    .withMessage('Address and client details must be objects'),
+
+  body('clientDetails.clientStatus')
+    .optional()
+    .isIn(enumOf(User, 'clientDetails.clientStatus'))
+    .withMessage(`Client status must be one of: ${enumOf(User, 'clientDetails.clientStatus').join(', ')}`),
+
+  body('clientDetails.priorityLevel')
+    .optional()
+    .isIn(enumOf(User, 'clientDetails.priorityLevel'))
+    .withMessage(`Priority level must be one of: ${enumOf(User, 'clientDetails.priorityLevel').join(', ')}`),
+
+  body('clientDetails.projectBudget')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Project budget must be a number of at least 0'),
+
+  handleValidationErrors,
 ];
 
+/**
+ * Validation rules for a client timeline event
+ */
+const validateClientTimelineEvent = [
+  idParam('id'),
+
+  body('projectId')
+    .isMongoId()
+    .withMessage('Invalid project ID'),
+
+  ...timelineEvent,
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for the fields sent with client media (after the upload)
+ */
+const validateClientMedia = [
+  body('projectId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid project ID'),
+
+  ...mediaDetails,
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for an invoice created from the client's page
+ */
+const validateClientInvoice = [
+  idParam('id'),
+
+  body('projectId')
+    .isMongoId()
+    .withMessage('Invalid project ID'),
+
+  ...newInvoice,
+  dueDate,
+
+  body('attachments')
+    .optional()
+    .isArray()
+    .withMessage('Attachments must be a list'),
+
+  handleValidationErrors,
+];
+
+const optionalQueryId = (name) => query(name)
+  .optional()
+  .isMongoId()
+  .withMessage(`Invalid ${idLabel(name)}`);
+
+/**
+ * Validation rules for listing approval requests (?status=, ?projectId=, ?documentId=)
+ */
+const validateApprovalList = [
+  query('status')
+    .optional()
+    .isIn(enumOf(DocumentApproval, 'status'))
+    .withMessage('Invalid approval status'),
+
+  optionalQueryId('projectId'),
+  optionalQueryId('documentId'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for a client's answer to an approval request
+ */
+const validateApprovalResponse = [
+  idParam('approvalId'),
+
+  body('decision')
+    .isIn(['approve', 'request-changes'])
+    .withMessage('Decision must be approve or request-changes'),
+
+  body('comments')
+    .if(body('decision').equals('request-changes'))
+    .isString()
+    .withMessage('Please describe the changes you need')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Please describe the changes you need'),
+
+  optionalText('comments', 2000, 'Comments'),
+
+  body('signature')
+    .if(body('decision').equals('approve'))
+    .custom((signature) => (typeof signature?.name === 'string' && !!signature.name.trim()) || !!signature?.strokes)
+    .withMessage('Type your name or draw your signature to approve'),
+
+  body('signature')
+    .optional()
+    .isObject()
+    .withMessage('Signature must be an object'),
+
+  optionalText('signature.name', 100, 'Signature name'),
+
+  body('signature.strokes')
+    .optional()
+    .isString()
+    .withMessage('Drawn signature must be SVG path data'),
+
+  body(['signature.width', 'signature.height'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Signature size must be a positive number'),
+
+  handleValidationErrors,
+];
+
+// ---- Projects ---------------------------------------------------------------
+
 /**
  * Validation rules for project creation
  */
@@ -116,117 +671,1624 @@ const validateProject = [
     .withMessage('Project title is required')
     .isLength({ min: 3, max: 100 })
     .withMessage('Project title must be between 3 and 100 characters'),
-  
+
   body('description')
     .trim()
     .notEmpty()
     .withMessage('Project description is required')
     .isLength({ min: 10, max: 1000 })
     .withMessage('Project description must be between 10 and 1000 characters'),
-  
+
   body('clientId')
     .notEmpty()
     .withMessage('Client ID is required')
     .isMongoId()
     .withMessage('Invalid client ID format'),
-  
+
   body('budget')
     .optional()
     .isNumeric()
     .withMessage('Budget must be a number'),
-  
+
   body('startDate')
     .optional()
     .isISO8601()
     .withMessage('Start date must be a valid date'),
-  
+
   body('expectedEndDate')
     .optional()
     .isISO8601()
     .withMessage('Expected end date must be a valid date'),
+
+  handleValidationErrors,
 ];
 
 /**
- * Validation rules for material request
+ * Validation rules for project update
  */
-const validateMaterialRequest = [
-  body('projectId')
-    .notEmpty()
+const validateProjectUpdate = [
+  idParam('id'),
+
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Project title must be between 3 and 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Project description must be between 10 and 1000 characters'),
+
+  body('status')
+    .optional()
+    .isIn(enumOf(Project, 'status'))
+    .withMessage(`Status must be one of: ${enumOf(Project, 'status').join(', ')}`),
+
+  body('priority')
+    .optional()
+    .isIn(enumOf(Project, 'priority'))
+    .withMessage(`Priority must be one of: ${enumOf(Project, 'priority').join(', ')}`),
+
+  body('projectType')
+    .optional()
+    .isIn(enumOf(Project, 'projectType'))
+    .withMessage(`Project type must be one of: ${enumOf(Project, 'projectType').join(', ')}`),
+
+  body(['budget', 'timeline'])
+    .optional()
+    .isObject()
+    .withMessage('Budget and timeline must be objects'),
+
+  body(['budget.estimated', 'budget.actual'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Budget must be a number of at least 0'),
+
+  body(['timeline.startDate', 'timeline.expectedEndDate', 'timeline.actualEndDate'])
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Timeline dates must be valid dates'),
+
+  body('paymentSchedule')
+    .optional()
+    .isArray()
+    .withMessage('Payment schedule must be a list'),
+
+  body('paymentSchedule.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Payment amount must be a number of at least 0'),
+
+  body('paymentSchedule.*.dueDate')
+    .isISO8601()
+    .withMessage('Payment due date must be a valid date'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for duplicating a project
+ */
+const validateProjectDuplicate = [
+  idParam('id'),
+
+  body('title')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Project title must be between 3 and 100 characters'),
+
+  body('clientId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid client ID format'),
+
+  body('startDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for assigning an employee to a project
+ */
+const validateEmployeeAssignment = [
+  idParam('id'),
+
+  body('employeeId')
+    .isMongoId()
+    .withMessage('Invalid employee ID'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for assigning a vendor (projects, material and service requests)
+ */
+const validateVendorAssignment = [
+  idParam('id'),
+
+  body('vendorId')
+    .isMongoId()
+    .withMessage('Invalid vendor ID'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for the fields sent with project documents (after the upload)
+ */
+const validateDocumentUpload = [
+  body('type')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(ProjectDocument, 'type'))
+    .withMessage(`Document type must be one of: ${enumOf(ProjectDocument, 'type').join(', ')}`),
+
+  optionalText('name', 200, 'Name'),
+  optionalText('notes', 1000, 'Notes'),
+
+  body('documentId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid document ID'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for marking a document version as current
+ */
+const validateCurrentVersion = [
+  idParam('id'),
+  idParam('documentId'),
+
+  body('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a version number'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for sending a document version for client approval
+ */
+const validateApprovalRequest = [
+  idParam('id'),
+  idParam('documentId'),
+
+  body('version')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Version must be a version number'),
+
+  optionalText('message', 1000, 'Message'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for the fields sent with project images (after the upload)
+ */
+const validateProjectImages = [
+  body('type')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(Project, 'images.type'))
+    .withMessage(`Image type must be one of: ${enumOf(Project, 'images.type').join(', ')}`),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for project progress
+ */
+const validateProgress = [
+  idParam('id'),
+
+  body('percentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Progress percentage must be between 0 and 100'),
+
+  body('milestones')
+    .optional({ values: 'falsy' })
+    .isArray()
+    .withMessage('Milestones must be a list'),
+
+  body('mode')
+    .optional()
+    .isIn(enumOf(Project, 'progress.mode'))
+    .withMessage('Progress mode must be manual or auto'),
+
+  body('weights')
+    .optional()
+    .isObject()
+    .withMessage('Weights must be an object'),
+
+  body(['weights.milestones', 'weights.tasks', 'weights.deliveries'])
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Weights must be between 0 and 100'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for a project timeline event
+ */
+const validateProjectTimelineEvent = [
+  idParam('id'),
+  ...timelineEvent,
+
+  body('status')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(ClientTimelineEvent, 'status'))
+    .withMessage(`Status must be one of: ${enumOf(ClientTimelineEvent, 'status').join(', ')}`),
+
+  body(['startDate', 'endDate'])
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Start and end dates must be valid dates'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for the fields sent with project media (after the upload)
+ */
+const validateProjectMedia = [
+  ...mediaDetails,
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for an invoice created from the project's page
+ */
+const validateProjectInvoice = [
+  idParam('id'),
+  ...newInvoice,
+  dueDate,
+  handleValidationErrors,
+];
+
+// ---- Tasks & invoices -------------------------------------------------------
+
+const taskFields = [
+  optionalText('taskDescription', 1000, 'Description'),
+
+  body('notifyBefore')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 1440 })
+    .withMessage('Reminder must be between 0 and 1440 minutes'),
+
+  body('priority')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(Task, 'priority'))
+    .withMessage(`Priority must be one of: ${enumOf(Task, 'priority').join(', ')}`),
+
+  body('assignedTo')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid assignee ID'),
+
+  body(['startDate', 'endDate'])
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Start and end dates must be valid dates'),
+
+  body('endDate')
+    .optional({ values: 'falsy' })
+    .custom((value, { req }) => !req.body.startDate || new Date(value) >= new Date(req.body.startDate))
+    .withMessage('End date cannot be before the start date'),
+
+  body('duration')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 3650 })
+    .withMessage('Duration must be a number of days between 0 and 3650'),
+
+  body('dependencies')
+    .optional({ values: 'null' })
+    .isArray()
+    .withMessage('Dependencies must be a list'),
+
+  body('dependencies.*.task')
+    .isMongoId()
+    .withMessage('Invalid dependency task ID'),
+
+  body('dependencies.*.type')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(Task, 'dependencies.type'))
+    .withMessage(`Dependency type must be one of: ${enumOf(Task, 'dependencies.type').join(', ')}`),
+
+  body('dependencies.*.lag')
+    .optional({ values: 'null' })
+    .isInt({ min: -365, max: 365 })
+    .withMessage('Lag must be a number of days between -365 and 365'),
+
+  body('milestone')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid milestone ID'),
+];
+
+const taskTime = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Rules for a repeat rule (see utils/recurrence)
+ * @param {string} field - Path of the rule, e.g. 'recurrence' or 'tasks.*.recurrence'
+ * @param {Object} [options]
+ * @param {boolean} [options.requireEnd] - Whether `until` or `count` must be given
+ */
+const recurrenceRules = (field, { requireEnd = false } = {}) => {
+  const rule = body(field)
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Recurrence must be an object')
+    .bail()
+    .custom((value) => value.frequency !== undefined && value.frequency !== null)
+    .withMessage({ code: 'REQUIRED', message: 'Choose how often the task repeats' });
+
+  if (requireEnd) {
+    rule
+      .bail()
+      .custom((value) => !!(value.until || value.count))
+      .withMessage({ code: 'REQUIRED', message: 'Recurring tasks need an end date or a number of occurrences' });
+  }
+
+  return [
+    rule,
+
+    body(`${field}.frequency`)
+      .optional({ values: 'null' })
+      .isIn(FREQUENCIES)
+      .withMessage(`Frequency must be one of: ${FREQUENCIES.join(', ')}`),
+
+    body(`${field}.interval`)
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 99 })
+      .withMessage('Repeat interval must be between 1 and 99'),
+
+    body(`${field}.until`)
+      .optional({ values: 'falsy' })
+      .isISO8601()
+      .withMessage('Repeat end date must be a valid date'),
+
+    body(`${field}.count`)
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: MAX_OCCURRENCES })
+      .withMessage(`Number of occurrences must be between 1 and ${MAX_OCCURRENCES}`),
+
+    body(`${field}.skipWeekends`)
+      .optional({ values: 'null' })
+      .isBoolean()
+      .withMessage('Skip weekends must be true or false'),
+  ];
+};
+
+// Whether an edit or delete covers this task only or the rest of its series too
+const taskScope = query('scope')
+  .optional()
+  .isIn(['single', 'following'])
+  .withMessage('Scope must be single or following');
+
+/**
+ * Validation rules for task creation
+ */
+const validateTask = [
+  body('projectId')
+    .isMongoId()
+    .withMessage('Invalid project ID'),
+
+  requiredText('taskName', 200, 'Task name'),
+
+  body('date')
+    .notEmpty()
+    .withMessage('Task date is required')
+    .isISO8601()
+    .withMessage('Task date must be a valid date'),
+
+  body('time')
+    .notEmpty()
+    .withMessage('Task time is required')
+    .matches(taskTime)
+    .withMessage('Time must be in HH:MM format'),
+
+  ...taskFields,
+  ...recurrenceRules('recurrence', { requireEnd: true }),
+
+  body('recurrence.until')
+    .optional({ values: 'falsy' })
+    .custom((value, { req }) => !req.body.date || new Date(value) >= new Date(req.body.date))
+    .withMessage('Repeat end date cannot be before the task date'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for task update
+ */
+const validateTaskUpdate = [
+  idParam('taskId'),
+  taskScope,
+
+  body('taskName')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Task name cannot exceed 200 characters'),
+
+  body('date')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Task date must be a valid date'),
+
+  body('time')
+    .optional({ values: 'falsy' })
+    .matches(taskTime)
+    .withMessage('Time must be in HH:MM format'),
+
+  body('status')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(Task, 'status'))
+    .withMessage(`Status must be one of: ${enumOf(Task, 'status').join(', ')}`),
+
+  ...taskFields,
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for task status
+ */
+const validateTaskStatus = [
+  idParam('taskId'),
+
+  body('status')
+    .isIn(enumOf(Task, 'status'))
+    .withMessage(`Status must be one of: ${enumOf(Task, 'status').join(', ')}`),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for task deletion
+ */
+const validateTaskDelete = [
+  idParam('taskId'),
+  taskScope,
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for task templates
+ */
+const validateTaskTemplate = [
+  requiredText('name', 100, 'Template name'),
+
+  body('projectType')
+    .isIn(enumOf(Project, 'projectType'))
+    .withMessage(`Project type must be one of: ${enumOf(Project, 'projectType').join(', ')}`),
+
+  optionalText('description', 500, 'Description'),
+
+  body('tasks')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('A template needs between 1 and 100 tasks'),
+
+  requiredText('tasks.*.taskName', 200, 'Task name'),
+
+  optionalText('tasks.*.taskDescription', 1000, 'Description'),
+
+  body('tasks.*.dayOffset')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 3650 })
+    .withMessage('Day offset must be a number of days between 0 and 3650'),
+
+  body('tasks.*.time')
+    .optional({ values: 'falsy' })
+    .matches(taskTime)
+    .withMessage('Time must be in HH:MM format'),
+
+  body('tasks.*.duration')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 3650 })
+    .withMessage('Duration must be a number of days between 0 and 3650'),
+
+  body('tasks.*.priority')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(Task, 'priority'))
+    .withMessage(`Priority must be one of: ${enumOf(Task, 'priority').join(', ')}`),
+
+  body('tasks.*.notifyBefore')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 1440 })
+    .withMessage('Reminder must be between 0 and 1440 minutes'),
+
+  ...recurrenceRules('tasks.*.recurrence'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for task template update
+ */
+const validateTaskTemplateUpdate = [
+  idParam('id'),
+  ...validateTaskTemplate,
+];
+
+/**
+ * Validation rules for applying a task template to a project
+ */
+const validateTaskTemplateApply = [
+  idParam('id'),
+
+  body('projectId')
+    .isMongoId()
+    .withMessage('Invalid project ID'),
+
+  body('startDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  handleValidationErrors,
+];
+
+// Offsets of template items, in days from the project start
+const dayOffsetRule = (field) => body(field)
+  .optional({ values: 'null' })
+  .isInt({ min: 0, max: 3650 })
+  .withMessage('Day offset must be a number of days between 0 and 3650');
+
+/**
+ * Validation rules for saving a project as a template
+ */
+const validateProjectTemplate = [
+  body('projectId')
+    .isMongoId()
+    .withMessage('Invalid project ID'),
+
+  requiredText('name', 100, 'Template name'),
+  optionalText('description', 500, 'Description'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for project template update
+ */
+const validateProjectTemplateUpdate = [
+  idParam('id'),
+
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Template name must be text')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Template name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Template name cannot exceed 100 characters'),
+
+  optionalText('description', 500, 'Description'),
+
+  body('projectType')
+    .optional()
+    .isIn(enumOf(Project, 'projectType'))
+    .withMessage(`Project type must be one of: ${enumOf(Project, 'projectType').join(', ')}`),
+
+  body('durationDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('Duration must be a number of days between 1 and 3650'),
+
+  body(['milestones', 'documentChecklist'])
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Milestones and the document checklist take up to 50 items'),
+
+  requiredText('milestones.*.name', 100, 'Milestone name'),
+  optionalText('milestones.*.description', 500, 'Milestone description'),
+  dayOffsetRule('milestones.*.dayOffset'),
+
+  body('paymentSchedule')
+    .optional()
+    .isArray({ max: 24 })
+    .withMessage('The payment schedule takes up to 24 payments')
+    .bail()
+    .custom((payments) => payments.reduce((sum, payment) => sum + (Number(payment?.percentage) || 0), 0) <= 100)
+    .withMessage('Payment percentages cannot add up to more than 100'),
+
+  requiredText('paymentSchedule.*.name', 100, 'Payment name'),
+
+  body('paymentSchedule.*.percentage')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Payment percentage must be between 0 and 100'),
+
+  dayOffsetRule('paymentSchedule.*.dayOffset'),
+
+  requiredText('documentChecklist.*.name', 100, 'Document name'),
+
+  body('documentChecklist.*.type')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(ProjectDocument, 'type'))
+    .withMessage(`Document type must be one of: ${enumOf(ProjectDocument, 'type').join(', ')}`),
+
+  body('documentChecklist.*.required')
+    .optional({ values: 'null' })
+    .isBoolean()
+    .withMessage('Required must be true or false'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for creating a project from a template
+ */
+const validateProjectInstantiate = [
+  idParam('id'),
+
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Project title is required')
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Project title must be between 3 and 100 characters'),
+
+  body('description')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Project description must be between 10 and 1000 characters'),
+
+  body('clientId')
+    .notEmpty()
+    .withMessage('Client ID is required')
+    .isMongoId()
+    .withMessage('Invalid client ID format'),
+
+  body('startDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  body('budget')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Budget must be a number of at least 0'),
+
+  body('location')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Location must be an object'),
+
+  body('assignedEmployees')
+    .optional()
+    .isArray()
+    .withMessage('Assigned employees must be a list'),
+
+  body('assignedEmployees.*')
+    .isMongoId()
+    .withMessage('Invalid employee ID'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for invoice creation
+ */
+const validateInvoice = [
+  body('projectId')
+    .isMongoId()
+    .withMessage('Invalid project ID'),
+
+  body('clientId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+
+  body('lineItems')
+    .isArray({ min: 1 })
+    .withMessage('At least one line item is required'),
+
+  ...lineItems,
+  ...invoiceTerms,
+
+  body('dueDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for invoice update
+ */
+const validateInvoiceUpdate = [
+  idParam('invoiceId'),
+
+  body('lineItems')
+    .optional({ values: 'falsy' })
+    .isArray({ min: 1 })
+    .withMessage('At least one line item is required'),
+
+  ...lineItems,
+  ...invoiceTerms,
+
+  body('dueDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+
+  body('status')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(ClientInvoice, 'status'))
+    .withMessage(`Status must be one of: ${enumOf(ClientInvoice, 'status').join(', ')}`),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for invoice status
+ */
+const validateInvoiceStatus = [
+  idParam('invoiceId'),
+
+  body('status')
+    .isIn(enumOf(ClientInvoice, 'status'))
+    .withMessage(`Status must be one of: ${enumOf(ClientInvoice, 'status').join(', ')}`),
+
+  body('paymentMethod')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(ClientInvoice, 'paymentMethod'))
+    .withMessage(`Payment method must be one of: ${enumOf(ClientInvoice, 'paymentMethod').join(', ')}`),
+
+  handleValidationErrors,
+];
+
+// ---- Material requests, quotations & purchase orders ------------------------
+
+/**
+ * Validation rules for material request
+ */
+const validateMaterialRequest = [
+  body('projectId')
+    .notEmpty()
     .withMessage('Project ID is required')
     .isMongoId()
-    .withMessage('Invalid project ID format'),
+    .withMessage('Invalid project ID format'),
+
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Request title is required')
+    .isLength({ max: 100 })
+    .withMessage('Request title cannot exceed 100 characters'),
+
+  body('materials')
+    .isArray({ min: 1 })
+    .withMessage('At least one material is required'),
+
+  body('materials.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Material name is required'),
+
+  body('materials.*.quantity')
+    .isNumeric()
+    .withMessage('Material quantity must be a number'),
+
+  body('materials.*.unit')
+    .trim()
+    .notEmpty()
+    .withMessage('Material unit is required'),
+
+  body('materials.*.category')
+    .trim()
+    .notEmpty()
+    .withMessage('Material category is required')
+    .isIn(['cement', 'steel', 'wood', 'tiles', 'paint', 'electrical', 'plumbing', 'hardware', 'other'])
+    .withMessage('Invalid material category'),
+
+  body('materials.*.requiredBy')
+    .notEmpty()
+    .withMessage('Material requiredBy date is required')
+    .isISO8601()
+    .withMessage('Material requiredBy must be a valid date'),
+
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Priority must be one of: low, medium, high, urgent'),
+
+  body('requiredBy')
+    .notEmpty()
+    .withMessage('Required by date is required')
+    .isISO8601()
+    .withMessage('Required by must be a valid date'),
+
+  body('assignedVendors')
+    .optional()
+    .isArray()
+    .withMessage('assignedVendors must be an array'),
+
+  body('assignedVendors.*.vendor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid vendor ID format'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for approving or rejecting a material request
+ */
+const validateMaterialRequestReview = [
+  idParam('id'),
+  optionalText('comments', 300, 'Comments'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for a note on a material request
+ */
+const validateNote = [
+  idParam('id'),
+  requiredText('content', 300, 'Note content'),
+  handleValidationErrors,
+];
+
+const quotationItemFields = [
+  body('items.*.materialRequestItem')
+    .isMongoId()
+    .withMessage('Invalid material request item ID'),
+
+  body('items.*.materialName')
+    .trim()
+    .notEmpty()
+    .withMessage('Material name is required'),
+
+  body('items.*.quantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Quantity must be greater than 0'),
+
+  body('items.*.unit')
+    .trim()
+    .notEmpty()
+    .withMessage('Unit is required'),
+
+  body('items.*.unitPrice')
+    .isFloat({ min: 0 })
+    .withMessage('Unit price must be a number of at least 0'),
+];
+
+const quotationTerms = [
+  body('deliveryTerms.deliveryTime')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Delivery time must be at least 1 day'),
+
+  body('paymentTerms.paymentMethod')
+    .optional()
+    .isIn(enumOf(Quotation, 'paymentTerms.paymentMethod'))
+    .withMessage(`Payment method must be one of: ${enumOf(Quotation, 'paymentTerms.paymentMethod').join(', ')}`),
+
+  body('paymentTerms.advancePercentage')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Advance percentage must be between 0 and 100'),
+];
+
+/**
+ * Validation rules for quotation creation (by a vendor)
+ */
+const validateQuotation = [
+  body('materialRequestId')
+    .isMongoId()
+    .withMessage('Invalid material request ID'),
+
+  requiredText('title', 100, 'Quotation title'),
+  optionalText('description', 500, 'Description'),
+
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one quotation item is required'),
+
+  ...quotationItemFields,
+
+  body(['tax.percentage', 'discount.percentage'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tax and discount percentages must be between 0 and 100'),
+
+  body('validUntil')
+    .notEmpty()
+    .withMessage('Valid until date is required')
+    .isISO8601()
+    .withMessage('Valid until must be a valid date'),
+
+  body('deliveryTerms')
+    .isObject()
+    .withMessage('Delivery terms are required'),
+
+  body('deliveryTerms.deliveryLocation')
+    .trim()
+    .notEmpty()
+    .withMessage('Delivery location is required'),
+
+  body('paymentTerms')
+    .isObject()
+    .withMessage('Payment terms are required'),
+
+  ...quotationTerms,
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for quotation update (by its vendor)
+ */
+const validateQuotationUpdate = [
+  idParam('id'),
+
+  body('items')
+    .optional({ values: 'falsy' })
+    .isArray({ min: 1 })
+    .withMessage('At least one quotation item is required'),
+
+  ...quotationItemFields,
+
+  body(['deliveryTerms', 'paymentTerms'])
+    .optional({ values: 'falsy' })
+    .isObject()
+    .withMessage('Delivery and payment terms must be objects'),
+
+  ...quotationTerms,
+  optionalText('notes', 300, 'Notes'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for reviewing a quotation
+ */
+const validateQuotationStatus = [
+  idParam('id'),
+
+  body('status')
+    .isIn(['under_review', 'approved', 'rejected'])
+    .withMessage('Status must be one of: under_review, approved, rejected'),
+
+  optionalText('comments', 500, 'Comments'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for purchase order creation
+ */
+const validatePurchaseOrder = [
+  body('quotationId')
+    .isMongoId()
+    .withMessage('Invalid quotation ID'),
 
   body('title')
+    .optional({ values: 'falsy' })
     .trim()
-    .notEmpty()
-    .withMessage('Request title is required')
     .isLength({ max: 100 })
-    .withMessage('Request title cannot exceed 100 characters'),
-  
-  body('materials')
-    .isArray({ min: 1 })
-    .withMessage('At least one material is required'),
-  
-  body('materials.*.name')
+    .withMessage('Purchase order title cannot exceed 100 characters'),
+
+  optionalText('description', 500, 'Description'),
+
+  body('expectedDeliveryDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Expected delivery date must be a valid date'),
+
+  // An address object, or the street as text
+  body('deliveryAddress')
+    .optional({ values: 'falsy' })
+    .custom((value) => typeof value === 'string' || (typeof value === 'object' && !Array.isArray(value)))
+    .withMessage('Delivery address must be an address or text'),
+
+  // Payment terms, or just the payment method
+  body('paymentTerms')
+    .optional({ values: 'falsy' })
+    .custom((value) => typeof value === 'string' || (typeof value === 'object' && !Array.isArray(value)))
+    .withMessage('Payment terms must be an object or a payment method'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for a negotiation chat message
+ */
+const validatePurchaseOrderMessage = [
+  idParam('id'),
+
+  body('messageType')
+    .optional()
+    .isIn(enumOf(NegotiationMessage, 'messageType'))
+    .withMessage(`Message type must be one of: ${enumOf(NegotiationMessage, 'messageType').join(', ')}`),
+
+  body('content')
+    .if((value, { req }) => (req.body.messageType || 'text') === 'text')
     .trim()
     .notEmpty()
-    .withMessage('Material name is required'),
-  
-  body('materials.*.quantity')
-    .isNumeric()
-    .withMessage('Material quantity must be a number'),
-  
-  body('materials.*.unit')
-    .trim()
+    .withMessage('Message content is required'),
+
+  optionalText('content', 2000, 'Message'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for a quotation sent in the negotiation chat
+ */
+const validateNegotiationQuotation = [
+  idParam('id'),
+
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Valid quotation amount is required')
+    .toFloat(),
+
+  body('currency')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(NegotiationMessage, 'quotation.currency'))
+    .withMessage(`Currency must be one of: ${enumOf(NegotiationMessage, 'quotation.currency').join(', ')}`),
+
+  optionalText('note', 500, 'Note'),
+
+  body('items')
+    .optional({ values: 'null' })
+    .isArray()
+    .withMessage('Items must be a list'),
+
+  body('validUntil')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Valid until must be a valid date'),
+
+  body('inResponseTo')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for rejecting a negotiation quotation
+ */
+const validateQuotationRejection = [
+  idParam('id'),
+  idParam('messageId'),
+  optionalText('reason', 500, 'Reason'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for a vendor's delivery details
+ */
+const validateDeliveryDetails = [
+  idParam('id'),
+
+  body('estimatedDeliveryDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Estimated delivery date must be a valid date'),
+
+  optionalText('trackingNumber', 100, 'Tracking number'),
+  optionalText('carrier', 100, 'Carrier'),
+  optionalText('deliveryNotes', 500, 'Delivery notes'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for a delivery tracking update
+ */
+const validateDeliveryStatus = [
+  idParam('id'),
+
+  body('status')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(PurchaseOrder, 'deliveryTracking.status'))
+    .withMessage(`Status must be one of: ${enumOf(PurchaseOrder, 'deliveryTracking.status').join(', ')}`),
+
+  body(['expectedArrival', 'expectedDeliveryDate'])
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Expected arrival must be a valid date'),
+
+  optionalText('trackingNumber', 100, 'Tracking number'),
+  optionalText('carrier', 100, 'Carrier'),
+  optionalText('notes', 500, 'Notes'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for recording a delivery against a purchase order
+ */
+const validateDelivery = [
+  idParam('id'),
+
+  body('deliveryDate')
     .notEmpty()
-    .withMessage('Material unit is required'),
+    .withMessage('Delivery date is required')
+    .isISO8601()
+    .withMessage('Delivery date must be a valid date'),
 
-  body('materials.*.category')
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one delivered item is required'),
+
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Invalid item ID'),
+
+  body('items.*.deliveredQuantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Delivered quantity must be greater than 0'),
+
+  optionalText('deliveredBy', 100, 'Delivered by'),
+  optionalText('notes', 300, 'Notes'),
+
+  body('attachments')
+    .optional({ values: 'null' })
+    .isArray()
+    .withMessage('Attachments must be a list'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for a vendor's work status update
+ */
+const validateWorkStatus = [
+  body(['quotationId', 'materialRequestId'])
+    .isMongoId()
+    .withMessage('Quotation and material request IDs are required'),
+
+  body('message')
     .trim()
     .notEmpty()
-    .withMessage('Material category is required')
-    .isIn(['cement', 'steel', 'wood', 'tiles', 'paint', 'electrical', 'plumbing', 'hardware', 'other'])
-    .withMessage('Invalid material category'),
+    .withMessage('Status message is required'),
 
-  body('materials.*.requiredBy')
+  body('progress')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Progress must be between 0 and 100'),
+
+  body('attachments')
+    .optional({ values: 'null' })
+    .isArray()
+    .withMessage('Attachments must be a list of file IDs'),
+
+  body('attachments.*')
+    .isMongoId()
+    .withMessage('Invalid file ID'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for editing a work status update
+ */
+const validateWorkStatusUpdate = [
+  idParam('id'),
+
+  body('message')
+    .optional()
+    .trim()
     .notEmpty()
-    .withMessage('Material requiredBy date is required')
-    .isISO8601()
-    .withMessage('Material requiredBy must be a valid date'),
+    .withMessage('Status message cannot be empty'),
+
+  body('progress')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Progress must be between 0 and 100'),
+
+  body('attachments')
+    .optional({ values: 'null' })
+    .isArray()
+    .withMessage('Attachments must be a list of file IDs'),
+
+  body('attachments.*')
+    .isMongoId()
+    .withMessage('Invalid file ID'),
+
+  handleValidationErrors,
+];
+
+// ---- Service requests -------------------------------------------------------
+
+/**
+ * Validation rules for service request creation
+ */
+const validateServiceRequest = [
+  body('requestType')
+    .isIn(enumOf(ServiceRequest, 'requestType'))
+    .withMessage(`Request type must be one of: ${enumOf(ServiceRequest, 'requestType').join(', ')}`),
+
+  requiredText('title', 100, 'Request title'),
+  requiredText('description', 1000, 'Request description'),
 
   body('priority')
+    .optional({ values: 'falsy' })
+    .isIn(enumOf(ServiceRequest, 'priority'))
+    .withMessage(`Priority must be one of: ${enumOf(ServiceRequest, 'priority').join(', ')}`),
+
+  body(['budget', 'timeline', 'requirements'])
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Budget, timeline and requirements must be objects'),
+
+  body('budget.estimated')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Budget must be a number of at least 0'),
+
+  body('timeline.expectedDelivery')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Expected delivery must be a valid date'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for service request status
+ */
+const validateServiceRequestStatus = [
+  idParam('id'),
+
+  body('status')
+    .isIn(enumOf(ServiceRequest, 'status'))
+    .withMessage(`Status must be one of: ${enumOf(ServiceRequest, 'status').join(', ')}`),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for a service request message
+ */
+const validateServiceRequestMessage = [
+  idParam('id'),
+  requiredText('message', 500, 'Message'),
+
+  body('isInternal')
     .optional()
-    .isIn(['low', 'medium', 'high', 'urgent'])
-    .withMessage('Priority must be one of: low, medium, high, urgent'),
+    .isBoolean({ strict: true })
+    .withMessage('isInternal must be true or false'),
 
-  body('requiredBy')
+  handleValidationErrors,
+];
+
+// ---- Files ------------------------------------------------------------------
+
+/**
+ * Validation rules for the fields sent with a file (after the upload)
+ */
+const validateFileUpload = [
+  body('projectId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid project ID'),
+
+  body('category')
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage('Category must be text'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for a signed file link
+ */
+const validateFileLink = [
+  body('url')
+    .isString()
+    .withMessage('File URL is required')
+    .bail()
     .notEmpty()
-    .withMessage('Required by date is required')
-    .isISO8601()
-    .withMessage('Required by must be a valid date'),
+    .withMessage('File URL is required'),
 
-  body('assignedVendors')
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for deleting a stored file by its key
+ */
+const validateStoredFile = [
+  param('category')
+    .isIn(['documents', 'images', 'quotations', 'purchase-orders', 'work_update'])
+    .withMessage('Invalid file category'),
+
+  // Stored names only use these characters (see utils/storage buildKey)
+  param('filename')
+    .matches(/^[\w-][\w.-]*$/)
+    .withMessage('Invalid file name'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for starting a chunked upload
+ */
+const validateUploadStart = [
+  body(['name', 'mimeType'])
+    .isString()
+    .withMessage('name and mimeType are required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('name and mimeType are required'),
+
+  body('size')
+    .isInt({ min: 1 })
+    .withMessage('size must be the file size in bytes'),
+
+  body('checksum')
     .optional()
-    .isArray()
-    .withMessage('assignedVendors must be an array'),
+    .matches(/^[a-f0-9]{64}$/i)
+    .withMessage('checksum must be the SHA-256 of the file in hex'),
 
-  body('assignedVendors.*.vendor')
+  body('target')
     .optional()
+    .isIn(['file', 'media'])
+    .withMessage('target must be file or media'),
+
+  body('projectId')
+    .optional({ values: 'falsy' })
     .isMongoId()
-    .withMessage('Invalid vendor ID format'),
-  
-  body('description')
+    .withMessage('Invalid project ID'),
+
+  body('chunkSize')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('chunkSize must be a number of bytes'),
+
+  body('tags')
+    .optional({ values: 'null' })
+    .isArray()
+    .withMessage('Tags must be a list'),
+
+  body('duration')
+    .optional({ values: 'falsy' })
+    .isFloat({ min: 0 })
+    .withMessage('Duration must be a number of seconds'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for one part of a chunked upload
+ */
+const validateUploadPart = [
+  idParam('uploadId'),
+
+  param('index')
+    .isInt({ min: 0 })
+    .withMessage('Part index must be a number from 0'),
+
+  handleValidationErrors,
+];
+
+// ---- Attendance, notifications, permissions & security ----------------------
+
+/**
+ * Validation rules for an attendance heartbeat
+ */
+const validateHeartbeat = [
+  body('activeMinutes')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 60 })
+    .withMessage('activeMinutes must be between 0 and 60'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for notification preferences update
+ */
+const validateNotificationPreferences = [
+  body('types')
     .optional()
+    .isObject()
+    .withMessage('Types must be an object keyed by notification type')
+    .bail()
+    .custom((types) => {
+      const unknownTypes = Object.keys(types).filter((type) => !NOTIFICATION_TYPES.includes(type));
+      if (unknownTypes.length > 0) {
+        throw new Error(`Unknown notification type(s): ${unknownTypes.join(', ')}`);
+      }
+      return true;
+    }),
+
+  body('types.*.*')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Channel settings must be true or false'),
+
+  body(['quietHours.enabled', 'dailyDigest.enabled'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Enabled must be true or false'),
+
+  body(['quietHours.start', 'quietHours.end', 'dailyDigest.time'])
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Times must be in HH:MM (24-hour) format'),
+
+  body('timezone')
+    .optional()
+    .isString()
+    .withMessage('Timezone must be an IANA timezone name')
+    .bail()
+    .custom(isValidTimezone)
+    .withMessage('Invalid timezone'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for a permission override
+ */
+const validatePermissionOverride = [
+  body('subject')
+    .isIn(SUBJECTS)
+    .withMessage(`Subject must be one of: ${SUBJECTS.join(', ')}`),
+
+  body('allowed')
+    .custom((value) => value === null || typeof value === 'boolean')
+    .withMessage('Allowed must be true, false or null (reset to default)'),
+
+  handleValidationErrors,
+];
+
+const twoFactorCode = [
+  body('code')
+    .isString()
+    .withMessage('Authentication code is required')
+    .bail()
     .trim()
-    .isLength({ max: 500 })
-    .withMessage('Description cannot exceed 500 characters'),
+    .notEmpty()
+    .withMessage('Authentication code is required'),
+];
+
+/**
+ * Validation rules for a two-factor code (authenticator or backup code)
+ */
+const validateTwoFactorCode = [
+  ...twoFactorCode,
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for the second login step
+ */
+const validateTwoFactorLogin = [
+  body('twoFactorToken')
+    .isString()
+    .withMessage('Verification token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+
+  ...twoFactorCode,
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for turning two-factor authentication off
+ */
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  ...twoFactorCode,
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for the roles two-factor authentication is required for
+ */
+const validateTwoFactorPolicy = [
+  body('requiredFor')
+    .isArray()
+    .withMessage('requiredFor must be a list of roles'),
+
+  body('requiredFor.*')
+    .isIn(POLICY_SUBJECTS)
+    .withMessage(`Roles must be one of: ${POLICY_SUBJECTS.join(', ')}`),
+
+  handleValidationErrors,
 ];
 
 module.exports = {
+  handleValidationErrors,
+  sendValidationErrors,
+  discardUploads,
+  validateIds,
   validateRegistration,
   validateLogin,
+  validateRefreshToken,
   validateProfileUpdate,
   validatePasswordChange,
+  validateSessionId,
+  validatePasswordOtpRequest,
+  validatePasswordOtp,
+  validatePasswordReset,
+  validateUserStatus,
+  validateClientRegistration,
+  validateUserProfile,
+  validateUserPasswordChange,
+  validateClientUpdate,
+  validateClientTimelineEvent,
+  validateClientMedia,
+  validateClientInvoice,
+  validateApprovalList,
+  validateApprovalResponse,
   validateProject,
+  validateProjectUpdate,
+  validateProjectDuplicate,
+  validateEmployeeAssignment,
+  validateVendorAssignment,
+  validateDocumentUpload,
+  validateCurrentVersion,
+  validateApprovalRequest,
+  validateProjectImages,
+  validateProgress,
+  validateProjectTimelineEvent,
+  validateProjectMedia,
+  validateProjectInvoice,
+  validateTask,
+  validateTaskUpdate,
+  validateTaskStatus,
+  validateTaskDelete,
+  validateTaskTemplate,
+  validateTaskTemplateUpdate,
+  validateTaskTemplateApply,
+  validateProjectTemplate,
+  validateProjectTemplateUpdate,
+  validateProjectInstantiate,
+  validateInvoice,
+  validateInvoiceUpdate,
+  validateInvoiceStatus,
   validateMaterialRequest,
+  validateMaterialRequestReview,
+  validateNote,
+  validateQuotation,
+  validateQuotationUpdate,
+  validateQuotationStatus,
+  validatePurchaseOrder,
+  validatePurchaseOrderMessage,
+  validateNegotiationQuotation,
+  validateQuotationRejection,
+  validateDeliveryDetails,
+  validateDeliveryStatus,
+  validateDelivery,
+  validateWorkStatus,
+  validateWorkStatusUpdate,
+  validateServiceRequest,
+  validateServiceRequestStatus,
+  validateServiceRequestMessage,
+  validateFileUpload,
+  validateFileLink,
+  validateStoredFile,
+  validateUploadStart,
+  validateUploadPart,
+  validateHeartbeat,
+  validateNotificationPreferences,
+  validatePermissionOverride,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateTwoFactorPolicy,
 };
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * One create/update/delete of an audited document, written by the audit
+ * plugin (see utils/audit). `actor` is null for system writes (jobs, scripts).
+ */
+const auditEventSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    required: true,
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // Project the entity belongs to, for per-project history
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null,
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  actorRole: {
+    type: String,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  // Top-level fields that changed
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  }],
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+auditEventSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditEventSchema.index({ project: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const clientInvoiceSchema = new mongoose.Schema({
   invoiceNumber: {
@@ -201,6 +202,11 @@ clientInvoiceSchema.index({ projectId: 1, createdAt: -1 });
 clientInvoiceSchema.index({ status: 1 });
 clientInvoiceSchema.index({ dueDate: 1 });
 clientInvoiceSchema.index({ createdBy: 1 });
+// Global search (see utils/search)
+clientInvoiceSchema.index(
+  { invoiceNumber: 'text', 'lineItems.description': 'text', notes: 'text' },
+  { weights: { invoiceNumber: 10, 'lineItems.description': 5, notes: 1 }, name: 'search' }
+);
 
 // Virtual for formatted currency amounts
 clientInvoiceSchema.virtual('formattedSubtotal').get(function () {
@@ -441,4 +447,7 @@ clientInvoiceSchema.statics.getInvoiceStats = function (clientId = null, startDa
   ]);
 };
 
+// Audit log of every change
+clientInvoiceSchema.plugin(auditPlugin, { projectField: 'projectId' });
+
 module.exports = mongoose.model('ClientInvoice', clientInvoiceSchema);
\ No newline at end of file
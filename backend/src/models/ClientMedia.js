@@ -48,6 +48,11 @@ const clientMediaSchema = new mongoose.Schema({
     width: Number,
     height: Number
   },
+  // Smaller JPEG copies of images for galleries (see utils/images)
+  renditions: {
+    thumb: String,
+    medium: String
+  },
   duration: {
     type: Number, // For videos in seconds
     min: 0
@@ -143,8 +148,8 @@ clientMediaSchema.virtual('extension').get(function() {
 // Virtual for thumbnail URL (for images and videos)
 clientMediaSchema.virtual('thumbnailUrl').get(function() {
   if (this.type === 'image') {
-    // You could implement thumbnail generation logic here
-    return this.url; // For now, return original URL
+    // Media uploaded before renditions existed only has the original
+    return this.renditions?.thumb || this.url;
   } else if (this.type === 'video') {
     // You could implement video thumbnail extraction here
     return this.url; // For now, return original URL
@@ -152,6 +157,12 @@ clientMediaSchema.virtual('thumbnailUrl').get(function() {
   return null;
 });
 
+// Virtual for a screen-sized image
+clientMediaSchema.virtual('mediumUrl').get(function() {
+  if (this.type !== 'image') return null;
+  return this.renditions?.medium || this.url;
+});
+
 // Pre-find middleware to populate related data
 clientMediaSchema.pre(/^find/, function(next) {
   this.populate({
@@ -267,10 +278,10 @@ clientMediaSchema.methods.toggleFeatured = function() {
 
 // Pre-save middleware to validate file type and size
 clientMediaSchema.pre('save', function(next) {
-  // Validate file size (max 50MB for documents, 100MB for images/videos)
+  // Validate file size (max 50MB for documents, 100MB for images, 2GB for videos sent in chunks)
   const maxSizes = {
     image: 100 * 1024 * 1024, // 100MB
-    video: 100 * 1024 * 1024, // 100MB
+    video: 2 * 1024 * 1024 * 1024, // 2GB
     document: 50 * 1024 * 1024  // 50MB
   };
 
@@ -15,8 +15,8 @@ const clientTimelineEventSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Event type is required'],
     enum: {
-      values: ['milestone', 'update', 'media', 'invoice', 'note'],
-      message: 'Event type must be one of: milestone, update, media, invoice, note'
+      values: ['milestone', 'update', 'media', 'invoice', 'note', 'approval'],
+      message: 'Event type must be one of: milestone, update, media, invoice, note, approval'
     }
   },
   title: {
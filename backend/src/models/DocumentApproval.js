@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+// Upper bound on a drawn signature's SVG path data
+const MAX_STROKES_LENGTH = 20000;
+
+const signatureSchema = new mongoose.Schema({
+  // Name typed by the client
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Signature name cannot exceed 100 characters'],
+  },
+  // Drawn signature: SVG path data ("M10 20 L12 24 ...") on a width x height pad
+  strokes: {
+    type: String,
+    maxlength: [MAX_STROKES_LENGTH, 'Drawn signature is too large'],
+    match: [/^[MLml0-9.,\s-]*$/, 'Drawn signature must be SVG move/line commands'],
+  },
+  width: Number,
+  height: Number,
+  signedAt: Date,
+  ip: String,
+  userAgent: String,
+}, { _id: false });
+
+/**
+ * A request for the client to approve one version of a design or contract
+ * document, and the client's answer: approved (with a signature) or changes
+ * requested, with their comments.
+ */
+const documentApprovalSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required'],
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProjectDocument',
+    required: [true, 'Document is required'],
+  },
+  // Snapshot of what was sent for approval, in case the document changes later
+  documentName: {
+    type: String,
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: [true, 'Version is required'],
+    min: 1,
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Client is required'],
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters'],
+  },
+  // 'responding' while the client's answer is being recorded
+  status: {
+    type: String,
+    enum: ['pending', 'responding', 'approved', 'changes-requested', 'cancelled'],
+    default: 'pending',
+  },
+  // Client's comments when approving or asking for changes
+  comments: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comments cannot exceed 2000 characters'],
+  },
+  respondedAt: Date,
+  signature: signatureSchema,
+  // Approval certificate PDF, generated when the client approves
+  certificate: {
+    url: String,
+    storageKey: String,
+  },
+  timelineEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClientTimelineEvent',
+  },
+}, {
+  timestamps: true,
+});
+
+documentApprovalSchema.index({ project: 1, createdAt: -1 });
+documentApprovalSchema.index({ client: 1, status: 1 });
+documentApprovalSchema.index({ document: 1, status: 1 });
+
+/**
+ * Record the client's answer
+ * @param {Object} response
+ * @param {string} response.decision - 'approve' or 'request-changes'
+ * @param {string} [response.comments]
+ * @param {Object} [response.signature] - { name, strokes, width, height, ip, userAgent }; required to approve
+ */
+documentApprovalSchema.methods.respond = function({ decision, comments, signature }) {
+  this.status = decision === 'approve' ? 'approved' : 'changes-requested';
+  this.comments = comments;
+  this.respondedAt = new Date();
+  if (this.status === 'approved') {
+    this.signature = { ...signature, signedAt: this.respondedAt };
+  }
+  return this;
+};
+
+documentApprovalSchema.plugin(auditPlugin, { projectField: 'project' });
+
+module.exports = mongoose.model('DocumentApproval', documentApprovalSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+/**
+ * Outgoing email queue. Emails are rendered when queued and delivered by the
+ * emailOutbox job, which retries failures with exponential backoff.
+ */
+const emailOutboxSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient address is required'],
+    trim: true,
+    lowercase: true,
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  template: {
+    type: String,
+    required: true,
+  },
+  subject: {
+    type: String,
+    required: true,
+  },
+  html: {
+    type: String,
+    required: true,
+  },
+  text: String,
+  // Attachments are generated at send time, e.g. { kind: 'invoicePdf', refId: <ClientInvoice> }
+  attachments: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['invoicePdf'],
+      required: true,
+    },
+    refId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+  }],
+  // Notifications whose `delivery.email` follows this email's outcome
+  notifications: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+  }],
+  // Optional idempotency key, e.g. "invoice_sent:<invoiceId>"
+  dedupeKey: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending',
+    index: true,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // A 'sending' entry whose lock has expired (crashed worker) is picked up again
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lastError: {
+    type: String,
+    default: null,
+  },
+  messageId: String,
+  sentAt: Date,
+}, {
+  timestamps: true,
+});
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+/**
+ * Atomically claim the next email that is due for delivery
+ */
+emailOutboxSchema.statics.claimNext = function (lockMs, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: { status: 'sending', lockedUntil: new Date(now.getTime() + lockMs) },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+/**
+ * Record a successful delivery
+ */
+emailOutboxSchema.methods.markSent = function (messageId) {
+  this.status = 'sent';
+  this.messageId = messageId;
+  this.sentAt = new Date();
+  this.lockedUntil = null;
+  this.lastError = null;
+  return this.save();
+};
+
+/**
+ * Record a failed attempt; schedules a retry after `retryInMs` or gives up
+ * once maxAttempts is reached
+ */
+emailOutboxSchema.methods.markFailed = function (error, retryInMs) {
+  this.lastError = error.message || String(error);
+  this.lockedUntil = null;
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+  } else {
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(Date.now() + retryInMs);
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
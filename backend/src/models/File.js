@@ -34,9 +34,22 @@ const fileSchema = new mongoose.Schema({
     min: [0, 'File size cannot be negative'],
   },
   path: {
-    type: String, // ✅ GCS URL stored here
+    type: String, // Public URL of the stored file
     required: [true, 'File path is required'],
   },
+  // Key in the configured storage driver (utils/storage); older records only have the URL
+  storageKey: {
+    type: String,
+  },
+  // Images only: size and smaller JPEG copies for galleries (see utils/images)
+  dimensions: {
+    width: Number,
+    height: Number,
+  },
+  renditions: {
+    thumb: String,
+    medium: String,
+  },
   uploadedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -74,5 +87,7 @@ fileSchema.index({ project: 1 });
 fileSchema.index({ quotation: 1 });
 fileSchema.index({ tags: 1 });
 fileSchema.index({ createdAt: -1 });
+// Global search (see utils/search)
+fileSchema.index({ originalName: 'text', tags: 'text' }, { weights: { originalName: 10, tags: 5 }, name: 'search' });
 
 module.exports = mongoose.model('File', fileSchema);
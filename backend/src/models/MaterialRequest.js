@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const materialItemSchema = new mongoose.Schema({
   name: {
@@ -203,6 +204,11 @@ materialRequestSchema.index({ status: 1 });
 materialRequestSchema.index({ 'assignedVendors.vendor': 1 });
 materialRequestSchema.index({ requiredBy: 1 });
 materialRequestSchema.index({ createdAt: -1 });
+// Global search (see utils/search)
+materialRequestSchema.index(
+  { title: 'text', 'materials.name': 'text', description: 'text' },
+  { weights: { title: 10, 'materials.name': 10, description: 1 }, name: 'search' }
+);
 
 // Virtual for days until required
 materialRequestSchema.virtual('daysUntilRequired').get(function () {
@@ -303,4 +309,7 @@ materialRequestSchema.methods.addNote = function (content, author) {
   return this.save();
 };
 
+// Audit log of every change
+materialRequestSchema.plugin(auditPlugin, { projectField: 'project' });
+
 module.exports = mongoose.model('MaterialRequest', materialRequestSchema);
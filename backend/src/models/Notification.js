@@ -30,9 +30,12 @@ const notificationSchema = new mongoose.Schema(
         'quotation_accepted',   // Quotation accepted
         'invoice_generated',    // New invoice
         'payment_received',     // Payment confirmation
+        'payment_overdue',      // Installment or invoice past its due date
+        'delivery_update',      // Purchase order dispatched / delivered
         'message_received',     // New chat/negotiation message
         'material_request',     // New material request
         'work_status_update',   // Work status changed
+        'document_approval',    // Document sent for / given client approval
         'schedule_reminder',    // Schedule-based reminder
         'general',              // General notifications
       ],
@@ -93,6 +96,27 @@ const notificationSchema = new mongoose.Schema(
       enum: ['low', 'normal', 'high', 'urgent'],
       default: 'normal',
     },
+    // How the recipient's preferences routed this notification
+    delivery: {
+      // 'off' keeps it out of the recipient's list (it only exists for its email)
+      inApp: {
+        type: String,
+        enum: ['shown', 'off'],
+        default: 'shown',
+      },
+      push: {
+        type: String,
+        enum: ['sent', 'quiet', 'off'],
+        default: 'sent',
+      },
+      email: {
+        type: String,
+        enum: ['off', 'pending', 'digest', 'sent', 'failed'],
+        default: 'off',
+      },
+      // Earliest time an email may go out (end of quiet hours)
+      emailAfter: Date,
+    },
     // Expiry date (for temporary notifications)
     expiresAt: {
       type: Date,
@@ -115,15 +139,20 @@ notificationSchema.statics.createNotification = async function (data) {
   return notification;
 };
 
+// Filter for the notifications shown in a user's list
+notificationSchema.statics.listedFor = function (userId) {
+  return { recipient: userId, 'delivery.inApp': { $ne: 'off' } };
+};
+
 // Static method to get unread count for a user
 notificationSchema.statics.getUnreadCount = async function (userId) {
-  return this.countDocuments({ recipient: userId, read: false });
+  return this.countDocuments({ ...this.listedFor(userId), read: false });
 };
 
 // Static method to mark all as read for a user
 notificationSchema.statics.markAllAsRead = async function (userId) {
   return this.updateMany(
-    { recipient: userId, read: false },
+    { ...this.listedFor(userId), read: false },
     { read: true, readAt: new Date() }
   );
 };
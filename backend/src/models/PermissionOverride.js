@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Owner-edited change to a permission's default grant for one role or
+ * role:subRole (e.g. `employee:designTeam`). See utils/permissions.
+ */
+const permissionOverrideSchema = new mongoose.Schema({
+  permission: {
+    type: String,
+    required: true,
+  },
+  // 'employee', 'employee:designTeam', 'vendor', ...
+  subject: {
+    type: String,
+    required: true,
+  },
+  allowed: {
+    type: Boolean,
+    required: true,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+permissionOverrideSchema.index({ permission: 1, subject: 1 }, { unique: true });
+
+module.exports = mongoose.model('PermissionOverride', permissionOverrideSchema);
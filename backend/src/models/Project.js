@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { DEFAULT_WEIGHTS, computeProjectProgress } = require('../utils/projectProgress');
 
 const projectSchema = new mongoose.Schema({
   projectId: {
@@ -185,30 +187,6 @@ const projectSchema = new mongoose.Schema({
     bathrooms: Number,
     parking: Number,
   },
-  documents: [{
-    name: {
-      type: String,
-      required: true,
-    },
-    url: {
-      type: String,
-      required: true,
-    },
-    type: {
-      type: String,
-      enum: ['design', 'approval', 'contract', 'invoice', 'other'],
-      required: true,
-    },
-    uploadedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true,
-    },
-    uploadedAt: {
-      type: Date,
-      default: Date.now,
-    },
-  }],
   images: [{
     name: String,
     url: {
@@ -220,6 +198,15 @@ const projectSchema = new mongoose.Schema({
       enum: ['design', 'progress', 'final', 'reference'],
       required: true,
     },
+    dimensions: {
+      width: Number,
+      height: Number,
+    },
+    // Smaller JPEG copies for galleries (see utils/images)
+    renditions: {
+      thumb: String,
+      medium: String,
+    },
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -251,6 +238,18 @@ const projectSchema = new mongoose.Schema({
         default: 'pending',
       },
     }],
+    // manual: percentage is set by hand; auto: computed (see utils/projectProgress)
+    mode: {
+      type: String,
+      enum: ['manual', 'auto'],
+      default: 'manual',
+    },
+    // Relative weights of the parts of auto progress
+    weights: {
+      milestones: { type: Number, min: 0, default: DEFAULT_WEIGHTS.milestones },
+      tasks: { type: Number, min: 0, default: DEFAULT_WEIGHTS.tasks },
+      deliveries: { type: Number, min: 0, default: DEFAULT_WEIGHTS.deliveries },
+    },
     lastUpdated: {
       type: Date,
       default: Date.now,
@@ -260,6 +259,24 @@ const projectSchema = new mongoose.Schema({
       ref: 'User',
     },
   },
+  // Documents the project is expected to collect (see GET /:id/documents)
+  documentChecklist: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    type: {
+      type: String,
+      enum: ['design', 'approval', 'contract', 'invoice', 'other'],
+      default: 'other',
+    },
+    required: {
+      type: Boolean,
+      default: true,
+    },
+  }],
   notes: [{
     content: {
       type: String,
@@ -297,6 +314,8 @@ projectSchema.index({ assignedVendors: 1 });
 projectSchema.index({ createdAt: -1 });
 projectSchema.index({ 'timeline.startDate': 1 });
 projectSchema.index({ 'timeline.expectedEndDate': 1 });
+// Global search (see utils/search)
+projectSchema.index({ title: 'text', description: 'text' }, { weights: { title: 10, description: 1 }, name: 'search' });
 
 // Virtual for project duration in days
 projectSchema.virtual('duration').get(function () {
@@ -369,6 +388,15 @@ projectSchema.pre('save', async function (next) {
   next();
 });
 
+// Auto progress follows its milestones and weights; tasks and purchase orders
+// refresh it themselves
+projectSchema.pre('save', async function () {
+  if (this.progress?.mode !== 'auto' || !(this.isNew || this.isModified('progress'))) return;
+
+  const { percentage } = await computeProjectProgress(this);
+  this.progress.percentage = percentage;
+});
+
 // Static method to find projects by client
 projectSchema.statics.findByClient = function (clientId) {
   return this.find({ client: clientId }).populate('client assignedEmployees assignedVendors');
@@ -402,4 +430,36 @@ projectSchema.methods.addNote = function (content, author, isPrivate = false) {
   return this.save();
 };
 
+// Refs may be populated documents or plain ObjectIds
+const refId = (ref) => (ref && ref._id ? ref._id : ref)?.toString();
+
+// Instance method to check whether a user belongs to the project
+// (client, creator, assigned employee or vendor); owners belong to every project
+projectSchema.methods.hasMember = function (user, { vendors = true } = {}) {
+  if (user.role === 'owner') return true;
+
+  const userId = user._id.toString();
+  const members = [this.client, this.createdBy, ...(this.assignedEmployees || [])];
+  if (vendors) members.push(...(this.assignedVendors || []));
+
+  return members.some((member) => refId(member) === userId);
+};
+
+// Static method for a query matching the projects a user belongs to
+projectSchema.statics.memberFilter = function (user, { vendors = true } = {}) {
+  if (user.role === 'owner') return {};
+
+  const conditions = [
+    { client: user._id },
+    { createdBy: user._id },
+    { assignedEmployees: user._id },
+  ];
+  if (vendors) conditions.push({ assignedVendors: user._id });
+
+  return { $or: conditions };
+};
+
+// Audit log of every change
+projectSchema.plugin(auditPlugin, { projectField: '_id' });
+
 module.exports = mongoose.model('Project', projectSchema);
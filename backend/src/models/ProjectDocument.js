@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const { auditPlugin, diff } = require('../utils/audit');
+
+// Version fields compared between revisions
+const METADATA_FIELDS = ['originalName', 'mimeType', 'size', 'notes', 'uploadedBy', 'uploadedAt'];
+
+const versionSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+  storageKey: String,
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  // What changed in this revision
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Change notes cannot exceed 1000 characters'],
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Set when the version is marked current/approved
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  approvedAt: Date,
+});
+
+/**
+ * A project drawing, contract or other document and every version uploaded
+ * of it (v1, v2, ...). One version is the current/approved one; new uploads
+ * are added alongside it until someone marks them current.
+ */
+const projectDocumentSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Document name is required'],
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: ['design', 'approval', 'contract', 'invoice', 'other'],
+    default: 'other',
+  },
+  versions: {
+    type: [versionSchema],
+    validate: {
+      validator: (versions) => versions.length > 0,
+      message: 'A document needs at least one version',
+    },
+  },
+  currentVersion: {
+    type: Number,
+    default: 1,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+projectDocumentSchema.index({ project: 1, updatedAt: -1 });
+
+projectDocumentSchema.virtual('latestVersion').get(function() {
+  return this.versions.reduce((max, version) => Math.max(max, version.number), 0);
+});
+
+// The current version's file, so lists can open it directly
+projectDocumentSchema.virtual('url').get(function() {
+  return this.getVersion(this.currentVersion)?.url;
+});
+
+/**
+ * A version by number
+ */
+projectDocumentSchema.methods.getVersion = function(number) {
+  return this.versions.find((version) => version.number === Number(number)) || null;
+};
+
+/**
+ * Add the next version; the first one becomes current
+ * @param {Object} data - url, storageKey, originalName, mimeType, size, notes, uploadedBy
+ * @returns {Object} The new version
+ */
+projectDocumentSchema.methods.addVersion = function(data) {
+  const number = this.latestVersion + 1;
+  this.versions.push({ ...data, number });
+  if (number === 1) this.currentVersion = 1;
+  return this.getVersion(number);
+};
+
+/**
+ * Mark a version as the current/approved one
+ * @returns {Object|null} The version, or null when it doesn't exist
+ */
+projectDocumentSchema.methods.markCurrent = function(number, user) {
+  const version = this.getVersion(number);
+  if (!version) return null;
+  version.approvedBy = user._id;
+  version.approvedAt = new Date();
+  this.currentVersion = version.number;
+  return version;
+};
+
+/**
+ * Metadata that differs between two versions: [{ field, before, after }]
+ */
+projectDocumentSchema.methods.compareVersions = function(fromNumber, toNumber) {
+  const pick = (version) => {
+    const plain = version.toObject({ depopulate: true });
+    return Object.fromEntries(METADATA_FIELDS.map((field) => [field, plain[field]]));
+  };
+  const from = this.getVersion(fromNumber);
+  const to = this.getVersion(toNumber);
+  if (!from || !to) return null;
+  return diff(pick(from), pick(to), { ignore: new Set(), redact: new Set() });
+};
+
+/**
+ * JSON with versions newest first, each listing what changed since the one before
+ */
+projectDocumentSchema.methods.toHistoryJSON = function() {
+  const json = this.toJSON();
+  json.versions = json.versions
+    .map((version) => ({
+      ...version,
+      isCurrent: version.number === this.currentVersion,
+      changes: version.number > 1 ? this.compareVersions(version.number - 1, version.number) || [] : [],
+    }))
+    .sort((a, b) => b.number - a.number);
+  return json;
+};
+
+projectDocumentSchema.plugin(auditPlugin, { projectField: 'project' });
+
+module.exports = mongoose.model('ProjectDocument', projectDocumentSchema);
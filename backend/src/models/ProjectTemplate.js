@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const Project = require('./Project');
+const MaterialRequest = require('./MaterialRequest');
+const TaskTemplate = require('./TaskTemplate');
+
+const dayOffset = {
+  type: Number, // Days after the project start
+  min: 0,
+  default: 0,
+};
+
+const materialPath = (pathname) => MaterialRequest.schema.path('materials').schema.path(pathname);
+
+// A standard material list, requested `dayOffset` days into the project
+const templateMaterialRequestSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Request title is required'],
+    trim: true,
+    maxlength: 100,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  priority: {
+    type: String,
+    enum: MaterialRequest.schema.path('priority').enumValues,
+    default: 'medium',
+  },
+  dayOffset,
+  materials: [{
+    name: {
+      type: String,
+      required: [true, 'Material name is required'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Material quantity is required'],
+      min: 0.01,
+    },
+    unit: {
+      type: String,
+      enum: materialPath('unit').enumValues,
+      required: [true, 'Material unit is required'],
+    },
+    category: {
+      type: String,
+      enum: materialPath('category').enumValues,
+      required: [true, 'Material category is required'],
+    },
+    specifications: {
+      brand: String,
+      model: String,
+      color: String,
+      size: String,
+      grade: String,
+      other: String,
+    },
+    estimatedCost: {
+      type: Number,
+      min: 0,
+    },
+    priority: {
+      type: String,
+      enum: materialPath('priority').enumValues,
+      default: 'medium',
+    },
+  }],
+});
+
+/**
+ * A reusable project setup: milestones, payment schedule, standard material
+ * requests, tasks and document checklist, all placed by days from the start.
+ * Saved from an existing project (see utils/projectTemplates) and turned into
+ * new projects from a start date.
+ */
+const projectTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: 100,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  projectType: {
+    type: String,
+    enum: Project.schema.path('projectType').enumValues,
+    required: [true, 'Project type is required'],
+  },
+  designStyle: {
+    type: String,
+    enum: Project.schema.path('designStyle').enumValues,
+  },
+  // Expected length of the project, from its start
+  durationDays: {
+    type: Number,
+    min: 1,
+  },
+  milestones: [{
+    name: {
+      type: String,
+      required: [true, 'Milestone name is required'],
+      trim: true,
+    },
+    description: String,
+    dayOffset,
+  }],
+  // Shares of the project budget
+  paymentSchedule: [{
+    name: {
+      type: String,
+      required: [true, 'Payment name is required'],
+      trim: true,
+    },
+    percentage: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    dayOffset,
+  }],
+  materialRequests: [templateMaterialRequestSchema],
+  tasks: [TaskTemplate.schema.path('tasks').schema],
+  documentChecklist: [Project.schema.path('documentChecklist').schema],
+  sourceProject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+projectTemplateSchema.index({ projectType: 1, name: 1 });
+
+module.exports = mongoose.model('ProjectTemplate', projectTemplateSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { progressPlugin } = require('../utils/projectProgress');
 
 const purchaseOrderItemSchema = new mongoose.Schema({
   quotationItem: {
@@ -397,6 +399,11 @@ purchaseOrderSchema.index({ vendor: 1 });
 purchaseOrderSchema.index({ status: 1 });
 purchaseOrderSchema.index({ expectedDeliveryDate: 1 });
 purchaseOrderSchema.index({ createdAt: -1 });
+// Global search (see utils/search)
+purchaseOrderSchema.index(
+  { title: 'text', 'items.materialName': 'text', description: 'text' },
+  { weights: { title: 10, 'items.materialName': 5, description: 1 }, name: 'search' }
+);
 
 // Virtual for delivery progress percentage
 purchaseOrderSchema.virtual('deliveryProgress').get(function() {
@@ -523,4 +530,9 @@ purchaseOrderSchema.methods.recordDelivery = function(deliveryData, receivedBy)
   return this.save();
 };
 
+// Audit log of every change
+purchaseOrderSchema.plugin(auditPlugin, { projectField: 'project' });
+// Deliveries move auto progress
+purchaseOrderSchema.plugin(progressPlugin, { projectField: 'project' });
+
 module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * Record of every reminder/overdue notice dispatched by background jobs.
+ * The unique `key` guarantees a reminder is sent at most once, even when
+ * several server instances run the scheduler.
+ */
+const reminderLogSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  kind: {
+    type: String,
+    enum: ['task_reminder', 'installment_reminder', 'installment_overdue', 'invoice_overdue', 'notification_digest'],
+    required: true,
+    index: true,
+  },
+  // The Task, Project installment, ClientInvoice or (for digests) User the reminder is about
+  refId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true,
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+  },
+  recipients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  notifications: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * Claim a reminder key. Resolves to the log document if this caller is the
+ * first to claim it, or null if the reminder was already sent.
+ */
+reminderLogSchema.statics.claim = async function (key, data) {
+  try {
+    return await this.create({ key, ...data });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('ReminderLog', reminderLogSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const scheduledJobSchema = new mongoose.Schema({
+  // Unique job name, e.g. "taskReminders"
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    unique: true,
+    trim: true,
+  },
+  // How often the job runs, in milliseconds
+  intervalMs: {
+    type: Number,
+    required: true,
+    min: [1000, 'Interval must be at least 1 second'],
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+  // Lock held by the server instance currently running the job
+  lockedBy: {
+    type: String,
+    default: null,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastError: {
+    type: String,
+    default: null,
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  runCount: {
+    type: Number,
+    default: 0,
+  },
+  failCount: {
+    type: Number,
+    default: 0,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * Atomically claim a due job for this instance.
+ * Returns null if the job is not due, disabled, or locked by another instance.
+ */
+scheduledJobSchema.statics.acquire = function (name, instanceId, lockMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      name,
+      enabled: true,
+      nextRunAt: { $lte: now },
+      $or: [
+        { lockedUntil: null },
+        { lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        lockedBy: instanceId,
+        lockedUntil: new Date(now.getTime() + lockMs),
+        lastRunAt: now,
+      },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Release the lock after a run and schedule the next one
+ */
+scheduledJobSchema.statics.release = function (name, instanceId, { error = null, result = {} } = {}) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { name, lockedBy: instanceId },
+    [
+      {
+        $set: {
+          lockedBy: null,
+          lockedUntil: null,
+          lastFinishedAt: now,
+          lastError: error,
+          lastResult: { $literal: result },
+          nextRunAt: { $add: [now, '$intervalMs'] },
+          runCount: { $add: ['$runCount', 1] },
+          failCount: error ? { $add: ['$failCount', 1] } : '$failCount',
+        },
+      },
+    ],
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * A signed-in device. Each session holds one rotating refresh token (stored
+ * only as a SHA-256 hash); access tokens carry the session id as `sid` so
+ * revoking the session locks them out immediately.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  // The token that was rotated out; presenting it again means it was stolen
+  previousTokenHash: {
+    type: String,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'force_logout', 'password_change', 'token_reuse', null],
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+sessionSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+/**
+ * Whether a verified access token has been revoked.
+ * Tokens with a `sid` live as long as their session; older tokens without one
+ * are cut off by User.tokensInvalidBefore (set on force-logout).
+ * @param {Object} decoded - Verified JWT payload
+ * @param {Object} user - User document (needs tokensInvalidBefore)
+ * @returns {Promise<boolean>}
+ */
+sessionSchema.statics.isTokenRevoked = async function (decoded, user) {
+  if (decoded.sid) {
+    const session = await this.findById(decoded.sid).select('user revokedAt expiresAt');
+    return !session || !session.isActive() || session.user.toString() !== user._id.toString();
+  }
+  if (user.tokensInvalidBefore) {
+    return decoded.iat * 1000 < user.tokensInvalidBefore.getTime();
+  }
+  return false;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,33 @@
 const mongoose = require('mongoose');
+const { progressPlugin } = require('../utils/projectProgress');
+const { auditPlugin } = require('../utils/audit');
+const { FREQUENCIES, MAX_OCCURRENCES, occurrenceDates } = require('../utils/recurrence');
+
+// How a task repeats (see utils/recurrence)
+const recurrenceSchema = new mongoose.Schema({
+    frequency: {
+        type: String,
+        enum: FREQUENCIES,
+        required: true,
+    },
+    interval: {
+        type: Number,
+        min: 1,
+        default: 1,
+    },
+    until: {
+        type: Date,
+    },
+    count: {
+        type: Number,
+        min: 1,
+        max: MAX_OCCURRENCES,
+    },
+    skipWeekends: {
+        type: Boolean,
+        default: false,
+    },
+}, { _id: false });
 
 const taskSchema = new mongoose.Schema({
     projectId: {
@@ -27,6 +56,51 @@ const taskSchema = new mongoose.Schema({
         required: [true, 'Task time is required'],
         match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Time must be in HH:MM format'],
     },
+    // Schedule: the task spans startDate to endDate; `date` stays its reminder day.
+    // Missing values are filled from each other (see pre('validate'))
+    startDate: {
+        type: Date,
+    },
+    endDate: {
+        type: Date,
+    },
+    duration: {
+        type: Number, // Days
+        min: [0, 'Duration cannot be negative'],
+    },
+    // Tasks that must finish (finish-to-start) or start (start-to-start) first
+    dependencies: [{
+        _id: false,
+        task: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Task',
+            required: true,
+        },
+        type: {
+            type: String,
+            enum: ['finish-to-start', 'start-to-start'],
+            default: 'finish-to-start',
+        },
+        lag: {
+            type: Number, // Days between the two, may be negative
+            default: 0,
+        },
+    }],
+    // One of the project's progress.milestones
+    milestone: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    // Repeat rule of a recurring task, kept on the first task of its series
+    recurrence: {
+        type: recurrenceSchema,
+        default: undefined,
+    },
+    // First task of the series this occurrence belongs to (itself for the first)
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        index: true,
+    },
     notifyBefore: {
         type: Number, // Minutes before task to notify
         default: 30,
@@ -65,6 +139,24 @@ const taskSchema = new mongoose.Schema({
     },
 });
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fill startDate, endDate and duration from whichever were given; one day by
+// default. Moving `date` alone moves the task with it.
+taskSchema.pre('validate', function (next) {
+    if (!this.startDate || (this.isModified('date') && !this.isModified('startDate'))) {
+        this.startDate = this.date;
+    }
+    if (this.startDate) {
+        if (this.endDate && (this.isModified('endDate') || this.duration === undefined)) {
+            this.duration = Math.max(0, Math.round((this.endDate - this.startDate) / DAY_MS));
+        }
+        if (this.duration === undefined) this.duration = 1;
+        this.endDate = new Date(this.startDate.getTime() + this.duration * DAY_MS);
+    }
+    next();
+});
+
 // Update timestamp on save
 taskSchema.pre('save', function (next) {
     this.updatedAt = new Date();
@@ -80,9 +172,9 @@ taskSchema.virtual('scheduledAt').get(function () {
     return scheduled;
 });
 
-// Get notification datetime
+// Get notification datetime (notifyBefore 0 reminds at the start time)
 taskSchema.virtual('notifyAt').get(function () {
-    if (!this.scheduledAt || !this.notifyBefore) return null;
+    if (!this.scheduledAt || this.notifyBefore == null) return null;
     return new Date(this.scheduledAt.getTime() - this.notifyBefore * 60000);
 });
 
@@ -90,6 +182,7 @@ taskSchema.virtual('notifyAt').get(function () {
 taskSchema.index({ projectId: 1, date: 1 });
 taskSchema.index({ assignedTo: 1, status: 1 });
 taskSchema.index({ date: 1, status: 1 });
+taskSchema.index({ 'dependencies.task': 1 });
 
 // Static method to get tasks for a project
 taskSchema.statics.getProjectTasks = async function (projectId, options = {}) {
@@ -127,4 +220,43 @@ taskSchema.statics.getUpcomingTasks = async function (userId, days = 7) {
         .sort({ date: 1, time: 1 });
 };
 
+/**
+ * Create a task; a recurring one (with `recurrence`) gets the rest of its
+ * occurrences created with it, each on its own date
+ * @param {Object} fields - Task fields
+ * @returns {Promise<Task[]>} The first task, then its occurrences
+ */
+taskSchema.statics.createWithOccurrences = async function (fields) {
+    if (!fields.recurrence) {
+        return [await this.create(fields)];
+    }
+
+    const [firstDate, ...dates] = occurrenceDates(fields.date, fields.recurrence);
+    const first = new this({ ...fields, date: firstDate || fields.date });
+    first.series = first._id;
+    await first.validate();
+
+    // Occurrences keep the first task's length and start offset, but not its
+    // dependencies
+    const offset = first.startDate - first.date;
+    const occurrences = dates.map((date) => new this({
+        ...fields,
+        date,
+        startDate: new Date(date.getTime() + offset),
+        endDate: undefined,
+        duration: first.duration,
+        dependencies: [],
+        recurrence: undefined,
+        series: first._id,
+    }));
+
+    return this.insertMany([first, ...occurrences]);
+};
+
+// Completing or removing tasks moves auto progress
+taskSchema.plugin(progressPlugin, { projectField: 'projectId' });
+
+// Audit log (recurring series are edited and deleted with updateMany/deleteMany)
+taskSchema.plugin(auditPlugin, { projectField: 'projectId' });
+
 module.exports = mongoose.model('Task', taskSchema);
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const Project = require('./Project');
+const Task = require('./Task');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A task of the template, placed relative to the project's start
+const templateTaskSchema = new mongoose.Schema({
+  taskName: {
+    type: String,
+    required: [true, 'Task name is required'],
+    trim: true,
+    maxlength: 200,
+  },
+  taskDescription: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+  },
+  dayOffset: {
+    type: Number, // Days after the project start
+    min: 0,
+    default: 0,
+  },
+  time: {
+    type: String,
+    match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Time must be in HH:MM format'],
+    default: '09:00',
+  },
+  duration: {
+    type: Number, // Days
+    min: 0,
+    default: 1,
+  },
+  priority: {
+    type: String,
+    enum: Task.schema.path('priority').enumValues,
+    default: 'medium',
+  },
+  notifyBefore: {
+    type: Number,
+    min: 0,
+    max: 1440,
+    default: 30,
+  },
+  // Same rule as tasks; without `until` or `count` it runs to the project's
+  // expected end date
+  recurrence: {
+    type: Task.schema.path('recurrence').schema,
+    default: undefined,
+  },
+});
+
+const taskTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: 100,
+  },
+  projectType: {
+    type: String,
+    enum: Project.schema.path('projectType').enumValues,
+    required: [true, 'Project type is required'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  tasks: [templateTaskSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+taskTemplateSchema.index({ projectType: 1, name: 1 });
+
+/**
+ * Create tasks from template tasks in a project, dated from `startDate`
+ * @param {Object[]} templateTasks - Template task subdocuments
+ * @param {Object} project - Project document (_id, timeline)
+ * @param {Object} options
+ * @param {Date} options.startDate - Day the template's day 0 falls on
+ * @param {ObjectId} options.createdBy - User creating the tasks
+ * @returns {Promise<Task[]>} Every task created, occurrences included
+ */
+taskTemplateSchema.statics.createTasks = async function (templateTasks, project, { startDate, createdBy }) {
+  const start = new Date(startDate);
+  const created = [];
+
+  for (const templateTask of templateTasks) {
+    const recurrence = templateTask.recurrence?.toObject();
+    if (recurrence && !recurrence.until && !recurrence.count) {
+      recurrence.until = project.timeline?.expectedEndDate;
+    }
+
+    const tasks = await Task.createWithOccurrences({
+      projectId: project._id,
+      taskName: templateTask.taskName,
+      taskDescription: templateTask.taskDescription,
+      date: new Date(start.getTime() + templateTask.dayOffset * DAY_MS),
+      time: templateTask.time,
+      duration: templateTask.duration,
+      priority: templateTask.priority,
+      notifyBefore: templateTask.notifyBefore,
+      recurrence,
+      createdBy,
+    });
+    created.push(...tasks);
+  }
+
+  return created;
+};
+
+/**
+ * Create the template's tasks in a project, dated from `startDate`
+ * @param {Object} project - Project document (_id, timeline)
+ * @param {Object} options - startDate, createdBy (see createTasks)
+ * @returns {Promise<Task[]>} Every task created, occurrences included
+ */
+taskTemplateSchema.methods.applyTo = function (project, options) {
+  return this.constructor.createTasks(this.tasks, project, options);
+};
+
+module.exports = mongoose.model('TaskTemplate', taskTemplateSchema);
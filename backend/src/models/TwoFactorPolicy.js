@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+/**
+ * Owner-edited list of roles/sub-roles that must use two-factor
+ * authentication (single document). See utils/twoFactor.
+ */
+const twoFactorPolicySchema = new mongoose.Schema({
+  // 'owner', 'employee', 'employee:designTeam', ...
+  requiredFor: {
+    type: [String],
+    default: [],
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('TwoFactorPolicy', twoFactorPolicySchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+/**
+ * A chunked upload in progress (see routes/uploads). Parts are stored under
+ * upload-parts/<session id>/ until the upload is completed or aborted; the
+ * session outlives the app that started it so an interrupted upload can resume.
+ */
+const uploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+  },
+  // What the finished upload becomes: a File record or project media (ClientMedia)
+  target: {
+    type: String,
+    enum: ['file', 'media'],
+    default: 'file',
+  },
+  category: {
+    type: String,
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  mimeType: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // SHA-256 of the whole file (hex), checked on completion when given
+  checksum: {
+    type: String,
+    lowercase: true,
+  },
+  chunkSize: {
+    type: Number,
+    required: true,
+  },
+  totalChunks: {
+    type: Number,
+    required: true,
+  },
+  parts: [{
+    _id: false,
+    index: Number,
+    size: Number,
+    checksum: String,
+  }],
+  // Copied onto the media record
+  description: String,
+  tags: [String],
+  duration: Number,
+  status: {
+    type: String,
+    enum: ['uploading', 'completing', 'completed', 'aborted', 'expired'],
+    default: 'uploading',
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+  },
+  media: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClientMedia',
+  },
+  // Pushed forward by every part; unfinished sessions past it are cleaned up
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+uploadSessionSchema.index({ user: 1, status: 1 });
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+/**
+ * Storage key prefix of the session's parts
+ */
+uploadSessionSchema.methods.partsPrefix = function () {
+  return `upload-parts/${this._id}/`;
+};
+
+/**
+ * Storage key of one part
+ */
+uploadSessionSchema.methods.partKey = function (index) {
+  return `${this.partsPrefix()}${String(index).padStart(6, '0')}`;
+};
+
+/**
+ * Expected size of a part; only the last one may be short
+ */
+uploadSessionSchema.methods.partSize = function (index) {
+  return index === this.totalChunks - 1
+    ? this.size - this.chunkSize * (this.totalChunks - 1)
+    : this.chunkSize;
+};
+
+/**
+ * Indexes of the parts received so far, in order
+ */
+uploadSessionSchema.methods.receivedChunks = function () {
+  return this.parts.map((part) => part.index).sort((a, b) => a - b);
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 const bcrypt = require('bcryptjs');
 
 const userSchema = new mongoose.Schema({
@@ -126,10 +127,37 @@ const userSchema = new mongoose.Schema({
       default: 'medium'
     }
   },
+  // Per-type delivery channels, quiet hours and digest (see utils/notificationPreferences)
+  notificationPreferences: {
+    types: {
+      type: Map,
+      of: new mongoose.Schema({
+        inApp: Boolean,
+        email: Boolean,
+        push: Boolean,
+      }, { _id: false }),
+      default: undefined,
+    },
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: '22:00' },
+      end: { type: String, default: '07:00' },
+    },
+    dailyDigest: {
+      enabled: { type: Boolean, default: false },
+      time: { type: String, default: '08:00' },
+    },
+    timezone: String,
+  },
   lastLogin: {
     type: Date,
     default: null,
   },
+  // Access tokens issued before this (without a session id) are rejected
+  tokensInvalidBefore: {
+    type: Date,
+    default: null,
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -148,6 +176,61 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Two-factor authentication (see utils/twoFactor)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    enabledAt: {
+      type: Date,
+      default: null,
+    },
+    // Base32 TOTP secret, and one being enrolled until its first code is confirmed
+    secret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // SHA-256 hashes of unused backup codes
+    backupCodes: {
+      type: [String],
+      default: undefined,
+      select: false,
+    },
+  },
+  // Time step of the last accepted 2FA code, so a code can't be used twice
+  twoFactorLastStep: {
+    type: Number,
+    default: null,
+  },
+  // Wrong 2FA codes in a row, and the lockout they triggered
+  twoFactorAttempts: {
+    type: Number,
+    default: 0,
+  },
+  twoFactorLockedUntil: {
+    type: Date,
+    default: null,
+  },
+  // Calendar subscription (see utils/calendarFeed); the secret is in the feed URL
+  calendarFeed: {
+    // SHA-256 hash of the secret
+    tokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    createdAt: {
+      type: Date,
+      default: null,
+    },
+  },
 }, {
   timestamps: true,
 });
@@ -155,6 +238,12 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance (email index is already created by unique: true)
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { sparse: true });
+// Global search (see utils/search)
+userSchema.index(
+  { firstName: 'text', lastName: 'text', email: 'text', 'vendorDetails.companyName': 'text' },
+  { weights: { firstName: 10, lastName: 10, email: 5, 'vendorDetails.companyName': 5 }, name: 'search' }
+);
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function () {
@@ -202,6 +291,12 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 userSchema.methods.toSafeObject = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt,
+    };
+  }
   return userObject;
 };
 
@@ -215,4 +310,10 @@ userSchema.statics.findByRole = function (role) {
   return this.find({ role, isActive: true });
 };
 
+// Audit log; login bookkeeping and reset codes are left out, password, 2FA and calendar feed changes show without values
+userSchema.plugin(auditPlugin, {
+  ignore: ['lastLogin', 'passwordResetOTP', 'passwordResetExpiry', 'passwordResetAttempts', 'twoFactorLastStep', 'twoFactorAttempts', 'twoFactorLockedUntil'],
+  redact: ['password', 'twoFactor', 'calendarFeed'],
+});
+
 module.exports = mongoose.model('User', userSchema);
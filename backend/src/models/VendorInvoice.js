@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const vendorInvoiceSchema = new mongoose.Schema(
   {
@@ -122,6 +123,12 @@ const vendorInvoiceSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Global search (see utils/search)
+vendorInvoiceSchema.index(
+  { invoiceNumber: 'text', title: 'text', description: 'text' },
+  { weights: { invoiceNumber: 10, title: 10, description: 1 }, name: 'search' }
+);
+
 vendorInvoiceSchema.pre('save', function (next) {
   if (this.amountDue === 0 && this.totalAmount) {
     this.amountDue = this.totalAmount - (this.amountPaid || 0);
@@ -129,4 +136,7 @@ vendorInvoiceSchema.pre('save', function (next) {
   next();
 });
 
+// Audit log of every change
+vendorInvoiceSchema.plugin(auditPlugin, { projectField: 'project' });
+
 module.exports = mongoose.model('VendorInvoice', vendorInvoiceSchema);
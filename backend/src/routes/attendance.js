@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const Attendance = require('../models/Attendance');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateHeartbeat } = require('../middleware/validation');
 
 /**
  * @route   POST /api/attendance/check-in
@@ -69,7 +70,7 @@ router.post('/check-in', authenticate, async (req, res) => {
  * @desc    Log hourly activity (called once per hour from app)
  * @access  Private
  */
-router.post('/heartbeat', authenticate, async (req, res) => {
+router.post('/heartbeat', authenticate, validateHeartbeat, async (req, res) => {
     try {
         const userId = req.user._id;
         let { activeMinutes } = req.body;
@@ -348,18 +349,10 @@ router.get('/status', authenticate, async (req, res) => {
 /**
  * @route   GET /api/attendance/all
  * @desc    Get all attendance records for all employees (Admin/Owner only)
- * @access  Private (Owner only)
+ * @access  Private (reports.overview)
  */
-router.get('/all', authenticate, async (req, res) => {
+router.get('/all', authenticate, requirePermission('reports.overview'), async (req, res) => {
     try {
-        // Check if requester is owner
-        if (req.user.role !== 'owner') {
-            return res.status(403).json({
-                success: false,
-                message: 'Only owners can view all attendance records',
-            });
-        }
-
         const { date, startDate, endDate } = req.query;
         let dateFilter = {};
         
@@ -435,18 +428,10 @@ router.get('/stats', authenticate, async (req, res) => {
 /**
  * @route   GET /api/attendance/employee/:employeeId
  * @desc    Get attendance for a specific employee (Admin use)
- * @access  Private (Owner/Admin)
+ * @access  Private (reports.overview)
  */
-router.get('/employee/:employeeId', authenticate, async (req, res) => {
+router.get('/employee/:employeeId', authenticate, requirePermission('reports.overview'), async (req, res) => {
     try {
-        // Check if requester is owner/admin
-        if (req.user.role !== 'owner') {
-            return res.status(403).json({
-                success: false,
-                message: 'Only owners can view employee attendance',
-            });
-        }
-
         const { employeeId } = req.params;
         const { period = 'weekly' } = req.query;
 
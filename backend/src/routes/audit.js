@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/audit
+ * @desc    Audit log of changes, newest first
+ *          (filters: entityType, entityId, project, actor, action, from, to)
+ * @access  Private (audit.view)
+ */
+router.get('/', authenticate, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const { entityType, entityId, project, actor, action, from, to, page = 1, limit = 20 } = req.query;
+
+    const invalidId = [['entityId', entityId], ['project', project], ['actor', actor]]
+      .find(([, value]) => value && !mongoose.Types.ObjectId.isValid(value));
+    if (invalidId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidId[0]}`,
+      });
+    }
+
+    const invalidDate = [['from', from], ['to', to]]
+      .find(([, value]) => value && Number.isNaN(new Date(value).getTime()));
+    if (invalidDate) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidDate[0]} date`,
+      });
+    }
+
+    const query = {};
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (project) query.project = project;
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const pageSize = Math.min(Number(limit) || 20, 100);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .populate('actor', 'firstName lastName email role')
+        .sort({ createdAt: -1 })
+        .limit(pageSize)
+        .skip((Number(page) - 1) * pageSize),
+      AuditEvent.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          current: Number(page),
+          pages: Math.ceil(total / pageSize),
+          total,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get audit log',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -17,12 +17,30 @@ const {
 const {
   validateRegistration,
   validateLogin,
+  validateRefreshToken,
   validateProfileUpdate,
   validatePasswordChange,
+  validateSessionId,
+  validatePasswordOtpRequest,
+  validatePasswordOtp,
+  validatePasswordReset,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateTwoFactorPolicy,
 } = require('../middleware/validation');
 
-const { authenticate, isOwner } = require('../middleware/auth');
-const { uploadSingle, getFileUrl } = require('../middleware/upload');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeUserSessions,
+} = require('../utils/sessionService');
+const { getUserPermissions } = require('../utils/permissions');
+const twoFactor = require('../utils/twoFactor');
+const { uploadSingle } = require('../middleware/upload');
 
 /**
  * ============================
@@ -69,6 +87,553 @@ router.post('/login', validateLogin, login);
  */
 router.post('/login-mock', validateLogin, mockLogin);
 
+/**
+ * ============================
+ *  SESSIONS
+ * ============================
+ */
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access + refresh token pair
+ * @access  Public (refresh token in body)
+ */
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const result = await refreshSession(req.body.refreshToken, req);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please log in again.',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: result.user.toSafeObject(),
+        token: result.token,
+        refreshToken: result.refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    End the current session
+ * @access  Private
+ */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await revokeSession({ userId: req.user._id, sessionId: req.sessionId, reason: 'logout' });
+    }
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's active sessions
+ * @access  Private
+ */
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) => ({
+          ...session.toObject(),
+          current: session._id.toString() === req.sessionId,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load sessions',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out every other device
+ * @access  Private
+ */
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions({
+      userId: req.user._id,
+      exceptSessionId: req.sessionId,
+      io: req.app.get('io'),
+    });
+
+    res.json({
+      success: true,
+      message: 'Signed out of other devices',
+      data: { revokedSessions: revoked },
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out other devices',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out one device
+ * @access  Private
+ */
+router.delete('/sessions/:id', authenticate, validateSessionId, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const revoked = await revokeSession({
+      userId: req.user._id,
+      sessionId: id,
+      io: req.app.get('io'),
+    });
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    res.json({ success: true, message: 'Session signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out session',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/permissions
+ * @desc    Permissions of the logged-in user (the app hides screens without them)
+ * @access  Private
+ */
+router.get('/permissions', authenticate, async (req, res) => {
+  try {
+    const permissions = await getUserPermissions(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        role: req.user.role,
+        subRole: req.user.subRole,
+        permissions,
+      },
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load permissions',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * ============================
+ *  TWO-FACTOR AUTHENTICATION
+ * ============================
+ */
+
+const User = require('../models/User');
+
+const tooManyAttempts = (res) => res.status(429).json({
+  success: false,
+  message: 'Too many incorrect codes. Please try again in 15 minutes.',
+});
+
+/**
+ * Authenticate with an access token, or with the setup token from a login
+ * whose role requires 2FA before the user has enrolled
+ */
+const authenticateForTwoFactorSetup = async (req, res, next) => {
+  if (!req.body?.twoFactorToken) return authenticate(req, res, next);
+
+  try {
+    const challenge = twoFactor.readChallenge(req.body.twoFactorToken, 'setup');
+    const user = challenge && await User.findById(challenge.userId).select('-password');
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Setup session expired. Please log in again.',
+      });
+    }
+
+    req.user = user;
+    req.twoFactorSetup = true;
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Token verification failed.',
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Second login step: exchange the login's twoFactorToken and an
+ *          authenticator (or backup) code for a session
+ * @access  Public (twoFactorToken in body)
+ */
+router.post('/2fa/verify', validateTwoFactorLogin, async (req, res) => {
+  try {
+    const challenge = twoFactor.readChallenge(req.body.twoFactorToken, 'verify');
+    const user = challenge && await twoFactor.findWithSecrets(challenge.userId);
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Verification expired. Please log in again.',
+      });
+    }
+
+    if (twoFactor.isLockedOut(user)) return tooManyAttempts(res);
+
+    const method = await twoFactor.consumeCode(user, req.body.code);
+    if (!method) {
+      await twoFactor.recordFailedAttempt(user);
+      return res.status(401).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    await twoFactor.clearFailedAttempts(user);
+    await User.updateOne({ _id: user._id }, { $set: { lastLogin: new Date() } });
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.toSafeObject(),
+        token,
+        refreshToken,
+        ...(method === 'backup' && { backupCodesRemaining: user.twoFactor.backupCodes.length - 1 }),
+      },
+    });
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Verification failed',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor status of the logged-in user
+ * @access  Private
+ */
+router.get('/2fa', authenticate, async (req, res) => {
+  try {
+    const user = await twoFactor.findWithSecrets(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        available: twoFactor.TWO_FACTOR_ROLES.includes(user.role),
+        enabled: Boolean(user.twoFactor?.enabled),
+        enabledAt: user.twoFactor?.enabledAt || null,
+        required: await twoFactor.isRequiredFor(user),
+        backupCodesRemaining: user.twoFactor?.backupCodes?.length || 0,
+      },
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load two-factor status',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start enrolment: a new secret and otpauth:// URI for the authenticator app
+ * @access  Private (owners and employees; or twoFactorToken from a login that requires setup)
+ */
+router.post('/2fa/setup', authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    if (!twoFactor.TWO_FACTOR_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is available for owner and employee accounts',
+      });
+    }
+
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const secret = twoFactor.generateSecret();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    res.json({
+      success: true,
+      message: 'Add this key to your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: twoFactor.otpauthUrl(secret, req.user.email),
+      },
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Finish enrolment with a code from the app; returns backup codes
+ *          (and a session when enrolling during login)
+ * @access  Private (or twoFactorToken from a login that requires setup)
+ */
+router.post('/2fa/enable', authenticateForTwoFactorSetup, validateTwoFactorCode, async (req, res) => {
+  try {
+    const user = await twoFactor.findWithSecrets(req.user._id);
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first',
+      });
+    }
+
+    if (twoFactor.isLockedOut(user)) return tooManyAttempts(res);
+
+    const step = twoFactor.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      await twoFactor.recordFailedAttempt(user);
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = twoFactor.generateBackupCodes();
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.pendingSecret': null,
+        'twoFactor.backupCodes': hashes,
+        twoFactorLastStep: step,
+      },
+    });
+    await twoFactor.clearFailedAttempts(user);
+
+    const data = { backupCodes: codes };
+    if (req.twoFactorSetup) {
+      const updated = await User.findByIdAndUpdate(user._id, { $set: { lastLogin: new Date() } }, { new: true });
+      Object.assign(data, await createSession(updated, req), { user: updated.toSafeObject() });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Keep your backup codes somewhere safe.',
+      data,
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Replace the backup codes (confirmed with a current code)
+ * @access  Private
+ */
+router.post('/2fa/backup-codes', authenticate, validateTwoFactorCode, async (req, res) => {
+  try {
+    const user = await twoFactor.findWithSecrets(req.user._id);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (twoFactor.isLockedOut(user)) return tooManyAttempts(res);
+
+    if (!(await twoFactor.consumeCode(user, req.body.code))) {
+      await twoFactor.recordFailedAttempt(user);
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = twoFactor.generateBackupCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.backupCodes': hashes } });
+    await twoFactor.clearFailedAttempts(user);
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. The old ones no longer work.',
+      data: { backupCodes: codes },
+    });
+  } catch (error) {
+    console.error('Two-factor backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate backup codes',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor authentication off (password and a current code)
+ * @access  Private (not while the owner requires it for the user's role)
+ */
+router.post('/2fa/disable', authenticate, validateTwoFactorDisable, async (req, res) => {
+  try {
+    if (await twoFactor.isRequiredFor(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role',
+      });
+    }
+
+    const user = await twoFactor.findWithSecrets(req.user._id);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (twoFactor.isLockedOut(user)) return tooManyAttempts(res);
+
+    const passwordValid = await user.comparePassword(req.body.password);
+    if (!passwordValid || !(await twoFactor.consumeCode(user, req.body.code))) {
+      await twoFactor.recordFailedAttempt(user);
+      return res.status(400).json({ success: false, message: 'Incorrect password or authentication code' });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'twoFactor.enabled': false,
+        'twoFactor.enabledAt': null,
+        'twoFactor.secret': null,
+        twoFactorLastStep: null,
+      },
+      $unset: { 'twoFactor.backupCodes': 1 },
+    });
+    await twoFactor.clearFailedAttempts(user);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/2fa/policy
+ * @desc    Roles/sub-roles that must use two-factor authentication
+ * @access  Private (security.manage)
+ */
+router.get('/2fa/policy', authenticate, requirePermission('security.manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        subjects: twoFactor.POLICY_SUBJECTS,
+        requiredFor: await twoFactor.getRequiredSubjects(),
+      },
+    });
+  } catch (error) {
+    console.error('Get two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load two-factor policy',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/auth/2fa/policy
+ * @desc    Set the roles/sub-roles that must use two-factor authentication;
+ *          their users enrol at next login
+ * @access  Private (security.manage)
+ */
+router.put('/2fa/policy', authenticate, requirePermission('security.manage'), validateTwoFactorPolicy, async (req, res) => {
+  try {
+    const requiredFor = [...new Set(req.body.requiredFor)];
+    await twoFactor.setRequiredSubjects(requiredFor, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor policy updated',
+      data: {
+        subjects: twoFactor.POLICY_SUBJECTS,
+        requiredFor,
+      },
+    });
+  } catch (error) {
+    console.error('Update two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update two-factor policy',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * ============================
  *  PROFILE & PASSWORD ROUTES
@@ -112,9 +677,9 @@ router.put('/change-password', authenticate, validatePasswordChange, changePassw
 /**
  * @route   POST /api/auth/register-employee
  * @desc    Owner registers a new employee directly (auto-approved)
- * @access  Private (Owner only)
+ * @access  Private (users.manage)
  */
-router.post('/register-employee', authenticate, isOwner, (req, res, next) => {
+router.post('/register-employee', authenticate, requirePermission('users.manage'), (req, res, next) => {
   req.body.role = 'employee';
   req.body.approvedByAdmin = true;
   next();
@@ -123,9 +688,9 @@ router.post('/register-employee', authenticate, isOwner, (req, res, next) => {
 /**
  * @route   POST /api/auth/register-vendor
  * @desc    Owner registers vendor directly
- * @access  Private (Owner only)
+ * @access  Private (users.manage)
  */
-router.post('/register-vendor', authenticate, isOwner, (req, res, next) => {
+router.post('/register-vendor', authenticate, requirePermission('users.manage'), (req, res, next) => {
   req.body.role = 'vendor';
   next();
 }, validateRegistration, register);
@@ -161,7 +726,7 @@ router.post('/register-guest', (req, res, next) => {
  * @desc    Upload profile photo
  * @access  Private
  */
-router.post('/upload-profile-photo', authenticate, uploadSingle('profilePhoto'), async (req, res) => {
+router.post('/upload-profile-photo', authenticate, uploadSingle('profilePhoto', { folder: 'profile-photos' }), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, message: 'No file uploaded' });
@@ -172,7 +737,7 @@ router.post('/upload-profile-photo', authenticate, uploadSingle('profilePhoto'),
     }
 
     const User = require('../models/User');
-    const profileImageUrl = getFileUrl(req, `images/${req.file.filename}`);
+    const profileImageUrl = req.file.url;
 
     const user = await User.findByIdAndUpdate(
       req.user._id,
@@ -250,15 +815,11 @@ const { sendPasswordOTP, generateOTP } = require('../utils/emailService');
  * @desc    Send OTP to user email for password reset
  * @access  Public (email required)
  */
-router.post('/request-password-otp', async (req, res) => {
+router.post('/request-password-otp', validatePasswordOtpRequest, async (req, res) => {
   try {
     const { email } = req.body;
     const User = require('../models/User');
 
-    if (!email) {
-      return res.status(400).json({ success: false, message: 'Email is required' });
-    }
-
     const user = await User.findOne({ email: email.toLowerCase() });
     if (!user) {
       // Don't reveal if email exists for security
@@ -305,15 +866,11 @@ router.post('/request-password-otp', async (req, res) => {
  * @desc    Verify OTP for password reset
  * @access  Public
  */
-router.post('/verify-password-otp', async (req, res) => {
+router.post('/verify-password-otp', validatePasswordOtp, async (req, res) => {
   try {
     const { email, otp } = req.body;
     const User = require('../models/User');
 
-    if (!email || !otp) {
-      return res.status(400).json({ success: false, message: 'Email and OTP are required' });
-    }
-
     const user = await User.findOne({ email: email.toLowerCase() });
     if (!user || !user.passwordResetOTP) {
       return res.status(400).json({ success: false, message: 'Invalid or expired OTP' });
@@ -353,19 +910,11 @@ router.post('/verify-password-otp', async (req, res) => {
  * @desc    Set new password after OTP verification
  * @access  Public (requires resetToken from verify step)
  */
-router.post('/reset-password-with-otp', async (req, res) => {
+router.post('/reset-password-with-otp', validatePasswordReset, async (req, res) => {
   try {
     const { email, resetToken, newPassword } = req.body;
     const User = require('../models/User');
 
-    if (!email || !resetToken || !newPassword) {
-      return res.status(400).json({ success: false, message: 'All fields are required' });
-    }
-
-    if (newPassword.length < 6) {
-      return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
-    }
-
     const user = await User.findOne({ email: email.toLowerCase() });
     if (!user || !user.passwordResetOTP) {
       return res.status(400).json({ success: false, message: 'Invalid reset request' });
@@ -394,6 +943,9 @@ router.post('/reset-password-with-otp', async (req, res) => {
     user.passwordResetAttempts = 0;
     await user.save();
 
+    // Whoever had the old password is signed out everywhere
+    await revokeUserSessions({ userId: user._id, reason: 'password_change', io: req.app.get('io') });
+
     console.log('✅ [Auth] Password reset successful for:', email);
     res.json({ success: true, message: 'Password changed successfully. Please login with your new password.' });
   } catch (error) {
@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const { createFeedToken, hashFeedToken, buildFeed } = require('../utils/calendarFeed');
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`;
+
+/**
+ * @route   GET /api/calendar/feed
+ * @desc    Whether the current user's calendar feed is on, and since when (the URL is only shown when it is created)
+ * @access  Private
+ */
+router.get('/feed', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarFeed.tokenHash');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: !!user?.calendarFeed?.tokenHash,
+        createdAt: user?.calendarFeed?.tokenHash ? user.calendarFeed.createdAt : null,
+      },
+    });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get calendar feed',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/calendar/feed
+ * @desc    Create a new calendar feed URL for the current user; any earlier URL stops working
+ * @access  Private
+ */
+router.post('/feed', authenticate, async (req, res) => {
+  try {
+    const { token, tokenHash } = createFeedToken();
+    const createdAt = new Date();
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { 'calendarFeed.tokenHash': tokenHash, 'calendarFeed.createdAt': createdAt } }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Subscribe to the URL in your calendar app.',
+      data: { url: feedUrl(req, token), createdAt },
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create calendar feed',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/calendar/feed
+ * @desc    Turn off the current user's calendar feed
+ * @access  Private
+ */
+router.delete('/feed', authenticate, async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { 'calendarFeed.tokenHash': null, 'calendarFeed.createdAt': null } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Calendar feed turned off',
+    });
+  } catch (error) {
+    console.error('Delete calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to turn off calendar feed',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/calendar/feed/:token.ics
+ * @desc    iCalendar feed of the feed owner's assigned tasks, project milestones, delivery dates and payment due dates
+ * @access  Public (secret feed URL)
+ */
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      'calendarFeed.tokenHash': hashFeedToken(req.params.token),
+      isActive: true,
+    }).select('firstName role');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found',
+      });
+    }
+
+    const calendar = await buildFeed(user);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="houseway.ics"',
+      'Cache-Control': 'private, max-age=300',
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,37 @@
 const express = require('express');
 const router = express.Router();
-const { validationResult } = require('express-validator');
+const { matchedData } = require('express-validator');
 const User = require('../models/User');
 const Project = require('../models/Project');
 const ClientTimelineEvent = require('../models/ClientTimelineEvent');
 const ClientMedia = require('../models/ClientMedia');
 const ClientInvoice = require('../models/ClientInvoice');
-const { authenticate, authorize, isOwnerOrEmployee } = require('../middleware/auth');
-const { uploadMultiple, getFileUrl } = require('../middleware/upload');
+const ProjectDocument = require('../models/ProjectDocument');
+const DocumentApproval = require('../models/DocumentApproval');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { uploadMultiple } = require('../middleware/upload');
+const { requireProjectAccess } = require('../middleware/projectAccess');
+const {
+  sendValidationErrors,
+  validateIds,
+  validateClientUpdate,
+  validateClientTimelineEvent,
+  validateClientMedia,
+  validateClientInvoice,
+  validateApprovalList,
+  validateApprovalResponse,
+} = require('../middleware/validation');
+const { saveUpload, deleteUpload } = require('../utils/storage');
+const { generateApprovalCertificatePDF } = require('../utils/pdfGenerator');
+const NotificationService = require('../utils/notificationService');
+const { userRoom, STAFF_ROOMS } = require('../utils/socket');
 
 /**
  * @route   GET /api/clients
  * @desc    Get all clients with filtering and search
- * @access  Private (Owner, Employee)
+ * @access  Private (clients.view)
  */
-router.get('/', authenticate, isOwnerOrEmployee, async (req, res) => {
+router.get('/', authenticate, requirePermission('clients.view'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -91,9 +108,9 @@ router.get('/', authenticate, isOwnerOrEmployee, async (req, res) => {
 /**
  * @route   GET /api/clients/:id
  * @desc    Get client profile with project summary
- * @access  Private (Owner, Employee)
+ * @access  Private (clients.view)
  */
-router.get('/:id', authenticate, isOwnerOrEmployee, async (req, res) => {
+router.get('/:id', authenticate, requirePermission('clients.view'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -157,9 +174,9 @@ router.get('/:id', authenticate, isOwnerOrEmployee, async (req, res) => {
 /**
  * @route   GET /api/clients/:id/projects
  * @desc    Get client's projects
- * @access  Private (Owner, Employee)
+ * @access  Private (clients.view)
  */
-router.get('/:id/projects', authenticate, isOwnerOrEmployee, async (req, res) => {
+router.get('/:id/projects', authenticate, requirePermission('clients.view'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -213,16 +230,13 @@ router.get('/:id/projects', authenticate, isOwnerOrEmployee, async (req, res) =>
 /**
  * @route   PUT /api/clients/:id
  * @desc    Update client details and status
- * @access  Private (Owner, Employee)
+ * @access  Private (clients.manage)
  */
-router.put('/:id', authenticate, isOwnerOrEmployee, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('clients.manage'), validateClientUpdate, async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
-
-    // Don't allow role change through this endpoint
-    delete updates.role;
-    delete updates.password;
+    // Only the validated fields; role, password etc. can't be changed here
+    const updates = matchedData(req, { locations: ['body'] });
 
     const client = await User.findByIdAndUpdate(
       id,
@@ -260,21 +274,13 @@ router.put('/:id', authenticate, isOwnerOrEmployee, async (req, res) => {
 /**
  * @route   POST /api/clients/:id/timeline
  * @desc    Add timeline event for client
- * @access  Private (Owner, Employee)
+ * @access  Private (clients.manage)
  */
-router.post('/:id/timeline', authenticate, isOwnerOrEmployee, async (req, res) => {
+router.post('/:id/timeline', authenticate, requirePermission('clients.manage'), validateClientTimelineEvent, async (req, res) => {
   try {
     const { id } = req.params;
     const { projectId, eventType, title, description, attachments = [], visibility = 'public' } = req.body;
 
-    // Validate required fields
-    if (!projectId || !eventType || !title || !description) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields: projectId, eventType, title, description',
-      });
-    }
-
     // Verify client exists
     const client = await User.findById(id);
     if (!client || client.role !== 'client') {
@@ -333,9 +339,9 @@ router.post('/:id/timeline', authenticate, isOwnerOrEmployee, async (req, res) =
 /**
  * @route   GET /api/clients/:id/timeline
  * @desc    Get client timeline events
- * @access  Private (Owner, Employee)
+ * @access  Private (clients.view)
  */
-router.get('/:id/timeline', authenticate, isOwnerOrEmployee, async (req, res) => {
+router.get('/:id/timeline', authenticate, requirePermission('clients.view'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -398,9 +404,9 @@ router.get('/:id/timeline', authenticate, isOwnerOrEmployee, async (req, res) =>
 /**
  * @route   POST /api/clients/:id/media
  * @desc    Upload client media
- * @access  Private (Owner, Employee)
+ * @access  Private (clients.manage)
  */
-router.post('/:id/media', authenticate, isOwnerOrEmployee, uploadMultiple('client-media', 10), async (req, res) => {
+router.post('/:id/media', authenticate, requirePermission('clients.manage'), validateIds('id'), uploadMultiple('client-media', 10, { folder: (req) => `client-media/${req.params.id}`, renditions: true }), validateClientMedia, async (req, res) => {
   try {
     const { id } = req.params;
     const { projectId, description = '', tags = [], category = 'other', isPublic = true } = req.body;
@@ -434,13 +440,12 @@ router.post('/:id/media', authenticate, isOwnerOrEmployee, uploadMultiple('clien
 
     // Process uploaded files
     const mediaFiles = req.files.map(file => {
-      const url = getFileUrl(req, `client-media/${file.filename}`);
       return {
         clientId: id,
         projectId: projectId || null,
         filename: file.filename,
         originalName: file.originalname,
-        url,
+        url: file.url,
         type: file.mimetype.startsWith('image/') ? 'image' :
           file.mimetype.startsWith('video/') ? 'video' : 'document',
         mimeType: file.mimetype,
@@ -454,7 +459,8 @@ router.post('/:id/media', authenticate, isOwnerOrEmployee, uploadMultiple('clien
         dimensions: file.mimetype.startsWith('image/') ? {
           width: file.width || null,
           height: file.height || null
-        } : undefined
+        } : undefined,
+        renditions: file.renditions
       };
     });
 
@@ -487,9 +493,9 @@ router.post('/:id/media', authenticate, isOwnerOrEmployee, uploadMultiple('clien
 /**
  * @route   GET /api/clients/:id/media
  * @desc    Get client media gallery
- * @access  Private (Owner, Employee)
+ * @access  Private (clients.view)
  */
-router.get('/:id/media', authenticate, isOwnerOrEmployee, async (req, res) => {
+router.get('/:id/media', authenticate, requirePermission('clients.view'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -551,9 +557,9 @@ router.get('/:id/media', authenticate, isOwnerOrEmployee, async (req, res) => {
 /**
  * @route   POST /api/clients/:id/invoices
  * @desc    Create client invoice
- * @access  Private (Owner, Employee)
+ * @access  Private (invoices.create)
  */
-router.post('/:id/invoices', authenticate, isOwnerOrEmployee, async (req, res) => {
+router.post('/:id/invoices', authenticate, requirePermission('invoices.create'), validateClientInvoice, async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -570,24 +576,6 @@ router.post('/:id/invoices', authenticate, isOwnerOrEmployee, async (req, res) =
       attachments = []
     } = req.body;
 
-    // Validate required fields
-    if (!projectId || !lineItems || !Array.isArray(lineItems) || lineItems.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields: projectId, lineItems (array)',
-      });
-    }
-
-    // Validate line items
-    for (const item of lineItems) {
-      if (!item.description || !item.unitPrice || !item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: 'Each line item must have description, unitPrice, and quantity',
-        });
-      }
-    }
-
     // Verify client exists
     const client = await User.findById(id);
     if (!client || client.role !== 'client') {
@@ -652,9 +640,9 @@ router.post('/:id/invoices', authenticate, isOwnerOrEmployee, async (req, res) =
 /**
  * @route   GET /api/clients/:id/invoices
  * @desc    Get client invoices
- * @access  Private (Owner, Employee)
+ * @access  Private (clients.view)
  */
-router.get('/:id/invoices', authenticate, isOwnerOrEmployee, async (req, res) => {
+router.get('/:id/invoices', authenticate, requirePermission('clients.view'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -714,9 +702,9 @@ router.get('/:id/invoices', authenticate, isOwnerOrEmployee, async (req, res) =>
 /**
  * @route   GET /api/clients/:id/projects/:projectId/invoices
  * @desc    Get invoices for a specific client project (client can view their own)
- * @access  Private (Client self, Owner, Employee)
+ * @access  Private (Client self, Owner, Employee; project members)
  */
-router.get('/:id/projects/:projectId/invoices', authenticate, async (req, res) => {
+router.get('/:id/projects/:projectId/invoices', authenticate, requireProjectAccess('projectId', { vendors: false }), async (req, res) => {
   try {
     const { id, projectId } = req.params;
     const {
@@ -795,9 +783,9 @@ router.get('/:id/projects/:projectId/invoices', authenticate, async (req, res) =
 /**
  * @route   GET /api/clients/dashboard/stats
  * @desc    Get client management dashboard statistics
- * @access  Private (Owner, Employee)
+ * @access  Private (clients.view)
  */
-router.get('/dashboard/stats', authenticate, isOwnerOrEmployee, async (req, res) => {
+router.get('/dashboard/stats', authenticate, requirePermission('clients.view'), async (req, res) => {
   try {
     // Get overall client statistics
     const totalClients = await User.countDocuments({ role: 'client', isActive: true });
@@ -969,10 +957,13 @@ router.get('/me/projects/:projectId', authenticate, async (req, res) => {
     }
 
     // Get related data
-    const [media, invoices, timelineEvents] = await Promise.all([
+    const [media, invoices, timelineEvents, documents] = await Promise.all([
       ClientMedia.getProjectMedia(projectId, { limit: 50 }),
       ClientInvoice.find({ projectId }).sort({ createdAt: -1 }),
-      ClientTimelineEvent.getProjectTimeline(projectId, { limit: 20 })
+      ClientTimelineEvent.getProjectTimeline(projectId, { limit: 20 }),
+      ProjectDocument.find({ project: projectId })
+        .populate('versions.uploadedBy versions.approvedBy', 'firstName lastName')
+        .sort({ updatedAt: -1 }),
     ]);
 
     res.json({
@@ -983,7 +974,7 @@ router.get('/me/projects/:projectId', authenticate, async (req, res) => {
         invoices,
         timelineEvents,
         paymentSchedule: project.paymentSchedule || [],
-        documents: project.documents || [],
+        documents: documents.map((document) => document.toHistoryJSON()),
       },
     });
   } catch (error) {
@@ -1079,11 +1070,14 @@ router.get('/me/projects/:projectId/documents', authenticate, async (req, res) =
       });
     }
 
-    // Return documents from the project
+    const documents = await ProjectDocument.find({ project: projectId })
+      .populate('versions.uploadedBy versions.approvedBy', 'firstName lastName')
+      .sort({ updatedAt: -1 });
+
     res.json({
       success: true,
       data: {
-        documents: project.documents || [],
+        documents: documents.map((document) => document.toHistoryJSON()),
       },
     });
   } catch (error) {
@@ -1096,4 +1090,219 @@ router.get('/me/projects/:projectId/documents', authenticate, async (req, res) =
   }
 });
 
+/**
+ * @route   GET /api/clients/me/approvals
+ * @desc    Document approval requests for the logged-in client (?status=, ?projectId=)
+ * @access  Private (Client only)
+ */
+router.get('/me/approvals', authenticate, validateApprovalList, async (req, res) => {
+  try {
+    if (req.user.role !== 'client') {
+      return res.status(403).json({
+        success: false,
+        message: 'This endpoint is only accessible to clients',
+      });
+    }
+
+    const { status, projectId } = req.query;
+
+    const query = { client: req.user._id };
+    if (status) query.status = status;
+    if (projectId) query.project = projectId;
+
+    const approvals = await DocumentApproval.find(query)
+      .populate('project', 'title')
+      .populate('requestedBy', 'firstName lastName')
+      .populate('document')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        // The version's file, so the client can review what they're signing
+        approvals: approvals.map((approval) => ({
+          ...approval.toJSON(),
+          document: approval.document?._id,
+          fileUrl: approval.document?.getVersion(approval.version)?.url,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Get client approvals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get approvals',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/clients/me/approvals/:approvalId/respond
+ * @desc    Approve a document version or request changes
+ *          ({ decision: 'approve' | 'request-changes', comments, signature: { name, strokes, width, height } })
+ * @access  Private (Client only)
+ */
+router.post('/me/approvals/:approvalId/respond', authenticate, validateApprovalResponse, async (req, res) => {
+  let certificate = null;
+  let claimed = null;
+
+  // Hand the request back to the client if their answer couldn't be recorded
+  const releaseClaim = () => DocumentApproval.updateOne(
+    { _id: claimed._id, status: 'responding' },
+    { $set: { status: 'pending' } }
+  );
+
+  try {
+    if (req.user.role !== 'client') {
+      return res.status(403).json({
+        success: false,
+        message: 'This endpoint is only accessible to clients',
+      });
+    }
+
+    const { approvalId } = req.params;
+    const { decision, comments, signature = {} } = req.body;
+
+    const approval = await DocumentApproval.findOne({ _id: approvalId, client: req.user._id });
+    if (!approval) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval request not found',
+      });
+    }
+
+    if (approval.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: approval.status === 'cancelled'
+          ? 'This approval request was withdrawn'
+          : 'You have already answered this approval request',
+      });
+    }
+
+    const signatureName = typeof signature.name === 'string' ? signature.name.trim() : '';
+
+    // Claim it before generating anything, so concurrent answers can't both be recorded
+    claimed = await DocumentApproval.findOneAndUpdate(
+      { _id: approval._id, client: req.user._id, status: 'pending' },
+      { $set: { status: 'responding' } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already answered this approval request',
+      });
+    }
+
+    approval.respond({
+      decision,
+      comments,
+      signature: {
+        name: signatureName,
+        strokes: signature.strokes,
+        width: signature.width,
+        height: signature.height,
+        ip: req.ip,
+        userAgent: (req.get('user-agent') || '').slice(0, 300),
+      },
+    });
+
+    const invalid = approval.validateSync();
+    if (invalid) {
+      await releaseClaim();
+      claimed = null;
+      return sendValidationErrors(res, Object.values(invalid.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+        code: err.kind === 'required' ? 'REQUIRED' : 'INVALID',
+        location: 'body',
+      })));
+    }
+
+    const approved = approval.status === 'approved';
+    const attachments = [];
+
+    if (approved) {
+      const [project, document, requestedBy] = await Promise.all([
+        Project.findById(approval.project).select('title'),
+        ProjectDocument.findById(approval.document),
+        User.findById(approval.requestedBy).select('firstName lastName'),
+      ]);
+
+      const pdfBuffer = await generateApprovalCertificatePDF(approval, {
+        project,
+        client: req.user,
+        requestedBy,
+        version: document?.getVersion(approval.version),
+      });
+      const filename = `Approval_${approval.documentName.replace(/[^\w.-]+/g, '_')}_v${approval.version}.pdf`;
+
+      certificate = await saveUpload({
+        body: pdfBuffer,
+        mimetype: 'application/pdf',
+        originalname: filename,
+        folder: 'approvals',
+        projectId: approval.project.toString(),
+      });
+      approval.certificate = { url: certificate.url, storageKey: certificate.key };
+      attachments.push({ url: certificate.url, name: filename, type: 'application/pdf', size: pdfBuffer.length });
+    }
+
+    const timelineEvent = new ClientTimelineEvent({
+      clientId: req.user._id,
+      projectId: approval.project,
+      eventType: 'approval',
+      title: `${approved ? 'Approved' : 'Changes requested'}: ${approval.documentName} v${approval.version}`.slice(0, 200),
+      description: (approval.comments || `Signed by ${signatureName || `${req.user.firstName} ${req.user.lastName}`}.`).slice(0, 1000),
+      attachments,
+      createdBy: req.user._id,
+      status: 'completed',
+    });
+    approval.timelineEvent = timelineEvent._id;
+
+    await approval.save();
+    // Recorded: the certificate stays even if the timeline entry fails
+    certificate = null;
+    claimed = null;
+    await timelineEvent.save();
+
+    // The client's own devices and staff; other clients must not see it
+    const io = req.app.get('io');
+    if (io) {
+      io.to([userRoom(req.user._id), ...STAFF_ROOMS]).emit('timelineEventAdded', {
+        clientId: req.user._id,
+        projectId: approval.project,
+        event: timelineEvent
+      });
+    }
+
+    try {
+      await NotificationService.notifyApprovalResponded({ approval });
+    } catch (notifyError) {
+      console.error('Approval response notification error:', notifyError);
+    }
+
+    res.json({
+      success: true,
+      message: approved ? 'Document approved' : 'Changes requested',
+      data: { approval, timelineEvent },
+    });
+  } catch (error) {
+    console.error('Respond to approval error:', error);
+    if (certificate) {
+      await deleteUpload(certificate.key).catch(() => {});
+    }
+    if (claimed) {
+      await releaseClaim().catch(() => {});
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record your answer',
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate, authorize, isOwner } = require('../middleware/auth');
+const { authenticate, authorize, requirePermission } = require('../middleware/auth');
 const MaterialRequest = require('../models/MaterialRequest');
 const Quotation = require('../models/Quotation');
 const Project = require('../models/Project');
@@ -191,9 +191,9 @@ router.get('/employee-stats', authenticate, authorize('employee'), async (req, r
 /**
  * @route   GET /api/dashboard/owner-stats
  * @desc    Get owner-specific dashboard stats
- * @access  Private (Owner only)
+ * @access  Private (reports.overview)
  */
-router.get('/owner-stats', authenticate, isOwner, async (req, res) => {
+router.get('/owner-stats', authenticate, requirePermission('reports.overview'), async (req, res) => {
   try {
     // Get counts for all entities
     const [
@@ -242,9 +242,9 @@ router.get('/owner-stats', authenticate, isOwner, async (req, res) => {
 /**
  * @route   GET /api/dashboard/admin-overview
  * @desc    Admin dashboard overview (counts + negotiation alerts)
- * @access  Private (Owner)
+ * @access  Private (reports.overview)
  */
-router.get('/admin-overview', authenticate, isOwner, async (req, res) => {
+router.get('/admin-overview', authenticate, requirePermission('reports.overview'), async (req, res) => {
   try {
     const [
       totalProjects,
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { getOpenApiDocument } = require('../utils/openapi');
+
+/**
+ * @route   GET /api/docs
+ * @desc    OpenAPI 3.1 document of the API, generated from the routes and their validators
+ * @access  Public
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json(getOpenApiDocument());
+  } catch (error) {
+    console.error('Build API docs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build API documentation',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
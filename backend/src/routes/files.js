@@ -1,81 +1,54 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
-const fs = require('fs');
 const multer = require('multer');
 const mongoose = require('mongoose');
-const { authenticate, authorize } = require('../middleware/auth');
-const { deleteFile } = require('../middleware/upload');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { requireProjectAccess, projectOf } = require('../middleware/projectAccess');
+const {
+  validateIds,
+  validateFileUpload,
+  validateFileLink,
+  validateStoredFile,
+} = require('../middleware/validation');
 
 const File = require('../models/File');
-const { uploadToGCS } = require('../utils/gcs');
-const { Storage } = require('@google-cloud/storage');
-const gcsClient = new Storage({
-  projectId: process.env.GCS_PROJECT_ID,
-  keyFilename: process.env.GCS_KEYFILE,
-});
-
-// Multer configuration for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    // Create category directory if it doesn't exist
-    const category = req.body.category || 'documents';
-    const allowedCategories = ['documents', 'images', 'quotations', 'purchase-orders', 'work_update'];
-    const uploadDir = path.join(__dirname, '../../uploads', category);
-
-    console.log('[Files] Multer destination - category:', category, 'uploadDir:', uploadDir);
-
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
+const Project = require('../models/Project');
+const { getStorage, saveUpload, deleteUpload } = require('../utils/storage');
+const { canAccessFile } = require('../utils/fileAccess');
 
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const filename = file.fieldname + '-' + uniqueSuffix + ext;
-    console.log('[Files] Multer filename - original:', file.originalname, 'generated:', filename);
-    cb(null, filename);
-  }
-});
+// Lifetime of links from /:id/link and /link
+const LINK_TTL_SECONDS = parseInt(process.env.FILE_LINK_TTL_SECONDS) || 15 * 60;
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 500 * 1024 * 1024, // 500MB limit for video support
-  },
-  fileFilter: (req, file, cb) => {
-    // Allow common file types including videos
-    const allowedTypes = [
-      'image/jpeg',
-      'image/png',
-      'image/gif',
-      'image/jpg',
-      'video/mp4',
-      'video/quicktime',
-      'video/webm',
-      'video/x-msvideo',
-      'video/x-ms-wmv',
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain'
-    ];
-
-    console.log('[Files] Multer fileFilter - file mimetype:', file.mimetype);
-    console.log("File received:", req.file);
-
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Allowed: images, videos, PDFs, Word documents, and text files.'));
-    }
-  }
-});
+/**
+ * Storage key of a File record. Older records only have the URL; before that,
+ * keys were category[/projectId]/filename.
+ */
+const keyOf = (file) => {
+  if (file.storageKey) return file.storageKey;
+  const fromUrl = getStorage().keyFromUrl(file.path);
+  if (fromUrl) return fromUrl;
+  const projectIdStr = file.project ? file.project.toString() : null;
+  return projectIdStr
+    ? `${file.category}/${projectIdStr}/${file.filename}`
+    : `${file.category}/${file.filename}`;
+};
 
-// Memory storage for GCS uploads
+/**
+ * Signed URLs of an image's gallery renditions; images stored before
+ * renditions existed fall back to the original. Null for other files.
+ */
+const renditionUrls = async (file, originalUrl) => {
+  if (!file.mimeType?.startsWith('image/')) return { thumbnailUrl: null, mediumUrl: null };
+  const storage = getStorage();
+  const sign = (url) => (url ? storage.signedUrl(storage.keyFromUrl(url)) : originalUrl);
+  return {
+    thumbnailUrl: await sign(file.renditions?.thumb),
+    mediumUrl: await sign(file.renditions?.medium),
+  };
+};
+
+// Uploads are held in memory until the project check passes, then stored
 const memoryStorage = multer.memoryStorage();
 
 const uploadToMemory = multer({
@@ -114,12 +87,7 @@ const uploadInvoiceImage = multer({
 /**
  * @route   POST /api/files/upload
  * @desc    Upload a file
- * @access  Private
- */
-/**
- * @route   POST /api/files/upload
- * @desc    Upload a file directly to Google Cloud Storage
- * @access  Private
+ * @access  Private (project members when projectId is given)
  */
 router.post('/upload', authenticate, (req, res, next) => {
   uploadToMemory(req, res, (err) => {
@@ -129,7 +97,7 @@ router.post('/upload', authenticate, (req, res, next) => {
     }
     next();
   });
-}, async (req, res) => {
+}, validateFileUpload, requireProjectAccess((req) => req.body.projectId), async (req, res) => {
   try {
     console.log('[Files] Upload request received:', {
       hasFile: !!req.file,
@@ -151,13 +119,13 @@ router.post('/upload', authenticate, (req, res, next) => {
       ? requestedCategory
       : 'documents';
 
-    // Upload to GCS
-    const { filename, url } = await uploadToGCS({
-      buffer: req.file.buffer,
+    const { key, filename, url, size, width, height, renditions } = await saveUpload({
+      body: req.file.buffer,
       mimetype: req.file.mimetype,
       originalname: req.file.originalname,
       folder: category,
       projectId: req.body.projectId, // Optional: organize by project folder
+      renditions: true,
     });
 
     // Create file record in database
@@ -166,8 +134,11 @@ router.post('/upload', authenticate, (req, res, next) => {
       originalName: req.file.originalname,
       category: category,
       mimeType: req.file.mimetype,
-      size: req.file.size,
-      path: url, // GCS URL
+      size,
+      path: url,
+      storageKey: key,
+      dimensions: width ? { width, height } : undefined,
+      renditions,
       uploadedBy: req.user._id,
       tags: req.body.tags ? JSON.parse(req.body.tags) : [],
       project: req.body.projectId || undefined,
@@ -179,14 +150,14 @@ router.post('/upload', authenticate, (req, res, next) => {
 
     res.status(201).json({
       success: true,
-      message: 'File uploaded to GCS successfully',
+      message: 'File uploaded successfully',
       data: { file },
     });
   } catch (error) {
     console.error('File upload error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Failed to upload file to GCS',
+      message: 'Failed to upload file',
       error: error.message,
     });
   }
@@ -194,8 +165,8 @@ router.post('/upload', authenticate, (req, res, next) => {
 
 /**
  * @route   POST /api/files/upload/invoice
- * @desc    Upload an invoice image directly to Google Cloud Storage
- * @access  Private
+ * @desc    Upload an invoice image
+ * @access  Private (project members except vendors when projectId is given)
  */
 
 
@@ -213,6 +184,8 @@ router.post(
       next();
     });
   },
+  validateFileUpload,
+  requireProjectAccess((req) => req.body.projectId, { vendors: false }),
   async (req, res) => {
     try {
       if (!req.file) {
@@ -222,11 +195,12 @@ router.post(
         });
       }
 
-      const { filename, url } = await uploadToGCS({
-        buffer: req.file.buffer,
+      const { key, filename, url, size } = await saveUpload({
+        body: req.file.buffer,
         mimetype: req.file.mimetype,
         originalname: req.file.originalname,
         folder: "invoices",
+        projectId: req.body.projectId,
       });
 
       const fileData = {
@@ -234,8 +208,9 @@ router.post(
         originalName: req.file.originalname,
         category: "invoices",
         mimeType: req.file.mimetype,
-        size: req.file.size,
+        size,
         path: url,
+        storageKey: key,
         uploadedBy: req.user._id,
         project: req.body.projectId || undefined,
       };
@@ -246,38 +221,28 @@ router.post(
 
       res.status(201).json({
         success: true,
-        message: "Invoice image uploaded to GCS successfully",
+        message: "Invoice image uploaded successfully",
         data: {
           file,
           attachment: {
             filename,
             originalName: req.file.originalname,
             url,
-            size: req.file.size,
+            size,
           },
         },
       });
     } catch (error) {
-      console.error("🔥 GCS upload error:", error);
+      console.error("🔥 Invoice upload error:", error);
       res.status(500).json({
         success: false,
-        message: "Failed to upload invoice to GCS",
+        message: "Failed to upload invoice",
         error: error.message,
       });
     }
   }
 );
 
-/**
- * @route   GET /api/files/project/:projectId/invoices
- * @desc    Fetch all invoices for a given project (from MongoDB + GCS)
- * @access  Private
- */
-/**
- * @route   GET /api/files/project/:projectId/invoices
- * @desc    Fetch all invoices for a given project (from MongoDB + GCS)
- * @access  Private
- */
 // ============================================
 // INVOICE ROUTES - ADD THESE
 // ============================================
@@ -285,9 +250,9 @@ router.post(
 /**
  * @route   GET /api/files/invoices
  * @desc    Get invoices for a specific project (query param) with signed URLs
- * @access  Private
+ * @access  Private (project members except vendors)
  */
-router.get("/invoices", authenticate, async (req, res) => {
+router.get("/invoices", authenticate, requireProjectAccess((req) => req.query.projectId, { vendors: false }), async (req, res) => {
   try {
     const { projectId } = req.query;
 
@@ -316,12 +281,9 @@ router.get("/invoices", authenticate, async (req, res) => {
 
     console.log(`✅ Found ${invoices.length} invoices`);
 
-    const { getSignedUrl } = require('../utils/gcs');
-
     // Generate signed URLs for each invoice
     const invoicesWithUrls = await Promise.all(invoices.map(async (inv) => {
-      const gcsPath = `invoices/${inv.filename}`;
-      const signedUrl = await getSignedUrl(gcsPath, 60); // 1 hour expiry
+      const signedUrl = await getStorage().signedUrl(keyOf(inv)); // 1 hour expiry
 
       return {
         _id: inv._id,
@@ -362,28 +324,17 @@ router.get("/invoices", authenticate, async (req, res) => {
 /**
  * @route   GET /api/files/invoices/employee
  * @desc    Get all invoices for employee's projects
- * @access  Private
+ * @access  Private (own projects; owner sees all)
  */
 router.get("/invoices/employee", authenticate, async (req, res) => {
   try {
     const userId = req.user._id;
-    const userRole = req.user.role;
 
     console.log('👤 Fetching invoices for employee:', userId);
 
-    const Project = require('../models/Project');
-
-    let projectIds = [];
-
-    if (userRole === 'employee') {
-      const projects = await Project.find({
-        assignedTo: userId
-      }).select('_id title');
-      projectIds = projects.map(p => p._id);
-    } else {
-      const projects = await Project.find({}).select('_id title');
-      projectIds = projects.map(p => p._id);
-    }
+    // Owners get every project; everyone else only the projects they belong to
+    const memberProjects = await Project.find(Project.memberFilter(req.user, { vendors: false })).select('_id');
+    const projectIds = memberProjects.map(p => p._id);
 
     if (projectIds.length === 0) {
       return res.json({
@@ -408,12 +359,10 @@ router.get("/invoices/employee", authenticate, async (req, res) => {
       projectMap[p._id.toString()] = p.title;
     });
 
-    const GCS_BUCKET = process.env.GCS_BUCKET;
-
     const invoicesWithUrls = invoices.map((inv) => {
       const url = inv.path?.startsWith("http")
         ? inv.path
-        : `https://storage.googleapis.com/${GCS_BUCKET}/invoices/${inv.filename}`;
+        : getStorage().url(keyOf(inv));
 
       return {
         _id: inv._id,
@@ -453,21 +402,14 @@ router.get("/invoices/employee", authenticate, async (req, res) => {
 /**
  * @route   DELETE /api/files/invoice/:fileId
  * @desc    Delete invoice by ID
- * @access  Private
+ * @access  Private (project members except vendors)
  */
-router.delete("/invoice/:fileId", authenticate, async (req, res) => {
+router.delete("/invoice/:fileId", authenticate, validateIds('fileId'), requireProjectAccess(projectOf(File, 'fileId', 'project', { ownerField: 'uploadedBy' }), { vendors: false }), async (req, res) => {
   try {
     const { fileId } = req.params;
 
     console.log('🗑️ Deleting invoice:', fileId);
 
-    if (!mongoose.Types.ObjectId.isValid(fileId)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid file ID",
-      });
-    }
-
     const file = await File.findById(fileId);
 
     if (!file) {
@@ -477,16 +419,12 @@ router.delete("/invoice/:fileId", authenticate, async (req, res) => {
       });
     }
 
-    const GCS_BUCKET = process.env.GCS_BUCKET;
-
-    // Delete from GCS
+    // Delete from storage
     try {
-      const gcsPath = `invoices/${file.filename}`;
-
-      await gcsClient.bucket(GCS_BUCKET).file(gcsPath).delete();
-      console.log('✅ Deleted from GCS');
-    } catch (gcsError) {
-      console.error('⚠️ GCS deletion failed:', gcsError.message);
+      await getStorage().delete(keyOf(file));
+      console.log('✅ Deleted from storage');
+    } catch (storageError) {
+      console.error('⚠️ Storage deletion failed:', storageError.message);
     }
 
     // Delete from database
@@ -510,7 +448,12 @@ router.delete("/invoice/:fileId", authenticate, async (req, res) => {
 // ============================================
 // CONTINUE WITH EXISTING ROUTES BELOW
 // ============================================
-router.get("/project/:projectId/invoices", authenticate, async (req, res) => {
+/**
+ * @route   GET /api/files/project/:projectId/invoices
+ * @desc    Invoice files of a project, newest first
+ * @access  Private (project members except vendors)
+ */
+router.get("/project/:projectId/invoices", authenticate, requireProjectAccess('projectId', { vendors: false }), async (req, res) => {
   try {
     const { projectId } = req.params;
 
@@ -528,12 +471,10 @@ router.get("/project/:projectId/invoices", authenticate, async (req, res) => {
       .populate("uploadedBy", "firstName lastName email")
       .sort({ createdAt: -1 });
 
-    const GCS_BUCKET = process.env.GCS_BUCKET;
-
     const invoiceData = invoices.map((inv) => {
       const url = inv.path?.startsWith("http")
         ? inv.path
-        : `https://storage.googleapis.com/${GCS_BUCKET}/invoices/${inv.filename}`;
+        : getStorage().url(keyOf(inv));
       return {
         _id: inv._id,
         filename: inv.filename,
@@ -566,18 +507,19 @@ router.get("/project/:projectId/invoices", authenticate, async (req, res) => {
 /**
  * @route   GET /api/files
  * @desc    Get files with optional filters (projectId, category)
- * @access  Private
+ * @access  Private (project members; without projectId, own projects and uploads)
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, requireProjectAccess((req) => req.query.projectId), async (req, res) => {
   try {
     const { projectId, category } = req.query;
     const filter = {};
 
     if (projectId) {
-      if (!mongoose.Types.ObjectId.isValid(projectId)) {
-        return res.status(400).json({ success: false, message: 'Invalid project ID' });
-      }
       filter.project = projectId;
+    } else if (req.user.role !== 'owner') {
+      // Without a project filter, only files from the user's projects or their own uploads
+      const projectIds = await Project.find(Project.memberFilter(req.user)).distinct('_id');
+      filter.$or = [{ project: { $in: projectIds } }, { uploadedBy: req.user._id }];
     }
 
     if (category) {
@@ -591,27 +533,19 @@ router.get('/', authenticate, async (req, res) => {
       .populate('uploadedBy', 'firstName lastName')
       .sort({ createdAt: -1 });
 
-    const { getSignedUrl } = require('../utils/gcs');
-
     // Generate signed URLs for all files
     const filesWithUrls = await Promise.all(files.map(async (file) => {
-      // For GCS uploads, path is the full URL, but we need the filename to generate a signed URL
-      // Upload logic uses folder/projectId/filename if projectId is present
-      const projectIdStr = file.project ? file.project.toString() : null;
-      const gcsPath = projectIdStr
-        ? `${file.category}/${projectIdStr}/${file.filename}`
-        : `${file.category}/${file.filename}`;
-
       let signedUrl = file.path; // Fallback
 
       try {
-        signedUrl = await getSignedUrl(gcsPath, 60);
+        signedUrl = await getStorage().signedUrl(keyOf(file));
       } catch (err) {
-        console.warn('Could not generate signed URL for:', gcsPath);
+        console.warn('Could not generate signed URL for:', keyOf(file));
       }
 
       return {
         ...file.toObject(),
+        ...await renditionUrls(file, signedUrl),
         url: signedUrl,
         downloadUrl: signedUrl
       };
@@ -634,26 +568,15 @@ router.get('/', authenticate, async (req, res) => {
 /**
  * @route   GET /api/files/project/:projectId
  * @desc    Get files by project ID
- * @access  Private (role-based)
+ * @access  Private (project members)
  * 
  */
-router.get('/project/:projectId', authenticate, async (req, res) => {
+router.get('/project/:projectId', authenticate, requireProjectAccess('projectId'), async (req, res) => {
   try {
     const { projectId } = req.params;
 
-    // Validate projectId
-    if (!mongoose.Types.ObjectId.isValid(projectId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid project ID',
-      });
-    }
-
     console.log('[Files] Fetching files for project:', projectId);
 
-    // TODO: Add proper access control based on project ownership
-    // For now, any authenticated user can access project files
-
     const files = await File.find({ project: projectId })
       .populate('uploadedBy', 'firstName lastName')
       .sort({ createdAt: -1 });
@@ -661,27 +584,15 @@ router.get('/project/:projectId', authenticate, async (req, res) => {
     console.log('[Files] Found files:', files.length);
 
     // Add URL information to each file
-    const filesWithUrls = files.map(file => {
-      // Extract category and filename from path
-      const pathParts = file.path.split('/');
-      const category = pathParts[pathParts.length - 2];
-      const filename = pathParts[pathParts.length - 1];
-
-      // Log for debugging
-      console.log('[Files] Processing file:', {
-        id: file._id,
-        category,
-        filename,
-        path: file.path,
-        project: file.project
-      });
-
+    const filesWithUrls = await Promise.all(files.map(async (file) => {
+      const url = await getStorage().signedUrl(keyOf(file));
       return {
         ...file.toObject(),
-        url: `/api/files/${category}/${filename}`,
-        downloadUrl: `/api/files/${category}/${filename}`,
+        ...await renditionUrls(file, url),
+        url,
+        downloadUrl: url,
       };
-    });
+    }));
 
     res.json({
       success: true,
@@ -697,10 +608,118 @@ router.get('/project/:projectId', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * Short-lived signed link for a storage key
+ */
+const issueLink = async (key) => {
+  const expiresIn = LINK_TTL_SECONDS;
+  return {
+    url: await getStorage().signedUrl(key, { expiresIn }),
+    expiresAt: new Date(Date.now() + expiresIn * 1000),
+  };
+};
+
+/**
+ * @route   POST /api/files/link
+ * @desc    Signed link for a stored file URL (from a project, media, attachment or profile photo)
+ * @access  Private (users who can see a record referencing the file)
+ */
+router.post('/link', authenticate, validateFileLink, async (req, res) => {
+  try {
+    const { url } = req.body;
+
+    // Not one of our stored files (e.g. a sample image): nothing to sign
+    const key = getStorage().keyFromUrl(url);
+    if (!key) {
+      return res.json({
+        success: true,
+        data: { url, expiresAt: null },
+      });
+    }
+
+    const allowed = await canAccessFile(req.user, { key, url });
+    if (allowed === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have access to this file.',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await issueLink(key),
+    });
+  } catch (error) {
+    console.error('File link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create file link',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/files/:id/link
+ * @desc    Signed link for a file record
+ * @access  Private (project members; invoices not for vendors; own uploads outside projects)
+ */
+router.get('/:id/link', authenticate, requireProjectAccess(projectOf(File, 'id', 'project', { ownerField: 'uploadedBy' })), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid file ID',
+      });
+    }
+
+    const file = await File.findById(id);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    const isOwner = req.user.role === 'owner';
+    const isUploader = file.uploadedBy?.toString() === req.user._id.toString();
+    if (
+      (!file.project && !isOwner && !isUploader)
+      || (file.category === 'invoices' && req.user.role === 'vendor')
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have access to this file.',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await issueLink(keyOf(file)),
+    });
+  } catch (error) {
+    console.error('File link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create file link',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   GET /api/files/:category/:filename
  * @desc    Download/view file
- * @access  Private (role-based)
+ * @access  Private (users who can see a record referencing the file)
  */
 router.get('/:category/:filename', authenticate, async (req, res) => {
   try {
@@ -715,19 +734,24 @@ router.get('/:category/:filename', authenticate, async (req, res) => {
       });
     }
 
-    const filePath = path.join(__dirname, '../../uploads', category, filename);
+    const key = `${category}/${filename}`;
+    const allowed = await canAccessFile(req.user, { key, url: getStorage().url(key) });
+    if (allowed === false) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have access to this file.',
+      });
+    }
 
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    // Check if file exists (files no record references are not served)
+    const stored = allowed ? await getStorage().get(key) : null;
+    if (!stored) {
       return res.status(404).json({
         success: false,
         message: 'File not found',
       });
     }
 
-    // TODO: Add proper access control based on file ownership/project access
-    // For now, any authenticated user can access files
-
     // Set appropriate headers
     const ext = path.extname(filename).toLowerCase();
     let contentType = 'application/octet-stream';
@@ -763,12 +787,11 @@ router.get('/:category/:filename', authenticate, async (req, res) => {
         break;
     }
 
-    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Type', stored.contentType || contentType);
     res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
 
     // Stream the file
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.pipe(res);
+    stored.stream.pipe(res);
 
   } catch (error) {
     console.error('File download error:', error);
@@ -782,22 +805,15 @@ router.get('/:category/:filename', authenticate, async (req, res) => {
 
 /**
  * @route   DELETE /api/files/id/:fileId
- * @desc    Delete file by ID (removes from both DB and GCS)
- * @access  Private (Employee role)
+ * @desc    Delete file by ID (removes from both DB and storage)
+ * @access  Private (files.delete; project members, or the uploader for files outside projects)
  */
-router.delete('/id/:fileId', authenticate, async (req, res) => {
+router.delete('/id/:fileId', authenticate, requirePermission('files.delete'), validateIds('fileId'), requireProjectAccess(projectOf(File, 'fileId', 'project', { ownerField: 'uploadedBy' })), async (req, res) => {
   try {
     const { fileId } = req.params;
 
     console.log('[Files] Deleting file by ID:', fileId);
 
-    if (!mongoose.Types.ObjectId.isValid(fileId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid file ID',
-      });
-    }
-
     const file = await File.findById(fileId);
 
     if (!file) {
@@ -807,21 +823,15 @@ router.delete('/id/:fileId', authenticate, async (req, res) => {
       });
     }
 
-    // Delete from GCS first
-    const GCS_BUCKET = process.env.GCS_BUCKET;
+    // Delete from storage first
     try {
-      // Build the GCS path - format: category/projectId/filename or category/filename
-      const projectIdStr = file.project ? file.project.toString() : null;
-      const gcsPath = projectIdStr
-        ? `${file.category}/${projectIdStr}/${file.filename}`
-        : `${file.category}/${file.filename}`;
-
-      console.log('[Files] Deleting from GCS:', gcsPath);
-      await gcsClient.bucket(GCS_BUCKET).file(gcsPath).delete();
-      console.log('[Files] File deleted from GCS');
-    } catch (gcsError) {
-      console.warn('[Files] GCS deletion failed (file may not exist on GCS):', gcsError.message);
-      // Continue with database deletion even if GCS fails
+      const key = keyOf(file);
+      console.log('[Files] Deleting from storage:', key);
+      await deleteUpload(key);
+      console.log('[Files] File deleted from storage');
+    } catch (storageError) {
+      console.warn('[Files] Storage deletion failed:', storageError.message);
+      // Continue with database deletion even if storage fails
     }
 
     // Delete from database
@@ -846,33 +856,13 @@ router.delete('/id/:fileId', authenticate, async (req, res) => {
 /**
  * @route   DELETE /api/files/:category/:filename
  * @desc    Delete file
- * @access  Private (Owner only or file uploader)
+ * @access  Private (files.delete)
  */
-router.delete('/:category/:filename', authenticate, async (req, res) => {
+router.delete('/:category/:filename', authenticate, requirePermission('files.delete'), validateStoredFile, async (req, res) => {
   try {
     const { category, filename } = req.params;
 
-    // Validate category
-    const allowedCategories = ['documents', 'images', 'quotations', 'purchase-orders', 'work_update'];
-    if (!allowedCategories.includes(category)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid file category',
-      });
-    }
-
-    // Only owners can delete files for now
-    // TODO: Add proper access control based on file ownership
-    if (req.user.role !== 'owner') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only owners can delete files',
-      });
-    }
-
-    const filePath = path.join(__dirname, '../../uploads', category, filename);
-
-    const deleted = deleteFile(filePath);
+    const deleted = await deleteUpload(`${category}/${filename}`);
 
     if (deleted) {
       res.json({
@@ -896,15 +886,6 @@ router.delete('/:category/:filename', authenticate, async (req, res) => {
   }
 });
 
-
-const GCS_BUCKET = process.env.GCS_BUCKET;
-
-// ✅ Get all invoices for a specific project
-
-
-
-
-
 /**
  * @route   GET /api/files/info/:category/:filename
  * @desc    Get file information
@@ -924,18 +905,17 @@ router.get('/info/:category/:filename', authenticate, async (req, res) => {
       });
     }
 
-    const filePath = path.join(__dirname, '../../uploads', category, filename);
+    // Get file stats
+    const stats = await getStorage().stat(`${category}/${filename}`);
 
     // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    if (!stats) {
       return res.status(404).json({
         success: false,
         message: 'File not found',
       });
     }
 
-    // Get file stats
-    const stats = fs.statSync(filePath);
     const ext = path.extname(filename).toLowerCase();
 
     const fileInfo = {
@@ -944,8 +924,8 @@ router.get('/info/:category/:filename', authenticate, async (req, res) => {
       size: stats.size,
       sizeFormatted: formatFileSize(stats.size),
       extension: ext,
-      created: stats.birthtime,
-      modified: stats.mtime,
+      created: stats.updatedAt,
+      modified: stats.updatedAt,
       isImage: ['.jpg', '.jpeg', '.png', '.gif'].includes(ext),
       isPDF: ext === '.pdf',
       isDocument: ['.doc', '.docx', '.xls', '.xlsx', '.txt'].includes(ext),
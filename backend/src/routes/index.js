@@ -0,0 +1,57 @@
+/**
+ * Route table
+ * Where each router is mounted. Used by the server to mount them and by
+ * utils/openapi to document them.
+ */
+
+const path = require('path');
+
+const AUTH_ROUTE = { path: '/api/auth', file: './routes/auth', name: 'Auth' };
+
+// Loaded with a fallback, see server.js
+const ROUTES = [
+  { path: '/api/users', file: './routes/users', name: 'Users' },
+  { path: '/api/clients', file: './routes/clients', name: 'Clients' },
+  { path: '/api/projects', file: './routes/projects', name: 'Projects' },
+  { path: '/api/tasks', file: './routes/tasks', name: 'Tasks' },
+  { path: '/api/task-templates', file: './routes/taskTemplates', name: 'Task Templates' },
+  { path: '/api/project-templates', file: './routes/projectTemplates', name: 'Project Templates' },
+  { path: '/api/invoices', file: './routes/invoices', name: 'Invoices' },
+  { path: '/api/material-requests', file: './routes/materialRequests', name: 'Material Requests' },
+  { path: '/api/quotations', file: './routes/quotations', name: 'Quotations' },
+  { path: '/api/purchase-orders', file: './routes/purchaseOrders', name: 'Purchase Orders' },
+  { path: '/api/vendor-invoices', file: './routes/vendorInvoices', name: 'Vendor Invoices' },
+  { path: '/api/service-requests', file: './routes/serviceRequests', name: 'Service Requests' },
+  { path: '/api/files/uploads', file: './routes/uploads', name: 'Uploads' },
+  { path: '/api/files', file: './routes/files', name: 'Files' },
+  { path: '/api/dashboard', file: './routes/dashboard', name: 'Dashboard' },
+  { path: '/api/work-status', file: './routes/workStatus', name: 'Work Status' },
+  { path: '/api/attendance', file: './routes/attendance', name: 'Attendance' },
+  { path: '/api/notifications', file: './routes/notifications', name: 'Notifications' },
+  { path: '/api/permissions', file: './routes/permissions', name: 'Permissions' },
+  { path: '/api/audit', file: './routes/audit', name: 'Audit' },
+  { path: '/api/search', file: './routes/search', name: 'Search' },
+  { path: '/api/calendar', file: './routes/calendar', name: 'Calendar' },
+  { path: '/api/docs', file: './routes/docs', name: 'Docs' },
+];
+
+/**
+ * Absolute path of a route's module
+ * @param {Object} route - Entry of AUTH_ROUTE or ROUTES
+ * @returns {string}
+ */
+const routeFile = (route) => require.resolve(path.join(__dirname, '..', route.file));
+
+/**
+ * Require a route's router
+ * @param {Object} route - Entry of AUTH_ROUTE or ROUTES
+ * @returns {express.Router}
+ */
+const loadRouter = (route) => require(routeFile(route));
+
+module.exports = {
+  AUTH_ROUTE,
+  ROUTES,
+  routeFile,
+  loadRouter,
+};
@@ -2,18 +2,29 @@ const express = require('express');
 const router = express.Router();
 const ClientInvoice = require('../models/ClientInvoice');
 const Project = require('../models/Project');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { requireProjectAccess, projectOf } = require('../middleware/projectAccess');
+const {
+    validateIds,
+    validateInvoice,
+    validateInvoiceUpdate,
+    validateInvoiceStatus,
+} = require('../middleware/validation');
 const User = require('../models/User');
 const File = require('../models/File');
 const { generateInvoicePDF } = require('../utils/pdfGenerator');
-const { uploadToGCS } = require('../utils/gcs');
+const { getStorage, saveUpload } = require('../utils/storage');
+const NotificationService = require('../utils/notificationService');
+
+// Client invoices are visible to the project's client, employees and owners, not its vendors
+const invoiceProject = requireProjectAccess(projectOf(ClientInvoice, 'invoiceId', 'projectId'), { vendors: false });
 
 /**
  * @route   POST /api/invoices
  * @desc    Create a new invoice
- * @access  Private
+ * @access  Private (invoices.create, project members except vendors)
  */
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, requirePermission('invoices.create'), validateInvoice, requireProjectAccess((req) => req.body.projectId, { vendors: false }), async (req, res) => {
     try {
         const {
             clientId,
@@ -75,9 +86,9 @@ router.post('/', authenticate, async (req, res) => {
                 const pdfBuffer = await generateInvoicePDF(invoice, project, client);
                 const filename = `Invoice_${invoice.invoiceNumber}.pdf`;
 
-                console.log('☁️ [Invoice] Uploading PDF to GCS...');
-                const uploadResult = await uploadToGCS({
-                    buffer: pdfBuffer,
+                console.log('☁️ [Invoice] Storing PDF...');
+                const uploadResult = await saveUpload({
+                    body: pdfBuffer,
                     mimetype: 'application/pdf',
                     originalname: filename,
                     folder: 'invoices',
@@ -101,6 +112,7 @@ router.post('/', authenticate, async (req, res) => {
                         mimeType: 'application/pdf',
                         size: pdfBuffer.length,
                         path: uploadResult.url,
+                        storageKey: uploadResult.key,
                         uploadedBy: req.user._id,
                         project: projectId,
                         invoiceInfo: `Invoice #${invoice.invoiceNumber}`,
@@ -140,22 +152,30 @@ router.post('/', authenticate, async (req, res) => {
 /**
  * @route   GET /api/invoices
  * @desc    Get all invoices (for admin/owner dashboard)
- * @access  Private
+ * @access  Private (own projects; owner sees all)
  */
 router.get('/', authenticate, async (req, res) => {
     try {
         console.log('[Invoice] Fetching all invoices and project payment schedules');
-        
+
+        // Owners see everything; everyone else only their own projects
+        const projectFilter = Project.memberFilter(req.user, { vendors: false });
+        const invoiceFilter = {};
+        if (req.user.role !== 'owner') {
+            invoiceFilter.projectId = { $in: await Project.find(projectFilter).distinct('_id') };
+        }
+
         // Fetch actual invoices
-        const invoices = await ClientInvoice.find()
+        const invoices = await ClientInvoice.find(invoiceFilter)
             .populate('clientId', 'firstName lastName email')
             .populate('projectId', 'title')
             .sort({ createdAt: -1 })
             .lean();
 
         // Fetch projects with payment schedules
-        const projectsWithSchedules = await Project.find({ 
-            'paymentSchedule.0': { $exists: true } 
+        const projectsWithSchedules = await Project.find({
+            ...projectFilter,
+            'paymentSchedule.0': { $exists: true },
         })
         .populate('client', 'firstName lastName email')
         .select('title client paymentSchedule')
@@ -223,7 +243,7 @@ router.get('/', authenticate, async (req, res) => {
 /**
  * @route   POST /api/invoices/project/:projectId/upload
  * @desc    Upload invoice PDF directly
- * @access  Private
+ * @access  Private (invoices.create, project members except vendors)
  */
 const multer = require('multer');
 const memoryStorage = multer.memoryStorage();
@@ -238,7 +258,7 @@ const uploadInvoicePDF = multer({
     }
 }).single('invoice');
 
-router.post('/project/:projectId/upload', authenticate, (req, res) => {
+router.post('/project/:projectId/upload', authenticate, requirePermission('invoices.create'), validateIds('projectId'), requireProjectAccess('projectId', { vendors: false }), (req, res) => {
     uploadInvoicePDF(req, res, async (err) => {
         if (err) {
             return res.status(400).json({
@@ -273,9 +293,9 @@ router.post('/project/:projectId/upload', authenticate, (req, res) => {
 
             console.log('📄 [Invoice] Uploading PDF:', file.originalname, 'Name:', invoiceName);
 
-            // Upload to GCS
-            const uploadResult = await uploadToGCS({
-                buffer: file.buffer,
+            // Store the PDF
+            const uploadResult = await saveUpload({
+                body: file.buffer,
                 mimetype: 'application/pdf',
                 originalname: file.originalname,
                 folder: 'invoices',
@@ -322,6 +342,7 @@ router.post('/project/:projectId/upload', authenticate, (req, res) => {
                     mimeType: 'application/pdf',
                     size: file.size,
                     path: uploadResult.url,
+                    storageKey: uploadResult.key,
                     uploadedBy: req.user._id,
                     project: projectId,
                     invoiceInfo: invoiceName || `Invoice #${invoiceNumber}`,
@@ -353,9 +374,9 @@ router.post('/project/:projectId/upload', authenticate, (req, res) => {
 /**
  * @route   GET /api/invoices/project/:projectId
  * @desc    Get all invoices for a project
- * @access  Private
+ * @access  Private (project members except vendors)
  */
-router.get('/project/:projectId', authenticate, async (req, res) => {
+router.get('/project/:projectId', authenticate, requireProjectAccess('projectId', { vendors: false }), async (req, res) => {
     try {
         const { projectId } = req.params;
         const { status, page = 1, limit = 20 } = req.query;
@@ -370,7 +391,7 @@ router.get('/project/:projectId', authenticate, async (req, res) => {
 
         const total = await ClientInvoice.countDocuments(query);
 
-        const { getSignedUrl } = require('../utils/gcs');
+        const storage = getStorage();
 
         // Generate signed URLs for attachments
         const invoicesWithUrls = await Promise.all(invoices.map(async (inv) => {
@@ -378,15 +399,15 @@ router.get('/project/:projectId', authenticate, async (req, res) => {
             if (invoiceObj.attachments && invoiceObj.attachments.length > 0) {
                 const attachment = invoiceObj.attachments[0];
                 const projectIdStr = invoiceObj.projectId?._id?.toString() || invoiceObj.projectId?.toString();
-                const gcsPath = projectIdStr
+                const key = storage.keyFromUrl(attachment.url) || (projectIdStr
                     ? `invoices/${projectIdStr}/${attachment.filename}`
-                    : `invoices/${attachment.filename}`;
+                    : `invoices/${attachment.filename}`);
 
                 try {
-                    const signedUrl = await getSignedUrl(gcsPath, 60);
+                    const signedUrl = await storage.signedUrl(key);
                     invoiceObj.fileUrl = signedUrl;
                 } catch (err) {
-                    console.warn('Could not generate signed URL for invoice:', gcsPath);
+                    console.warn('Could not generate signed URL for invoice:', key);
                     invoiceObj.fileUrl = attachment.url;
                 }
             }
@@ -448,9 +469,9 @@ router.get('/client/:clientId', authenticate, async (req, res) => {
 /**
  * @route   GET /api/invoices/:invoiceId
  * @desc    Get a single invoice
- * @access  Private
+ * @access  Private (project members except vendors)
  */
-router.get('/:invoiceId', authenticate, async (req, res) => {
+router.get('/:invoiceId', authenticate, invoiceProject, async (req, res) => {
     try {
         const invoice = await ClientInvoice.findById(req.params.invoiceId);
 
@@ -478,9 +499,9 @@ router.get('/:invoiceId', authenticate, async (req, res) => {
 /**
  * @route   PUT /api/invoices/:invoiceId
  * @desc    Update an invoice
- * @access  Private
+ * @access  Private (invoices.create, project members except vendors)
  */
-router.put('/:invoiceId', authenticate, async (req, res) => {
+router.put('/:invoiceId', authenticate, requirePermission('invoices.create'), validateInvoiceUpdate, invoiceProject, async (req, res) => {
     try {
         const {
             lineItems,
@@ -534,9 +555,9 @@ router.put('/:invoiceId', authenticate, async (req, res) => {
 /**
  * @route   PUT /api/invoices/:invoiceId/status
  * @desc    Update invoice status
- * @access  Private
+ * @access  Private (invoices.approve, project members except vendors)
  */
-router.put('/:invoiceId/status', authenticate, async (req, res) => {
+router.put('/:invoiceId/status', authenticate, requirePermission('invoices.approve'), validateInvoiceStatus, invoiceProject, async (req, res) => {
     try {
         const { status, paymentMethod } = req.body;
         const invoice = await ClientInvoice.findById(req.params.invoiceId);
@@ -548,6 +569,8 @@ router.put('/:invoiceId/status', authenticate, async (req, res) => {
             });
         }
 
+        const previousStatus = invoice.status;
+
         if (status === 'sent') {
             await invoice.markAsSent();
         } else if (status === 'viewed') {
@@ -559,6 +582,17 @@ router.put('/:invoiceId/status', authenticate, async (req, res) => {
             await invoice.save();
         }
 
+        // Notify (and email) the client; failures must not fail the status update
+        try {
+            if (status === 'sent') {
+                await NotificationService.notifyInvoiceSent({ invoice, senderId: req.user._id });
+            } else if (status === 'paid' && previousStatus !== 'paid') {
+                await NotificationService.notifyPaymentReceived({ invoice, senderId: req.user._id });
+            }
+        } catch (notifError) {
+            console.error('Failed to send invoice notification:', notifError);
+        }
+
         res.json({
             success: true,
             message: 'Invoice status updated',
@@ -577,9 +611,9 @@ router.put('/:invoiceId/status', authenticate, async (req, res) => {
 /**
  * @route   DELETE /api/invoices/:invoiceId
  * @desc    Delete an invoice
- * @access  Private
+ * @access  Private (owner, employee or creator; project members except vendors)
  */
-router.delete('/:invoiceId', authenticate, async (req, res) => {
+router.delete('/:invoiceId', authenticate, validateIds('invoiceId'), invoiceProject, async (req, res) => {
     try {
         const invoice = await ClientInvoice.findById(req.params.invoiceId);
 
@@ -1,22 +1,57 @@
 const express = require('express');
 const router = express.Router();
-const { validationResult } = require('express-validator');
 const MaterialRequest = require('../models/MaterialRequest');
 const Project = require('../models/Project');
 const PurchaseOrder = require('../models/PurchaseOrder');
 const User = require('../models/User');
-const { authenticate, authorize, isOwner, isOwnerOrEmployee } = require('../middleware/auth');
-const { validateMaterialRequest } = require('../middleware/validation');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validateIds,
+  validateMaterialRequest,
+  validateMaterialRequestReview,
+  validateVendorAssignment,
+  validateNote,
+} = require('../middleware/validation');
+const { requireProjectAccess } = require('../middleware/projectAccess');
 const NotificationService = require('../utils/notificationService');
+const { parseListQuery, findPage } = require('../utils/listQuery');
+
+// Filters and sorts of the material request list (see utils/listQuery)
+const MATERIAL_REQUEST_LIST = {
+  filters: {
+    status: 'status',
+    priority: 'priority',
+    projectId: 'project',
+    requiredBy: 'requiredBy',
+    estimatedCost: 'totalEstimatedCost',
+    createdAt: 'createdAt',
+  },
+  sorts: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    title: 'title',
+    status: 'status',
+    requiredBy: 'requiredBy',
+    estimatedCost: 'totalEstimatedCost',
+  },
+  defaultSort: '-createdAt',
+  defaultLimit: 10,
+};
 
 /**
  * @route   GET /api/material-requests
- * @desc    Get material requests (role-based access)
+ * @desc    Get material requests (role-based access); list filters, sort and
+ *          cursor/page pagination as in utils/listQuery, plus `available`
  * @access  Private
  */
 router.get('/', authenticate, async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, projectId, sortBy = 'createdAt', sortOrder = 'desc', available } = req.query;
+    const { available } = req.query;
+    // 'all' is what the status tabs send for no filter
+    const list = parseListQuery(MaterialRequest, {
+      ...req.query,
+      status: req.query.status === 'all' ? undefined : req.query.status,
+    }, MATERIAL_REQUEST_LIST);
 
     let query = {};
 
@@ -73,47 +108,27 @@ router.get('/', authenticate, async (req, res) => {
         });
     }
 
-    // Filter by status if provided
-    if (status && status !== 'all') {
-      query.status = status;
-    }
-
-    // Filter by project if provided
-    if (projectId) {
-      query.project = projectId;
-    }
-
-    // Sort configuration
-    const sortConfig = {};
-    sortConfig[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const materialRequests = await MaterialRequest.find(query)
-      .populate('project', 'title status')
-      .populate('requestedBy', 'firstName lastName email')
-      .populate('assignedVendors.vendor', 'firstName lastName email vendorDetails.companyName')
-      .populate('assignedVendors.assignedBy', 'firstName lastName')
-      .sort(sortConfig)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await MaterialRequest.countDocuments(query);
+    const { items: materialRequests, pagination } = await findPage(MaterialRequest, query, list, {
+      populate: [
+        { path: 'project', select: 'title status' },
+        { path: 'requestedBy', select: 'firstName lastName email' },
+        { path: 'assignedVendors.vendor', select: 'firstName lastName email vendorDetails.companyName' },
+        { path: 'assignedVendors.assignedBy', select: 'firstName lastName' },
+      ],
+    });
 
     res.json({
       success: true,
       data: {
         materialRequests,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
-          total,
-        },
+        pagination,
       },
     });
   } catch (error) {
     console.error('Get material requests error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Failed to get material requests',
+      message: error.status ? error.message : 'Failed to get material requests',
       error: error.message,
     });
   }
@@ -174,19 +189,10 @@ router.get('/:id', authenticate, async (req, res) => {
 /**
  * @route   POST /api/material-requests
  * @desc    Create new material request
- * @access  Private (Owner and Employee only)
+ * @access  Private (materials.request, project members)
  */
-router.post('/', authenticate, isOwnerOrEmployee, validateMaterialRequest, async (req, res) => {
+router.post('/', authenticate, requirePermission('materials.request'), validateMaterialRequest, requireProjectAccess((req) => req.body.projectId), async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array(),
-      });
-    }
-
     const {
       projectId,
       title,
@@ -197,28 +203,8 @@ router.post('/', authenticate, isOwnerOrEmployee, validateMaterialRequest, async
       assignedVendors,
     } = req.body;
 
-    // Verify project exists and user has access
-    const project = await Project.findById(projectId);
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found',
-      });
-    }
-
-    // Check if employee is assigned to the project (if not owner)
-    if (req.user.role === 'employee') {
-      const isAssignedEmployee = project.assignedEmployees.includes(req.user._id);
-      const isAssignedVendor = project.assignedVendors.includes(req.user._id);
-      const isCreator = project.createdBy?.toString() === req.user._id.toString();
-
-      if (!isAssignedEmployee && !isAssignedVendor && !isCreator) {
-        return res.status(403).json({
-          success: false,
-          message: 'You are not assigned to this project',
-        });
-      }
-    }
+    // Membership was checked by requireProjectAccess
+    const { project } = req;
 
     // Optional: assign one or more vendors at creation time
     // (Used by vendorTeam employees to target a vendor directly)
@@ -313,9 +299,9 @@ router.post('/', authenticate, isOwnerOrEmployee, validateMaterialRequest, async
 /**
  * @route   PUT /api/material-requests/:id/approve
  * @desc    Approve material request
- * @access  Private (Owner only)
+ * @access  Private (materials.approve)
  */
-router.put('/:id/approve', authenticate, isOwner, async (req, res) => {
+router.put('/:id/approve', authenticate, requirePermission('materials.approve'), validateMaterialRequestReview, async (req, res) => {
   try {
     const { id } = req.params;
     const { comments = '' } = req.body;
@@ -360,9 +346,9 @@ router.put('/:id/approve', authenticate, isOwner, async (req, res) => {
 /**
  * @route   PUT /api/material-requests/:id/reject
  * @desc    Reject material request
- * @access  Private (Owner only)
+ * @access  Private (materials.approve)
  */
-router.put('/:id/reject', authenticate, isOwner, async (req, res) => {
+router.put('/:id/reject', authenticate, requirePermission('materials.approve'), validateMaterialRequestReview, async (req, res) => {
   try {
     const { id } = req.params;
     const { comments = '' } = req.body;
@@ -407,9 +393,9 @@ router.put('/:id/reject', authenticate, isOwner, async (req, res) => {
 /**
  * @route   POST /api/material-requests/:id/accept
  * @desc    Vendor accepts material request (self-assign)
- * @access  Private (Vendor only)
+ * @access  Private (materials.accept)
  */
-router.post('/:id/accept', authenticate, authorize('vendor'), async (req, res) => {
+router.post('/:id/accept', authenticate, requirePermission('materials.accept'), validateIds('id'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -537,20 +523,13 @@ router.post('/:id/accept', authenticate, authorize('vendor'), async (req, res) =
 /**
  * @route   PUT /api/material-requests/:id/assign-vendor
  * @desc    Assign vendor to material request
- * @access  Private (Owner only)
+ * @access  Private (materials.assign-vendor)
  */
-router.put('/:id/assign-vendor', authenticate, isOwner, async (req, res) => {
+router.put('/:id/assign-vendor', authenticate, requirePermission('materials.assign-vendor'), validateVendorAssignment, async (req, res) => {
   try {
     const { id } = req.params;
     const { vendorId } = req.body;
 
-    if (!vendorId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Vendor ID is required',
-      });
-    }
-
     const materialRequest = await MaterialRequest.findById(id);
     if (!materialRequest) {
       return res.status(404).json({
@@ -586,18 +565,11 @@ router.put('/:id/assign-vendor', authenticate, isOwner, async (req, res) => {
  * @desc    Add note to material request
  * @access  Private (Owner, Employee, Vendor with access)
  */
-router.post('/:id/notes', authenticate, async (req, res) => {
+router.post('/:id/notes', authenticate, validateNote, async (req, res) => {
   try {
     const { id } = req.params;
     const { content } = req.body;
 
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Note content is required',
-      });
-    }
-
     const materialRequest = await MaterialRequest.findById(id)
       .populate('project', 'assignedEmployees assignedVendors client');
 
@@ -643,35 +615,12 @@ router.post('/:id/notes', authenticate, async (req, res) => {
 /**
  * @route   GET /api/material-requests/project/:projectId
  * @desc    Get material requests for a specific project
- * @access  Private (role-based)
+ * @access  Private (project members)
  */
-router.get('/project/:projectId', authenticate, async (req, res) => {
+router.get('/project/:projectId', authenticate, requireProjectAccess('projectId'), async (req, res) => {
   try {
     const { projectId } = req.params;
 
-    // Verify project exists and user has access
-    const project = await Project.findById(projectId);
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found',
-      });
-    }
-
-    // Check access permissions
-    const hasAccess =
-      req.user.role === 'owner' ||
-      (req.user.role === 'client' && project.client.toString() === req.user._id.toString()) ||
-      (req.user.role === 'employee' && project.assignedEmployees.includes(req.user._id)) ||
-      (req.user.role === 'vendor' && project.assignedVendors.includes(req.user._id));
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
-
     const materialRequests = await MaterialRequest.findByProject(projectId);
 
     res.json({
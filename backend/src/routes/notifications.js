@@ -1,52 +1,74 @@
 const express = require('express');
 const router = express.Router();
 const Notification = require('../models/Notification');
+const User = require('../models/User');
+const NotificationService = require('../utils/notificationService');
 const { authenticate } = require('../middleware/auth');
+const { validateIds, validateNotificationPreferences } = require('../middleware/validation');
+const {
+  NOTIFICATION_TYPES,
+  TYPE_LABELS,
+  resolvePreferences,
+  mergePreferences,
+} = require('../utils/notificationPreferences');
+const { parseListQuery, findPage } = require('../utils/listQuery');
+
+// Filters and sorts of the notification list (see utils/listQuery)
+const NOTIFICATION_LIST = {
+  filters: {
+    type: 'type',
+    read: 'read',
+    priority: 'priority',
+    createdAt: 'createdAt',
+  },
+  sorts: {
+    createdAt: 'createdAt',
+  },
+  defaultSort: '-createdAt',
+};
 
 /**
  * @route   GET /api/notifications
- * @desc    Get notifications for current user
+ * @desc    Get notifications for current user; list filters, sort and
+ *          cursor/page pagination as in utils/listQuery, plus `unreadOnly`
  * @access  Private
  */
 router.get('/', authenticate, async (req, res) => {
   try {
-    const { page = 1, limit = 20, unreadOnly = false, type } = req.query;
+    const { unreadOnly = false } = req.query;
+    const list = parseListQuery(Notification, req.query, NOTIFICATION_LIST);
 
-    const query = { recipient: req.user._id };
+    const query = Notification.listedFor(req.user._id);
 
     if (unreadOnly === 'true') {
       query.read = false;
     }
 
-    if (type) {
-      query.type = type;
-    }
-
-    const notifications = await Notification.find(query)
-      .populate('sender', 'firstName lastName profilePhoto role')
-      .populate('relatedProject', 'title')
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit));
-
-    const total = await Notification.countDocuments(query);
-    const unreadCount = await Notification.getUnreadCount(req.user._id);
+    const [{ items: notifications, pagination }, unreadCount] = await Promise.all([
+      findPage(Notification, query, list, {
+        populate: [
+          { path: 'sender', select: 'firstName lastName profileImage role' },
+          { path: 'relatedProject', select: 'title' },
+        ],
+      }),
+      Notification.getUnreadCount(req.user._id),
+    ]);
 
     res.json({
       success: true,
       data: {
         notifications,
         unreadCount,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
-          total,
-        },
+        pagination,
       },
     });
   } catch (error) {
     console.error('Get notifications error:', error);
-    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error',
+      error: error.message,
+    });
   }
 });
 
@@ -65,15 +87,66 @@ router.get('/unread-count', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get notification preferences (every type, with defaults filled in)
+ * @access  Private
+ */
+router.get('/preferences', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+
+    res.json({
+      success: true,
+      data: {
+        preferences: resolvePreferences(user?.notificationPreferences),
+        types: NOTIFICATION_TYPES.map((type) => ({ type, label: TYPE_LABELS[type] || type })),
+      },
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Update notification preferences (partial updates are merged)
+ * @access  Private
+ */
+router.put('/preferences', authenticate, validateNotificationPreferences, async (req, res) => {
+  try {
+    const current = await User.findById(req.user._id).select('notificationPreferences');
+    if (!current) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { notificationPreferences: mergePreferences(current.notificationPreferences, req.body) } },
+      { new: true, runValidators: true }
+    ).select('notificationPreferences');
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: { preferences: resolvePreferences(user.notificationPreferences) },
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
 /**
  * @route   PUT /api/notifications/:id/read
  * @desc    Mark a notification as read
  * @access  Private
  */
-router.put('/:id/read', authenticate, async (req, res) => {
+router.put('/:id/read', authenticate, validateIds('id'), async (req, res) => {
   try {
     const notification = await Notification.findOneAndUpdate(
-      { _id: req.params.id, recipient: req.user._id },
+      { ...Notification.listedFor(req.user._id), _id: req.params.id },
       { read: true, readAt: new Date() },
       { new: true }
     );
@@ -82,6 +155,8 @@ router.put('/:id/read', authenticate, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Notification not found' });
     }
 
+    NotificationService.emitUnreadCount(req.user._id);
+
     res.json({ success: true, data: notification });
   } catch (error) {
     console.error('Mark notification read error:', error);
@@ -97,6 +172,7 @@ router.put('/:id/read', authenticate, async (req, res) => {
 router.put('/mark-all-read', authenticate, async (req, res) => {
   try {
     const result = await Notification.markAllAsRead(req.user._id);
+    NotificationService.emitUnreadCount(req.user._id);
     res.json({
       success: true,
       message: `Marked ${result.modifiedCount} notifications as read`,
@@ -113,17 +189,19 @@ router.put('/mark-all-read', authenticate, async (req, res) => {
  * @desc    Delete a notification
  * @access  Private
  */
-router.delete('/:id', authenticate, async (req, res) => {
+router.delete('/:id', authenticate, validateIds('id'), async (req, res) => {
   try {
     const notification = await Notification.findOneAndDelete({
+      ...Notification.listedFor(req.user._id),
       _id: req.params.id,
-      recipient: req.user._id,
     });
 
     if (!notification) {
       return res.status(404).json({ success: false, message: 'Notification not found' });
     }
 
+    NotificationService.emitUnreadCount(req.user._id);
+
     res.json({ success: true, message: 'Notification deleted' });
   } catch (error) {
     console.error('Delete notification error:', error);
@@ -138,7 +216,9 @@ router.delete('/:id', authenticate, async (req, res) => {
  */
 router.delete('/', authenticate, async (req, res) => {
   try {
-    const result = await Notification.deleteMany({ recipient: req.user._id });
+    // Email-only notifications stay until their (digest) email has gone out
+    const result = await Notification.deleteMany(Notification.listedFor(req.user._id));
+    NotificationService.emitUnreadCount(req.user._id);
     res.json({
       success: true,
       message: `Deleted ${result.deletedCount} notifications`,
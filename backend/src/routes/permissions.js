@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validatePermissionOverride } = require('../middleware/validation');
+const { PERMISSIONS, getPermissionMatrix, setOverride } = require('../utils/permissions');
+
+/**
+ * @route   GET /api/permissions
+ * @desc    Permission registry with defaults, overrides and effective grants per role/sub-role
+ * @access  Private (permissions.manage)
+ */
+router.get('/', authenticate, requirePermission('permissions.manage'), async (req, res) => {
+  try {
+    const matrix = await getPermissionMatrix();
+
+    res.json({
+      success: true,
+      data: matrix,
+    });
+  } catch (error) {
+    console.error('Get permission matrix error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load permissions',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/permissions/:permission
+ * @desc    Grant or deny a permission for a role/sub-role, or reset it (allowed: null)
+ * @access  Private (permissions.manage)
+ */
+router.put('/:permission', authenticate, requirePermission('permissions.manage'), validatePermissionOverride, async (req, res) => {
+  try {
+    const { permission } = req.params;
+    if (!PERMISSIONS[permission]) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown permission',
+      });
+    }
+
+    const { subject, allowed } = req.body;
+    await setOverride({ permission, subject, allowed, updatedBy: req.user._id });
+
+    res.json({
+      success: true,
+      message: allowed === null ? 'Permission reset to default' : 'Permission updated',
+      data: await getPermissionMatrix(),
+    });
+  } catch (error) {
+    console.error('Update permission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update permission',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+const express = require('express');
+const router = express.Router();
+const ProjectTemplate = require('../models/ProjectTemplate');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { requireProjectAccess } = require('../middleware/projectAccess');
+const {
+  validateIds,
+  validateProjectTemplate,
+  validateProjectTemplateUpdate,
+  validateProjectInstantiate,
+} = require('../middleware/validation');
+const { snapshotProject, instantiateTemplate } = require('../utils/projectTemplates');
+const { projectRooms } = require('../utils/socket');
+
+const EDITABLE_FIELDS = ['name', 'description', 'projectType', 'durationDays', 'milestones', 'paymentSchedule', 'documentChecklist'];
+
+/**
+ * @route   GET /api/project-templates
+ * @desc    Project templates, optionally for one project type (?projectType=residential)
+ * @access  Private (projects.create)
+ */
+router.get('/', authenticate, requirePermission('projects.create'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.projectType) filter.projectType = String(req.query.projectType);
+
+    const templates = await ProjectTemplate.find(filter)
+      .populate('createdBy', 'firstName lastName')
+      .populate('sourceProject', 'title projectId')
+      .sort({ projectType: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { templates },
+    });
+  } catch (error) {
+    console.error('Get project templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get project templates',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/project-templates/:id
+ * @desc    Get a project template
+ * @access  Private (projects.create)
+ */
+router.get('/:id', authenticate, requirePermission('projects.create'), validateIds('id'), async (req, res) => {
+  try {
+    const template = await ProjectTemplate.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName')
+      .populate('sourceProject', 'title projectId');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project template not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { template },
+    });
+  } catch (error) {
+    console.error('Get project template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get project template',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/project-templates
+ * @desc    Save a project as a template: its milestones, payment schedule, material requests, tasks and document checklist
+ * @access  Private (project-templates.manage, project members)
+ */
+router.post('/', authenticate, requirePermission('project-templates.manage'), validateProjectTemplate, requireProjectAccess((req) => req.body.projectId), async (req, res) => {
+  try {
+    const project = await Project.findById(req.body.projectId);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found',
+      });
+    }
+
+    const fields = await snapshotProject(project);
+    const template = await ProjectTemplate.create({
+      ...fields,
+      name: req.body.name,
+      description: req.body.description || fields.description?.slice(0, 500),
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Project saved as a template',
+      data: { template },
+    });
+  } catch (error) {
+    console.error('Create project template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save project as a template',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/project-templates/:id
+ * @desc    Update a template's name, description, type, duration, milestones, payment schedule or document checklist
+ * @access  Private (project-templates.manage)
+ */
+router.put('/:id', authenticate, requirePermission('project-templates.manage'), validateProjectTemplateUpdate, async (req, res) => {
+  try {
+    const template = await ProjectTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project template not found',
+      });
+    }
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) template.set(field, req.body[field]);
+    });
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Project template updated successfully',
+      data: { template },
+    });
+  } catch (error) {
+    console.error('Update project template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update project template',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/project-templates/:id
+ * @desc    Delete a project template (projects already made from it stay)
+ * @access  Private (project-templates.manage)
+ */
+router.delete('/:id', authenticate, requirePermission('project-templates.manage'), validateIds('id'), async (req, res) => {
+  try {
+    const template = await ProjectTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project template not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Project template deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete project template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete project template',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/project-templates/:id/instantiate
+ * @desc    Create a project from a template, its dates shifted to `startDate` (default: today)
+ * @access  Private (projects.create)
+ */
+router.post('/:id/instantiate', authenticate, requirePermission('projects.create'), validateProjectInstantiate, async (req, res) => {
+  try {
+    const {
+      title,
+      description,
+      clientId,
+      startDate,
+      budget,
+      location,
+      assignedEmployees = [],
+    } = req.body;
+
+    const template = await ProjectTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project template not found',
+      });
+    }
+
+    // Verify client exists and has client role
+    const client = await User.findById(clientId);
+    if (!client || client.role !== 'client') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid client ID or user is not a client',
+      });
+    }
+
+    if (assignedEmployees.length > 0) {
+      const employees = await User.find({
+        _id: { $in: assignedEmployees },
+        role: 'employee',
+        isActive: true,
+      });
+      if (employees.length !== assignedEmployees.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'One or more assigned employees are invalid',
+        });
+      }
+    }
+
+    const { project, tasks, materialRequests } = await instantiateTemplate(template, {
+      fields: {
+        title,
+        description: description || template.description || `${template.name} project`,
+        client: clientId,
+        assignedEmployees,
+        budget: budget !== undefined && budget !== null ? { estimated: Number(budget) } : undefined,
+        location,
+      },
+      startDate: startDate || Date.now(),
+      createdBy: req.user._id,
+    });
+
+    await project.populate('client assignedEmployees assignedVendors createdBy');
+    const io = req.app.get('io');
+    if (io) io.to(projectRooms(project)).emit('projectUpdated', { operation: 'created', project });
+
+    res.status(201).json({
+      success: true,
+      message: `Project created from ${template.name}`,
+      data: { project, tasks: tasks.length, materialRequests: materialRequests.length },
+    });
+  } catch (error) {
+    console.error('Instantiate project template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create project from template',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
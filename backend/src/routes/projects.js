@@ -1,19 +1,45 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const Project = require('../models/Project');
 const User = require('../models/User');
 const ClientTimelineEvent = require('../models/ClientTimelineEvent');
 const ClientMedia = require('../models/ClientMedia');
 const ClientInvoice = require('../models/ClientInvoice');
-const { authenticate, authorize, isOwner, isOwnerOrEmployee } = require('../middleware/auth');
-const { validateProject } = require('../middleware/validation');
-const { uploadMultiple, getFileUrl } = require('../middleware/upload');
-const { uploadToGCS } = require('../utils/gcs');
+const ProjectDocument = require('../models/ProjectDocument');
+const ProjectTemplate = require('../models/ProjectTemplate');
+const DocumentApproval = require('../models/DocumentApproval');
+const Task = require('../models/Task');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  discardUploads,
+  validateIds,
+  validateProject,
+  validateProjectUpdate,
+  validateProjectDuplicate,
+  validateEmployeeAssignment,
+  validateVendorAssignment,
+  validateDocumentUpload,
+  validateCurrentVersion,
+  validateApprovalRequest,
+  validateApprovalList,
+  validateProjectImages,
+  validateProgress,
+  validateProjectTimelineEvent,
+  validateProjectMedia,
+  validateProjectInvoice,
+} = require('../middleware/validation');
+const { requireProjectAccess } = require('../middleware/projectAccess');
+const { uploadSingle, uploadMultiple } = require('../middleware/upload');
+const { saveUpload } = require('../utils/storage');
 const NotificationService = require('../utils/notificationService');
+const { parseListQuery, findPage } = require('../utils/listQuery');
+const { buildSchedule } = require('../utils/schedule');
+const { computeProjectProgress } = require('../utils/projectProgress');
+const { snapshotProject, instantiateTemplate } = require('../utils/projectTemplates');
 
-// Memory storage for GCS media uploads
+// Memory storage for project media uploads
 const memoryStorage = multer.memoryStorage();
 const uploadMediaToMemory = multer({
   storage: memoryStorage,
@@ -28,14 +54,93 @@ const uploadMediaToMemory = multer({
   }
 }).array('images', 10);
 
+// Users shown next to document versions
+const DOCUMENT_USERS = 'versions.uploadedBy versions.approvedBy';
+
+// Document types a client can be asked to sign off
+const APPROVABLE_TYPES = ['design', 'contract'];
+
+// Filters and sorts of the project list (see utils/listQuery)
+const PROJECT_LIST = {
+  filters: {
+    status: 'status',
+    priority: 'priority',
+    projectType: 'projectType',
+    client: 'client',
+    createdAt: 'createdAt',
+    startDate: 'timeline.startDate',
+    expectedEndDate: 'timeline.expectedEndDate',
+    budget: 'budget.estimated',
+    progress: 'progress.percentage',
+  },
+  sorts: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    title: 'title',
+    projectId: 'projectId',
+    status: 'status',
+    startDate: 'timeline.startDate',
+    expectedEndDate: 'timeline.expectedEndDate',
+    budget: 'budget.estimated',
+    progress: 'progress.percentage',
+  },
+  defaultSort: '-createdAt',
+  defaultLimit: 10,
+  // The owner dashboard still works out project health and team utilization
+  // from every project on the device
+  maxLimit: 1000,
+};
+
+/**
+ * A document version from a stored upload
+ */
+const versionOf = (file, user, notes) => ({
+  url: file.url,
+  storageKey: file.key,
+  originalName: file.originalname,
+  mimeType: file.mimetype,
+  size: file.size,
+  notes,
+  uploadedBy: user._id,
+});
+
+/**
+ * The document from :documentId on the project from :id, or null after responding
+ */
+const loadDocument = async (req, res) => {
+  const { id, documentId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(documentId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid document ID',
+    });
+    return null;
+  }
+
+  const document = await ProjectDocument.findOne({ _id: documentId, project: id });
+
+  if (!document || (document.type === 'invoice' && req.user.role === 'vendor')) {
+    res.status(404).json({
+      success: false,
+      message: 'Document not found',
+    });
+    return null;
+  }
+
+  return document;
+};
+
 /**
  * @route   GET /api/projects
- * @desc    Get projects (role-based access)
+ * @desc    Get projects (role-based access); list filters, sort and
+ *          cursor/page pagination as in utils/listQuery, plus `search`
  * @access  Private
  */
 router.get('/', authenticate, async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, search, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    const { search } = req.query;
+    const list = parseListQuery(Project, req.query, PROJECT_LIST);
 
     let query = {};
 
@@ -77,67 +182,36 @@ router.get('/', authenticate, async (req, res) => {
         });
     }
 
-    // Store role-based $or conditions if any
-    const roleOrConditions = query.$or;
-    delete query.$or;
-
-    // Filter by status if provided
-    if (status) {
-      query.status = status;
-    }
-
     // Search functionality - combine with role filter using $and if needed
     if (search) {
       const searchConditions = [
         { title: { $regex: search, $options: 'i' } },
         { description: { $regex: search, $options: 'i' } },
       ];
-
-      if (roleOrConditions) {
-        // If role filter has $or, combine with $and
-        query.$and = [
-          { $or: roleOrConditions },
-          { $or: searchConditions }
-        ];
-      } else {
-        query.$or = searchConditions;
-      }
-    } else if (roleOrConditions) {
-      // Restore role-based $or if no search
-      query.$or = roleOrConditions;
+      query = { $and: [query, { $or: searchConditions }] };
     }
 
-    // Sort configuration
-    const sortConfig = {};
-    sortConfig[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const projects = await Project.find(query)
-      .populate('client', 'firstName lastName email')
-      .populate('assignedEmployees', 'firstName lastName email')
-      .populate('assignedVendors', 'firstName lastName email vendorDetails.companyName')
-      .populate('createdBy', 'firstName lastName email')
-      .sort(sortConfig)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Project.countDocuments(query);
+    const { items: projects, pagination } = await findPage(Project, query, list, {
+      populate: [
+        { path: 'client', select: 'firstName lastName email' },
+        { path: 'assignedEmployees', select: 'firstName lastName email' },
+        { path: 'assignedVendors', select: 'firstName lastName email vendorDetails.companyName' },
+        { path: 'createdBy', select: 'firstName lastName email' },
+      ],
+    });
 
     res.json({
       success: true,
       data: {
         projects,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
-          total,
-        },
+        pagination,
       },
     });
   } catch (error) {
     console.error('Get projects error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Failed to get projects',
+      message: error.status ? error.message : 'Failed to get projects',
       error: error.message,
     });
   }
@@ -146,9 +220,9 @@ router.get('/', authenticate, async (req, res) => {
 /**
  * @route   GET /api/projects/timeline/recent
  * @desc    Get recent project timeline updates across all projects
- * @access  Private (Owner only)
+ * @access  Private (reports.overview)
  */
-router.get('/timeline/recent', authenticate, authorize('owner'), async (req, res) => {
+router.get('/timeline/recent', authenticate, requirePermission('reports.overview'), async (req, res) => {
   try {
     const limit = Math.max(1, Math.min(50, parseInt(req.query.limit || '10', 10)));
     const { visibility } = req.query;
@@ -178,9 +252,9 @@ router.get('/timeline/recent', authenticate, authorize('owner'), async (req, res
 /**
  * @route   GET /api/projects/:id
  * @desc    Get project by ID
- * @access  Private (role-based)
+ * @access  Private (project members)
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, requireProjectAccess('id'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -200,22 +274,6 @@ router.get('/:id', authenticate, async (req, res) => {
       });
     }
 
-    // Check access permissions
-    const hasAccess =
-      req.user.role === 'owner' ||
-      (req.user.role === 'client' && project.client._id.toString() === req.user._id.toString()) ||
-      (req.user.role === 'employee' && project.createdBy?._id?.toString() === req.user._id.toString()) ||
-      (req.user.role === 'employee' && project.assignedEmployees.some(emp => emp._id.toString() === req.user._id.toString())) ||
-      (req.user.role === 'employee' && req.user.subRole === 'vendorTeam' && project.assignedVendors.some(vendor => vendor._id.toString() === req.user._id.toString())) ||
-      (req.user.role === 'vendor' && project.assignedVendors.some(vendor => vendor._id.toString() === req.user._id.toString()));
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You do not have permission to view this project.',
-      });
-    }
-
     res.json({
       success: true,
       data: { project },
@@ -233,19 +291,10 @@ router.get('/:id', authenticate, async (req, res) => {
 /**
  * @route   POST /api/projects
  * @desc    Create new project
- * @access  Private (Owner only)
+ * @access  Private (projects.create)
  */
-router.post('/', authenticate, isOwnerOrEmployee, validateProject, async (req, res) => {
+router.post('/', authenticate, requirePermission('projects.create'), validateProject, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array(),
-      });
-    }
-
     const {
       title,
       description,
@@ -339,9 +388,9 @@ router.post('/', authenticate, isOwnerOrEmployee, validateProject, async (req, r
 /**
  * @route   PUT /api/projects/:id
  * @desc    Update project
- * @access  Private (Owner or Employee)
+ * @access  Private (projects.edit, project members)
  */
-router.put('/:id', authenticate, isOwnerOrEmployee, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('projects.edit'), validateProjectUpdate, requireProjectAccess('id'), async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
@@ -384,9 +433,9 @@ router.put('/:id', authenticate, isOwnerOrEmployee, async (req, res) => {
 /**
  * @route   DELETE /api/projects/:id
  * @desc    Delete project (soft delete by changing status)
- * @access  Private (Owner only)
+ * @access  Private (projects.delete, project members)
  */
-router.delete('/:id', authenticate, isOwner, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('projects.delete'), validateIds('id'), requireProjectAccess('id'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -419,22 +468,85 @@ router.delete('/:id', authenticate, isOwner, async (req, res) => {
 });
 
 /**
- * @route   PUT /api/projects/:id/assign-employee
- * @desc    Assign employee to project
- * @access  Private (Owner or Employee - Designer can assign Executive)
+ * @route   POST /api/projects/:id/duplicate
+ * @desc    Copy a project's setup (milestones, payment schedule, material requests, tasks, document checklist)
+ *          into a new project starting on `startDate` (default: today), for the same or another client
+ * @access  Private (projects.create, project members)
  */
-router.put('/:id/assign-employee', authenticate, authorize('owner', 'employee'), async (req, res) => {
+router.post('/:id/duplicate', authenticate, requirePermission('projects.create'), validateProjectDuplicate, requireProjectAccess('id'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { employeeId } = req.body;
+    const source = await Project.findById(req.params.id);
 
-    if (!employeeId) {
-      return res.status(400).json({
+    if (!source) {
+      return res.status(404).json({
         success: false,
-        message: 'Employee ID is required',
+        message: 'Project not found',
       });
     }
 
+    const clientId = req.body.clientId || source.client;
+    if (req.body.clientId) {
+      const client = await User.findById(clientId);
+      if (!client || client.role !== 'client') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid client ID or user is not a client',
+        });
+      }
+    }
+
+    // An unsaved template carries the setup across
+    const template = new ProjectTemplate({
+      ...(await snapshotProject(source)),
+      name: source.title,
+      createdBy: req.user._id,
+    });
+
+    const { project, tasks, materialRequests } = await instantiateTemplate(template, {
+      fields: {
+        title: req.body.title || `${source.title.slice(0, 93)} (copy)`,
+        description: source.description,
+        client: clientId,
+        assignedEmployees: source.assignedEmployees,
+        assignedVendors: source.assignedVendors,
+        budget: { estimated: source.budget?.estimated, currency: source.budget?.currency },
+        location: source.location,
+        specifications: source.specifications,
+        priority: source.priority,
+      },
+      startDate: req.body.startDate || Date.now(),
+      createdBy: req.user._id,
+    });
+
+    await project.populate('client assignedEmployees assignedVendors createdBy');
+    const io = req.app.get('io');
+    if (io) io.emit('projectUpdated', { operation: 'created', project });
+
+    res.status(201).json({
+      success: true,
+      message: 'Project duplicated successfully',
+      data: { project, tasks: tasks.length, materialRequests: materialRequests.length },
+    });
+  } catch (error) {
+    console.error('Duplicate project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to duplicate project',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/projects/:id/assign-employee
+ * @desc    Assign employee to project
+ * @access  Private (projects.assign, project members - Designer can assign Executive)
+ */
+router.put('/:id/assign-employee', authenticate, requirePermission('projects.assign'), validateEmployeeAssignment, requireProjectAccess('id'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { employeeId } = req.body;
+
     // Verify employee exists and has employee role
     const employee = await User.findById(employeeId);
     if (!employee || employee.role !== 'employee' || !employee.isActive) {
@@ -503,20 +615,13 @@ router.put('/:id/assign-employee', authenticate, authorize('owner', 'employee'),
 /**
  * @route   PUT /api/projects/:id/assign-vendor
  * @desc    Assign vendor to project
- * @access  Private (Owner or Employee - Executive can assign Vendors)
+ * @access  Private (projects.assign, project members - Executive can assign Vendors)
  */
-router.put('/:id/assign-vendor', authenticate, authorize('owner', 'employee'), async (req, res) => {
+router.put('/:id/assign-vendor', authenticate, requirePermission('projects.assign'), validateVendorAssignment, requireProjectAccess('id'), async (req, res) => {
   try {
     const { id } = req.params;
     const { vendorId } = req.body;
 
-    if (!vendorId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Vendor ID is required',
-      });
-    }
-
     // Verify vendor exists and is either a vendor role or vendorTeam employee
     const vendor = await User.findById(vendorId);
     const isVendor = vendor && vendor.role === 'vendor' && vendor.isActive;
@@ -569,9 +674,9 @@ router.put('/:id/assign-vendor', authenticate, authorize('owner', 'employee'), a
 /**
  * @route   DELETE /api/projects/:id/unassign-employee/:employeeId
  * @desc    Remove employee from project
- * @access  Private (Owner or Employee - Designer can remove Executive)
+ * @access  Private (projects.assign, project members - Designer can remove Executive)
  */
-router.delete('/:id/unassign-employee/:employeeId', authenticate, authorize('owner', 'employee'), async (req, res) => {
+router.delete('/:id/unassign-employee/:employeeId', authenticate, requirePermission('projects.assign'), validateIds('id', 'employeeId'), requireProjectAccess('id'), async (req, res) => {
   try {
     const { id, employeeId } = req.params;
 
@@ -620,9 +725,9 @@ router.delete('/:id/unassign-employee/:employeeId', authenticate, authorize('own
 /**
  * @route   DELETE /api/projects/:id/unassign-vendor/:vendorId
  * @desc    Remove vendor from project
- * @access  Private (Owner or Employee - Executive can remove Vendor)
+ * @access  Private (projects.assign, project members - Executive can remove Vendor)
  */
-router.delete('/:id/unassign-vendor/:vendorId', authenticate, authorize('owner', 'employee'), async (req, res) => {
+router.delete('/:id/unassign-vendor/:vendorId', authenticate, requirePermission('projects.assign'), validateIds('id', 'vendorId'), requireProjectAccess('id'), async (req, res) => {
   try {
     const { id, vendorId } = req.params;
 
@@ -668,15 +773,56 @@ router.delete('/:id/unassign-vendor/:vendorId', authenticate, authorize('owner',
   }
 });
 
+/**
+ * @route   GET /api/projects/:id/documents
+ * @desc    Project documents with their version history, and the document checklist
+ * @access  Private (project members; invoices not for vendors)
+ */
+router.get('/:id/documents', authenticate, requireProjectAccess('id'), async (req, res) => {
+  try {
+    const query = { project: req.params.id };
+    if (req.user.role === 'vendor') query.type = { $ne: 'invoice' };
+
+    const [documents, project] = await Promise.all([
+      ProjectDocument.find(query)
+        .populate(DOCUMENT_USERS, 'firstName lastName')
+        .sort({ updatedAt: -1 }),
+      Project.findById(req.params.id).select('documentChecklist'),
+    ]);
+
+    // Checklist items are received once a document of that name is uploaded
+    const names = new Set(documents.map((document) => document.name.toLowerCase()));
+    const checklist = (project?.documentChecklist || [])
+      .filter((item) => req.user.role !== 'vendor' || item.type !== 'invoice')
+      .map((item) => ({ ...item.toObject(), received: names.has(item.name.toLowerCase()) }));
+
+    res.json({
+      success: true,
+      data: { documents: documents.map((document) => document.toHistoryJSON()), checklist },
+    });
+  } catch (error) {
+    console.error('Get project documents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get project documents',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   POST /api/projects/:id/upload-documents
- * @desc    Upload documents to project
- * @access  Private (Owner, Employee, Client with access)
+ * @desc    Upload documents to project. A file named like an existing document
+ *          (or sent with documentId) becomes that document's next version.
+ * @access  Private (project members)
  */
-router.post('/:id/upload-documents', authenticate, uploadMultiple('documents', 3), async (req, res) => {
+router.post('/:id/upload-documents', authenticate, validateIds('id'), requireProjectAccess('id'), uploadMultiple('documents', 3), validateDocumentUpload, async (req, res) => {
+  // Files not (yet) part of a saved document, removed again if the request fails
+  let unsaved = req.files || [];
+
   try {
     const { id } = req.params;
-    const { type = 'other' } = req.body;
+    const { type = 'other', name, notes, documentId } = req.body;
 
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -685,47 +831,63 @@ router.post('/:id/upload-documents', authenticate, uploadMultiple('documents', 3
       });
     }
 
-    const project = await Project.findById(id)
-      .populate('client assignedEmployees');
-
-    if (!project) {
-      return res.status(404).json({
+    if (documentId && req.files.length > 1) {
+      discardUploads(req);
+      return res.status(400).json({
         success: false,
-        message: 'Project not found',
+        message: 'Upload one file at a time as a new version',
       });
     }
 
-    // Check access permissions
-    const hasAccess =
-      req.user.role === 'owner' ||
-      (req.user.role === 'client' && project.client._id.toString() === req.user._id.toString()) ||
-      (req.user.role === 'employee' && project.assignedEmployees.some(emp => emp._id.toString() === req.user._id.toString()));
+    // Find every file's document before saving any, so a bad request stores nothing
+    const existing = await ProjectDocument.find({ project: id });
+    const targets = [];
 
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
+    for (const file of req.files) {
+      const documentName = (req.files.length === 1 && name) || file.originalname;
+      let document = documentId
+        ? existing.find((doc) => doc._id.toString() === documentId)
+        : existing.find((doc) => doc.name.toLowerCase() === documentName.toLowerCase());
+
+      if (documentId && !document) {
+        discardUploads(req);
+        return res.status(404).json({
+          success: false,
+          message: 'Document not found',
+        });
+      }
+
+      if (!document) {
+        document = new ProjectDocument({
+          project: id,
+          name: documentName,
+          type,
+          createdBy: req.user._id,
+        });
+        existing.push(document);
+      }
+
+      targets.push({ file, document });
     }
 
-    // Add documents to project
-    const documents = req.files.map(file => ({
-      name: file.originalname,
-      url: getFileUrl(req, `documents/${file.filename}`),
-      type,
-      uploadedBy: req.user._id,
-    }));
+    const documents = [];
+    for (const { file, document } of targets) {
+      document.addVersion(versionOf(file, req.user, notes));
+      await document.save();
+      unsaved = unsaved.filter((other) => other !== file);
+      documents.push(document);
+    }
 
-    project.documents.push(...documents);
-    await project.save();
+    await ProjectDocument.populate(documents, { path: DOCUMENT_USERS, select: 'firstName lastName' });
 
     res.json({
       success: true,
       message: 'Documents uploaded successfully',
-      data: { documents },
+      data: { documents: documents.map((document) => document.toHistoryJSON()) },
     });
   } catch (error) {
     console.error('Upload documents error:', error);
+    discardUploads(req, unsaved);
     res.status(500).json({
       success: false,
       message: 'Failed to upload documents',
@@ -734,12 +896,269 @@ router.post('/:id/upload-documents', authenticate, uploadMultiple('documents', 3
   }
 });
 
+/**
+ * @route   POST /api/projects/:id/documents/:documentId/versions
+ * @desc    Upload a new version of a document (field `file`, optional `notes`)
+ * @access  Private (project members; invoices not for vendors)
+ */
+router.post('/:id/documents/:documentId/versions', authenticate, validateIds('id', 'documentId'), requireProjectAccess('id'), uploadSingle('file'), async (req, res) => {
+  try {
+    const document = await loadDocument(req, res);
+    if (!document) {
+      discardUploads(req);
+      return;
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded',
+      });
+    }
+
+    const version = document.addVersion(versionOf(req.file, req.user, req.body.notes));
+    await document.save();
+    await document.populate(DOCUMENT_USERS, 'firstName lastName');
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${version.number} uploaded`,
+      data: { document: document.toHistoryJSON() },
+    });
+  } catch (error) {
+    console.error('Upload document version error:', error);
+    discardUploads(req);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload document version',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/projects/:id/documents/:documentId/current
+ * @desc    Mark a version as the current/approved one ({ version })
+ * @access  Private (projects.edit, project members)
+ */
+router.put('/:id/documents/:documentId/current', authenticate, requirePermission('projects.edit'), validateCurrentVersion, requireProjectAccess('id'), async (req, res) => {
+  try {
+    const document = await loadDocument(req, res);
+    if (!document) return;
+
+    const version = document.markCurrent(req.body.version, req.user);
+    if (!version) {
+      return res.status(400).json({
+        success: false,
+        message: 'Version not found',
+      });
+    }
+
+    await document.save();
+    await document.populate(DOCUMENT_USERS, 'firstName lastName');
+
+    res.json({
+      success: true,
+      message: `Version ${version.number} is now current`,
+      data: { document: document.toHistoryJSON() },
+    });
+  } catch (error) {
+    console.error('Mark document version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark document version',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/projects/:id/documents/:documentId/diff
+ * @desc    Metadata changes between two versions (?from=&to=, default current -> latest)
+ * @access  Private (project members; invoices not for vendors)
+ */
+router.get('/:id/documents/:documentId/diff', authenticate, requireProjectAccess('id'), async (req, res) => {
+  try {
+    const document = await loadDocument(req, res);
+    if (!document) return;
+
+    const from = Number(req.query.from || document.currentVersion);
+    const to = Number(req.query.to || document.latestVersion);
+    const changes = document.compareVersions(from, to);
+
+    if (!changes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Version not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { from, to, changes },
+    });
+  } catch (error) {
+    console.error('Document diff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare document versions',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/projects/:id/documents/:documentId/approval-requests
+ * @desc    Ask the client to approve a design/contract version ({ version, message }; default latest)
+ * @access  Private (projects.edit, project members)
+ */
+router.post('/:id/documents/:documentId/approval-requests', authenticate, requirePermission('projects.edit'), validateApprovalRequest, requireProjectAccess('id'), async (req, res) => {
+  try {
+    const document = await loadDocument(req, res);
+    if (!document) return;
+
+    if (!APPROVABLE_TYPES.includes(document.type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${APPROVABLE_TYPES.join(' and ')} documents can be sent for client approval`,
+      });
+    }
+
+    const { project } = req;
+    if (!project.client) {
+      return res.status(400).json({
+        success: false,
+        message: 'This project has no client to approve documents',
+      });
+    }
+
+    const version = document.getVersion(req.body.version || document.latestVersion);
+    if (!version) {
+      return res.status(400).json({
+        success: false,
+        message: 'Version not found',
+      });
+    }
+
+    const pending = await DocumentApproval.findOne({ document: document._id, status: { $in: ['pending', 'responding'] } });
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        message: `v${pending.version} of this document is already waiting for client approval`,
+      });
+    }
+
+    const approval = new DocumentApproval({
+      project: project._id,
+      document: document._id,
+      documentName: document.name,
+      version: version.number,
+      client: project.client,
+      requestedBy: req.user._id,
+      message: req.body.message,
+    });
+    await approval.save();
+
+    try {
+      await NotificationService.notifyApprovalRequested({ approval, projectTitle: project.title });
+    } catch (notifyError) {
+      console.error('Approval request notification error:', notifyError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Approval requested from the client',
+      data: { approval },
+    });
+  } catch (error) {
+    console.error('Request document approval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request approval',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/projects/:id/approvals
+ * @desc    Client approval requests for the project's documents (?status=, ?documentId=)
+ * @access  Private (project members except vendors)
+ */
+router.get('/:id/approvals', authenticate, validateIds('id'), validateApprovalList, requireProjectAccess('id', { vendors: false }), async (req, res) => {
+  try {
+    const { status, documentId } = req.query;
+
+    const query = { project: req.params.id };
+    if (status) query.status = status;
+    if (documentId) query.document = documentId;
+
+    const approvals = await DocumentApproval.find(query)
+      .populate('client requestedBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { approvals },
+    });
+  } catch (error) {
+    console.error('Get approvals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get approvals',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/projects/:id/approvals/:approvalId
+ * @desc    Withdraw an approval request the client hasn't answered
+ * @access  Private (projects.edit, project members)
+ */
+router.delete('/:id/approvals/:approvalId', authenticate, requirePermission('projects.edit'), validateIds('id', 'approvalId'), requireProjectAccess('id'), async (req, res) => {
+  try {
+    const { id, approvalId } = req.params;
+
+    const approval = await DocumentApproval.findOne({ _id: approvalId, project: id });
+    if (!approval) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval request not found',
+      });
+    }
+
+    if (approval.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'The client has already answered this request',
+      });
+    }
+
+    approval.status = 'cancelled';
+    await approval.save();
+
+    res.json({
+      success: true,
+      message: 'Approval request withdrawn',
+      data: { approval },
+    });
+  } catch (error) {
+    console.error('Cancel approval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw approval request',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   POST /api/projects/:id/upload-images
  * @desc    Upload images to project
- * @access  Private (Owner, Employee with access)
+ * @access  Private (projects.edit, project members)
  */
-router.post('/:id/upload-images', authenticate, isOwnerOrEmployee, uploadMultiple('images', 5), async (req, res) => {
+router.post('/:id/upload-images', authenticate, requirePermission('projects.edit'), validateIds('id'), requireProjectAccess('id'), uploadMultiple('images', 5, { renditions: true }), validateProjectImages, async (req, res) => {
   try {
     const { id } = req.params;
     const { type = 'progress' } = req.body;
@@ -761,19 +1180,13 @@ router.post('/:id/upload-images', authenticate, isOwnerOrEmployee, uploadMultipl
       });
     }
 
-    // Check if employee is assigned to the project (if not owner)
-    if (req.user.role === 'employee' && !project.assignedEmployees.some(emp => emp._id.toString() === req.user._id.toString())) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not assigned to this project',
-      });
-    }
-
     // Add images to project
     const images = req.files.map(file => ({
       name: file.originalname,
-      url: getFileUrl(req, `images/${file.filename}`),
+      url: file.url,
       type,
+      dimensions: file.width ? { width: file.width, height: file.height } : undefined,
+      renditions: file.renditions,
       uploadedBy: req.user._id,
     }));
 
@@ -796,22 +1209,59 @@ router.post('/:id/upload-images', authenticate, isOwnerOrEmployee, uploadMultipl
 });
 
 /**
- * @route   PUT /api/projects/:id/progress
- * @desc    Update project progress
- * @access  Private (Owner and Employee with access)
+ * @route   GET /api/projects/:id/progress
+ * @desc    How the project's progress figure is made up: each part's completion, weight and contribution
+ * @access  Private (project members)
  */
-router.put('/:id/progress', authenticate, isOwnerOrEmployee, async (req, res) => {
+router.get('/:id/progress', authenticate, requireProjectAccess('id'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { percentage, milestones } = req.body;
+    const project = await Project.findById(req.params.id)
+      .select('progress')
+      .populate('progress.updatedBy', 'firstName lastName');
 
-    if (percentage !== undefined && (percentage < 0 || percentage > 100)) {
-      return res.status(400).json({
+    if (!project) {
+      return res.status(404).json({
         success: false,
-        message: 'Progress percentage must be between 0 and 100',
+        message: 'Project not found',
       });
     }
 
+    // Manual projects see what auto mode would give, too
+    const breakdown = await computeProjectProgress(project);
+
+    res.json({
+      success: true,
+      data: {
+        progress: {
+          mode: project.progress.mode,
+          percentage: project.progress.percentage,
+          computedPercentage: breakdown.percentage,
+          parts: breakdown.parts,
+          lastUpdated: project.progress.lastUpdated,
+          updatedBy: project.progress.updatedBy,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get progress breakdown error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get project progress',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/projects/:id/progress
+ * @desc    Update project progress: mode (manual or auto), weights of auto progress, milestones, and the percentage in manual mode
+ * @access  Private (projects.edit, project members)
+ */
+router.put('/:id/progress', authenticate, requirePermission('projects.edit'), validateProgress, requireProjectAccess('id'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { percentage, milestones, mode, weights } = req.body;
+
     const project = await Project.findById(id)
       .populate('assignedEmployees');
 
@@ -822,11 +1272,15 @@ router.put('/:id/progress', authenticate, isOwnerOrEmployee, async (req, res) =>
       });
     }
 
-    // Check if employee is assigned to the project (if not owner)
-    if (req.user.role === 'employee' && !project.assignedEmployees.some(emp => emp._id.toString() === req.user._id.toString())) {
-      return res.status(403).json({
+    if (mode) {
+      project.progress.mode = mode;
+    }
+
+    // Auto progress is recomputed on save (see utils/projectProgress)
+    if (percentage !== undefined && project.progress.mode === 'auto') {
+      return res.status(400).json({
         success: false,
-        message: 'You are not assigned to this project',
+        message: 'Progress is calculated automatically for this project. Switch to manual mode to set it.',
       });
     }
 
@@ -839,6 +1293,12 @@ router.put('/:id/progress', authenticate, isOwnerOrEmployee, async (req, res) =>
       project.progress.milestones = milestones;
     }
 
+    if (weights) {
+      ['milestones', 'tasks', 'deliveries'].forEach((part) => {
+        if (weights[part] !== undefined) project.progress.weights[part] = weights[part];
+      });
+    }
+
     project.progress.lastUpdated = new Date();
     project.progress.updatedBy = req.user._id;
 
@@ -935,21 +1395,13 @@ router.get('/client/:clientId', authenticate, async (req, res) => {
 /**
  * @route   POST /api/projects/:id/timeline
  * @desc    Add timeline event to project
- * @access  Private (Owner, Employee)
+ * @access  Private (projects.edit, project members)
  */
-router.post('/:id/timeline', authenticate, isOwnerOrEmployee, async (req, res) => {
+router.post('/:id/timeline', authenticate, requirePermission('projects.edit'), validateProjectTimelineEvent, requireProjectAccess('id'), async (req, res) => {
   try {
     const { id } = req.params;
     const { eventType, title, description, attachments = [], visibility = 'public', status = 'in-progress', startDate, endDate } = req.body;
 
-    // Validate required fields
-    if (!eventType || !title || !description) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields: eventType, title, description',
-      });
-    }
-
     const project = await Project.findById(id)
       .populate('client');
 
@@ -960,15 +1412,6 @@ router.post('/:id/timeline', authenticate, isOwnerOrEmployee, async (req, res) =
       });
     }
 
-    // Check if employee is assigned to the project (if not owner)
-    if (req.user.role === 'employee' &&
-      !project.assignedEmployees.some(emp => emp._id.toString() === req.user._id.toString())) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not assigned to this project',
-      });
-    }
-
     const timelineEvent = new ClientTimelineEvent({
       clientId: project.client._id,
       projectId: id,
@@ -1061,12 +1504,56 @@ router.post('/:id/timeline', authenticate, isOwnerOrEmployee, async (req, res) =
   }
 });
 
+/**
+ * @route   GET /api/projects/:id/schedule
+ * @desc    Gantt schedule of the project's tasks: dates after dependencies, milestone groups and critical path
+ * @access  Private (project members)
+ */
+router.get('/:id/schedule', authenticate, requireProjectAccess('id'), async (req, res) => {
+  try {
+    const [project, tasks] = await Promise.all([
+      Project.findById(req.params.id).select('title timeline progress.milestones'),
+      Task.find({ projectId: req.params.id })
+        .select('taskName status priority assignedTo date startDate endDate duration dependencies milestone')
+        .populate('assignedTo', 'firstName lastName'),
+    ]);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found',
+      });
+    }
+
+    const schedule = buildSchedule(tasks, project.progress?.milestones || []);
+
+    res.json({
+      success: true,
+      data: {
+        schedule: {
+          ...schedule,
+          expectedEndDate: project.timeline?.expectedEndDate || null,
+          // The tasks cannot all be done by the project's expected end date
+          late: !!(project.timeline?.expectedEndDate && schedule.end && schedule.end > project.timeline.expectedEndDate),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get project schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get project schedule',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   GET /api/projects/:id/timeline
  * @desc    Get project timeline
- * @access  Private (Owner, Employee, Client with access)
+ * @access  Private (project members)
  */
-router.get('/:id/timeline', authenticate, async (req, res) => {
+router.get('/:id/timeline', authenticate, requireProjectAccess('id'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -1086,19 +1573,6 @@ router.get('/:id/timeline', authenticate, async (req, res) => {
       });
     }
 
-    // Check access permissions
-    const hasAccess =
-      req.user.role === 'owner' ||
-      (req.user.role === 'client' && project.client._id.toString() === req.user._id.toString()) ||
-      (req.user.role === 'employee' && project.assignedEmployees.some(emp => emp._id.toString() === req.user._id.toString()));
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
-
     const options = {
       page: parseInt(page),
       limit: parseInt(limit),
@@ -1132,10 +1606,10 @@ router.get('/:id/timeline', authenticate, async (req, res) => {
 
 /**
  * @route   POST /api/projects/:id/media
- * @desc    Upload project media to GCS
- * @access  Private (Owner, Employee)
+ * @desc    Upload project media
+ * @access  Private (projects.edit, project members)
  */
-router.post('/:id/media', authenticate, isOwnerOrEmployee, (req, res, next) => {
+router.post('/:id/media', authenticate, requirePermission('projects.edit'), validateIds('id'), requireProjectAccess('id'), (req, res, next) => {
   uploadMediaToMemory(req, res, (err) => {
     if (err) {
       console.error('[Projects] Media upload multer error:', err);
@@ -1143,7 +1617,7 @@ router.post('/:id/media', authenticate, isOwnerOrEmployee, (req, res, next) => {
     }
     next();
   });
-}, async (req, res) => {
+}, validateProjectMedia, async (req, res) => {
   try {
     const { id } = req.params;
     const { description = '', tags = [], category = 'progress', isPublic = true } = req.body;
@@ -1165,25 +1639,17 @@ router.post('/:id/media', authenticate, isOwnerOrEmployee, (req, res, next) => {
       });
     }
 
-    // Check if employee is assigned to the project (if not owner)
-    if (req.user.role === 'employee' &&
-      !project.assignedEmployees.some(emp => emp._id.toString() === req.user._id.toString())) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not assigned to this project',
-      });
-    }
-
-    // Upload files to GCS and process
+    // Store files and process
     const mediaFiles = [];
     for (const file of req.files) {
       try {
-        const { filename, url } = await uploadToGCS({
-          buffer: file.buffer,
+        const { filename, url, size, width, height, renditions } = await saveUpload({
+          body: file.buffer,
           mimetype: file.mimetype,
           originalname: file.originalname,
           folder: 'project-media',
           projectId: id,
+          renditions: true,
         });
 
         mediaFiles.push({
@@ -1195,7 +1661,9 @@ router.post('/:id/media', authenticate, isOwnerOrEmployee, (req, res, next) => {
           type: file.mimetype.startsWith('image/') ? 'image' :
             file.mimetype.startsWith('video/') ? 'video' : 'document',
           mimeType: file.mimetype,
-          size: file.size,
+          size,
+          dimensions: width ? { width, height } : undefined,
+          renditions,
           description,
           tags: Array.isArray(tags) ? tags : (tags ? tags.split(',').map(tag => tag.trim()) : []),
           category,
@@ -1203,14 +1671,14 @@ router.post('/:id/media', authenticate, isOwnerOrEmployee, (req, res, next) => {
           uploadedBy: req.user._id,
         });
       } catch (uploadError) {
-        console.error('Error uploading file to GCS:', uploadError);
+        console.error('Error storing media file:', uploadError);
       }
     }
 
     if (mediaFiles.length === 0) {
       return res.status(500).json({
         success: false,
-        message: 'Failed to upload any files to GCS',
+        message: 'Failed to upload any files',
       });
     }
 
@@ -1227,7 +1695,7 @@ router.post('/:id/media', authenticate, isOwnerOrEmployee, (req, res, next) => {
 
     res.status(201).json({
       success: true,
-      message: 'Media uploaded successfully to GCS',
+      message: 'Media uploaded successfully',
       data: { media: savedMedia },
     });
   } catch (error) {
@@ -1243,9 +1711,9 @@ router.post('/:id/media', authenticate, isOwnerOrEmployee, (req, res, next) => {
 /**
  * @route   GET /api/projects/:id/media
  * @desc    Get project media
- * @access  Private (Owner, Employee, Client with access)
+ * @access  Private (project members)
  */
-router.get('/:id/media', authenticate, async (req, res) => {
+router.get('/:id/media', authenticate, requireProjectAccess('id'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -1266,19 +1734,6 @@ router.get('/:id/media', authenticate, async (req, res) => {
       });
     }
 
-    // Check access permissions
-    const hasAccess =
-      req.user.role === 'owner' ||
-      (req.user.role === 'client' && project.client._id.toString() === req.user._id.toString()) ||
-      (req.user.role === 'employee' && project.assignedEmployees.some(emp => emp._id.toString() === req.user._id.toString()));
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
-
     const options = {
       page: parseInt(page),
       limit: parseInt(limit),
@@ -1321,9 +1776,9 @@ router.get('/:id/media', authenticate, async (req, res) => {
 /**
  * @route   POST /api/projects/:id/invoices
  * @desc    Create project invoice
- * @access  Private (Owner, Employee)
+ * @access  Private (invoices.create, project members)
  */
-router.post('/:id/invoices', authenticate, isOwnerOrEmployee, async (req, res) => {
+router.post('/:id/invoices', authenticate, requirePermission('invoices.create'), validateProjectInvoice, requireProjectAccess('id'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -1338,24 +1793,6 @@ router.post('/:id/invoices', authenticate, isOwnerOrEmployee, async (req, res) =
       internalNotes
     } = req.body;
 
-    // Validate required fields
-    if (!lineItems || !Array.isArray(lineItems) || lineItems.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields: lineItems (array)',
-      });
-    }
-
-    // Validate line items
-    for (const item of lineItems) {
-      if (!item.description || !item.unitPrice || !item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: 'Each line item must have description, unitPrice, and quantity',
-        });
-      }
-    }
-
     const project = await Project.findById(id)
       .populate('client');
 
@@ -1366,15 +1803,6 @@ router.post('/:id/invoices', authenticate, isOwnerOrEmployee, async (req, res) =
       });
     }
 
-    // Check if employee is assigned to the project (if not owner)
-    if (req.user.role === 'employee' &&
-      !project.assignedEmployees.some(emp => emp._id.toString() === req.user._id.toString())) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not assigned to this project',
-      });
-    }
-
     const invoice = new ClientInvoice({
       clientId: project.client._id,
       projectId: id,
@@ -1419,9 +1847,9 @@ router.post('/:id/invoices', authenticate, isOwnerOrEmployee, async (req, res) =
 /**
  * @route   GET /api/projects/:id/invoices
  * @desc    Get project invoices
- * @access  Private (Owner, Employee, Client with access)
+ * @access  Private (project members except vendors)
  */
-router.get('/:id/invoices', authenticate, async (req, res) => {
+router.get('/:id/invoices', authenticate, requireProjectAccess('id', { vendors: false }), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -1442,19 +1870,6 @@ router.get('/:id/invoices', authenticate, async (req, res) => {
       });
     }
 
-    // Check access permissions
-    const hasAccess =
-      req.user.role === 'owner' ||
-      (req.user.role === 'client' && project.client._id.toString() === req.user._id.toString()) ||
-      (req.user.role === 'employee' && project.assignedEmployees.some(emp => emp._id.toString() === req.user._id.toString()));
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
-
     const sortConfig = {};
     sortConfig[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
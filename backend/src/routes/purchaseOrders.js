@@ -1,12 +1,47 @@
 const express = require('express');
 const router = express.Router();
-const { validationResult } = require('express-validator');
 const PurchaseOrder = require('../models/PurchaseOrder');
 const NegotiationMessage = require('../models/NegotiationMessage');
 const VendorInvoice = require('../models/VendorInvoice');
 const Quotation = require('../models/Quotation');
 const Project = require('../models/Project');
-const { authenticate, authorize, isOwner } = require('../middleware/auth');
+const NotificationService = require('../utils/notificationService');
+const { authenticate, authorize, requirePermission } = require('../middleware/auth');
+const { requireProjectAccess } = require('../middleware/projectAccess');
+const {
+  validateIds,
+  validatePurchaseOrder,
+  validatePurchaseOrderMessage,
+  validateNegotiationQuotation,
+  validateQuotationRejection,
+  validateDeliveryDetails,
+  validateDeliveryStatus,
+  validateDelivery,
+} = require('../middleware/validation');
+const { parseListQuery, findPage } = require('../utils/listQuery');
+
+// Filters and sorts of the purchase order list (see utils/listQuery)
+const PURCHASE_ORDER_LIST = {
+  filters: {
+    status: 'status',
+    projectId: 'project',
+    vendorId: 'vendor',
+    amount: 'totalAmount',
+    createdAt: 'createdAt',
+    expectedDeliveryDate: 'deliveryTracking.expectedDeliveryDate',
+  },
+  sorts: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    purchaseOrderNumber: 'purchaseOrderNumber',
+    title: 'title',
+    status: 'status',
+    amount: 'totalAmount',
+    expectedDeliveryDate: 'deliveryTracking.expectedDeliveryDate',
+  },
+  defaultSort: '-createdAt',
+  defaultLimit: 10,
+};
 
 const canAccessPurchaseOrder = async (purchaseOrder, user) => {
   if (!purchaseOrder || !user) return false;
@@ -23,6 +58,9 @@ const canAccessPurchaseOrder = async (purchaseOrder, user) => {
   return false;
 };
 
+// Delivery statuses that mean the goods have left the vendor
+const DISPATCHED_STATUSES = ['dispatched', 'shipped', 'in_transit', 'out_for_delivery'];
+
 const toSocketPayload = (messageDoc, orderId) => {
   const obj = messageDoc.toObject ? messageDoc.toObject() : { ...messageDoc };
   obj.order = orderId;
@@ -31,12 +69,13 @@ const toSocketPayload = (messageDoc, orderId) => {
 
 /**
  * @route   GET /api/purchase-orders
- * @desc    Get purchase orders (role-based access)
+ * @desc    Get purchase orders (role-based access); list filters, sort and
+ *          cursor/page pagination as in utils/listQuery
  * @access  Private
  */
 router.get('/', authenticate, async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, projectId, vendorId, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    const list = parseListQuery(PurchaseOrder, req.query, PURCHASE_ORDER_LIST);
 
     let query = {};
 
@@ -66,43 +105,28 @@ router.get('/', authenticate, async (req, res) => {
         });
     }
 
-    // Additional filters
-    if (status) query.status = status;
-    if (projectId) query.project = projectId;
-    if (vendorId) query.vendor = vendorId;
-
-    // Sort configuration
-    const sortConfig = {};
-    sortConfig[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const purchaseOrders = await PurchaseOrder.find(query)
-      .populate('quotation', 'quotationNumber title')
-      .populate('materialRequest', 'title')
-      .populate('project', 'title status')
-      .populate('vendor', 'firstName lastName email vendorDetails.companyName')
-      .populate('createdBy', 'firstName lastName')
-      .sort(sortConfig)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await PurchaseOrder.countDocuments(query);
+    const { items: purchaseOrders, pagination } = await findPage(PurchaseOrder, query, list, {
+      populate: [
+        { path: 'quotation', select: 'quotationNumber title' },
+        { path: 'materialRequest', select: 'title' },
+        { path: 'project', select: 'title status' },
+        { path: 'vendor', select: 'firstName lastName email vendorDetails.companyName' },
+        { path: 'createdBy', select: 'firstName lastName' },
+      ],
+    });
 
     res.json({
       success: true,
       data: {
         purchaseOrders,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
-          total,
-        },
+        pagination,
       },
     });
   } catch (error) {
     console.error('Get purchase orders error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Failed to get purchase orders',
+      message: error.status ? error.message : 'Failed to get purchase orders',
       error: error.message,
     });
   }
@@ -137,9 +161,9 @@ router.get('/unread-count', authenticate, async (req, res) => {
 /**
  * @route   GET /api/purchase-orders/delivery-overview
  * @desc    Get delivery tracking overview (Owner)
- * @access  Private (Owner)
+ * @access  Private (reports.overview)
  */
-router.get('/delivery-overview', authenticate, isOwner, async (req, res) => {
+router.get('/delivery-overview', authenticate, requirePermission('reports.overview'), async (req, res) => {
   try {
     const orders = await PurchaseOrder.find({
       status: { $in: ['accepted', 'in_progress', 'acknowledged', 'partially_delivered', 'completed'] },
@@ -203,7 +227,7 @@ router.get('/:id/messages', authenticate, async (req, res) => {
  * @desc    Send a negotiation message (text/system)
  * @access  Private (Owner/Vendor)
  */
-router.post('/:id/messages', authenticate, async (req, res) => {
+router.post('/:id/messages', authenticate, validatePurchaseOrderMessage, async (req, res) => {
   try {
     const { id } = req.params;
     const { content, messageType = 'text' } = req.body;
@@ -226,10 +250,6 @@ router.post('/:id/messages', authenticate, async (req, res) => {
       });
     }
 
-    if (messageType === 'text' && (!content || !String(content).trim())) {
-      return res.status(400).json({ success: false, message: 'Message content is required' });
-    }
-
     const message = await NegotiationMessage.create({
       purchaseOrder: id,
       sender: req.user._id,
@@ -261,7 +281,7 @@ router.post('/:id/messages', authenticate, async (req, res) => {
  * @desc    Mark all messages in an order as read
  * @access  Private
  */
-router.put('/:id/mark-read', authenticate, async (req, res) => {
+router.put('/:id/mark-read', authenticate, validateIds('id'), async (req, res) => {
   try {
     const { id } = req.params;
     const purchaseOrder = await PurchaseOrder.findById(id);
@@ -294,9 +314,9 @@ router.put('/:id/mark-read', authenticate, async (req, res) => {
 /**
  * @route   POST /api/purchase-orders/:id/quotation
  * @desc    Vendor submits a quotation message
- * @access  Private (Vendor)
+ * @access  Private (po.quote)
  */
-router.post('/:id/quotation', authenticate, authorize('vendor'), async (req, res) => {
+router.post('/:id/quotation', authenticate, requirePermission('po.quote'), validateNegotiationQuotation, async (req, res) => {
   try {
     const { id } = req.params;
     const { amount, currency = 'INR', note = '', items = [], validUntil = null, inResponseTo = null } = req.body;
@@ -326,10 +346,6 @@ router.post('/:id/quotation', authenticate, authorize('vendor'), async (req, res
       });
     }
 
-    if (typeof amount !== 'number' || amount <= 0) {
-      return res.status(400).json({ success: false, message: 'Valid quotation amount is required' });
-    }
-
     const quotationMessage = await NegotiationMessage.create({
       purchaseOrder: id,
       sender: req.user._id,
@@ -374,9 +390,9 @@ router.post('/:id/quotation', authenticate, authorize('vendor'), async (req, res
 /**
  * @route   PUT /api/purchase-orders/:id/quotation/:messageId/accept
  * @desc    Owner accepts a quotation, generates invoice, closes chat
- * @access  Private (Owner)
+ * @access  Private (po.accept-quotation)
  */
-router.put('/:id/quotation/:messageId/accept', authenticate, isOwner, async (req, res) => {
+router.put('/:id/quotation/:messageId/accept', authenticate, requirePermission('po.accept-quotation'), validateIds('id', 'messageId'), async (req, res) => {
   try {
     const { id, messageId } = req.params;
     const purchaseOrder = await PurchaseOrder.findById(id).populate('project', 'title');
@@ -507,6 +523,21 @@ router.put('/:id/quotation/:messageId/accept', authenticate, isOwner, async (req
       }
     }
 
+    try {
+      await NotificationService.notifyQuotationAccepted({
+        vendorId: purchaseOrder.vendor?._id || purchaseOrder.vendor,
+        executiveId: req.user._id,
+        projectId: purchaseOrder.project?._id,
+        purchaseOrderId: purchaseOrder._id,
+        amount: quotationMessage.quotation.amount,
+        orderNumber: purchaseOrder.purchaseOrderNumber,
+        orderTitle: purchaseOrder.title,
+        projectTitle: purchaseOrder.project?.title,
+      });
+    } catch (notifError) {
+      console.error('Failed to send quotation accepted notification:', notifError);
+    }
+
     res.json({
       success: true,
       message: 'Quotation accepted. Awaiting delivery details from vendor.',
@@ -524,9 +555,9 @@ router.put('/:id/quotation/:messageId/accept', authenticate, isOwner, async (req
 /**
  * @route   PUT /api/purchase-orders/:id/quotation/:messageId/reject
  * @desc    Owner rejects a quotation
- * @access  Private (Owner)
+ * @access  Private (po.accept-quotation)
  */
-router.put('/:id/quotation/:messageId/reject', authenticate, isOwner, async (req, res) => {
+router.put('/:id/quotation/:messageId/reject', authenticate, requirePermission('po.accept-quotation'), validateQuotationRejection, async (req, res) => {
   try {
     const { id, messageId } = req.params;
     const { reason = '' } = req.body;
@@ -587,9 +618,9 @@ router.put('/:id/quotation/:messageId/reject', authenticate, isOwner, async (req
 /**
  * @route   POST /api/purchase-orders/:id/delivery-details
  * @desc    Vendor submits delivery details after quotation acceptance
- * @access  Private (Vendor)
+ * @access  Private (po.fulfil)
  */
-router.post('/:id/delivery-details', authenticate, authorize('vendor'), async (req, res) => {
+router.post('/:id/delivery-details', authenticate, requirePermission('po.fulfil'), validateDeliveryDetails, async (req, res) => {
   try {
     const { id } = req.params;
     const { estimatedDeliveryDate, trackingNumber, carrier, deliveryNotes } = req.body;
@@ -716,9 +747,9 @@ router.post('/:id/delivery-details', authenticate, authorize('vendor'), async (r
 /**
  * @route   PUT /api/purchase-orders/:id/delivery-status
  * @desc    Update delivery tracking status
- * @access  Private (Vendor)
+ * @access  Private (po.fulfil)
  */
-router.put('/:id/delivery-status', authenticate, authorize('vendor'), async (req, res) => {
+router.put('/:id/delivery-status', authenticate, requirePermission('po.fulfil'), validateDeliveryStatus, async (req, res) => {
   try {
     const { id } = req.params;
     const { status, trackingNumber, carrier, expectedArrival, expectedDeliveryDate, notes } = req.body;
@@ -734,6 +765,7 @@ router.put('/:id/delivery-status', authenticate, authorize('vendor'), async (req
 
     purchaseOrder.deliveryTracking = purchaseOrder.deliveryTracking || {};
     purchaseOrder.deliveryTracking.updates = purchaseOrder.deliveryTracking.updates || [];
+    const previousDeliveryStatus = purchaseOrder.deliveryTracking.status;
 
     const now = new Date();
     const canonicalExpectedArrival = expectedArrival || expectedDeliveryDate || null;
@@ -782,6 +814,21 @@ router.put('/:id/delivery-status', authenticate, authorize('vendor'), async (req
       io.to(`order_${id}`).emit('orderUpdated', { orderId: id, deliveryTracking: purchaseOrder.deliveryTracking });
     }
 
+    // Let whoever raised the order know it has left the vendor
+    if (DISPATCHED_STATUSES.includes(status) && !DISPATCHED_STATUSES.includes(previousDeliveryStatus) && purchaseOrder.createdBy) {
+      try {
+        const project = await Project.findById(purchaseOrder.project).select('title');
+        await NotificationService.notifyDeliveryDispatched({
+          recipientId: purchaseOrder.createdBy,
+          vendorId: req.user._id,
+          purchaseOrder,
+          projectTitle: project?.title,
+        });
+      } catch (notifError) {
+        console.error('Failed to send delivery dispatched notification:', notifError);
+      }
+    }
+
     res.json({ success: true, message: 'Delivery tracking updated', data: { purchaseOrder } });
   } catch (error) {
     console.error('Update delivery status error:', error);
@@ -922,9 +969,9 @@ router.get('/:id', authenticate, async (req, res) => {
 /**
  * @route   POST /api/purchase-orders
  * @desc    Create purchase order from approved quotation
- * @access  Private (Owner only)
+ * @access  Private (po.create)
  */
-router.post('/', authenticate, isOwner, async (req, res) => {
+router.post('/', authenticate, requirePermission('po.create'), validatePurchaseOrder, async (req, res) => {
   try {
     const {
       quotationId,
@@ -1070,9 +1117,9 @@ router.post('/', authenticate, isOwner, async (req, res) => {
 /**
  * @route   PUT /api/purchase-orders/:id/send
  * @desc    Send purchase order to vendor
- * @access  Private (Owner only)
+ * @access  Private (po.create)
  */
-router.put('/:id/send', authenticate, isOwner, async (req, res) => {
+router.put('/:id/send', authenticate, requirePermission('po.create'), validateIds('id'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -1112,9 +1159,9 @@ router.put('/:id/send', authenticate, isOwner, async (req, res) => {
 /**
  * @route   PUT /api/purchase-orders/:id/acknowledge
  * @desc    Acknowledge purchase order (vendor)
- * @access  Private (Vendor only - own POs)
+ * @access  Private (po.fulfil - own POs)
  */
-router.put('/:id/acknowledge', authenticate, authorize('vendor'), async (req, res) => {
+router.put('/:id/acknowledge', authenticate, requirePermission('po.fulfil'), validateIds('id'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -1161,20 +1208,13 @@ router.put('/:id/acknowledge', authenticate, authorize('vendor'), async (req, re
 /**
  * @route   POST /api/purchase-orders/:id/delivery
  * @desc    Record delivery for purchase order
- * @access  Private (Owner and Employee)
+ * @access  Private (po.record-delivery)
  */
-router.post('/:id/delivery', authenticate, authorize('owner', 'employee'), async (req, res) => {
+router.post('/:id/delivery', authenticate, requirePermission('po.record-delivery'), validateDelivery, async (req, res) => {
   try {
     const { id } = req.params;
     const { deliveryDate, items, deliveredBy, notes, attachments } = req.body;
 
-    if (!deliveryDate || !items || items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Delivery date and items are required',
-      });
-    }
-
     const purchaseOrder = await PurchaseOrder.findById(id)
       .populate('project', 'assignedEmployees');
 
@@ -1222,35 +1262,12 @@ router.post('/:id/delivery', authenticate, authorize('owner', 'employee'), async
 /**
  * @route   GET /api/purchase-orders/project/:projectId
  * @desc    Get purchase orders for a specific project
- * @access  Private (role-based)
+ * @access  Private (project members)
  */
-router.get('/project/:projectId', authenticate, async (req, res) => {
+router.get('/project/:projectId', authenticate, requireProjectAccess('projectId'), async (req, res) => {
   try {
     const { projectId } = req.params;
 
-    // Verify project exists and user has access
-    const project = await Project.findById(projectId);
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found',
-      });
-    }
-
-    // Check access permissions
-    const hasAccess =
-      req.user.role === 'owner' ||
-      (req.user.role === 'client' && project.client.toString() === req.user._id.toString()) ||
-      (req.user.role === 'employee' && project.assignedEmployees.includes(req.user._id)) ||
-      (req.user.role === 'vendor' && project.assignedVendors.includes(req.user._id));
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
-
     const purchaseOrders = await PurchaseOrder.findByProject(projectId);
 
     res.json({
@@ -1,10 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { validationResult } = require('express-validator');
 const Quotation = require('../models/Quotation');
 const MaterialRequest = require('../models/MaterialRequest');
-const { authenticate, authorize, isOwner } = require('../middleware/auth');
-const { uploadMultiple, getFileUrl } = require('../middleware/upload');
+const { authenticate, authorize, isOwner, requirePermission } = require('../middleware/auth');
+const { uploadMultiple } = require('../middleware/upload');
+const {
+  validateIds,
+  validateQuotation,
+  validateQuotationUpdate,
+  validateQuotationStatus,
+} = require('../middleware/validation');
 
 /**
  * @route   GET /api/quotations
@@ -170,9 +175,9 @@ router.get('/:id', authenticate, async (req, res) => {
 /**
  * @route   POST /api/quotations
  * @desc    Create new quotation
- * @access  Private (Vendor only)
+ * @access  Private (quotations.submit)
  */
-router.post('/', authenticate, authorize('vendor'), async (req, res) => {
+router.post('/', authenticate, requirePermission('quotations.submit'), validateQuotation, async (req, res) => {
   try {
     const {
       materialRequestId,
@@ -243,9 +248,9 @@ router.post('/', authenticate, authorize('vendor'), async (req, res) => {
 /**
  * @route   PUT /api/quotations/:id/submit
  * @desc    Submit quotation for review
- * @access  Private (Vendor only - own quotations)
+ * @access  Private (quotations.submit - own quotations)
  */
-router.put('/:id/submit', authenticate, authorize('vendor'), async (req, res) => {
+router.put('/:id/submit', authenticate, requirePermission('quotations.submit'), validateIds('id'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -413,9 +418,9 @@ router.get('/vendor/my-quotations', authenticate, authorize('vendor'), async (re
 /**
  * @route   POST /api/quotations/:id/upload-attachments
  * @desc    Upload attachments to quotation
- * @access  Private (Vendor only - own quotations)
+ * @access  Private (quotations.submit - own quotations)
  */
-router.post('/:id/upload-attachments', authenticate, authorize('vendor'), uploadMultiple('attachments', 3), async (req, res) => {
+router.post('/:id/upload-attachments', authenticate, requirePermission('quotations.submit'), validateIds('id'), uploadMultiple('attachments', 3), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -455,7 +460,7 @@ router.post('/:id/upload-attachments', authenticate, authorize('vendor'), upload
 
       return {
         name: file.originalname,
-        url: getFileUrl(req, `quotations/${file.filename}`),
+        url: file.url,
         type,
       };
     });
@@ -481,9 +486,9 @@ router.post('/:id/upload-attachments', authenticate, authorize('vendor'), upload
 /**
  * @route   GET /api/quotations/pending-review
  * @desc    Get quotations pending review (Owner only)
- * @access  Private (Owner only)
+ * @access  Private (quotations.review)
  */
-router.get('/pending-review', authenticate, isOwner, async (req, res) => {
+router.get('/pending-review', authenticate, requirePermission('quotations.review'), async (req, res) => {
   try {
     const quotations = await Quotation.findPending();
 
@@ -504,28 +509,13 @@ router.get('/pending-review', authenticate, isOwner, async (req, res) => {
 /**
  * @route   PUT /api/quotations/:id/status
  * @desc    Update quotation status (Owner only)
- * @access  Private (Owner only)
+ * @access  Private (quotations.review)
  */
-router.put('/:id/status', authenticate, isOwner, async (req, res) => {
+router.put('/:id/status', authenticate, requirePermission('quotations.review'), validateQuotationStatus, async (req, res) => {
   try {
     const { id } = req.params;
     const { status, comments = '' } = req.body;
 
-    if (!status) {
-      return res.status(400).json({
-        success: false,
-        message: 'Status is required',
-      });
-    }
-
-    const validStatuses = ['under_review', 'approved', 'rejected'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid status. Must be one of: under_review, approved, rejected',
-      });
-    }
-
     const quotation = await Quotation.findById(id);
     if (!quotation) {
       return res.status(404).json({
@@ -634,9 +624,9 @@ router.post('/:id/notes', authenticate, async (req, res) => {
 /**
  * @route   PUT /api/quotations/:id
  * @desc    DEPRECATED - Submit new quotation in PurchaseOrder chat instead
- * @access  Private (Vendor only - own quotations)
+ * @access  Private (quotations.submit - own quotations)
  */
-router.put('/:id', authenticate, authorize('vendor'), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('quotations.submit'), validateQuotationUpdate, async (req, res) => {
   try {
     const { id } = req.params;
     const { items, deliveryTerms, paymentTerms, notes } = req.body;
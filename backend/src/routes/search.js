@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { SEARCH_TYPES, search } = require('../utils/search');
+
+/**
+ * @route   GET /api/search
+ * @desc    Search projects (title or HW- ID), clients, purchase orders,
+ *          invoices, material requests and files the user can access,
+ *          grouped by type (query: q, types=projects,files,..., limit per type)
+ * @access  Private
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q.length < 2 || q.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search text must be between 2 and 100 characters',
+      });
+    }
+
+    const types = req.query.types
+      ? String(req.query.types).split(',').map((type) => type.trim()).filter(Boolean)
+      : SEARCH_TYPES;
+    const unknown = types.find((type) => !SEARCH_TYPES.includes(type));
+    if (unknown) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown search type: ${unknown}`,
+      });
+    }
+
+    const { results, total } = await search(req.user, q, { types, limit: req.query.limit });
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        results,
+        total,
+      },
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Search failed',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { validationResult } = require('express-validator');
 const ServiceRequest = require('../models/ServiceRequest');
 const User = require('../models/User');
-const { authenticate, authorize, isOwner } = require('../middleware/auth');
-const { uploadMultiple, getFileUrl } = require('../middleware/upload');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validateServiceRequest,
+  validateVendorAssignment,
+  validateServiceRequestStatus,
+  validateServiceRequestMessage,
+} = require('../middleware/validation');
 
 /**
  * @route   GET /api/service-requests
@@ -52,7 +56,7 @@ router.get('/', authenticate, async (req, res) => {
  * @desc    Create new service request
  * @access  Private
  */
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, validateServiceRequest, async (req, res) => {
   try {
     const {
       requestType,
@@ -148,9 +152,9 @@ router.get('/:id', authenticate, async (req, res) => {
 /**
  * @route   PUT /api/service-requests/:id/assign
  * @desc    Assign vendor to service request
- * @access  Private (Owner only)
+ * @access  Private (service-requests.assign)
  */
-router.put('/:id/assign', authenticate, isOwner, async (req, res) => {
+router.put('/:id/assign', authenticate, requirePermission('service-requests.assign'), validateVendorAssignment, async (req, res) => {
   try {
     const { id } = req.params;
     const { vendorId } = req.body;
@@ -197,7 +201,7 @@ router.put('/:id/assign', authenticate, isOwner, async (req, res) => {
  * @desc    Update service request status
  * @access  Private (Owner, assigned vendor, or requester)
  */
-router.put('/:id/status', authenticate, async (req, res) => {
+router.put('/:id/status', authenticate, validateServiceRequestStatus, async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -245,7 +249,7 @@ router.put('/:id/status', authenticate, async (req, res) => {
  * @desc    Add communication to service request
  * @access  Private (Owner, assigned vendor, or requester)
  */
-router.post('/:id/communication', authenticate, async (req, res) => {
+router.post('/:id/communication', authenticate, validateServiceRequestMessage, async (req, res) => {
   try {
     const { id } = req.params;
     const { message, isInternal = false } = req.body;
@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const TaskTemplate = require('../models/TaskTemplate');
+const Project = require('../models/Project');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { requireProjectAccess } = require('../middleware/projectAccess');
+const {
+  validateIds,
+  validateTaskTemplate,
+  validateTaskTemplateUpdate,
+  validateTaskTemplateApply,
+} = require('../middleware/validation');
+
+const templateFields = ({ name, projectType, description, tasks }) => ({ name, projectType, description, tasks });
+
+/**
+ * @route   GET /api/task-templates
+ * @desc    Task templates, optionally for one project type (?projectType=residential)
+ * @access  Private (projects.create)
+ */
+router.get('/', authenticate, requirePermission('projects.create'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.projectType) filter.projectType = String(req.query.projectType);
+
+    const templates = await TaskTemplate.find(filter)
+      .populate('createdBy', 'firstName lastName')
+      .sort({ projectType: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { templates },
+    });
+  } catch (error) {
+    console.error('Get task templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get task templates',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/task-templates/:id
+ * @desc    Get a task template
+ * @access  Private (projects.create)
+ */
+router.get('/:id', authenticate, requirePermission('projects.create'), validateIds('id'), async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task template not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { template },
+    });
+  } catch (error) {
+    console.error('Get task template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get task template',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/task-templates
+ * @desc    Create a task template for a project type
+ * @access  Private (task-templates.manage)
+ */
+router.post('/', authenticate, requirePermission('task-templates.manage'), validateTaskTemplate, async (req, res) => {
+  try {
+    const template = await TaskTemplate.create({
+      ...templateFields(req.body),
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Task template created successfully',
+      data: { template },
+    });
+  } catch (error) {
+    console.error('Create task template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create task template',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/task-templates/:id
+ * @desc    Replace a task template's name, project type, description and tasks
+ * @access  Private (task-templates.manage)
+ */
+router.put('/:id', authenticate, requirePermission('task-templates.manage'), validateTaskTemplateUpdate, async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task template not found',
+      });
+    }
+
+    template.set(templateFields(req.body));
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Task template updated successfully',
+      data: { template },
+    });
+  } catch (error) {
+    console.error('Update task template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update task template',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/task-templates/:id
+ * @desc    Delete a task template (tasks already created from it stay)
+ * @access  Private (task-templates.manage)
+ */
+router.delete('/:id', authenticate, requirePermission('task-templates.manage'), validateIds('id'), async (req, res) => {
+  try {
+    const template = await TaskTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task template not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Task template deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete task template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete task template',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/task-templates/:id/apply
+ * @desc    Create the template's tasks in a project, dated from `startDate` (default: the project's start date, else today)
+ * @access  Private (projects.edit, project members)
+ */
+router.post('/:id/apply', authenticate, requirePermission('projects.edit'), validateTaskTemplateApply, requireProjectAccess((req) => req.body.projectId), async (req, res) => {
+  try {
+    const [template, project] = await Promise.all([
+      TaskTemplate.findById(req.params.id),
+      Project.findById(req.body.projectId).select('projectType timeline'),
+    ]);
+
+    if (!template || !project) {
+      return res.status(404).json({
+        success: false,
+        message: template ? 'Project not found' : 'Task template not found',
+      });
+    }
+
+    const tasks = await template.applyTo(project, {
+      startDate: req.body.startDate || project.timeline?.startDate || new Date().setUTCHours(0, 0, 0, 0),
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${tasks.length} tasks created from ${template.name}`,
+      data: { tasks },
+    });
+  } catch (error) {
+    console.error('Apply task template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply task template',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
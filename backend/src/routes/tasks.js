@@ -3,13 +3,63 @@ const router = express.Router();
 const Task = require('../models/Task');
 const Project = require('../models/Project');
 const { authenticate } = require('../middleware/auth');
+const { requireProjectAccess, projectOf } = require('../middleware/projectAccess');
+const {
+    validateTask,
+    validateTaskUpdate,
+    validateTaskStatus,
+    validateTaskDelete,
+} = require('../middleware/validation');
+const { createsCycle } = require('../utils/schedule');
+
+// Fields an edit with ?scope=following copies to the rest of the series
+const SERIES_FIELDS = ['taskName', 'taskDescription', 'time', 'notifyBefore', 'priority', 'assignedTo'];
+
+// Occurrences of the task's series after it
+const laterOccurrences = (task) => ({ series: task.series, date: { $gt: task.date } });
+
+const taskProject = requireProjectAccess(projectOf(Task, 'taskId', 'projectId'));
+
+/**
+ * Why a task's dependencies or milestone don't fit its project, or null when they do
+ * @param {string} projectId
+ * @param {string|null} taskId - null for a new task
+ * @param {Object} fields - dependencies and milestone from the request
+ */
+const scheduleError = async (projectId, taskId, { dependencies, milestone }) => {
+    if (milestone) {
+        const project = await Project.findById(projectId).select('progress.milestones');
+        if (!project?.progress?.milestones?.id(milestone)) {
+            return 'Milestone not found in this project';
+        }
+    }
+
+    if (dependencies?.length) {
+        const ids = dependencies.map((dependency) => String(dependency.task));
+        if (new Set(ids).size !== ids.length) {
+            return 'A task can only be listed once in dependencies';
+        }
+
+        const others = (await Task.find({ projectId }).select('dependencies'))
+            .filter((task) => task._id.toString() !== String(taskId));
+        const known = new Set(others.map((task) => task._id.toString()));
+        if (ids.some((id) => id !== String(taskId) && !known.has(id))) {
+            return 'Dependencies must be tasks of the same project';
+        }
+        if (createsCycle(taskId, dependencies, others)) {
+            return 'These dependencies would make the task wait on itself';
+        }
+    }
+
+    return null;
+};
 
 /**
  * @route   POST /api/tasks
- * @desc    Create a new task
- * @access  Private
+ * @desc    Create a new task; with `recurrence` its later occurrences are created too
+ * @access  Private (project members)
  */
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, validateTask, requireProjectAccess((req) => req.body.projectId), async (req, res) => {
     try {
         const {
             projectId,
@@ -20,6 +70,12 @@ router.post('/', authenticate, async (req, res) => {
             notifyBefore,
             priority,
             assignedTo,
+            startDate,
+            endDate,
+            duration,
+            dependencies,
+            milestone,
+            recurrence,
         } = req.body;
 
         // Validate project exists
@@ -31,7 +87,15 @@ router.post('/', authenticate, async (req, res) => {
             });
         }
 
-        const task = new Task({
+        const invalid = await scheduleError(projectId, null, { dependencies, milestone });
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: invalid,
+            });
+        }
+
+        const [task, ...occurrences] = await Task.createWithOccurrences({
             projectId,
             taskName,
             taskDescription,
@@ -40,19 +104,25 @@ router.post('/', authenticate, async (req, res) => {
             notifyBefore: notifyBefore || 30,
             priority: priority || 'medium',
             assignedTo,
+            startDate,
+            endDate,
+            duration: duration ?? undefined,
+            dependencies: dependencies || [],
+            milestone: milestone || undefined,
+            recurrence: recurrence || undefined,
             createdBy: req.user._id,
         });
 
-        await task.save();
-
         const populatedTask = await Task.findById(task._id)
             .populate('assignedTo', 'firstName lastName')
             .populate('createdBy', 'firstName lastName');
 
         res.status(201).json({
             success: true,
-            message: 'Task created successfully',
-            data: { task: populatedTask },
+            message: recurrence
+                ? `Recurring task created with ${occurrences.length + 1} occurrences`
+                : 'Task created successfully',
+            data: { task: populatedTask, occurrences: occurrences.length },
         });
     } catch (error) {
         console.error('Create task error:', error);
@@ -67,9 +137,9 @@ router.post('/', authenticate, async (req, res) => {
 /**
  * @route   GET /api/tasks/project/:projectId
  * @desc    Get all tasks for a project
- * @access  Private
+ * @access  Private (project members)
  */
-router.get('/project/:projectId', authenticate, async (req, res) => {
+router.get('/project/:projectId', authenticate, requireProjectAccess('projectId'), async (req, res) => {
     try {
         const { projectId } = req.params;
         const { status, fromDate } = req.query;
@@ -117,9 +187,9 @@ router.get('/upcoming', authenticate, async (req, res) => {
 /**
  * @route   GET /api/tasks/:taskId
  * @desc    Get a single task
- * @access  Private
+ * @access  Private (project members)
  */
-router.get('/:taskId', authenticate, async (req, res) => {
+router.get('/:taskId', authenticate, taskProject, async (req, res) => {
     try {
         const task = await Task.findById(req.params.taskId)
             .populate('projectId', 'title')
@@ -149,10 +219,10 @@ router.get('/:taskId', authenticate, async (req, res) => {
 
 /**
  * @route   PUT /api/tasks/:taskId
- * @desc    Update a task
- * @access  Private
+ * @desc    Update a task; ?scope=following copies its name, description, time, reminder, priority and assignee to the later occurrences of its series
+ * @access  Private (project members)
  */
-router.put('/:taskId', authenticate, async (req, res) => {
+router.put('/:taskId', authenticate, validateTaskUpdate, taskProject, async (req, res) => {
     try {
         const {
             taskName,
@@ -163,6 +233,11 @@ router.put('/:taskId', authenticate, async (req, res) => {
             priority,
             status,
             assignedTo,
+            startDate,
+            endDate,
+            duration,
+            dependencies,
+            milestone,
         } = req.body;
 
         const task = await Task.findById(req.params.taskId);
@@ -174,6 +249,14 @@ router.put('/:taskId', authenticate, async (req, res) => {
             });
         }
 
+        const invalid = await scheduleError(task.projectId, task._id, { dependencies, milestone });
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: invalid,
+            });
+        }
+
         // Update fields if provided
         if (taskName) task.taskName = taskName;
         if (taskDescription !== undefined) task.taskDescription = taskDescription;
@@ -188,9 +271,23 @@ router.put('/:taskId', authenticate, async (req, res) => {
             }
         }
         if (assignedTo !== undefined) task.assignedTo = assignedTo;
+        if (startDate) task.startDate = startDate;
+        if (endDate) task.endDate = endDate;
+        if (duration !== undefined && duration !== null) task.duration = duration;
+        if (dependencies !== undefined) task.dependencies = dependencies || [];
+        if (milestone !== undefined) task.milestone = milestone || undefined;
 
         await task.save();
 
+        if (req.query.scope === 'following' && task.series) {
+            const changes = Object.fromEntries(SERIES_FIELDS
+                .filter((field) => req.body[field] !== undefined)
+                .map((field) => [field, task[field]]));
+            if (Object.keys(changes).length) {
+                await Task.updateMany(laterOccurrences(task), { $set: changes });
+            }
+        }
+
         const updatedTask = await Task.findById(task._id)
             .populate('assignedTo', 'firstName lastName')
             .populate('createdBy', 'firstName lastName');
@@ -212,10 +309,10 @@ router.put('/:taskId', authenticate, async (req, res) => {
 
 /**
  * @route   DELETE /api/tasks/:taskId
- * @desc    Delete a task
- * @access  Private
+ * @desc    Delete a task; ?scope=following deletes the later occurrences of its series too
+ * @access  Private (project members)
  */
-router.delete('/:taskId', authenticate, async (req, res) => {
+router.delete('/:taskId', authenticate, validateTaskDelete, taskProject, async (req, res) => {
     try {
         const task = await Task.findById(req.params.taskId);
 
@@ -226,11 +323,25 @@ router.delete('/:taskId', authenticate, async (req, res) => {
             });
         }
 
+        const deleted = [task._id];
+        if (req.query.scope === 'following' && task.series) {
+            const later = await Task.find(laterOccurrences(task)).select('_id');
+            deleted.push(...later.map((occurrence) => occurrence._id));
+            await Task.deleteMany({ _id: { $in: later.map((occurrence) => occurrence._id) } });
+        }
+
+        // Deleted last, so the project's progress refresh sees the whole series gone
         await Task.findByIdAndDelete(req.params.taskId);
+        // Tasks that waited on them no longer do
+        await Task.updateMany(
+            { projectId: task.projectId, 'dependencies.task': { $in: deleted } },
+            { $pull: { dependencies: { task: { $in: deleted } } } }
+        );
 
         res.json({
             success: true,
-            message: 'Task deleted successfully',
+            message: deleted.length > 1 ? `${deleted.length} tasks deleted` : 'Task deleted successfully',
+            data: { deleted: deleted.length },
         });
     } catch (error) {
         console.error('Delete task error:', error);
@@ -245,19 +356,12 @@ router.delete('/:taskId', authenticate, async (req, res) => {
 /**
  * @route   PUT /api/tasks/:taskId/status
  * @desc    Update task status
- * @access  Private
+ * @access  Private (project members)
  */
-router.put('/:taskId/status', authenticate, async (req, res) => {
+router.put('/:taskId/status', authenticate, validateTaskStatus, taskProject, async (req, res) => {
     try {
         const { status } = req.body;
 
-        if (!['pending', 'in-progress', 'completed', 'cancelled'].includes(status)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid status',
-            });
-        }
-
         const task = await Task.findById(req.params.taskId);
 
         if (!task) {
@@ -0,0 +1,528 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { authenticate } = require('../middleware/auth');
+const { requireProjectAccess } = require('../middleware/projectAccess');
+const { validateIds, validateUploadStart, validateUploadPart } = require('../middleware/validation');
+const { hasPermission } = require('../utils/permissions');
+
+const UploadSession = require('../models/UploadSession');
+const File = require('../models/File');
+const ClientMedia = require('../models/ClientMedia');
+const Project = require('../models/Project');
+const { getStorage, saveUpload, deleteUpload } = require('../utils/storage');
+const { MAX_IMAGE_SIZE, isProcessableImage } = require('../utils/images');
+const {
+  CHUNK_SIZE,
+  MAX_UPLOAD_SIZE,
+  SESSION_TTL_MS,
+  sha256,
+  readParts,
+  removeParts,
+} = require('../utils/chunkedUploads');
+
+/**
+ * Chunked uploads, mounted at /api/files/uploads
+ * 1. POST /                      - start: name, type, size, optional SHA-256 of the file
+ * 2. PUT  /:uploadId/parts/:index - send each part (raw body, X-Chunk-Checksum header)
+ * 3. POST /:uploadId/complete    - assemble, verify and create the File / media record
+ * GET /:uploadId lists the parts already received, so a client that was
+ * interrupted sends only the rest. DELETE /:uploadId aborts.
+ */
+
+const ALLOWED_TYPES = [
+  'image/jpeg', 'image/png', 'image/jpg', 'image/gif',
+  'video/mp4', 'video/quicktime', 'video/webm', 'video/x-msvideo', 'video/x-ms-wmv',
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'text/plain',
+  // Drawings
+  'image/vnd.dwg', 'application/acad', 'image/vnd.dxf', 'application/dxf',
+];
+
+const FILE_CATEGORIES = ['documents', 'images', 'quotations', 'purchase-orders', 'work_update'];
+const MEDIA_CATEGORIES = ['inspiration', 'progress', 'completion', 'reference', 'document', 'other'];
+
+const isChecksum = (value) => typeof value === 'string' && /^[a-f0-9]{64}$/i.test(value);
+
+const mediaType = (mimeType) => (
+  mimeType.startsWith('image/') ? 'image'
+    : mimeType.startsWith('video/') ? 'video' : 'document'
+);
+
+/**
+ * What a client needs to carry on with an upload
+ */
+const toStatus = (session) => {
+  const received = session.receivedChunks();
+  const missingChunks = [];
+  for (let index = 0; index < session.totalChunks; index++) {
+    if (!received.includes(index)) missingChunks.push(index);
+  }
+  return {
+    uploadId: session._id,
+    status: session.status,
+    originalName: session.originalName,
+    mimeType: session.mimeType,
+    size: session.size,
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    receivedChunks: received,
+    missingChunks,
+    expiresAt: session.expiresAt,
+    file: session.file,
+    media: session.media,
+  };
+};
+
+/**
+ * The caller's own session from :uploadId, or null after responding
+ */
+const loadSession = async (req, res) => {
+  const { uploadId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(uploadId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid upload ID',
+    });
+    return null;
+  }
+
+  const session = await UploadSession.findById(uploadId);
+
+  if (!session || session.user.toString() !== req.user._id.toString()) {
+    res.status(404).json({
+      success: false,
+      message: 'Upload not found',
+    });
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * @route   POST /api/files/uploads
+ * @desc    Start a chunked upload
+ * @access  Private (project members when projectId is given; media needs projects.edit)
+ */
+router.post('/', authenticate, validateUploadStart, requireProjectAccess((req) => req.body.projectId), async (req, res) => {
+  try {
+    const {
+      name,
+      mimeType,
+      size,
+      checksum,
+      projectId,
+      target = 'file',
+      category,
+      description,
+      tags,
+      duration,
+    } = req.body;
+    const fileSize = Number(size);
+
+    if (!ALLOWED_TYPES.includes(mimeType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid file type. Allowed: Images, Videos, PDF, Word, Excel, Text, DWG, DXF',
+      });
+    }
+
+    if (fileSize > MAX_UPLOAD_SIZE) {
+      return res.status(413).json({
+        success: false,
+        message: `File is too large. Maximum size is ${Math.floor(MAX_UPLOAD_SIZE / (1024 * 1024))}MB`,
+      });
+    }
+
+    // Photos are re-encoded in memory when the upload completes
+    if (isProcessableImage(mimeType) && fileSize > MAX_IMAGE_SIZE) {
+      return res.status(413).json({
+        success: false,
+        message: `Image is too large. Maximum size is ${Math.floor(MAX_IMAGE_SIZE / (1024 * 1024))}MB`,
+      });
+    }
+
+    if (target === 'media') {
+      if (!projectId) {
+        return res.status(400).json({
+          success: false,
+          message: 'projectId is required for project media',
+        });
+      }
+      if (!(await hasPermission(req.user, 'projects.edit'))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Insufficient permissions.',
+        });
+      }
+    }
+
+    const categories = target === 'media' ? MEDIA_CATEGORIES : FILE_CATEGORIES;
+    const fallbackCategory = target === 'media' ? 'progress' : 'documents';
+
+    const chunkSize = Math.min(
+      Math.max(parseInt(req.body.chunkSize) || CHUNK_SIZE.default, CHUNK_SIZE.min),
+      CHUNK_SIZE.max
+    );
+
+    const session = await UploadSession.create({
+      user: req.user._id,
+      project: projectId || undefined,
+      target,
+      category: categories.includes(category) ? category : fallbackCategory,
+      originalName: name,
+      mimeType,
+      size: fileSize,
+      checksum: checksum || undefined,
+      chunkSize,
+      totalChunks: Math.ceil(fileSize / chunkSize),
+      description,
+      tags: Array.isArray(tags) ? tags : [],
+      duration: Number(duration) || undefined,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: toStatus(session),
+    });
+  } catch (error) {
+    console.error('Start upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start upload',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/files/uploads
+ * @desc    The user's unfinished uploads
+ * @access  Private
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const sessions = await UploadSession.find({ user: req.user._id, status: 'uploading' })
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: { uploads: sessions.map(toStatus) },
+    });
+  } catch (error) {
+    console.error('List uploads error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get uploads',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/files/uploads/:uploadId
+ * @desc    Status of an upload, including the parts still missing
+ * @access  Private (own uploads)
+ */
+router.get('/:uploadId', authenticate, async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    res.json({
+      success: true,
+      data: toStatus(session),
+    });
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get upload',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/files/uploads/:uploadId/parts/:index
+ * @desc    Upload one part (raw body) with its SHA-256 in X-Chunk-Checksum; re-sending replaces it
+ * @access  Private (own uploads)
+ */
+router.put(
+  '/:uploadId/parts/:index',
+  authenticate,
+  validateUploadPart,
+  express.raw({ type: () => true, limit: CHUNK_SIZE.max }),
+  async (req, res) => {
+    try {
+      const session = await loadSession(req, res);
+      if (!session) return;
+
+      if (session.status !== 'uploading') {
+        return res.status(409).json({
+          success: false,
+          message: `Upload is ${session.status}`,
+        });
+      }
+
+      const index = Number(req.params.index);
+      if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+        return res.status(400).json({
+          success: false,
+          message: `Part index must be between 0 and ${session.totalChunks - 1}`,
+        });
+      }
+
+      const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const expectedSize = session.partSize(index);
+      if (body.length !== expectedSize) {
+        return res.status(400).json({
+          success: false,
+          message: `Part ${index} must be ${expectedSize} bytes, got ${body.length}`,
+        });
+      }
+
+      const checksum = req.get('X-Chunk-Checksum');
+      if (!isChecksum(checksum)) {
+        return res.status(400).json({
+          success: false,
+          message: 'X-Chunk-Checksum header with the SHA-256 of the part is required',
+        });
+      }
+
+      const actual = sha256(body);
+      if (actual !== checksum.toLowerCase()) {
+        return res.status(422).json({
+          success: false,
+          message: `Part ${index} checksum mismatch; send it again`,
+        });
+      }
+
+      await getStorage().put(session.partKey(index), body, { contentType: 'application/octet-stream' });
+
+      // A part sent twice replaces the earlier entry
+      await UploadSession.updateOne({ _id: session._id }, { $pull: { parts: { index } } });
+      const updated = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: 'uploading' },
+        {
+          $push: { parts: { index, size: body.length, checksum: actual } },
+          $set: { expiresAt: new Date(Date.now() + SESSION_TTL_MS) },
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: 'Upload is no longer accepting parts',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: toStatus(updated),
+      });
+    } catch (error) {
+      console.error('Upload part error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upload part',
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/files/uploads/:uploadId/complete
+ * @desc    Assemble the parts, verify the file checksum and create the File or media record
+ * @access  Private (own uploads)
+ */
+router.post('/:uploadId/complete', authenticate, validateIds('uploadId'), async (req, res) => {
+  let claimed = null;
+  let saved = null;
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    // Completing twice (e.g. the response was lost) returns the same record
+    if (session.status === 'completed') {
+      const record = session.file
+        ? await File.findById(session.file)
+        : await ClientMedia.findById(session.media);
+      return res.json({
+        success: true,
+        message: 'Upload already completed',
+        data: { upload: toStatus(session), [session.file ? 'file' : 'media']: record },
+      });
+    }
+
+    if (session.status !== 'uploading') {
+      return res.status(409).json({
+        success: false,
+        message: `Upload is ${session.status}`,
+      });
+    }
+
+    const { missingChunks } = toStatus(session);
+    if (missingChunks.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Upload is missing ${missingChunks.length} part(s)`,
+        data: { missingChunks },
+      });
+    }
+
+    claimed = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'uploading' },
+      { $set: { status: 'completing' } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Upload is already being completed',
+      });
+    }
+
+    const hash = crypto.createHash('sha256');
+    saved = await saveUpload({
+      body: readParts(claimed, hash),
+      mimetype: claimed.mimeType,
+      originalname: claimed.originalName,
+      folder: claimed.target === 'media' ? 'project-media' : claimed.category,
+      projectId: claimed.project ? claimed.project.toString() : undefined,
+      renditions: true,
+    });
+
+    // Images are re-encoded while stored, so the hash covers the bytes that were sent
+    if (claimed.checksum && hash.digest('hex') !== claimed.checksum) {
+      await deleteUpload(saved.key);
+      saved = null;
+      await removeParts(claimed);
+      claimed.status = 'aborted';
+      await claimed.save();
+      claimed = null;
+      return res.status(422).json({
+        success: false,
+        message: 'File checksum mismatch; the upload was discarded',
+      });
+    }
+
+    let record;
+    if (claimed.target === 'media') {
+      const project = await Project.findById(claimed.project).select('client');
+      if (!project) {
+        const error = new Error('Project not found');
+        error.status = 404;
+        throw error;
+      }
+      record = new ClientMedia({
+        clientId: project.client,
+        projectId: claimed.project,
+        filename: saved.filename,
+        originalName: claimed.originalName,
+        url: saved.url,
+        type: mediaType(claimed.mimeType),
+        mimeType: claimed.mimeType,
+        size: saved.size,
+        dimensions: saved.width ? { width: saved.width, height: saved.height } : undefined,
+        renditions: saved.renditions,
+        duration: claimed.duration,
+        description: claimed.description,
+        tags: claimed.tags,
+        category: claimed.category,
+        isPublic: true,
+        uploadedBy: req.user._id,
+      });
+      await record.save();
+      claimed.media = record._id;
+    } else {
+      record = new File({
+        filename: saved.filename,
+        originalName: claimed.originalName,
+        category: claimed.category,
+        mimeType: claimed.mimeType,
+        size: saved.size,
+        path: saved.url,
+        storageKey: saved.key,
+        dimensions: saved.width ? { width: saved.width, height: saved.height } : undefined,
+        renditions: saved.renditions,
+        uploadedBy: req.user._id,
+        tags: claimed.tags,
+        project: claimed.project || undefined,
+      });
+      await record.save();
+      claimed.file = record._id;
+    }
+
+    claimed.status = 'completed';
+    await claimed.save();
+    saved = null;
+    await removeParts(claimed);
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: { upload: toStatus(claimed), [claimed.target === 'media' ? 'media' : 'file']: record },
+    });
+  } catch (error) {
+    console.error('Complete upload error:', error);
+    if (saved) await deleteUpload(saved.key).catch(() => {});
+    // Let the client retry the completion
+    if (claimed && claimed.status === 'completing') {
+      await UploadSession.updateOne({ _id: claimed._id, status: 'completing' }, { $set: { status: 'uploading' } })
+        .catch(() => {});
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to complete upload',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/files/uploads/:uploadId
+ * @desc    Abort an upload and discard its parts
+ * @access  Private (own uploads)
+ */
+router.delete('/:uploadId', authenticate, validateIds('uploadId'), async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    if (session.status === 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Upload is already completed; delete the file instead',
+      });
+    }
+
+    await removeParts(session);
+    session.status = 'aborted';
+    await session.save();
+
+    res.json({
+      success: true,
+      message: 'Upload aborted',
+    });
+  } catch (error) {
+    console.error('Abort upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to abort upload',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,16 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const User = require('../models/User');
-const { authenticate, isOwner, authorize } = require('../middleware/auth');
-const { uploadToGCS, deleteFromGCS } = require('../utils/gcs');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validateIds,
+  validateUserStatus,
+  validateClientRegistration,
+  validateUserProfile,
+  validateUserPasswordChange,
+} = require('../middleware/validation');
+const { forceLogout, revokeUserSessions } = require('../utils/sessionService');
+const { saveUpload, deleteByUrl } = require('../utils/storage');
 
 // Multer memory storage for profile photo uploads
 const upload = multer({
@@ -21,9 +29,9 @@ const upload = multer({
 /**
  * @route   GET /api/users
  * @desc    Get all users (Owner or Employee)
- * @access  Private (Owner or Employee)
+ * @access  Private (users.view)
  */
-router.get('/', authenticate, authorize('owner', 'employee'), async (req, res) => {
+router.get('/', authenticate, requirePermission('users.view'), async (req, res) => {
   try {
     const { role, subRole, page = 1, limit = 10, search } = req.query;
 
@@ -77,9 +85,9 @@ router.get('/', authenticate, authorize('owner', 'employee'), async (req, res) =
 /**
  * @route   GET /api/users/role/:role
  * @desc    Get users by role and optional subRole
- * @access  Private (Owner or Employee)
+ * @access  Private (users.view)
  */
-router.get('/role/:role', authenticate, authorize('owner', 'employee'), async (req, res) => {
+router.get('/role/:role', authenticate, requirePermission('users.view'), async (req, res) => {
   try {
     const { role } = req.params;
     const { subRole } = req.query;
@@ -152,20 +160,13 @@ router.get('/:id', authenticate, async (req, res) => {
 /**
  * @route   PUT /api/users/:id/status
  * @desc    Activate or deactivate user
- * @access  Private (Owner only)
+ * @access  Private (users.manage)
  */
-router.put('/:id/status', authenticate, isOwner, async (req, res) => {
+router.put('/:id/status', authenticate, requirePermission('users.manage'), validateUserStatus, async (req, res) => {
   try {
     const { id } = req.params;
     const { isActive } = req.body;
 
-    if (typeof isActive !== 'boolean') {
-      return res.status(400).json({
-        success: false,
-        message: 'isActive must be a boolean value',
-      });
-    }
-
     if (req.user._id.toString() === id && !isActive) {
       return res.status(400).json({
         success: false,
@@ -181,6 +182,11 @@ router.put('/:id/status', authenticate, isOwner, async (req, res) => {
       });
     }
 
+    // A deactivated user is signed out of every device right away
+    if (!isActive) {
+      await forceLogout(user._id, { io: req.app.get('io') });
+    }
+
     res.json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -196,12 +202,53 @@ router.put('/:id/status', authenticate, isOwner, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/users/:id/force-logout
+ * @desc    Sign a user out of every device
+ * @access  Private (users.manage)
+ */
+router.post('/:id/force-logout', authenticate, requirePermission('users.manage'), validateIds('id'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (req.user._id.toString() === id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use session management to sign out your own devices',
+      });
+    }
+
+    const user = await User.findById(id).select('_id');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const revoked = await forceLogout(user._id, { io: req.app.get('io') });
+
+    res.json({
+      success: true,
+      message: 'User signed out of all devices',
+      data: { revokedSessions: revoked },
+    });
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign user out',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   DELETE /api/users/:id
  * @desc    Soft delete user (mark inactive)
- * @access  Private (Owner only)
+ * @access  Private (users.manage)
  */
-router.delete('/:id', authenticate, isOwner, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('users.manage'), validateIds('id'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -220,6 +267,8 @@ router.delete('/:id', authenticate, isOwner, async (req, res) => {
       });
     }
 
+    await forceLogout(user._id, { io: req.app.get('io') });
+
     res.json({
       success: true,
       message: 'User deleted successfully',
@@ -240,9 +289,9 @@ router.delete('/:id', authenticate, isOwner, async (req, res) => {
 /**
  * @route   POST /api/users/register-client
  * @desc    Register a new client user (Employee creates client account)
- * @access  Private (Owner or Employee)
+ * @access  Private (clients.manage)
  */
-router.post('/register-client', authenticate, authorize('owner', 'employee'), async (req, res) => {
+router.post('/register-client', authenticate, requirePermission('clients.manage'), validateClientRegistration, async (req, res) => {
   try {
     const {
       clientId,  // Custom client ID (optional)
@@ -256,14 +305,6 @@ router.post('/register-client', authenticate, authorize('owner', 'employee'), as
       clientDetails,
     } = req.body;
 
-    // Validate required fields
-    if (!firstName || !lastName || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'First name, last name, email, and password are required',
-      });
-    }
-
     // Check if email already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -325,7 +366,7 @@ router.post('/register-client', authenticate, authorize('owner', 'employee'), as
  * @desc    Update current user's profile
  * @access  Private
  */
-router.put('/profile', authenticate, async (req, res) => {
+router.put('/profile', authenticate, validateUserProfile, async (req, res) => {
   try {
     const { firstName, lastName, phone, email, address, profileImage } = req.body;
 
@@ -373,24 +414,10 @@ router.put('/profile', authenticate, async (req, res) => {
  * @desc    Change current user's password
  * @access  Private
  */
-router.put('/change-password', authenticate, async (req, res) => {
+router.put('/change-password', authenticate, validateUserPasswordChange, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({
-        success: false,
-        message: 'Current password and new password are required',
-      });
-    }
-
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'New password must be at least 6 characters',
-      });
-    }
-
     const user = await User.findById(req.user._id);
     if (!user) {
       return res.status(404).json({
@@ -412,6 +439,14 @@ router.put('/change-password', authenticate, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    await revokeUserSessions({
+      userId: user._id,
+      exceptSessionId: req.sessionId,
+      reason: 'password_change',
+      io: req.app.get('io'),
+    });
+
     res.json({
       success: true,
       message: 'Password changed successfully',
@@ -428,7 +463,7 @@ router.put('/change-password', authenticate, async (req, res) => {
 
 /**
  * @route   POST /api/users/profile-photo
- * @desc    Upload profile photo to GCS
+ * @desc    Upload profile photo
  * @access  Private
  */
 router.post('/profile-photo', authenticate, upload.single('photo'), async (req, res) => {
@@ -448,25 +483,20 @@ router.post('/profile-photo', authenticate, upload.single('photo'), async (req,
       });
     }
 
-    // Delete old profile photo from GCS if exists
+    // Delete old profile photo if exists
     if (user.profileImage) {
       try {
-        // Extract GCS path from URL
-        const oldUrl = user.profileImage;
-        const bucketName = process.env.GCS_BUCKET;
-        const gcsPath = oldUrl.split(`${bucketName}/`)[1];
-        if (gcsPath) {
-          await deleteFromGCS(gcsPath);
-          console.log('🗑️ Deleted old profile photo:', gcsPath);
+        if (await deleteByUrl(user.profileImage)) {
+          console.log('🗑️ Deleted old profile photo:', user.profileImage);
         }
       } catch (deleteError) {
         console.log('⚠️ Could not delete old photo:', deleteError.message);
       }
     }
 
-    // Upload new photo to GCS
-    const result = await uploadToGCS({
-      buffer: req.file.buffer,
+    // Store new photo
+    const result = await saveUpload({
+      body: req.file.buffer,
       mimetype: req.file.mimetype,
       originalname: req.file.originalname,
       folder: 'profile-photos',
@@ -497,7 +527,7 @@ router.post('/profile-photo', authenticate, upload.single('photo'), async (req,
 
 /**
  * @route   DELETE /api/users/profile-photo
- * @desc    Delete profile photo from GCS
+ * @desc    Delete profile photo
  * @access  Private
  */
 router.delete('/profile-photo', authenticate, async (req, res) => {
@@ -517,17 +547,13 @@ router.delete('/profile-photo', authenticate, async (req, res) => {
       });
     }
 
-    // Delete from GCS
+    // Delete from storage
     try {
-      const oldUrl = user.profileImage;
-      const bucketName = process.env.GCS_BUCKET;
-      const gcsPath = oldUrl.split(`${bucketName}/`)[1];
-      if (gcsPath) {
-        await deleteFromGCS(gcsPath);
-        console.log('🗑️ Deleted profile photo from GCS:', gcsPath);
+      if (await deleteByUrl(user.profileImage)) {
+        console.log('🗑️ Deleted profile photo:', user.profileImage);
       }
     } catch (deleteError) {
-      console.log('⚠️ GCS delete error:', deleteError.message);
+      console.log('⚠️ Storage delete error:', deleteError.message);
     }
 
     // Clear profileImage field
@@ -2,33 +2,39 @@ const express = require('express');
 const router = express.Router();
 const PDFDocument = require('pdfkit');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const VendorInvoice = require('../models/VendorInvoice');
 const PurchaseOrder = require('../models/PurchaseOrder');
 const NegotiationMessage = require('../models/NegotiationMessage');
 const { authenticate, authorize } = require('../middleware/auth');
-
-// Ensure vendor-invoices upload directory exists
-const vendorInvoicesDir = 'uploads/vendor-invoices';
-if (!fs.existsSync(vendorInvoicesDir)) {
-  fs.mkdirSync(vendorInvoicesDir, { recursive: true });
-}
-
-// Multer config for vendor invoice uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, vendorInvoicesDir);
+const { validateIds } = require('../middleware/validation');
+const { saveUpload, deleteByUrl } = require('../utils/storage');
+const { parseListQuery, findPage } = require('../utils/listQuery');
+
+// Filters and sorts of the vendor invoice list (see utils/listQuery)
+const VENDOR_INVOICE_LIST = {
+  filters: {
+    status: 'status',
+    projectId: 'project',
+    vendorId: 'vendor',
+    amount: 'totalAmount',
+    amountDue: 'amountDue',
+    dueDate: 'dueDate',
+    createdAt: 'createdAt',
   },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
-    cb(null, `invoice-${uniqueSuffix}${ext}`);
+  sorts: {
+    createdAt: 'createdAt',
+    invoiceNumber: 'invoiceNumber',
+    status: 'status',
+    amount: 'totalAmount',
+    amountDue: 'amountDue',
+    dueDate: 'dueDate',
   },
-});
+  defaultSort: '-createdAt',
+};
 
+// Multer config for vendor invoice uploads (stored once access is checked)
 const upload = multer({
-  storage,
+  storage: multer.memoryStorage(),
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
   fileFilter: (req, file, cb) => {
     const allowedTypes = ['image/jpeg', 'image/png', 'image/jpg', 'application/pdf'];
@@ -42,12 +48,13 @@ const upload = multer({
 
 /**
  * @route   GET /api/vendor-invoices
- * @desc    Get all vendor invoices (role-based access)
+ * @desc    Get all vendor invoices (role-based access); list filters, sort and
+ *          cursor/page pagination as in utils/listQuery
  * @access  Private
  */
 router.get('/', authenticate, async (req, res) => {
   try {
-    const { page = 1, limit = 20, status, projectId, vendorId } = req.query;
+    const list = parseListQuery(VendorInvoice, req.query, VENDOR_INVOICE_LIST);
 
     let query = {};
 
@@ -57,34 +64,28 @@ router.get('/', authenticate, async (req, res) => {
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
-    if (status) query.status = status;
-    if (projectId) query.project = projectId;
-    if (vendorId && req.user.role === 'owner') query.vendor = vendorId;
-
-    const invoices = await VendorInvoice.find(query)
-      .populate('purchaseOrder', 'purchaseOrderNumber title')
-      .populate('project', 'title')
-      .populate('vendor', 'firstName lastName email vendorDetails.companyName')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await VendorInvoice.countDocuments(query);
+    const { items: invoices, pagination } = await findPage(VendorInvoice, query, list, {
+      populate: [
+        { path: 'purchaseOrder', select: 'purchaseOrderNumber title' },
+        { path: 'project', select: 'title' },
+        { path: 'vendor', select: 'firstName lastName email vendorDetails.companyName' },
+      ],
+    });
 
     res.json({
       success: true,
       data: {
         invoices,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
-          total,
-        },
+        pagination,
       },
     });
   } catch (error) {
     console.error('Get vendor invoices error:', error);
-    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error',
+      error: error.message,
+    });
   }
 });
 
@@ -209,24 +210,20 @@ router.get('/:id/pdf', authenticate, async (req, res) => {
  * @desc    Upload invoice document (PDF/image) from vendor
  * @access  Private (Vendor only)
  */
-router.post('/:id/upload', authenticate, upload.single('invoiceFile'), async (req, res) => {
+router.post('/:id/upload', authenticate, validateIds('id'), upload.single('invoiceFile'), async (req, res) => {
   try {
     const invoice = await VendorInvoice.findById(req.params.id);
 
     if (!invoice) {
-      // Clean up uploaded file if invoice not found
-      if (req.file) fs.unlinkSync(req.file.path);
       return res.status(404).json({ success: false, message: 'Invoice not found' });
     }
 
     // Only the vendor who owns the invoice can upload attachments
     if (req.user.role !== 'vendor' && req.user.role !== 'owner' && req.user.role !== 'admin') {
-      if (req.file) fs.unlinkSync(req.file.path);
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
     if (req.user.role === 'vendor' && invoice.vendor.toString() !== req.user._id.toString()) {
-      if (req.file) fs.unlinkSync(req.file.path);
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
@@ -234,16 +231,20 @@ router.post('/:id/upload', authenticate, upload.single('invoiceFile'), async (re
       return res.status(400).json({ success: false, message: 'No file uploaded' });
     }
 
-    // Build file URL
-    const fileUrl = `${req.protocol}://${req.get('host')}/uploads/vendor-invoices/${req.file.filename}`;
+    const { filename, url } = await saveUpload({
+      body: req.file.buffer,
+      mimetype: req.file.mimetype,
+      originalname: req.file.originalname,
+      folder: 'vendor-invoices',
+    });
 
     // Add attachment to invoice
     const attachment = {
-      filename: req.file.filename,
+      filename,
       originalName: req.file.originalname,
       mimeType: req.file.mimetype,
       size: req.file.size,
-      url: fileUrl,
+      url,
       uploadedAt: new Date(),
       uploadedBy: req.user._id,
     };
@@ -262,11 +263,6 @@ router.post('/:id/upload', authenticate, upload.single('invoiceFile'), async (re
     });
   } catch (error) {
     console.error('Upload invoice document error:', error);
-    if (req.file) {
-      try {
-        fs.unlinkSync(req.file.path);
-      } catch (e) {}
-    }
     res.status(500).json({ success: false, message: 'Server error', error: error.message });
   }
 });
@@ -276,7 +272,7 @@ router.post('/:id/upload', authenticate, upload.single('invoiceFile'), async (re
  * @desc    Delete an attachment from invoice
  * @access  Private (Vendor/Owner/Admin)
  */
-router.delete('/:id/attachments/:attachmentId', authenticate, async (req, res) => {
+router.delete('/:id/attachments/:attachmentId', authenticate, validateIds('id', 'attachmentId'), async (req, res) => {
   try {
     const invoice = await VendorInvoice.findById(req.params.id);
 
@@ -300,9 +296,10 @@ router.delete('/:id/attachments/:attachmentId', authenticate, async (req, res) =
     const attachment = invoice.attachments[attachmentIndex];
 
     // Try to delete the file
-    const filePath = path.join(vendorInvoicesDir, attachment.filename);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
+    try {
+      await deleteByUrl(attachment.url);
+    } catch (deleteError) {
+      console.warn('Could not delete attachment file:', deleteError.message);
     }
 
     // Remove from array
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateWorkStatus, validateWorkStatusUpdate } = require('../middleware/validation');
 const WorkStatus = require('../models/WorkStatus');
 const Quotation = require('../models/Quotation');
 const MaterialRequest = require('../models/MaterialRequest');
@@ -8,20 +9,12 @@ const MaterialRequest = require('../models/MaterialRequest');
 /**
  * @route   POST /api/work-status
  * @desc    Create a new work status update
- * @access  Private (Vendor only)
+ * @access  Private (work-status.update)
  */
-router.post('/', authenticate, authorize('vendor'), async (req, res) => {
+router.post('/', authenticate, requirePermission('work-status.update'), validateWorkStatus, async (req, res) => {
   try {
     const { quotationId, materialRequestId, message, progress, attachments } = req.body;
 
-    // Validate required fields
-    if (!quotationId || !materialRequestId || !message) {
-      return res.status(400).json({
-        success: false,
-        message: 'Quotation ID, Material Request ID, and message are required',
-      });
-    }
-
     // Verify quotation exists and belongs to vendor
     const quotation = await Quotation.findById(quotationId);
     if (!quotation) {
@@ -159,9 +152,9 @@ router.get('/:id', authenticate, async (req, res) => {
 /**
  * @route   PUT /api/work-status/:id
  * @desc    Update an existing work status update
- * @access  Private (Vendor only)
+ * @access  Private (work-status.update)
  */
-router.put('/:id', authenticate, authorize('vendor'), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('work-status.update'), validateWorkStatusUpdate, async (req, res) => {
   try {
     const { message, progress, attachments } = req.body;
     const { id } = req.params;
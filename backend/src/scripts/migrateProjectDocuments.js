@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+// Fallback if .env is in parent directory
+if (!process.env.MONGODB_URI) {
+    require('dotenv').config({ path: path.join(__dirname, '..', '..', '.env') });
+}
+const Project = require('../models/Project');
+const ProjectDocument = require('../models/ProjectDocument');
+
+/**
+ * Moves the old flat `Project.documents` entries into ProjectDocument records,
+ * each as version 1, and removes the array from the project. Entries with the
+ * same name on one project become successive versions of one document.
+ */
+async function migrateProjectDocuments() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        // `documents` is no longer in the schema, so read the raw collection
+        const projects = await Project.collection
+            .find({ 'documents.0': { $exists: true } }, { projection: { documents: 1, createdBy: 1 } })
+            .toArray();
+
+        console.log(`Found ${projects.length} projects with documents to migrate`);
+
+        for (const project of projects) {
+            const entries = [...project.documents]
+                .sort((a, b) => new Date(a.uploadedAt || 0) - new Date(b.uploadedAt || 0));
+            const byName = new Map();
+
+            for (const entry of entries) {
+                const key = String(entry.name).trim().toLowerCase();
+                let document = byName.get(key);
+                if (!document) {
+                    document = new ProjectDocument({
+                        project: project._id,
+                        name: entry.name,
+                        type: entry.type || 'other',
+                        createdBy: entry.uploadedBy || project.createdBy,
+                    });
+                    byName.set(key, document);
+                }
+                document.addVersion({
+                    url: entry.url,
+                    originalName: entry.name,
+                    uploadedBy: entry.uploadedBy || project.createdBy,
+                    uploadedAt: entry.uploadedAt,
+                });
+            }
+
+            for (const document of byName.values()) {
+                // The newest upload was the one in use
+                document.currentVersion = document.latestVersion;
+                await document.save();
+            }
+
+            await Project.collection.updateOne({ _id: project._id }, { $unset: { documents: '' } });
+            console.log(`Migrated ${entries.length} documents of project ${project._id} into ${byName.size} records`);
+        }
+
+        console.log('Done! All project documents are versioned records.');
+        await mongoose.disconnect();
+    } catch (error) {
+        console.error('Error:', error);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+}
+
+migrateProjectDocuments();
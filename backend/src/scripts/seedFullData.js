@@ -9,6 +9,7 @@ dotenv.config({ path: path.join(__dirname, '../../.env') });
 const User = require('../models/User');
 const Project = require('../models/Project');
 const MaterialRequest = require('../models/MaterialRequest');
+const ProjectDocument = require('../models/ProjectDocument');
 
 // Connect to MongoDB
 const connectDB = async () => {
@@ -157,10 +158,6 @@ const seedFullData = async () => {
             },
           ],
         },
-        documents: [
-          { type: 'contract', name: 'Main Contract.pdf', url: '/docs/contract.pdf', uploadedBy: client._id },
-          { type: 'design', name: 'Floor Plan.pdf', url: '/docs/blueprint.pdf', uploadedBy: client._id },
-        ],
       },
       {
         title: 'Downtown Penthouse Renovation',
@@ -283,6 +280,28 @@ const seedFullData = async () => {
       }
     }
 
+    // ==================== DOCUMENTS ====================
+
+    const documentsData = [
+      { type: 'contract', name: 'Main Contract.pdf', url: '/docs/contract.pdf' },
+      { type: 'design', name: 'Floor Plan.pdf', url: '/docs/blueprint.pdf' },
+    ];
+
+    for (const docData of documentsData) {
+      const existing = await ProjectDocument.findOne({ project: createdProjects[0]._id, name: docData.name });
+      if (!existing) {
+        const document = new ProjectDocument({
+          project: createdProjects[0]._id,
+          name: docData.name,
+          type: docData.type,
+          createdBy: client._id,
+        });
+        document.addVersion({ url: docData.url, originalName: docData.name, uploadedBy: client._id });
+        await document.save();
+        console.log(`✅ Document created: ${document.name}`);
+      }
+    }
+
     // ==================== MATERIAL REQUESTS ====================
     
     const materialRequestsData = [
@@ -10,6 +10,13 @@ const rateLimit = require('express-rate-limit');
 const http = require('http');
 const { Server } = require('socket.io');
 const { generateToken } = require('./utils/jwt');
+const { startJobs } = require('./jobs');
+const { setupSocket } = require('./utils/socket');
+const NotificationService = require('./utils/notificationService');
+const { requestContext } = require('./utils/audit');
+const { serveSignedUploads } = require('./middleware/signedUploads');
+const { sendValidationErrors } = require('./middleware/validation');
+const { AUTH_ROUTE, ROUTES, loadRouter } = require('./routes');
 
 
 const app = express();
@@ -80,6 +87,9 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Per-request context for the audit log (actor, IP)
+app.use(requestContext);
+
 // Explicitly handle OPTIONS requests for all routes
 app.options('*', (req, res) => {
   console.log('OPTIONS request received for:', req.originalUrl);
@@ -97,30 +107,8 @@ if (process.env.NODE_ENV === 'development') {
   app.use(morgan('combined'));
 }
 
-// Static files for uploads - with explicit CORS headers
-app.use('/uploads', (req, res, next) => {
-  // Explicitly set CORS headers for static files
-  const origin = req.get('Origin');
-  if (origin) {
-    res.header('Access-Control-Allow-Origin', origin);
-    res.header('Vary', 'Origin');
-  } else {
-    res.header('Access-Control-Allow-Origin', '*');
-  }
-  res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  // Helmet sets Cross-Origin-Resource-Policy: same-origin by default, which
-  // makes browsers block images/scripts loaded from a different origin (e.g. different port).
-  res.header('Cross-Origin-Resource-Policy', 'cross-origin');
-  
-  // Handle OPTIONS preflight requests
-  if (req.method === 'OPTIONS') {
-    return res.sendStatus(200);
-  }
-  
-  next();
-}, express.static('uploads'));
+// Uploaded files (local storage) - signed, expiring links only
+app.use('/uploads', serveSignedUploads());
 
 app.use('/api/auth', require('./routes/auth'));
 // Socket.io real-time setup
@@ -134,6 +122,7 @@ const io = new Server(server, {
 
 // Make io accessible in routes/controllers
 app.set('io', io);
+NotificationService.setIO(io);
 
 // Core houseway dashboard events
 const DASHBOARD_EVENTS = {
@@ -144,34 +133,9 @@ const DASHBOARD_EVENTS = {
   MESSAGE_THREAD: 'messageThread',
   GENERAL_UPDATE: 'generalUpdate',
 };
-io.on('connection', (socket) => {
-  console.log('🔌 New client connected:', socket.id);
-
-  // Negotiation chat rooms are scoped per purchase order: order_<orderId>
-  socket.on('joinOrder', ({ orderId }) => {
-    if (!orderId) return;
-    const room = `order_${orderId}`;
-    socket.join(room);
-    console.log(`🧩 Socket ${socket.id} joined ${room}`);
-  });
 
-  socket.on('leaveOrder', ({ orderId }) => {
-    if (!orderId) return;
-    const room = `order_${orderId}`;
-    socket.leave(room);
-    console.log(`🧩 Socket ${socket.id} left ${room}`);
-  });
-
-  socket.on('typing', ({ orderId, userId, isTyping }) => {
-    if (!orderId) return;
-    const room = `order_${orderId}`;
-    socket.to(room).emit('userTyping', { userId, isTyping: !!isTyping });
-  });
-
-  socket.on('disconnect', () => {
-    console.log('🔌 Client disconnected:', socket.id);
-  });
-});
+// Authenticated connections with per-user, per-role and vendor rooms
+setupSocket(io);
 
 // Database connection - continue even if MongoDB fails
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/houseway_db', {
@@ -181,6 +145,11 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/houseway_
 })
   .then(() => {
     console.log('✅ Connected to MongoDB');
+
+    // Background jobs need the database; start them once connected
+    startJobs()
+      .then((scheduler) => app.set('jobScheduler', scheduler))
+      .catch((error) => console.error('❌ Job scheduler failed to start:', error.message));
   })
   .catch((error) => {
     console.error('❌ MongoDB connection error:', error.message);
@@ -189,31 +158,13 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/houseway_
 
 // Routes - Use normal authentication with database
 console.log('✅ Using database authentication');
-app.use('/api/auth', require('./routes/auth'));
+app.use(AUTH_ROUTE.path, loadRouter(AUTH_ROUTE));
 console.log('✅ Auth routes loaded');
 
-// Other routes - load with fallbacks
-const routes = [
-  { path: '/api/users', file: './routes/users', name: 'Users' },
-  { path: '/api/clients', file: './routes/clients', name: 'Clients' },
-  { path: '/api/projects', file: './routes/projects', name: 'Projects' },
-  { path: '/api/tasks', file: './routes/tasks', name: 'Tasks' },
-  { path: '/api/invoices', file: './routes/invoices', name: 'Invoices' },
-  { path: '/api/material-requests', file: './routes/materialRequests', name: 'Material Requests' },
-  { path: '/api/quotations', file: './routes/quotations', name: 'Quotations' },
-  { path: '/api/purchase-orders', file: './routes/purchaseOrders', name: 'Purchase Orders' },
-  { path: '/api/vendor-invoices', file: './routes/vendorInvoices', name: 'Vendor Invoices' },
-  { path: '/api/service-requests', file: './routes/serviceRequests', name: 'Service Requests' },
-  { path: '/api/files', file: './routes/files', name: 'Files' },
-  { path: '/api/dashboard', file: './routes/dashboard', name: 'Dashboard' },
-  { path: '/api/work-status', file: './routes/workStatus', name: 'Work Status' },
-  { path: '/api/attendance', file: './routes/attendance', name: 'Attendance' },
-  { path: '/api/notifications', file: './routes/notifications', name: 'Notifications' },
-];
-
-routes.forEach(route => {
+// Other routes - load with fallbacks (table in routes/index.js)
+ROUTES.forEach(route => {
   try {
-    app.use(route.path, require(route.file));
+    app.use(route.path, loadRouter(route));
     console.log(`✅ ${route.name} routes loaded`);
   } catch (error) {
     console.log(`❌ ${route.name} routes failed:`, error.message);
@@ -301,31 +252,47 @@ app.get('/test-jwt', (req, res) => {
 app.use((error, req, res, next) => {
   console.error('Error:', error);
 
+  // Same envelope as middleware/validation, so clients handle both alike
   if (error.name === 'ValidationError') {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation Error',
-      errors: Object.values(error.errors).map(err => err.message),
-    });
+    return sendValidationErrors(res, Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message,
+      code: err.kind === 'required' ? 'REQUIRED' : 'INVALID',
+      location: 'body',
+    })));
   }
 
   if (error.name === 'CastError') {
     return res.status(400).json({
       success: false,
       message: 'Invalid ID format',
+      code: 'INVALID_ID',
     });
   }
 
   if (error.code === 11000) {
+    const field = Object.keys(error.keyValue || error.keyPattern || {})[0];
     return res.status(400).json({
       success: false,
       message: 'Duplicate field value',
+      code: 'DUPLICATE',
+      ...(field && { errors: [{ field, message: `${field} is already in use`, code: 'DUPLICATE', location: 'body' }] }),
+    });
+  }
+
+  // body-parser could not parse the JSON body
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Request body is not valid JSON',
+      code: 'INVALID_JSON',
     });
   }
 
   res.status(error.status || 500).json({
     success: false,
     message: error.message || 'Internal Server Error',
+    code: error.status && error.status < 500 ? 'REQUEST_FAILED' : 'INTERNAL_ERROR',
     ...(process.env.NODE_ENV === 'development' && { stack: error.stack }),
   });
 });
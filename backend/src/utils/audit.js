@@ -0,0 +1,214 @@
+/**
+ * Audit log
+ * A mongoose plugin that records every create/update/delete of a model as an
+ * AuditEvent, with the acting user and IP taken from the current request.
+ * The request is tracked with AsyncLocalStorage (requestContext middleware),
+ * so routes don't have to pass the actor down to the models.
+ */
+
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+const QUERY_OPS = ['findOneAndUpdate', 'updateOne', 'findOneAndReplace', 'replaceOne', 'findOneAndDelete', 'deleteOne'];
+const DELETE_OPS = ['findOneAndDelete', 'deleteOne'];
+const BULK_OPS = ['updateMany', 'deleteMany'];
+const ALWAYS_IGNORED = ['_id', '__v', 'createdAt', 'updatedAt'];
+const BEFORE = Symbol('auditBefore');
+
+/**
+ * Express middleware giving each request its own audit context
+ */
+const requestContext = (req, res, next) => {
+  const context = {
+    actor: null,
+    actorRole: null,
+    ip: req.ip || '',
+    userAgent: req.headers['user-agent'] || '',
+  };
+
+  storage.run(context, () => {
+    // Multipart parsers read the body from socket callbacks, which run outside
+    // this context; binding the request's events keeps it for later handlers
+    req.emit = AsyncResource.bind(req.emit.bind(req));
+    next();
+  });
+};
+
+/**
+ * Record the authenticated user as the actor of the current request
+ * @param {Object} user - { _id, role }
+ */
+const setAuditActor = (user) => {
+  const context = storage.getStore();
+  if (context) {
+    context.actor = user._id;
+    context.actorRole = user.role;
+  }
+};
+
+/**
+ * Context of the current request ({ actor, actorRole, ip, userAgent }), or undefined outside one
+ */
+const getAuditContext = () => storage.getStore();
+
+// JSON with sorted keys, so stored and in-memory copies compare equal
+const stableStringify = (value) => JSON.stringify(value, (key, val) => (
+  val && typeof val === 'object' && !Array.isArray(val) && val.constructor === Object
+    ? Object.keys(val).sort().reduce((acc, k) => { acc[k] = val[k]; return acc; }, {})
+    : val
+));
+
+/**
+ * Top-level fields that differ between two plain snapshots
+ */
+const diff = (before, after, { ignore, redact }) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return [...fields]
+    .filter((field) => !ignore.has(field))
+    .filter((field) => stableStringify(before?.[field]) !== stableStringify(after?.[field]))
+    .map((field) => (redact.has(field)
+      ? { field, before: '[redacted]', after: '[redacted]' }
+      : { field, before: before?.[field] ?? null, after: after?.[field] ?? null }));
+};
+
+const record = async (entityType, action, before, after, options) => {
+  try {
+    const changes = diff(before, after, options);
+    if (action === 'update' && changes.length === 0) return;
+
+    const snapshot = after || before;
+    const context = getAuditContext() || {};
+    const AuditEvent = require('../models/AuditEvent');
+
+    await AuditEvent.create({
+      entityType,
+      entityId: snapshot._id,
+      project: options.projectField ? snapshot[options.projectField] || null : null,
+      action,
+      actor: context.actor || null,
+      actorRole: context.actorRole || null,
+      ip: context.ip || '',
+      userAgent: context.userAgent || '',
+      changes,
+    });
+  } catch (error) {
+    // Auditing must never fail the write it describes
+    console.error('Audit log error:', error.message);
+  }
+};
+
+const snapshotOf = (doc) => doc.toObject({ depopulate: true, virtuals: false, getters: false });
+
+/**
+ * Mongoose plugin recording writes as AuditEvents
+ * @param {mongoose.Schema} schema
+ * @param {Object} [options]
+ * @param {string} [options.projectField] - Field holding the project ID ('_id' for Project)
+ * @param {string[]} [options.ignore] - Fields whose changes aren't recorded
+ * @param {string[]} [options.redact] - Fields recorded as changed without their values
+ */
+const auditPlugin = (schema, { projectField = null, ignore = [], redact = [] } = {}) => {
+  const options = {
+    projectField,
+    ignore: new Set([...ALWAYS_IGNORED, ...ignore]),
+    redact: new Set(redact),
+  };
+
+  // Document saves: load the stored copy first so updates can be diffed
+  schema.pre('save', async function () {
+    this.$locals.auditAction = this.isNew ? 'create' : 'update';
+    this.$locals.auditBefore = null;
+    if (this.isNew) return;
+
+    try {
+      this.$locals.auditBefore = await this.constructor.findById(this._id).lean();
+    } catch (error) {
+      console.error('Audit log error:', error.message);
+    }
+  });
+
+  schema.post('save', async function (doc) {
+    const { auditAction, auditBefore } = doc.$locals;
+    await record(doc.constructor.modelName, auditAction, auditBefore, snapshotOf(doc), options);
+  });
+
+  // Query writes (findByIdAndUpdate, deleteOne, ...)
+  schema.pre(QUERY_OPS, async function () {
+    try {
+      this[BEFORE] = await this.model.findOne(this.getFilter()).lean();
+    } catch (error) {
+      console.error('Audit log error:', error.message);
+    }
+  });
+
+  schema.post(QUERY_OPS, async function () {
+    const before = this[BEFORE];
+
+    if (DELETE_OPS.includes(this.op)) {
+      if (before) await record(this.model.modelName, 'delete', before, null, options);
+      return;
+    }
+
+    try {
+      const after = before
+        ? await this.model.findById(before._id).lean()
+        : this.getOptions().upsert && await this.model.findOne(this.getFilter()).lean();
+      if (after) {
+        await record(this.model.modelName, before ? 'update' : 'create', before, after, options);
+      }
+    } catch (error) {
+      console.error('Audit log error:', error.message);
+    }
+  });
+
+  // Bulk writes: one event per matched document
+  schema.pre(BULK_OPS, async function () {
+    try {
+      this[BEFORE] = await this.model.find(this.getFilter()).lean();
+    } catch (error) {
+      console.error('Audit log error:', error.message);
+    }
+  });
+
+  schema.post(BULK_OPS, async function () {
+    const before = this[BEFORE] || [];
+
+    if (this.op === 'deleteMany') {
+      await Promise.all(before.map((doc) => record(this.model.modelName, 'delete', doc, null, options)));
+      return;
+    }
+
+    try {
+      const after = before.length
+        ? await this.model.find({ _id: { $in: before.map((doc) => doc._id) } }).lean()
+        : this.getOptions().upsert && await this.model.find(this.getFilter()).lean();
+      const byId = new Map(before.map((doc) => [doc._id.toString(), doc]));
+      await Promise.all((after || []).map((doc) => {
+        const previous = byId.get(doc._id.toString()) || null;
+        return record(this.model.modelName, previous ? 'update' : 'create', previous, doc, options);
+      }));
+    } catch (error) {
+      console.error('Audit log error:', error.message);
+    }
+  });
+
+  schema.post('insertMany', async function (docs) {
+    await Promise.all(docs.map((doc) => record(
+      this.modelName,
+      'create',
+      null,
+      typeof doc.toObject === 'function' ? snapshotOf(doc) : doc,
+      options
+    )));
+  });
+};
+
+module.exports = {
+  requestContext,
+  setAuditActor,
+  getAuditContext,
+  auditPlugin,
+  diff,
+};
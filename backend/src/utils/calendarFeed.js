@@ -0,0 +1,179 @@
+/**
+ * Calendar subscription feed
+ * Each user can turn on a private .ics feed for their phone's calendar app.
+ * The feed URL carries a random secret; only its hash is stored, so a new
+ * feed replaces the old URL and turning it off revokes it.
+ *
+ * The feed has, from FEED_PAST_DAYS ago onwards:
+ *
+ *   tasks          tasks assigned to the user, at their date and time
+ *   milestones     open milestones of the user's projects (all-day)
+ *   deliveries     expected delivery dates of purchase orders (the vendor's
+ *                  own orders, or those of the user's projects)
+ *   installments   unpaid installments and payment schedule entries of the
+ *                  user's projects (not for vendors)
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { buildCalendar } = require('./icalendar');
+
+const FEED_PAST_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Purchase orders with no delivery to expect
+const CLOSED_ORDER_STATUSES = ['draft', 'completed', 'cancelled', 'rejected'];
+
+const hashFeedToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * A new feed secret and the hash to store for it
+ * @returns {{ token: string, tokenHash: string }}
+ */
+const createFeedToken = () => {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, tokenHash: hashFeedToken(token) };
+};
+
+/**
+ * When a task happens, as a floating local time: its day at its HH:MM
+ * @param {Object} task - Task (date, time)
+ * @returns {Date} UTC fields hold the wall-clock time
+ */
+const taskStart = (task) => {
+  const date = new Date(task.date);
+  const [hours = 9, minutes = 0] = (task.time || '').split(':').map(Number);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hours, minutes));
+};
+
+const formatAmount = (amount, currency = 'INR') => `${currency} ${Number(amount || 0).toLocaleString('en-IN')}`;
+
+/**
+ * The calendar event of a task
+ * @param {Object} task - Task, with projectId populated (title) if available
+ */
+const taskEvent = (task) => ({
+  uid: `task-${task._id}@houseway`,
+  summary: task.taskName,
+  description: [task.projectId?.title && `Project: ${task.projectId.title}`, task.taskDescription]
+    .filter(Boolean)
+    .join('\n'),
+  start: taskStart(task),
+  alarmMinutes: task.notifyBefore,
+  categories: ['Task'],
+});
+
+/**
+ * Calendar events of a project's milestones and payments
+ * @param {Object} project - Project (title, progress.milestones, installments, paymentSchedule, budget)
+ * @param {Object} options
+ * @param {Date} options.since - Leave out dates before this
+ * @param {boolean} options.payments - Whether to include installment due dates
+ */
+const projectEvents = (project, { since, payments }) => {
+  const upcoming = (date) => date && new Date(date) >= since;
+  const currency = project.budget?.currency;
+  const events = (project.progress?.milestones || [])
+    .filter((milestone) => milestone.status !== 'completed' && upcoming(milestone.targetDate))
+    .map((milestone) => ({
+      uid: `milestone-${milestone._id}@houseway`,
+      summary: `Milestone: ${milestone.name} (${project.title})`,
+      description: milestone.description,
+      start: milestone.targetDate,
+      allDay: true,
+      categories: ['Milestone'],
+    }));
+
+  if (payments) {
+    const due = [
+      ...(project.installments || []).map(({ _id, title, amount, dueDate, status }) => ({ _id, name: title, amount, dueDate, status })),
+      ...(project.paymentSchedule || []),
+    ];
+    events.push(...due
+      .filter((payment) => payment.status !== 'paid' && upcoming(payment.dueDate))
+      .map((payment) => ({
+        uid: `payment-${payment._id}@houseway`,
+        summary: `Payment due: ${payment.name} (${project.title})`,
+        description: `Amount: ${formatAmount(payment.amount, currency)}`,
+        start: payment.dueDate,
+        allDay: true,
+        categories: ['Payment'],
+      })));
+  }
+
+  return events;
+};
+
+/**
+ * The calendar event of a purchase order's expected delivery
+ * @param {Object} order - PurchaseOrder, with project populated (title) if available
+ */
+const deliveryEvent = (order) => ({
+  uid: `delivery-${order._id}@houseway`,
+  summary: `Delivery: ${order.purchaseOrderNumber || order.title}${order.project?.title ? ` (${order.project.title})` : ''}`,
+  description: order.title,
+  start: order.expectedDeliveryDate,
+  allDay: true,
+  categories: ['Delivery'],
+});
+
+/**
+ * Every event of a user's feed, in date order
+ * @param {Object} user - User (_id, role)
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ */
+const feedEvents = async (user, { now = new Date() } = {}) => {
+  const Project = mongoose.model('Project');
+  const since = new Date(now.getTime() - FEED_PAST_DAYS * DAY_MS);
+
+  const projects = await Project.find({
+    ...Project.memberFilter(user),
+    status: { $nin: ['completed', 'cancelled'] },
+  }).select('title budget progress.milestones installments paymentSchedule');
+
+  const orderFilter = user.role === 'vendor'
+    ? { vendor: user._id }
+    : { project: { $in: projects.map((project) => project._id) } };
+
+  const [tasks, orders] = await Promise.all([
+    mongoose.model('Task').find({
+      assignedTo: user._id,
+      status: { $ne: 'cancelled' },
+      date: { $gte: since },
+    }).populate('projectId', 'title'),
+    mongoose.model('PurchaseOrder').find({
+      ...orderFilter,
+      status: { $nin: CLOSED_ORDER_STATUSES },
+      expectedDeliveryDate: { $gte: since },
+    })
+      .select('purchaseOrderNumber title expectedDeliveryDate project')
+      .populate('project', 'title'),
+  ]);
+
+  return [
+    ...tasks.map(taskEvent),
+    ...projects.flatMap((project) => projectEvents(project, { since, payments: user.role !== 'vendor' })),
+    ...orders.map(deliveryEvent),
+  ].sort((a, b) => new Date(a.start) - new Date(b.start));
+};
+
+/**
+ * The .ics text of a user's feed
+ * @param {Object} user - User (_id, role, firstName)
+ */
+const buildFeed = async (user) => buildCalendar({
+  name: `Houseway${user.firstName ? ` – ${user.firstName}` : ''}`,
+  events: await feedEvents(user),
+});
+
+module.exports = {
+  FEED_PAST_DAYS,
+  hashFeedToken,
+  createFeedToken,
+  taskEvent,
+  projectEvents,
+  feedEvents,
+  buildFeed,
+};
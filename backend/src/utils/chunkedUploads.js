@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { getStorage } = require('./storage');
+
+/**
+ * Chunked uploads
+ * Large files (site walkthrough videos, drawing sets) are sent in parts that
+ * are each checked against their SHA-256 and kept in storage until the upload
+ * completes, so an interrupted upload only re-sends the parts it is missing.
+ * See routes/uploads for the protocol and models/UploadSession for the state.
+ */
+
+const MB = 1024 * 1024;
+
+const CHUNK_SIZE = {
+  default: 8 * MB,
+  min: 256 * 1024,
+  max: 16 * MB,
+};
+
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_CHUNKED_UPLOAD_SIZE) || 2 * 1024 * MB;
+
+// How long an unfinished upload is kept after its last part
+const SESSION_TTL_MS = (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * The parts of a session joined in order, as one stream
+ * @param {Object} session - UploadSession
+ * @param {crypto.Hash} [hash] - Updated with every byte read
+ * @returns {Readable}
+ */
+const readParts = (session, hash) => {
+  const storage = getStorage();
+
+  async function* chunks() {
+    for (let index = 0; index < session.totalChunks; index++) {
+      const part = await storage.get(session.partKey(index));
+      if (!part) throw new Error(`Part ${index} is missing from storage`);
+      for await (const chunk of part.stream) {
+        if (hash) hash.update(chunk);
+        yield chunk;
+      }
+    }
+  }
+
+  return Readable.from(chunks());
+};
+
+/**
+ * Delete the stored parts of a session
+ */
+const removeParts = async (session) => {
+  const storage = getStorage();
+  const parts = await storage.list(session.partsPrefix());
+  await Promise.all(parts.map((part) => storage.delete(part.key)));
+};
+
+module.exports = {
+  CHUNK_SIZE,
+  MAX_UPLOAD_SIZE,
+  SESSION_TTL_MS,
+  sha256,
+  readParts,
+  removeParts,
+};
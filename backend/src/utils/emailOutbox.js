@@ -0,0 +1,154 @@
+/**
+ * Email Outbox
+ * Queue templated emails and deliver them with retry/backoff.
+ * Delivery runs from the emailOutbox background job (see src/jobs).
+ */
+
+const EmailOutbox = require('../models/EmailOutbox');
+const Notification = require('../models/Notification');
+const ClientInvoice = require('../models/ClientInvoice');
+const { sendEmail } = require('./emailService');
+const { renderTemplate } = require('./emailTemplates');
+const { generateInvoicePDF } = require('./pdfGenerator');
+
+const RETRY_BASE_MS = parseInt(process.env.EMAIL_RETRY_BASE_MS || '60000');
+const RETRY_MAX_MS = parseInt(process.env.EMAIL_RETRY_MAX_MS || String(6 * 60 * 60 * 1000));
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS || '5');
+const SEND_LOCK_MS = 5 * 60 * 1000;
+
+/**
+ * Delay before the next attempt: base * 2^(attempts - 1), capped
+ * @param {number} attempts - Attempts made so far
+ */
+const backoffMs = (attempts) => Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+
+/**
+ * Render a template and add it to the outbox
+ * @param {Object} params
+ * @param {string} params.to - Recipient address
+ * @param {string} [params.recipient] - Recipient user id
+ * @param {string} params.template - Template name (see emailTemplates)
+ * @param {Object} params.data - Template data
+ * @param {Array} [params.attachments] - e.g. [{ kind: 'invoicePdf', refId: invoiceId }]
+ * @param {Array} [params.notifications] - Notifications to update with the outcome
+ * @param {string} [params.dedupeKey] - Skip if an email with this key was already queued
+ * @param {Date} [params.sendAfter] - Earliest delivery time
+ * @returns {Promise<Object|null>} Outbox entry, or null for a duplicate dedupeKey
+ */
+const queueEmail = async ({
+  to,
+  recipient,
+  template,
+  data,
+  attachments = [],
+  notifications = [],
+  dedupeKey,
+  sendAfter,
+}) => {
+  const { subject, html, text } = renderTemplate(template, data);
+
+  try {
+    return await EmailOutbox.create({
+      to,
+      recipient,
+      template,
+      subject,
+      html,
+      text,
+      attachments,
+      notifications,
+      dedupeKey,
+      maxAttempts: MAX_ATTEMPTS,
+      nextAttemptAt: sendAfter || new Date(),
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Build nodemailer attachments for an outbox entry
+ */
+const buildAttachments = async (entry) => Promise.all(entry.attachments.map(async (attachment) => {
+  if (attachment.kind === 'invoicePdf') {
+    // clientId/projectId are populated by ClientInvoice's pre-find hook
+    const invoice = await ClientInvoice.findById(attachment.refId);
+    if (!invoice) {
+      throw new Error(`Invoice ${attachment.refId} not found for attachment`);
+    }
+    const content = await generateInvoicePDF(invoice, invoice.projectId || {}, invoice.clientId || {});
+    return {
+      filename: `Invoice_${invoice.invoiceNumber}.pdf`,
+      content,
+      contentType: 'application/pdf',
+    };
+  }
+  throw new Error(`Unknown attachment kind: ${attachment.kind}`);
+}));
+
+const updateNotifications = (entry, status) => {
+  if (!entry.notifications?.length) return null;
+  return Notification.updateMany(
+    { _id: { $in: entry.notifications } },
+    { $set: { 'delivery.email': status } }
+  );
+};
+
+/**
+ * Deliver one claimed outbox entry
+ * @returns {Promise<boolean>} Whether it was sent
+ */
+const deliver = async (entry) => {
+  try {
+    const attachments = await buildAttachments(entry);
+    const result = await sendEmail({
+      to: entry.to,
+      subject: entry.subject,
+      html: entry.html,
+      text: entry.text,
+      attachments,
+    });
+    await entry.markSent(result.messageId);
+    await updateNotifications(entry, 'sent');
+    return true;
+  } catch (error) {
+    await entry.markFailed(error, backoffMs(entry.attempts));
+    if (entry.status === 'failed') {
+      await updateNotifications(entry, 'failed');
+      console.error(`❌ [Email] Giving up on ${entry.template} email to ${entry.to} after ${entry.attempts} attempts:`, error.message);
+    } else {
+      console.warn(`⚠️ [Email] ${entry.template} email to ${entry.to} failed (attempt ${entry.attempts}), retrying at ${entry.nextAttemptAt.toISOString()}:`, error.message);
+    }
+    return false;
+  }
+};
+
+/**
+ * Deliver due emails
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Max emails per run
+ */
+const processOutbox = async ({ now = new Date(), limit = 50 } = {}) => {
+  let sent = 0;
+  let failed = 0;
+
+  for (let i = 0; i < limit; i += 1) {
+    const entry = await EmailOutbox.claimNext(SEND_LOCK_MS, now);
+    if (!entry) break;
+
+    if (await deliver(entry)) {
+      sent += 1;
+    } else {
+      failed += 1;
+    }
+  }
+
+  return { sent, failed };
+};
+
+module.exports = {
+  queueEmail,
+  processOutbox,
+  backoffMs,
+};
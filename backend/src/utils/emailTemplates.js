@@ -0,0 +1,227 @@
+/**
+ * Email Templates
+ * Each template takes plain data and returns { subject, html, text }.
+ * HTML is wrapped in the shared Houseway layout; all interpolated values are escaped.
+ */
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const greeting = (name) => `Hi${name ? ` ${name}` : ''},`;
+
+/**
+ * Shared HTML layout (gold header, white card, footer)
+ */
+const layout = ({ heading, body }) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f5f5f5; margin: 0; padding: 20px;">
+  <div style="max-width: 500px; margin: 0 auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+    <div style="background: linear-gradient(135deg, #D4AF37 0%, #DAA520 100%); padding: 30px; text-align: center;">
+      <h1 style="color: #ffffff; margin: 0; font-size: 24px;">${escapeHtml(heading)}</h1>
+    </div>
+    <div style="padding: 30px;">
+      ${body}
+    </div>
+    <div style="background: #f9f9f9; padding: 15px; text-align: center; border-top: 1px solid #eee;">
+      <p style="color: #999; font-size: 11px; margin: 0;">
+        © ${new Date().getFullYear()} Houseway. All rights reserved.
+      </p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+const paragraph = (text) =>
+  `<p style="color: #666; font-size: 14px; line-height: 1.6;">${escapeHtml(text)}</p>`;
+
+const greetingParagraph = (name) =>
+  `<p style="color: #333; font-size: 16px; margin-bottom: 20px;">${escapeHtml(greeting(name))}</p>`;
+
+/**
+ * Label/value table, skipping empty values
+ * @param {Array<[string, *]>} rows
+ */
+const detailsTable = (rows) => {
+  const cells = rows
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([label, value]) => `
+        <tr>
+          <td style="color: #999; font-size: 13px; padding: 6px 0;">${escapeHtml(label)}</td>
+          <td style="color: #333; font-size: 13px; padding: 6px 0; text-align: right; font-weight: 600;">${escapeHtml(value)}</td>
+        </tr>`)
+    .join('');
+  return `<table style="width: 100%; border-collapse: collapse; margin: 20px 0; border-top: 1px solid #eee; border-bottom: 1px solid #eee;">${cells}</table>`;
+};
+
+const detailsText = (rows) => rows
+  .filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([label, value]) => `${label}: ${value}`)
+  .join('\n');
+
+const footnote = (text) =>
+  `<p style="color: #999; font-size: 12px; margin-top: 20px;">${escapeHtml(text)}</p>`;
+
+const templates = {
+  passwordOTP: ({ name, otp }) => ({
+    subject: 'Password Reset OTP - Houseway',
+    html: layout({
+      heading: 'Password Reset',
+      body: `
+      ${greetingParagraph(name)}
+      ${paragraph('You requested to reset your password. Use the OTP below to proceed:')}
+      <div style="background: #f8f8f8; border: 2px dashed #D4AF37; border-radius: 10px; padding: 20px; margin: 25px 0; text-align: center;">
+        <span style="font-size: 32px; font-weight: bold; letter-spacing: 8px; color: #D4AF37;">${escapeHtml(otp)}</span>
+      </div>
+      <p style="color: #999; font-size: 12px;">
+        This OTP is valid for <strong>10 minutes</strong>. Do not share it with anyone.
+      </p>
+      ${footnote("If you didn't request this, please ignore this email or contact support.")}`,
+    }),
+    text: `Your password reset OTP is: ${otp}. Valid for 10 minutes.`,
+  }),
+
+  invoiceSent: ({ name, invoiceNumber, projectTitle, amount, dueDate }) => {
+    const rows = [['Invoice', invoiceNumber], ['Project', projectTitle], ['Amount due', amount], ['Due date', dueDate]];
+    return {
+      subject: `Invoice ${invoiceNumber} from Houseway`,
+      html: layout({
+        heading: 'New Invoice',
+        body: `
+      ${greetingParagraph(name)}
+      ${paragraph(`Please find attached invoice ${invoiceNumber}${projectTitle ? ` for "${projectTitle}"` : ''}.`)}
+      ${detailsTable(rows)}
+      ${footnote('You can also view and pay this invoice in the Houseway app.')}`,
+      }),
+      text: `${greeting(name)}\n\nPlease find attached invoice ${invoiceNumber}.\n\n${detailsText(rows)}\n\nYou can also view this invoice in the Houseway app.`,
+    };
+  },
+
+  paymentReceived: ({ name, invoiceNumber, projectTitle, amount, paidDate, paymentMethod }) => {
+    const rows = [['Invoice', invoiceNumber], ['Project', projectTitle], ['Amount', amount], ['Paid on', paidDate], ['Method', paymentMethod]];
+    return {
+      subject: `Payment received for invoice ${invoiceNumber}`,
+      html: layout({
+        heading: 'Payment Received',
+        body: `
+      ${greetingParagraph(name)}
+      ${paragraph('Thank you! We have received your payment.')}
+      ${detailsTable(rows)}
+      ${footnote('Keep this email as your receipt.')}`,
+      }),
+      text: `${greeting(name)}\n\nThank you! We have received your payment.\n\n${detailsText(rows)}`,
+    };
+  },
+
+  quotationAccepted: ({ name, orderNumber, orderTitle, projectTitle, amount }) => {
+    const rows = [['Purchase order', orderNumber], ['Order', orderTitle], ['Project', projectTitle], ['Accepted amount', amount]];
+    return {
+      subject: `Quotation accepted${orderNumber ? ` - ${orderNumber}` : ''}`,
+      html: layout({
+        heading: 'Quotation Accepted',
+        body: `
+      ${greetingParagraph(name)}
+      ${paragraph('Your quotation has been accepted. Please submit delivery details in the app to proceed with the order.')}
+      ${detailsTable(rows)}`,
+      }),
+      text: `${greeting(name)}\n\nYour quotation has been accepted. Please submit delivery details in the app to proceed with the order.\n\n${detailsText(rows)}`,
+    };
+  },
+
+  deliveryDispatched: ({ name, orderNumber, orderTitle, projectTitle, status, carrier, trackingNumber, expectedArrival }) => {
+    const rows = [
+      ['Purchase order', orderNumber],
+      ['Order', orderTitle],
+      ['Project', projectTitle],
+      ['Status', status],
+      ['Carrier', carrier],
+      ['Tracking number', trackingNumber],
+      ['Expected arrival', expectedArrival],
+    ];
+    return {
+      subject: `Order ${orderNumber || orderTitle} is on its way`,
+      html: layout({
+        heading: 'Delivery Dispatched',
+        body: `
+      ${greetingParagraph(name)}
+      ${paragraph('The vendor has dispatched your order.')}
+      ${detailsTable(rows)}`,
+      }),
+      text: `${greeting(name)}\n\nThe vendor has dispatched your order.\n\n${detailsText(rows)}`,
+    };
+  },
+
+  deadlineReminder: ({ name, title, message, projectTitle, dueAt }) => {
+    const rows = [['Project', projectTitle], ['Due', dueAt]];
+    return {
+      subject: title || 'Deadline reminder',
+      html: layout({
+        heading: 'Reminder',
+        body: `
+      ${greetingParagraph(name)}
+      ${paragraph(message)}
+      ${detailsTable(rows)}`,
+      }),
+      text: `${greeting(name)}\n\n${message}\n\n${detailsText(rows)}`,
+    };
+  },
+
+  // Fallback for notification types without a dedicated template
+  notification: ({ name, title, message }) => ({
+    subject: title,
+    html: layout({
+      heading: title,
+      body: `
+      ${greetingParagraph(name)}
+      ${paragraph(message)}`,
+    }),
+    text: `${greeting(name)}\n\n${message}`,
+  }),
+
+  notificationDigest: ({ name, date, items = [] }) => ({
+    subject: `Your Houseway summary for ${date}`,
+    html: layout({
+      heading: 'Daily Summary',
+      body: `
+      ${greetingParagraph(name)}
+      ${paragraph(`You have ${items.length} new notification${items.length === 1 ? '' : 's'}:`)}
+      ${items.map((item) => `
+      <div style="border-left: 3px solid #D4AF37; padding: 4px 0 4px 12px; margin: 12px 0;">
+        <p style="color: #333; font-size: 14px; font-weight: 600; margin: 0;">${escapeHtml(item.title)}</p>
+        <p style="color: #666; font-size: 13px; margin: 4px 0 0;">${escapeHtml(item.message)}</p>
+      </div>`).join('')}`,
+    }),
+    text: `${greeting(name)}\n\nYou have ${items.length} new notification(s):\n\n${items
+      .map((item) => `- ${item.title}: ${item.message}`)
+      .join('\n')}`,
+  }),
+};
+
+/**
+ * Render a template by name
+ * @param {string} name - Template name (see `templates`)
+ * @param {Object} data - Template data
+ * @returns {{subject: string, html: string, text: string}}
+ */
+const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  TEMPLATE_NAMES: Object.keys(templates),
+  renderTemplate,
+  escapeHtml,
+};
@@ -0,0 +1,146 @@
+/**
+ * File access
+ * Stored files open only through short-lived signed links (see utils/storage).
+ * Before issuing one, find the record that references the file and check the
+ * user may see it: a member of its project, one of the users it belongs to
+ * (uploader, client, vendor...), or a holder of the listed permission.
+ * Owners may open every file.
+ */
+
+const Project = require('../models/Project');
+const File = require('../models/File');
+const ProjectDocument = require('../models/ProjectDocument');
+const DocumentApproval = require('../models/DocumentApproval');
+const ClientMedia = require('../models/ClientMedia');
+const ClientInvoice = require('../models/ClientInvoice');
+const ClientTimelineEvent = require('../models/ClientTimelineEvent');
+const MaterialRequest = require('../models/MaterialRequest');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const VendorInvoice = require('../models/VendorInvoice');
+const Quotation = require('../models/Quotation');
+const NegotiationMessage = require('../models/NegotiationMessage');
+const ServiceRequest = require('../models/ServiceRequest');
+const User = require('../models/User');
+const { hasPermission } = require('./permissions');
+
+// Records that store file URLs, in lookup order: how to find one, and who may open its files
+const REFERENCES = [
+  {
+    Model: File,
+    filter: (url, key) => ({
+      $or: [{ storageKey: key }, { path: url }, { 'renditions.thumb': url }, { 'renditions.medium': url }],
+    }),
+    access: (doc) => ({ project: doc.project, vendors: doc.category !== 'invoices', users: [doc.uploadedBy] }),
+  },
+  {
+    Model: Project,
+    filter: (url) => ({
+      $or: [
+        { 'images.url': url },
+        { 'images.renditions.thumb': url },
+        { 'images.renditions.medium': url },
+      ],
+    }),
+    access: (doc) => ({ project: doc._id }),
+  },
+  {
+    Model: ProjectDocument,
+    filter: (url, key) => ({ $or: [{ 'versions.url': url }, { 'versions.storageKey': key }] }),
+    access: (doc) => ({ project: doc.project, vendors: doc.type !== 'invoice' }),
+  },
+  {
+    // Approval certificates, before the timeline events they're attached to
+    Model: DocumentApproval,
+    filter: (url, key) => ({ $or: [{ 'certificate.url': url }, { 'certificate.storageKey': key }] }),
+    access: (doc) => ({ project: doc.project, vendors: false, users: [doc.client] }),
+  },
+  {
+    Model: ClientMedia,
+    filter: (url) => ({ $or: [{ url }, { 'renditions.thumb': url }, { 'renditions.medium': url }] }),
+    access: (doc) => ({ project: doc.projectId, users: [doc.clientId], permission: 'clients.view' }),
+  },
+  {
+    Model: ClientInvoice,
+    filter: (url) => ({ 'attachments.url': url }),
+    access: (doc) => ({ project: doc.projectId, vendors: false, users: [doc.clientId] }),
+  },
+  {
+    Model: ClientTimelineEvent,
+    filter: (url) => ({ 'attachments.url': url }),
+    access: (doc) => ({ project: doc.projectId, users: [doc.clientId] }),
+  },
+  {
+    Model: MaterialRequest,
+    filter: (url) => ({ 'attachments.url': url }),
+    access: (doc) => ({ project: doc.project, users: [doc.requestedBy] }),
+  },
+  {
+    Model: PurchaseOrder,
+    filter: (url) => ({ $or: [{ 'attachments.url': url }, { 'deliveries.attachments.url': url }] }),
+    access: (doc) => ({ project: doc.project, users: [doc.vendor] }),
+  },
+  {
+    Model: VendorInvoice,
+    filter: (url) => ({ 'attachments.url': url }),
+    access: (doc) => ({ project: doc.project, users: [doc.vendor] }),
+  },
+  {
+    Model: Quotation,
+    filter: (url) => ({ 'attachments.url': url }),
+    populate: { path: 'materialRequest', select: 'project' },
+    access: (doc) => ({ project: doc.materialRequest?.project, users: [doc.vendor] }),
+  },
+  {
+    Model: NegotiationMessage,
+    filter: (url) => ({ 'attachments.url': url }),
+    populate: { path: 'purchaseOrder', select: 'project vendor' },
+    access: (doc) => ({ project: doc.purchaseOrder?.project, users: [doc.sender, doc.purchaseOrder?.vendor] }),
+  },
+  {
+    Model: ServiceRequest,
+    filter: (url) => ({ $or: [{ 'attachments.url': url }, { 'deliverables.url': url }] }),
+    access: (doc) => ({ users: [doc.requestedBy, doc.assignedVendor], permission: 'service-requests.assign' }),
+  },
+  {
+    // Profile photos appear next to names throughout the app
+    Model: User,
+    filter: (url) => ({ profileImage: url }),
+    access: () => ({ everyone: true }),
+  },
+];
+
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+const isAllowed = async (user, { project, vendors = true, users = [], permission, everyone }) => {
+  if (user.role === 'owner' || everyone) return true;
+
+  const userId = user._id.toString();
+  if (users.some((ref) => refId(ref) === userId)) return true;
+  if (permission && await hasPermission(user, permission)) return true;
+
+  if (!project) return false;
+  const doc = await Project.findById(refId(project)).select('client createdBy assignedEmployees assignedVendors');
+  return Boolean(doc && doc.hasMember(user, { vendors }));
+};
+
+/**
+ * Whether a user may open a stored file
+ * @param {Object} user - Authenticated user
+ * @param {Object} file
+ * @param {string} file.key - Storage key
+ * @param {string} file.url - URL stored on records for the file
+ * @returns {Promise<boolean|null>} null when no record references the file
+ */
+const canAccessFile = async (user, { key, url }) => {
+  for (const { Model, filter, populate, access } of REFERENCES) {
+    let query = Model.findOne(filter(url, key));
+    if (populate) query = query.populate(populate);
+    const doc = await query;
+    if (doc) return isAllowed(user, access(doc));
+  }
+  return null;
+};
+
+module.exports = {
+  canAccessFile,
+};
@@ -0,0 +1,123 @@
+/**
+ * iCalendar (RFC 5545) text for calendar apps
+ * Events are either all-day ({ allDay: true, start }) or timed. Timed events
+ * without a `utc` flag are written as floating local times, so a task at
+ * 09:00 shows at 09:00 wherever the phone is.
+ */
+
+const PRODUCT_ID = '-//Houseway//Project Calendar//EN';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// 20260302
+const formatDate = (value) => {
+  const date = new Date(value);
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+};
+
+// 20260302T093000Z
+const formatDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * The lines of one VEVENT
+ * @param {Object} event
+ * @param {string} event.uid - Stable ID, so updates replace the event
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {Date} event.start
+ * @param {Date} [event.end] - Default: the next day for all-day events, one hour later otherwise
+ * @param {boolean} [event.allDay]
+ * @param {boolean} [event.utc] - Write times in UTC instead of floating local time
+ * @param {number} [event.alarmMinutes] - Reminder this many minutes before
+ * @param {string} [event.status] - CONFIRMED, TENTATIVE or CANCELLED
+ * @param {string[]} [event.categories]
+ * @param {Date} stamp - When the calendar was generated
+ */
+const eventLines = (event, stamp) => {
+  const start = new Date(event.start);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(stamp)}`,
+  ];
+
+  if (event.allDay) {
+    const end = event.end ? new Date(event.end) : new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`, `DTEND;VALUE=DATE:${formatDate(end)}`);
+  } else {
+    const end = event.end ? new Date(event.end) : new Date(start.getTime() + 60 * 60 * 1000);
+    const format = event.utc ? formatDateTime : (value) => formatDateTime(value).replace(/Z$/, '');
+    lines.push(`DTSTART:${format(start)}`, `DTEND:${format(end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+
+  if (event.alarmMinutes > 0) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      `TRIGGER:-PT${Math.round(event.alarmMinutes)}M`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * A VCALENDAR with the given events
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by subscribing apps
+ * @param {Object[]} options.events - See eventLines
+ * @param {Date} [options.stamp] - Generation time (default: now)
+ * @returns {string} CRLF-separated iCalendar text
+ */
+const buildCalendar = ({ name, events = [], stamp = new Date() }) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${PRODUCT_ID}`,
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  `X-WR-CALNAME:${escapeText(name)}`,
+  // How often subscribing apps should refetch the feed
+  'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+  'X-PUBLISHED-TTL:PT1H',
+  ...events.flatMap((event) => eventLines(event, stamp)),
+  'END:VCALENDAR',
+].map(foldLine).join('\r\n') + '\r\n';
+
+module.exports = {
+  escapeText,
+  formatDate,
+  formatDateTime,
+  buildCalendar,
+};
@@ -0,0 +1,90 @@
+const sharp = require('sharp');
+
+/**
+ * Image processing for uploads
+ * Photos are stored upright with their metadata removed (EXIF carries the GPS
+ * position of the site and the phone's details), and galleries get smaller
+ * JPEG renditions so lists don't download full-size photos.
+ */
+
+// Longest side, in pixels, of each rendition
+const RENDITIONS = {
+  thumb: 320,
+  medium: 1280,
+};
+
+const MB = 1024 * 1024;
+
+// Images are decoded in memory to be re-encoded, so they get tighter limits than
+// other uploads: the file size, and the pixel count checked before decoding
+const MAX_IMAGE_SIZE = parseInt(process.env.MAX_IMAGE_UPLOAD_SIZE) || 50 * MB;
+const MAX_IMAGE_PIXELS = parseInt(process.env.MAX_IMAGE_PIXELS) || 100 * 1000 * 1000;
+
+// Formats we re-encode; GIFs are left alone so animations survive
+const FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/jpg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+const isProcessableImage = (mimetype) => Boolean(FORMATS[mimetype]);
+
+/**
+ * Storage key of a rendition, next to the original: photo-123.png -> photo-123_thumb.jpg
+ */
+const renditionKey = (key, name) => `${key.replace(/\.[^./]*$/, '')}_${name}.jpg`;
+
+/**
+ * Rotate an image to its EXIF orientation and drop all metadata
+ * @param {Buffer} buffer
+ * @param {string} mimetype - One of the processable types
+ * @returns {Promise<{body: Buffer, width: number, height: number}>}
+ */
+const normalizeImage = async (buffer, mimetype) => {
+  let result;
+  try {
+    const format = FORMATS[mimetype];
+    // PNG quality would switch to a reduced palette, so PNGs keep their defaults
+    result = await sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS })
+      .rotate()
+      .toFormat(format, format === 'png' ? {} : { quality: 90 })
+      .toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    if (/pixel limit/i.test(error.message)) {
+      const sizeError = new Error(`Image is too large. Maximum is ${MAX_IMAGE_PIXELS / 1000000} megapixels`);
+      sizeError.status = 413;
+      throw sizeError;
+    }
+    const readError = new Error('The uploaded image could not be read');
+    readError.status = 400;
+    throw readError;
+  }
+  return { body: result.data, width: result.info.width, height: result.info.height };
+};
+
+/**
+ * Scaled-down JPEG copy of an upright image
+ * @param {Buffer} buffer
+ * @param {string} name - Key of RENDITIONS
+ * @returns {Promise<{body: Buffer, width: number, height: number}>}
+ */
+const createRendition = async (buffer, name) => {
+  const size = RENDITIONS[name];
+  const { data, info } = await sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS })
+    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+  return { body: data, width: info.width, height: info.height };
+};
+
+module.exports = {
+  MAX_IMAGE_SIZE,
+  MAX_IMAGE_PIXELS,
+  RENDITIONS,
+  isProcessableImage,
+  renditionKey,
+  normalizeImage,
+  createRendition,
+};
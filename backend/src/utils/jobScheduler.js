@@ -0,0 +1,113 @@
+/**
+ * Job Scheduler
+ * Persistent in-process scheduler backed by the ScheduledJob collection.
+ * Each job is claimed with an atomic lock so that when several server
+ * instances share a database, only one of them runs a given job at a time.
+ *
+ * Configure via environment variables:
+ * - JOB_SCHEDULER_ENABLED: set to "false" to disable (default: enabled)
+ * - JOB_SCHEDULER_POLL_MS: how often due jobs are checked (default: 30000)
+ * - JOB_LOCK_MS: how long a claimed job stays locked (default: 5 minutes)
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ScheduledJob = require('../models/ScheduledJob');
+
+class JobScheduler {
+  constructor({ pollMs, lockMs } = {}) {
+    this.pollMs = pollMs || parseInt(process.env.JOB_SCHEDULER_POLL_MS) || 30 * 1000;
+    this.lockMs = lockMs || parseInt(process.env.JOB_LOCK_MS) || 5 * 60 * 1000;
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.jobs = new Map();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Register a job
+   * @param {string} name - Unique job name
+   * @param {number} intervalMs - Run interval in milliseconds
+   * @param {Function} handler - async (context) => result
+   */
+  register(name, intervalMs, handler) {
+    this.jobs.set(name, { name, intervalMs, handler });
+    return this;
+  }
+
+  /**
+   * Persist job definitions and start polling
+   */
+  async start() {
+    if (this.timer) return;
+
+    for (const job of this.jobs.values()) {
+      await ScheduledJob.updateOne(
+        { name: job.name },
+        {
+          $set: { intervalMs: job.intervalMs },
+          $setOnInsert: { nextRunAt: new Date() },
+        },
+        { upsert: true }
+      );
+    }
+
+    this.timer = setInterval(() => this.tick(), this.pollMs);
+    if (this.timer.unref) this.timer.unref();
+    console.log(`⏱️  Job scheduler started (${this.jobs.size} jobs, instance ${this.instanceId})`);
+
+    await this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run every registered job that is due and not locked elsewhere
+   */
+  async tick() {
+    if (this.ticking || mongoose.connection.readyState !== 1) return;
+    this.ticking = true;
+
+    try {
+      for (const job of this.jobs.values()) {
+        await this.runJob(job);
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async runJob(job) {
+    let claimed;
+    try {
+      claimed = await ScheduledJob.acquire(job.name, this.instanceId, this.lockMs);
+    } catch (error) {
+      console.error(`❌ [Jobs] Failed to acquire ${job.name}:`, error.message);
+      return;
+    }
+    if (!claimed) return;
+
+    let result = {};
+    let errorMessage = null;
+    try {
+      result = (await job.handler({ now: new Date(), lastRunAt: claimed.lastFinishedAt })) || {};
+    } catch (error) {
+      errorMessage = error.message;
+      console.error(`❌ [Jobs] ${job.name} failed:`, error);
+    }
+
+    try {
+      await ScheduledJob.release(job.name, this.instanceId, { error: errorMessage, result });
+    } catch (error) {
+      console.error(`❌ [Jobs] Failed to release ${job.name}:`, error.message);
+    }
+  }
+}
+
+module.exports = JobScheduler;
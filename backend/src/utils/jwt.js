@@ -3,7 +3,9 @@ const jwt = require('jsonwebtoken');
 require('dotenv').config({ path: __dirname + '/../.env' });
 
 /**
- * Generate JWT token for user
+ * Generate JWT access token for user.
+ * Access tokens are short-lived; clients renew them with a refresh token
+ * (see utils/sessionService).
  * @param {Object} payload - User data to include in token
  * @returns {String} JWT token
  */
@@ -12,7 +14,7 @@ const generateToken = (payload) => {
     payload,
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m',
     }
   );
 };
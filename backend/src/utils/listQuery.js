@@ -0,0 +1,264 @@
+/**
+ * List queries
+ * Filtering, sorting and pagination for list endpoints, read the same way
+ * from every query string and answered with the same pagination metadata.
+ *
+ *   ?status=pending,approved        equals, or any of a comma-separated list
+ *   ?status[nin]=cancelled          eq, ne, in, nin
+ *   ?createdAt[gte]=2025-01-01      gt, gte, lt, lte too on dates and numbers
+ *   ?sort=-createdAt,title          several fields; '-' for descending
+ *   ?limit=20&cursor=<nextCursor>   next page after the previous response
+ *   ?page=2                         offset pages, for older screens
+ *
+ * Each route whitelists the parameters it accepts and the model fields they
+ * map to; values are checked against the field's schema type and enum.
+ */
+
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const EQUALITY_OPERATORS = ['eq', 'ne', 'in', 'nin'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const schemaTypeOf = (Model, field) => {
+  const schemaType = Model.schema.path(field);
+  // Arrays are filtered by their elements
+  return schemaType?.caster || schemaType;
+};
+
+const castValue = (schemaType, param, raw) => {
+  const value = String(raw).trim();
+  switch (schemaType?.instance) {
+    case 'ObjectId':
+    case 'ObjectID':
+      if (!mongoose.Types.ObjectId.isValid(value)) throw badRequest(`Invalid ${param}: ${value}`);
+      return new mongoose.Types.ObjectId(value);
+    case 'Number': {
+      const number = Number(value);
+      if (value === '' || !Number.isFinite(number)) throw badRequest(`Invalid ${param}: ${value}`);
+      return number;
+    }
+    case 'Date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) throw badRequest(`Invalid ${param}: ${value}`);
+      return date;
+    }
+    case 'Boolean':
+      if (value !== 'true' && value !== 'false') throw badRequest(`Invalid ${param}: ${value}`);
+      return value === 'true';
+    default:
+      if (schemaType?.enumValues?.length && !schemaType.enumValues.includes(value)) {
+        throw badRequest(`Invalid ${param}: ${value} (expected one of: ${schemaType.enumValues.join(', ')})`);
+      }
+      return value;
+  }
+};
+
+const listOf = (raw) => (Array.isArray(raw) ? raw : String(raw).split(','))
+  .map((item) => String(item).trim())
+  .filter(Boolean);
+
+// ?param=value, ?param=a,b, ?param=a&param=b or ?param[op]=value
+const buildCondition = (Model, param, field, raw) => {
+  const schemaType = schemaTypeOf(Model, field);
+  const ordered = ['Number', 'Date'].includes(schemaType?.instance);
+  const cast = (value) => castValue(schemaType, param, value);
+
+  if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+    const allowed = ordered ? [...EQUALITY_OPERATORS, ...RANGE_OPERATORS] : EQUALITY_OPERATORS;
+    const condition = {};
+    Object.entries(raw).forEach(([operator, value]) => {
+      if (!allowed.includes(operator)) {
+        throw badRequest(`Unsupported operator for ${param}: ${operator} (allowed: ${allowed.join(', ')})`);
+      }
+      condition[`$${operator}`] = ['in', 'nin'].includes(operator) ? listOf(value).map(cast) : cast(value);
+    });
+    return condition;
+  }
+
+  const values = listOf(raw);
+  if (values.length === 0) return undefined;
+  return values.length === 1 ? cast(values[0]) : { $in: values.map(cast) };
+};
+
+const parseSort = (query, spec) => {
+  const sorts = spec.sorts || {};
+  let requested = query.sort;
+  // Older clients send sortBy and sortOrder
+  if (!requested && query.sortBy) {
+    requested = `${query.sortOrder === 'asc' ? '' : '-'}${query.sortBy}`;
+  }
+
+  const sort = {};
+  listOf(requested || spec.defaultSort || '-createdAt').forEach((key) => {
+    const descending = key.startsWith('-');
+    const param = key.replace(/^[-+]/, '');
+    const field = sorts[param] || Object.values(sorts).find((value) => value === param);
+    if (!field) {
+      throw badRequest(`Cannot sort by ${param} (allowed: ${Object.keys(sorts).join(', ')})`);
+    }
+    sort[field] = descending ? -1 : 1;
+  });
+  // Ties are broken by _id so that every document has one place in the order
+  if (!('_id' in sort)) sort._id = Object.values(sort)[0] || -1;
+  return sort;
+};
+
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return value === undefined ? null : value;
+};
+
+// Only what encodeValue writes: anything else (e.g. {"$ne": null}) would
+// reach the filter as a query operator
+const decodeValue = (value) => {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return value;
+
+  const keys = value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+  if (keys.length === 1 && keys[0] === 'd' && typeof value.d === 'string') {
+    const date = new Date(value.d);
+    if (!Number.isNaN(date.getTime())) return date;
+  }
+  if (keys.length === 1 && keys[0] === 'o' && typeof value.o === 'string' && /^[a-f\d]{24}$/i.test(value.o)) {
+    return new mongoose.Types.ObjectId(value.o);
+  }
+  throw badRequest('Invalid cursor');
+};
+
+const sortKey = (sort) => Object.entries(sort).map(([field, direction]) => `${direction < 0 ? '-' : ''}${field}`).join(',');
+
+const encodeCursor = (doc, sort) => Buffer.from(JSON.stringify({
+  s: sortKey(sort),
+  v: Object.keys(sort).map((field) => encodeValue(doc.get ? doc.get(field) : doc[field])),
+})).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (error) {
+    throw badRequest('Invalid cursor');
+  }
+  if (!decoded || !Array.isArray(decoded.v) || decoded.v.length !== Object.keys(sort).length) {
+    throw badRequest('Invalid cursor');
+  }
+  if (decoded.s !== sortKey(sort)) {
+    throw badRequest('Cursor does not match the sort order; start again without a cursor');
+  }
+  return decoded.v.map(decodeValue);
+};
+
+// Documents after `values` in `sort` order. Missing values sort before
+// everything else, so they come first ascending and last descending.
+const afterCursor = (sort, values) => {
+  const fields = Object.keys(sort);
+  const branches = [];
+
+  fields.forEach((field, index) => {
+    const value = values[index];
+    const descending = sort[field] < 0;
+    const equalBefore = {};
+    fields.slice(0, index).forEach((previous, i) => {
+      equalBefore[previous] = values[i];
+    });
+
+    let next;
+    if (value === null) {
+      if (descending) return;
+      next = { [field]: { $ne: null } };
+    } else if (descending) {
+      next = { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+    } else {
+      next = { [field]: { $gt: value } };
+    }
+    branches.push({ ...equalBefore, ...next });
+  });
+
+  return { $or: branches };
+};
+
+/**
+ * Read a list request's filters, sort and page from the query string
+ * @param {mongoose.Model} Model - Model being listed
+ * @param {Object} query - req.query
+ * @param {Object} spec
+ * @param {Object<string, string>} spec.filters - Query parameter -> field it filters
+ * @param {Object<string, string>} spec.sorts - Sort name -> field it sorts by
+ * @param {string} [spec.defaultSort] - e.g. '-createdAt'
+ * @param {number} [spec.defaultLimit] - Page size when none is asked for (default 20)
+ * @param {number} [spec.maxLimit] - Largest page size (default 100)
+ * @returns {Object} { filter, sort, limit, page, after } for findPage
+ * @throws {Error} With status 400 for an unknown sort, operator or invalid value
+ */
+const parseListQuery = (Model, query, spec) => {
+  const filter = {};
+  Object.entries(spec.filters || {}).forEach(([param, field]) => {
+    if (query[param] === undefined || query[param] === '') return;
+    const condition = buildCondition(Model, param, field, query[param]);
+    if (condition !== undefined) filter[field] = condition;
+  });
+
+  const sort = parseSort(query, spec);
+  const requestedLimit = parseInt(query.limit, 10);
+  const limit = Number.isNaN(requestedLimit)
+    ? spec.defaultLimit || DEFAULT_LIMIT
+    : Math.min(Math.max(requestedLimit, 1), spec.maxLimit || MAX_LIMIT);
+
+  if (query.cursor) {
+    return { filter, sort, limit, page: null, after: afterCursor(sort, decodeCursor(query.cursor, sort)) };
+  }
+  return { filter, sort, limit, page: Math.max(parseInt(query.page, 10) || 1, 1), after: null };
+};
+
+/**
+ * Run a list query and describe the page
+ * @param {mongoose.Model} Model - Model being listed
+ * @param {Object} scope - What the user may see (role filter); combined with the request's filters
+ * @param {Object} list - Result of parseListQuery
+ * @param {Object} [options]
+ * @param {Object|Object[]} [options.populate] - Passed to query.populate
+ * @param {string} [options.select] - Passed to query.select
+ * @returns {Promise<{ items: Object[], pagination: Object }>} pagination has limit, total, hasMore and
+ *   nextCursor, plus current and pages for offset pages
+ */
+const findPage = async (Model, scope, list, { populate, select } = {}) => {
+  const conditions = [scope, list.filter].filter((condition) => condition && Object.keys(condition).length);
+  const filter = conditions.length > 1 ? { $and: conditions } : conditions[0] || {};
+
+  let query = Model.find(list.after ? { $and: [filter, list.after] } : filter)
+    .sort(list.sort)
+    .limit(list.limit + 1);
+  if (list.page > 1) query = query.skip((list.page - 1) * list.limit);
+  if (select) query = query.select(select);
+  if (populate) query = query.populate(populate);
+
+  const [docs, total] = await Promise.all([query, Model.countDocuments(filter)]);
+  const items = docs.slice(0, list.limit);
+  const hasMore = docs.length > list.limit;
+
+  const pagination = {
+    limit: list.limit,
+    total,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], list.sort) : null,
+  };
+  if (list.page) {
+    pagination.current = list.page;
+    pagination.pages = Math.ceil(total / list.limit);
+  }
+  return { items, pagination };
+};
+
+module.exports = {
+  parseListQuery,
+  findPage,
+};
@@ -0,0 +1,236 @@
+/**
+ * Notification preferences
+ * Per-type channel settings, quiet hours and daily digest for a user.
+ * Stored on User.notificationPreferences; anything not set falls back to the defaults below.
+ */
+
+const Notification = require('../models/Notification');
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+// Human-readable labels for the settings screen
+const TYPE_LABELS = {
+  assignment: 'Assignments',
+  task_assigned: 'Task assigned',
+  vendor_assigned: 'Vendor assigned to project',
+  executive_added: 'Added to project',
+  team_member_added: 'Team member added',
+  project_update: 'Project updates',
+  milestone_completed: 'Milestones completed',
+  deadline_reminder: 'Deadline reminders',
+  quotation_received: 'Quotations received',
+  quotation_accepted: 'Quotations accepted',
+  invoice_generated: 'New invoices',
+  payment_received: 'Payments received',
+  payment_overdue: 'Overdue payments',
+  delivery_update: 'Delivery updates',
+  message_received: 'Messages',
+  material_request: 'Material requests',
+  work_status_update: 'Work status updates',
+  document_approval: 'Document approvals',
+  schedule_reminder: 'Schedule reminders',
+  general: 'General',
+};
+
+const CHANNELS = ['inApp', 'email', 'push'];
+
+const DEFAULT_CHANNELS = { inApp: true, email: false, push: true };
+
+// Types that are emailed unless the user turns it off
+const EMAIL_BY_DEFAULT = [
+  'invoice_generated',
+  'payment_received',
+  'payment_overdue',
+  'quotation_accepted',
+  'delivery_update',
+  'deadline_reminder',
+  'document_approval',
+];
+
+const defaultChannels = (type) => ({
+  ...DEFAULT_CHANNELS,
+  email: EMAIL_BY_DEFAULT.includes(type),
+});
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Full preferences for a user, with defaults filled in for every type
+ * @param {Object} [stored] - User.notificationPreferences
+ * @returns {Object}
+ */
+const resolvePreferences = (stored = {}) => {
+  const storedTypes = stored.types instanceof Map
+    ? Object.fromEntries(stored.types)
+    : stored.types || {};
+
+  const types = {};
+  NOTIFICATION_TYPES.forEach((type) => {
+    const channels = storedTypes[type] || {};
+    const defaults = defaultChannels(type);
+    types[type] = CHANNELS.reduce((acc, channel) => {
+      acc[channel] = typeof channels[channel] === 'boolean' ? channels[channel] : defaults[channel];
+      return acc;
+    }, {});
+  });
+
+  return {
+    types,
+    quietHours: {
+      enabled: stored.quietHours?.enabled ?? false,
+      start: stored.quietHours?.start || '22:00',
+      end: stored.quietHours?.end || '07:00',
+    },
+    dailyDigest: {
+      enabled: stored.dailyDigest?.enabled ?? false,
+      time: stored.dailyDigest?.time || '08:00',
+    },
+    timezone: stored.timezone || DEFAULT_TIMEZONE,
+  };
+};
+
+/**
+ * Channels enabled for one notification type.
+ * Push is a live alert for a feed entry, so it is off whenever in-app is off.
+ * @param {Object} preferences - Resolved preferences
+ * @param {string} type - Notification type
+ * @returns {{inApp: boolean, email: boolean, push: boolean}}
+ */
+const resolveChannels = (preferences, type) => {
+  const channels = preferences.types[type] || preferences.types.general;
+  return {
+    inApp: channels.inApp,
+    email: channels.email,
+    push: channels.inApp && channels.push,
+  };
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Minutes since midnight in the given timezone
+ */
+const localMinutes = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const hour = Number(parts.find((p) => p.type === 'hour').value);
+  const minute = Number(parts.find((p) => p.type === 'minute').value);
+  return hour * 60 + minute;
+};
+
+/**
+ * Whether `date` falls inside the user's quiet hours (which may span midnight)
+ * @param {Object} preferences - Resolved preferences
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+const isQuietHours = (preferences, date = new Date()) => {
+  const { enabled, start, end } = preferences.quietHours;
+  if (!enabled || start === end) return false;
+
+  const now = localMinutes(date, preferences.timezone);
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  return from < to ? now >= from && now < to : now >= from || now < to;
+};
+
+/**
+ * When the current quiet period ends
+ * @param {Object} preferences - Resolved preferences
+ * @param {Date} [date]
+ * @returns {Date}
+ */
+const quietHoursEnd = (preferences, date = new Date()) => {
+  const now = localMinutes(date, preferences.timezone);
+  const to = toMinutes(preferences.quietHours.end);
+  const minutesLeft = (to - now + 24 * 60) % (24 * 60);
+
+  const end = new Date(date.getTime() + minutesLeft * 60 * 1000);
+  end.setSeconds(0, 0);
+  return end;
+};
+
+/**
+ * Whether today's digest time has passed in the user's timezone
+ * @param {Object} preferences - Resolved preferences
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+const isDigestDue = (preferences, date = new Date()) =>
+  preferences.dailyDigest.enabled
+  && localMinutes(date, preferences.timezone) >= toMinutes(preferences.dailyDigest.time);
+
+/**
+ * Calendar date (YYYY-MM-DD) in the user's timezone
+ * @param {Object} preferences - Resolved preferences
+ * @param {Date} [date]
+ * @returns {string}
+ */
+const localDateKey = (preferences, date = new Date()) =>
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: preferences.timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+
+/**
+ * Merge a partial update from the client into the stored preferences
+ * @param {Object} [stored] - Current User.notificationPreferences
+ * @param {Object} update - Request body
+ * @returns {Object} Value to store
+ */
+const mergePreferences = (stored = {}, update = {}) => {
+  const current = resolvePreferences(stored);
+
+  const types = { ...current.types };
+  Object.entries(update.types || {}).forEach(([type, channels]) => {
+    if (!types[type]) return;
+    CHANNELS.forEach((channel) => {
+      if (typeof channels?.[channel] === 'boolean') {
+        types[type] = { ...types[type], [channel]: channels[channel] };
+      }
+    });
+  });
+
+  return {
+    types,
+    quietHours: { ...current.quietHours, ...update.quietHours },
+    dailyDigest: { ...current.dailyDigest, ...update.dailyDigest },
+    timezone: update.timezone || current.timezone,
+  };
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  TYPE_LABELS,
+  CHANNELS,
+  TIME_PATTERN,
+  isValidTimezone,
+  resolvePreferences,
+  resolveChannels,
+  isQuietHours,
+  quietHoursEnd,
+  isDigestDue,
+  localDateKey,
+  mergePreferences,
+};
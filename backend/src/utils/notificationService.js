@@ -4,16 +4,55 @@
  */
 
 const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { userRoom } = require('./socket');
+const { queueEmail } = require('./emailOutbox');
+const {
+  resolvePreferences,
+  resolveChannels,
+  isQuietHours,
+  quietHoursEnd,
+} = require('./notificationPreferences');
+
+// Socket.io server, set once at startup by server.js
+let io = null;
 
 class NotificationService {
   /**
-   * Create a notification
+   * Attach the Socket.io server used for real-time delivery
+   * @param {import('socket.io').Server} socketServer
+   */
+  static setIO(socketServer) {
+    io = socketServer;
+  }
+
+  /**
+   * Create a notification and deliver it according to the recipient's preferences.
+   * Returns null when the recipient has turned off both in-app and email for this type;
+   * with only in-app off, the notification is stored for its email but not listed.
    * @param {Object} data - Notification data
-   * @returns {Promise<Object>} Created notification
+   * @param {Object} [data.email] - Email options: { template, data, attachments, dedupeKey }.
+   *   Without a template the generic "notification" email is used.
+   * @returns {Promise<Object|null>} Created notification
    */
   static async create(data) {
     try {
-      const notification = await Notification.createNotification(data);
+      const { email, ...notificationData } = data;
+      const recipient = await User.findById(notificationData.recipient)
+        .select('firstName lastName email notificationPreferences');
+
+      const delivery = this.planDelivery(recipient, notificationData);
+      if (!delivery) return null;
+
+      const notification = await Notification.createNotification({ ...notificationData, delivery });
+      if (delivery.push === 'sent') {
+        await this.push(notification);
+      } else if (delivery.inApp === 'shown') {
+        await this.emitUnreadCount(notification.recipient);
+      }
+      if (delivery.email === 'pending') {
+        await this.queueEmail(notification, recipient, email);
+      }
       return notification;
     } catch (error) {
       console.error('NotificationService.create error:', error);
@@ -21,6 +60,109 @@ class NotificationService {
     }
   }
 
+  /**
+   * Decide how a notification reaches its recipient. In-app and email are
+   * planned separately: either one alone still delivers the notification.
+   * Quiet hours hold back live alerts and emails unless the priority is urgent.
+   * @param {Object|null} recipient - User with notificationPreferences and email
+   * @param {Object} data - Notification data
+   * @returns {Object|null} Delivery record, or null if it should not be stored
+   */
+  static planDelivery(recipient, data) {
+    const preferences = resolvePreferences(recipient?.notificationPreferences);
+    const channels = resolveChannels(preferences, data.type || 'general');
+
+    const now = new Date();
+    const quiet = data.priority !== 'urgent' && isQuietHours(preferences, now);
+
+    let email = 'off';
+    if (channels.email && recipient?.email) {
+      email = preferences.dailyDigest.enabled && data.priority !== 'urgent' ? 'digest' : 'pending';
+    }
+
+    if (!channels.inApp && email === 'off') return null;
+
+    return {
+      inApp: channels.inApp ? 'shown' : 'off',
+      push: !channels.push ? 'off' : quiet ? 'quiet' : 'sent',
+      email,
+      emailAfter: email === 'pending' && quiet ? quietHoursEnd(preferences, now) : undefined,
+    };
+  }
+
+  /**
+   * Put the email for a notification in the outbox.
+   * Failures are logged and recorded on the notification, never thrown.
+   * @param {Object} notification - Saved notification document
+   * @param {Object} recipient - User document
+   * @param {Object} [email] - Email options passed to create()
+   */
+  static async queueEmail(notification, recipient, email = {}) {
+    try {
+      const entry = await queueEmail({
+        to: recipient.email,
+        recipient: recipient._id,
+        template: email.template || 'notification',
+        data: {
+          name: recipient.firstName,
+          title: notification.title,
+          message: notification.message,
+          ...email.data,
+        },
+        attachments: email.attachments,
+        notifications: [notification._id],
+        dedupeKey: email.dedupeKey,
+        sendAfter: notification.delivery.emailAfter,
+      });
+      if (!entry) {
+        // Same dedupeKey already queued, e.g. an invoice re-sent without changes
+        notification.delivery.email = 'off';
+        await notification.save();
+      }
+    } catch (error) {
+      console.error('NotificationService.queueEmail error:', error.message);
+      notification.delivery.email = 'failed';
+      await notification.save().catch(() => {});
+    }
+  }
+
+  /**
+   * Emit a notification with the recipient's new unread count.
+   * Delivery failures are logged, never thrown: the notification is already saved.
+   * @param {Object} notification - Saved notification document
+   */
+  static async push(notification) {
+    if (!io) return;
+
+    try {
+      await notification.populate([
+        { path: 'sender', select: 'firstName lastName profileImage role' },
+        { path: 'relatedProject', select: 'title' },
+      ]);
+      const unreadCount = await Notification.getUnreadCount(notification.recipient);
+
+      io.to(userRoom(notification.recipient)).emit('notification', { notification, unreadCount });
+    } catch (error) {
+      console.error('NotificationService.push error:', error.message);
+    }
+  }
+
+  /**
+   * Emit the current unread count, e.g. after notifications are read or deleted
+   * on another device
+   * @param {string} userId
+   */
+  static async emitUnreadCount(userId) {
+    if (!io) return;
+
+    try {
+      const unreadCount = await Notification.getUnreadCount(userId);
+      io.to(userRoom(userId)).emit('notificationCount', { unreadCount });
+    } catch (error) {
+      console.error('NotificationService.emitUnreadCount error:', error.message);
+    }
+  }
+
   /**
    * Notify when an executive is added to a project by a designer
    * @param {Object} params
@@ -106,6 +248,7 @@ class NotificationService {
       relatedProject: projectId,
       priority: reminderType === 'deadline' ? 'high' : 'normal',
       metadata: { reminderType, dueDate },
+      email: { template: 'deadlineReminder', data: { projectTitle, dueAt: formattedDate } },
     });
   }
 
@@ -164,7 +307,16 @@ class NotificationService {
    * Notify about quotation accepted
    * @param {Object} params
    */
-  static async notifyQuotationAccepted({ vendorId, executiveId, projectId, purchaseOrderId, amount }) {
+  static async notifyQuotationAccepted({
+    vendorId,
+    executiveId,
+    projectId,
+    purchaseOrderId,
+    amount,
+    orderNumber,
+    orderTitle,
+    projectTitle,
+  }) {
     return this.create({
       recipient: vendorId,
       sender: executiveId,
@@ -174,6 +326,11 @@ class NotificationService {
       relatedProject: projectId,
       relatedPurchaseOrder: purchaseOrderId,
       priority: 'high',
+      email: {
+        template: 'quotationAccepted',
+        data: { orderNumber, orderTitle, projectTitle, amount: `₹${amount.toLocaleString()}` },
+        dedupeKey: `quotation_accepted:${purchaseOrderId}:${amount}`,
+      },
     });
   }
 
@@ -212,6 +369,251 @@ class NotificationService {
     return Promise.all(notifications);
   }
 
+  /**
+   * Remind a user about an upcoming task
+   * @param {Object} params
+   * @param {string} params.recipientId - Assignee (or creator for unassigned tasks)
+   * @param {Object} params.task - Task document
+   * @param {string} params.projectTitle - Project title
+   */
+  static async sendTaskReminder({ recipientId, task, projectTitle }) {
+    const formattedDate = new Date(task.date).toLocaleDateString('en-IN', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+    });
+
+    return this.create({
+      recipient: recipientId,
+      type: 'deadline_reminder',
+      title: '⏰ Task Reminder',
+      message: `"${task.taskName}"${projectTitle ? ` in "${projectTitle}"` : ''} is scheduled at ${task.time} today.`,
+      relatedProject: task.projectId?._id || task.projectId,
+      relatedTask: task._id,
+      priority: task.priority === 'high' ? 'high' : 'normal',
+      metadata: { reminderType: 'task', scheduledAt: task.scheduledAt },
+      email: { template: 'deadlineReminder', data: { projectTitle, dueAt: `${formattedDate}, ${task.time}` } },
+    });
+  }
+
+  /**
+   * Remind a client that an installment is coming due
+   * @param {Object} params
+   */
+  static async sendInstallmentReminder({ clientId, projectId, projectTitle, installment }) {
+    const formattedDate = new Date(installment.dueDate).toLocaleDateString('en-IN', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+    });
+
+    return this.create({
+      recipient: clientId,
+      type: 'deadline_reminder',
+      title: '💳 Payment Due Soon',
+      message: `"${installment.title}" of ₹${installment.amount.toLocaleString()} for "${projectTitle}" is due on ${formattedDate}.`,
+      relatedProject: projectId,
+      priority: 'normal',
+      metadata: { reminderType: 'installment', installmentId: installment._id, dueDate: installment.dueDate },
+      email: { template: 'deadlineReminder', data: { projectTitle, dueAt: formattedDate } },
+    });
+  }
+
+  /**
+   * Notify that an installment has passed its due date
+   * @param {Object} params
+   */
+  static async notifyInstallmentOverdue({ recipientId, projectId, projectTitle, installment }) {
+    const outstanding = installment.amount - (installment.paidAmount || 0);
+
+    return this.create({
+      recipient: recipientId,
+      type: 'payment_overdue',
+      title: '⚠️ Payment Overdue',
+      message: `"${installment.title}" for "${projectTitle}" is overdue. Outstanding: ₹${outstanding.toLocaleString()}.`,
+      relatedProject: projectId,
+      priority: 'high',
+      metadata: { installmentId: installment._id, dueDate: installment.dueDate, outstanding },
+    });
+  }
+
+  /**
+   * Notify that a client invoice has passed its due date
+   * @param {Object} params
+   */
+  static async notifyInvoiceOverdue({ recipientId, invoice, lateFee = 0 }) {
+    return this.create({
+      recipient: recipientId,
+      type: 'payment_overdue',
+      title: '⚠️ Invoice Overdue',
+      message: `Invoice ${invoice.invoiceNumber} (${invoice.formatCurrency(invoice.totalAmount)}) is overdue.${
+        lateFee > 0 ? ` A late fee of ${invoice.formatCurrency(lateFee)} applies.` : ''
+      }`,
+      relatedProject: invoice.projectId?._id || invoice.projectId,
+      priority: 'high',
+      metadata: { invoiceId: invoice._id, dueDate: invoice.dueDate, lateFee },
+    });
+  }
+
+  /**
+   * Send a client their invoice (emailed with the PDF attached)
+   * @param {Object} params
+   * @param {Object} params.invoice - ClientInvoice document (clientId/projectId populated or ids)
+   * @param {string} params.senderId - User who sent the invoice
+   */
+  static async notifyInvoiceSent({ invoice, senderId }) {
+    const amount = invoice.formatCurrency(invoice.totalAmount);
+    const dueDate = new Date(invoice.dueDate).toLocaleDateString('en-IN', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+    });
+
+    return this.create({
+      recipient: invoice.clientId?._id || invoice.clientId,
+      sender: senderId,
+      type: 'invoice_generated',
+      title: '🧾 New Invoice',
+      message: `Invoice ${invoice.invoiceNumber} for ${amount} is due on ${dueDate}.`,
+      relatedProject: invoice.projectId?._id || invoice.projectId,
+      priority: 'normal',
+      metadata: { invoiceId: invoice._id, amount: invoice.totalAmount, dueDate: invoice.dueDate },
+      email: {
+        template: 'invoiceSent',
+        data: { invoiceNumber: invoice.invoiceNumber, projectTitle: invoice.projectId?.title, amount, dueDate },
+        attachments: [{ kind: 'invoicePdf', refId: invoice._id }],
+        dedupeKey: `invoice_sent:${invoice._id}:${new Date(invoice.sentDate || Date.now()).getTime()}`,
+      },
+    });
+  }
+
+  /**
+   * Confirm a client invoice payment to the client
+   * @param {Object} params
+   * @param {Object} params.invoice - ClientInvoice document
+   * @param {string} params.senderId - User who recorded the payment
+   */
+  static async notifyPaymentReceived({ invoice, senderId }) {
+    const amount = invoice.formatCurrency(invoice.totalAmount);
+
+    return this.create({
+      recipient: invoice.clientId?._id || invoice.clientId,
+      sender: senderId,
+      type: 'payment_received',
+      title: '✅ Payment Received',
+      message: `Thank you! Your payment of ${amount} for invoice ${invoice.invoiceNumber} has been received.`,
+      relatedProject: invoice.projectId?._id || invoice.projectId,
+      priority: 'normal',
+      metadata: { invoiceId: invoice._id, amount: invoice.totalAmount },
+      email: {
+        template: 'paymentReceived',
+        data: {
+          invoiceNumber: invoice.invoiceNumber,
+          projectTitle: invoice.projectId?.title,
+          amount,
+          paidDate: new Date(invoice.paidDate || Date.now()).toLocaleDateString('en-IN', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+          }),
+          paymentMethod: invoice.paymentMethod ? invoice.paymentMethod.replace(/_/g, ' ') : undefined,
+        },
+        dedupeKey: `payment_received:${invoice._id}`,
+      },
+    });
+  }
+
+  /**
+   * Tell the purchase order's creator that the vendor dispatched it
+   * @param {Object} params
+   * @param {string} params.recipientId - Usually the PO creator
+   * @param {string} params.vendorId - Vendor who updated the delivery
+   * @param {Object} params.purchaseOrder - PurchaseOrder document
+   * @param {string} [params.projectTitle]
+   */
+  static async notifyDeliveryDispatched({ recipientId, vendorId, purchaseOrder, projectTitle }) {
+    const tracking = purchaseOrder.deliveryTracking || {};
+    const expectedArrival = tracking.expectedArrival
+      ? new Date(tracking.expectedArrival).toLocaleDateString('en-IN', {
+          day: 'numeric',
+          month: 'short',
+          year: 'numeric',
+        })
+      : undefined;
+    const status = (tracking.status || 'dispatched').replace(/_/g, ' ');
+
+    return this.create({
+      recipient: recipientId,
+      sender: vendorId,
+      type: 'delivery_update',
+      title: '🚚 Order Dispatched',
+      message: `"${purchaseOrder.title}" is ${status}${expectedArrival ? `, expected ${expectedArrival}` : ''}.`,
+      relatedProject: purchaseOrder.project?._id || purchaseOrder.project,
+      relatedPurchaseOrder: purchaseOrder._id,
+      priority: 'normal',
+      metadata: { deliveryStatus: tracking.status, trackingNumber: tracking.trackingNumber },
+      email: {
+        template: 'deliveryDispatched',
+        data: {
+          orderNumber: purchaseOrder.purchaseOrderNumber,
+          orderTitle: purchaseOrder.title,
+          projectTitle,
+          status,
+          carrier: tracking.carrier,
+          trackingNumber: tracking.trackingNumber,
+          expectedArrival,
+        },
+        dedupeKey: `delivery_dispatched:${purchaseOrder._id}:${recipientId}`,
+      },
+    });
+  }
+
+  /**
+   * Ask the client to approve a document version
+   * @param {Object} params
+   * @param {Object} params.approval - DocumentApproval document
+   * @param {string} [params.projectTitle]
+   */
+  static async notifyApprovalRequested({ approval, projectTitle }) {
+    return this.create({
+      recipient: approval.client,
+      sender: approval.requestedBy,
+      type: 'document_approval',
+      title: '✍️ Approval Requested',
+      message: `Please review and approve "${approval.documentName}" (v${approval.version})${projectTitle ? ` for "${projectTitle}"` : ''}.`,
+      relatedProject: approval.project,
+      priority: 'high',
+      metadata: { approvalId: approval._id, documentId: approval.document },
+      email: {
+        dedupeKey: `approval_requested:${approval._id}`,
+      },
+    });
+  }
+
+  /**
+   * Tell whoever asked for approval how the client answered
+   * @param {Object} params
+   * @param {Object} params.approval - DocumentApproval document, after the client responded
+   */
+  static async notifyApprovalResponded({ approval }) {
+    const approved = approval.status === 'approved';
+    return this.create({
+      recipient: approval.requestedBy,
+      sender: approval.client,
+      type: 'document_approval',
+      title: approved ? '✅ Document Approved' : '📝 Changes Requested',
+      message: approved
+        ? `The client approved "${approval.documentName}" (v${approval.version}).`
+        : `The client requested changes to "${approval.documentName}" (v${approval.version})${approval.comments ? `: ${approval.comments}` : '.'}`,
+      relatedProject: approval.project,
+      priority: 'normal',
+      metadata: { approvalId: approval._id, documentId: approval.document, status: approval.status },
+      email: {
+        dedupeKey: `approval_${approval.status}:${approval._id}`,
+      },
+    });
+  }
+
   /**
    * Get unread count for a user
    * @param {string} userId
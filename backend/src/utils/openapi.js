@@ -0,0 +1,470 @@
+/**
+ * OpenAPI document
+ * Built from the mounted routers rather than written by hand: paths and
+ * methods come from the route table, request schemas from the
+ * express-validator chains on each route (middleware/validation), and the
+ * summary and access level from the route's @route/@desc/@access comment.
+ * Response bodies are described for the core resources, from their models.
+ */
+
+const fs = require('fs');
+const { AUTH_ROUTE, ROUTES, routeFile, loadRouter } = require('../routes');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const MaterialRequest = require('../models/MaterialRequest');
+const VendorInvoice = require('../models/VendorInvoice');
+const Notification = require('../models/Notification');
+const { version } = require('../../package.json');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const listOf = (name) => ({ type: 'array', items: ref(name) });
+
+// ---- Models -----------------------------------------------------------------
+
+const MODELS = { Project, User, PurchaseOrder, MaterialRequest, VendorInvoice, Notification };
+
+const nullable = (schema) => {
+  if (typeof schema.type === 'string') {
+    return {
+      ...schema,
+      type: [schema.type, 'null'],
+      ...(schema.enum && { enum: [...schema.enum, null] }),
+    };
+  }
+  return schema.type || Object.keys(schema).length === 0 ? schema : { anyOf: [schema, { type: 'null' }] };
+};
+
+const schemaTypeToJson = (schemaType) => {
+  switch (schemaType.instance) {
+    case 'String':
+      return schemaType.enumValues?.length ? { type: 'string', enum: schemaType.enumValues } : { type: 'string' };
+    case 'Number':
+      return { type: 'number' };
+    case 'Date':
+      return { type: 'string', format: 'date-time' };
+    case 'Boolean':
+      return { type: 'boolean' };
+    case 'ObjectId':
+    case 'ObjectID':
+      // Populated references are sent as the referenced document
+      return schemaType.options?.ref ? { anyOf: [ref('ObjectId'), { type: 'object' }] } : ref('ObjectId');
+    case 'Array':
+      if (schemaType.schema) return { type: 'array', items: mongooseToJson(schemaType.schema) };
+      return { type: 'array', items: schemaType.caster ? schemaTypeToJson(schemaType.caster) : {} };
+    case 'Embedded':
+      return mongooseToJson(schemaType.schema);
+    case 'Map':
+      return { type: 'object', additionalProperties: schemaType.$__schemaType ? schemaTypeToJson(schemaType.$__schemaType) : {} };
+    default:
+      return {};
+  }
+};
+
+/**
+ * JSON schema of a document as sent over the API
+ * @param {mongoose.Schema} schema
+ * @returns {Object}
+ */
+const mongooseToJson = (schema) => {
+  const root = { type: 'object', properties: {} };
+  schema.eachPath((pathname, schemaType) => {
+    // Map values are described by the map itself
+    if (pathname.includes('$*')) return;
+    const parts = pathname.split('.');
+    const name = parts.pop();
+    let node = root;
+    parts.forEach((part) => {
+      node.properties[part] = node.properties[part] || { type: 'object', properties: {} };
+      node = node.properties[part];
+    });
+
+    // Only unconditionally required top-level fields are always present
+    const required = schemaType.originalRequiredValue === true && node === root;
+    const json = schemaTypeToJson(schemaType);
+    node.properties[name] = required || name === '_id' ? json : nullable(json);
+    if (required) root.required = [...(root.required || []), name];
+  });
+  return root;
+};
+
+// ---- Validators -------------------------------------------------------------
+
+const ISO_DATE = { type: 'string', anyOf: [{ format: 'date' }, { format: 'date-time' }] };
+
+const numberRange = (type, options) => ({
+  type,
+  ...(options.min !== undefined && { minimum: options.min }),
+  ...(options.max !== undefined && { maximum: options.max }),
+  ...(options.gt !== undefined && { exclusiveMinimum: options.gt }),
+  ...(options.lt !== undefined && { exclusiveMaximum: options.lt }),
+});
+
+// express-validator validator name -> JSON schema keywords
+const STANDARD_VALIDATORS = {
+  isLength: ([options = {}]) => ({
+    ...(options.min !== undefined && { minLength: options.min }),
+    ...(options.max !== undefined && { maxLength: options.max }),
+  }),
+  isIn: ([values]) => ({ enum: values }),
+  isEmail: () => ({ type: 'string', format: 'email' }),
+  isISO8601: () => ISO_DATE,
+  isMongoId: () => ref('ObjectId'),
+  matches: ([pattern]) => ({ type: 'string', pattern: pattern instanceof RegExp ? pattern.source : String(pattern) }),
+  isNumeric: () => ({ type: 'number' }),
+  isFloat: ([options = {}]) => numberRange('number', options),
+  isInt: ([options = {}]) => numberRange('integer', options),
+  isBoolean: () => ({ type: 'boolean' }),
+};
+
+// isArray, isObject, isString and isBoolean({ strict: true }) are custom
+// validators in express-validator; they are told apart by their source. Their
+// options are not kept, so isArray({ min }) is documented without minItems.
+const customValidatorToJson = (validator) => {
+  const source = String(validator);
+  if (source.includes("typeof value === 'object'")) return { type: 'object' };
+  if (source.includes('value === true || value === false')) return { type: 'boolean' };
+  if (source.includes("typeof value === 'string'")) return { type: 'string' };
+  if (/^value => Array\.isArray\(value\)/.test(source)) return { type: 'array' };
+  return {};
+};
+
+const chainToJson = (builder) => {
+  const schema = {};
+  const messages = [];
+  builder.stack.forEach((item) => {
+    // withMessage({ code, message }) for errors with their own code
+    const message = typeof item.message === 'object' ? item.message?.message : item.message;
+    if (typeof message === 'string' && !messages.includes(message)) messages.push(message);
+    const name = item.validator?.name;
+    if (item.constructor.name === 'CustomValidation') {
+      if (!item.negated) Object.assign(schema, customValidatorToJson(item.validator));
+    } else if (item.negated) {
+      // notEmpty()
+      if (name === 'isEmpty') schema.minLength = Math.max(schema.minLength || 0, 1);
+    } else if (STANDARD_VALIDATORS[name]) {
+      Object.assign(schema, STANDARD_VALIDATORS[name](item.options || []));
+    }
+  });
+  if (messages.length) schema.description = messages.join('. ');
+  return schema;
+};
+
+// Put `schema` at a validator field path such as 'materials.*.name'
+const placeField = (root, field, schema, required) => {
+  const parts = field.split('.');
+  let node = root;
+  parts.forEach((part, index) => {
+    let child;
+    if (part === '*') {
+      // Lists are declared with isArray(); anything else is keyed by name
+      if (node.type === 'array') {
+        node.items = node.items || {};
+        child = node.items;
+      } else {
+        node.type = 'object';
+        node.additionalProperties = node.additionalProperties || {};
+        child = node.additionalProperties;
+      }
+    } else {
+      node.type = node.type || 'object';
+      node.properties = node.properties || {};
+      node.properties[part] = node.properties[part] || {};
+      child = node.properties[part];
+      if (index === parts.length - 1 && required && !(node.required || []).includes(part)) {
+        node.required = [...(node.required || []), part];
+      }
+    }
+    if (index === parts.length - 1) Object.assign(child, schema);
+    node = child;
+  });
+};
+
+// Fields checked only under .if() are not always required
+const isRequired = (builder) => builder.optional === false
+  && !builder.stack.some((item) => /Condition$/.test(item.constructor.name));
+
+/**
+ * Request body, query and path parameter schemas from validator chains
+ * @param {Function[]} handlers - A route's middleware and handlers
+ * @returns {{ body: Object|null, query: Object|null, params: Object|null }}
+ */
+const validatorsToJson = (handlers) => {
+  const locations = { body: null, query: null, params: null };
+  handlers.filter((handler) => handler.builder).forEach(({ builder }) => {
+    const schema = chainToJson(builder);
+    builder.locations.forEach((location) => {
+      if (!(location in locations)) return;
+      locations[location] = locations[location] || { type: 'object', properties: {} };
+      builder.fields.forEach((field) => {
+        placeField(locations[location], field, schema, isRequired(builder));
+      });
+    });
+  });
+  return locations;
+};
+
+// ---- Route comments ---------------------------------------------------------
+
+const COMMENT = /\/\*\*((?:(?!\*\/)[\s\S])*)\*\/(\s*router\.(get|post|put|patch|delete)\(\s*['"`]([^'"`]+)['"`])?/g;
+
+const tag = (comment, name) => {
+  const match = comment.match(new RegExp(`@${name}\\s+([\\s\\S]*?)(?=\\n\\s*\\*?\\s*@|$)`));
+  return match ? match[1].split('\n').map((line) => line.replace(/^\s*\*\s?/, '').trim()).filter(Boolean).join(' ') : null;
+};
+
+const toOpenApiPath = (base, routePath) => `${base}${routePath === '/' ? '' : routePath}`.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * The @desc and @access of the routes in a route file
+ * @param {string} file - Route module path
+ * @returns {Object<string, { desc: string|null, access: string|null }>} Keyed by the router call
+ *   that follows the comment ('get /:id') and by the comment's @route ('get /api/projects/{id}')
+ */
+const readRouteComments = (file) => {
+  const comments = {};
+  const source = fs.readFileSync(file, 'utf8');
+  for (const [, comment, , method, routePath] of source.matchAll(COMMENT)) {
+    const documented = tag(comment, 'route')?.match(/^([A-Z]+)\s+(\S+)/);
+    if (!method && !documented) continue;
+    const entry = { desc: tag(comment, 'desc'), access: tag(comment, 'access') };
+    if (method) comments[`${method} ${routePath}`] = entry;
+    if (documented) comments[`${documented[1].toLowerCase()} ${toOpenApiPath(documented[2], '/')}`] = entry;
+  }
+  return comments;
+};
+
+// ---- Responses --------------------------------------------------------------
+
+// `data` of the success response, for operations whose responses are checked
+const RESPONSE_DATA = {
+  'get /api/auth/profile': { user: ref('User') },
+  'get /api/projects': { projects: listOf('Project'), pagination: ref('Pagination') },
+  'get /api/projects/{id}': { project: ref('Project') },
+  'post /api/projects': { project: ref('Project') },
+  'get /api/purchase-orders': { purchaseOrders: listOf('PurchaseOrder'), pagination: ref('Pagination') },
+  'get /api/material-requests': { materialRequests: listOf('MaterialRequest'), pagination: ref('Pagination') },
+  'get /api/vendor-invoices': { invoices: listOf('VendorInvoice'), pagination: ref('Pagination') },
+  'get /api/notifications': {
+    notifications: listOf('Notification'),
+    unreadCount: { type: 'integer' },
+    pagination: ref('Pagination'),
+  },
+  'get /api/search': {
+    query: { type: 'string' },
+    results: { type: 'object', additionalProperties: listOf('SearchResult') },
+    total: { type: 'integer' },
+  },
+};
+
+const successResponse = (data) => ({
+  description: 'Success',
+  content: {
+    'application/json': {
+      schema: data
+        ? {
+          allOf: [ref('Success'), {
+            type: 'object',
+            required: ['data'],
+            properties: { data: { type: 'object', required: Object.keys(data), properties: data } },
+          }],
+        }
+        : ref('Success'),
+    },
+  },
+});
+
+const buildComponents = () => ({
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+  },
+  schemas: {
+    ObjectId: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+    Success: {
+      type: 'object',
+      required: ['success'],
+      properties: {
+        success: { const: true },
+        message: { type: 'string' },
+        data: {},
+      },
+    },
+    Error: {
+      type: 'object',
+      required: ['success', 'message'],
+      properties: {
+        success: { const: false },
+        message: { type: 'string' },
+        code: { type: 'string' },
+        error: { type: 'string' },
+      },
+    },
+    ValidationError: {
+      allOf: [ref('Error'), {
+        type: 'object',
+        required: ['code', 'errors'],
+        properties: {
+          code: { const: 'VALIDATION_FAILED' },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['field', 'message', 'code'],
+              properties: {
+                field: { type: 'string', description: 'Path of the field, e.g. lineItems[0].description' },
+                message: { type: 'string' },
+                code: { type: 'string', enum: ['REQUIRED', 'INVALID', 'MISMATCH', 'DUPLICATE'] },
+                location: { type: 'string', enum: ['body', 'params', 'query'] },
+              },
+            },
+          },
+        },
+      }],
+    },
+    Pagination: {
+      type: 'object',
+      required: ['limit', 'total', 'hasMore', 'nextCursor'],
+      properties: {
+        limit: { type: 'integer' },
+        total: { type: 'integer' },
+        hasMore: { type: 'boolean' },
+        nextCursor: { type: ['string', 'null'] },
+        current: { type: 'integer' },
+        pages: { type: 'integer' },
+      },
+    },
+    SearchResult: {
+      type: 'object',
+      required: ['_id', 'type', 'title'],
+      properties: {
+        _id: ref('ObjectId'),
+        type: { type: 'string' },
+        title: { type: 'string' },
+        subtitle: { type: 'string' },
+        status: { type: 'string' },
+        project: ref('ObjectId'),
+      },
+    },
+    ...Object.fromEntries(Object.entries(MODELS).map(([name, Model]) => [name, mongooseToJson(Model.schema)])),
+  },
+  responses: {
+    ValidationFailed: {
+      description: 'Validation failed',
+      content: { 'application/json': { schema: ref('ValidationError') } },
+    },
+    Unauthorized: {
+      description: 'Missing, invalid or expired token',
+      content: { 'application/json': { schema: ref('Error') } },
+    },
+    Error: {
+      description: 'Error',
+      content: { 'application/json': { schema: ref('Error') } },
+    },
+  },
+});
+
+// ---- Document ---------------------------------------------------------------
+
+const buildOperation = (route, method, routePath, handlers, comment) => {
+  const path = toOpenApiPath(route.path, routePath);
+  const validators = validatorsToJson(handlers);
+  const secured = handlers.some((handler) => /^authenticate/.test(handler.name));
+  const summary = comment?.desc ? comment.desc.split(/(?<=[.;])\s|\s\(/)[0] : `${method.toUpperCase()} ${path}`;
+
+  const parameters = [
+    ...[...path.matchAll(/{(\w+)}/g)].map(([, name]) => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: validators.params?.properties?.[name] || { type: 'string' },
+    })),
+    ...Object.entries(validators.query?.properties || {}).map(([name, schema]) => ({
+      name,
+      in: 'query',
+      required: (validators.query.required || []).includes(name),
+      schema,
+    })),
+  ];
+
+  const responses = {
+    '2XX': successResponse(RESPONSE_DATA[`${method} ${path}`]),
+    ...(validators.body || validators.query || validators.params) && { 400: { $ref: '#/components/responses/ValidationFailed' } },
+    ...secured && { 401: { $ref: '#/components/responses/Unauthorized' } },
+    default: { $ref: '#/components/responses/Error' },
+  };
+
+  return {
+    path,
+    operation: {
+      tags: [route.name],
+      summary,
+      ...(comment && { description: [comment.desc, comment.access && `Access: ${comment.access}`].filter(Boolean).join('\n\n') }),
+      ...(parameters.length && { parameters }),
+      ...(validators.body && {
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: validators.body } },
+        },
+      }),
+      security: secured ? [{ bearerAuth: [] }] : [],
+      responses,
+    },
+  };
+};
+
+/**
+ * Build the OpenAPI document for every mounted route
+ * @returns {Object} OpenAPI 3.1 document
+ */
+const buildOpenApiDocument = () => {
+  const paths = {};
+  [AUTH_ROUTE, ...ROUTES].forEach((route) => {
+    const router = loadRouter(route);
+    const comments = readRouteComments(routeFile(route));
+
+    router.stack.filter((layer) => layer.route).forEach(({ route: { path: routePaths, methods, stack } }) => {
+      const handlers = stack.map((layer) => layer.handle);
+      [].concat(routePaths).filter((routePath) => typeof routePath === 'string').forEach((routePath) => {
+        METHODS.filter((method) => methods[method]).forEach((method) => {
+          const comment = comments[`${method} ${routePath}`] || comments[`${method} ${toOpenApiPath(route.path, routePath)}`];
+          const { path, operation } = buildOperation(route, method, routePath, handlers, comment);
+          paths[path] = paths[path] || {};
+          // Express answers with the first matching route; later duplicates are unreachable
+          if (!paths[path][method]) paths[path][method] = operation;
+        });
+      });
+    });
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Houseway API',
+      version,
+      description: 'Generated from the route definitions and their validators.',
+    },
+    servers: [{ url: '/' }],
+    paths,
+    components: buildComponents(),
+  };
+};
+
+let cached = null;
+
+/**
+ * The OpenAPI document, built once per process
+ * @returns {Object}
+ */
+const getOpenApiDocument = () => {
+  if (!cached) cached = buildOpenApiDocument();
+  return cached;
+};
+
+module.exports = {
+  buildOpenApiDocument,
+  getOpenApiDocument,
+  mongooseToJson,
+  validatorsToJson,
+};
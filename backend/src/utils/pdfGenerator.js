@@ -156,4 +156,107 @@ const generateInvoicePDF = (invoice, project, client) => {
     });
 };
 
-module.exports = { generateInvoicePDF };
+/**
+ * Generate a client approval certificate for a document version
+ * @param {Object} approval - Approved DocumentApproval
+ * @param {Object} details
+ * @param {Object} details.project - Project object
+ * @param {Object} details.client - Client who signed
+ * @param {Object} details.requestedBy - User who asked for approval
+ * @param {Object} details.version - Approved document version
+ * @returns {Promise<Buffer>} - PDF Buffer
+ */
+const generateApprovalCertificatePDF = (approval, { project, client, requestedBy, version }) => {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({ margin: 50 });
+            const buffers = [];
+
+            doc.on('data', buffers.push.bind(buffers));
+            doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+            const { signature } = approval;
+            const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : 'Unknown');
+            const row = (label, value) => {
+                doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+                doc.font('Helvetica').text(value || '—');
+            };
+
+            // --- Header ---
+            doc.fontSize(20).text('APPROVAL CERTIFICATE', { align: 'center' });
+            doc.fontSize(10).text('Houseway Company', { align: 'center' });
+            doc.moveDown(2);
+
+            doc.fontSize(11);
+            doc.text(
+                `${fullName(client)} approved version ${approval.version} of "${approval.documentName}" ` +
+                `for the project "${project.title}".`
+            );
+            doc.moveDown();
+
+            // --- Document ---
+            doc.fontSize(12).font('Helvetica-Bold').text('Document');
+            doc.fontSize(10);
+            row('Name', approval.documentName);
+            row('Version', `v${approval.version}`);
+            row('File', version?.originalName);
+            if (version?.uploadedAt) row('Uploaded', new Date(version.uploadedAt).toLocaleString());
+            row('Approval requested by', `${fullName(requestedBy)} on ${new Date(approval.createdAt || Date.now()).toLocaleString()}`);
+            if (approval.message) row('Request', approval.message);
+            doc.moveDown();
+
+            // --- Approval ---
+            doc.fontSize(12).font('Helvetica-Bold').text('Approval');
+            doc.fontSize(10);
+            row('Client', `${fullName(client)} (${client?.email || '—'})`);
+            row('Signed at', new Date(signature.signedAt).toUTCString());
+            row('IP address', signature.ip);
+            row('Device', signature.userAgent);
+            if (approval.comments) row('Comments', approval.comments);
+            doc.moveDown();
+
+            // --- Signature ---
+            doc.fontSize(12).font('Helvetica-Bold').text('Signature');
+            doc.font('Helvetica');
+            const boxX = 50;
+            const boxY = doc.y + 5;
+            const boxWidth = 250;
+            const boxHeight = 100;
+            doc.rect(boxX, boxY, boxWidth, boxHeight).stroke();
+
+            if (signature.strokes) {
+                // Fit the drawing pad into the box, keeping its proportions
+                const scale = Math.min(
+                    (boxWidth - 10) / (signature.width || boxWidth),
+                    (boxHeight - 10) / (signature.height || boxHeight)
+                );
+                doc.save()
+                    .translate(boxX + 5, boxY + 5)
+                    .scale(scale)
+                    .lineWidth(2 / scale)
+                    .path(signature.strokes)
+                    .stroke()
+                    .restore();
+            } else {
+                doc.font('Helvetica-Oblique').fontSize(22)
+                    .text(signature.name, boxX + 10, boxY + 35, { width: boxWidth - 20 });
+                doc.font('Helvetica');
+            }
+
+            doc.fontSize(10).text(signature.name || fullName(client), boxX, boxY + boxHeight + 5);
+
+            // --- Footer ---
+            doc.moveDown(3);
+            doc.fontSize(8).fillColor('#666666')
+                .text(`Approval ID: ${approval._id}`, boxX)
+                .text(`Generated: ${new Date().toUTCString()}`);
+
+            doc.end();
+
+        } catch (error) {
+            reject(error);
+        }
+    });
+};
+
+module.exports = { generateInvoicePDF, generateApprovalCertificatePDF };
@@ -0,0 +1,182 @@
+/**
+ * Permissions
+ * Registry of what each role (or role:subRole) may do. Routes check these with
+ * requirePermission() instead of hard-coding roles; owners can override the
+ * defaults per role/sub-role (stored as PermissionOverride documents).
+ * Owners always have every permission so they cannot lock themselves out.
+ */
+
+const PermissionOverride = require('../models/PermissionOverride');
+
+/**
+ * Default grants. Entries are a role ('employee') or a role:subRole
+ * ('employee:designTeam'); owners are implied.
+ */
+const PERMISSIONS = {
+  'users.view': { description: 'View staff and user lists', grants: ['employee'] },
+  'users.manage': { description: 'Create staff/vendors, deactivate users and sign them out', grants: [] },
+  'clients.view': { description: 'View clients, their timeline, media and invoices', grants: ['employee'] },
+  'clients.manage': { description: 'Add and edit clients, post timeline events and media', grants: ['employee'] },
+  'projects.create': { description: 'Create projects', grants: ['employee'] },
+  'projects.edit': { description: 'Edit projects, progress, timeline and media', grants: ['employee'] },
+  'projects.delete': { description: 'Delete projects', grants: [] },
+  'projects.assign': { description: 'Assign employees and vendors to projects', grants: ['employee'] },
+  'task-templates.manage': { description: 'Create and edit task templates for project types', grants: [] },
+  'project-templates.manage': { description: 'Save projects as templates and edit project templates', grants: [] },
+  'invoices.create': { description: 'Create and edit client invoices', grants: ['employee'] },
+  'invoices.approve': { description: 'Send invoices and record payments', grants: ['employee'] },
+  'materials.request': { description: 'Raise material requests', grants: ['employee'] },
+  'materials.approve': { description: 'Approve or reject material requests', grants: [] },
+  'materials.assign-vendor': { description: 'Assign vendors to material requests', grants: [] },
+  'materials.accept': { description: 'Accept material requests as a vendor', grants: ['vendor'] },
+  'quotations.submit': { description: 'Create and submit quotations', grants: ['vendor'] },
+  'quotations.review': { description: 'Review, approve and reject quotations', grants: [] },
+  'po.create': { description: 'Create and send purchase orders', grants: [] },
+  'po.quote': { description: 'Send quotations in purchase order negotiations', grants: ['vendor'] },
+  'po.accept-quotation': { description: 'Accept or reject negotiated quotations', grants: [] },
+  'po.fulfil': { description: 'Acknowledge orders and update delivery', grants: ['vendor'] },
+  'po.record-delivery': { description: 'Record deliveries received on site', grants: ['employee'] },
+  'work-status.update': { description: 'Post work status updates', grants: ['vendor'] },
+  'service-requests.assign': { description: 'Assign service requests', grants: [] },
+  'files.delete': { description: 'Delete uploaded files', grants: [] },
+  'reports.overview': { description: 'Company-wide dashboards, delivery overview and attendance', grants: [] },
+  'audit.view': { description: 'View the audit log of changes', grants: [] },
+  'permissions.manage': { description: 'Edit role permissions', grants: [] },
+  'security.manage': { description: 'Choose which roles must use two-factor authentication', grants: [] },
+};
+
+const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+// Roles/sub-roles whose permissions can be overridden (owners always have all)
+const SUBJECTS = [
+  'employee',
+  'employee:designTeam',
+  'employee:vendorTeam',
+  'employee:executionTeam',
+  'vendor',
+  'client',
+  'guest',
+];
+
+const CACHE_TTL_MS = 30 * 1000;
+let cache = { loadedAt: 0, overrides: null };
+
+/**
+ * Overrides as { [permission]: { [subject]: allowed } }, cached briefly
+ */
+const loadOverrides = async () => {
+  if (cache.overrides && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.overrides;
+  }
+
+  const docs = await PermissionOverride.find().select('permission subject allowed').lean();
+  const overrides = {};
+  docs.forEach(({ permission, subject, allowed }) => {
+    overrides[permission] = { ...overrides[permission], [subject]: allowed };
+  });
+
+  cache = { loadedAt: Date.now(), overrides };
+  return overrides;
+};
+
+const clearCache = () => {
+  cache = { loadedAt: 0, overrides: null };
+};
+
+const subjectsFor = (role, subRole) => (
+  subRole && subRole !== 'none' ? [`${role}:${subRole}`, role] : [role]
+);
+
+/**
+ * Whether a role/sub-role has a permission, given the overrides.
+ * The most specific override wins, then the defaults.
+ */
+const isGranted = (permission, role, subRole, overrides = {}) => {
+  if (role === 'owner') return true;
+  const definition = PERMISSIONS[permission];
+  if (!definition) return false;
+
+  const subjects = subjectsFor(role, subRole);
+  const permissionOverrides = overrides[permission] || {};
+  const overridden = subjects.find((subject) => typeof permissionOverrides[subject] === 'boolean');
+  if (overridden) return permissionOverrides[overridden];
+
+  return subjects.some((subject) => definition.grants.includes(subject));
+};
+
+/**
+ * Whether a user has a permission
+ * @param {Object} user - { role, subRole }
+ * @param {string} permission - Registry key
+ * @returns {Promise<boolean>}
+ */
+const hasPermission = async (user, permission) => {
+  if (user.role === 'owner') return true;
+  return isGranted(permission, user.role, user.subRole, await loadOverrides());
+};
+
+/**
+ * Every permission key a user has
+ * @param {Object} user - { role, subRole }
+ * @returns {Promise<string[]>}
+ */
+const getUserPermissions = async (user) => {
+  const overrides = user.role === 'owner' ? {} : await loadOverrides();
+  return PERMISSION_KEYS.filter((permission) => isGranted(permission, user.role, user.subRole, overrides));
+};
+
+/**
+ * Registry with defaults, overrides and the effective grant per subject
+ * (for the owner's permission editor)
+ */
+const getPermissionMatrix = async () => {
+  const overrides = await loadOverrides();
+
+  return {
+    subjects: SUBJECTS,
+    permissions: PERMISSION_KEYS.map((key) => ({
+      key,
+      description: PERMISSIONS[key].description,
+      defaults: PERMISSIONS[key].grants,
+      overrides: overrides[key] || {},
+      effective: SUBJECTS.reduce((acc, subject) => {
+        const [role, subRole] = subject.split(':');
+        acc[subject] = isGranted(key, role, subRole, overrides);
+        return acc;
+      }, {}),
+    })),
+  };
+};
+
+/**
+ * Set (allowed: true/false) or clear (allowed: null) an override
+ * @param {Object} params
+ * @param {string} params.permission
+ * @param {string} params.subject
+ * @param {boolean|null} params.allowed
+ * @param {string} [params.updatedBy] - Owner making the change
+ */
+const setOverride = async ({ permission, subject, allowed, updatedBy }) => {
+  if (allowed === null) {
+    await PermissionOverride.deleteOne({ permission, subject });
+  } else {
+    await PermissionOverride.findOneAndUpdate(
+      { permission, subject },
+      { $set: { allowed, updatedBy } },
+      { upsert: true }
+    );
+  }
+  clearCache();
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  SUBJECTS,
+  isGranted,
+  hasPermission,
+  getUserPermissions,
+  getPermissionMatrix,
+  setOverride,
+  clearCache,
+};
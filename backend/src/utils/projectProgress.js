@@ -0,0 +1,162 @@
+/**
+ * Automatic project progress
+ * Projects in `auto` progress mode get their percentage from the work itself
+ * instead of a typed-in figure:
+ *
+ *   milestones   share of progress.milestones completed
+ *   tasks        share of tasks completed (cancelled ones don't count)
+ *   deliveries   average deliveryProgress of the project's purchase orders
+ *
+ * Each part is weighted by progress.weights. Parts with nothing in them yet
+ * (no tasks, say) are left out and the others share their weight.
+ *
+ * Project saves recompute it when milestones or weights change; tasks and
+ * purchase orders refresh it through progressPlugin when they are saved or
+ * deleted.
+ */
+
+const mongoose = require('mongoose');
+
+const PARTS = [
+  { key: 'milestones', label: 'Milestones' },
+  { key: 'tasks', label: 'Tasks' },
+  { key: 'deliveries', label: 'Deliveries' },
+];
+
+const DEFAULT_WEIGHTS = { milestones: 50, tasks: 30, deliveries: 20 };
+
+// Purchase orders that will never deliver
+const CLOSED_ORDER_STATUSES = ['cancelled', 'rejected'];
+
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * How a project's percentage is made up
+ * @param {Object} progress - The project's progress (milestones, weights)
+ * @param {Object[]} tasks - Its tasks (status)
+ * @param {Object[]} purchaseOrders - Its open purchase orders (deliveryProgress)
+ * @returns {{ percentage: number, parts: Object[] }}
+ */
+const progressBreakdown = (progress = {}, tasks = [], purchaseOrders = []) => {
+  const milestones = progress.milestones || [];
+  const counted = tasks.filter((task) => task.status !== 'cancelled');
+  const measures = {
+    milestones: { done: milestones.filter((milestone) => milestone.status === 'completed').length, total: milestones.length },
+    tasks: { done: counted.filter((task) => task.status === 'completed').length, total: counted.length },
+    deliveries: {
+      done: purchaseOrders.filter((order) => order.deliveryProgress === 100).length,
+      total: purchaseOrders.length,
+      // Part-delivered orders count for what has arrived
+      value: purchaseOrders.length
+        ? purchaseOrders.reduce((sum, order) => sum + (order.deliveryProgress || 0), 0) / purchaseOrders.length
+        : 0,
+    },
+  };
+
+  const weights = { ...DEFAULT_WEIGHTS };
+  PARTS.forEach(({ key }) => {
+    const weight = progress.weights?.[key];
+    if (typeof weight === 'number') weights[key] = weight;
+  });
+  const includedWeight = PARTS
+    .filter(({ key }) => measures[key].total > 0)
+    .reduce((sum, { key }) => sum + weights[key], 0);
+
+  const parts = PARTS.map(({ key, label }) => {
+    const { done, total } = measures[key];
+    const value = measures[key].value ?? (total ? (done / total) * 100 : 0);
+    const included = total > 0 && includedWeight > 0;
+    const share = included ? weights[key] / includedWeight : 0;
+    return {
+      key,
+      label,
+      weight: weights[key],
+      share: round(share * 100, 1),
+      done,
+      total,
+      value: round(value, 1),
+      contribution: round(value * share, 1),
+      included,
+    };
+  });
+
+  return {
+    percentage: Math.min(100, Math.round(parts.reduce((sum, part) => sum + part.contribution, 0))),
+    parts,
+  };
+};
+
+/**
+ * Progress breakdown of a project from its current tasks and purchase orders
+ * @param {Object} project - Project document (with progress)
+ */
+const computeProjectProgress = async (project) => {
+  const [tasks, purchaseOrders] = await Promise.all([
+    mongoose.model('Task').find({ projectId: project._id }).select('status'),
+    mongoose.model('PurchaseOrder')
+      .find({ project: project._id, status: { $nin: CLOSED_ORDER_STATUSES } })
+      .select('items status'),
+  ]);
+  return progressBreakdown(project.progress, tasks, purchaseOrders);
+};
+
+/**
+ * Recompute and store the percentage of an auto-progress project
+ * @param {string|ObjectId} projectId
+ * @returns {Promise<number|null>} The new percentage, or null for manual projects
+ */
+const refreshProgress = async (projectId) => {
+  if (!projectId) return null;
+
+  try {
+    const Project = mongoose.model('Project');
+    const project = await Project.findById(projectId).select('progress');
+    if (project?.progress?.mode !== 'auto') return null;
+
+    const { percentage } = await computeProjectProgress(project);
+    if (percentage !== project.progress.percentage) {
+      // A query update, so the project's own save hooks don't run again
+      await Project.updateOne(
+        { _id: project._id },
+        { $set: { 'progress.percentage': percentage, 'progress.lastUpdated': new Date() } }
+      );
+    }
+    return percentage;
+  } catch (error) {
+    console.error('Project progress refresh error:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Mongoose plugin: refresh the project's auto progress after documents of
+ * the schema are saved, inserted, updated or deleted
+ * @param {mongoose.Schema} schema
+ * @param {Object} options
+ * @param {string} options.projectField - Path of the project reference
+ */
+const progressPlugin = (schema, { projectField }) => {
+  // The reference may be populated, or the document lean
+  const projectOf = (doc) => doc?.[projectField]?._id || doc?.[projectField];
+
+  schema.post('save', async function (doc) {
+    await refreshProgress(projectOf(doc));
+  });
+
+  schema.post(['findOneAndUpdate', 'findOneAndDelete'], async function (doc) {
+    await refreshProgress(projectOf(doc));
+  });
+
+  schema.post('insertMany', async function (docs) {
+    const projectIds = new Set(docs.map((doc) => projectOf(doc)?.toString()).filter(Boolean));
+    await Promise.all([...projectIds].map(refreshProgress));
+  });
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  progressBreakdown,
+  computeProjectProgress,
+  refreshProgress,
+  progressPlugin,
+};
@@ -0,0 +1,211 @@
+/**
+ * Project templates
+ * A project saved as a template keeps its setup, with every date turned into
+ * a number of days from the project's start:
+ *
+ *   milestones         name, description, target day
+ *   paymentSchedule    each payment as a percentage of the budget, due day
+ *   materialRequests   the material lists requested (rejected ones left out)
+ *   tasks              task plans; a recurring series keeps its first task
+ *                      and rule, repeated as many times as in the project
+ *   documentChecklist  the project's checklist, else its documents' names
+ *
+ * New projects made from a template get the same dates shifted to their own
+ * start date.
+ */
+
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Template fields describing a project
+ * @param {Object} project - Project document (timeline, budget, progress, paymentSchedule, documentChecklist)
+ * @param {Object} related
+ * @param {Object[]} related.tasks - The project's tasks
+ * @param {Object[]} related.materialRequests - Its material requests
+ * @param {Object[]} related.documents - Its documents (name, type)
+ * @returns {Object} ProjectTemplate fields, without name and createdBy
+ */
+const templateFromProject = (project, { tasks = [], materialRequests = [], documents = [] } = {}) => {
+  const start = startOfDay(project.timeline?.startDate || project.createdAt || Date.now());
+  const dayOffset = (value) => (value
+    ? Math.max(0, Math.round((startOfDay(value) - start) / DAY_MS))
+    : 0);
+
+  const payments = project.paymentSchedule || [];
+  const base = project.budget?.estimated || payments.reduce((sum, payment) => sum + (payment.amount || 0), 0);
+
+  const seriesSize = {};
+  tasks.forEach((task) => {
+    if (task.series) seriesSize[idOf(task.series)] = (seriesSize[idOf(task.series)] || 0) + 1;
+  });
+  // Later occurrences come back from the first task's rule
+  const planned = tasks.filter((task) => task.status !== 'cancelled'
+    && (!task.series || idOf(task.series) === idOf(task._id)));
+
+  const checklist = project.documentChecklist?.length
+    ? project.documentChecklist
+    : documents.filter((document) => document.type !== 'invoice').map(({ name, type }) => ({ name, type, required: true }));
+
+  return {
+    description: project.description,
+    projectType: project.projectType,
+    designStyle: project.designStyle,
+    durationDays: project.timeline?.expectedEndDate ? dayOffset(project.timeline.expectedEndDate) || undefined : undefined,
+    milestones: (project.progress?.milestones || []).map((milestone) => ({
+      name: milestone.name,
+      description: milestone.description,
+      dayOffset: dayOffset(milestone.targetDate),
+    })),
+    paymentSchedule: base > 0
+      ? payments.map((payment) => ({
+        name: payment.name,
+        percentage: Math.min(100, round(((payment.amount || 0) / base) * 100, 2)),
+        dayOffset: dayOffset(payment.dueDate),
+      }))
+      : [],
+    materialRequests: materialRequests
+      .filter((request) => request.status !== 'rejected')
+      .map((request) => ({
+        title: request.title,
+        description: request.description,
+        priority: request.priority,
+        dayOffset: dayOffset(request.requiredBy),
+        materials: request.materials.map((material) => ({
+          name: material.name,
+          description: material.description,
+          quantity: material.quantity,
+          unit: material.unit,
+          category: material.category,
+          specifications: material.specifications,
+          estimatedCost: material.estimatedCost,
+          priority: material.priority,
+        })),
+      })),
+    tasks: planned.map((task) => ({
+      taskName: task.taskName,
+      taskDescription: task.taskDescription,
+      dayOffset: dayOffset(task.date),
+      time: task.time,
+      duration: task.duration,
+      priority: task.priority,
+      notifyBefore: task.notifyBefore,
+      recurrence: task.recurrence?.frequency
+        ? {
+          frequency: task.recurrence.frequency,
+          interval: task.recurrence.interval,
+          skipWeekends: task.recurrence.skipWeekends,
+          count: seriesSize[idOf(task._id)] || 1,
+        }
+        : undefined,
+    })),
+    documentChecklist: checklist.map(({ name, type, required }) => ({ name, type, required })),
+    sourceProject: project._id,
+  };
+};
+
+/**
+ * Template fields of a stored project, from its current tasks, material
+ * requests and documents
+ * @param {Object} project - Project document
+ */
+const snapshotProject = async (project) => {
+  const [tasks, materialRequests, documents] = await Promise.all([
+    mongoose.model('Task').find({ projectId: project._id })
+      .select('taskName taskDescription date time duration priority notifyBefore status recurrence series'),
+    mongoose.model('MaterialRequest').find({ project: project._id })
+      .select('title description priority status requiredBy materials'),
+    mongoose.model('ProjectDocument').find({ project: project._id }).select('name type'),
+  ]);
+  return templateFromProject(project, { tasks, materialRequests, documents });
+};
+
+/**
+ * Create a project from a template, its dates counted from `startDate`
+ * @param {Object} template - ProjectTemplate document (saved or not)
+ * @param {Object} options
+ * @param {Object} options.fields - Project fields (title, description, client, budget, ...)
+ * @param {Date|string} options.startDate - The new project's start
+ * @param {ObjectId} options.createdBy - User creating the project
+ * @returns {Promise<{ project, tasks, materialRequests }>}
+ */
+const instantiateTemplate = async (template, { fields, startDate, createdBy }) => {
+  const Project = mongoose.model('Project');
+  const start = startOfDay(startDate);
+  const at = (dayOffset) => new Date(start.getTime() + (dayOffset || 0) * DAY_MS);
+  const budget = fields.budget?.estimated;
+
+  const project = new Project({
+    projectType: template.projectType,
+    designStyle: template.designStyle,
+    ...fields,
+    timeline: {
+      startDate: start,
+      expectedEndDate: template.durationDays ? at(template.durationDays) : undefined,
+    },
+    progress: {
+      milestones: template.milestones.map((milestone) => ({
+        name: milestone.name,
+        description: milestone.description,
+        targetDate: at(milestone.dayOffset),
+      })),
+    },
+    // Amounts need a budget to take the percentages of
+    paymentSchedule: budget
+      ? template.paymentSchedule.map((payment) => ({
+        name: payment.name,
+        amount: round((budget * payment.percentage) / 100, 2),
+        dueDate: at(payment.dayOffset),
+      }))
+      : [],
+    documentChecklist: template.documentChecklist.map(({ name, type, required }) => ({ name, type, required })),
+    createdBy,
+  });
+  await project.save();
+
+  const tasks = await mongoose.model('TaskTemplate').createTasks(template.tasks, project, { startDate: start, createdBy });
+
+  // Material requests can only be raised for dates still ahead
+  const earliest = Date.now() + DAY_MS;
+  const materialRequests = await Promise.all(template.materialRequests.map((request) => {
+    const requiredBy = new Date(Math.max(at(request.dayOffset).getTime(), earliest));
+    return mongoose.model('MaterialRequest').create({
+      project: project._id,
+      requestedBy: createdBy,
+      title: request.title,
+      description: request.description,
+      priority: request.priority,
+      requiredBy,
+      materials: request.materials.map((material) => ({
+        name: material.name,
+        description: material.description,
+        quantity: material.quantity,
+        unit: material.unit,
+        category: material.category,
+        specifications: material.specifications,
+        estimatedCost: material.estimatedCost,
+        priority: material.priority,
+        requiredBy,
+      })),
+    });
+  }));
+
+  return { project, tasks, materialRequests };
+};
+
+module.exports = {
+  templateFromProject,
+  snapshotProject,
+  instantiateTemplate,
+};
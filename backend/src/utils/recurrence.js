@@ -0,0 +1,70 @@
+/**
+ * Recurring tasks
+ * Dates of the occurrences of a repeat rule, counted from the first one:
+ *
+ *   daily     every `interval` days
+ *   weekly    every `interval` weeks, on the same weekday
+ *   monthly   every `interval` months, on the same day (or the month's last day)
+ *
+ * The rule ends at `until` or after `count` occurrences, whichever comes
+ * first, and never runs past MAX_OCCURRENCES. With `skipWeekends`, daily rules
+ * leave out Saturdays and Sundays; weekly and monthly ones move them to the
+ * Monday after.
+ *
+ * Days are counted in UTC, like the task dates the app sends.
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const MAX_OCCURRENCES = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isWeekend = (date) => [0, 6].includes(date.getUTCDay());
+
+// The month `months` after `start`, on its day or the last day of the month
+const addMonths = (start, months) => {
+  const date = new Date(start);
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+  return date;
+};
+
+const nthDate = (start, frequency, step) => {
+  if (frequency === 'monthly') return addMonths(start, step);
+  return new Date(start.getTime() + step * (frequency === 'weekly' ? 7 : 1) * DAY_MS);
+};
+
+/**
+ * Dates of a repeat rule's occurrences
+ * @param {Date|string} start - Date of the first occurrence
+ * @param {Object} rule - { frequency, interval, until, count, skipWeekends }
+ * @returns {Date[]}
+ */
+const occurrenceDates = (start, { frequency, interval = 1, until, count, skipWeekends = false }) => {
+  const first = new Date(start);
+  const last = until ? new Date(until) : null;
+  const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const dates = [];
+
+  for (let step = 0; dates.length < limit; step += interval || 1) {
+    let date = nthDate(first, frequency, step);
+    if (last && date > last) break;
+
+    if (skipWeekends && isWeekend(date)) {
+      if (frequency === 'daily') continue;
+      date = new Date(date.getTime() + (date.getUTCDay() === 6 ? 2 : 1) * DAY_MS);
+    }
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  occurrenceDates,
+};
@@ -0,0 +1,174 @@
+/**
+ * Project schedule
+ * Lays out a project's tasks as a Gantt chart: each task starts on its own
+ * start date or as soon as its predecessors allow, whichever is later.
+ *
+ *   finish-to-start   the task starts `lag` days after the predecessor ends
+ *   start-to-start    the task starts `lag` days after the predecessor starts
+ *
+ * A backward pass from the project end gives each task's slack; tasks without
+ * slack form the critical path, so a delay to any of them delays the project.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cancelled tasks take no time and hold nothing up
+const SCHEDULED_STATUSES = ['pending', 'in-progress', 'completed'];
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const days = (ms) => Math.round((ms / DAY_MS) * 10) / 10;
+
+/**
+ * Whether giving task `taskId` these dependencies would make it wait on itself
+ * @param {string|null} taskId - The task, or null for a new one
+ * @param {Array<{task}>} dependencies - Its new predecessors
+ * @param {Array<{_id, dependencies}>} tasks - The other tasks of the project
+ * @returns {boolean}
+ */
+const createsCycle = (taskId, dependencies, tasks) => {
+  const target = idOf(taskId);
+  const predecessorsOf = new Map(tasks.map((task) => [idOf(task), (task.dependencies || []).map((dep) => idOf(dep.task))]));
+  const seen = new Set();
+  const pending = dependencies.map((dep) => idOf(dep.task));
+
+  while (pending.length) {
+    const current = pending.pop();
+    if (current === target) return true;
+    if (!seen.has(current)) {
+      seen.add(current);
+      pending.push(...(predecessorsOf.get(current) || []));
+    }
+  }
+  return false;
+};
+
+// Tasks ordered so that each comes after its predecessors (Kahn's algorithm)
+const topologicalOrder = (nodes) => {
+  const remaining = new Map(nodes.map((node) => [node.id, node.predecessors.length]));
+  const ready = nodes.filter((node) => !node.predecessors.length);
+  const order = [];
+
+  while (ready.length) {
+    const node = ready.shift();
+    order.push(node);
+    node.successors.forEach(({ node: successor }) => {
+      remaining.set(successor.id, remaining.get(successor.id) - 1);
+      if (!remaining.get(successor.id)) ready.push(successor);
+    });
+  }
+
+  if (order.length !== nodes.length) {
+    throw new Error('Task dependencies form a cycle');
+  }
+  return order;
+};
+
+/**
+ * Gantt schedule of a project
+ * @param {Object[]} tasks - The project's tasks (startDate, duration, dependencies, milestone)
+ * @param {Object[]} [milestones] - The project's progress.milestones
+ * @returns {{ start, end, duration, tasks: Object[], milestones: Object[], criticalPath: string[] }}
+ */
+const buildSchedule = (tasks, milestones = []) => {
+  const nodes = tasks
+    .filter((task) => SCHEDULED_STATUSES.includes(task.status || 'pending'))
+    .map((task) => {
+      const plannedStart = new Date(task.startDate || task.date).getTime();
+      const duration = (task.duration ?? 1) * DAY_MS;
+      return { id: idOf(task), task, plannedStart, duration, predecessors: [], successors: [] };
+    });
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+
+  nodes.forEach((node) => {
+    (node.task.dependencies || []).forEach((dep) => {
+      const predecessor = byId.get(idOf(dep.task));
+      // Predecessors that were deleted or cancelled are ignored
+      if (!predecessor || predecessor === node) return;
+      const link = { type: dep.type || 'finish-to-start', lag: (dep.lag || 0) * DAY_MS };
+      node.predecessors.push({ node: predecessor, ...link });
+      predecessor.successors.push({ node, ...link });
+    });
+  });
+
+  const order = topologicalOrder(nodes);
+
+  // Forward pass: earliest start and finish
+  order.forEach((node) => {
+    node.earliestStart = node.predecessors.reduce((start, { node: predecessor, type, lag }) => Math.max(
+      start,
+      (type === 'start-to-start' ? predecessor.earliestStart : predecessor.earliestFinish) + lag
+    ), node.plannedStart);
+    node.earliestFinish = node.earliestStart + node.duration;
+  });
+
+  const start = nodes.length ? Math.min(...nodes.map((node) => node.earliestStart)) : null;
+  const end = nodes.length ? Math.max(...nodes.map((node) => node.earliestFinish)) : null;
+
+  // Backward pass: latest finish and start that keep the project end
+  [...order].reverse().forEach((node) => {
+    node.latestFinish = node.successors.reduce((finish, { node: successor, type, lag }) => Math.min(
+      finish,
+      type === 'start-to-start' ? successor.latestStart - lag + node.duration : successor.latestStart - lag
+    ), end);
+    node.latestStart = node.latestFinish - node.duration;
+    node.slack = node.latestStart - node.earliestStart;
+    node.critical = node.slack <= 0;
+  });
+
+  const scheduled = order
+    .sort((a, b) => a.earliestStart - b.earliestStart || a.id.localeCompare(b.id))
+    .map((node) => ({
+      _id: node.id,
+      taskName: node.task.taskName,
+      status: node.task.status,
+      priority: node.task.priority,
+      assignedTo: node.task.assignedTo,
+      milestone: idOf(node.task.milestone) || null,
+      plannedStart: new Date(node.plannedStart),
+      start: new Date(node.earliestStart),
+      end: new Date(node.earliestFinish),
+      duration: days(node.duration),
+      latestStart: new Date(node.latestStart),
+      slack: days(node.slack),
+      critical: node.critical,
+      // Held back past its own start date by its predecessors
+      delayed: node.earliestStart > node.plannedStart,
+      dependencies: node.predecessors.map(({ node: predecessor, type, lag }) => ({
+        task: predecessor.id,
+        type,
+        lag: days(lag),
+      })),
+    }));
+
+  const groups = milestones.map((milestone) => {
+    const members = scheduled.filter((task) => task.milestone === idOf(milestone));
+    const groupEnd = members.length ? new Date(Math.max(...members.map((task) => task.end))) : null;
+    return {
+      _id: idOf(milestone),
+      name: milestone.name,
+      status: milestone.status,
+      targetDate: milestone.targetDate || null,
+      start: members.length ? new Date(Math.min(...members.map((task) => task.start))) : null,
+      end: groupEnd,
+      tasks: members.map((task) => task._id),
+      critical: members.some((task) => task.critical),
+      // Its tasks cannot all be done by the milestone's target date
+      late: !!(milestone.targetDate && groupEnd && groupEnd > new Date(milestone.targetDate)),
+    };
+  });
+
+  return {
+    start: start === null ? null : new Date(start),
+    end: end === null ? null : new Date(end),
+    duration: start === null ? 0 : days(end - start),
+    tasks: scheduled,
+    milestones: groups,
+    criticalPath: scheduled.filter((task) => task.critical).map((task) => task._id),
+  };
+};
+
+module.exports = {
+  createsCycle,
+  buildSchedule,
+};
@@ -0,0 +1,249 @@
+/**
+ * Global search
+ * One query across projects, clients, purchase orders, invoices, material
+ * requests and files, using each collection's text index. Identifiers such as
+ * HW-00001, PO-1712..., INV-2025-0001 or CLT-00001 are matched by prefix
+ * instead, since the text index splits them into separate words. Every
+ * source only returns what the user could already see on its own screens.
+ */
+
+const Project = require('../models/Project');
+const User = require('../models/User');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const ClientInvoice = require('../models/ClientInvoice');
+const VendorInvoice = require('../models/VendorInvoice');
+const MaterialRequest = require('../models/MaterialRequest');
+const File = require('../models/File');
+const { hasPermission } = require('./permissions');
+
+const SEARCH_TYPES = ['projects', 'clients', 'purchaseOrders', 'invoices', 'materials', 'files'];
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+
+// One word containing a digit, e.g. HW-00001 or PO-1712
+const looksLikeIdentifier = (q) => /^[\w-]*\d[\w-]*$/.test(q);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Identifiers are stored upper-case; an anchored, case-sensitive regex can use their index
+const prefix = (q) => new RegExp(`^${escapeRegex(q.toUpperCase())}`);
+
+const fullName = (user) => (user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : '');
+
+const joined = (...parts) => parts.filter(Boolean).join(' • ');
+
+/**
+ * Per-search context; the user's project IDs are loaded once, on first use
+ */
+const createContext = (user) => {
+  const cache = {};
+  return {
+    user,
+    projectIds: ({ vendors = true } = {}) => {
+      const key = vendors ? 'all' : 'withoutVendors';
+      if (!cache[key]) {
+        cache[key] = Project.find(Project.memberFilter(user, { vendors })).distinct('_id');
+      }
+      return cache[key];
+    },
+  };
+};
+
+// Where to look, who may see what (null scope: nothing), and how a match is shown
+const SOURCES = [
+  {
+    type: 'projects',
+    Model: Project,
+    scope: async ({ user }) => Project.memberFilter(user),
+    identifier: (q) => ({ projectId: prefix(q) }),
+    select: 'projectId title status client',
+    populate: { path: 'client', select: 'firstName lastName' },
+    toResult: (doc) => ({
+      title: doc.title,
+      subtitle: joined(doc.projectId, fullName(doc.client)),
+      status: doc.status,
+      project: doc._id,
+    }),
+  },
+  {
+    type: 'clients',
+    Model: User,
+    scope: async ({ user }) => ((await hasPermission(user, 'clients.view')) ? { role: 'client' } : null),
+    identifier: (q) => ({ clientId: prefix(q) }),
+    select: 'firstName lastName email clientId',
+    toResult: (doc) => ({
+      title: fullName(doc),
+      subtitle: joined(doc.clientId, doc.email),
+    }),
+  },
+  {
+    type: 'purchaseOrders',
+    Model: PurchaseOrder,
+    scope: async (context) => {
+      const { user } = context;
+      if (user.role === 'owner') return {};
+      if (user.role === 'vendor') return { vendor: user._id };
+      return { project: { $in: await context.projectIds() } };
+    },
+    identifier: (q) => ({ purchaseOrderNumber: prefix(q) }),
+    select: 'purchaseOrderNumber title status project',
+    populate: { path: 'project', select: 'title' },
+    toResult: (doc) => ({
+      title: doc.title,
+      subtitle: joined(doc.purchaseOrderNumber, doc.project?.title),
+      status: doc.status,
+      project: doc.project?._id,
+    }),
+  },
+  {
+    type: 'invoices',
+    Model: ClientInvoice,
+    scope: async (context) => {
+      const { user } = context;
+      if (user.role === 'owner') return {};
+      if (user.role === 'vendor') return null;
+      return { projectId: { $in: await context.projectIds({ vendors: false }) } };
+    },
+    identifier: (q) => ({ invoiceNumber: prefix(q) }),
+    select: 'invoiceNumber status totalAmount projectId',
+    populate: { path: 'projectId', select: 'title' },
+    toResult: (doc) => ({
+      title: doc.invoiceNumber,
+      subtitle: joined('Client invoice', doc.projectId?.title),
+      status: doc.status,
+      kind: 'client',
+      project: doc.projectId?._id,
+    }),
+  },
+  {
+    type: 'invoices',
+    Model: VendorInvoice,
+    scope: async ({ user }) => {
+      if (user.role === 'owner') return {};
+      if (user.role === 'vendor') return { vendor: user._id };
+      return null;
+    },
+    identifier: (q) => ({ invoiceNumber: prefix(q) }),
+    select: 'invoiceNumber title status project',
+    populate: { path: 'project', select: 'title' },
+    toResult: (doc) => ({
+      title: doc.invoiceNumber,
+      subtitle: joined(doc.title || 'Vendor invoice', doc.project?.title),
+      status: doc.status,
+      kind: 'vendor',
+      project: doc.project?._id,
+    }),
+  },
+  {
+    type: 'materials',
+    Model: MaterialRequest,
+    scope: async (context) => {
+      const { user } = context;
+      if (user.role === 'owner') return {};
+      if (user.role === 'client') return null;
+      if (user.role === 'vendor' || user.subRole === 'vendorTeam') {
+        return { $or: [{ requestedBy: user._id }, { 'assignedVendors.vendor': user._id }] };
+      }
+      return { project: { $in: await context.projectIds() } };
+    },
+    select: 'title materials.name status project',
+    populate: { path: 'project', select: 'title' },
+    toResult: (doc) => ({
+      title: doc.title,
+      subtitle: joined(doc.materials.slice(0, 3).map((material) => material.name).join(', '), doc.project?.title),
+      status: doc.status,
+      project: doc.project?._id,
+    }),
+  },
+  {
+    type: 'files',
+    Model: File,
+    // As in utils/fileAccess: own uploads, and project files (invoices not for vendors)
+    scope: async (context) => {
+      const { user } = context;
+      if (user.role === 'owner') return {};
+      const [memberProjects, allProjects] = await Promise.all([
+        context.projectIds({ vendors: false }),
+        context.projectIds(),
+      ]);
+      return {
+        $or: [
+          { uploadedBy: user._id },
+          { project: { $in: memberProjects } },
+          { project: { $in: allProjects }, category: { $ne: 'invoices' } },
+        ],
+      };
+    },
+    select: 'originalName category mimeType path project',
+    populate: { path: 'project', select: 'title' },
+    toResult: (doc) => ({
+      title: doc.originalName,
+      subtitle: joined(doc.category, doc.project?.title),
+      url: doc.path,
+      mimeType: doc.mimeType,
+      project: doc.project?._id,
+    }),
+  },
+];
+
+const findIn = (source, filter, limit, { ranked = false } = {}) => {
+  let query = source.Model.find(filter).select(source.select).limit(limit);
+  if (ranked) {
+    query = query.select({ score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' } });
+  }
+  if (source.populate) query = query.populate(source.populate);
+  return query;
+};
+
+const searchSource = async (source, q, context, limit) => {
+  const scope = await source.scope(context);
+  if (!scope) return null;
+
+  const [byIdentifier, byText] = await Promise.all([
+    source.identifier && looksLikeIdentifier(q)
+      ? findIn(source, { $and: [scope, source.identifier(q)] }, limit)
+      : [],
+    findIn(source, { ...scope, $text: { $search: q } }, limit, { ranked: true }),
+  ]);
+
+  // Exact identifier hits first, then the best text matches
+  const seen = new Set();
+  return [...byIdentifier, ...byText]
+    .filter((doc) => !seen.has(doc._id.toString()) && seen.add(doc._id.toString()))
+    .slice(0, limit)
+    .map((doc) => ({ _id: doc._id, type: source.type, ...source.toResult(doc) }));
+};
+
+/**
+ * Search everything the user can see
+ * @param {Object} user - Authenticated user
+ * @param {string} q - Search text
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - Subset of SEARCH_TYPES (default: all)
+ * @param {number} [options.limit] - Results per type (default 5, max 20)
+ * @returns {Promise<{ results: Object<string, Object[]>, total: number }>} Results grouped by type;
+ *   types the user may not search are left out
+ */
+const search = async (user, q, { types = SEARCH_TYPES, limit = DEFAULT_LIMIT } = {}) => {
+  const context = createContext(user);
+  const perType = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const sources = SOURCES.filter((source) => types.includes(source.type));
+
+  const found = await Promise.all(sources.map((source) => searchSource(source, q, context, perType)));
+
+  const results = {};
+  found.forEach((matches, index) => {
+    if (!matches) return;
+    const { type } = sources[index];
+    results[type] = [...(results[type] || []), ...matches].slice(0, perType);
+  });
+
+  const total = Object.values(results).reduce((sum, matches) => sum + matches.length, 0);
+  return { results, total };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  search,
+};
@@ -0,0 +1,204 @@
+/**
+ * Session Service
+ * Short-lived access tokens plus rotating refresh tokens stored server-side.
+ * A refresh token is `<sessionId>.<secret>`; only a hash of the secret is kept.
+ */
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateToken } = require('./jwt');
+const { userRoom, sessionRoom } = require('./socket');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS || '30');
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = (now = new Date()) => new Date(now.getTime() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const clientInfo = (req) => ({
+  userAgent: (req?.get?.('user-agent') || '').slice(0, 300),
+  ip: req?.ip || '',
+});
+
+const accessToken = (user, sessionId) => generateToken({
+  userId: user._id,
+  email: user.email,
+  role: user.role,
+  subRole: user.subRole,
+  sid: sessionId.toString(),
+});
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+/**
+ * Start a session for a user who just logged in or registered
+ * @param {Object} user - User document
+ * @param {Object} [req] - Express request (for user agent / IP)
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req),
+  });
+
+  return {
+    token: accessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * The old refresh token stops working; presenting it again revokes the session.
+ * @param {string} refreshToken
+ * @param {Object} [req] - Express request
+ * @returns {Promise<{user: Object, token: string, refreshToken: string}|null>} null if the token is not valid
+ */
+const refreshSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const now = new Date();
+  const presentedHash = hashToken(parsed.secret);
+  const secret = newSecret();
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      tokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        tokenHash: hashToken(secret),
+        previousTokenHash: presentedHash,
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(now),
+        ...clientInfo(req),
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { _id: parsed.sessionId, previousTokenHash: presentedHash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+    );
+    if (reused) {
+      console.warn(`⚠️ [Auth] Refresh token reuse detected, session ${parsed.sessionId} revoked`);
+    }
+    return null;
+  }
+
+  const user = await User.findById(session.user).select('-password');
+  if (!user || !user.isActive) {
+    await Session.updateOne({ _id: session._id }, { $set: { revokedAt: now, revokedReason: 'revoked' } });
+    return null;
+  }
+
+  return {
+    user,
+    token: accessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+  };
+};
+
+/**
+ * Active sessions for a user, most recently used first
+ */
+const listSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+})
+  .select('userAgent ip lastUsedAt createdAt expiresAt')
+  .sort({ lastUsedAt: -1 });
+
+const disconnectSockets = (io, room) => {
+  if (!io) return;
+  io.to(room).emit('forceLogout', {});
+  io.in(room).disconnectSockets(true);
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {Object} params
+ * @param {string} params.userId - Owner of the session
+ * @param {string} params.sessionId
+ * @param {string} [params.reason]
+ * @param {Object} [params.io] - Socket.io server, to disconnect the device
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+const revokeSession = async ({ userId, sessionId, reason = 'revoked', io }) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  disconnectSockets(io, sessionRoom(sessionId));
+  return true;
+};
+
+/**
+ * Revoke all of a user's sessions, optionally keeping the current one
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} [params.exceptSessionId] - Session to keep signed in
+ * @param {string} [params.reason]
+ * @param {Object} [params.io] - Socket.io server, to disconnect revoked devices
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async ({ userId, exceptSessionId, reason = 'revoked', io }) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const sessions = await Session.find(filter).select('_id');
+  if (sessions.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map((s) => s._id) } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  sessions.forEach((session) => disconnectSockets(io, sessionRoom(session._id)));
+  return sessions.length;
+};
+
+/**
+ * Sign a user out everywhere: revoke every session, reject any older
+ * session-less access token and drop their live socket connections.
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {Object} [options.io] - Socket.io server
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const forceLogout = async (userId, { io } = {}) => {
+  const revoked = await revokeUserSessions({ userId, reason: 'force_logout' });
+  await User.updateOne({ _id: userId }, { $set: { tokensInvalidBefore: new Date() } });
+  disconnectSockets(io, userRoom(userId));
+  return revoked;
+};
+
+module.exports = {
+  REFRESH_TOKEN_DAYS,
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeUserSessions,
+  forceLogout,
+};
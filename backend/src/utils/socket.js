@@ -0,0 +1,182 @@
+/**
+ * Socket.io setup
+ * Authenticates every connection with the same JWT used by the REST API and
+ * places the socket in its personal rooms:
+ * - user_<userId>   events for one user
+ * - role_<role>     broadcasts to a role (e.g. all owners)
+ * - vendor_<userId> vendor order updates (vendor role only)
+ * - session_<sid>   the device's login session (used to sign it out)
+ */
+
+const mongoose = require('mongoose');
+const { verifyToken, extractTokenFromHeader } = require('./jwt');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Project = require('../models/Project');
+
+const userRoom = (userId) => `user_${userId}`;
+const roleRoom = (role) => `role_${role}`;
+const vendorRoom = (vendorId) => `vendor_${vendorId}`;
+const orderRoom = (orderId) => `order_${orderId}`;
+const sessionRoom = (sessionId) => `session_${sessionId}`;
+
+// Owners and employees, who see every client
+const STAFF_ROOMS = [roleRoom('owner'), roleRoom('employee')];
+
+/**
+ * Rooms of everyone who may see a project: owners and its members
+ * @param {Object} project - client, createdBy, assignedEmployees, assignedVendors (IDs or populated)
+ */
+const projectRooms = (project) => [
+  roleRoom('owner'),
+  ...[project.client, project.createdBy, ...(project.assignedEmployees || []), ...(project.assignedVendors || [])]
+    .filter(Boolean)
+    .map((member) => userRoom(member._id || member)),
+];
+
+/**
+ * The order ID of a client event payload, or null when it has none or it is
+ * not an ID (clients may send anything, including null)
+ */
+const orderIdOf = (payload) => {
+  const orderId = payload?.orderId;
+  return typeof orderId === 'string' && /^[a-f\d]{24}$/i.test(orderId) ? orderId : null;
+};
+
+/**
+ * Read the token from `auth.token` (socket.io-client `auth` option),
+ * the Authorization header, or a `token` query parameter.
+ */
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth?.token) return handshake.auth.token;
+  const fromHeader = extractTokenFromHeader(handshake.headers?.authorization);
+  if (fromHeader) return fromHeader;
+  return handshake.query?.token || null;
+};
+
+/**
+ * Socket.io middleware to authenticate the handshake
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = getHandshakeToken(socket.handshake);
+    if (!token) {
+      return next(new Error('Authentication required'));
+    }
+
+    const decoded = verifyToken(token);
+    const user = await User.findById(decoded.userId).select('_id role subRole isActive firstName lastName tokensInvalidBefore');
+
+    if (!user || !user.isActive || await Session.isTokenRevoked(decoded, user)) {
+      return next(new Error('Authentication failed'));
+    }
+
+    socket.data.user = user;
+    socket.data.sessionId = decoded.sid || null;
+    next();
+  } catch (error) {
+    next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Authentication failed'));
+  }
+};
+
+/**
+ * Whether a user may listen to a purchase order's negotiation room:
+ * the PO's vendor, an owner, or someone assigned to the PO's project.
+ */
+const canJoinOrder = async (user, orderId) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) return false;
+
+  const purchaseOrder = await PurchaseOrder.findById(orderId).select('vendor project');
+  if (!purchaseOrder) return false;
+
+  if (user.role === 'owner') return true;
+  if (purchaseOrder.vendor?.toString() === user._id.toString()) return true;
+
+  const assigned = await Project.exists({
+    _id: purchaseOrder.project,
+    $or: [
+      { assignedEmployees: user._id },
+      { assignedVendors: user._id },
+    ],
+  });
+  return !!assigned;
+};
+
+/**
+ * Attach authentication and event handlers to the io server
+ * @param {import('socket.io').Server} io
+ */
+const setupSocket = (io) => {
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    const userId = user._id.toString();
+
+    socket.join(userRoom(userId));
+    socket.join(roleRoom(user.role));
+    if (user.role === 'vendor') {
+      socket.join(vendorRoom(userId));
+    }
+    if (socket.data.sessionId) {
+      socket.join(sessionRoom(socket.data.sessionId));
+    }
+    console.log(`🔌 Socket ${socket.id} connected for user ${userId} (${user.role})`);
+
+    // Negotiation chat rooms are scoped per purchase order: order_<orderId>
+    socket.on('joinOrder', async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      const orderId = orderIdOf(payload);
+      if (!orderId) return reply({ success: false, message: 'A valid orderId is required' });
+
+      try {
+        const allowed = await canJoinOrder(user, orderId);
+        if (!allowed) {
+          socket.emit('joinOrderDenied', { orderId, message: 'Access denied' });
+          return reply({ success: false, message: 'Access denied' });
+        }
+
+        socket.join(orderRoom(orderId));
+        console.log(`🧩 Socket ${socket.id} joined ${orderRoom(orderId)}`);
+        reply({ success: true });
+      } catch (error) {
+        console.error('joinOrder error:', error.message);
+        reply({ success: false, message: 'Failed to join order' });
+      }
+    });
+
+    socket.on('leaveOrder', (payload) => {
+      const orderId = orderIdOf(payload);
+      if (!orderId) return;
+      socket.leave(orderRoom(orderId));
+      console.log(`🧩 Socket ${socket.id} left ${orderRoom(orderId)}`);
+    });
+
+    socket.on('typing', (payload) => {
+      const orderId = orderIdOf(payload);
+      if (!orderId) return;
+      const room = orderRoom(orderId);
+      // Only members of the room may signal typing; the sender id comes from the token
+      if (!socket.rooms.has(room)) return;
+      socket.to(room).emit('userTyping', { userId, isTyping: !!payload.isTyping });
+    });
+
+    socket.on('disconnect', () => {
+      console.log('🔌 Client disconnected:', socket.id);
+    });
+  });
+};
+
+module.exports = {
+  setupSocket,
+  authenticateSocket,
+  canJoinOrder,
+  userRoom,
+  roleRoom,
+  vendorRoom,
+  orderRoom,
+  sessionRoom,
+  STAFF_ROOMS,
+  projectRooms,
+};
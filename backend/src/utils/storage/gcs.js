@@ -0,0 +1,102 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { Storage } = require('@google-cloud/storage');
+
+/**
+ * Google Cloud Storage driver
+ * @param {Object} options
+ * @param {string} options.bucket
+ * @param {string} [options.projectId]
+ * @param {string} [options.keyFilename] - Service account key; default credentials otherwise
+ */
+const createGcsDriver = ({ bucket: bucketName, projectId, keyFilename }) => {
+  if (keyFilename && !fs.existsSync(keyFilename)) {
+    throw new Error(`GCS_KEYFILE not found at: ${keyFilename}`);
+  }
+
+  const bucket = new Storage({ projectId, keyFilename }).bucket(bucketName);
+  const baseUrl = `https://storage.googleapis.com/${bucketName}`;
+
+  const url = (key) => `${baseUrl}/${key}`;
+
+  const stat = async (key) => {
+    try {
+      const [metadata] = await bucket.file(key).getMetadata();
+      return {
+        size: Number(metadata.size),
+        contentType: metadata.contentType || null,
+        updatedAt: new Date(metadata.updated),
+      };
+    } catch (error) {
+      if (error.code === 404) return null;
+      throw error;
+    }
+  };
+
+  return {
+    name: 'gcs',
+
+    put: async (key, body, { contentType } = {}) => {
+      const file = bucket.file(key);
+      // No predefinedAcl: access is through signed URLs
+      const options = { resumable: false, metadata: { contentType } };
+      if (Buffer.isBuffer(body)) {
+        await file.save(body, options);
+        return { key, url: url(key), size: body.length };
+      }
+      await pipeline(body, file.createWriteStream(options));
+      const [metadata] = await file.getMetadata();
+      return { key, url: url(key), size: Number(metadata.size) };
+    },
+
+    get: async (key) => {
+      const info = await stat(key);
+      if (!info) return null;
+      return { ...info, stream: bucket.file(key).createReadStream() };
+    },
+
+    stat,
+
+    delete: async (key) => {
+      try {
+        await bucket.file(key).delete();
+        return true;
+      } catch (error) {
+        if (error.code === 404) return false;
+        throw error;
+      }
+    },
+
+    exists: async (key) => {
+      const [exists] = await bucket.file(key).exists();
+      return exists;
+    },
+
+    signedUrl: async (key, { expiresIn = 3600 } = {}) => {
+      const [signed] = await bucket.file(key).getSignedUrl({
+        version: 'v4',
+        action: 'read',
+        expires: Date.now() + expiresIn * 1000,
+      });
+      return signed;
+    },
+
+    list: async (prefix = '') => {
+      const [files] = await bucket.getFiles({ prefix });
+      return files.map((file) => ({
+        key: file.name,
+        size: Number(file.metadata.size),
+        updatedAt: new Date(file.metadata.updated),
+      }));
+    },
+
+    url,
+
+    keyFromUrl: (fileUrl) => {
+      if (!fileUrl || !fileUrl.startsWith(`${baseUrl}/`)) return null;
+      return decodeURIComponent(fileUrl.slice(baseUrl.length + 1).split('?')[0]);
+    },
+  };
+};
+
+module.exports = { createGcsDriver };
@@ -0,0 +1,196 @@
+const path = require('path');
+const { RENDITIONS, isProcessableImage, renditionKey, normalizeImage, createRendition } = require('../images');
+
+/**
+ * File storage
+ * One interface over where uploaded files live, so every upload route writes
+ * to the same place. The driver comes from STORAGE_DRIVER:
+ * - 'local' - the uploads/ folder, served at /uploads to signed URLs only
+ *             (STORAGE_LOCAL_DIR, STORAGE_SIGNING_SECRET)
+ * - 'gcs'   - Google Cloud Storage (GCS_BUCKET, GCS_PROJECT_ID, GCS_KEYFILE)
+ * - 's3'    - S3 or any S3-compatible service such as MinIO (S3_BUCKET,
+ *             S3_REGION, S3_ENDPOINT, S3_FORCE_PATH_STYLE, S3_ACCESS_KEY_ID,
+ *             S3_SECRET_ACCESS_KEY, S3_PUBLIC_URL)
+ * Without STORAGE_DRIVER, 'gcs' is used when GCS_BUCKET is set, 'local' otherwise.
+ *
+ * Every driver implements:
+ * - put(key, body, { contentType }) -> { key, url, size }; body is a Buffer or stream
+ * - get(key) -> { stream, size, contentType, updatedAt } or null
+ * - stat(key) -> { size, contentType, updatedAt } or null
+ * - delete(key) -> whether the file existed
+ * - exists(key) -> boolean
+ * - signedUrl(key, { expiresIn }) -> time-limited read URL (seconds, default 1 hour);
+ *   the only URL that opens a file, so issue it after checking access
+ * - list(prefix) -> [{ key, size, updatedAt }]
+ * - url(key) -> permanent URL, stored on records to identify the file
+ * - keyFromUrl(url) -> key for a URL this driver issued, or null
+ */
+
+/**
+ * Folder the local driver writes to (server.js serves it at /uploads)
+ */
+const getLocalRoot = () => process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../../uploads');
+
+const getBackendBaseUrl = () => {
+  return process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`;
+};
+
+/**
+ * Create a driver
+ * @param {string} [driver] - 'local', 'gcs' or 's3'; defaults to the environment
+ */
+const createStorage = (driver = process.env.STORAGE_DRIVER || (process.env.GCS_BUCKET ? 'gcs' : 'local')) => {
+  switch (driver) {
+    case 'local': {
+      const { createLocalDriver } = require('./local');
+      return createLocalDriver({
+        root: getLocalRoot(),
+        baseUrl: `${getBackendBaseUrl()}/uploads`,
+        secret: process.env.STORAGE_SIGNING_SECRET || `${process.env.JWT_SECRET}:storage`,
+      });
+    }
+    case 'gcs': {
+      if (!process.env.GCS_BUCKET) throw new Error('GCS_BUCKET is required for the gcs storage driver');
+      const { createGcsDriver } = require('./gcs');
+      return createGcsDriver({
+        bucket: process.env.GCS_BUCKET,
+        projectId: process.env.GCS_PROJECT_ID,
+        keyFilename: process.env.GCS_KEYFILE,
+      });
+    }
+    case 's3': {
+      if (!process.env.S3_BUCKET) throw new Error('S3_BUCKET is required for the s3 storage driver');
+      const { createS3Driver } = require('./s3');
+      return createS3Driver({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        publicUrl: process.env.S3_PUBLIC_URL,
+      });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+};
+
+let storage = null;
+
+/**
+ * The configured driver (created on first use)
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+    console.log(`📦 File storage: ${storage.name}`);
+  }
+  return storage;
+};
+
+/**
+ * Replace the configured driver (tests, scripts)
+ */
+const setStorage = (driver) => {
+  storage = driver;
+};
+
+/**
+ * Unique key for an upload: folder[/projectId]/name-timestamp-random.ext
+ * @param {Object} params
+ * @param {string} params.folder
+ * @param {string} params.originalname - Sanitised into the key
+ * @param {string} [params.projectId] - Groups a project's files
+ */
+const buildKey = ({ folder, originalname, projectId }) => {
+  const sanitizedName = String(originalname || 'file')
+    .replace(/\s+/g, '_')
+    .replace(/[^a-zA-Z0-9._-]/g, '');
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+  const ext = path.extname(sanitizedName);
+  const basename = path.basename(sanitizedName, ext);
+
+  return [folder, projectId && String(projectId), `${basename}-${uniqueSuffix}${ext}`]
+    .filter(Boolean)
+    .join('/');
+};
+
+const toBuffer = async (body) => {
+  if (Buffer.isBuffer(body)) return body;
+  const chunks = [];
+  for await (const chunk of body) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Store an uploaded file under a new key. Images (JPEG, PNG, WebP) are turned
+ * upright and stripped of metadata first (see utils/images).
+ * @param {Object} params
+ * @param {Buffer|Readable} params.body
+ * @param {string} params.mimetype
+ * @param {string} params.originalname
+ * @param {string} params.folder
+ * @param {string} [params.projectId]
+ * @param {boolean} [params.renditions] - Also store the RENDITIONS of an image
+ * @returns {Promise<{key: string, filename: string, url: string, size: number}>}
+ *   plus width and height for images, and renditions ({ thumb, medium } URLs) when asked
+ */
+const saveUpload = async ({ body, mimetype, originalname, folder, projectId, renditions = false }) => {
+  const storage = getStorage();
+  const key = buildKey({ folder, originalname, projectId });
+  const filename = path.posix.basename(key);
+
+  if (!isProcessableImage(mimetype)) {
+    const { url, size } = await storage.put(key, body, { contentType: mimetype });
+    return { key, filename, url, size };
+  }
+
+  const image = await normalizeImage(await toBuffer(body), mimetype);
+  const { url, size } = await storage.put(key, image.body, { contentType: mimetype });
+  const saved = { key, filename, url, size, width: image.width, height: image.height };
+
+  if (renditions) {
+    saved.renditions = {};
+    // One at a time: each holds a decoded image in memory
+    for (const name of Object.keys(RENDITIONS)) {
+      const rendition = await createRendition(image.body, name);
+      const stored = await storage.put(renditionKey(key, name), rendition.body, { contentType: 'image/jpeg' });
+      saved.renditions[name] = stored.url;
+    }
+  }
+  return saved;
+};
+
+/**
+ * Delete a stored file and any renditions made of it
+ * @returns {Promise<boolean>} Whether the file existed
+ */
+const deleteUpload = async (key) => {
+  const storage = getStorage();
+  const deleted = await storage.delete(key);
+  if (/\.(jpe?g|png|webp)$/i.test(key)) {
+    await Promise.all(Object.keys(RENDITIONS).map((name) => storage.delete(renditionKey(key, name))));
+  }
+  return deleted;
+};
+
+/**
+ * Delete a file by the URL stored for it; URLs from elsewhere are ignored
+ * @returns {Promise<boolean>} Whether a file was deleted
+ */
+const deleteByUrl = async (fileUrl) => {
+  const key = getStorage().keyFromUrl(fileUrl);
+  return key ? deleteUpload(key) : false;
+};
+
+module.exports = {
+  createStorage,
+  getStorage,
+  setStorage,
+  buildKey,
+  saveUpload,
+  deleteUpload,
+  deleteByUrl,
+  getLocalRoot,
+};
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Local filesystem driver. Files live under `root` and are served at the
+ * /uploads mount in server.js, which only answers URLs signed here with an
+ * HMAC of the key and expiry time.
+ * @param {Object} options
+ * @param {string} options.root - Directory holding the files
+ * @param {string} options.baseUrl - URL of the /uploads mount
+ * @param {string} options.secret - Key for signing URLs
+ */
+const createLocalDriver = ({ root, baseUrl, secret }) => {
+  const rootDir = path.resolve(root);
+
+  const sign = (key, expires) => crypto
+    .createHmac('sha256', secret)
+    .update(`${key}:${expires}`)
+    .digest('hex');
+
+  const resolve = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const url = (key) => `${baseUrl}/${key}`;
+
+  const stat = async (key) => {
+    try {
+      const stats = await fs.promises.stat(resolve(key));
+      if (!stats.isFile()) return null;
+      return { size: stats.size, contentType: null, updatedAt: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const nested = await Promise.all(entries.map((entry) => {
+      const entryPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? walk(entryPath) : [entryPath];
+    }));
+    return nested.flat();
+  };
+
+  return {
+    name: 'local',
+    root: rootDir,
+
+    put: async (key, body) => {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(filePath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(filePath));
+      }
+      const { size } = await fs.promises.stat(filePath);
+      return { key, url: url(key), size };
+    },
+
+    get: async (key) => {
+      const info = await stat(key);
+      if (!info) return null;
+      return { ...info, stream: fs.createReadStream(resolve(key)) };
+    },
+
+    stat,
+
+    delete: async (key) => {
+      try {
+        await fs.promises.unlink(resolve(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    },
+
+    exists: async (key) => (await stat(key)) !== null,
+
+    signedUrl: async (key, { expiresIn = 3600 } = {}) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${url(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    /**
+     * Whether a signed URL's query is valid for the key and not expired
+     */
+    verifySignature: (key, expires, signature) => {
+      if (!/^\d+$/.test(String(expires)) || typeof signature !== 'string') return false;
+      if (Number(expires) < Math.floor(Date.now() / 1000)) return false;
+
+      const expected = Buffer.from(sign(key, expires));
+      const given = Buffer.from(signature);
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    },
+
+    list: async (prefix = '') => {
+      const dir = path.join(rootDir, prefix.slice(0, prefix.lastIndexOf('/') + 1));
+      const files = await walk(dir);
+      const entries = await Promise.all(files.map(async (filePath) => {
+        const key = path.relative(rootDir, filePath).split(path.sep).join('/');
+        if (!key.startsWith(prefix)) return null;
+        const stats = await fs.promises.stat(filePath);
+        return { key, size: stats.size, updatedAt: stats.mtime };
+      }));
+      return entries.filter(Boolean);
+    },
+
+    url,
+
+    keyFromUrl: (fileUrl) => {
+      const marker = '/uploads/';
+      const index = fileUrl ? fileUrl.indexOf(marker) : -1;
+      if (index === -1) return null;
+      return decodeURIComponent(fileUrl.slice(index + marker.length).split('?')[0]);
+    },
+  };
+};
+
+module.exports = { createLocalDriver };
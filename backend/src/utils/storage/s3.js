@@ -0,0 +1,134 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const isNotFound = (error) => error.name === 'NotFound'
+  || error.name === 'NoSuchKey'
+  || error.$metadata?.httpStatusCode === 404;
+
+/**
+ * S3-compatible driver (AWS S3, MinIO, R2, ...)
+ * @param {Object} options
+ * @param {string} options.bucket
+ * @param {string} [options.region]
+ * @param {string} [options.endpoint] - Custom endpoint, e.g. http://localhost:9000 for MinIO
+ * @param {boolean} [options.forcePathStyle] - Use endpoint/bucket/key URLs (MinIO)
+ * @param {string} [options.accessKeyId] - Default AWS credential chain when omitted
+ * @param {string} [options.secretAccessKey]
+ * @param {string} [options.publicUrl] - Base of the URLs stored on records (CDN or custom domain)
+ */
+const createS3Driver = ({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  forcePathStyle = false,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl,
+}) => {
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  let baseUrl = `https://${bucket}.s3.${region}.amazonaws.com`;
+  if (publicUrl) {
+    baseUrl = publicUrl;
+  } else if (endpoint) {
+    const { protocol, host } = new URL(endpoint);
+    baseUrl = forcePathStyle ? `${protocol}//${host}/${bucket}` : `${protocol}//${bucket}.${host}`;
+  }
+  baseUrl = baseUrl.replace(/\/+$/, '');
+
+  const url = (key) => `${baseUrl}/${key}`;
+
+  const stat = async (key) => {
+    try {
+      const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return {
+        size: head.ContentLength,
+        contentType: head.ContentType || null,
+        updatedAt: head.LastModified,
+      };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  };
+
+  return {
+    name: 's3',
+
+    put: async (key, body, { contentType } = {}) => {
+      // Upload switches to multipart for large bodies and streams of unknown length
+      await new Upload({
+        client,
+        params: { Bucket: bucket, Key: key, Body: body, ContentType: contentType },
+      }).done();
+      const size = Buffer.isBuffer(body) ? body.length : (await stat(key)).size;
+      return { key, url: url(key), size };
+    },
+
+    get: async (key) => {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return {
+          size: object.ContentLength,
+          contentType: object.ContentType || null,
+          updatedAt: object.LastModified,
+          stream: object.Body,
+        };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    stat,
+
+    // S3 deletes succeed whether or not the key exists, so check first
+    delete: async (key) => {
+      if (!(await stat(key))) return false;
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      return true;
+    },
+
+    exists: async (key) => (await stat(key)) !== null,
+
+    signedUrl: (key, { expiresIn = 3600 } = {}) => getSignedUrl(
+      client,
+      new GetObjectCommand({ Bucket: bucket, Key: key }),
+      { expiresIn }
+    ),
+
+    list: async (prefix = '') => {
+      const entries = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+        (page.Contents || []).forEach((object) => {
+          entries.push({ key: object.Key, size: object.Size, updatedAt: object.LastModified });
+        });
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return entries;
+    },
+
+    url,
+
+    keyFromUrl: (fileUrl) => {
+      if (!fileUrl || !fileUrl.startsWith(`${baseUrl}/`)) return null;
+      return decodeURIComponent(fileUrl.slice(baseUrl.length + 1).split('?')[0]);
+    },
+  };
+};
+
+module.exports = { createS3Driver };
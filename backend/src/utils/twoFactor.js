@@ -0,0 +1,299 @@
+/**
+ * Two-factor authentication
+ * Time-based one-time passwords (RFC 6238, as used by authenticator apps),
+ * single-use backup codes and the owner's per-role enforcement policy.
+ *
+ * Login with 2FA is two steps: the password step returns a short-lived
+ * challenge token instead of a session, and the code step exchanges it for one.
+ * Challenge tokens are signed with a derived key so they are never accepted
+ * as access tokens.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const TwoFactorPolicy = require('../models/TwoFactorPolicy');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Houseway';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code too, for clock drift
+const WINDOW = 1;
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+
+// Wrong codes in a row before the user is locked out of 2FA checks
+const MAX_ATTEMPTS = 5;
+const LOCK_MS = 15 * 60 * 1000;
+
+// Roles that can enrol, and the subjects the owner can require it for
+const TWO_FACTOR_ROLES = ['owner', 'employee'];
+const POLICY_SUBJECTS = [
+  'owner',
+  'employee',
+  'employee:designTeam',
+  'employee:vendorTeam',
+  'employee:executionTeam',
+];
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => { bits += byte.toString(2).padStart(8, '0'); });
+  return (bits.match(/.{1,5}/g) || [])
+    .map((chunk) => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const base32Decode = (encoded) => {
+  const bits = encoded.toUpperCase().replace(/[\s=]/g, '').split('')
+    .map((char) => {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) throw new Error('Invalid base32 secret');
+      return value.toString(2).padStart(5, '0');
+    })
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map((byte) => parseInt(byte, 2)));
+};
+
+/**
+ * New random TOTP secret, base32 encoded (what authenticator apps expect)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * The code for a secret at a time step (HOTP, RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (seconds since epoch / 30)
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Check a code against a secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} [options]
+ * @param {number} [options.lastStep] - Step of the last accepted code; it and older ones are rejected (no replays)
+ * @param {number} [options.now] - Current time in ms
+ * @returns {number|null} Step the code matched, or null
+ */
+const verifyCode = (secret, code, { lastStep = -1, now = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const step = currentStep(now);
+  for (let candidate = step - WINDOW; candidate <= step + WINDOW; candidate += 1) {
+    if (candidate > lastStep && crypto.timingSafeEqual(
+      Buffer.from(generateCode(secret, candidate)),
+      Buffer.from(normalized)
+    )) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for enrolling the secret in an authenticator app (shown as a QR code or pasted)
+ */
+const otpauthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z\d]/g, ''))
+  .digest('hex');
+
+/**
+ * New set of backup codes
+ * @returns {{codes: string[], hashes: string[]}} Codes to show once, hashes to store
+ */
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+const challengeSecret = () => `${process.env.JWT_SECRET}:two-factor`;
+
+/**
+ * Short-lived token proving the password step passed
+ * @param {Object} user
+ * @param {'verify'|'setup'} purpose - Enter a code, or enrol first (required by policy)
+ */
+const issueChallenge = (user, purpose) => jwt.sign(
+  { userId: user._id.toString(), purpose },
+  challengeSecret(),
+  { expiresIn: CHALLENGE_EXPIRES_IN }
+);
+
+/**
+ * Decode a challenge token
+ * @returns {{userId: string, purpose: string}|null} null if invalid or expired
+ */
+const readChallenge = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, challengeSecret());
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Whether a user is locked out after too many wrong codes
+ */
+const isLockedOut = (user, now = new Date()) => Boolean(
+  user.twoFactorLockedUntil && user.twoFactorLockedUntil > now
+);
+
+/**
+ * Count a wrong code; the MAX_ATTEMPTS-th in a row locks the user out for LOCK_MS.
+ * Kept apart from the password reset OTP limiter, so neither resets the other.
+ */
+const recordFailedAttempt = async (user, now = new Date()) => {
+  // Counted atomically, so parallel guesses can't share one attempt
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { twoFactorAttempts: 1 } },
+    { new: true }
+  ).select('twoFactorAttempts');
+  if (updated && updated.twoFactorAttempts >= MAX_ATTEMPTS) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { twoFactorAttempts: 0, twoFactorLockedUntil: new Date(now.getTime() + LOCK_MS) } }
+    );
+  }
+};
+
+/**
+ * Reset the failure count after a correct code
+ */
+const clearFailedAttempts = (user) => User.updateOne(
+  { _id: user._id },
+  { $set: { twoFactorAttempts: 0, twoFactorLockedUntil: null } }
+);
+
+/**
+ * Check a login code (authenticator code or unused backup code) for a user
+ * loaded with their 2FA secrets, consuming it if it matches
+ * @returns {Promise<'totp'|'backup'|null>} How the user authenticated, or null
+ */
+const consumeCode = async (user, code) => {
+  const { secret, backupCodes = [] } = user.twoFactor || {};
+
+  const step = verifyCode(secret, code, { lastStep: user.twoFactorLastStep ?? -1 });
+  if (step !== null) {
+    // Only move forward, so two requests can't spend the same code
+    const result = await User.updateOne(
+      { _id: user._id, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+      { $set: { twoFactorLastStep: step } }
+    );
+    return result.modifiedCount > 0 ? 'totp' : null;
+  }
+
+  const hash = hashBackupCode(code);
+  if (code && backupCodes.includes(hash)) {
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.backupCodes': hash },
+      { $pull: { 'twoFactor.backupCodes': hash } }
+    );
+    return result.modifiedCount > 0 ? 'backup' : null;
+  }
+
+  return null;
+};
+
+/**
+ * Load a user with their 2FA secret and backup code hashes
+ */
+const findWithSecrets = (userId) => User.findById(userId)
+  .select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes');
+
+const CACHE_TTL_MS = 30 * 1000;
+let cache = { loadedAt: 0, requiredFor: null };
+
+/**
+ * Subjects 2FA is required for, cached briefly
+ * @returns {Promise<string[]>}
+ */
+const getRequiredSubjects = async () => {
+  if (cache.requiredFor && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.requiredFor;
+  }
+
+  const policy = await TwoFactorPolicy.findOne().select('requiredFor').lean();
+  cache = { loadedAt: Date.now(), requiredFor: policy?.requiredFor || [] };
+  return cache.requiredFor;
+};
+
+/**
+ * Replace the list of subjects 2FA is required for
+ * @param {string[]} requiredFor
+ * @param {string} [updatedBy] - Owner making the change
+ */
+const setRequiredSubjects = async (requiredFor, updatedBy) => {
+  await TwoFactorPolicy.findOneAndUpdate(
+    {},
+    { $set: { requiredFor, updatedBy } },
+    { upsert: true }
+  );
+  cache = { loadedAt: 0, requiredFor: null };
+};
+
+/**
+ * Whether the owner's policy requires 2FA for a user's role/sub-role
+ * @param {Object} user - { role, subRole }
+ */
+const isRequiredFor = async (user) => {
+  if (!TWO_FACTOR_ROLES.includes(user.role)) return false;
+  const subjects = user.subRole && user.subRole !== 'none'
+    ? [user.role, `${user.role}:${user.subRole}`]
+    : [user.role];
+  const requiredFor = await getRequiredSubjects();
+  return subjects.some((subject) => requiredFor.includes(subject));
+};
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  POLICY_SUBJECTS,
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  otpauthUrl,
+  generateBackupCodes,
+  issueChallenge,
+  readChallenge,
+  isLockedOut,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  consumeCode,
+  findWithSecrets,
+  getRequiredSubjects,
+  setRequiredSubjects,
+  isRequiredFor,
+};
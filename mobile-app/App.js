@@ -6,6 +6,7 @@ import 'react-native-gesture-handler';
 // Import providers and navigation
 import { AuthProvider } from './src/context/AuthContext';
 import { AttendanceProvider } from './src/context/AttendanceContext';
+import { NotificationProvider } from './src/context/NotificationContext';
 import AppNavigator from './src/navigation/AppNavigator';
 import WebStyleInjector from './src/components/WebStyleInjector.js';
 
@@ -25,11 +26,13 @@ export default function App() {
   return (
     <AuthProvider>
       <AttendanceProvider>
-        <View style={[styles.container, Platform.OS === 'web' && styles.webContainer]}>
-          <WebStyleInjector />
-          <StatusBar style="auto" />
-          <AppNavigator />
-        </View>
+        <NotificationProvider>
+          <View style={[styles.container, Platform.OS === 'web' && styles.webContainer]}>
+            <WebStyleInjector />
+            <StatusBar style="auto" />
+            <AppNavigator />
+          </View>
+        </NotificationProvider>
       </AttendanceProvider>
     </AuthProvider>
   );
@@ -0,0 +1,73 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import DocumentApprovalList from '../../src/components/DocumentApprovalList';
+import { clientsAPI } from '../../src/utils/api';
+
+jest.mock('../../src/utils/api', () => ({
+  clientsAPI: {
+    getMyApprovals: jest.fn(),
+    respondToApproval: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/utils/fileUtils', () => ({
+  openFile: jest.fn(),
+}));
+
+jest.mock('@expo/vector-icons', () => ({
+  Ionicons: () => null,
+}));
+
+const pending = {
+  _id: 'approval-1',
+  documentName: 'Kitchen Layout',
+  version: 2,
+  status: 'pending',
+  message: 'Please sign off the new layout',
+  requestedBy: { firstName: 'Dana', lastName: 'Test' },
+  fileUrl: 'http://api.test/uploads/documents/kitchen-2.pdf',
+};
+
+describe('DocumentApprovalList Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Alert, 'alert').mockImplementation(() => { });
+    clientsAPI.getMyApprovals.mockResolvedValue({ success: true, data: { approvals: [pending] } });
+  });
+
+  it('should ask for a signature before approving', async () => {
+    clientsAPI.respondToApproval.mockResolvedValue({ success: true, data: {} });
+    const { findByText, getByText, getByPlaceholderText } = render(<DocumentApprovalList projectId="project-1" />);
+
+    fireEvent.press(await findByText('Approve'));
+    fireEvent.press(getByText('Sign & approve'));
+    expect(clientsAPI.respondToApproval).not.toHaveBeenCalled();
+    expect(Alert.alert).toHaveBeenCalledWith('Signature Needed', expect.any(String));
+
+    fireEvent.changeText(getByPlaceholderText('Full name'), ' Chris Test ');
+    fireEvent.press(getByText('Sign & approve'));
+
+    await waitFor(() => expect(clientsAPI.respondToApproval).toHaveBeenCalledWith('approval-1', {
+      decision: 'approve',
+      comments: undefined,
+      signature: { name: 'Chris Test' },
+    }));
+    expect(clientsAPI.getMyApprovals).toHaveBeenCalledTimes(2);
+  });
+
+  it('should send requested changes with comments and no signature', async () => {
+    clientsAPI.respondToApproval.mockResolvedValue({ success: true, data: {} });
+    const { findByText, getByText, getByPlaceholderText } = render(<DocumentApprovalList projectId="project-1" />);
+
+    fireEvent.press(await findByText('Request changes'));
+    fireEvent.changeText(getByPlaceholderText('Describe the changes you need'), 'Move the island left');
+    fireEvent.press(getByText('Send'));
+
+    await waitFor(() => expect(clientsAPI.respondToApproval).toHaveBeenCalledWith('approval-1', {
+      decision: 'request-changes',
+      comments: 'Move the island left',
+      signature: undefined,
+    }));
+  });
+});
@@ -0,0 +1,64 @@
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import GlobalSearch from '../../src/components/GlobalSearch';
+import { searchAPI } from '../../src/utils/api';
+import { openFile } from '../../src/utils/fileUtils';
+
+jest.mock('../../src/utils/api', () => ({
+  searchAPI: {
+    search: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/utils/fileUtils', () => ({
+  openFile: jest.fn(),
+}));
+
+jest.mock('@expo/vector-icons', () => ({
+  Feather: () => null,
+}));
+
+const results = {
+  projects: [{ _id: 'project-1', type: 'projects', title: 'Villa', subtitle: 'HW-00012', status: 'in-progress', project: 'project-1' }],
+  files: [{ _id: 'file-1', type: 'files', title: 'villa-plan.pdf', subtitle: 'documents • Villa', url: 'http://api.test/uploads/documents/villa-plan.pdf' }],
+};
+
+describe('GlobalSearch Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    searchAPI.search.mockResolvedValue({ success: true, data: { query: 'villa', results, total: 2 } });
+  });
+
+  const openSearch = () => {
+    const onResultPress = jest.fn();
+    const screen = render(<GlobalSearch onResultPress={onResultPress} />);
+    fireEvent.press(screen.getByLabelText('Search'));
+    return { ...screen, onResultPress };
+  };
+
+  it('should group results by type once two characters are typed', async () => {
+    const { getByPlaceholderText, findByText, getByText, onResultPress } = openSearch();
+    const input = getByPlaceholderText('Search projects, clients, orders, invoices, files');
+
+    fireEvent.changeText(input, 'v');
+    fireEvent.changeText(input, 'villa');
+
+    expect(await findByText('Projects')).toBeTruthy();
+    expect(getByText('Files')).toBeTruthy();
+    expect(searchAPI.search).toHaveBeenCalledTimes(1);
+    expect(searchAPI.search).toHaveBeenCalledWith('villa');
+
+    fireEvent.press(getByText('Villa'));
+    expect(onResultPress).toHaveBeenCalledWith(results.projects[0]);
+  });
+
+  it('should open files instead of handing them to the screen', async () => {
+    const { getByPlaceholderText, findByText, onResultPress } = openSearch();
+
+    fireEvent.changeText(getByPlaceholderText('Search projects, clients, orders, invoices, files'), 'plan');
+    fireEvent.press(await findByText('villa-plan.pdf'));
+
+    await waitFor(() => expect(openFile).toHaveBeenCalledWith(results.files[0].url));
+    expect(onResultPress).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,53 @@
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import ProjectCopyModal, { validateCopy } from '../../src/components/ProjectCopyModal';
+
+jest.mock('@expo/vector-icons', () => ({
+  Ionicons: () => null,
+}));
+
+const projects = [
+  { _id: 'project-1', title: 'Lake House', status: 'completed' },
+  { _id: 'project-2', title: 'Hill Villa', status: 'in-progress' },
+];
+
+describe('ProjectCopyModal', () => {
+  it('duplicates the chosen project from a start date', () => {
+    const onSubmit = jest.fn();
+    const { getByText, getByTestId, getByPlaceholderText } = render(
+      <ProjectCopyModal visible mode="duplicate" projects={projects} onSubmit={onSubmit} onClose={jest.fn()} />
+    );
+
+    fireEvent.press(getByText('Duplicate'));
+    expect(getByText('Choose a project')).toBeTruthy();
+    expect(onSubmit).not.toHaveBeenCalled();
+
+    fireEvent.press(getByTestId('copy-project-project-1'));
+    fireEvent.changeText(getByPlaceholderText('New project title (optional)'), ' Lake House II ');
+    fireEvent.changeText(getByPlaceholderText('YYYY-MM-DD'), '2031-06-02');
+    fireEvent.press(getByText('Duplicate'));
+
+    expect(onSubmit).toHaveBeenCalledWith({ projectId: 'project-1', name: 'Lake House II', startDate: '2031-06-02' });
+  });
+
+  it('needs a name to save a template', () => {
+    const onSubmit = jest.fn();
+    const { getByText, getByTestId, queryByPlaceholderText } = render(
+      <ProjectCopyModal visible mode="template" projects={projects} onSubmit={onSubmit} onClose={jest.fn()} />
+    );
+
+    expect(queryByPlaceholderText('YYYY-MM-DD')).toBeNull();
+    fireEvent.press(getByTestId('copy-project-project-2'));
+    fireEvent.press(getByText('Save Template'));
+
+    expect(getByText('Give the template a name')).toBeTruthy();
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  it('rejects start dates that are not YYYY-MM-DD', () => {
+    const base = { mode: 'duplicate', projectId: 'project-1', name: '' };
+    expect(validateCopy({ ...base, startDate: '02/06/2031' })).toBe('Start date must be YYYY-MM-DD');
+    expect(validateCopy({ ...base, startDate: '2031-13-45' })).toBe('Start date must be YYYY-MM-DD');
+    expect(validateCopy({ ...base, startDate: '2031-06-02' })).toBeNull();
+  });
+});
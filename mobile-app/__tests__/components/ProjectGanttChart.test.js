@@ -0,0 +1,86 @@
+import React from 'react';
+import { render } from '@testing-library/react-native';
+import ProjectGanttChart, { groupTasks } from '../../src/components/ProjectGanttChart';
+import { projectsAPI } from '../../src/utils/api';
+
+jest.mock('../../src/utils/api', () => ({
+  projectsAPI: {
+    getSchedule: jest.fn(),
+  },
+}));
+
+jest.mock('@expo/vector-icons', () => ({
+  Feather: () => null,
+}));
+
+const task = (_id, taskName, start, duration, fields = {}) => ({
+  _id,
+  taskName,
+  status: 'pending',
+  start,
+  end: new Date(new Date(start).getTime() + duration * 24 * 60 * 60 * 1000).toISOString(),
+  duration,
+  critical: false,
+  dependencies: [],
+  milestone: null,
+  ...fields,
+});
+
+const schedule = {
+  start: '2026-03-02T00:00:00.000Z',
+  end: '2026-03-12T00:00:00.000Z',
+  duration: 10,
+  expectedEndDate: '2026-03-10T00:00:00.000Z',
+  late: true,
+  tasks: [
+    task('t1', 'Foundation', '2026-03-02T00:00:00.000Z', 5, { critical: true, milestone: 'm1' }),
+    task('t2', 'Walls', '2026-03-07T00:00:00.000Z', 5, {
+      critical: true,
+      milestone: 'm1',
+      dependencies: [{ task: 't1', type: 'finish-to-start', lag: 0 }],
+    }),
+    task('t3', 'Site visit', '2026-03-03T00:00:00.000Z', 1),
+  ],
+  milestones: [
+    { _id: 'm1', name: 'Structure', tasks: ['t1', 't2'], late: true },
+    { _id: 'm2', name: 'Finishing', tasks: [], late: false },
+  ],
+  criticalPath: ['t1', 't2'],
+};
+
+describe('ProjectGanttChart Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.error = jest.fn();
+  });
+
+  it('should group tasks by milestone, with the rest last', () => {
+    expect(groupTasks(schedule).map((section) => [section.title, section.tasks.map((item) => item.taskName)])).toEqual([
+      ['Structure', ['Foundation', 'Walls']],
+      ['Other tasks', ['Site visit']],
+    ]);
+  });
+
+  it('should draw a bar per task and flag the critical path', async () => {
+    projectsAPI.getSchedule.mockResolvedValue({ success: true, data: { schedule } });
+    const { findByText, getByText, getByTestId } = render(<ProjectGanttChart projectId="project-1" />);
+
+    expect(await findByText('Critical path: 2 tasks')).toBeTruthy();
+    expect(getByText('after Foundation')).toBeTruthy();
+    expect(getByText(/Finishes after the expected end date/)).toBeTruthy();
+    expect(projectsAPI.getSchedule).toHaveBeenCalledWith('project-1');
+
+    const walls = getByTestId('gantt-bar-t2').props.style.flat().reduce((style, part) => ({ ...style, ...part }), {});
+    const visit = getByTestId('gantt-bar-t3').props.style.flat().reduce((style, part) => ({ ...style, ...part }), {});
+    expect(walls.width).toBe(5 * 28);
+    expect(walls.backgroundColor).toBe('#EF4444');
+    expect(visit.backgroundColor).toBe('#D4AF37');
+  });
+
+  it('should say when there is nothing to show', async () => {
+    projectsAPI.getSchedule.mockResolvedValue({ success: true, data: { schedule: { ...schedule, tasks: [], milestones: [] } } });
+    const { findByText } = render(<ProjectGanttChart projectId="project-1" />);
+
+    expect(await findByText('No tasks scheduled yet')).toBeTruthy();
+  });
+});
@@ -0,0 +1,48 @@
+import React from 'react';
+import { render } from '@testing-library/react-native';
+import ProjectProgressBreakdown from '../../src/components/ProjectProgressBreakdown';
+
+const part = (key, label, fields) => ({
+  key,
+  label,
+  weight: 0,
+  share: 0,
+  done: 0,
+  total: 0,
+  value: 0,
+  contribution: 0,
+  included: false,
+  ...fields,
+});
+
+const progress = {
+  mode: 'auto',
+  percentage: 56,
+  computedPercentage: 56,
+  parts: [
+    part('milestones', 'Milestones', { weight: 50, share: 62.5, done: 1, total: 2, value: 50, contribution: 31.3, included: true }),
+    part('tasks', 'Tasks', { weight: 30, share: 37.5, done: 2, total: 3, value: 66.7, contribution: 25, included: true }),
+    part('deliveries', 'Deliveries', { weight: 20 }),
+  ],
+};
+
+describe('ProjectProgressBreakdown', () => {
+  it('shows what each part adds to the total', () => {
+    const { getByText, getByTestId } = render(<ProjectProgressBreakdown progress={progress} />);
+
+    expect(getByText('50% · 62.5% weight')).toBeTruthy();
+    expect(getByText('2 of 3 tasks completed · adds 25%')).toBeTruthy();
+    expect(getByText('Total: 56%')).toBeTruthy();
+    expect(getByTestId('progress-part-deliveries').props.style).toEqual(
+      expect.arrayContaining([expect.objectContaining({ opacity: 0.5 })])
+    );
+    expect(getByText('Not counted yet')).toBeTruthy();
+  });
+
+  it('explains what to add when there is nothing to measure', () => {
+    const empty = { ...progress, computedPercentage: 0, parts: progress.parts.map((p) => ({ ...p, included: false })) };
+    const { getByText } = render(<ProjectProgressBreakdown progress={empty} />);
+
+    expect(getByText(/Add milestones, tasks or purchase orders/)).toBeTruthy();
+  });
+});
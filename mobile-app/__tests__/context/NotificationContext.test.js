@@ -0,0 +1,83 @@
+import React from 'react';
+import { Text } from 'react-native';
+import { render, act, waitFor } from '@testing-library/react-native';
+import { NotificationProvider, useNotifications, formatBadgeCount } from '../../src/context/NotificationContext';
+import { notificationsAPI } from '../../src/utils/api';
+import socket from '../../src/utils/socket';
+
+jest.mock('../../src/utils/api', () => ({
+  notificationsAPI: {
+    getUnreadCount: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/utils/socket', () => {
+  const handlers = {};
+  return {
+    __esModule: true,
+    default: {
+      on: jest.fn((event, handler) => { handlers[event] = handler; }),
+      off: jest.fn((event) => { delete handlers[event]; }),
+      receive: (event, payload) => handlers[event]?.(payload),
+    },
+  };
+});
+
+jest.mock('../../src/context/AuthContext', () => ({
+  useAuth: () => ({ isAuthenticated: true }),
+}));
+
+jest.mock('@expo/vector-icons', () => ({
+  Feather: () => null,
+}));
+
+const Badge = () => {
+  const { unreadCount } = useNotifications();
+  return <Text testID="badge">{formatBadgeCount(unreadCount)}</Text>;
+};
+
+const renderProvider = () => render(
+  <NotificationProvider>
+    <Badge />
+  </NotificationProvider>
+);
+
+describe('NotificationProvider', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    notificationsAPI.getUnreadCount.mockResolvedValue({ success: true, data: { count: 2 } });
+  });
+
+  it('should load the unread count and update the badge from pushed notifications', async () => {
+    const { getByTestId, getByText } = renderProvider();
+
+    await waitFor(() => expect(getByTestId('badge').props.children).toBe('2'));
+
+    act(() => socket.receive('notification', {
+      notification: { _id: 'n-1', title: 'Payment overdue', type: 'payment_overdue' },
+      unreadCount: 3,
+    }));
+
+    expect(getByTestId('badge').props.children).toBe('3');
+    expect(getByText('Payment overdue')).toBeTruthy();
+  });
+
+  it('should update the badge from count-only events', async () => {
+    const { getByTestId } = renderProvider();
+    await waitFor(() => expect(getByTestId('badge').props.children).toBe('2'));
+
+    act(() => socket.receive('notificationCount', { unreadCount: 120 }));
+
+    expect(getByTestId('badge').props.children).toBe('99+');
+  });
+
+  it('should stop listening when unmounted', async () => {
+    const { unmount } = renderProvider();
+    await waitFor(() => expect(notificationsAPI.getUnreadCount).toHaveBeenCalled());
+
+    unmount();
+
+    expect(socket.off).toHaveBeenCalledWith('notification', expect.any(Function));
+    expect(socket.off).toHaveBeenCalledWith('notificationCount', expect.any(Function));
+  });
+});
@@ -0,0 +1,60 @@
+import { renderHook, act, waitFor } from '@testing-library/react-native';
+import { usePaginatedList } from '../../src/hooks/usePaginatedList';
+
+const page = (ids, nextCursor = null) => ({
+  success: true,
+  data: {
+    orders: ids.map((id) => ({ _id: id })),
+    pagination: { limit: 2, total: 3, hasMore: !!nextCursor, nextCursor },
+  },
+});
+
+describe('usePaginatedList', () => {
+  it('should load the next page from the cursor and stop at the end', async () => {
+    const fetchPage = jest.fn()
+      .mockResolvedValueOnce(page(['a', 'b'], 'cursor-1'))
+      .mockResolvedValueOnce(page(['b', 'c']));
+
+    const { result } = renderHook(() => usePaginatedList(fetchPage, {
+      dataKey: 'orders',
+      params: { status: 'sent' },
+      limit: 2,
+    }));
+
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(fetchPage).toHaveBeenCalledWith({ status: 'sent', limit: 2 });
+    expect(result.current.hasMore).toBe(true);
+
+    await act(() => result.current.loadMore());
+
+    expect(fetchPage).toHaveBeenLastCalledWith({ status: 'sent', limit: 2, cursor: 'cursor-1' });
+    // 'b' was already on the first page
+    expect(result.current.items.map((item) => item._id)).toEqual(['a', 'b', 'c']);
+    expect(result.current.hasMore).toBe(false);
+
+    await act(() => result.current.loadMore());
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('should start over on refresh and when the params change', async () => {
+    const fetchPage = jest.fn()
+      .mockResolvedValueOnce(page(['a', 'b'], 'cursor-1'))
+      .mockResolvedValueOnce(page(['c']))
+      .mockResolvedValueOnce(page(['d']));
+
+    const { result, rerender } = renderHook(({ status }) => usePaginatedList(fetchPage, {
+      dataKey: 'orders',
+      params: { status },
+    }), { initialProps: { status: 'sent' } });
+
+    await waitFor(() => expect(result.current.items).toHaveLength(2));
+
+    await act(() => result.current.refresh());
+    expect(fetchPage).toHaveBeenLastCalledWith({ status: 'sent', limit: 20 });
+    expect(result.current.items.map((item) => item._id)).toEqual(['c']);
+
+    rerender({ status: 'completed' });
+    await waitFor(() => expect(result.current.items.map((item) => item._id)).toEqual(['d']));
+    expect(fetchPage).toHaveBeenLastCalledWith({ status: 'completed', limit: 20 });
+  });
+});
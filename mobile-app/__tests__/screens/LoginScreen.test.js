@@ -122,4 +122,34 @@ describe('LoginScreen', () => {
       );
     });
   });
+
+  it('should ask for the authentication code when two-factor is on', async () => {
+    const twoFactorLogin = jest.fn().mockResolvedValue({
+      success: false,
+      twoFactor: 'verify',
+      twoFactorToken: 'challenge-token',
+    });
+    const mockVerify = jest.fn().mockResolvedValue({ success: true });
+    const twoFactorAuthValue = {
+      ...mockAuthContextValue,
+      login: twoFactorLogin,
+      verifyTwoFactor: mockVerify,
+    };
+
+    const { getByPlaceholderText, getByText, findByPlaceholderText } = render(
+      <LoginScreenWrapper authValue={twoFactorAuthValue} />
+    );
+
+    fireEvent.changeText(getByPlaceholderText('Enter your email'), 'owner@example.com');
+    fireEvent.changeText(getByPlaceholderText('Enter your password'), 'password123');
+    fireEvent.press(getByText('Login'));
+
+    fireEvent.changeText(await findByPlaceholderText('Enter your code'), '123456');
+    fireEvent.press(getByText('Verify'));
+
+    await waitFor(() => {
+      expect(mockVerify).toHaveBeenCalledWith('challenge-token', '123456');
+    });
+    expect(Alert.alert).not.toHaveBeenCalled();
+  });
 });
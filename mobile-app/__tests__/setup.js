@@ -76,6 +76,15 @@ jest.mock('expo-status-bar', () => ({
   StatusBar: 'StatusBar',
 }));
 
+jest.mock('expo-file-system', () => ({
+  File: jest.fn(),
+}));
+
+jest.mock('expo-crypto', () => ({
+  CryptoDigestAlgorithm: { SHA256: 'SHA-256' },
+  digest: jest.fn(),
+}));
+
 // KeyboardAvoidingView subscribes to Keyboard events; ensure listeners are removable in Jest
 jest.mock('react-native/Libraries/Components/Keyboard/Keyboard', () => ({
   addListener: jest.fn(() => ({ remove: jest.fn() })),
@@ -0,0 +1,52 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { taskToICS, exportTaskToCalendar } from '../../src/utils/calendarExport';
+
+jest.mock('expo-file-system', () => ({
+  cacheDirectory: 'file:///cache/',
+  writeAsStringAsync: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('expo-sharing', () => ({
+  isAvailableAsync: jest.fn(() => Promise.resolve(true)),
+  shareAsync: jest.fn(() => Promise.resolve()),
+}));
+
+const task = {
+  _id: 'task-1',
+  taskName: 'Site visit',
+  taskDescription: 'Check the plinth, levels',
+  date: '2026-03-02T00:00:00.000Z',
+  time: '10:30',
+  notifyBefore: 15,
+  projectId: { _id: 'project-1', title: 'Lake House' },
+};
+
+describe('calendarExport', () => {
+  it('writes the task at its local time with a reminder', () => {
+    const lines = taskToICS(task, { stamp: new Date('2026-03-01T08:00:00Z') }).split('\r\n');
+
+    expect(lines).toContain('UID:task-task-1@houseway');
+    expect(lines).toContain('DTSTAMP:20260301T080000Z');
+    expect(lines).toContain('DTSTART:20260302T103000');
+    expect(lines).toContain('DTEND:20260302T113000');
+    expect(lines).toContain('DESCRIPTION:Project: Lake House\\nCheck the plinth\\, levels');
+    expect(lines).toContain('TRIGGER:-PT15M');
+    expect(lines.every((line) => line.length <= 75)).toBe(true);
+  });
+
+  it('leaves out the alarm when the task has no reminder', () => {
+    const text = taskToICS({ ...task, notifyBefore: 0, projectId: 'project-1' }, { projectTitle: 'Hill Villa' });
+
+    expect(text).not.toContain('BEGIN:VALARM');
+    expect(text).toContain('DESCRIPTION:Project: Hill Villa');
+  });
+
+  it('shares the .ics file on mobile', async () => {
+    const result = await exportTaskToCalendar(task);
+
+    expect(result.success).toBe(true);
+    expect(FileSystem.writeAsStringAsync).toHaveBeenCalledWith('file:///cache/site-visit.ics', expect.stringContaining('SUMMARY:Site visit'));
+    expect(Sharing.shareAsync).toHaveBeenCalledWith('file:///cache/site-visit.ics', expect.objectContaining({ mimeType: 'text/calendar' }));
+  });
+});
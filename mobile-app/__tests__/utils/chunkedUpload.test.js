@@ -0,0 +1,127 @@
+import { createHash } from 'crypto';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { filesAPI } from '../../src/utils/api';
+import { uploadInChunks, resumePendingUploads, PENDING_UPLOADS_KEY } from '../../src/utils/chunkedUpload';
+
+jest.mock('../../src/utils/api', () => ({
+  filesAPI: {
+    startChunkedUpload: jest.fn(),
+    getChunkedUpload: jest.fn(),
+    uploadPart: jest.fn(),
+    completeChunkedUpload: jest.fn(),
+    abortChunkedUpload: jest.fn(),
+  },
+}));
+
+// Files on the "device", by URI
+const mockDeviceFiles = new Map();
+
+jest.mock('expo-file-system', () => ({
+  File: jest.fn().mockImplementation((uri) => ({
+    get exists() {
+      return mockDeviceFiles.has(uri);
+    },
+    get size() {
+      return mockDeviceFiles.get(uri).length;
+    },
+    open: () => {
+      const handle = {
+        offset: 0,
+        readBytes: (length) => new Uint8Array(mockDeviceFiles.get(uri).subarray(handle.offset, handle.offset + length)),
+        close: jest.fn(),
+      };
+      return handle;
+    },
+  })),
+}));
+
+jest.mock('expo-crypto', () => ({
+  CryptoDigestAlgorithm: { SHA256: 'SHA-256' },
+  digest: jest.fn(async (algorithm, bytes) => {
+    const digest = require('crypto').createHash('sha256').update(bytes).digest();
+    return digest.buffer.slice(digest.byteOffset, digest.byteOffset + digest.length);
+  }),
+}));
+
+const video = Buffer.from('0123456789abcdefghij'); // 20 bytes, chunks of 8
+const uri = 'file:///cache/walkthrough.mp4';
+const asset = { uri, name: 'walkthrough.mp4', type: 'video/mp4', size: video.length };
+
+const session = (received) => ({
+  uploadId: 'upload-1',
+  status: 'uploading',
+  chunkSize: 8,
+  totalChunks: 3,
+  receivedChunks: received,
+  missingChunks: [0, 1, 2].filter((index) => !received.includes(index)),
+});
+
+const storedUploads = async () => JSON.parse(await AsyncStorage.getItem(PENDING_UPLOADS_KEY)) || {};
+
+describe('chunkedUpload', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+    await AsyncStorage.clear();
+    mockDeviceFiles.clear();
+    mockDeviceFiles.set(uri, video);
+    filesAPI.uploadPart.mockResolvedValue({ success: true, data: {} });
+    filesAPI.completeChunkedUpload.mockResolvedValue({ success: true, data: { file: { _id: 'file-1' } } });
+  });
+
+  it('sends every part with its checksum and forgets the upload once complete', async () => {
+    filesAPI.startChunkedUpload.mockResolvedValue({ success: true, data: session([]) });
+    const onProgress = jest.fn();
+
+    const result = await uploadInChunks(asset, { category: 'images', projectId: 'project-1', onProgress });
+
+    expect(result).toEqual({ success: true, data: { file: { _id: 'file-1' } } });
+    expect(filesAPI.startChunkedUpload).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'walkthrough.mp4', mimeType: 'video/mp4', size: 20, category: 'images', projectId: 'project-1',
+    }));
+    const sent = filesAPI.uploadPart.mock.calls.map(([, index, bytes, checksum]) => {
+      expect(checksum).toBe(createHash('sha256').update(bytes).digest('hex'));
+      return [index, Buffer.from(bytes).toString()];
+    });
+    expect(sent).toEqual([[0, '01234567'], [1, '89abcdef'], [2, 'ghij']]);
+    expect(onProgress).toHaveBeenLastCalledWith(1);
+    expect(await storedUploads()).toEqual({});
+  });
+
+  it('resumes an interrupted upload with only the missing parts', async () => {
+    filesAPI.startChunkedUpload.mockResolvedValue({ success: true, data: session([]) });
+    filesAPI.uploadPart
+      .mockResolvedValueOnce({ success: true, data: {} })
+      .mockRejectedValue({ success: false, message: 'Network Error', originalError: 'ERR_NETWORK' });
+
+    const interrupted = await uploadInChunks(asset);
+    expect(interrupted.success).toBe(false);
+    expect(Object.values(await storedUploads())).toEqual([
+      expect.objectContaining({ uploadId: 'upload-1', uri }),
+    ]);
+
+    // App restarted, connection back
+    filesAPI.uploadPart.mockReset().mockResolvedValue({ success: true, data: {} });
+    filesAPI.getChunkedUpload.mockResolvedValue({ success: true, data: session([0]) });
+
+    await expect(resumePendingUploads()).resolves.toBe(1);
+    expect(filesAPI.startChunkedUpload).toHaveBeenCalledTimes(1);
+    expect(filesAPI.uploadPart.mock.calls.map(([, index]) => index)).toEqual([1, 2]);
+    expect(filesAPI.completeChunkedUpload).toHaveBeenCalledWith('upload-1');
+    expect(await storedUploads()).toEqual({});
+  });
+
+  it('drops uploads whose file is gone or that ended on the server', async () => {
+    await AsyncStorage.setItem(PENDING_UPLOADS_KEY, JSON.stringify({
+      gone: { uploadId: 'upload-2', uri: 'file:///cache/deleted.mp4', name: 'deleted.mp4', size: 20, options: {} },
+      expired: { uploadId: 'upload-3', uri, name: 'walkthrough.mp4', size: 20, options: {} },
+    }));
+    filesAPI.abortChunkedUpload.mockResolvedValue({ success: true });
+    filesAPI.getChunkedUpload.mockResolvedValue({ success: true, data: { ...session([]), status: 'expired' } });
+
+    await expect(resumePendingUploads()).resolves.toBe(0);
+    expect(filesAPI.abortChunkedUpload).toHaveBeenCalledWith('upload-2');
+    expect(filesAPI.uploadPart).not.toHaveBeenCalled();
+    expect(await storedUploads()).toEqual({});
+  });
+});
@@ -6,6 +6,7 @@ import {
   ERROR_MESSAGES,
   withErrorHandling,
   NetworkUtils,
+  getFieldErrors,
 } from '../../src/utils/errorHandler';
 
 // Mock Alert
@@ -86,6 +87,27 @@ describe('ErrorHandler', () => {
       expect(result.message).toBe('Validation failed');
     });
 
+    it('should handle a rejected request body as a validation error', () => {
+      const body = {
+        success: false,
+        message: 'Line item description is required',
+        code: 'VALIDATION_FAILED',
+        errors: [
+          { field: 'lineItems[0].description', message: 'Line item description is required', code: 'REQUIRED' },
+          { field: 'dueDate', code: 'REQUIRED' },
+        ],
+      };
+
+      const result = ErrorHandler.handle(body, false);
+
+      expect(result.type).toBe(ERROR_TYPES.VALIDATION);
+      expect(result.message).toBe('Line item description is required');
+      expect(result.fieldErrors).toEqual({
+        'lineItems[0].description': 'Line item description is required',
+        dueDate: 'This field is required.',
+      });
+    });
+
     it('should handle HTTP 500 server error', () => {
       const httpError = {
         response: {
@@ -204,6 +226,36 @@ describe('ErrorHandler', () => {
     });
   });
 
+  describe('getFieldErrors', () => {
+    it('should keep the first error of each field', () => {
+      const httpError = {
+        response: {
+          status: 400,
+          data: {
+            code: 'VALIDATION_FAILED',
+            errors: [
+              { field: 'confirmPassword', message: 'Passwords do not match', code: 'MISMATCH' },
+              { field: 'confirmPassword', message: 'Too short', code: 'INVALID' },
+              { field: 'email', code: 'DUPLICATE' },
+            ],
+          },
+        },
+      };
+
+      expect(getFieldErrors(httpError)).toEqual({
+        confirmPassword: 'Passwords do not match',
+        email: 'This value is already in use.',
+      });
+      expect(ErrorHandler.handle(httpError, false).type).toBe(ERROR_TYPES.VALIDATION);
+    });
+
+    it('should return no field errors for other failures', () => {
+      expect(getFieldErrors({ success: false, message: 'Access denied' })).toEqual({});
+      expect(getFieldErrors(new Error('Network Error'))).toEqual({});
+      expect(getFieldErrors(undefined)).toEqual({});
+    });
+  });
+
   describe('NetworkUtils', () => {
     it('should identify network errors', () => {
       const networkError = { request: {}, message: 'Network Error' };
@@ -0,0 +1,68 @@
+import { filesAPI } from '../../src/utils/api';
+import { getFileLink, getFileLinkById, forgetFileLink } from '../../src/utils/fileLinks';
+
+jest.mock('../../src/utils/api', () => ({
+  filesAPI: {
+    getFileLink: jest.fn(),
+    getLinkForUrl: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/utils/network', () => ({
+  getServerBaseUrl: () => 'http://api.test',
+}));
+
+const linkResponse = (url, minutes = 15) => ({
+  success: true,
+  data: { url, expiresAt: new Date(Date.now() + minutes * 60 * 1000).toISOString() },
+});
+
+describe('fileLinks', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('returns device URIs without asking the server', async () => {
+    await expect(getFileLink('file:///tmp/photo.jpg')).resolves.toBe('file:///tmp/photo.jpg');
+    await expect(getFileLink('data:image/png;base64,AAAA')).resolves.toBe('data:image/png;base64,AAAA');
+    expect(filesAPI.getLinkForUrl).not.toHaveBeenCalled();
+  });
+
+  it('asks for a signed link once and reuses it', async () => {
+    filesAPI.getLinkForUrl.mockResolvedValue(linkResponse('http://api.test/uploads/a.jpg?signature=1'));
+
+    const [first, second] = await Promise.all([
+      getFileLink('http://api.test/uploads/a.jpg'),
+      getFileLink('http://api.test/uploads/a.jpg'),
+    ]);
+    const third = await getFileLink('/uploads/a.jpg');
+
+    expect(first).toBe('http://api.test/uploads/a.jpg?signature=1');
+    expect(second).toBe(first);
+    expect(third).toBe(first);
+    expect(filesAPI.getLinkForUrl).toHaveBeenCalledTimes(1);
+    expect(filesAPI.getLinkForUrl).toHaveBeenCalledWith('http://api.test/uploads/a.jpg');
+  });
+
+  it('asks again when the link is about to expire or was forgotten', async () => {
+    filesAPI.getLinkForUrl
+      .mockResolvedValueOnce(linkResponse('http://api.test/uploads/b.jpg?signature=1', 0.5))
+      .mockResolvedValueOnce(linkResponse('http://api.test/uploads/b.jpg?signature=2'))
+      .mockResolvedValueOnce(linkResponse('http://api.test/uploads/b.jpg?signature=3'));
+
+    await getFileLink('http://api.test/uploads/b.jpg');
+    await expect(getFileLink('http://api.test/uploads/b.jpg')).resolves.toBe('http://api.test/uploads/b.jpg?signature=2');
+
+    forgetFileLink('http://api.test/uploads/b.jpg');
+    await expect(getFileLink('http://api.test/uploads/b.jpg')).resolves.toBe('http://api.test/uploads/b.jpg?signature=3');
+  });
+
+  it('gets links for file records and surfaces refusals', async () => {
+    filesAPI.getFileLink
+      .mockResolvedValueOnce(linkResponse('http://api.test/uploads/c.pdf?signature=1'))
+      .mockResolvedValueOnce({ success: false, message: 'Access denied' });
+
+    await expect(getFileLinkById('file-1')).resolves.toBe('http://api.test/uploads/c.pdf?signature=1');
+    await expect(getFileLinkById('file-2')).rejects.toThrow('Access denied');
+  });
+});
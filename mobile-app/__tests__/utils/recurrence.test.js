@@ -0,0 +1,20 @@
+import { toRecurrence, describeRecurrence } from '../../src/utils/recurrence';
+
+describe('recurrence', () => {
+  it('builds the repeat rule from the task form', () => {
+    expect(toRecurrence({ repeat: 'none' })).toBeUndefined();
+    expect(toRecurrence({ repeat: 'weekly', repeatEnds: 'count', repeatCount: '6' }))
+      .toEqual({ frequency: 'weekly', skipWeekends: false, count: 6 });
+    expect(toRecurrence({ repeat: 'daily', repeatEnds: 'count', repeatCount: '', skipWeekends: true }))
+      .toEqual({ frequency: 'daily', skipWeekends: true, count: 1 });
+    expect(toRecurrence({ repeat: 'monthly', repeatEnds: 'until', repeatUntil: new Date('2026-12-31T00:00:00.000Z') }))
+      .toEqual({ frequency: 'monthly', skipWeekends: false, until: '2026-12-31T00:00:00.000Z' });
+  });
+
+  it('describes a repeat rule', () => {
+    expect(describeRecurrence(undefined)).toBe('');
+    expect(describeRecurrence({ frequency: 'weekly', interval: 2, count: 6 })).toBe('Every 2 weeks · 6 times');
+    expect(describeRecurrence({ frequency: 'daily', skipWeekends: true, until: '2026-03-20T12:00:00.000Z' }))
+      .toBe('Daily, weekdays only · until Mar 20');
+  });
+});
@@ -12,11 +12,13 @@ import {
 } from 'react-native';
 import { Feather } from '@expo/vector-icons';
 import { useAuth } from '../context/AuthContext';
+import { useNotifications, formatBadgeCount } from '../context/NotificationContext';
 import { useNavigation } from '@react-navigation/native';
 import theme from '../styles/theme';
 
 const CommonHeader = ({ title, userRole, showNotifications = true }) => {
   const { user, logout } = useAuth();
+  const { unreadCount } = useNotifications();
   const navigation = useNavigation();
   const [menuVisible, setMenuVisible] = useState(false);
 
@@ -131,7 +133,11 @@ const CommonHeader = ({ title, userRole, showNotifications = true }) => {
                 onPress={() => navigation.navigate('NotificationsScreen')}
               >
                 <Feather name="bell" size={22} color={theme.colors.text} />
-                {/* You can add a badge here if needed */}
+                {unreadCount > 0 && (
+                  <View style={styles.notificationBadge}>
+                    <Text style={styles.notificationBadgeText}>{formatBadgeCount(unreadCount)}</Text>
+                  </View>
+                )}
               </TouchableOpacity>
             )}
 
@@ -308,6 +314,25 @@ const styles = StyleSheet.create({
     borderRadius: 20,
     backgroundColor: '#F5F5F5',
   },
+  notificationBadge: {
+    position: 'absolute',
+    top: -4,
+    right: -4,
+    backgroundColor: '#EF4444',
+    borderRadius: 9,
+    minWidth: 18,
+    height: 18,
+    paddingHorizontal: 4,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: '#FFFFFF',
+  },
+  notificationBadgeText: {
+    fontSize: 9,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
   profileButton: {
     width: 40,
     height: 40,
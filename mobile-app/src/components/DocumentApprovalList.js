@@ -0,0 +1,364 @@
+/**
+ * DocumentApprovalList Component
+ * Designs and contracts the client has been asked to sign off. The client
+ * reviews the file, then approves it with a typed and/or drawn signature or
+ * asks for changes; approved ones link to their approval certificate.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { clientsAPI } from '../utils/api';
+import { openFile } from '../utils/fileUtils';
+import SignaturePad from './SignaturePad';
+
+const STATUS_LABELS = {
+  pending: 'Awaiting your approval',
+  responding: 'Recording your answer',
+  approved: 'Approved',
+  'changes-requested': 'Changes requested',
+};
+
+const showMessage = (title, message) => {
+  if (Platform.OS === 'web') {
+    alert(message);
+  } else {
+    Alert.alert(title, message);
+  }
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.projectId - Project whose approval requests to list
+ * @param {string} props.accentColor - Color of badges and actions (default: '#1976D2')
+ */
+const DocumentApprovalList = ({ projectId, accentColor = '#1976D2' }) => {
+  const [approvals, setApprovals] = useState([]);
+  const [responding, setResponding] = useState(null); // { approval, decision }
+  const [comments, setComments] = useState('');
+  const [name, setName] = useState('');
+  const [drawing, setDrawing] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    loadApprovals();
+  }, [projectId]);
+
+  const loadApprovals = async () => {
+    try {
+      const response = await clientsAPI.getMyApprovals({ projectId });
+      if (response.success) {
+        // Withdrawn requests need nothing from the client
+        setApprovals(response.data.approvals.filter((approval) => approval.status !== 'cancelled'));
+      }
+    } catch (error) {
+      console.error('Load approvals error:', error);
+    }
+  };
+
+  const handleOpen = async (url) => {
+    const result = await openFile(url);
+    if (!result.success) {
+      showMessage('Error', result.message || 'Could not open the file');
+    }
+  };
+
+  const startResponse = (approval, decision) => {
+    setComments('');
+    setName('');
+    setDrawing(null);
+    setResponding({ approval, decision });
+  };
+
+  const submitResponse = async () => {
+    const { approval, decision } = responding;
+    if (decision === 'request-changes' && !comments.trim()) {
+      showMessage('Comments Needed', 'Please describe the changes you need.');
+      return;
+    }
+    if (decision === 'approve' && !name.trim() && !drawing) {
+      showMessage('Signature Needed', 'Type your name or draw your signature to approve.');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await clientsAPI.respondToApproval(approval._id, {
+        decision,
+        comments: comments.trim() || undefined,
+        signature: decision === 'approve' ? { name: name.trim(), ...drawing } : undefined,
+      });
+      if (response.success) {
+        setResponding(null);
+        await loadApprovals();
+        showMessage(
+          decision === 'approve' ? 'Approved' : 'Changes Requested',
+          decision === 'approve'
+            ? 'Thank you! Your approval certificate is ready to download.'
+            : 'The project team has been told what to change.'
+        );
+      }
+    } catch (error) {
+      showMessage('Error', error.message || 'Could not send your answer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (approvals.length === 0) return null;
+
+  const isApproving = responding?.decision === 'approve';
+
+  return (
+    <View style={styles.container}>
+      {approvals.map((approval) => (
+        <View
+          key={approval._id}
+          style={[styles.card, approval.status === 'pending' && { borderColor: accentColor }]}
+        >
+          <View style={styles.cardHeader}>
+            <Ionicons
+              name={approval.status === 'approved' ? 'checkmark-circle' : approval.status === 'pending' ? 'create-outline' : 'chatbox-ellipses-outline'}
+              size={22}
+              color={approval.status === 'approved' ? '#4CAF50' : accentColor}
+            />
+            <View style={styles.cardTitle}>
+              <Text style={styles.documentName}>{approval.documentName} • v{approval.version}</Text>
+              <Text style={styles.status}>
+                {STATUS_LABELS[approval.status]}
+                {approval.respondedAt ? ` on ${new Date(approval.respondedAt).toLocaleDateString()}` : ''}
+              </Text>
+            </View>
+          </View>
+
+          {!!approval.message && (
+            <Text style={styles.message}>
+              {approval.requestedBy ? `${approval.requestedBy.firstName}: ` : ''}{approval.message}
+            </Text>
+          )}
+          {!!approval.comments && approval.status !== 'pending' && (
+            <Text style={styles.message}>You: {approval.comments}</Text>
+          )}
+
+          <View style={styles.actions}>
+            {!!approval.fileUrl && (
+              <TouchableOpacity onPress={() => handleOpen(approval.fileUrl)}>
+                <Text style={[styles.actionText, { color: accentColor }]}>Review document</Text>
+              </TouchableOpacity>
+            )}
+            {approval.status === 'approved' && approval.certificate?.url && (
+              <TouchableOpacity onPress={() => handleOpen(approval.certificate.url)}>
+                <Text style={[styles.actionText, { color: accentColor }]}>Certificate (PDF)</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          {approval.status === 'pending' && (
+            <View style={styles.buttons}>
+              <TouchableOpacity
+                style={[styles.button, styles.secondaryButton, { borderColor: accentColor }]}
+                onPress={() => startResponse(approval, 'request-changes')}
+              >
+                <Text style={[styles.buttonText, { color: accentColor }]}>Request changes</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.button, { backgroundColor: accentColor }]}
+                onPress={() => startResponse(approval, 'approve')}
+              >
+                <Text style={[styles.buttonText, { color: '#fff' }]}>Approve</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      ))}
+
+      <Modal
+        visible={!!responding}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setResponding(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <ScrollView keyboardShouldPersistTaps="handled">
+              <Text style={styles.modalTitle}>
+                {isApproving ? 'Approve' : 'Request changes to'} {responding?.approval.documentName} v{responding?.approval.version}
+              </Text>
+
+              <Text style={styles.label}>{isApproving ? 'Comments (optional)' : 'What needs to change?'}</Text>
+              <TextInput
+                style={[styles.input, styles.multiline]}
+                value={comments}
+                onChangeText={setComments}
+                placeholder={isApproving ? 'Anything the team should know' : 'Describe the changes you need'}
+                placeholderTextColor="#999"
+                multiline
+              />
+
+              {isApproving && (
+                <>
+                  <Text style={styles.label}>Type your full name</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={name}
+                    onChangeText={setName}
+                    placeholder="Full name"
+                    placeholderTextColor="#999"
+                  />
+                  <Text style={styles.label}>Draw your signature</Text>
+                  <SignaturePad onChange={setDrawing} />
+                  <Text style={styles.legal}>
+                    By approving, you confirm you have reviewed this version. Your name, signature, the time and
+                    your IP address are recorded on an approval certificate.
+                  </Text>
+                </>
+              )}
+
+              <View style={styles.buttons}>
+                <TouchableOpacity
+                  style={[styles.button, styles.secondaryButton, { borderColor: accentColor }]}
+                  onPress={() => setResponding(null)}
+                  disabled={submitting}
+                >
+                  <Text style={[styles.buttonText, { color: accentColor }]}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.button, { backgroundColor: accentColor }]}
+                  onPress={submitResponse}
+                  disabled={submitting}
+                >
+                  {submitting ? (
+                    <ActivityIndicator size="small" color="#fff" />
+                  ) : (
+                    <Text style={[styles.buttonText, { color: '#fff' }]}>{isApproving ? 'Sign & approve' : 'Send'}</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 10,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#eee',
+    padding: 15,
+    marginBottom: 10,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  cardTitle: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  documentName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  status: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 2,
+  },
+  message: {
+    fontSize: 13,
+    color: '#555',
+    marginTop: 8,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 16,
+    marginTop: 8,
+  },
+  actionText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  buttons: {
+    flexDirection: 'row',
+    gap: 10,
+    marginTop: 12,
+  },
+  button: {
+    flex: 1,
+    borderRadius: 8,
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    backgroundColor: '#fff',
+  },
+  buttonText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    maxHeight: '90%',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#333',
+    marginBottom: 10,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#555',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 14,
+    color: '#333',
+  },
+  multiline: {
+    minHeight: 70,
+    textAlignVertical: 'top',
+  },
+  legal: {
+    fontSize: 11,
+    color: '#888',
+    marginTop: 4,
+  },
+});
+
+export default DocumentApprovalList;
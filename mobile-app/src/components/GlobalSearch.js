@@ -0,0 +1,238 @@
+/**
+ * GlobalSearch Component
+ * Search button for headers. Opens a full-screen search over projects,
+ * clients, orders, invoices, materials and files, with results grouped by
+ * type. The server only returns what the signed-in user may see.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  SectionList,
+  ActivityIndicator,
+  StatusBar,
+  Platform,
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import theme from '../styles/theme';
+import { searchAPI } from '../utils/api';
+import { openFile } from '../utils/fileUtils';
+
+const SECTIONS = [
+  { type: 'projects', title: 'Projects', icon: 'folder' },
+  { type: 'clients', title: 'Clients', icon: 'user' },
+  { type: 'purchaseOrders', title: 'Purchase Orders', icon: 'shopping-cart' },
+  { type: 'invoices', title: 'Invoices', icon: 'file-text' },
+  { type: 'materials', title: 'Materials', icon: 'package' },
+  { type: 'files', title: 'Files', icon: 'paperclip' },
+];
+
+const MIN_QUERY_LENGTH = 2;
+const DEBOUNCE_MS = 300;
+
+/**
+ * @param {Object} props
+ * @param {function} props.onResultPress - Called with the chosen result ({ _id, type, title, project, ... });
+ *   files are opened directly instead
+ * @param {Object} props.style - Style of the search button
+ * @param {React.ReactNode} props.children - Button content (default: a search icon)
+ */
+const GlobalSearch = ({ onResultPress, style, children }) => {
+  const [visible, setVisible] = useState(false);
+  const [query, setQuery] = useState('');
+  const [sections, setSections] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [searched, setSearched] = useState(false);
+  const latest = useRef(0);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < MIN_QUERY_LENGTH) {
+      latest.current += 1;
+      setSections([]);
+      setSearched(false);
+      setLoading(false);
+      return undefined;
+    }
+
+    const timer = setTimeout(() => runSearch(q), DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const runSearch = async (q) => {
+    // Drop answers to queries the user has typed past
+    const id = ++latest.current;
+    try {
+      setLoading(true);
+      const response = await searchAPI.search(q);
+      if (id !== latest.current || !response.success) return;
+      const { results } = response.data;
+      setSections(SECTIONS
+        .filter((section) => results[section.type]?.length)
+        .map((section) => ({ ...section, data: results[section.type] })));
+      setSearched(true);
+    } catch (error) {
+      console.error('Search error:', error);
+    } finally {
+      if (id === latest.current) setLoading(false);
+    }
+  };
+
+  const close = () => {
+    setVisible(false);
+    setQuery('');
+  };
+
+  const handlePress = async (result) => {
+    close();
+    if (result.type === 'files') {
+      await openFile(result.url);
+    } else {
+      onResultPress?.(result);
+    }
+  };
+
+  const statusBarHeight = Platform.OS === 'ios' ? 44 : StatusBar.currentHeight || 0;
+
+  return (
+    <>
+      <TouchableOpacity style={style} onPress={() => setVisible(true)} accessibilityLabel="Search">
+        {children || <Feather name="search" size={22} color={theme.colors.text.white} />}
+      </TouchableOpacity>
+
+      <Modal visible={visible} animationType="slide" onRequestClose={close}>
+        <View style={[styles.container, { paddingTop: statusBarHeight + 8 }]}>
+          <View style={styles.searchRow}>
+            <Feather name="search" size={18} color={theme.colors.text.muted} />
+            <TextInput
+              style={styles.input}
+              value={query}
+              onChangeText={setQuery}
+              placeholder="Search projects, clients, orders, invoices, files"
+              placeholderTextColor={theme.colors.text.muted}
+              autoFocus
+              autoCorrect={false}
+              autoCapitalize="none"
+              returnKeyType="search"
+            />
+            {loading && <ActivityIndicator size="small" color={theme.colors.primary[500]} />}
+            <TouchableOpacity onPress={close} style={styles.cancelButton}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+
+          <SectionList
+            sections={sections}
+            keyExtractor={(item) => `${item.type}-${item._id}`}
+            keyboardShouldPersistTaps="handled"
+            stickySectionHeadersEnabled={false}
+            renderSectionHeader={({ section }) => (
+              <Text style={styles.sectionTitle}>{section.title}</Text>
+            )}
+            renderItem={({ item, section }) => (
+              <TouchableOpacity style={styles.result} onPress={() => handlePress(item)}>
+                <Feather name={section.icon} size={18} color={theme.colors.primary[500]} />
+                <View style={styles.resultText}>
+                  <Text style={styles.resultTitle} numberOfLines={1}>{item.title}</Text>
+                  {!!item.subtitle && (
+                    <Text style={styles.resultSubtitle} numberOfLines={1}>{item.subtitle}</Text>
+                  )}
+                </View>
+                {!!item.status && <Text style={styles.status}>{item.status}</Text>}
+              </TouchableOpacity>
+            )}
+            ListEmptyComponent={
+              <Text style={styles.emptyText}>
+                {searched
+                  ? `No results for "${query.trim()}"`
+                  : 'Type a name, or an ID such as HW-00001, PO-… or INV-…'}
+              </Text>
+            }
+          />
+        </View>
+      </Modal>
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.primary,
+    paddingHorizontal: 16,
+  },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: theme.colors.neutral[300],
+    borderRadius: 10,
+    paddingLeft: 12,
+    marginBottom: 8,
+  },
+  input: {
+    flex: 1,
+    paddingHorizontal: 8,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: theme.colors.text.primary,
+  },
+  cancelButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+  cancelText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.primary[500],
+  },
+  sectionTitle: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: theme.colors.text.tertiary,
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    marginTop: 16,
+    marginBottom: 4,
+  },
+  result: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.neutral[200],
+  },
+  resultText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  resultTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.text.primary,
+  },
+  resultSubtitle: {
+    fontSize: 12,
+    color: theme.colors.text.tertiary,
+    marginTop: 2,
+  },
+  status: {
+    fontSize: 11,
+    color: theme.colors.text.muted,
+    marginLeft: 8,
+    textTransform: 'capitalize',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: theme.colors.text.muted,
+    fontSize: 14,
+    marginTop: 40,
+  },
+});
+
+export default GlobalSearch;
@@ -8,6 +8,7 @@ import {
   Animated,
 } from 'react-native';
 import theme from '../styles/theme';
+import { useNotifications, formatBadgeCount } from '../context/NotificationContext';
 
 const { width: screenWidth } = Dimensions.get('window');
 
@@ -20,9 +21,14 @@ const ModernBottomNav = ({
   variant = 'default', // default, floating, minimal
 }) => {
   const tabWidth = screenWidth / tabs.length;
+  // Tabs with `showUnreadBadge` display the live unread notification count
+  const { unreadCount } = useNotifications();
 
   const TabButton = ({ tab, index, isActive }) => {
     // Removed all animation logic to prevent CSS errors
+    const badge = tab.showUnreadBadge
+      ? (unreadCount > 0 ? formatBadgeCount(unreadCount) : null)
+      : tab.badge;
 
     const handlePress = () => {
       onTabPress(index);
@@ -84,9 +90,9 @@ const ModernBottomNav = ({
             </Text>
           )}
           
-          {tab.badge && (
+          {!!badge && (
             <View style={styles.badge}>
-              <Text style={styles.badgeText}>{tab.badge}</Text>
+              <Text style={styles.badgeText}>{badge}</Text>
             </View>
           )}
         </View>
@@ -144,14 +150,14 @@ const ModernBottomNav = ({
 
 // Preset tab configurations
 export const ClientTabs = [
-  { icon: '🏠', label: 'Dashboard', route: 'ClientDashboard' },
+  { icon: '🏠', label: 'Dashboard', route: 'ClientDashboard', showUnreadBadge: true },
   { icon: '📋', label: 'Projects', route: 'Projects' },
   { icon: '💬', label: 'Messages', route: 'Messages' },
   { icon: '👤', label: 'Profile', route: 'Profile' },
 ];
 
 export const EmployeeTabs = [
-  { icon: '📊', label: 'Dashboard', route: 'EmployeeDashboard' },
+  { icon: '📊', label: 'Dashboard', route: 'EmployeeDashboard', showUnreadBadge: true },
   { icon: '🏗️', label: 'Projects', route: 'Projects' },
   { icon: '📦', label: 'Materials', route: 'Materials' },
   { icon: '👥', label: 'Team', route: 'Team' },
@@ -159,7 +165,7 @@ export const EmployeeTabs = [
 ];
 
 export const VendorTabs = [
-  { icon: '📈', label: 'Dashboard', route: 'VendorDashboard' },
+  { icon: '📈', label: 'Dashboard', route: 'VendorDashboard', showUnreadBadge: true },
   { icon: '💰', label: 'Quotations', route: 'Quotations' },
   { icon: '📋', label: 'Orders', route: 'Orders' },
   { icon: '👤', label: 'Profile', route: 'Profile' },
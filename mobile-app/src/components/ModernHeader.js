@@ -8,6 +8,8 @@ import {
   Platform,
 } from 'react-native';
 import theme from '../styles/theme';
+import { useNotifications, formatBadgeCount } from '../context/NotificationContext';
+import GlobalSearch from './GlobalSearch';
 
 const ModernHeader = ({
   title,
@@ -16,11 +18,13 @@ const ModernHeader = ({
   onProfilePress,
   onNotificationPress,
   onCheckOutPress,
+  onSearchResultPress,
   isCheckedIn = false,
-  notificationCount = 0,
+  notificationCount,
   variant = 'primary', // primary, solid, transparent
   showProfile = true,
   showNotifications = true,
+  showSearch = false,
   showCheckOut = false,
   showBackButton = false,
   onBackPress,
@@ -28,12 +32,17 @@ const ModernHeader = ({
   textColor,
   children,
 }) => {
+  // Use the live unread count unless the screen passes its own
+  const { unreadCount } = useNotifications();
+  const badgeCount = notificationCount ?? unreadCount;
+
   const getHeaderHeight = () => {
     const statusBarHeight = Platform.OS === 'ios' ? 44 : StatusBar.currentHeight || 0;
     return statusBarHeight + 80;
   };
 
-  const HeaderContent = () => (
+  // Called, not rendered as <Component>, so GlobalSearch keeps its state across re-renders
+  const renderHeaderContent = () => (
     <View style={styles.container}>
       <View style={styles.content}>
         {showBackButton && (
@@ -77,16 +86,22 @@ const ModernHeader = ({
             </TouchableOpacity>
           )}
 
+          {showSearch && (
+            <GlobalSearch onResultPress={onSearchResultPress} style={styles.iconButton}>
+              <Text style={{ ...styles.icon, ...(textColor && { color: textColor }) }}>🔍</Text>
+            </GlobalSearch>
+          )}
+
           {showNotifications && (
             <TouchableOpacity
               style={styles.iconButton}
               onPress={onNotificationPress}
             >
               <Text style={{ ...styles.icon, ...(textColor && { color: textColor }) }}>🔔</Text>
-              {notificationCount > 0 && (
+              {badgeCount > 0 && (
                 <View style={styles.notificationBadge}>
                   <Text style={styles.notificationText}>
-                    {notificationCount > 99 ? '99+' : notificationCount}
+                    {formatBadgeCount(badgeCount)}
                   </Text>
                 </View>
               )}
@@ -126,7 +141,7 @@ const ModernHeader = ({
           paddingTop: Platform.OS === 'ios' ? 44 : StatusBar.currentHeight || 0,
         }}
       >
-        <HeaderContent />
+        {renderHeaderContent()}
         {children && (
           <View style={styles.childrenContainer}>
             {children}
@@ -143,7 +158,7 @@ const ModernHeader = ({
         height: getHeaderHeight() + (children ? 60 : 0),
         backgroundColor: backgroundColor || theme.colors.primary[500]
       }}>
-        <HeaderContent />
+        {renderHeaderContent()}
       </View>
     );
   }
@@ -153,18 +168,20 @@ const ModernHeader = ({
       ...styles.transparentContainer,
       height: getHeaderHeight() + (children ? 60 : 0)
     }}>
-      <HeaderContent />
+      {renderHeaderContent()}
     </View>
   );
 };
 
 // Specialized header variants
-export const DashboardHeader = ({ user, onProfilePress, onNotificationPress, notificationCount }) => (
+export const DashboardHeader = ({ user, onProfilePress, onNotificationPress, notificationCount, onSearchResultPress }) => (
   <ModernHeader
     title="Dashboard"
     user={user}
     onProfilePress={onProfilePress}
     onNotificationPress={onNotificationPress}
+    showSearch={!!onSearchResultPress}
+    onSearchResultPress={onSearchResultPress}
     notificationCount={notificationCount}
     variant="primary"
   />
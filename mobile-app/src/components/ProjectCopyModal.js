@@ -0,0 +1,234 @@
+/**
+ * ProjectCopyModal Component
+ * Picks a project to reuse: duplicate it into a new project starting on a
+ * given date, or save its setup (milestones, payments, material lists, tasks,
+ * document checklist) as a project template.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+const MODES = {
+  duplicate: {
+    title: 'Duplicate a Project',
+    hint: 'Copies milestones, payment schedule, material lists, tasks and document checklist, with dates moved to the new start.',
+    namePlaceholder: 'New project title (optional)',
+    submit: 'Duplicate',
+  },
+  template: {
+    title: 'Save as Template',
+    hint: 'Keeps the project setup, dated in days from its start, for new projects.',
+    namePlaceholder: 'Template name',
+    submit: 'Save Template',
+  },
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * What is missing before the copy can be made, if anything
+ */
+export const validateCopy = ({ mode, projectId, name, startDate }) => {
+  if (!projectId) return 'Choose a project';
+  if (mode === 'template' && !name.trim()) return 'Give the template a name';
+  if (mode === 'duplicate' && (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || isNaN(new Date(startDate)))) {
+    return 'Start date must be YYYY-MM-DD';
+  }
+  return null;
+};
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.visible
+ * @param {'duplicate'|'template'} props.mode
+ * @param {Object[]} props.projects - Projects to choose from (_id, title, status)
+ * @param {boolean} props.submitting - Whether the copy is being made
+ * @param {Function} props.onSubmit - Called with { projectId, name, startDate }
+ * @param {Function} props.onClose
+ */
+const ProjectCopyModal = ({ visible, mode = 'duplicate', projects = [], submitting = false, onSubmit, onClose }) => {
+  const [projectId, setProjectId] = useState(null);
+  const [name, setName] = useState('');
+  const [startDate, setStartDate] = useState(today());
+  const [error, setError] = useState(null);
+  const copy = MODES[mode];
+
+  useEffect(() => {
+    if (visible) {
+      setProjectId(null);
+      setName('');
+      setStartDate(today());
+      setError(null);
+    }
+  }, [visible, mode]);
+
+  const handleSubmit = () => {
+    const problem = validateCopy({ mode, projectId, name, startDate });
+    setError(problem);
+    if (!problem) onSubmit({ projectId, name: name.trim(), startDate });
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{copy.title}</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={22} color="#333" />
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.hint}>{copy.hint}</Text>
+
+          <Text style={styles.label}>PROJECT</Text>
+          <ScrollView style={styles.list}>
+            {projects.length === 0 && <Text style={styles.empty}>No projects yet</Text>}
+            {projects.map((project) => {
+              const selected = project._id === projectId;
+              return (
+                <TouchableOpacity
+                  key={project._id}
+                  testID={`copy-project-${project._id}`}
+                  style={[styles.projectRow, selected && styles.projectRowSelected]}
+                  onPress={() => setProjectId(project._id)}
+                >
+                  <Text style={styles.projectTitle} numberOfLines={1}>{project.title}</Text>
+                  {selected && <Ionicons name="checkmark-circle" size={18} color="#2E7D32" />}
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+
+          <Text style={styles.label}>{mode === 'template' ? 'NAME' : 'TITLE'}</Text>
+          <TextInput
+            style={styles.input}
+            placeholder={copy.namePlaceholder}
+            value={name}
+            onChangeText={setName}
+          />
+
+          {mode === 'duplicate' && (
+            <>
+              <Text style={styles.label}>START DATE</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="YYYY-MM-DD"
+                value={startDate}
+                onChangeText={setStartDate}
+              />
+            </>
+          )}
+
+          {error && <Text style={styles.error}>{error}</Text>}
+
+          <TouchableOpacity style={styles.submitBtn} onPress={handleSubmit} disabled={submitting}>
+            {submitting
+              ? <ActivityIndicator color="#fff" />
+              : <Text style={styles.submitText}>{copy.submit}</Text>}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    maxHeight: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#888',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  list: {
+    maxHeight: 200,
+    marginBottom: 16,
+  },
+  empty: {
+    fontSize: 13,
+    color: '#888',
+  },
+  projectRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#eee',
+    marginBottom: 8,
+  },
+  projectRowSelected: {
+    borderColor: '#2E7D32',
+    backgroundColor: '#E8F5E9',
+  },
+  projectTitle: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#eee',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 15,
+    marginBottom: 16,
+  },
+  error: {
+    color: '#C62828',
+    fontSize: 13,
+    marginBottom: 12,
+  },
+  submitBtn: {
+    backgroundColor: '#333',
+    borderRadius: 24,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  submitText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+});
+
+export default ProjectCopyModal;
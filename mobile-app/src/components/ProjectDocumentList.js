@@ -0,0 +1,499 @@
+/**
+ * ProjectDocumentList Component
+ * Project drawings and contracts with their version history: which version is
+ * current/approved, who uploaded each one, change notes and what changed.
+ * The project team can also ask the client to sign off designs and contracts.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as DocumentPicker from 'expo-document-picker';
+import { projectsAPI } from '../utils/api';
+import { openFile, formatFileSize } from '../utils/fileUtils';
+
+// Version metadata shown in the change list (uploader and date are on the row)
+const CHANGE_LABELS = {
+  originalName: 'File',
+  mimeType: 'Format',
+  size: 'Size',
+  notes: 'Notes',
+};
+
+const formatChange = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'size') return formatFileSize(value);
+  return String(value);
+};
+
+// Document types the client can be asked to sign off
+const APPROVABLE_TYPES = ['design', 'contract'];
+
+const personName = (user) => (
+  user && typeof user === 'object'
+    ? `${user.firstName || ''} ${user.lastName || ''}`.trim()
+    : ''
+);
+
+const showMessage = (title, message) => {
+  if (Platform.OS === 'web') {
+    alert(message);
+  } else {
+    Alert.alert(title, message);
+  }
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.projectId - Project whose documents to list
+ * @param {boolean} props.canManage - Allow uploading new versions and marking one current
+ * @param {string} props.accentColor - Color of badges and actions (default: '#1976D2')
+ */
+const ProjectDocumentList = ({ projectId, canManage = false, accentColor = '#1976D2' }) => {
+  const [documents, setDocuments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [busyId, setBusyId] = useState(null);
+  // Latest client approval request per document (project team only)
+  const [approvals, setApprovals] = useState({});
+
+  useEffect(() => {
+    loadDocuments();
+    if (canManage) loadApprovals();
+  }, [projectId]);
+
+  const loadApprovals = async () => {
+    try {
+      const response = await projectsAPI.getApprovals(projectId);
+      if (response.success) {
+        const latest = {};
+        // Newest first: keep the first one seen for each document
+        response.data.approvals.forEach((approval) => {
+          if (!latest[approval.document]) latest[approval.document] = approval;
+        });
+        setApprovals(latest);
+      }
+    } catch (error) {
+      console.error('Load approvals error:', error);
+    }
+  };
+
+  const loadDocuments = async () => {
+    try {
+      const response = await projectsAPI.getDocuments(projectId);
+      if (response.success) {
+        setDocuments(response.data.documents || []);
+      }
+    } catch (error) {
+      console.error('Load documents error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replaceDocument = (document) => {
+    setDocuments((current) => current.map((doc) => (doc._id === document._id ? document : doc)));
+  };
+
+  const handleOpen = async (url) => {
+    const result = await openFile(url);
+    if (!result.success) {
+      showMessage('Error', result.message || 'Could not open the document');
+    }
+  };
+
+  const handleMarkCurrent = async (document, version) => {
+    try {
+      setBusyId(document._id);
+      const response = await projectsAPI.markDocumentCurrent(projectId, document._id, version.number);
+      if (response.success) {
+        replaceDocument(response.data.document);
+      }
+    } catch (error) {
+      showMessage('Error', error.message || 'Could not mark the version current');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleUploadVersion = async (document) => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({ type: '*/*', copyToCacheDirectory: true });
+      if (result.canceled || !result.assets?.length) return;
+
+      setBusyId(document._id);
+      const asset = result.assets[0];
+      const formData = new FormData();
+      if (Platform.OS === 'web' && asset.file) {
+        formData.append('file', asset.file);
+      } else {
+        formData.append('file', {
+          uri: asset.uri,
+          name: asset.name || document.name,
+          type: asset.mimeType || 'application/octet-stream',
+        });
+      }
+      if (notes.trim()) formData.append('notes', notes.trim());
+
+      const response = await projectsAPI.uploadDocumentVersion(projectId, document._id, formData);
+      if (response.success) {
+        replaceDocument(response.data.document);
+        setNotes('');
+      }
+    } catch (error) {
+      showMessage('Upload Failed', error.message || 'Could not upload the new version');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRequestApproval = async (document) => {
+    try {
+      setBusyId(document._id);
+      const response = await projectsAPI.requestDocumentApproval(projectId, document._id, {
+        version: document.latestVersion,
+        message: notes.trim() || undefined,
+      });
+      if (response.success) {
+        setApprovals((current) => ({ ...current, [document._id]: response.data.approval }));
+        setNotes('');
+        showMessage('Approval Requested', `The client has been asked to approve v${document.latestVersion}.`);
+      }
+    } catch (error) {
+      showMessage('Error', error.message || 'Could not request approval');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleWithdrawApproval = async (document, approval) => {
+    try {
+      setBusyId(document._id);
+      const response = await projectsAPI.cancelApproval(projectId, approval._id);
+      if (response.success) {
+        setApprovals((current) => ({ ...current, [document._id]: response.data.approval }));
+      }
+    } catch (error) {
+      showMessage('Error', error.message || 'Could not withdraw the request');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const renderApproval = (document) => {
+    const approval = approvals[document._id];
+    if (!approval || approval.status === 'cancelled') return null;
+
+    const labels = {
+      pending: `Waiting for client approval of v${approval.version}`,
+      responding: `Client is answering the approval of v${approval.version}`,
+      approved: `Client approved v${approval.version} on ${new Date(approval.respondedAt).toLocaleDateString()}`,
+      'changes-requested': `Client requested changes to v${approval.version}`,
+    };
+
+    return (
+      <View style={styles.approvalRow}>
+        <Text style={styles.approvalText}>{labels[approval.status]}</Text>
+        {approval.status === 'changes-requested' && !!approval.comments && (
+          <Text style={styles.versionChange}>"{approval.comments}"</Text>
+        )}
+        <View style={styles.versionActions}>
+          {approval.status === 'approved' && approval.certificate?.url && (
+            <TouchableOpacity onPress={() => handleOpen(approval.certificate.url)}>
+              <Text style={[styles.actionText, { color: accentColor }]}>Certificate</Text>
+            </TouchableOpacity>
+          )}
+          {approval.status === 'pending' && (
+            <TouchableOpacity onPress={() => handleWithdrawApproval(document, approval)} disabled={busyId === document._id}>
+              <Text style={[styles.actionText, { color: accentColor }]}>Withdraw request</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  const renderVersion = (document, version) => (
+    <View key={version.number} style={styles.versionRow}>
+      <View style={styles.versionHeader}>
+        <Text style={styles.versionNumber}>v{version.number}</Text>
+        {version.isCurrent && (
+          <View style={[styles.badge, { backgroundColor: accentColor }]}>
+            <Text style={styles.badgeText}>{version.approvedAt ? 'APPROVED' : 'CURRENT'}</Text>
+          </View>
+        )}
+        <Text style={styles.versionMeta} numberOfLines={1}>
+          {personName(version.uploadedBy) || 'Unknown'} • {new Date(version.uploadedAt).toLocaleDateString()}
+        </Text>
+      </View>
+
+      {!!version.notes && <Text style={styles.versionNotes}>{version.notes}</Text>}
+
+      {(version.changes || [])
+        .filter((change) => CHANGE_LABELS[change.field])
+        .map((change) => (
+          <Text key={change.field} style={styles.versionChange} numberOfLines={1}>
+            {CHANGE_LABELS[change.field]}: {formatChange(change.field, change.before)} → {formatChange(change.field, change.after)}
+          </Text>
+        ))}
+
+      {version.isCurrent && version.approvedAt && (
+        <Text style={styles.versionChange}>
+          Approved by {personName(version.approvedBy) || 'a project editor'} on {new Date(version.approvedAt).toLocaleDateString()}
+        </Text>
+      )}
+
+      <View style={styles.versionActions}>
+        <TouchableOpacity onPress={() => handleOpen(version.url)}>
+          <Text style={[styles.actionText, { color: accentColor }]}>Open</Text>
+        </TouchableOpacity>
+        {canManage && !version.isCurrent && (
+          <TouchableOpacity onPress={() => handleMarkCurrent(document, version)} disabled={busyId === document._id}>
+            <Text style={[styles.actionText, { color: accentColor }]}>Mark current</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+
+  if (loading) {
+    return <ActivityIndicator style={styles.loader} color={accentColor} />;
+  }
+
+  if (documents.length === 0) {
+    return <Text style={styles.emptyText}>No documents shared yet.</Text>;
+  }
+
+  return (
+    <View>
+      {documents.map((document) => {
+        const expanded = expandedId === document._id;
+        const pending = document.latestVersion > document.currentVersion;
+
+        return (
+          <View key={document._id} style={styles.docItem}>
+            <TouchableOpacity style={styles.docRow} onPress={() => handleOpen(document.url)}>
+              <View style={styles.docIconContainer}>
+                <Ionicons name="document-text-outline" size={24} color={accentColor} />
+              </View>
+              <View style={styles.docDetails}>
+                <Text style={styles.docName}>{document.name}</Text>
+                <Text style={styles.docMeta}>
+                  {document.type?.toUpperCase()} • v{document.currentVersion}
+                  {pending ? ` • v${document.latestVersion} awaiting approval` : ''}
+                </Text>
+              </View>
+              <TouchableOpacity
+                style={styles.historyToggle}
+                onPress={() => setExpandedId(expanded ? null : document._id)}
+              >
+                <Text style={[styles.actionText, { color: accentColor }]}>
+                  {document.versions.length} version{document.versions.length === 1 ? '' : 's'}
+                </Text>
+                <Ionicons name={expanded ? 'chevron-up' : 'chevron-down'} size={16} color={accentColor} />
+              </TouchableOpacity>
+            </TouchableOpacity>
+
+            {expanded && (
+              <View style={styles.history}>
+                {canManage && renderApproval(document)}
+                {document.versions.map((version) => renderVersion(document, version))}
+
+                {canManage && (
+                  <View style={styles.uploadRow}>
+                    <TextInput
+                      style={styles.notesInput}
+                      placeholder="Change notes, or a message for the client"
+                      placeholderTextColor="#999"
+                      value={notes}
+                      onChangeText={setNotes}
+                    />
+                    <TouchableOpacity
+                      style={[styles.uploadButton, { backgroundColor: accentColor }]}
+                      onPress={() => handleUploadVersion(document)}
+                      disabled={busyId === document._id}
+                    >
+                      {busyId === document._id ? (
+                        <ActivityIndicator size="small" color="#fff" />
+                      ) : (
+                        <Text style={styles.uploadButtonText}>Upload new version</Text>
+                      )}
+                    </TouchableOpacity>
+                    {APPROVABLE_TYPES.includes(document.type) && approvals[document._id]?.status !== 'pending' && (
+                      <TouchableOpacity
+                        style={[styles.uploadButton, styles.outlineButton, { borderColor: accentColor }]}
+                        onPress={() => handleRequestApproval(document)}
+                        disabled={busyId === document._id}
+                      >
+                        <Text style={[styles.uploadButtonText, { color: accentColor }]}>
+                          Request client approval of v{document.latestVersion}
+                        </Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                )}
+              </View>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  loader: {
+    marginVertical: 20,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    fontStyle: 'italic',
+    textAlign: 'center',
+    marginTop: 20,
+  },
+  docItem: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: '#eee',
+  },
+  docRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 15,
+  },
+  docIconContainer: {
+    width: 45,
+    height: 45,
+    borderRadius: 10,
+    backgroundColor: '#f8f9fa',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 15,
+  },
+  docDetails: {
+    flex: 1,
+  },
+  docName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 2,
+  },
+  docMeta: {
+    fontSize: 12,
+    color: '#888',
+  },
+  historyToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginLeft: 10,
+  },
+  history: {
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+    paddingHorizontal: 15,
+    paddingBottom: 10,
+  },
+  versionRow: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f3f3',
+  },
+  versionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  versionNumber: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#333',
+  },
+  badge: {
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 4,
+  },
+  badgeText: {
+    fontSize: 10,
+    fontWeight: '700',
+    color: '#fff',
+  },
+  versionMeta: {
+    flex: 1,
+    fontSize: 12,
+    color: '#888',
+  },
+  versionNotes: {
+    fontSize: 13,
+    color: '#555',
+    marginTop: 4,
+  },
+  versionChange: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 2,
+  },
+  versionActions: {
+    flexDirection: 'row',
+    gap: 16,
+    marginTop: 6,
+  },
+  actionText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  uploadRow: {
+    marginTop: 10,
+    gap: 8,
+  },
+  notesInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 13,
+    color: '#333',
+  },
+  uploadButton: {
+    borderRadius: 8,
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  outlineButton: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+  },
+  approvalRow: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f3f3',
+  },
+  approvalText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#555',
+  },
+  uploadButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 13,
+  },
+});
+
+export default ProjectDocumentList;
@@ -0,0 +1,332 @@
+/**
+ * ProjectGanttChart Component
+ * The project's tasks as bars on a day grid, grouped by milestone, from
+ * GET /projects/:id/schedule. Tasks on the critical path are highlighted;
+ * scroll sideways to move through the days.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { projectsAPI } from '../utils/api';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_WIDTH = 28;
+const ROW_HEIGHT = 36;
+const LABEL_WIDTH = 130;
+
+const COLORS = {
+  text: '#1A1A1A',
+  textMuted: '#666666',
+  grid: 'rgba(0, 0, 0, 0.06)',
+  weekend: 'rgba(0, 0, 0, 0.03)',
+  critical: '#EF4444',
+  completed: '#22C55E',
+  warning: '#F59E0B',
+};
+
+const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+
+/**
+ * Milestone sections in schedule order; tasks without one come last
+ */
+export const groupTasks = (schedule) => {
+  const byId = Object.fromEntries(schedule.tasks.map((task) => [task._id, task]));
+  const grouped = new Set();
+  const sections = schedule.milestones
+    .filter((milestone) => milestone.tasks.length)
+    .map((milestone) => {
+      milestone.tasks.forEach((id) => grouped.add(id));
+      return { key: milestone._id, title: milestone.name, late: milestone.late, tasks: milestone.tasks.map((id) => byId[id]) };
+    });
+  const others = schedule.tasks.filter((task) => !grouped.has(task._id));
+  if (others.length) {
+    sections.push({ key: 'other', title: sections.length ? 'Other tasks' : null, late: false, tasks: others });
+  }
+  return sections;
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.projectId - Project whose schedule to show
+ * @param {string} props.accentColor - Color of bars off the critical path (default: '#D4AF37')
+ */
+const ProjectGanttChart = ({ projectId, accentColor = '#D4AF37' }) => {
+  const [schedule, setSchedule] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    loadSchedule();
+  }, [projectId]);
+
+  const loadSchedule = async () => {
+    try {
+      setLoading(true);
+      setFailed(false);
+      const response = await projectsAPI.getSchedule(projectId);
+      if (response.success) {
+        setSchedule(response.data.schedule);
+      }
+    } catch (error) {
+      console.error('Load schedule error:', error);
+      setFailed(true);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <ActivityIndicator style={styles.loading} color={accentColor} />;
+  }
+
+  if (failed || !schedule?.tasks.length) {
+    return (
+      <View style={styles.empty}>
+        <Feather name="calendar" size={40} color={COLORS.textMuted} />
+        <Text style={styles.emptyText}>{failed ? 'Could not load the schedule' : 'No tasks scheduled yet'}</Text>
+      </View>
+    );
+  }
+
+  const firstDay = startOfDay(schedule.start);
+  const dayCount = Math.max(1, Math.ceil((new Date(schedule.end) - firstDay) / DAY_MS));
+  const dayList = Array.from({ length: dayCount }, (_, index) => new Date(firstDay.getTime() + index * DAY_MS));
+  const offset = (value) => ((new Date(value) - firstDay) / DAY_MS) * DAY_WIDTH;
+  const names = Object.fromEntries(schedule.tasks.map((task) => [task._id, task.taskName]));
+  const sections = groupTasks(schedule);
+
+  const barColor = (task) => {
+    if (task.status === 'completed') return COLORS.completed;
+    return task.critical ? COLORS.critical : accentColor;
+  };
+
+  return (
+    <View>
+      <View style={styles.summary}>
+        <Text style={styles.summaryText}>
+          {formatDate(schedule.start)} – {formatDate(schedule.end)} · {schedule.duration} days
+        </Text>
+        <Text style={[styles.summaryText, { color: COLORS.critical }]}>
+          Critical path: {schedule.criticalPath.length} {schedule.criticalPath.length === 1 ? 'task' : 'tasks'}
+        </Text>
+        {schedule.late && (
+          <Text style={[styles.summaryText, { color: COLORS.warning }]}>
+            Finishes after the expected end date ({formatDate(schedule.expectedEndDate)})
+          </Text>
+        )}
+      </View>
+
+      <View style={styles.chart}>
+        {/* Task names stay put while the days scroll */}
+        <View style={{ width: LABEL_WIDTH }}>
+          <View style={styles.headerCell} />
+          {sections.map((section) => (
+            <View key={section.key}>
+              {section.title && (
+                <View style={styles.sectionRow}>
+                  <Text style={[styles.sectionTitle, section.late && { color: COLORS.warning }]} numberOfLines={1}>
+                    {section.title}
+                  </Text>
+                </View>
+              )}
+              {section.tasks.map((task) => (
+                <View key={task._id} style={styles.labelRow}>
+                  <Text style={styles.taskName} numberOfLines={1}>{task.taskName}</Text>
+                  {task.dependencies.length > 0 && (
+                    <Text style={styles.taskMeta} numberOfLines={1}>
+                      after {task.dependencies.map((dependency) => names[dependency.task]).join(', ')}
+                    </Text>
+                  )}
+                </View>
+              ))}
+            </View>
+          ))}
+        </View>
+
+        <ScrollView horizontal showsHorizontalScrollIndicator>
+          <View style={{ width: dayCount * DAY_WIDTH }}>
+            <View style={[styles.headerCell, { flexDirection: 'row' }]}>
+              {dayList.map((day) => (
+                <View key={day.getTime()} style={styles.dayHeader}>
+                  <Text style={styles.dayText}>{day.getDate()}</Text>
+                  {(day.getDate() === 1 || day.getTime() === firstDay.getTime()) && (
+                    <Text style={styles.monthText}>{day.toLocaleDateString('en-IN', { month: 'short' })}</Text>
+                  )}
+                </View>
+              ))}
+            </View>
+
+            {/* Weekend shading behind the rows */}
+            <View style={StyleSheet.absoluteFill} pointerEvents="none">
+              {dayList.map((day, index) => ([0, 6].includes(day.getDay()) ? (
+                <View key={day.getTime()} style={[styles.weekend, { left: index * DAY_WIDTH }]} />
+              ) : null))}
+            </View>
+
+            {sections.map((section) => (
+              <View key={section.key}>
+                {section.title && <View style={styles.sectionRow} />}
+                {section.tasks.map((task) => (
+                  <View key={task._id} style={styles.barRow}>
+                    <View
+                      testID={`gantt-bar-${task._id}`}
+                      style={[
+                        styles.bar,
+                        {
+                          left: offset(task.start),
+                          width: Math.max(task.duration * DAY_WIDTH, 6),
+                          backgroundColor: barColor(task),
+                        },
+                      ]}
+                    />
+                  </View>
+                ))}
+              </View>
+            ))}
+          </View>
+        </ScrollView>
+      </View>
+
+      <View style={styles.legend}>
+        {[
+          ['Critical path', COLORS.critical],
+          ['Has slack', accentColor],
+          ['Completed', COLORS.completed],
+        ].map(([label, color]) => (
+          <View key={label} style={styles.legendItem}>
+            <View style={[styles.legendSwatch, { backgroundColor: color }]} />
+            <Text style={styles.legendText}>{label}</Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  loading: {
+    marginVertical: 40,
+  },
+  empty: {
+    alignItems: 'center',
+    paddingVertical: 40,
+  },
+  emptyText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: COLORS.textMuted,
+  },
+  summary: {
+    marginBottom: 12,
+  },
+  summaryText: {
+    fontSize: 13,
+    color: COLORS.text,
+    marginBottom: 2,
+  },
+  chart: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: COLORS.grid,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  headerCell: {
+    height: 34,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.grid,
+  },
+  dayHeader: {
+    width: DAY_WIDTH,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  dayText: {
+    fontSize: 11,
+    color: COLORS.text,
+  },
+  monthText: {
+    fontSize: 9,
+    color: COLORS.textMuted,
+  },
+  weekend: {
+    position: 'absolute',
+    top: 34,
+    bottom: 0,
+    width: DAY_WIDTH,
+    backgroundColor: COLORS.weekend,
+  },
+  sectionRow: {
+    height: 26,
+    justifyContent: 'center',
+    paddingHorizontal: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.grid,
+  },
+  sectionTitle: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: COLORS.text,
+  },
+  labelRow: {
+    height: ROW_HEIGHT,
+    justifyContent: 'center',
+    paddingHorizontal: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.grid,
+  },
+  taskName: {
+    fontSize: 12,
+    color: COLORS.text,
+  },
+  taskMeta: {
+    fontSize: 10,
+    color: COLORS.textMuted,
+  },
+  barRow: {
+    height: ROW_HEIGHT,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.grid,
+  },
+  bar: {
+    position: 'absolute',
+    top: 10,
+    height: ROW_HEIGHT - 20,
+    borderRadius: 4,
+  },
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 10,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 16,
+  },
+  legendSwatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 3,
+    marginRight: 6,
+  },
+  legendText: {
+    fontSize: 12,
+    color: COLORS.textMuted,
+  },
+});
+
+export default ProjectGanttChart;
@@ -0,0 +1,113 @@
+/**
+ * ProjectProgressBreakdown Component
+ * How a project's automatic progress is made up, from
+ * GET /projects/:id/progress: one row per part (milestones, tasks,
+ * deliveries) with how far along it is and what it adds to the total.
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+const COLORS = {
+  text: '#1A1A1A',
+  textMuted: '#666666',
+  track: 'rgba(0, 0, 0, 0.06)',
+};
+
+const UNITS = {
+  milestones: 'milestones completed',
+  tasks: 'tasks completed',
+  deliveries: 'orders fully delivered',
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.progress - `data.progress` of GET /projects/:id/progress
+ * @param {string} props.accentColor - Color of the bars (default: '#D4AF37')
+ */
+const ProjectProgressBreakdown = ({ progress, accentColor = '#D4AF37' }) => {
+  const parts = progress?.parts || [];
+
+  if (!parts.some((part) => part.included)) {
+    return (
+      <Text style={styles.emptyText}>
+        Add milestones, tasks or purchase orders to calculate progress automatically
+      </Text>
+    );
+  }
+
+  return (
+    <View>
+      {parts.map((part) => (
+        <View key={part.key} testID={`progress-part-${part.key}`} style={[styles.part, !part.included && styles.excluded]}>
+          <View style={styles.partHeader}>
+            <Text style={styles.partLabel}>{part.label}</Text>
+            <Text style={styles.partValue}>
+              {part.included ? `${part.value}% · ${part.share}% weight` : 'Not counted yet'}
+            </Text>
+          </View>
+          <View style={styles.track}>
+            <View style={[styles.fill, { width: `${part.value}%`, backgroundColor: accentColor }]} />
+          </View>
+          <Text style={styles.partMeta}>
+            {part.done} of {part.total} {UNITS[part.key]}
+            {part.included ? ` · adds ${part.contribution}%` : ''}
+          </Text>
+        </View>
+      ))}
+      <Text style={styles.total}>Total: {progress.computedPercentage}%</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  emptyText: {
+    fontSize: 13,
+    color: COLORS.textMuted,
+    textAlign: 'center',
+    marginVertical: 16,
+  },
+  part: {
+    marginBottom: 14,
+  },
+  excluded: {
+    opacity: 0.5,
+  },
+  partHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  partLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  partValue: {
+    fontSize: 12,
+    color: COLORS.textMuted,
+  },
+  track: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: COLORS.track,
+    overflow: 'hidden',
+  },
+  fill: {
+    height: '100%',
+    borderRadius: 4,
+  },
+  partMeta: {
+    fontSize: 11,
+    color: COLORS.textMuted,
+    marginTop: 4,
+  },
+  total: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: COLORS.text,
+    textAlign: 'right',
+  },
+});
+
+export default ProjectProgressBreakdown;
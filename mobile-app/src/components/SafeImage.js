@@ -1,9 +1,10 @@
 /**
  * SafeImage Component
- * A wrapper around Image that handles loading states, errors, and provides fallbacks
+ * A wrapper around Image that handles loading states, errors, and provides fallbacks.
+ * Stored files are fetched through a signed link requested from the server.
  */
 
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   View,
   Image,
@@ -12,10 +13,12 @@ import {
   Text,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { useFileLink } from '../hooks/useFileLink';
 
 /**
  * @param {Object} props
  * @param {string} props.uri - Image URI to load
+ * @param {string} props.fileId - File record to load, instead of uri
  * @param {Object} props.style - Image style
  * @param {string} props.fallbackIcon - Icon name for fallback (default: 'image-outline')
  * @param {string} props.fallbackText - Text to show on error (default: 'Image unavailable')
@@ -28,6 +31,7 @@ import { Ionicons } from '@expo/vector-icons';
  */
 const SafeImage = ({
   uri,
+  fileId,
   style,
   fallbackIcon = 'image-outline',
   fallbackText = 'Image unavailable',
@@ -41,9 +45,19 @@ const SafeImage = ({
 }) => {
   const [isLoading, setIsLoading] = useState(true);
   const [hasError, setHasError] = useState(false);
+  const [retried, setRetried] = useState(false);
+  const { url: link, error: linkError, refresh } = useFileLink(uri, fileId);
+
+  useEffect(() => {
+    if (!linkError) return;
+    if (__DEV__) console.log('[SafeImage] No link for:', fileId || uri, linkError.message);
+    setIsLoading(false);
+    setHasError(true);
+    if (onError) onError(linkError);
+  }, [linkError]);
 
   // If no URI provided, show fallback immediately
-  if (!uri) {
+  if (!uri && !fileId) {
     return (
       <View style={[styles.fallbackContainer, style]}>
         <Ionicons name={fallbackIcon} size={40} color={fallbackColor} />
@@ -52,16 +66,22 @@ const SafeImage = ({
     );
   }
 
-  const handleLoad = () => {
+  const handleLoad = (event) => {
     setIsLoading(false);
     setHasError(false);
-    if (onLoad) onLoad();
+    if (onLoad) onLoad(event);
   };
 
   const handleError = (error) => {
+    // The cached link may have expired: ask for a new one once
+    if (!retried) {
+      setRetried(true);
+      refresh();
+      return;
+    }
     setIsLoading(false);
     setHasError(true);
-    if (__DEV__) console.log('[SafeImage] Load error for:', uri, error?.nativeEvent?.error);
+    if (__DEV__) console.log('[SafeImage] Load error for:', link, error?.nativeEvent?.error);
     if (onError) onError(error);
   };
 
@@ -76,14 +96,16 @@ const SafeImage = ({
 
   return (
     <View style={[styles.container, style]}>
-      <Image
-        source={{ uri }}
-        style={[styles.image, style]}
-        onLoad={handleLoad}
-        onError={handleError}
-        resizeMode={resizeMode}
-        {...props}
-      />
+      {link && (
+        <Image
+          source={{ uri: link }}
+          style={[styles.image, style]}
+          onLoad={handleLoad}
+          onError={handleError}
+          resizeMode={resizeMode}
+          {...props}
+        />
+      )}
       {isLoading && showLoader && (
         <View style={styles.loaderOverlay}>
           <ActivityIndicator size="small" color={loaderColor} />
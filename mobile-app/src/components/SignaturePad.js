@@ -0,0 +1,128 @@
+/**
+ * SignaturePad Component
+ * Draw-with-your-finger signature. Reports the drawing as SVG path data
+ * ("M10 20 L12 24 ...") together with the pad size, which is what the
+ * backend stores and draws on approval certificates.
+ */
+
+import React, { useMemo, useRef, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, PanResponder } from 'react-native';
+import Svg, { Path } from 'react-native-svg';
+
+/**
+ * @param {Object} props
+ * @param {function} props.onChange - Called with ({ strokes, width, height }), or null once cleared
+ * @param {number} props.height - Pad height (default: 140)
+ * @param {string} props.color - Ink color (default: '#1A1A1A')
+ */
+const SignaturePad = ({ onChange, height = 140, color = '#1A1A1A' }) => {
+  const [paths, setPaths] = useState([]);
+  const [width, setWidth] = useState(0);
+  const strokes = useRef([]);
+  const size = useRef({ width: 0, height });
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  const lastPoint = useRef(null);
+
+  const point = ({ nativeEvent }) => {
+    lastPoint.current = { x: nativeEvent.locationX, y: nativeEvent.locationY };
+    return `${Math.round(nativeEvent.locationX)} ${Math.round(nativeEvent.locationY)}`;
+  };
+
+  // Skip tiny moves so a signature stays within the size the server accepts
+  const movedEnough = ({ nativeEvent }) => (
+    Math.hypot(nativeEvent.locationX - lastPoint.current.x, nativeEvent.locationY - lastPoint.current.y) >= 2
+  );
+
+  const update = (next) => {
+    strokes.current = next;
+    setPaths(next);
+  };
+
+  const report = () => {
+    onChangeRef.current?.(strokes.current.length
+      ? { strokes: strokes.current.join(' '), width: Math.round(size.current.width), height: size.current.height }
+      : null);
+  };
+
+  const panResponder = useMemo(() => PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    // Keep the stroke when the pad sits in a ScrollView
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: (event) => {
+      update([...strokes.current, `M${point(event)}`]);
+    },
+    onPanResponderMove: (event) => {
+      if (!movedEnough(event)) return;
+      const last = strokes.current[strokes.current.length - 1];
+      update([...strokes.current.slice(0, -1), `${last} L${point(event)}`]);
+    },
+    onPanResponderRelease: report,
+  }), []);
+
+  const clear = () => {
+    update([]);
+    report();
+  };
+
+  return (
+    <View>
+      <View
+        style={[styles.pad, { height }]}
+        onLayout={(event) => {
+          size.current.width = event.nativeEvent.layout.width;
+          setWidth(event.nativeEvent.layout.width);
+        }}
+        {...panResponder.panHandlers}
+      >
+        {width > 0 && (
+          <Svg width={width} height={height}>
+            {paths.map((d, index) => (
+              <Path key={index} d={d} stroke={color} strokeWidth={2.5} fill="none" strokeLinecap="round" strokeLinejoin="round" />
+            ))}
+          </Svg>
+        )}
+        {paths.length === 0 && (
+          <Text style={styles.placeholder} pointerEvents="none">Sign here</Text>
+        )}
+      </View>
+      <TouchableOpacity style={styles.clearButton} onPress={clear} disabled={paths.length === 0}>
+        <Text style={[styles.clearText, paths.length === 0 && styles.clearTextDisabled]}>Clear</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  pad: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderStyle: 'dashed',
+    borderRadius: 8,
+    backgroundColor: '#fafafa',
+    overflow: 'hidden',
+  },
+  placeholder: {
+    position: 'absolute',
+    alignSelf: 'center',
+    top: '40%',
+    color: '#bbb',
+    fontSize: 16,
+  },
+  clearButton: {
+    alignSelf: 'flex-end',
+    paddingVertical: 6,
+  },
+  clearText: {
+    color: '#1976D2',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  clearTextDisabled: {
+    color: '#bbb',
+  },
+});
+
+export default SignaturePad;
@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  Linking,
+  Platform,
+} from 'react-native';
+import { authAPI } from '../utils/api';
+
+const COLORS = {
+  primary: '#D4AF37',
+  text: '#1A1A1A',
+  textMuted: '#6B7280',
+  border: '#E5E7EB',
+  danger: '#EF4444',
+};
+
+/**
+ * Two-factor enrolment: shows a new authenticator key, confirms it with a
+ * code, then shows the backup codes once.
+ * Pass `twoFactorToken` when enrolling during login (role requires 2FA);
+ * `onComplete` receives the enable response data (backupCodes, plus the
+ * session when enrolling during login) after the user has seen the codes.
+ */
+const TwoFactorEnrollment = ({ twoFactorToken, onComplete, onCancel }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const start = async () => {
+      try {
+        const response = await authAPI.setupTwoFactor(twoFactorToken);
+        if (response.success) {
+          setSetup(response.data);
+        }
+      } catch (err) {
+        setError(err.message || 'Failed to start two-factor setup');
+      } finally {
+        setBusy(false);
+      }
+    };
+    start();
+  }, [twoFactorToken]);
+
+  const openAuthenticator = async () => {
+    try {
+      await Linking.openURL(setup.otpauthUrl);
+    } catch (err) {
+      setError('No authenticator app found. Enter the key manually.');
+    }
+  };
+
+  const handleConfirm = async () => {
+    if (!code.trim()) {
+      setError('Enter the code from your authenticator app');
+      return;
+    }
+
+    try {
+      setBusy(true);
+      setError(null);
+      const response = await authAPI.enableTwoFactor(code.trim(), twoFactorToken);
+      if (response.success) {
+        setResult(response.data);
+      }
+    } catch (err) {
+      setError(err.message || 'Invalid authentication code');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <View>
+        <Text style={styles.title}>Save your backup codes</Text>
+        <Text style={styles.hint}>
+          Each code signs you in once if you lose your phone. They won't be shown again.
+        </Text>
+        <View style={styles.codesBox}>
+          {result.backupCodes.map((backupCode) => (
+            <Text key={backupCode} style={styles.backupCode} selectable>{backupCode}</Text>
+          ))}
+        </View>
+        <TouchableOpacity style={styles.primaryButton} onPress={() => onComplete(result)}>
+          <Text style={styles.primaryButtonText}>I've saved them</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View>
+      <Text style={styles.title}>Set up two-factor authentication</Text>
+
+      {busy && !setup ? (
+        <ActivityIndicator color={COLORS.primary} style={styles.loader} />
+      ) : setup && (
+        <>
+          <Text style={styles.hint}>
+            Add this key to an authenticator app (Google Authenticator, Authy, 1Password…),
+            then enter the 6-digit code it shows.
+          </Text>
+          <Text style={styles.secret} selectable>{setup.secret.match(/.{1,4}/g).join(' ')}</Text>
+          {Platform.OS !== 'web' && (
+            <TouchableOpacity style={styles.linkButton} onPress={openAuthenticator}>
+              <Text style={styles.linkText}>Open in authenticator app</Text>
+            </TouchableOpacity>
+          )}
+
+          <TextInput
+            style={styles.input}
+            placeholder="6-digit code"
+            value={code}
+            onChangeText={setCode}
+            keyboardType="number-pad"
+            maxLength={6}
+            editable={!busy}
+          />
+        </>
+      )}
+
+      {error && <Text style={styles.errorText}>{error}</Text>}
+
+      {setup && (
+        <TouchableOpacity
+          style={[styles.primaryButton, busy && styles.disabledButton]}
+          onPress={handleConfirm}
+          disabled={busy}
+        >
+          {busy ? (
+            <ActivityIndicator color="#FFFFFF" />
+          ) : (
+            <Text style={styles.primaryButtonText}>Turn on</Text>
+          )}
+        </TouchableOpacity>
+      )}
+
+      {onCancel && (
+        <TouchableOpacity style={styles.linkButton} onPress={onCancel} disabled={busy}>
+          <Text style={styles.cancelText}>Cancel</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: COLORS.text,
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 14,
+    color: COLORS.textMuted,
+    marginBottom: 16,
+    lineHeight: 20,
+  },
+  loader: {
+    marginVertical: 24,
+  },
+  secret: {
+    fontSize: 18,
+    fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
+    color: COLORS.text,
+    textAlign: 'center',
+    paddingVertical: 14,
+    borderRadius: 8,
+    backgroundColor: '#F9FAFB',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 8,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    fontSize: 18,
+    letterSpacing: 4,
+    textAlign: 'center',
+    backgroundColor: '#F9FAFB',
+    marginTop: 8,
+  },
+  codesBox: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: '#F9FAFB',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  backupCode: {
+    width: '48%',
+    fontSize: 15,
+    fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
+    color: COLORS.text,
+    paddingVertical: 4,
+    textAlign: 'center',
+  },
+  errorText: {
+    color: COLORS.danger,
+    fontSize: 14,
+    marginTop: 10,
+    textAlign: 'center',
+  },
+  primaryButton: {
+    marginTop: 16,
+    paddingVertical: 14,
+    borderRadius: 8,
+    backgroundColor: COLORS.primary,
+    alignItems: 'center',
+  },
+  disabledButton: {
+    opacity: 0.6,
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  linkButton: {
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  linkText: {
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
+  cancelText: {
+    color: COLORS.textMuted,
+  },
+});
+
+export default TwoFactorEnrollment;
@@ -9,6 +9,8 @@ import {
 } from 'react-native';
 import { Feather, MaterialCommunityIcons } from '@expo/vector-icons';
 import theme from '../styles/theme';
+import { useNotifications, formatBadgeCount } from '../context/NotificationContext';
+import GlobalSearch from './GlobalSearch';
 
 /**
  * UnifiedHeader - Professional header component for all user types
@@ -17,6 +19,8 @@ import theme from '../styles/theme';
  * @param {function} onBack - Back button handler
  * @param {function} onMenu - Menu button handler
  * @param {function} onLogout - Logout button handler
+ * @param {function} onNotificationPress - Shows a bell with the live unread badge when set
+ * @param {function} onSearchResultPress - Shows global search when set; called with the chosen result
  * @param {string} userInitials - User initials for avatar
  * @param {string} subtitle - Optional subtitle text
  * @param {string} backgroundColor - Optional background color (defaults to theme primary)
@@ -26,12 +30,15 @@ export default function UnifiedHeader({
   onBack,
   onMenu,
   onLogout,
+  onNotificationPress,
+  onSearchResultPress,
   userInitials = 'U',
   subtitle,
   backgroundColor = theme.colors.primary[500],
 }) {
   const statusBarHeight = Platform.OS === 'ios' ? 44 : StatusBar.currentHeight || 0;
   const iconColor = theme.colors.text.white;
+  const { unreadCount } = useNotifications();
 
   return (
     <View style={[styles.header, { backgroundColor, paddingTop: statusBarHeight + 8 }]}>
@@ -69,6 +76,21 @@ export default function UnifiedHeader({
 
         {/* Right Section */}
         <View style={styles.rightSection}>
+          {onSearchResultPress && (
+            <GlobalSearch onResultPress={onSearchResultPress} style={styles.iconButton}>
+              <Feather name="search" size={22} color={iconColor} />
+            </GlobalSearch>
+          )}
+          {onNotificationPress && (
+            <TouchableOpacity onPress={onNotificationPress} style={styles.iconButton}>
+              <Feather name="bell" size={22} color={iconColor} />
+              {unreadCount > 0 && (
+                <View style={styles.badge}>
+                  <Text style={styles.badgeText}>{formatBadgeCount(unreadCount)}</Text>
+                </View>
+              )}
+            </TouchableOpacity>
+          )}
           {onLogout && (
             <TouchableOpacity onPress={onLogout} style={styles.avatarButton}>
               <View style={styles.avatar}>
@@ -127,6 +149,23 @@ const styles = StyleSheet.create({
   avatarButton: {
     padding: 4,
   },
+  badge: {
+    position: 'absolute',
+    top: 4,
+    right: 2,
+    backgroundColor: theme.colors.error[500],
+    borderRadius: 9,
+    minWidth: 18,
+    height: 18,
+    paddingHorizontal: 4,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  badgeText: {
+    fontSize: 9,
+    fontWeight: 'bold',
+    color: '#ffffff',
+  },
   avatar: {
     width: 36,
     height: 36,
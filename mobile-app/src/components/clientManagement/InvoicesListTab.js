@@ -13,7 +13,8 @@ import {
 } from 'react-native';
 import { Feather } from '@expo/vector-icons';
 import { invoicesAPI } from '../../utils/api';
-import { Linking, Alert } from 'react-native';
+import { openFile } from '../../utils/fileUtils';
+import { Alert } from 'react-native';
 import * as DocumentPicker from 'expo-document-picker';
 
 // Professional Emerald & Gold Theme
@@ -91,15 +92,15 @@ const InvoicesListTab = ({ projectId, navigation }) => {
         return `₹${(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 0 })}`;
     };
 
-    const handleDownload = (url) => {
+    const handleDownload = async (url) => {
         if (!url) {
             Alert.alert('Error', 'No download URL available');
             return;
         }
-        Linking.openURL(url).catch(err => {
-            console.error('Download error:', err);
-            Alert.alert('Error', 'Could not open document link');
-        });
+        const result = await openFile(url);
+        if (!result.success) {
+            Alert.alert('Error', result.message || 'Could not open document link');
+        }
     };
 
     const handleDeleteInvoice = (invoiceId, invoiceNumber) => {
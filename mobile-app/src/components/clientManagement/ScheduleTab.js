@@ -5,15 +5,19 @@ import {
     StyleSheet,
     TouchableOpacity,
     FlatList,
+    ScrollView,
     TextInput,
     Modal,
     Alert,
     Platform,
+    Share,
     ActivityIndicator,
 } from 'react-native';
 import { Feather } from '@expo/vector-icons';
 import DateTimePicker from '@react-native-community/datetimepicker';
-import { tasksAPI } from '../../utils/api';
+import { tasksAPI, calendarAPI } from '../../utils/api';
+import { REPEAT_OPTIONS, toRecurrence, describeRecurrence } from '../../utils/recurrence';
+import { exportTaskToCalendar } from '../../utils/calendarExport';
 
 // Yellow/Black Theme
 const COLORS = {
@@ -36,6 +40,7 @@ const ScheduleTab = ({ projectId }) => {
     const [editingTask, setEditingTask] = useState(null);
     const [showDatePicker, setShowDatePicker] = useState(false);
     const [showTimePicker, setShowTimePicker] = useState(false);
+    const [showUntilPicker, setShowUntilPicker] = useState(false);
 
     const [formData, setFormData] = useState({
         taskName: '',
@@ -44,6 +49,12 @@ const ScheduleTab = ({ projectId }) => {
         time: new Date(),
         notifyBefore: 30,
         priority: 'medium',
+        repeat: 'none',
+        repeatEnds: 'count',
+        repeatCount: '4',
+        repeatUntil: new Date(),
+        skipWeekends: false,
+        applyToFollowing: false,
     });
 
     useEffect(() => {
@@ -79,6 +90,12 @@ const ScheduleTab = ({ projectId }) => {
             time: new Date(),
             notifyBefore: 30,
             priority: 'medium',
+            repeat: 'none',
+            repeatEnds: 'count',
+            repeatCount: '4',
+            repeatUntil: new Date(),
+            skipWeekends: false,
+            applyToFollowing: false,
         });
         setEditingTask(null);
     };
@@ -91,14 +108,16 @@ const ScheduleTab = ({ projectId }) => {
             const taskTime = new Date();
             taskTime.setHours(parseInt(hours), parseInt(minutes));
 
-            setFormData({
+            setFormData(prev => ({
+                ...prev,
                 taskName: task.taskName,
                 taskDescription: task.taskDescription || '',
                 date: taskDate,
                 time: taskTime,
                 notifyBefore: task.notifyBefore || 30,
                 priority: task.priority || 'medium',
-            });
+                applyToFollowing: false,
+            }));
         } else {
             resetForm();
         }
@@ -124,13 +143,17 @@ const ScheduleTab = ({ projectId }) => {
 
             let response;
             if (editingTask) {
-                response = await tasksAPI.updateTask(editingTask._id, taskData);
+                response = await tasksAPI.updateTask(
+                    editingTask._id,
+                    taskData,
+                    formData.applyToFollowing ? 'following' : 'single'
+                );
             } else {
-                response = await tasksAPI.createTask(taskData);
+                response = await tasksAPI.createTask({ ...taskData, recurrence: toRecurrence(formData) });
             }
 
             if (response.success) {
-                showAlert('Success', editingTask ? 'Task updated!' : 'Task created!');
+                showAlert('Success', editingTask ? 'Task updated!' : (response.data?.occurrences ? response.message : 'Task created!'));
                 setModalVisible(false);
                 resetForm();
                 loadTasks();
@@ -141,12 +164,12 @@ const ScheduleTab = ({ projectId }) => {
         }
     };
 
-    const handleDelete = async (taskId) => {
-        const doDelete = async () => {
+    const handleDelete = async (task) => {
+        const doDelete = async (scope = 'single') => {
             try {
-                const response = await tasksAPI.deleteTask(taskId);
+                const response = await tasksAPI.deleteTask(task._id, scope);
                 if (response.success) {
-                    showAlert('Success', 'Task deleted');
+                    showAlert('Success', scope === 'following' ? response.message : 'Task deleted');
                     loadTasks();
                 }
             } catch (error) {
@@ -154,12 +177,67 @@ const ScheduleTab = ({ projectId }) => {
             }
         };
 
+        // Occurrences of a recurring task can take the rest of the series with them
         if (Platform.OS === 'web') {
-            if (window.confirm('Delete this task?')) doDelete();
+            if (window.confirm('Delete this task?')) {
+                doDelete(task.series && window.confirm('Also delete the later occurrences of this task?') ? 'following' : 'single');
+            }
+        } else if (task.series) {
+            Alert.alert('Delete Recurring Task', 'Delete only this occurrence, or this and the later ones?', [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'This one', onPress: () => doDelete('single') },
+                { text: 'This and later', style: 'destructive', onPress: () => doDelete('following') },
+            ]);
         } else {
             Alert.alert('Delete Task', 'Are you sure?', [
                 { text: 'Cancel', style: 'cancel' },
-                { text: 'Delete', style: 'destructive', onPress: doDelete },
+                { text: 'Delete', style: 'destructive', onPress: () => doDelete() },
+            ]);
+        }
+    };
+
+    const handleExport = async (task) => {
+        const result = await exportTaskToCalendar(task);
+        if (!result.success) {
+            showAlert('Error', result.message);
+        }
+    };
+
+    // A new feed URL revokes the previous one, so ask before replacing it
+    const handleSubscribe = async () => {
+        const createFeed = async () => {
+            try {
+                const response = await calendarAPI.createFeed();
+                if (!response.success) return;
+
+                const { url } = response.data;
+                if (Platform.OS === 'web') {
+                    await navigator.clipboard?.writeText(url).catch(() => { });
+                    showAlert('Calendar Feed', `Subscribe to this URL in your calendar app (copied to the clipboard):\n${url}`);
+                } else {
+                    await Share.share({ message: url });
+                }
+            } catch (error) {
+                showAlert('Error', 'Failed to create calendar feed');
+            }
+        };
+
+        try {
+            const response = await calendarAPI.getFeed();
+            if (!response.data?.enabled) {
+                return createFeed();
+            }
+        } catch (error) {
+            return showAlert('Error', 'Failed to load calendar feed');
+        }
+
+        const message = 'You already have a calendar feed. A new link stops the old one from updating.';
+        if (Platform.OS === 'web') {
+            if (window.confirm(`${message} Create a new link?`)) createFeed();
+        } else {
+            Alert.alert('Calendar Feed', message, [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'New Link', onPress: createFeed },
             ]);
         }
     };
@@ -226,12 +304,23 @@ const ScheduleTab = ({ projectId }) => {
                     <Text style={styles.taskMetaText}>{formatDate(item.date)}</Text>
                     <Feather name="clock" size={12} color={COLORS.textMuted} style={{ marginLeft: 8 }} />
                     <Text style={styles.taskMetaText}>{item.time}</Text>
+                    {item.series && (
+                        <>
+                            <Feather name="repeat" size={12} color={COLORS.textMuted} style={{ marginLeft: 8 }} />
+                            {item.recurrence && (
+                                <Text style={styles.taskMetaText}>{describeRecurrence(item.recurrence)}</Text>
+                            )}
+                        </>
+                    )}
                 </View>
                 <View style={styles.taskActions}>
+                    <TouchableOpacity style={styles.actionBtn} onPress={() => handleExport(item)}>
+                        <Feather name="calendar" size={14} color={COLORS.primary} />
+                    </TouchableOpacity>
                     <TouchableOpacity style={styles.actionBtn} onPress={() => openModal(item)}>
                         <Feather name="edit-2" size={14} color={COLORS.primary} />
                     </TouchableOpacity>
-                    <TouchableOpacity style={styles.actionBtn} onPress={() => handleDelete(item._id)}>
+                    <TouchableOpacity style={styles.actionBtn} onPress={() => handleDelete(item)}>
                         <Feather name="trash-2" size={14} color={COLORS.danger} />
                     </TouchableOpacity>
                 </View>
@@ -252,10 +341,15 @@ const ScheduleTab = ({ projectId }) => {
             {/* Header */}
             <View style={styles.header}>
                 <Text style={styles.sectionLabel}>Schedule & Tasks</Text>
-                <TouchableOpacity style={styles.addBtn} onPress={() => openModal()}>
-                    <Feather name="plus" size={18} color={COLORS.background} />
-                    <Text style={styles.addBtnText}>Add Task</Text>
-                </TouchableOpacity>
+                <View style={styles.headerActions}>
+                    <TouchableOpacity style={styles.subscribeBtn} onPress={handleSubscribe}>
+                        <Feather name="rss" size={16} color={COLORS.primary} />
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.addBtn} onPress={() => openModal()}>
+                        <Feather name="plus" size={18} color={COLORS.background} />
+                        <Text style={styles.addBtnText}>Add Task</Text>
+                    </TouchableOpacity>
+                </View>
             </View>
 
             {/* Task List */}
@@ -288,84 +382,163 @@ const ScheduleTab = ({ projectId }) => {
                             </TouchableOpacity>
                         </View>
 
-                        <View style={styles.inputGroup}>
-                            <Text style={styles.inputLabel}>Task Name *</Text>
-                            <TextInput
-                                style={styles.input}
-                                value={formData.taskName}
-                                onChangeText={(v) => setFormData(p => ({ ...p, taskName: v }))}
-                                placeholder="Enter task name"
-                                placeholderTextColor={COLORS.textMuted}
-                            />
-                        </View>
-
-                        <View style={styles.inputGroup}>
-                            <Text style={styles.inputLabel}>Description</Text>
-                            <TextInput
-                                style={[styles.input, styles.textArea]}
-                                value={formData.taskDescription}
-                                onChangeText={(v) => setFormData(p => ({ ...p, taskDescription: v }))}
-                                placeholder="Enter description"
-                                placeholderTextColor={COLORS.textMuted}
-                                multiline
-                            />
-                        </View>
-
-                        <View style={styles.row}>
-                            <View style={styles.halfInput}>
-                                <Text style={styles.inputLabel}>Date</Text>
-                                <TouchableOpacity
-                                    style={styles.pickerBtn}
-                                    onPress={() => setShowDatePicker(true)}
-                                >
-                                    <Text style={styles.pickerText}>
-                                        {formData.date.toLocaleDateString()}
-                                    </Text>
-                                    <Feather name="calendar" size={18} color={COLORS.primary} />
-                                </TouchableOpacity>
+                        <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+                            <View style={styles.inputGroup}>
+                                <Text style={styles.inputLabel}>Task Name *</Text>
+                                <TextInput
+                                    style={styles.input}
+                                    value={formData.taskName}
+                                    onChangeText={(v) => setFormData(p => ({ ...p, taskName: v }))}
+                                    placeholder="Enter task name"
+                                    placeholderTextColor={COLORS.textMuted}
+                                />
                             </View>
-                            <View style={styles.halfInput}>
-                                <Text style={styles.inputLabel}>Time</Text>
-                                <TouchableOpacity
-                                    style={styles.pickerBtn}
-                                    onPress={() => setShowTimePicker(true)}
-                                >
-                                    <Text style={styles.pickerText}>
-                                        {`${String(formData.time.getHours()).padStart(2, '0')}:${String(formData.time.getMinutes()).padStart(2, '0')}`}
-                                    </Text>
-                                    <Feather name="clock" size={18} color={COLORS.primary} />
-                                </TouchableOpacity>
+
+                            <View style={styles.inputGroup}>
+                                <Text style={styles.inputLabel}>Description</Text>
+                                <TextInput
+                                    style={[styles.input, styles.textArea]}
+                                    value={formData.taskDescription}
+                                    onChangeText={(v) => setFormData(p => ({ ...p, taskDescription: v }))}
+                                    placeholder="Enter description"
+                                    placeholderTextColor={COLORS.textMuted}
+                                    multiline
+                                />
                             </View>
-                        </View>
 
-                        <View style={styles.inputGroup}>
-                            <Text style={styles.inputLabel}>Priority</Text>
-                            <View style={styles.priorityRow}>
-                                {['low', 'medium', 'high'].map((p) => (
+                            <View style={styles.row}>
+                                <View style={styles.halfInput}>
+                                    <Text style={styles.inputLabel}>Date</Text>
+                                    <TouchableOpacity
+                                        style={styles.pickerBtn}
+                                        onPress={() => setShowDatePicker(true)}
+                                    >
+                                        <Text style={styles.pickerText}>
+                                            {formData.date.toLocaleDateString()}
+                                        </Text>
+                                        <Feather name="calendar" size={18} color={COLORS.primary} />
+                                    </TouchableOpacity>
+                                </View>
+                                <View style={styles.halfInput}>
+                                    <Text style={styles.inputLabel}>Time</Text>
                                     <TouchableOpacity
-                                        key={p}
-                                        style={[
-                                            styles.priorityOption,
-                                            formData.priority === p && { backgroundColor: getPriorityColor(p) + '30', borderColor: getPriorityColor(p) },
-                                        ]}
-                                        onPress={() => setFormData(prev => ({ ...prev, priority: p }))}
+                                        style={styles.pickerBtn}
+                                        onPress={() => setShowTimePicker(true)}
                                     >
-                                        <Text style={[
-                                            styles.priorityOptionText,
-                                            formData.priority === p && { color: getPriorityColor(p) },
-                                        ]}>
-                                            {p.charAt(0).toUpperCase() + p.slice(1)}
+                                        <Text style={styles.pickerText}>
+                                            {`${String(formData.time.getHours()).padStart(2, '0')}:${String(formData.time.getMinutes()).padStart(2, '0')}`}
                                         </Text>
+                                        <Feather name="clock" size={18} color={COLORS.primary} />
                                     </TouchableOpacity>
-                                ))}
+                                </View>
                             </View>
-                        </View>
 
-                        <TouchableOpacity style={styles.saveBtn} onPress={handleSave}>
-                            <Text style={styles.saveBtnText}>
-                                {editingTask ? 'Update Task' : 'Create Task'}
-                            </Text>
-                        </TouchableOpacity>
+                            <View style={styles.inputGroup}>
+                                <Text style={styles.inputLabel}>Priority</Text>
+                                <View style={styles.priorityRow}>
+                                    {['low', 'medium', 'high'].map((p) => (
+                                        <TouchableOpacity
+                                            key={p}
+                                            style={[
+                                                styles.priorityOption,
+                                                formData.priority === p && { backgroundColor: getPriorityColor(p) + '30', borderColor: getPriorityColor(p) },
+                                            ]}
+                                            onPress={() => setFormData(prev => ({ ...prev, priority: p }))}
+                                        >
+                                            <Text style={[
+                                                styles.priorityOptionText,
+                                                formData.priority === p && { color: getPriorityColor(p) },
+                                            ]}>
+                                                {p.charAt(0).toUpperCase() + p.slice(1)}
+                                            </Text>
+                                        </TouchableOpacity>
+                                    ))}
+                                </View>
+                            </View>
+
+                            {!editingTask && (
+                                <View style={styles.inputGroup}>
+                                    <Text style={styles.inputLabel}>Repeat</Text>
+                                    <View style={styles.priorityRow}>
+                                        {REPEAT_OPTIONS.map(({ value, label }) => (
+                                            <TouchableOpacity
+                                                key={value}
+                                                style={[styles.priorityOption, formData.repeat === value && styles.optionActive]}
+                                                onPress={() => setFormData(prev => ({ ...prev, repeat: value }))}
+                                            >
+                                                <Text style={[styles.priorityOptionText, formData.repeat === value && styles.optionActiveText]}>
+                                                    {label}
+                                                </Text>
+                                            </TouchableOpacity>
+                                        ))}
+                                    </View>
+
+                                    {formData.repeat !== 'none' && (
+                                        <>
+                                            <View style={[styles.priorityRow, styles.repeatRow]}>
+                                                {[['count', 'After'], ['until', 'On date']].map(([value, label]) => (
+                                                    <TouchableOpacity
+                                                        key={value}
+                                                        style={[styles.priorityOption, formData.repeatEnds === value && styles.optionActive]}
+                                                        onPress={() => setFormData(prev => ({ ...prev, repeatEnds: value }))}
+                                                    >
+                                                        <Text style={[styles.priorityOptionText, formData.repeatEnds === value && styles.optionActiveText]}>
+                                                            {label}
+                                                        </Text>
+                                                    </TouchableOpacity>
+                                                ))}
+                                                <TouchableOpacity
+                                                    style={[styles.priorityOption, formData.skipWeekends && styles.optionActive]}
+                                                    onPress={() => setFormData(prev => ({ ...prev, skipWeekends: !prev.skipWeekends }))}
+                                                >
+                                                    <Text style={[styles.priorityOptionText, formData.skipWeekends && styles.optionActiveText]}>
+                                                        Skip weekends
+                                                    </Text>
+                                                </TouchableOpacity>
+                                            </View>
+                                            {formData.repeatEnds === 'count' ? (
+                                                <TextInput
+                                                    style={[styles.input, styles.repeatRow]}
+                                                    value={formData.repeatCount}
+                                                    onChangeText={(v) => setFormData(p => ({ ...p, repeatCount: v.replace(/[^0-9]/g, '') }))}
+                                                    placeholder="Number of times"
+                                                    placeholderTextColor={COLORS.textMuted}
+                                                    keyboardType="numeric"
+                                                    maxLength={3}
+                                                />
+                                            ) : (
+                                                <TouchableOpacity
+                                                    style={[styles.pickerBtn, styles.repeatRow]}
+                                                    onPress={() => setShowUntilPicker(true)}
+                                                >
+                                                    <Text style={styles.pickerText}>
+                                                        {formData.repeatUntil.toLocaleDateString()}
+                                                    </Text>
+                                                    <Feather name="calendar" size={18} color={COLORS.primary} />
+                                                </TouchableOpacity>
+                                            )}
+                                        </>
+                                    )}
+                                </View>
+                            )}
+
+                            {editingTask?.series && (
+                                <TouchableOpacity
+                                    style={[styles.priorityOption, styles.followingOption, formData.applyToFollowing && styles.optionActive]}
+                                    onPress={() => setFormData(prev => ({ ...prev, applyToFollowing: !prev.applyToFollowing }))}
+                                >
+                                    <Text style={[styles.priorityOptionText, formData.applyToFollowing && styles.optionActiveText]}>
+                                        Also change the later occurrences
+                                    </Text>
+                                </TouchableOpacity>
+                            )}
+
+                            <TouchableOpacity style={styles.saveBtn} onPress={handleSave}>
+                                <Text style={styles.saveBtnText}>
+                                    {editingTask ? 'Update Task' : 'Create Task'}
+                                </Text>
+                            </TouchableOpacity>
+                        </ScrollView>
                     </View>
                 </View>
 
@@ -381,6 +554,18 @@ const ScheduleTab = ({ projectId }) => {
                     />
                 )}
 
+                {showUntilPicker && Platform.OS !== 'web' && (
+                    <DateTimePicker
+                        value={formData.repeatUntil}
+                        mode="date"
+                        minimumDate={formData.date}
+                        onChange={(_, date) => {
+                            setShowUntilPicker(false);
+                            if (date) setFormData(p => ({ ...p, repeatUntil: date }));
+                        }}
+                    />
+                )}
+
                 {showTimePicker && Platform.OS !== 'web' && (
                     <DateTimePicker
                         value={formData.time}
@@ -417,6 +602,17 @@ const styles = StyleSheet.create({
         textTransform: 'uppercase',
         letterSpacing: 1,
     },
+    headerActions: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+    },
+    subscribeBtn: {
+        padding: 8,
+        borderRadius: 8,
+        borderWidth: 1,
+        borderColor: COLORS.cardBorder,
+    },
     addBtn: {
         flexDirection: 'row',
         alignItems: 'center',
@@ -606,6 +802,19 @@ const styles = StyleSheet.create({
         fontWeight: '600',
         color: COLORS.textMuted,
     },
+    optionActive: {
+        backgroundColor: COLORS.primary + '30',
+        borderColor: COLORS.primary,
+    },
+    optionActiveText: {
+        color: COLORS.primary,
+    },
+    repeatRow: {
+        marginTop: 10,
+    },
+    followingOption: {
+        marginBottom: 16,
+    },
     saveBtn: {
         backgroundColor: COLORS.primary,
         padding: 16,
@@ -4,11 +4,11 @@ import {
   Text,
   TouchableOpacity,
   StyleSheet,
-  Image,
   Dimensions,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Feather } from '@expo/vector-icons';
+import SafeImage from '../SafeImage';
 
 const { width } = Dimensions.get('window');
 
@@ -56,7 +56,7 @@ const StatusRibbonCard = ({
         <View style={styles.avatarContainer}>
           <View style={styles.avatarWrapper}>
             {avatar ? (
-              <Image source={{ uri: avatar }} style={styles.avatar} />
+              <SafeImage uri={avatar} style={styles.avatar} fallbackText={null} />
             ) : (
               <View style={styles.defaultAvatar}>
                 <Feather name="user" size={28} color="#7487C1" />
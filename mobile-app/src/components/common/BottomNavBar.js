@@ -3,6 +3,7 @@ import { View, TouchableOpacity, Text, StyleSheet } from 'react-native';
 import { Feather } from '@expo/vector-icons';
 import { useAttendance } from '../../context/AttendanceContext';
 import { useAuth } from '../../context/AuthContext';
+import { useNotifications, formatBadgeCount } from '../../context/NotificationContext';
 import { Alert, Platform } from 'react-native';
 
 // Premium White Theme with Gold Accents
@@ -16,6 +17,7 @@ const COLORS = {
 const BottomNavBar = ({ navigation, activeTab = 'home' }) => {
     const { isCheckedIn } = useAttendance();
     const { user } = useAuth();
+    const { unreadCount } = useNotifications();
 
     // Different tabs based on subRole
     const designTeamTabs = [
@@ -84,6 +86,12 @@ const BottomNavBar = ({ navigation, activeTab = 'home' }) => {
                                 size={22}
                                 color={isActive ? COLORS.primary : COLORS.textMuted}
                             />
+                            {/* Live unread notifications on the home tab */}
+                            {tab.id === 'home' && unreadCount > 0 && (
+                                <View style={styles.badge}>
+                                    <Text style={styles.badgeText}>{formatBadgeCount(unreadCount)}</Text>
+                                </View>
+                            )}
                         </View>
                         <Text style={[styles.label, isActive && styles.activeLabel]}>
                             {tab.label}
@@ -123,6 +131,25 @@ const styles = StyleSheet.create({
     activeIconWrapper: {
         backgroundColor: 'rgba(255,215,0,0.15)',
     },
+    badge: {
+        position: 'absolute',
+        top: 0,
+        right: -4,
+        backgroundColor: '#EF4444',
+        borderRadius: 9,
+        minWidth: 18,
+        height: 18,
+        paddingHorizontal: 4,
+        alignItems: 'center',
+        justifyContent: 'center',
+        borderWidth: 2,
+        borderColor: COLORS.cardBg,
+    },
+    badgeText: {
+        color: '#FFFFFF',
+        fontSize: 9,
+        fontWeight: '700',
+    },
     label: {
         fontSize: 11,
         color: COLORS.textMuted,
@@ -1,6 +1,8 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { authAPI } from '../utils/api';
+import { authAPI, setSessionExpiredHandler } from '../utils/api';
+import socket, { connectSocket, disconnectSocket } from '../utils/socket';
+import { resumePendingUploads, PENDING_UPLOADS_KEY } from '../utils/chunkedUpload';
 
 const initialState = {
   user: null,
@@ -49,6 +51,7 @@ const AuthContext = createContext();
 
 const STORAGE_KEYS = {
   TOKEN: '@houseway_token',
+  REFRESH_TOKEN: '@houseway_refresh_token',
   USER: '@houseway_user',
 };
 
@@ -59,6 +62,56 @@ export const AuthProvider = ({ children }) => {
     loadStoredAuth();
   }, []);
 
+  // Session ended elsewhere: refresh token rejected, or revoked from another
+  // device / by an owner (server emits forceLogout before disconnecting)
+  useEffect(() => {
+    const endSession = () => {
+      clearStoredAuth()
+        .catch((error) => console.error('[AuthContext] Failed to clear storage:', error))
+        .finally(() => dispatch({ type: AUTH_ACTIONS.LOGOUT }));
+    };
+
+    setSessionExpiredHandler(endSession);
+    socket.on('forceLogout', endSession);
+    return () => {
+      setSessionExpiredHandler(null);
+      socket.off('forceLogout', endSession);
+    };
+  }, []);
+
+  // Socket handshakes are authenticated, so (re)connect whenever the token changes
+  useEffect(() => {
+    if (state.token) {
+      connectSocket();
+    } else {
+      disconnectSocket();
+    }
+  }, [state.token]);
+
+  // Finish large uploads the app was closed in the middle of
+  useEffect(() => {
+    if (state.token) {
+      resumePendingUploads().catch((error) => console.error('[AuthContext] Failed to resume uploads:', error));
+    }
+  }, [state.token]);
+
+  const clearStoredAuth = () => Promise.all([
+    AsyncStorage.removeItem(STORAGE_KEYS.TOKEN),
+    AsyncStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN),
+    AsyncStorage.removeItem(STORAGE_KEYS.USER),
+    AsyncStorage.removeItem('lastCheckIn'),
+    AsyncStorage.removeItem('attendanceCache'),
+    AsyncStorage.removeItem(PENDING_UPLOADS_KEY),
+  ]);
+
+  const storeSession = ({ user, token, refreshToken }) => Promise.all([
+    AsyncStorage.setItem(STORAGE_KEYS.TOKEN, token),
+    refreshToken
+      ? AsyncStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, refreshToken)
+      : AsyncStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN),
+    AsyncStorage.setItem(STORAGE_KEYS.USER, JSON.stringify(user)),
+  ]);
+
   const loadStoredAuth = async () => {
     try {
       dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
@@ -81,7 +134,18 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Save a new session and switch to the signed-in app
+  const completeLogin = async ({ user, token, refreshToken }) => {
+    await storeSession({ user, token, refreshToken });
+    dispatch({
+      type: AUTH_ACTIONS.LOGIN_SUCCESS,
+      payload: { user, token },
+    });
+  };
+
   // ✅ Login (no role/subRole here)
+  // With two-factor authentication on, resolves to { success: false, twoFactor: 'verify' | 'setup', twoFactorToken }
+  // and the screen finishes with verifyTwoFactor() or enrolment + completeLogin()
   const login = async (email, password) => {
     try {
       dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
@@ -91,28 +155,23 @@ export const AuthProvider = ({ children }) => {
 
       console.log('[AuthContext] Full login response:', response);
 
+      if (response.success && response.data.twoFactorToken) {
+        return {
+          success: false,
+          twoFactor: response.data.twoFactorRequired ? 'verify' : 'setup',
+          twoFactorToken: response.data.twoFactorToken,
+          message: response.message,
+        };
+      }
+
       if (response.success) {
-        const { user, token } = response.data;
+        const { user, token, refreshToken } = response.data;
 
         // 🧠 Debug logs to verify role & subRole
         console.log('[AuthContext] Login response user:', user);
         console.log('[AuthContext] Role:', user.role, '| SubRole:', user.subRole);
 
-        // Save to AsyncStorage
-        await Promise.all([
-          AsyncStorage.setItem(STORAGE_KEYS.TOKEN, token),
-          AsyncStorage.setItem(STORAGE_KEYS.USER, JSON.stringify(user)),
-        ]);
-
-        // Verify what’s stored
-        const savedUser = await AsyncStorage.getItem(STORAGE_KEYS.USER);
-        console.log('[AuthContext] Stored user in AsyncStorage:', JSON.parse(savedUser));
-
-        // Dispatch to reducer
-        dispatch({
-          type: AUTH_ACTIONS.LOGIN_SUCCESS,
-          payload: { user, token },
-        });
+        await completeLogin({ user, token, refreshToken });
 
         return { success: true, user, token };
       } else {
@@ -134,6 +193,20 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step: authenticator or backup code
+  const verifyTwoFactor = async (twoFactorToken, code) => {
+    try {
+      const response = await authAPI.verifyTwoFactor(twoFactorToken, code);
+      if (response.success) {
+        await completeLogin(response.data);
+        return { success: true, backupCodesRemaining: response.data.backupCodesRemaining };
+      }
+      return { success: false, message: response.message };
+    } catch (error) {
+      return { success: false, message: error?.message || 'Verification failed' };
+    }
+  };
+
 
   // ✅ Register (includes role + subRole)
   const register = async (userData) => {
@@ -146,12 +219,9 @@ export const AuthProvider = ({ children }) => {
       const response = await authAPI.register(userData);
 
       if (response.success) {
-        const { user, token } = response.data;
+        const { user, token, refreshToken } = response.data;
 
-        await Promise.all([
-          AsyncStorage.setItem(STORAGE_KEYS.TOKEN, token),
-          AsyncStorage.setItem(STORAGE_KEYS.USER, JSON.stringify(user)),
-        ]);
+        await storeSession({ user, token, refreshToken });
 
         dispatch({
           type: AUTH_ACTIONS.LOGIN_SUCCESS,
@@ -181,14 +251,16 @@ export const AuthProvider = ({ children }) => {
   const logout = async () => {
     try {
       console.log('[AuthContext] Starting logout process...');
-      
+
+      // End the session server-side; logging out locally must not depend on it
+      try {
+        await authAPI.logout();
+      } catch (error) {
+        console.warn('[AuthContext] Server logout failed:', error?.message);
+      }
+
       // Clear all app-related AsyncStorage keys
-      await Promise.all([
-        AsyncStorage.removeItem(STORAGE_KEYS.TOKEN),
-        AsyncStorage.removeItem(STORAGE_KEYS.USER),
-        AsyncStorage.removeItem('lastCheckIn'),
-        AsyncStorage.removeItem('attendanceCache'),
-      ]);
+      await clearStoredAuth();
 
       console.log('[AuthContext] All storage cleared successfully');
       dispatch({ type: AUTH_ACTIONS.LOGOUT });
@@ -247,6 +319,8 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated: state.isAuthenticated,
     error: state.error,
     login,
+    verifyTwoFactor,
+    completeLogin,
     register,
     logout,
     updateUser,
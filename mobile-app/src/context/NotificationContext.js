@@ -0,0 +1,123 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { notificationsAPI } from '../utils/api';
+import socket from '../utils/socket';
+import { useAuth } from './AuthContext';
+import ToastMessage from '../components/common/ToastMessage';
+
+const NotificationContext = createContext();
+
+const getToastType = (notification) => {
+  if (notification.type === 'payment_overdue') return 'error';
+  if (notification.priority === 'urgent' || notification.priority === 'high') return 'warning';
+  if (['quotation_accepted', 'payment_received', 'milestone_completed'].includes(notification.type)) {
+    return 'success';
+  }
+  return 'info';
+};
+
+/**
+ * Badge label for an unread count ("99+" above 99)
+ */
+export const formatBadgeCount = (count) => (count > 99 ? '99+' : String(count));
+
+export const useNotifications = () => {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    // Return safe defaults if used outside provider
+    return {
+      unreadCount: 0,
+      setUnreadCount: () => { },
+      refreshUnreadCount: async () => { },
+      subscribe: () => () => { },
+    };
+  }
+  return context;
+};
+
+/**
+ * Keeps a live unread-notification count from the server's `notification` and
+ * `notificationCount` socket events, and toasts incoming notifications.
+ */
+export const NotificationProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [toast, setToast] = useState(null);
+
+  const refreshUnreadCount = useCallback(async () => {
+    try {
+      const response = await notificationsAPI.getUnreadCount();
+      if (response.success) {
+        setUnreadCount(response.data?.count || 0);
+      }
+    } catch (error) {
+      console.error('[Notifications] Failed to load unread count:', error);
+    }
+  }, []);
+
+  // Screens (e.g. NotificationsScreen) can listen for incoming notifications
+  const subscribe = useCallback((listener) => {
+    const handler = ({ notification }) => listener(notification);
+    socket.on('notification', handler);
+    return () => socket.off('notification', handler);
+  }, []);
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setUnreadCount(0);
+      setToast(null);
+      return undefined;
+    }
+
+    refreshUnreadCount();
+
+    const handleNotification = ({ notification, unreadCount: count }) => {
+      if (typeof count === 'number') setUnreadCount(count);
+      if (notification) {
+        setToast({
+          id: notification._id,
+          message: notification.title,
+          type: getToastType(notification),
+        });
+      }
+    };
+
+    const handleCount = ({ unreadCount: count }) => {
+      if (typeof count === 'number') setUnreadCount(count);
+    };
+
+    socket.on('notification', handleNotification);
+    socket.on('notificationCount', handleCount);
+    // Catch up on anything missed while disconnected
+    socket.on('connect', refreshUnreadCount);
+
+    return () => {
+      socket.off('notification', handleNotification);
+      socket.off('notificationCount', handleCount);
+      socket.off('connect', refreshUnreadCount);
+    };
+  }, [isAuthenticated, refreshUnreadCount]);
+
+  const value = {
+    unreadCount,
+    setUnreadCount,
+    refreshUnreadCount,
+    subscribe,
+  };
+
+  return (
+    <NotificationContext.Provider value={value}>
+      {children}
+      {toast && (
+        <ToastMessage
+          key={toast.id}
+          visible
+          message={toast.message}
+          type={toast.type}
+          onHide={() => setToast(null)}
+        />
+      )}
+    </NotificationContext.Provider>
+  );
+};
+
+export default NotificationContext;
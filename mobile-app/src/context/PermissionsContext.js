@@ -0,0 +1,105 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { View, ActivityIndicator, StyleSheet } from 'react-native';
+import { authAPI } from '../utils/api';
+import { useAuth } from './AuthContext';
+
+const PermissionsContext = createContext();
+
+/**
+ * Stack screens that need a permission to be usable. Navigators leave these
+ * out when the user lacks it (the server enforces the same permissions).
+ */
+export const SCREEN_PERMISSIONS = {
+  // Employee: client management
+  ClientsList: 'clients.view',
+  ClientProfile: 'clients.view',
+  AddClient: 'clients.manage',
+  EditClient: 'clients.manage',
+  CreateInvoice: 'invoices.create',
+  CreateProject: 'projects.create',
+  // Vendor
+  MaterialRequests: 'materials.accept',
+  QuotationManagement: 'quotations.submit',
+  VendorDelivery: 'po.fulfil',
+  UploadWorkStatus: 'work-status.update',
+  // Owner
+  RolePermissions: 'permissions.manage',
+};
+
+export const usePermissions = () => {
+  const context = useContext(PermissionsContext);
+  if (!context) {
+    // Outside the provider nothing is hidden; the server still checks
+    return {
+      permissions: null,
+      can: () => true,
+      canOpen: () => true,
+      refreshPermissions: async () => { },
+    };
+  }
+  return context;
+};
+
+/**
+ * Loads the logged-in user's permissions from /auth/permissions.
+ * If they can't be loaded everything stays visible and the API decides.
+ */
+export const PermissionsProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [permissions, setPermissions] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const refreshPermissions = useCallback(async () => {
+    try {
+      const response = await authAPI.getPermissions();
+      if (response.success) {
+        setPermissions(response.data.permissions || []);
+      }
+    } catch (error) {
+      console.error('[Permissions] Failed to load permissions:', error);
+      setPermissions(null);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    setLoading(true);
+    refreshPermissions();
+  }, [user?._id, user?.role, user?.subRole, refreshPermissions]);
+
+  const can = useCallback((permission) => {
+    if (user?.role === 'owner' || permissions === null) return true;
+    return permissions.includes(permission);
+  }, [user?.role, permissions]);
+
+  const canOpen = useCallback((screenName) => {
+    const permission = SCREEN_PERMISSIONS[screenName];
+    return !permission || can(permission);
+  }, [can]);
+
+  if (loading) {
+    return (
+      <View style={styles.loading}>
+        <ActivityIndicator size="large" color="#D4AF37" />
+      </View>
+    );
+  }
+
+  return (
+    <PermissionsContext.Provider value={{ permissions, can, canOpen, refreshPermissions }}>
+      {children}
+    </PermissionsContext.Provider>
+  );
+};
+
+const styles = StyleSheet.create({
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+  },
+});
+
+export default PermissionsContext;
@@ -0,0 +1,48 @@
+/**
+ * useFileLink Hook
+ * Resolves a stored file to a short-lived signed link for display
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { getFileLink, getFileLinkById, forgetFileLink } from '../utils/fileLinks';
+
+/**
+ * Hook for getting a link that opens a stored file
+ * @param {string} uri - URL or path stored on a record
+ * @param {string} fileId - File record ID, used instead of uri when given
+ * @returns {Object} url (null until resolved), error, and refresh() to ask for a new link
+ */
+export const useFileLink = (uri, fileId) => {
+  const [url, setUrl] = useState(null);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    let active = true;
+    setUrl(null);
+    setError(null);
+    if (!uri && !fileId) return undefined;
+
+    (fileId ? getFileLinkById(fileId) : getFileLink(uri))
+      .then((link) => {
+        if (active) setUrl(link);
+      })
+      .catch((linkError) => {
+        if (active) setError(linkError);
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [uri, fileId, attempt]);
+
+  // Drop the cached link, e.g. when it stopped loading because it expired
+  const refresh = useCallback(() => {
+    forgetFileLink(fileId || uri);
+    setAttempt((count) => count + 1);
+  }, [uri, fileId]);
+
+  return { url, error, refresh };
+};
+
+export default useFileLink;
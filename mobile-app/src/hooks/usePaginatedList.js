@@ -0,0 +1,88 @@
+/**
+ * usePaginatedList Hook
+ * Infinite scroll over a list endpoint that pages with cursors
+ * (pagination.nextCursor, see the backend's utils/listQuery)
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+/**
+ * Hook for loading a list page by page
+ * @param {function} fetchPage - API call taking query params, e.g. notificationsAPI.getNotifications
+ * @param {Object} options
+ * @param {string} options.dataKey - Key of the items in response.data, e.g. 'notifications'
+ * @param {Object} options.params - Filters and sort; the list reloads when they change
+ * @param {number} options.limit - Page size (default: 20)
+ * @param {function} options.onResponse - Called with every successful response, e.g. to read extra fields
+ * @returns {Object} items, setItems, loading (first page), refreshing, loadingMore, hasMore, error,
+ *   refresh() for pull-to-refresh and loadMore() for FlatList onEndReached
+ */
+export const usePaginatedList = (fetchPage, { dataKey, params = {}, limit = 20, onResponse } = {}) => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  const cursor = useRef(null);
+  const busy = useRef(false);
+  // Bumped by every reload, so pages of an older load are dropped
+  const generation = useRef(0);
+  const latest = useRef({ fetchPage, params, onResponse });
+  latest.current = { fetchPage, params, onResponse };
+
+  const paramsKey = JSON.stringify(params);
+
+  const load = useCallback(async (mode) => {
+    const more = mode === 'more';
+    if (more && (busy.current || !cursor.current)) return;
+
+    const id = more ? generation.current : ++generation.current;
+    busy.current = true;
+    setError(null);
+    if (mode === 'refresh') setRefreshing(true);
+    if (more) setLoadingMore(true);
+
+    try {
+      const response = await latest.current.fetchPage({
+        ...latest.current.params,
+        limit,
+        ...(more ? { cursor: cursor.current } : {}),
+      });
+      if (id !== generation.current || !response.success) return;
+
+      const page = response.data?.[dataKey] || [];
+      cursor.current = response.data?.pagination?.nextCursor || null;
+      setHasMore(!!cursor.current);
+      setItems((previous) => {
+        if (!more) return page;
+        // Items added since the first page (e.g. over the socket) may show up again
+        const known = new Set(previous.map((item) => item._id));
+        return [...previous, ...page.filter((item) => !known.has(item._id))];
+      });
+      latest.current.onResponse?.(response);
+    } catch (loadError) {
+      console.error(`Load ${dataKey} error:`, loadError);
+      if (id === generation.current) setError(loadError);
+    } finally {
+      if (id === generation.current) {
+        busy.current = false;
+        setLoading(false);
+        setRefreshing(false);
+        setLoadingMore(false);
+      }
+    }
+  }, [dataKey, limit]);
+
+  useEffect(() => {
+    load('reload');
+  }, [load, paramsKey]);
+
+  const refresh = useCallback(() => load('refresh'), [load]);
+  const loadMore = useCallback(() => load('more'), [load]);
+
+  return { items, setItems, loading, refreshing, loadingMore, hasMore, error, refresh, loadMore };
+};
+
+export default usePaginatedList;
@@ -12,6 +12,8 @@ import ProfileScreen from '../screens/profile/ProfileScreen';
 import SettingsScreen from '../screens/SettingsScreen';
 import HelpScreen from '../screens/HelpScreen';
 import NotificationsScreen from '../screens/NotificationsScreen';
+import NotificationPreferencesScreen from '../screens/NotificationPreferencesScreen';
+import ActiveSessionsScreen from '../screens/ActiveSessionsScreen';
 import ServiceRequestsScreen from '../screens/services/ServiceRequestsScreen';
 import CreateServiceRequestScreen from '../screens/services/CreateServiceRequestScreen';
 import ServiceRequestDetailsScreen from '../screens/services/ServiceRequestDetailsScreen';
@@ -28,6 +30,8 @@ const DashboardStack = () => (
     <Stack.Screen name="ClientDashboard" component={ClientDashboardScreen} />
     <Stack.Screen name="ProfileScreen" component={ProfileScreen} />
     <Stack.Screen name="SettingsScreen" component={SettingsScreen} />
+    <Stack.Screen name="NotificationPreferences" component={NotificationPreferencesScreen} />
+    <Stack.Screen name="ActiveSessions" component={ActiveSessionsScreen} />
     <Stack.Screen name="HelpScreen" component={HelpScreen} />
     <Stack.Screen name="NotificationsScreen" component={NotificationsScreen} />
   </Stack.Navigator>
@@ -48,6 +52,8 @@ const ProfileStack = () => (
   <Stack.Navigator screenOptions={{ headerShown: false }}>
     <Stack.Screen name="ProfileDetails" component={ProfileScreen} />
     <Stack.Screen name="SettingsScreen" component={SettingsScreen} />
+    <Stack.Screen name="NotificationPreferences" component={NotificationPreferencesScreen} />
+    <Stack.Screen name="ActiveSessions" component={ActiveSessionsScreen} />
     <Stack.Screen name="HelpScreen" component={HelpScreen} />
     <Stack.Screen name="NotificationsScreen" component={NotificationsScreen} />
     <Stack.Screen name="ServiceRequests" component={ServiceRequestsScreen} />
@@ -1,5 +1,6 @@
 import React from 'react';
 import { createStackNavigator } from '@react-navigation/stack';
+import { usePermissions } from '../context/PermissionsContext';
 
 // Import screens
 import LoginSelectionScreen from '../screens/employee/LoginSelectionScreen';
@@ -10,6 +11,9 @@ import SettingsScreen from '../screens/SettingsScreen';
 import ProfileScreen from '../screens/employee/ProfileScreen';
 import HelpScreen from '../screens/HelpScreen';
 import NotificationsScreen from '../screens/NotificationsScreen';
+import NotificationPreferencesScreen from '../screens/NotificationPreferencesScreen';
+import ActiveSessionsScreen from '../screens/ActiveSessionsScreen';
+import TwoFactorScreen from '../screens/TwoFactorScreen';
 
 // Import executive screens
 import ExecutiveDashboardScreen from '../screens/executive/ExecutiveDashboardScreen';
@@ -41,6 +45,8 @@ import AboutHousewayScreen from '../screens/shared/AboutHousewayScreen';
 const Stack = createStackNavigator();
 
 const EmployeeNavigator = () => {
+  const { canOpen } = usePermissions();
+
   return (
     <Stack.Navigator
       initialRouteName="CheckIn"
@@ -88,63 +94,95 @@ const EmployeeNavigator = () => {
       />
 
       <Stack.Screen
-        name="HelpScreen"
-        component={HelpScreen}
+        name="NotificationPreferences"
+        component={NotificationPreferencesScreen}
         options={{
-          title: 'Help',
+          title: 'Notification Preferences',
         }}
       />
 
       <Stack.Screen
-        name="NotificationsScreen"
-        component={NotificationsScreen}
+        name="ActiveSessions"
+        component={ActiveSessionsScreen}
         options={{
-          title: 'Notifications',
+          title: 'Active Sessions',
         }}
       />
 
-      {/* Client Management Dashboard */}
       <Stack.Screen
-        name="HomeDashboard"
-        component={HomeDashboardScreen}
+        name="TwoFactor"
+        component={TwoFactorScreen}
         options={{
-          title: 'Client Management',
-          gestureEnabled: false, // Prevent going back to selection
+          title: 'Two-Factor Authentication',
         }}
       />
 
-      {/* Client Management Screens */}
       <Stack.Screen
-        name="ClientsList"
-        component={ClientsListScreen}
+        name="HelpScreen"
+        component={HelpScreen}
         options={{
-          title: 'Clients',
+          title: 'Help',
         }}
       />
 
       <Stack.Screen
-        name="ClientProfile"
-        component={ClientProfileScreen}
+        name="NotificationsScreen"
+        component={NotificationsScreen}
         options={{
-          title: 'Client Profile',
+          title: 'Notifications',
         }}
       />
 
+      {/* Client Management Dashboard */}
       <Stack.Screen
-        name="AddClient"
-        component={AddClientScreen}
+        name="HomeDashboard"
+        component={HomeDashboardScreen}
         options={{
-          title: 'Add Client',
+          title: 'Client Management',
+          gestureEnabled: false, // Prevent going back to selection
         }}
       />
 
-      <Stack.Screen
-        name="EditClient"
-        component={EditClientScreen}
-        options={{
-          title: 'Edit Client',
-        }}
-      />
+      {/* Client Management Screens */}
+      {canOpen('ClientsList') && (
+        <Stack.Screen
+          name="ClientsList"
+          component={ClientsListScreen}
+          options={{
+            title: 'Clients',
+          }}
+        />
+      )}
+
+      {canOpen('ClientProfile') && (
+        <Stack.Screen
+          name="ClientProfile"
+          component={ClientProfileScreen}
+          options={{
+            title: 'Client Profile',
+          }}
+        />
+      )}
+
+      {canOpen('AddClient') && (
+        <Stack.Screen
+          name="AddClient"
+          component={AddClientScreen}
+          options={{
+            title: 'Add Client',
+          }}
+        />
+      )}
+
+      {canOpen('EditClient') && (
+        <Stack.Screen
+          name="EditClient"
+          component={EditClientScreen}
+          options={{
+            title: 'Edit Client',
+          }}
+        />
+      )}
 
       <Stack.Screen
         name="ProjectList"
@@ -223,13 +261,15 @@ const EmployeeNavigator = () => {
         }}
       />
 
-      <Stack.Screen
-        name="CreateInvoice"
-        component={CreateInvoiceScreen}
-        options={{
-          title: 'Create Invoice',
-        }}
-      />
+      {canOpen('CreateInvoice') && (
+        <Stack.Screen
+          name="CreateInvoice"
+          component={CreateInvoiceScreen}
+          options={{
+            title: 'Create Invoice',
+          }}
+        />
+      )}
 
       <Stack.Screen
         name="ViewInvoice"
@@ -247,13 +287,15 @@ const EmployeeNavigator = () => {
         }}
       />
 
-      <Stack.Screen
-        name="CreateProject"
-        component={CreateProjectScreen}
-        options={{
-          title: 'Create Project',
-        }}
-      />
+      {canOpen('CreateProject') && (
+        <Stack.Screen
+          name="CreateProject"
+          component={CreateProjectScreen}
+          options={{
+            title: 'Create Project',
+          }}
+        />
+      )}
 
       <Stack.Screen
         name="Settings"
@@ -33,6 +33,10 @@ import AdminDeliveryTrackingScreen from '../screens/owner/AdminDeliveryTrackingS
 import SettingsScreen from '../screens/SettingsScreen';
 import HelpScreen from '../screens/HelpScreen';
 import NotificationsScreen from '../screens/NotificationsScreen';
+import NotificationPreferencesScreen from '../screens/NotificationPreferencesScreen';
+import ActiveSessionsScreen from '../screens/ActiveSessionsScreen';
+import TwoFactorScreen from '../screens/TwoFactorScreen';
+import RolePermissionsScreen from '../screens/owner/RolePermissionsScreen';
 
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
@@ -48,6 +52,11 @@ const OverviewStack = () => (
     <Stack.Screen name="AdminDeliveryTracking" component={AdminDeliveryTrackingScreen} />
     <Stack.Screen name="ProfileScreen" component={OwnerProfileScreen} />
     <Stack.Screen name="SettingsScreen" component={SettingsScreen} />
+    <Stack.Screen name="OwnerSettings" component={OwnerSettingsScreen} />
+    <Stack.Screen name="NotificationPreferences" component={NotificationPreferencesScreen} />
+    <Stack.Screen name="ActiveSessions" component={ActiveSessionsScreen} />
+    <Stack.Screen name="TwoFactor" component={TwoFactorScreen} />
+    <Stack.Screen name="RolePermissions" component={RolePermissionsScreen} />
     <Stack.Screen name="HelpScreen" component={HelpScreen} />
     <Stack.Screen name="NotificationsScreen" component={NotificationsScreen} />
   </Stack.Navigator>
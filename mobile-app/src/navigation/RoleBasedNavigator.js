@@ -1,5 +1,6 @@
 import React from 'react';
 import { useAuth } from '../context/AuthContext';
+import { PermissionsProvider } from '../context/PermissionsContext';
 
 // Import role-specific navigators
 import OwnerNavigator from './OwnerNavigator';
@@ -8,19 +9,8 @@ import VendorNavigator from './VendorNavigator';
 import ClientNavigator from './ClientNavigator';
 import GuestNavigator from './GuestNavigator';
 
-const RoleBasedNavigator = () => {
-  const { user } = useAuth();
-  
-  console.log('[RoleBasedNavigator] User:', user);
-
-  if (!user) {
-    console.log('[RoleBasedNavigator] No user, rendering GuestNavigator');
-    return <GuestNavigator />;
-  }
-
-  console.log('[RoleBasedNavigator] User role:', user.role);
-  
-  switch (user.role) {
+const RoleNavigator = ({ role }) => {
+  switch (role) {
     case 'owner':
       console.log('[RoleBasedNavigator] Rendering OwnerNavigator');
       return <OwnerNavigator />;
@@ -40,4 +30,24 @@ const RoleBasedNavigator = () => {
   }
 };
 
+const RoleBasedNavigator = () => {
+  const { user } = useAuth();
+  
+  console.log('[RoleBasedNavigator] User:', user);
+
+  if (!user) {
+    console.log('[RoleBasedNavigator] No user, rendering GuestNavigator');
+    return <GuestNavigator />;
+  }
+
+  console.log('[RoleBasedNavigator] User role:', user.role);
+
+  // Screens the user has no permission for are left out of their navigator
+  return (
+    <PermissionsProvider>
+      <RoleNavigator role={user.role} />
+    </PermissionsProvider>
+  );
+};
+
 export default RoleBasedNavigator;
\ No newline at end of file
@@ -3,6 +3,7 @@ import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createStackNavigator } from '@react-navigation/stack';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import theme from '../styles/theme';
+import { usePermissions } from '../context/PermissionsContext';
 
 // Vendor Screens
 import VendorDashboardScreen from '../screens/vendor/VendorDashboardScreen';
@@ -20,6 +21,8 @@ import VendorDeliveryScreen from '../screens/vendor/VendorDeliveryScreen';
 import SettingsScreen from '../screens/SettingsScreen';
 import HelpScreen from '../screens/HelpScreen';
 import NotificationsScreen from '../screens/NotificationsScreen';
+import NotificationPreferencesScreen from '../screens/NotificationPreferencesScreen';
+import ActiveSessionsScreen from '../screens/ActiveSessionsScreen';
 
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
@@ -28,25 +31,39 @@ const Stack = createStackNavigator();
    INDIVIDUAL STACKS
 =========================== */
 
-const HomeStack = () => (
-  <Stack.Navigator screenOptions={{ headerShown: false }}>
-    <Stack.Screen name="VendorDashboard" component={VendorDashboardScreen} />
-    <Stack.Screen name="ProfileScreen" component={VendorProfileScreen} />
-    <Stack.Screen name="SettingsScreen" component={SettingsScreen} />
-    <Stack.Screen name="HelpScreen" component={HelpScreen} />
-    <Stack.Screen name="NotificationsScreen" component={NotificationsScreen} />
-    <Stack.Screen name="NegotiationChat" component={SharedNegotiationChatScreen} />
-    <Stack.Screen name="MaterialRequests" component={MaterialRequestsScreen} />
-  </Stack.Navigator>
-);
+const HomeStack = () => {
+  const { canOpen } = usePermissions();
 
-const OrdersStack = () => (
-  <Stack.Navigator screenOptions={{ headerShown: false }}>
-    <Stack.Screen name="VendorOrders" component={VendorOrdersScreen} />
-    <Stack.Screen name="NegotiationChat" component={SharedNegotiationChatScreen} />
-    <Stack.Screen name="VendorDelivery" component={VendorDeliveryScreen} />
-  </Stack.Navigator>
-);
+  return (
+    <Stack.Navigator screenOptions={{ headerShown: false }}>
+      <Stack.Screen name="VendorDashboard" component={VendorDashboardScreen} />
+      <Stack.Screen name="ProfileScreen" component={VendorProfileScreen} />
+      <Stack.Screen name="SettingsScreen" component={SettingsScreen} />
+      <Stack.Screen name="NotificationPreferences" component={NotificationPreferencesScreen} />
+      <Stack.Screen name="ActiveSessions" component={ActiveSessionsScreen} />
+      <Stack.Screen name="HelpScreen" component={HelpScreen} />
+      <Stack.Screen name="NotificationsScreen" component={NotificationsScreen} />
+      <Stack.Screen name="NegotiationChat" component={SharedNegotiationChatScreen} />
+      {canOpen('MaterialRequests') && (
+        <Stack.Screen name="MaterialRequests" component={MaterialRequestsScreen} />
+      )}
+    </Stack.Navigator>
+  );
+};
+
+const OrdersStack = () => {
+  const { canOpen } = usePermissions();
+
+  return (
+    <Stack.Navigator screenOptions={{ headerShown: false }}>
+      <Stack.Screen name="VendorOrders" component={VendorOrdersScreen} />
+      <Stack.Screen name="NegotiationChat" component={SharedNegotiationChatScreen} />
+      {canOpen('VendorDelivery') && (
+        <Stack.Screen name="VendorDelivery" component={VendorDeliveryScreen} />
+      )}
+    </Stack.Navigator>
+  );
+};
 
 const PaymentsStack = () => (
   <Stack.Navigator screenOptions={{ headerShown: false }}>
@@ -54,27 +71,41 @@ const PaymentsStack = () => (
   </Stack.Navigator>
 );
 
-const ProfileStack = () => (
-  <Stack.Navigator screenOptions={{ headerShown: false }}>
-    <Stack.Screen name="VendorProfile" component={VendorProfileScreen} />
-    <Stack.Screen name="MediaGallery" component={MediaGalleryScreen} />
-    <Stack.Screen name="WorkUpdates" component={WorkUpdatesScreen} />
-    <Stack.Screen name="UploadWorkStatus" component={UploadWorkStatusScreen} />
-  </Stack.Navigator>
-);
+const ProfileStack = () => {
+  const { canOpen } = usePermissions();
 
-const RequestsStack = () => (
-  <Stack.Navigator screenOptions={{ headerShown: false }}>
-    <Stack.Screen name="MaterialRequests" component={MaterialRequestsScreen} />
-    <Stack.Screen name="QuotationManagement" component={MaterialRequestsScreen} />
-  </Stack.Navigator>
-);
+  return (
+    <Stack.Navigator screenOptions={{ headerShown: false }}>
+      <Stack.Screen name="VendorProfile" component={VendorProfileScreen} />
+      <Stack.Screen name="MediaGallery" component={MediaGalleryScreen} />
+      <Stack.Screen name="WorkUpdates" component={WorkUpdatesScreen} />
+      {canOpen('UploadWorkStatus') && (
+        <Stack.Screen name="UploadWorkStatus" component={UploadWorkStatusScreen} />
+      )}
+    </Stack.Navigator>
+  );
+};
+
+const RequestsStack = () => {
+  const { canOpen } = usePermissions();
+
+  return (
+    <Stack.Navigator screenOptions={{ headerShown: false }}>
+      <Stack.Screen name="MaterialRequests" component={MaterialRequestsScreen} />
+      {canOpen('QuotationManagement') && (
+        <Stack.Screen name="QuotationManagement" component={MaterialRequestsScreen} />
+      )}
+    </Stack.Navigator>
+  );
+};
 
 /* ===========================
    MAIN TAB NAVIGATOR
 =========================== */
 
 const VendorNavigator = () => {
+  const { canOpen } = usePermissions();
+
   return (
     <Tab.Navigator
       screenOptions={({ route }) => ({
@@ -121,20 +152,22 @@ const VendorNavigator = () => {
         component={HomeStack}
         options={{ tabBarLabel: 'Dashboard' }}
       />
-      <Tab.Screen
-        name="Requests"
-        component={RequestsStack}
-        options={{ 
-          tabBarLabel: 'Requests',
-          tabBarIcon: ({ focused, color }) => (
-            <MaterialCommunityIcons 
-              name={focused ? 'file-document' : 'file-document-outline'} 
-              size={22} 
-              color={color} 
-            />
-          ),
-        }}
-      />
+      {canOpen('MaterialRequests') && (
+        <Tab.Screen
+          name="Requests"
+          component={RequestsStack}
+          options={{
+            tabBarLabel: 'Requests',
+            tabBarIcon: ({ focused, color }) => (
+              <MaterialCommunityIcons
+                name={focused ? 'file-document' : 'file-document-outline'}
+                size={22}
+                color={color}
+              />
+            ),
+          }}
+        />
+      )}
       <Tab.Screen
         name="Orders"
         component={OrdersStack}
@@ -0,0 +1,311 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import CommonHeader from '../components/CommonHeader';
+import { authAPI } from '../utils/api';
+
+const COLORS = {
+  primary: '#D4AF37',
+  background: '#FFFFFF',
+  text: '#1A1A1A',
+  textMuted: '#6B7280',
+  border: '#E5E7EB',
+  danger: '#EF4444',
+  success: '#10B981',
+};
+
+const showMessage = (title, message) => {
+  if (Platform.OS === 'web') {
+    window.alert(message);
+  } else {
+    Alert.alert(title, message);
+  }
+};
+
+const confirmAction = (title, message, onConfirm) => {
+  if (Platform.OS === 'web') {
+    if (window.confirm(message)) onConfirm();
+    return;
+  }
+  Alert.alert(title, message, [
+    { text: 'Cancel', style: 'cancel' },
+    { text: 'Sign out', style: 'destructive', onPress: onConfirm },
+  ]);
+};
+
+/**
+ * Rough device description from a session's user agent
+ */
+const describeDevice = (userAgent = '') => {
+  const ua = userAgent.toLowerCase();
+  if (ua.includes('okhttp') || ua.includes('android')) return { label: 'Android', icon: 'smartphone' };
+  if (ua.includes('iphone') || ua.includes('ipad') || ua.includes('cfnetwork') || ua.includes('darwin')) {
+    return { label: 'iOS', icon: 'smartphone' };
+  }
+  if (ua.includes('mozilla')) return { label: 'Web browser', icon: 'monitor' };
+  return { label: 'Unknown device', icon: 'help-circle' };
+};
+
+const formatDate = (value) => {
+  if (!value) return '—';
+  return new Date(value).toLocaleString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+export default function ActiveSessionsScreen() {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await authAPI.getSessions();
+      if (response.success) {
+        setSessions(response.data.sessions || []);
+      }
+    } catch (error) {
+      console.error('Load sessions error:', error);
+      showMessage('Error', 'Failed to load active sessions.');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = (session) => {
+    confirmAction('Sign out device', 'Sign out this device? It will need to log in again.', async () => {
+      try {
+        setBusyId(session._id);
+        await authAPI.revokeSession(session._id);
+        setSessions((prev) => prev.filter((s) => s._id !== session._id));
+      } catch (error) {
+        showMessage('Error', error.message || 'Failed to sign out device.');
+      } finally {
+        setBusyId(null);
+      }
+    });
+  };
+
+  const handleRevokeOthers = () => {
+    confirmAction('Sign out other devices', 'Sign out every device except this one?', async () => {
+      try {
+        setBusyId('others');
+        await authAPI.revokeOtherSessions();
+        setSessions((prev) => prev.filter((s) => s.current));
+      } catch (error) {
+        showMessage('Error', error.message || 'Failed to sign out other devices.');
+      } finally {
+        setBusyId(null);
+      }
+    });
+  };
+
+  const otherSessions = sessions.filter((s) => !s.current);
+
+  return (
+    <View style={styles.container}>
+      <CommonHeader title="Active Sessions" userRole="" showNotifications={false} />
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+        </View>
+      ) : (
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+          refreshControl={(
+            <RefreshControl
+              refreshing={refreshing}
+              onRefresh={() => { setRefreshing(true); loadSessions(); }}
+              tintColor={COLORS.primary}
+            />
+          )}
+        >
+          <Text style={styles.hint}>
+            Devices signed in to your account. Sign out any you don't recognise.
+          </Text>
+
+          <View style={styles.sectionContent}>
+            {sessions.length === 0 && (
+              <Text style={styles.emptyText}>No active sessions</Text>
+            )}
+            {sessions.map((session, index) => {
+              const device = describeDevice(session.userAgent);
+              return (
+                <View
+                  key={session._id}
+                  style={[styles.row, index < sessions.length - 1 && styles.rowBorder]}
+                >
+                  <View style={styles.iconContainer}>
+                    <Feather name={device.icon} size={18} color={COLORS.primary} />
+                  </View>
+                  <View style={styles.rowInfo}>
+                    <View style={styles.titleRow}>
+                      <Text style={styles.rowLabel}>{device.label}</Text>
+                      {session.current && (
+                        <View style={styles.currentBadge}>
+                          <Text style={styles.currentBadgeText}>This device</Text>
+                        </View>
+                      )}
+                    </View>
+                    <Text style={styles.rowSubtext}>
+                      Last active {formatDate(session.lastUsedAt)}
+                      {session.ip ? ` · ${session.ip}` : ''}
+                    </Text>
+                    <Text style={styles.rowSubtext}>Signed in {formatDate(session.createdAt)}</Text>
+                  </View>
+                  {!session.current && (
+                    <TouchableOpacity
+                      onPress={() => handleRevoke(session)}
+                      disabled={busyId !== null}
+                      style={styles.revokeButton}
+                    >
+                      {busyId === session._id ? (
+                        <ActivityIndicator size="small" color={COLORS.danger} />
+                      ) : (
+                        <Feather name="log-out" size={18} color={COLORS.danger} />
+                      )}
+                    </TouchableOpacity>
+                  )}
+                </View>
+              );
+            })}
+          </View>
+
+          {otherSessions.length > 0 && (
+            <TouchableOpacity
+              style={styles.revokeAllButton}
+              onPress={handleRevokeOthers}
+              disabled={busyId !== null}
+            >
+              {busyId === 'others' ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={styles.revokeAllText}>Sign out all other devices</Text>
+              )}
+            </TouchableOpacity>
+          )}
+        </ScrollView>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: 16,
+    paddingVertical: 20,
+  },
+  hint: {
+    fontSize: 13,
+    color: COLORS.textMuted,
+    marginBottom: 12,
+    paddingHorizontal: 4,
+  },
+  sectionContent: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: 'rgba(0, 0, 0, 0.05)',
+    overflow: 'hidden',
+  },
+  emptyText: {
+    padding: 16,
+    color: COLORS.textMuted,
+    textAlign: 'center',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+  },
+  rowBorder: {
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(0, 0, 0, 0.05)',
+  },
+  iconContainer: {
+    width: 36,
+    height: 36,
+    borderRadius: 10,
+    backgroundColor: 'rgba(184, 134, 11, 0.1)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  rowLabel: {
+    fontSize: 15,
+    color: '#2C2C2C',
+    fontWeight: '500',
+  },
+  rowSubtext: {
+    fontSize: 12,
+    color: COLORS.textMuted,
+    marginTop: 2,
+  },
+  currentBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 8,
+    backgroundColor: 'rgba(16, 185, 129, 0.12)',
+  },
+  currentBadgeText: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: COLORS.success,
+  },
+  revokeButton: {
+    padding: 8,
+  },
+  revokeAllButton: {
+    marginTop: 20,
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: COLORS.danger,
+    alignItems: 'center',
+  },
+  revokeAllText: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+    fontSize: 15,
+  },
+});
@@ -0,0 +1,413 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Switch,
+  TextInput,
+  ActivityIndicator,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import CommonHeader from '../components/CommonHeader';
+import { notificationsAPI } from '../utils/api';
+
+const COLORS = {
+  primary: '#D4AF37',
+  background: '#FFFFFF',
+  text: '#1A1A1A',
+  textMuted: '#6B7280',
+  border: '#E5E7EB',
+  danger: '#EF4444',
+};
+
+const CHANNELS = [
+  { key: 'inApp', label: 'In-app', icon: 'bell' },
+  { key: 'push', label: 'Push', icon: 'smartphone' },
+  { key: 'email', label: 'Email', icon: 'mail' },
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const showMessage = (title, message) => {
+  if (Platform.OS === 'web') {
+    window.alert(message);
+  } else {
+    Alert.alert(title, message);
+  }
+};
+
+const getDeviceTimezone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+export default function NotificationPreferencesScreen() {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [types, setTypes] = useState([]);
+  const [preferences, setPreferences] = useState(null);
+
+  useEffect(() => {
+    loadPreferences();
+  }, []);
+
+  const loadPreferences = async () => {
+    try {
+      const response = await notificationsAPI.getPreferences();
+      if (response.success) {
+        setTypes(response.data.types || []);
+        setPreferences(response.data.preferences);
+      }
+    } catch (error) {
+      console.error('Load notification preferences error:', error);
+      showMessage('Error', 'Failed to load notification preferences.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleChannel = (type, channel) => {
+    setPreferences((prev) => {
+      const current = prev.types[type];
+      const next = { ...current, [channel]: !current[channel] };
+      // Push alerts belong to in-app notifications
+      if (channel === 'inApp' && !next.inApp) next.push = false;
+      if (channel === 'push' && next.push) next.inApp = true;
+      return { ...prev, types: { ...prev.types, [type]: next } };
+    });
+  };
+
+  const updateSection = (section, changes) => {
+    setPreferences((prev) => ({ ...prev, [section]: { ...prev[section], ...changes } }));
+  };
+
+  const handleSave = async () => {
+    const { quietHours, dailyDigest } = preferences;
+    const times = [quietHours.start, quietHours.end, dailyDigest.time];
+    if (times.some((time) => !TIME_PATTERN.test(time))) {
+      showMessage('Invalid time', 'Please enter times as HH:MM (24-hour), e.g. 22:00.');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await notificationsAPI.updatePreferences({
+        ...preferences,
+        timezone: getDeviceTimezone() || preferences.timezone,
+      });
+      if (response.success) {
+        setPreferences(response.data.preferences);
+        showMessage('Saved', 'Notification preferences updated.');
+      }
+    } catch (error) {
+      console.error('Save notification preferences error:', error);
+      showMessage('Error', error.message || 'Failed to save notification preferences.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !preferences) {
+    return (
+      <View style={styles.container}>
+        <CommonHeader title="Notification Preferences" userRole="" showNotifications={false} />
+        <View style={styles.loadingContainer}>
+          {loading ? (
+            <ActivityIndicator size="large" color={COLORS.primary} />
+          ) : (
+            <TouchableOpacity style={styles.retryButton} onPress={() => { setLoading(true); loadPreferences(); }}>
+              <Text style={styles.retryText}>Retry</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  }
+
+  const renderTimeInput = (value, onChange) => (
+    <TextInput
+      style={styles.timeInput}
+      value={value}
+      onChangeText={onChange}
+      placeholder="HH:MM"
+      placeholderTextColor="#9CA3AF"
+      maxLength={5}
+      keyboardType="numbers-and-punctuation"
+    />
+  );
+
+  return (
+    <View style={styles.container}>
+      <CommonHeader title="Notification Preferences" userRole="" showNotifications={false} />
+      <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+        {/* Quiet Hours */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Quiet Hours</Text>
+          <View style={styles.sectionContent}>
+            <View style={[styles.row, preferences.quietHours.enabled && styles.rowBorder]}>
+              <View style={styles.rowLeft}>
+                <View style={styles.iconContainer}>
+                  <Feather name="moon" size={18} color={COLORS.primary} />
+                </View>
+                <View style={styles.rowInfo}>
+                  <Text style={styles.rowLabel}>Pause alerts</Text>
+                  <Text style={styles.rowSubtext}>No push alerts or emails, except urgent ones</Text>
+                </View>
+              </View>
+              <Switch
+                value={preferences.quietHours.enabled}
+                onValueChange={(enabled) => updateSection('quietHours', { enabled })}
+                trackColor={{ false: '#D1D5DB', true: COLORS.primary }}
+                thumbColor="#FFFFFF"
+              />
+            </View>
+            {preferences.quietHours.enabled && (
+              <View style={styles.timeRow}>
+                <Text style={styles.timeLabel}>From</Text>
+                {renderTimeInput(preferences.quietHours.start, (start) => updateSection('quietHours', { start }))}
+                <Text style={styles.timeLabel}>To</Text>
+                {renderTimeInput(preferences.quietHours.end, (end) => updateSection('quietHours', { end }))}
+              </View>
+            )}
+          </View>
+        </View>
+
+        {/* Daily Digest */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Daily Digest</Text>
+          <View style={styles.sectionContent}>
+            <View style={[styles.row, preferences.dailyDigest.enabled && styles.rowBorder]}>
+              <View style={styles.rowLeft}>
+                <View style={styles.iconContainer}>
+                  <Feather name="inbox" size={18} color={COLORS.primary} />
+                </View>
+                <View style={styles.rowInfo}>
+                  <Text style={styles.rowLabel}>Email once a day</Text>
+                  <Text style={styles.rowSubtext}>Bundle notification emails into one summary</Text>
+                </View>
+              </View>
+              <Switch
+                value={preferences.dailyDigest.enabled}
+                onValueChange={(enabled) => updateSection('dailyDigest', { enabled })}
+                trackColor={{ false: '#D1D5DB', true: COLORS.primary }}
+                thumbColor="#FFFFFF"
+              />
+            </View>
+            {preferences.dailyDigest.enabled && (
+              <View style={styles.timeRow}>
+                <Text style={styles.timeLabel}>Send at</Text>
+                {renderTimeInput(preferences.dailyDigest.time, (time) => updateSection('dailyDigest', { time }))}
+              </View>
+            )}
+          </View>
+        </View>
+
+        {/* Per-type channels */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Notification Types</Text>
+          <View style={styles.sectionContent}>
+            {types.map(({ type, label }, idx) => {
+              const channels = preferences.types[type] || {};
+              return (
+                <View key={type} style={[styles.typeRow, idx < types.length - 1 && styles.rowBorder]}>
+                  <Text style={styles.rowLabel}>{label}</Text>
+                  <View style={styles.channelRow}>
+                    {CHANNELS.map((channel) => {
+                      const active = !!channels[channel.key];
+                      return (
+                        <TouchableOpacity
+                          key={channel.key}
+                          style={[styles.channelChip, active && styles.channelChipActive]}
+                          onPress={() => toggleChannel(type, channel.key)}
+                        >
+                          <Feather name={channel.icon} size={13} color={active ? '#FFFFFF' : COLORS.textMuted} />
+                          <Text style={[styles.channelText, active && styles.channelTextActive]}>
+                            {channel.label}
+                          </Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                </View>
+              );
+            })}
+          </View>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.saveButton, saving && styles.saveButtonDisabled]}
+          onPress={handleSave}
+          disabled={saving}
+        >
+          {saving ? (
+            <ActivityIndicator color="#FFFFFF" />
+          ) : (
+            <Text style={styles.saveText}>Save Preferences</Text>
+          )}
+        </TouchableOpacity>
+
+        <View style={{ height: 40 }} />
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  retryButton: {
+    paddingHorizontal: 24,
+    paddingVertical: 10,
+    borderRadius: 10,
+    backgroundColor: COLORS.primary,
+  },
+  retryText: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: 16,
+    paddingVertical: 20,
+  },
+  section: {
+    marginBottom: 24,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#999',
+    marginBottom: 8,
+    paddingHorizontal: 4,
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+  },
+  sectionContent: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: 'rgba(0, 0, 0, 0.05)',
+    overflow: 'hidden',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+  },
+  rowBorder: {
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(0, 0, 0, 0.05)',
+  },
+  rowLeft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    flex: 1,
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  iconContainer: {
+    width: 36,
+    height: 36,
+    borderRadius: 10,
+    backgroundColor: 'rgba(184, 134, 11, 0.1)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  rowLabel: {
+    fontSize: 15,
+    color: '#2C2C2C',
+    fontWeight: '500',
+  },
+  rowSubtext: {
+    fontSize: 12,
+    color: COLORS.textMuted,
+    marginTop: 2,
+  },
+  timeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  timeLabel: {
+    fontSize: 14,
+    color: COLORS.textMuted,
+  },
+  timeInput: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    fontSize: 15,
+    color: COLORS.text,
+    minWidth: 72,
+    textAlign: 'center',
+  },
+  typeRow: {
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  channelRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 8,
+  },
+  channelChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  channelChipActive: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  channelText: {
+    fontSize: 12,
+    color: COLORS.textMuted,
+    fontWeight: '500',
+  },
+  channelTextActive: {
+    color: '#FFFFFF',
+  },
+  saveButton: {
+    backgroundColor: COLORS.primary,
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  saveButtonDisabled: {
+    opacity: 0.7,
+  },
+  saveText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
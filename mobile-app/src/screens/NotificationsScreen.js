@@ -1,8 +1,10 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useEffect } from 'react';
 import { View, Text, StyleSheet, FlatList, TouchableOpacity, RefreshControl, ActivityIndicator, Alert } from 'react-native';
 import { Feather } from '@expo/vector-icons';
 import CommonHeader from '../components/CommonHeader';
 import { notificationsAPI } from '../utils/api';
+import { useNotifications } from '../context/NotificationContext';
+import { usePaginatedList } from '../hooks/usePaginatedList';
 
 const COLORS = {
   primary: '#D4AF37',
@@ -16,59 +18,30 @@ const COLORS = {
 };
 
 export default function NotificationsScreen({ navigation }) {
-  const [refreshing, setRefreshing] = useState(false);
-  const [loading, setLoading] = useState(true);
-  const [notifications, setNotifications] = useState([]);
-  const [unreadCount, setUnreadCount] = useState(0);
-  const [page, setPage] = useState(1);
-  const [hasMore, setHasMore] = useState(true);
+  // Shared with headers/bottom navs and kept live over the socket
+  const { unreadCount, setUnreadCount, subscribe } = useNotifications();
+  const {
+    items: notifications,
+    setItems: setNotifications,
+    loading,
+    refreshing,
+    loadingMore,
+    refresh: onRefresh,
+    loadMore: handleLoadMore,
+  } = usePaginatedList(notificationsAPI.getNotifications, {
+    dataKey: 'notifications',
+    onResponse: (response) => setUnreadCount(response.data?.unreadCount || 0),
+  });
 
+  // Prepend notifications pushed in real time
   useEffect(() => {
-    loadNotifications();
-  }, []);
-
-  const loadNotifications = async (isRefresh = false) => {
-    try {
-      if (isRefresh) {
-        setRefreshing(true);
-        setPage(1);
-      } else if (page === 1) {
-        setLoading(true);
-      }
-
-      const response = await notificationsAPI.getNotifications({
-        page: isRefresh ? 1 : page,
-        limit: 20,
+    return subscribe((notification) => {
+      setNotifications((prev) => {
+        if (prev.some((n) => n._id === notification._id)) return prev;
+        return [notification, ...prev];
       });
-
-      if (response.success) {
-        const newNotifications = response.data?.notifications || [];
-        if (isRefresh || page === 1) {
-          setNotifications(newNotifications);
-        } else {
-          setNotifications((prev) => [...prev, ...newNotifications]);
-        }
-        setUnreadCount(response.data?.unreadCount || 0);
-        setHasMore(newNotifications.length >= 20);
-      }
-    } catch (error) {
-      console.error('Load notifications error:', error);
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
-  };
-
-  const onRefresh = useCallback(() => {
-    loadNotifications(true);
-  }, []);
-
-  const handleLoadMore = () => {
-    if (!loading && !refreshing && hasMore) {
-      setPage((prev) => prev + 1);
-      loadNotifications();
-    }
-  };
+    });
+  }, [subscribe]);
 
   const handleMarkAsRead = async (id) => {
     try {
@@ -138,12 +111,18 @@ export default function NotificationsScreen({ navigation }) {
       case 'invoice_generated':
       case 'payment_received':
         return 'credit-card';
+      case 'payment_overdue':
+        return 'alert-circle';
+      case 'delivery_update':
+        return 'truck';
       case 'message_received':
         return 'message-circle';
       case 'material_request':
         return 'package';
       case 'work_status_update':
         return 'tool';
+      case 'document_approval':
+        return 'edit-3';
       default:
         return 'bell';
     }
@@ -159,8 +138,11 @@ export default function NotificationsScreen({ navigation }) {
       case 'deadline_reminder':
       case 'schedule_reminder':
         return COLORS.warning;
+      case 'payment_overdue':
+        return COLORS.error;
       case 'project_update':
       case 'message_received':
+      case 'delivery_update':
         return COLORS.info;
       default:
         return COLORS.primary;
@@ -288,7 +270,7 @@ export default function NotificationsScreen({ navigation }) {
         onEndReached={handleLoadMore}
         onEndReachedThreshold={0.5}
         ListFooterComponent={
-          loading && notifications.length > 0 ? (
+          loadingMore ? (
             <ActivityIndicator style={{ padding: 20 }} color={COLORS.primary} />
           ) : null
         }
@@ -65,13 +65,19 @@ export default function SettingsScreen() {
       items: [
         { icon: 'user', label: 'Edit Profile', action: () => navigation.navigate('ProfileScreen') },
         { icon: 'lock', label: 'Change Password', action: handleChangePassword },
-        { icon: 'mail', label: 'Email Preferences', action: () => {} },
+        { icon: 'smartphone', label: 'Active Sessions', action: () => navigation.navigate('ActiveSessions') },
+        // Two-factor authentication is for owner and employee accounts
+        ...(['owner', 'employee'].includes(user?.role)
+          ? [{ icon: 'shield', label: 'Two-Factor Authentication', action: () => navigation.navigate('TwoFactor') }]
+          : []),
+        { icon: 'mail', label: 'Email Preferences', action: () => navigation.navigate('NotificationPreferences') },
       ]
     },
     {
       title: 'App Settings',
       items: [
         { icon: 'bell', label: 'Notifications', action: () => navigation.navigate('NotificationsScreen') },
+        { icon: 'sliders', label: 'Notification Preferences', action: () => navigation.navigate('NotificationPreferences') },
         { icon: 'globe', label: 'Language', action: () => {} },
         { icon: 'moon', label: 'Dark Mode', action: () => {} },
       ]
@@ -0,0 +1,419 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Switch,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import CommonHeader from '../components/CommonHeader';
+import TwoFactorEnrollment from '../components/TwoFactorEnrollment';
+import { usePermissions } from '../context/PermissionsContext';
+import { authAPI } from '../utils/api';
+
+const COLORS = {
+  primary: '#D4AF37',
+  background: '#FFFFFF',
+  text: '#1A1A1A',
+  textMuted: '#6B7280',
+  border: '#E5E7EB',
+  danger: '#EF4444',
+  success: '#10B981',
+};
+
+const SUBJECT_LABELS = {
+  owner: 'Owners',
+  employee: 'All employees',
+  'employee:designTeam': 'Design Team',
+  'employee:vendorTeam': 'Vendor Team',
+  'employee:executionTeam': 'Execution Team',
+};
+
+const showMessage = (title, message) => {
+  if (Platform.OS === 'web') {
+    window.alert(message);
+  } else {
+    Alert.alert(title, message);
+  }
+};
+
+const formatDate = (value) => {
+  if (!value) return '—';
+  return new Date(value).toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+  });
+};
+
+export default function TwoFactorScreen() {
+  const { can } = usePermissions();
+  const [status, setStatus] = useState(null);
+  const [policy, setPolicy] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [enrolling, setEnrolling] = useState(false);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const response = await authAPI.getTwoFactorStatus();
+      if (response.success) {
+        setStatus(response.data);
+      }
+    } catch (error) {
+      console.error('Load two-factor status error:', error);
+      showMessage('Error', 'Failed to load two-factor status.');
+    }
+  }, []);
+
+  const loadPolicy = useCallback(async () => {
+    if (!can('security.manage')) return;
+    try {
+      const response = await authAPI.getTwoFactorPolicy();
+      if (response.success) {
+        setPolicy(response.data);
+      }
+    } catch (error) {
+      setPolicy(null);
+    }
+  }, [can]);
+
+  useEffect(() => {
+    Promise.all([loadStatus(), loadPolicy()]).finally(() => setLoading(false));
+  }, [loadStatus, loadPolicy]);
+
+  const handleEnrolled = () => {
+    setEnrolling(false);
+    loadStatus();
+  };
+
+  const handleRegenerate = async () => {
+    if (!code.trim()) {
+      showMessage('Error', 'Enter a code from your authenticator app.');
+      return;
+    }
+    try {
+      setBusy('codes');
+      const response = await authAPI.regenerateBackupCodes(code.trim());
+      setBackupCodes(response.data.backupCodes);
+      setCode('');
+      loadStatus();
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to generate backup codes.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDisable = async () => {
+    if (!password || !code.trim()) {
+      showMessage('Error', 'Enter your password and a code from your authenticator app.');
+      return;
+    }
+    try {
+      setBusy('disable');
+      await authAPI.disableTwoFactor(password, code.trim());
+      setCode('');
+      setPassword('');
+      setBackupCodes(null);
+      loadStatus();
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to turn off two-factor authentication.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const togglePolicy = async (subject, required) => {
+    const requiredFor = required
+      ? [...policy.requiredFor, subject]
+      : policy.requiredFor.filter((s) => s !== subject);
+    try {
+      setBusy(subject);
+      const response = await authAPI.updateTwoFactorPolicy(requiredFor);
+      setPolicy(response.data);
+      loadStatus();
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to update two-factor policy.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const renderStatus = () => {
+    if (enrolling) {
+      return (
+        <View style={styles.card}>
+          <TwoFactorEnrollment onComplete={handleEnrolled} onCancel={() => setEnrolling(false)} />
+        </View>
+      );
+    }
+
+    if (!status?.enabled) {
+      return (
+        <View style={styles.card}>
+          <View style={styles.statusRow}>
+            <Feather name="shield-off" size={20} color={COLORS.textMuted} />
+            <Text style={styles.statusText}>Off</Text>
+          </View>
+          <Text style={styles.hint}>
+            {status?.required
+              ? 'Two-factor authentication is required for your role. You will be asked to set it up at your next login.'
+              : 'Protect your account with a code from an authenticator app in addition to your password.'}
+          </Text>
+          <TouchableOpacity style={styles.primaryButton} onPress={() => setEnrolling(true)}>
+            <Text style={styles.primaryButtonText}>Set up</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.card}>
+        <View style={styles.statusRow}>
+          <Feather name="shield" size={20} color={COLORS.success} />
+          <Text style={styles.statusText}>On since {formatDate(status.enabledAt)}</Text>
+        </View>
+        <Text style={styles.hint}>
+          {status.backupCodesRemaining} backup codes left.
+          {status.required ? ' Required for your role.' : ''}
+        </Text>
+
+        {backupCodes && (
+          <View style={styles.codesBox}>
+            {backupCodes.map((backupCode) => (
+              <Text key={backupCode} style={styles.backupCode} selectable>{backupCode}</Text>
+            ))}
+          </View>
+        )}
+
+        <TextInput
+          style={styles.input}
+          placeholder="Code from your authenticator app"
+          value={code}
+          onChangeText={setCode}
+          keyboardType="number-pad"
+          maxLength={6}
+        />
+        <TouchableOpacity style={styles.secondaryButton} onPress={handleRegenerate} disabled={busy !== null}>
+          {busy === 'codes' ? (
+            <ActivityIndicator size="small" color={COLORS.primary} />
+          ) : (
+            <Text style={styles.secondaryButtonText}>Generate new backup codes</Text>
+          )}
+        </TouchableOpacity>
+
+        {!status.required && (
+          <>
+            <TextInput
+              style={styles.input}
+              placeholder="Password"
+              value={password}
+              onChangeText={setPassword}
+              secureTextEntry
+              autoCapitalize="none"
+            />
+            <TouchableOpacity style={styles.dangerButton} onPress={handleDisable} disabled={busy !== null}>
+              {busy === 'disable' ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={styles.primaryButtonText}>Turn off</Text>
+              )}
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <CommonHeader title="Two-Factor Authentication" userRole="" showNotifications={false} />
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+        </View>
+      ) : (
+        <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+          {status?.available === false ? (
+            <Text style={styles.hint}>Two-factor authentication is available for owner and employee accounts.</Text>
+          ) : renderStatus()}
+
+          {policy && (
+            <>
+              <Text style={styles.sectionTitle}>REQUIRED FOR</Text>
+              <Text style={styles.hint}>
+                Users in these roles must set up two-factor authentication at their next login.
+              </Text>
+              <View style={styles.sectionContent}>
+                {policy.subjects.map((subject, index) => (
+                  <View
+                    key={subject}
+                    style={[styles.row, index < policy.subjects.length - 1 && styles.rowBorder]}
+                  >
+                    <Text style={styles.rowLabel}>{SUBJECT_LABELS[subject] || subject}</Text>
+                    {busy === subject ? (
+                      <ActivityIndicator size="small" color={COLORS.primary} />
+                    ) : (
+                      <Switch
+                        value={policy.requiredFor.includes(subject)}
+                        onValueChange={(value) => togglePolicy(subject, value)}
+                        disabled={busy !== null}
+                        trackColor={{ false: COLORS.border, true: COLORS.primary }}
+                      />
+                    )}
+                  </View>
+                ))}
+              </View>
+            </>
+          )}
+        </ScrollView>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: 16,
+    paddingVertical: 20,
+  },
+  card: {
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: 'rgba(0, 0, 0, 0.05)',
+    backgroundColor: '#FFFFFF',
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 8,
+  },
+  statusText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  hint: {
+    fontSize: 13,
+    color: COLORS.textMuted,
+    marginBottom: 12,
+    paddingHorizontal: 4,
+  },
+  codesBox: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    padding: 12,
+    marginBottom: 12,
+    borderRadius: 8,
+    backgroundColor: '#F9FAFB',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  backupCode: {
+    width: '48%',
+    fontSize: 15,
+    fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
+    color: COLORS.text,
+    paddingVertical: 4,
+    textAlign: 'center',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 8,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    fontSize: 15,
+    backgroundColor: '#F9FAFB',
+    marginTop: 8,
+  },
+  primaryButton: {
+    marginTop: 8,
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: COLORS.primary,
+    alignItems: 'center',
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+    fontSize: 15,
+  },
+  secondaryButton: {
+    marginTop: 8,
+    paddingVertical: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    alignItems: 'center',
+  },
+  secondaryButtonText: {
+    color: COLORS.primary,
+    fontWeight: '600',
+    fontSize: 15,
+  },
+  dangerButton: {
+    marginTop: 8,
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: COLORS.danger,
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: COLORS.textMuted,
+    letterSpacing: 1,
+    marginTop: 24,
+    marginBottom: 8,
+    paddingHorizontal: 4,
+  },
+  sectionContent: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: 'rgba(0, 0, 0, 0.05)',
+    overflow: 'hidden',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  rowBorder: {
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(0, 0, 0, 0.05)',
+  },
+  rowLabel: {
+    fontSize: 15,
+    color: '#2C2C2C',
+    fontWeight: '500',
+  },
+});
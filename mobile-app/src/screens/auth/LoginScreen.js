@@ -12,6 +12,7 @@ import {
   ActivityIndicator
 } from 'react-native';
 import { useAuth } from '../../context/AuthContext';
+import TwoFactorEnrollment from '../../components/TwoFactorEnrollment';
 import theme from '../../styles/theme';
 import { Picker } from '@react-native-picker/picker';
 
@@ -19,8 +20,11 @@ const LoginScreen = ({ navigation }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  // Second step after the password: { step: 'verify' | 'setup', token }
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [code, setCode] = useState('');
 
-  const { login, error, clearError } = useAuth();
+  const { login, verifyTwoFactor, completeLogin, error, clearError } = useAuth();
 
 
 
@@ -39,6 +43,9 @@ const LoginScreen = ({ navigation }) => {
       if (result.success) {
         // Navigation will be handled automatically by the AuthContext
         console.log('Login successful');
+      } else if (result.twoFactor) {
+        setCode('');
+        setTwoFactor({ step: result.twoFactor, token: result.twoFactorToken });
       } else {
         Alert.alert('Login Failed', result.message || 'Invalid credentials');
       }
@@ -49,6 +56,30 @@ const LoginScreen = ({ navigation }) => {
     }
   };
 
+  const handleVerifyCode = async () => {
+    if (!code.trim()) {
+      Alert.alert('Error', 'Please enter your authentication code');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const result = await verifyTwoFactor(twoFactor.token, code.trim());
+      if (!result.success) {
+        Alert.alert('Verification Failed', result.message || 'Invalid authentication code');
+      } else if (result.backupCodesRemaining !== undefined) {
+        Alert.alert('Backup code used', `You have ${result.backupCodesRemaining} backup codes left.`);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleBackToPassword = () => {
+    setTwoFactor(null);
+    setCode('');
+  };
+
   const handleRegisterNavigation = () => {
     navigation.navigate('Register');
   };
@@ -71,69 +102,120 @@ const LoginScreen = ({ navigation }) => {
             <Text style={styles.welcomeText}>Welcome Back</Text>
           </View>
 
-          {/* Login Form */}
-          <View style={styles.formContainer}>
-            <View style={styles.inputContainer}>
-              <Text style={styles.inputLabel}>Email</Text>
-              <TextInput
-                style={styles.input}
-                placeholder="Enter your email"
-                value={email}
-                onChangeText={setEmail}
-                keyboardType="email-address"
-                autoCapitalize="none"
-                autoCorrect={false}
-                editable={!isLoading}
+          {twoFactor?.step === 'setup' && (
+            <View style={styles.formContainer}>
+              <Text style={styles.twoFactorHint}>
+                Your account requires two-factor authentication. Set it up to continue.
+              </Text>
+              <TwoFactorEnrollment
+                twoFactorToken={twoFactor.token}
+                onComplete={completeLogin}
+                onCancel={handleBackToPassword}
               />
             </View>
+          )}
 
-            <View style={styles.inputContainer}>
-              <Text style={styles.inputLabel}>Password</Text>
-              <TextInput
-                style={styles.input}
-                placeholder="Enter your password"
-                value={password}
-                onChangeText={setPassword}
-                secureTextEntry
-                autoCapitalize="none"
-                autoCorrect={false}
-                editable={!isLoading}
-              />
-            </View>
+          {twoFactor?.step === 'verify' && (
+            <View style={styles.formContainer}>
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Authentication code</Text>
+                <Text style={styles.twoFactorHint}>
+                  Enter the 6-digit code from your authenticator app, or one of your backup codes.
+                </Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="Enter your code"
+                  value={code}
+                  onChangeText={setCode}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  editable={!isLoading}
+                />
+              </View>
 
+              <TouchableOpacity
+                style={{ ...styles.loginButton, ...(isLoading && styles.disabledButton) }}
+                onPress={handleVerifyCode}
+                disabled={isLoading}
+              >
+                {isLoading ? (
+                  <ActivityIndicator color="#161010ff" />
+                ) : (
+                  <Text style={styles.loginButtonText}>Verify</Text>
+                )}
+              </TouchableOpacity>
 
+              <TouchableOpacity onPress={handleBackToPassword} disabled={isLoading}>
+                <Text style={styles.backLink}>Back to login</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {/* Login Form */}
+          {!twoFactor && (
+            <View style={styles.formContainer}>
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Email</Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="Enter your email"
+                  value={email}
+                  onChangeText={setEmail}
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  editable={!isLoading}
+                />
+              </View>
 
-            {/* Error Message */}
-            {error && (
-              <View style={styles.errorContainer}>
-                <Text style={styles.errorText}>{error}</Text>
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Password</Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="Enter your password"
+                  value={password}
+                  onChangeText={setPassword}
+                  secureTextEntry
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  editable={!isLoading}
+                />
               </View>
-            )}
-
-            {/* Login Button */}
-            <TouchableOpacity
-              style={{ ...styles.loginButton, ...(isLoading && styles.disabledButton) }}
-              onPress={handleLogin}
-              disabled={isLoading}
-            >
-              {isLoading ? (
-                <ActivityIndicator color="#161010ff" />
-              ) : (
-                <Text style={styles.loginButtonText}>Login</Text>
+
+
+
+              {/* Error Message */}
+              {error && (
+                <View style={styles.errorContainer}>
+                  <Text style={styles.errorText}>{error}</Text>
+                </View>
               )}
-            </TouchableOpacity>
 
-            {/* Register Link */}
-            <View style={styles.registerContainer}>
-              <Text style={styles.registerText}>Don't have an account? </Text>
+              {/* Login Button */}
               <TouchableOpacity
-                onPress={handleRegisterNavigation}
+                style={{ ...styles.loginButton, ...(isLoading && styles.disabledButton) }}
+                onPress={handleLogin}
                 disabled={isLoading}
               >
-                <Text style={styles.registerLink}>Register here</Text>
+                {isLoading ? (
+                  <ActivityIndicator color="#161010ff" />
+                ) : (
+                  <Text style={styles.loginButtonText}>Login</Text>
+                )}
               </TouchableOpacity>
+
+              {/* Register Link */}
+              <View style={styles.registerContainer}>
+                <Text style={styles.registerText}>Don't have an account? </Text>
+                <TouchableOpacity
+                  onPress={handleRegisterNavigation}
+                  disabled={isLoading}
+                >
+                  <Text style={styles.registerLink}>Register here</Text>
+                </TouchableOpacity>
+              </View>
             </View>
-          </View>
+          )}
 
           {/* Demo Credentials */}
           <View style={styles.demoContainer}>
@@ -268,6 +350,17 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  twoFactorHint: {
+    fontSize: 14,
+    color: theme.colors.text.secondary,
+    marginBottom: 12,
+  },
+  backLink: {
+    fontSize: 16,
+    color: theme.colors.primary.main,
+    fontWeight: '600',
+    textAlign: 'center',
+  },
   registerContainer: {
     flexDirection: 'row',
     justifyContent: 'center',
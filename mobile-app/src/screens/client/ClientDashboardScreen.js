@@ -23,6 +23,7 @@ import { projectsAPI, dashboardAPI } from '../../utils/api';
 import { useAuth } from '../../context/AuthContext';
 import CommonHeader from '../../components/CommonHeader';
 import theme from '../../styles/theme';
+import { useFileLink } from '../../hooks/useFileLink';
 
 const { width, height } = Dimensions.get("window");
 
@@ -185,6 +186,7 @@ export default function ClientDashboardScreen() {
 }
 
 function DraggableTile({ project, dropZone, i }) {
+  const { url: coverUrl } = useFileLink(project.images?.[0]?.url || project.thumbnail);
   const navigation = useNavigation();
   const translateX = useSharedValue(0);
   const translateY = useSharedValue(0);
@@ -266,7 +268,7 @@ function DraggableTile({ project, dropZone, i }) {
         ]}
       >
         <ImageBackground
-          source={{ uri: project.images?.[0]?.url || project.thumbnail || "https://picsum.photos/200" }}
+          source={{ uri: coverUrl || "https://picsum.photos/200" }}
           style={styles.tileImage}
           imageStyle={{ borderRadius: 16 }}
         >
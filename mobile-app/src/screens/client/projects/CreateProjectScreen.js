@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Feather } from '@expo/vector-icons';
 import { useNavigation } from '@react-navigation/native';
 import { useAuth } from '../../../context/AuthContext';
-import { projectsAPI, usersAPI } from '../../../utils/api';
+import { projectsAPI, usersAPI, taskTemplatesAPI, projectTemplatesAPI } from '../../../utils/api';
 
 // Light Cream/Yellow Theme
 const COLORS = {
@@ -107,9 +107,37 @@ const CreateProjectScreen = () => {
     address: '',
     city: '',
     state: '',
-    zipCode: ''
+    zipCode: '',
+    taskTemplate: '',
+    projectTemplate: ''
   });
 
+  // Task and project templates for the chosen project type
+  const [taskTemplates, setTaskTemplates] = useState([]);
+  const [projectTemplates, setProjectTemplates] = useState([]);
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      const params = { projectType: projectForm.projectType };
+      try {
+        const res = await taskTemplatesAPI.getTemplates(params);
+        setTaskTemplates(res.success ? res.data.templates : []);
+      } catch (error) {
+        console.error('Error fetching task templates:', error);
+        setTaskTemplates([]);
+      }
+      try {
+        const res = await projectTemplatesAPI.getTemplates(params);
+        setProjectTemplates(res.success ? res.data.templates : []);
+      } catch (error) {
+        console.error('Error fetching project templates:', error);
+        setProjectTemplates([]);
+      }
+      setProjectForm(prev => ({ ...prev, taskTemplate: '', projectTemplate: '' }));
+    };
+    fetchTemplates();
+  }, [projectForm.projectType]);
+
   const handleClientChange = (field, value, nested = null) => {
     if (nested) {
       setClientForm(prev => ({
@@ -201,9 +229,34 @@ const CreateProjectScreen = () => {
         createdBy: user._id
       };
 
-      const projectRes = await projectsAPI.createProject(projectPayload);
+      // A project template brings its own dates, payments, material lists and tasks
+      const projectRes = projectForm.projectTemplate
+        ? await projectTemplatesAPI.instantiate(projectForm.projectTemplate, {
+          title: projectPayload.title,
+          description: projectPayload.description,
+          clientId: finalClientId,
+          startDate: projectPayload.timeline.startDate,
+          budget: projectPayload.budget,
+          location: projectPayload.location,
+          assignedEmployees: projectPayload.assignedEmployees,
+        })
+        : await projectsAPI.createProject(projectPayload);
 
       if (projectRes.success) {
+        // 3. Add the template's tasks; the project stays even if this fails
+        if (projectForm.taskTemplate && !projectForm.projectTemplate) {
+          try {
+            await taskTemplatesAPI.applyTemplate(projectForm.taskTemplate, {
+              projectId: projectRes.data.project._id,
+              startDate: projectPayload.timeline.startDate,
+            });
+          } catch (templateError) {
+            console.error('Apply task template error:', templateError);
+            showToast("Project created, but its template tasks could not be added", 'error');
+            setTimeout(() => navigation.goBack(), 2500);
+            return;
+          }
+        }
         showToast("Project created successfully!", 'success');
         // Navigate back after showing toast
         setTimeout(() => {
@@ -420,6 +473,42 @@ const CreateProjectScreen = () => {
               ))}
             </div>
 
+            {projectTemplates.length > 0 && (
+              <>
+                <label style={styles.label}>Project Template</label>
+                <select
+                  style={styles.select}
+                  value={projectForm.projectTemplate}
+                  onChange={e => handleProjectChange('projectTemplate', e.target.value)}
+                >
+                  <option value="">-- Start from scratch --</option>
+                  {projectTemplates.map(template => (
+                    <option key={template._id} value={template._id}>
+                      {template.name} ({template.milestones.length} milestones, {template.tasks.length} tasks)
+                    </option>
+                  ))}
+                </select>
+              </>
+            )}
+
+            {taskTemplates.length > 0 && !projectForm.projectTemplate && (
+              <>
+                <label style={styles.label}>Task Template</label>
+                <select
+                  style={styles.select}
+                  value={projectForm.taskTemplate}
+                  onChange={e => handleProjectChange('taskTemplate', e.target.value)}
+                >
+                  <option value="">-- None --</option>
+                  {taskTemplates.map(template => (
+                    <option key={template._id} value={template._id}>
+                      {template.name} ({template.tasks.length} tasks)
+                    </option>
+                  ))}
+                </select>
+              </>
+            )}
+
             <label style={styles.label}>Estimated Budget (₹) *</label>
             <input
               style={styles.input}
@@ -7,11 +7,9 @@ import {
   ScrollView,
   StyleSheet,
   TouchableOpacity,
-  Image,
   Modal,
   FlatList,
   Dimensions,
-  Linking,
   ActivityIndicator,
   Alert,
 } from "react-native";
@@ -20,6 +18,8 @@ import { useRoute } from "@react-navigation/native";
 import { projectsAPI, clientsAPI, filesAPI } from "../../../utils/api";
 import { useAuth } from "../../../context/AuthContext";
 import { getServerBaseUrl } from "../../../utils/network";
+import { openFile } from "../../../utils/fileUtils";
+import SafeImage from "../../../components/SafeImage";
 
 export default function MediaScreen() {
   const route = useRoute();
@@ -70,9 +70,9 @@ export default function MediaScreen() {
             title: image.name || 'Project Image',
             subtitle: image.type || 'Image',
             date: image.uploadedAt ? new Date(image.uploadedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : 'N/A',
-            image: image.url ? `${serverBaseUrl}${image.url}` : null,
-            thumbnail: image.url ? `${serverBaseUrl}${image.url}` : null,
-            fileUrl: image.url ? `${serverBaseUrl}${image.url}` : null,
+            image: image.renditions?.medium || image.url || null,
+            thumbnail: image.renditions?.thumb || image.url || null,
+            fileUrl: image.url || null,
             uploadedBy: image.uploadedBy,
             uploadedAt: image.uploadedAt,
           }));
@@ -89,7 +89,7 @@ export default function MediaScreen() {
             date: doc.uploadedAt ? new Date(doc.uploadedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : 'N/A',
             image: null,
             thumbnail: null,
-            fileUrl: doc.url ? `${serverBaseUrl}${doc.url}` : null,
+            fileUrl: doc.url || null,
             uploadedBy: doc.uploadedBy,
             uploadedAt: doc.uploadedAt,
           }));
@@ -153,8 +153,8 @@ export default function MediaScreen() {
               title: file.originalName || file.name || 'Media File',
               subtitle: file.category || 'Progress',
               date: file.createdAt ? new Date(file.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : 'N/A',
-              image: fullUrl,
-              thumbnail: fullUrl,
+              image: file.mediumUrl || fullUrl,
+              thumbnail: file.thumbnailUrl || fullUrl,
               fileUrl: fullUrl,
               mimeType: file.mimeType,
               uploadedAt: file.createdAt,
@@ -272,12 +272,12 @@ export default function MediaScreen() {
                 <TouchableOpacity
                   key={item.id}
                   style={styles.linkRow}
-                  onPress={() => {
+                  onPress={async () => {
                     if (item.fileUrl) {
-                      Linking.openURL(item.fileUrl).catch(err => {
-                        if (__DEV__) console.log('Error opening file:', err);
-                        Alert.alert('Error', 'Unable to open file');
-                      });
+                      const result = await openFile(item.fileUrl);
+                      if (!result.success) {
+                        Alert.alert('Error', result.message || 'Unable to open file');
+                      }
                     } else {
                       Alert.alert('No File', 'This item has no attached file.');
                     }
@@ -337,7 +337,7 @@ export default function MediaScreen() {
                   onPress={() => {
                     if (item.type === "document" || item.type === "invoice") {
                       if (item.fileUrl) {
-                        Linking.openURL(item.fileUrl);
+                        openFile(item.fileUrl);
                       }
                     } else {
                       setSelectedMedia(item);
@@ -353,11 +353,11 @@ export default function MediaScreen() {
                           <Text style={styles.fallbackText}>{item.title}</Text>
                         </View>
                       ) : (
-                        <Image
-                          source={{ uri: item.image }}
+                        <SafeImage
+                          uri={item.thumbnail}
                           style={styles.gridImage}
                           onError={(error) => {
-                            if (__DEV__) console.log('Image load error for:', item.image, error);
+                            if (__DEV__) console.log('Image load error for:', item.thumbnail, error);
                             setMediaData(prevData =>
                               prevData.map(mediaItem =>
                                 mediaItem.id === item.id
@@ -372,8 +372,8 @@ export default function MediaScreen() {
                   )}
                   {item.type === "video" && (
                     <View style={styles.videoItem}>
-                      <Image
-                        source={{ uri: item.thumbnail }}
+                      <SafeImage
+                        uri={item.thumbnail}
                         style={styles.gridImage}
                         onError={(error) => {
                           if (__DEV__) console.log('Thumbnail load error for:', item.thumbnail, error);
@@ -421,8 +421,8 @@ export default function MediaScreen() {
           {selectedMedia && (
             <View style={styles.modalContent}>
               {selectedMedia.type === "photo" && (
-                <Image
-                  source={{ uri: selectedMedia.image }}
+                <SafeImage
+                  uri={selectedMedia.image}
                   style={styles.modalImage}
                 />
               )}
@@ -11,13 +11,15 @@ import {
   StatusBar,
   RefreshControl,
   ActivityIndicator,
-  Image,
   Modal,
 } from 'react-native';
 import { useRoute, useNavigation } from '@react-navigation/native';
 import { projectsAPI, filesAPI } from '../../../utils/api';
 import theme from '../../../styles/theme';
 import { StandardCard } from '../../../components/StandardCard';
+import SafeImage from '../../../components/SafeImage';
+import ProjectDocumentList from '../../../components/ProjectDocumentList';
+import DocumentApprovalList from '../../../components/DocumentApprovalList';
 // Removed problematic animation components and gradients
 // Removed animation imports to prevent CSS errors
 
@@ -103,9 +105,15 @@ const ProjectDetailsScreen = () => {
 
   // Combine project images and uploaded media files for gallery
   const allMedia = [
-    ...(project?.images || []),
+    ...(project?.images || []).map(img => ({
+      ...img,
+      thumbnailUrl: img.renditions?.thumb,
+      mediumUrl: img.renditions?.medium
+    })),
     ...mediaFiles.map(f => ({
       url: f.url || f.downloadUrl || f.path,
+      thumbnailUrl: f.thumbnailUrl,
+      mediumUrl: f.mediumUrl,
       name: f.originalName || f.filename,
       type: f.mimeType
     }))
@@ -498,7 +506,7 @@ const ProjectDetailsScreen = () => {
                   <View style={styles.teamMemberRow}>
                     <View style={styles.teamAvatar}>
                       {member.profileImage ? (
-                        <Image source={{ uri: member.profileImage }} style={styles.teamAvatarImg} />
+                        <SafeImage uri={member.profileImage} style={styles.teamAvatarImg} fallbackText={null} />
                       ) : (
                         <Text style={styles.teamAvatarText}>{member.firstName?.[0]}{member.lastName?.[0]}</Text>
                       )}
@@ -560,7 +568,7 @@ const ProjectDetailsScreen = () => {
                         <Text style={{ color: '#fff', fontSize: 10, marginTop: 4 }}>Video</Text>
                       </View>
                     ) : (
-                      <Image source={{ uri: media.url }} style={styles.gridImage} />
+                      <SafeImage uri={media.thumbnailUrl || media.url} style={styles.gridImage} />
                     )}
                     <Text style={styles.gridImageLabel} numberOfLines={1}>
                       {media.name || `File ${index + 1}`}
@@ -581,22 +589,8 @@ const ProjectDetailsScreen = () => {
         {activeTab === 'documents' && (
           <View style={styles.section}>
             <Text style={styles.sectionTitle}>Project Documents</Text>
-            {project?.documents?.length > 0 ? (
-              project.documents.map((doc, index) => (
-                <TouchableOpacity key={index} style={styles.docItem}>
-                  <View style={styles.docIconContainer}>
-                    <Text style={styles.docIcon}>📄</Text>
-                  </View>
-                  <View style={styles.docDetails}>
-                    <Text style={styles.docName}>{doc.name}</Text>
-                    <Text style={styles.docMeta}>{doc.type?.toUpperCase()} • {new Date(doc.uploadedAt || Date.now()).toLocaleDateString()}</Text>
-                  </View>
-                  <Text style={styles.downloadIcon}>⬇️</Text>
-                </TouchableOpacity>
-              ))
-            ) : (
-              <Text style={styles.emptyText}>No documents shared yet.</Text>
-            )}
+            <DocumentApprovalList projectId={projectId} accentColor={theme.colors.primary[500]} />
+            <ProjectDocumentList projectId={projectId} accentColor={theme.colors.primary[500]} />
 
             <Text style={[styles.sectionTitle, { marginTop: 20 }]}>Project Media</Text>
             <Text style={styles.sectionSubtitle}>
@@ -617,7 +611,7 @@ const ProjectDetailsScreen = () => {
                         <Text style={{ color: '#fff', fontSize: 10, marginTop: 4 }}>Video</Text>
                       </View>
                     ) : (
-                      <Image source={{ uri: media.url }} style={styles.gridImage} />
+                      <SafeImage uri={media.thumbnailUrl || media.url} style={styles.gridImage} />
                     )}
                   </TouchableOpacity>
                 ))
@@ -682,8 +676,9 @@ const ProjectDetailsScreen = () => {
 
           {/* Main Image */}
           {imageOnlyMedia.length > 0 && (
-            <Image
-              source={{ uri: imageOnlyMedia[currentImageIndex]?.url }}
+            <SafeImage
+              uri={imageOnlyMedia[currentImageIndex]?.mediumUrl || imageOnlyMedia[currentImageIndex]?.url}
+              resizeMode="contain"
               style={{
                 width: '90%',
                 height: '70%',
@@ -1041,44 +1036,6 @@ const styles = StyleSheet.create({
   contactBtnText: {
     fontSize: 18,
   },
-  docItem: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    backgroundColor: '#fff',
-    padding: 15,
-    borderRadius: 12,
-    marginBottom: 10,
-    borderWidth: 1,
-    borderColor: '#eee',
-  },
-  docIconContainer: {
-    width: 45,
-    height: 45,
-    borderRadius: 10,
-    backgroundColor: '#f8f9fa',
-    justifyContent: 'center',
-    alignItems: 'center',
-    marginRight: 15,
-  },
-  docIcon: {
-    fontSize: 24,
-  },
-  docDetails: {
-    flex: 1,
-  },
-  docName: {
-    fontSize: 16,
-    fontWeight: '600',
-    color: '#333',
-    marginBottom: 2,
-  },
-  docMeta: {
-    fontSize: 12,
-    color: '#888',
-  },
-  downloadIcon: {
-    fontSize: 18,
-  },
   imageGrid: {
     flexDirection: 'row',
     flexWrap: 'wrap',
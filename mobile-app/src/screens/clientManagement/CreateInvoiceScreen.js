@@ -16,6 +16,7 @@ import { Feather } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useAuth } from '../../context/AuthContext';
 import { invoicesAPI, projectsAPI } from '../../utils/api';
+import { getFieldErrors } from '../../utils/errorHandler';
 import { useAttendance } from '../../context/AttendanceContext';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import { COLORS } from '../../styles/colors';
@@ -210,7 +211,14 @@ const CreateInvoiceScreen = ({ navigation, route }) => {
             }
         } catch (error) {
             console.error('Create invoice error:', error);
-            showToast(error.response?.data?.message || 'Failed to create invoice', 'error');
+            // Highlight the line items the server rejected (lineItems[0].description -> desc_0)
+            const serverErrors = {};
+            Object.keys(getFieldErrors(error)).forEach((field) => {
+                const match = field.match(/^lineItems\[(\d+)\]\.description$/);
+                if (match) serverErrors[`desc_${match[1]}`] = true;
+            });
+            setErrors(serverErrors);
+            showToast(error.message || 'Failed to create invoice', 'error');
         } finally {
             setSubmitting(false);
         }
@@ -5,7 +5,6 @@ import {
     StyleSheet,
     TouchableOpacity,
     ScrollView,
-    Linking,
     Alert,
     Platform,
     ActivityIndicator,
@@ -48,16 +47,9 @@ const InvoiceDetailScreen = ({ route, navigation }) => {
     const handleViewPDF = async () => {
         const attachment = invoice.attachments && invoice.attachments[0];
         if (attachment && attachment.url) {
-            try {
-                const supported = await Linking.canOpenURL(attachment.url);
-                if (supported) {
-                    await Linking.openURL(attachment.url);
-                } else {
-                    Alert.alert("Error", "Cannot open this URL: " + attachment.url);
-                }
-            } catch (err) {
-                console.error('An error occurred', err);
-                Alert.alert("Error", "Failed to open PDF");
+            const result = await openFile(attachment.url);
+            if (!result.success) {
+                Alert.alert("Error", result.message || "Failed to open PDF");
             }
         } else {
             Alert.alert("Error", "No PDF attachment found for this invoice");
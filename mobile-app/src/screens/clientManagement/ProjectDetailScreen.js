@@ -11,12 +11,13 @@ import {
   Modal,
   Alert,
   Platform,
-  Linking,
 } from 'react-native';
 import { Feather } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useAuth } from '../../context/AuthContext';
 import { projectsAPI, filesAPI, usersAPI } from '../../utils/api';
+import { openFile } from '../../utils/fileUtils';
+import { CHUNKED_UPLOAD_THRESHOLD, uploadInChunks } from '../../utils/chunkedUpload';
 import { useAttendance } from '../../context/AttendanceContext';
 import ScheduleTab from '../../components/clientManagement/ScheduleTab';
 import InvoicesListTab from '../../components/clientManagement/InvoicesListTab';
@@ -974,6 +975,7 @@ const FilesTab = ({ projectId, onUploadSuccess }) => {
   const [files, setFiles] = useState([]);
   const [loading, setLoading] = useState(false);
   const [uploading, setUploading] = useState(false);
+  const [progress, setProgress] = useState(null);
   const [showModal, setShowModal] = useState(false);
   const [fileName, setFileName] = useState('');
   const [selectedFile, setSelectedFile] = useState(null);
@@ -1024,43 +1026,61 @@ const FilesTab = ({ projectId, onUploadSuccess }) => {
         throw new Error('No file selected');
       }
 
-      const formData = new FormData();
       const desiredName = (fileName || fileAsset.name || 'upload').trim();
+      let response;
 
-      if (Platform.OS === 'web') {
-        // Expo DocumentPicker on web provides `file` (File). Prefer that.
-        if (fileAsset.file instanceof File) {
-          const f = fileAsset.file;
-          const fileToSend = desiredName && desiredName !== f.name
-            ? new File([f], desiredName, { type: f.type || fileAsset.mimeType || 'application/octet-stream' })
-            : f;
-          formData.append('file', fileToSend);
-        } else if (fileAsset.uri) {
-          // Fallback: fetch the blob URL/data URL
-          const response = await fetch(fileAsset.uri);
-          const blob = await response.blob();
-          const fileToSend = new File(
-            [blob],
-            desiredName,
-            { type: fileAsset.mimeType || blob.type || 'application/octet-stream' }
-          );
-          formData.append('file', fileToSend);
+      if (fileAsset.size > CHUNKED_UPLOAD_THRESHOLD) {
+        // Large drawing sets go in parts and resume if the connection drops
+        setProgress(0);
+        response = await uploadInChunks(
+          {
+            uri: fileAsset.uri,
+            file: fileAsset.file,
+            name: desiredName,
+            type: fileAsset.mimeType,
+            size: fileAsset.size,
+          },
+          { category: 'documents', projectId, onProgress: setProgress }
+        );
+        if (!response.success) throw new Error(response.message);
+      } else {
+        const formData = new FormData();
+
+        if (Platform.OS === 'web') {
+          // Expo DocumentPicker on web provides `file` (File). Prefer that.
+          if (fileAsset.file instanceof File) {
+            const f = fileAsset.file;
+            const fileToSend = desiredName && desiredName !== f.name
+              ? new File([f], desiredName, { type: f.type || fileAsset.mimeType || 'application/octet-stream' })
+              : f;
+            formData.append('file', fileToSend);
+          } else if (fileAsset.uri) {
+            // Fallback: fetch the blob URL/data URL
+            const response = await fetch(fileAsset.uri);
+            const blob = await response.blob();
+            const fileToSend = new File(
+              [blob],
+              desiredName,
+              { type: fileAsset.mimeType || blob.type || 'application/octet-stream' }
+            );
+            formData.append('file', fileToSend);
+          } else {
+            throw new Error('Selected file is missing a web file handle');
+          }
         } else {
-          throw new Error('Selected file is missing a web file handle');
+          // On Native, use the {uri, name, type} object
+          const fileToUpload = {
+            uri: Platform.OS === 'ios' ? fileAsset.uri.replace('file://', '') : fileAsset.uri,
+            name: desiredName || 'upload.pdf',
+            type: fileAsset.mimeType || 'application/octet-stream',
+          };
+          formData.append('file', fileToUpload);
         }
-      } else {
-        // On Native, use the {uri, name, type} object
-        const fileToUpload = {
-          uri: Platform.OS === 'ios' ? fileAsset.uri.replace('file://', '') : fileAsset.uri,
-          name: desiredName || 'upload.pdf',
-          type: fileAsset.mimeType || 'application/octet-stream',
-        };
-        formData.append('file', fileToUpload);
-      }
-      formData.append('projectId', projectId);
-      formData.append('category', 'documents');
+        formData.append('projectId', projectId);
+        formData.append('category', 'documents');
 
-      const response = await filesAPI.uploadFile(formData);
+        response = await filesAPI.uploadFile(formData);
+      }
 
       if (response.success) {
         Alert.alert('Success', 'File uploaded to Cloud successfully!');
@@ -1075,18 +1095,19 @@ const FilesTab = ({ projectId, onUploadSuccess }) => {
       Alert.alert('Upload Failed', error.message || 'Could not upload file to Cloud');
     } finally {
       setUploading(false);
+      setProgress(null);
     }
   };
 
-  const handleDownload = (url) => {
+  const handleDownload = async (url) => {
     if (!url) {
       Alert.alert('Error', 'No document link available');
       return;
     }
-    Linking.openURL(url).catch(err => {
-      console.error('Link Error:', err);
-      Alert.alert('Error', 'Could not open the file link');
-    });
+    const result = await openFile(url);
+    if (!result.success) {
+      Alert.alert('Error', result.message || 'Could not open the file link');
+    }
   };
 
   const handleDeleteFile = (fileId, fileName) => {
@@ -1175,7 +1196,9 @@ const FilesTab = ({ projectId, onUploadSuccess }) => {
                 onPress={() => uploadFile(selectedFile)}
                 disabled={uploading || !fileName.trim()}
               >
-                {uploading ? (
+                {uploading && progress !== null ? (
+                  <Text style={styles.modalSaveText}>{Math.round(progress * 100)}%</Text>
+                ) : uploading ? (
                   <ActivityIndicator color="#1F2937" />
                 ) : (
                   <Text style={styles.modalSaveText}>Upload to Cloud</Text>
@@ -9,7 +9,6 @@ import {
     Alert,
     ActivityIndicator,
     Platform,
-    Image,
     KeyboardAvoidingView,
     Keyboard,
     StatusBar,
@@ -21,6 +20,7 @@ import { useAuth } from '../../context/AuthContext';
 import { usersAPI, authAPI } from '../../utils/api';
 import BottomNavBar from '../../components/common/BottomNavBar';
 import { COLORS } from '../../styles/colors';
+import SafeImage from '../../components/SafeImage';
 
 // InputField component
 const InputField = ({ label, value, onChangeText, placeholder, secureTextEntry = false, editable = true, icon }) => (
@@ -441,7 +441,7 @@ const ProfileScreen = ({ navigation, route }) => {
                         <View style={styles.avatarContainer}>
                             <TouchableOpacity onPress={pickImage}>
                                 {profileImage ? (
-                                    <Image source={{ uri: profileImage }} style={styles.avatar} />
+                                    <SafeImage uri={profileImage} style={styles.avatar} fallbackText={null} />
                                 ) : (
                                     <View style={styles.avatarPlaceholder}>
                                         <Feather name="user" size={40} color={COLORS.primary} />
@@ -8,7 +8,6 @@ import {
     Alert,
     Platform,
     ActivityIndicator,
-    Image,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Feather } from '@expo/vector-icons';
@@ -16,6 +15,7 @@ import { useAuth } from '../../context/AuthContext';
 import { useAttendance } from '../../context/AttendanceContext';
 import BottomNavBar from '../../components/common/BottomNavBar';
 import { COLORS } from '../../styles/colors';
+import SafeImage from '../../components/SafeImage';
 
 const SettingsScreen = ({ navigation }) => {
     const { user, logout } = useAuth();
@@ -146,9 +146,10 @@ const SettingsScreen = ({ navigation }) => {
                         <View style={styles.avatarContainer}>
                             <View style={styles.avatar}>
                                 {user?.profilePicture ? (
-                                    <Image
-                                        source={{ uri: user.profilePicture }}
+                                    <SafeImage
+                                        uri={user.profilePicture}
                                         style={styles.avatarImage}
+                                        fallbackText={null}
                                     />
                                 ) : (
                                     <Text style={styles.avatarText}>
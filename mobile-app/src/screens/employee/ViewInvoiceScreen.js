@@ -4,7 +4,6 @@ import {
   Text,
   ScrollView,
   StyleSheet,
-  Image,
   TouchableOpacity,
   ActivityIndicator,
   Alert,
@@ -18,6 +17,7 @@ import { Feather } from "@expo/vector-icons";
 import WaveHeader from "../../components/clientManagement/WaveHeader";
 import api from "../../utils/api";
 import { downloadFile, openFile } from "../../utils/fileUtils";
+import SafeImage from "../../components/SafeImage";
 
 const { width } = Dimensions.get('window');
 
@@ -212,8 +212,8 @@ const ViewInvoicesScreen = ({ route, navigation }) => {
         >
           {hasImage ? (
             <>
-              <Image
-                source={{ uri: imageUrl }}
+              <SafeImage
+                uri={imageUrl}
                 style={styles.image}
                 resizeMode="cover"
                 onLoadStart={() => {
@@ -430,8 +430,8 @@ const ViewInvoicesScreen = ({ route, navigation }) => {
 
           {selectedImage && (
             <>
-              <Image
-                source={{ uri: selectedImage.url }}
+              <SafeImage
+                uri={selectedImage.url}
                 style={styles.modalImage}
                 resizeMode="contain"
               />
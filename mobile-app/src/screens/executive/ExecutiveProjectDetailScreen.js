@@ -11,15 +11,18 @@ import {
     Modal,
     Alert,
     Platform,
-    Image,
 } from 'react-native';
 import { Feather } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useAuth } from '../../context/AuthContext';
 import { useAttendance } from '../../context/AttendanceContext';
 import { projectsAPI, usersAPI, filesAPI } from '../../utils/api';
+import { CHUNKED_UPLOAD_THRESHOLD, uploadInChunks } from '../../utils/chunkedUpload';
 import ExecutiveBottomNavBar from '../../components/common/ExecutiveBottomNavBar';
 import * as ImagePicker from 'expo-image-picker';
+import SafeImage from '../../components/SafeImage';
+import ProjectGanttChart from '../../components/ProjectGanttChart';
+import ProjectProgressBreakdown from '../../components/ProjectProgressBreakdown';
 
 // Premium White Theme with Gold Accents
 const COLORS = {
@@ -74,8 +77,10 @@ const ExecutiveProjectDetailScreen = ({ navigation, route }) => {
     const [showProgressModal, setShowProgressModal] = useState(false);
     const [progressValue, setProgressValue] = useState(0);
     const [updatingProgress, setUpdatingProgress] = useState(false);
+    const [progressMode, setProgressMode] = useState('manual');
+    const [progressBreakdown, setProgressBreakdown] = useState(null);
 
-    const tabs = ['Overview', 'Timeline', 'Media', 'Team'];
+    const tabs = ['Overview', 'Timeline', 'Schedule', 'Media', 'Team'];
 
     // State for timeline events fetched from API
     const [timelineEvents, setTimelineEvents] = useState([]);
@@ -299,6 +304,16 @@ const ExecutiveProjectDetailScreen = ({ navigation, route }) => {
                 else if (ext === 'webm') type = 'video/webm';
                 else if (ext === 'wmv') type = 'video/x-ms-wmv';
 
+                // Long site videos go in parts and resume if the connection drops
+                if (asset.fileSize > CHUNKED_UPLOAD_THRESHOLD) {
+                    const result = await uploadInChunks(
+                        { uri: asset.uri, file: asset.file, name: filename, type, size: asset.fileSize },
+                        { category: 'images', projectId }
+                    );
+                    if (!result.success) throw new Error(result.message);
+                    continue;
+                }
+
                 if (Platform.OS === 'web') {
                     // For web, we need to fetch the URI and create a Blob
                     try {
@@ -425,15 +440,30 @@ const ExecutiveProjectDetailScreen = ({ navigation, route }) => {
     // Progress Update Functions
     const openProgressModal = () => {
         setProgressValue(project?.progress?.percentage || 0);
+        setProgressMode(project?.progress?.mode || 'manual');
         setShowProgressModal(true);
+        loadProgressBreakdown();
+    };
+
+    const loadProgressBreakdown = async () => {
+        try {
+            setProgressBreakdown(null);
+            const response = await projectsAPI.getProgressBreakdown(projectId);
+            if (response.success) {
+                setProgressBreakdown(response.data.progress);
+            }
+        } catch (error) {
+            console.error('Error loading progress breakdown:', error);
+        }
     };
 
     const updateProgress = async () => {
         try {
             setUpdatingProgress(true);
-            const response = await projectsAPI.updateProgress(projectId, {
-                percentage: progressValue,
-            });
+            // Automatic progress is calculated by the server
+            const response = await projectsAPI.updateProgress(projectId, progressMode === 'auto'
+                ? { mode: 'auto' }
+                : { mode: 'manual', percentage: progressValue });
 
             if (response.success) {
                 Platform.OS === 'web'
@@ -540,6 +570,12 @@ const ExecutiveProjectDetailScreen = ({ navigation, route }) => {
                             timelineEvents={timelineEvents}
                         />
                     )}
+                    {activeTab === 'Schedule' && (
+                        <View style={styles.mediaContainer}>
+                            <Text style={[styles.sectionTitle, { marginBottom: 12 }]}>Task Schedule</Text>
+                            <ProjectGanttChart projectId={projectId} accentColor={COLORS.primary} />
+                        </View>
+                    )}
                     {activeTab === 'Media' && (
                         <MediaTab
                             project={project}
@@ -791,94 +827,121 @@ const ExecutiveProjectDetailScreen = ({ navigation, route }) => {
                     <View style={styles.modalContent}>
                         <Text style={styles.modalTitle}>Update Progress</Text>
 
-                        <View style={{ alignItems: 'center', marginVertical: 20 }}>
-                            {/* Editable Progress Input */}
-                            <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 16 }}>
-                                <TextInput
-                                    style={{
-                                        fontSize: 48,
-                                        fontWeight: 'bold',
-                                        color: COLORS.primary,
-                                        textAlign: 'center',
-                                        minWidth: 120,
-                                        borderBottomWidth: 2,
-                                        borderBottomColor: COLORS.primaryLight,
-                                        paddingBottom: 4,
-                                    }}
-                                    value={String(progressValue)}
-                                    onChangeText={(text) => {
-                                        const num = parseInt(text.replace(/[^0-9]/g, ''), 10);
-                                        if (!isNaN(num)) {
-                                            setProgressValue(Math.min(100, Math.max(0, num)));
-                                        } else if (text === '') {
-                                            setProgressValue(0);
-                                        }
-                                    }}
-                                    keyboardType="numeric"
-                                    maxLength={3}
-                                />
-                                <Text style={{ fontSize: 32, fontWeight: 'bold', color: COLORS.primary, marginLeft: 4 }}>%</Text>
-                            </View>
-                            {/* Progress Bar */}
-                            <View style={[styles.progressBar, { width: '100%', height: 12 }]}>
-                                <View style={[styles.progressFill, { width: `${progressValue}%` }]} />
-                            </View>
-                            <Text style={{ fontSize: 12, color: COLORS.textMuted, marginTop: 8 }}>
-                                Tap the number above to enter directly, or use buttons below
-                            </Text>
+                        {/* Manual or calculated from milestones, tasks and deliveries */}
+                        <View style={styles.modeRow}>
+                            {[['manual', 'Manual'], ['auto', 'Automatic']].map(([mode, label]) => (
+                                <TouchableOpacity
+                                    key={mode}
+                                    style={[styles.modeBtn, progressMode === mode && styles.modeBtnActive]}
+                                    onPress={() => setProgressMode(mode)}
+                                >
+                                    <Text style={[styles.modeBtnText, progressMode === mode && styles.modeBtnTextActive]}>
+                                        {label}
+                                    </Text>
+                                </TouchableOpacity>
+                            ))}
                         </View>
 
-                        {/* Quick Adjust Buttons */}
-                        <View style={{ flexDirection: 'row', justifyContent: 'center', gap: 8, marginBottom: 16 }}>
-                            <TouchableOpacity
-                                style={[styles.progressBtn, { backgroundColor: COLORS.danger }]}
-                                onPress={() => setProgressValue(Math.max(0, progressValue - 10))}
-                            >
-                                <Text style={styles.progressBtnText}>-10</Text>
-                            </TouchableOpacity>
-                            <TouchableOpacity
-                                style={[styles.progressBtn, { backgroundColor: COLORS.warning }]}
-                                onPress={() => setProgressValue(Math.max(0, progressValue - 5))}
-                            >
-                                <Text style={styles.progressBtnText}>-5</Text>
-                            </TouchableOpacity>
-                            <TouchableOpacity
-                                style={[styles.progressBtn, { backgroundColor: COLORS.success }]}
-                                onPress={() => setProgressValue(Math.min(100, progressValue + 5))}
-                            >
-                                <Text style={styles.progressBtnText}>+5</Text>
-                            </TouchableOpacity>
-                            <TouchableOpacity
-                                style={[styles.progressBtn, { backgroundColor: COLORS.primary }]}
-                                onPress={() => setProgressValue(Math.min(100, progressValue + 10))}
-                            >
-                                <Text style={styles.progressBtnText}>+10</Text>
-                            </TouchableOpacity>
-                        </View>
+                        {progressMode === 'auto' ? (
+                            <View style={{ marginBottom: 20 }}>
+                                {progressBreakdown ? (
+                                    <ProjectProgressBreakdown progress={progressBreakdown} accentColor={COLORS.primary} />
+                                ) : (
+                                    <ActivityIndicator color={COLORS.primary} style={{ marginVertical: 20 }} />
+                                )}
+                            </View>
+                        ) : (
+                            <>
+                            <View style={{ alignItems: 'center', marginVertical: 20 }}>
+                                {/* Editable Progress Input */}
+                                <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 16 }}>
+                                    <TextInput
+                                        style={{
+                                            fontSize: 48,
+                                            fontWeight: 'bold',
+                                            color: COLORS.primary,
+                                            textAlign: 'center',
+                                            minWidth: 120,
+                                            borderBottomWidth: 2,
+                                            borderBottomColor: COLORS.primaryLight,
+                                            paddingBottom: 4,
+                                        }}
+                                        value={String(progressValue)}
+                                        onChangeText={(text) => {
+                                            const num = parseInt(text.replace(/[^0-9]/g, ''), 10);
+                                            if (!isNaN(num)) {
+                                                setProgressValue(Math.min(100, Math.max(0, num)));
+                                            } else if (text === '') {
+                                                setProgressValue(0);
+                                            }
+                                        }}
+                                        keyboardType="numeric"
+                                        maxLength={3}
+                                    />
+                                    <Text style={{ fontSize: 32, fontWeight: 'bold', color: COLORS.primary, marginLeft: 4 }}>%</Text>
+                                </View>
+                                {/* Progress Bar */}
+                                <View style={[styles.progressBar, { width: '100%', height: 12 }]}>
+                                    <View style={[styles.progressFill, { width: `${progressValue}%` }]} />
+                                </View>
+                                <Text style={{ fontSize: 12, color: COLORS.textMuted, marginTop: 8 }}>
+                                    Tap the number above to enter directly, or use buttons below
+                                </Text>
+                            </View>
 
-                        {/* Quick Preset Buttons */}
-                        <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 20 }}>
-                            {[0, 25, 50, 75, 100].map((val) => (
+                            {/* Quick Adjust Buttons */}
+                            <View style={{ flexDirection: 'row', justifyContent: 'center', gap: 8, marginBottom: 16 }}>
                                 <TouchableOpacity
-                                    key={val}
-                                    style={{
-                                        paddingVertical: 8,
-                                        paddingHorizontal: 12,
-                                        backgroundColor: progressValue === val ? COLORS.primary : COLORS.cardBg,
-                                        borderRadius: 8,
-                                        borderWidth: 1,
-                                        borderColor: COLORS.cardBorder,
-                                    }}
-                                    onPress={() => setProgressValue(val)}
+                                    style={[styles.progressBtn, { backgroundColor: COLORS.danger }]}
+                                    onPress={() => setProgressValue(Math.max(0, progressValue - 10))}
                                 >
-                                    <Text style={{
-                                        fontSize: 12,
-                                        fontWeight: '600',
-                                        color: progressValue === val ? '#FFFFFF' : COLORS.text,
-                                    }}>{val}%</Text>
+                                    <Text style={styles.progressBtnText}>-10</Text>
                                 </TouchableOpacity>
-                            ))}
-                        </View>
+                                <TouchableOpacity
+                                    style={[styles.progressBtn, { backgroundColor: COLORS.warning }]}
+                                    onPress={() => setProgressValue(Math.max(0, progressValue - 5))}
+                                >
+                                    <Text style={styles.progressBtnText}>-5</Text>
+                                </TouchableOpacity>
+                                <TouchableOpacity
+                                    style={[styles.progressBtn, { backgroundColor: COLORS.success }]}
+                                    onPress={() => setProgressValue(Math.min(100, progressValue + 5))}
+                                >
+                                    <Text style={styles.progressBtnText}>+5</Text>
+                                </TouchableOpacity>
+                                <TouchableOpacity
+                                    style={[styles.progressBtn, { backgroundColor: COLORS.primary }]}
+                                    onPress={() => setProgressValue(Math.min(100, progressValue + 10))}
+                                >
+                                    <Text style={styles.progressBtnText}>+10</Text>
+                                </TouchableOpacity>
+                            </View>
+
+                            {/* Quick Preset Buttons */}
+                            <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 20 }}>
+                                {[0, 25, 50, 75, 100].map((val) => (
+                                    <TouchableOpacity
+                                        key={val}
+                                        style={{
+                                            paddingVertical: 8,
+                                            paddingHorizontal: 12,
+                                            backgroundColor: progressValue === val ? COLORS.primary : COLORS.cardBg,
+                                            borderRadius: 8,
+                                            borderWidth: 1,
+                                            borderColor: COLORS.cardBorder,
+                                        }}
+                                        onPress={() => setProgressValue(val)}
+                                    >
+                                        <Text style={{
+                                            fontSize: 12,
+                                            fontWeight: '600',
+                                            color: progressValue === val ? '#FFFFFF' : COLORS.text,
+                                        }}>{val}%</Text>
+                                    </TouchableOpacity>
+                                ))}
+                            </View>
+                            </>
+                        )}
 
                         <View style={styles.modalButtons}>
                             <TouchableOpacity style={styles.modalCancelBtn} onPress={() => setShowProgressModal(false)}>
@@ -954,7 +1017,9 @@ const OverviewTab = ({ project, onUpdateProgress }) => (
             <View style={styles.infoRow}>
                 <Feather name="bar-chart-2" size={16} color={COLORS.textMuted} />
                 <View style={styles.infoContent}>
-                    <Text style={styles.infoLabel}>Progress</Text>
+                    <Text style={styles.infoLabel}>
+                        Progress{project.progress?.mode === 'auto' ? ' (automatic)' : ''}
+                    </Text>
                     <View style={styles.progressContainer}>
                         <View style={styles.progressBar}>
                             <View
@@ -1294,9 +1359,16 @@ const MediaTab = ({ project, mediaFiles = [], onUpload, uploading, onDelete }) =
 
     // Combine project images and uploaded media files
     const allMedia = [
-        ...(project?.images || []).map(img => ({ ...img, isProjectImage: true })),
+        ...(project?.images || []).map(img => ({
+            ...img,
+            thumbnailUrl: img.renditions?.thumb,
+            mediumUrl: img.renditions?.medium,
+            isProjectImage: true
+        })),
         ...mediaFiles.map(f => ({
             url: f.url || f.downloadUrl || f.path,
+            thumbnailUrl: f.thumbnailUrl,
+            mediumUrl: f.mediumUrl,
             name: f.originalName || f.filename,
             type: f.mimeType,
             uploadedAt: f.createdAt,
@@ -1363,7 +1435,7 @@ const MediaTab = ({ project, mediaFiles = [], onUpload, uploading, onDelete }) =
                                         <Text style={{ color: '#fff', fontSize: 10, marginTop: 4 }}>Video</Text>
                                     </View>
                                 ) : (
-                                    <Image source={{ uri: media.url }} style={styles.galleryImage} />
+                                    <SafeImage uri={media.thumbnailUrl || media.url} style={styles.galleryImage} />
                                 )}
 
                                 {/* Delete button - only for uploaded files, not project images */}
@@ -1446,8 +1518,8 @@ const MediaTab = ({ project, mediaFiles = [], onUpload, uploading, onDelete }) =
 
                     {/* Main Image */}
                     {imageOnlyMedia.length > 0 && (
-                        <Image
-                            source={{ uri: imageOnlyMedia[currentImageIndex]?.url }}
+                        <SafeImage
+                            uri={imageOnlyMedia[currentImageIndex]?.mediumUrl || imageOnlyMedia[currentImageIndex]?.url}
                             resizeMode="contain"
                             style={{
                                 width: '90%',
@@ -2000,6 +2072,31 @@ const styles = StyleSheet.create({
         color: COLORS.primary,
         letterSpacing: 0.5,
     },
+    // Progress Mode Toggle Styles
+    modeRow: {
+        flexDirection: 'row',
+        backgroundColor: COLORS.primaryLight,
+        borderRadius: 10,
+        padding: 4,
+        marginBottom: 16,
+    },
+    modeBtn: {
+        flex: 1,
+        paddingVertical: 8,
+        borderRadius: 8,
+        alignItems: 'center',
+    },
+    modeBtnActive: {
+        backgroundColor: COLORS.primary,
+    },
+    modeBtnText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: COLORS.primary,
+    },
+    modeBtnTextActive: {
+        color: '#FFFFFF',
+    },
     // Progress Button Styles
     progressBtn: {
         width: 50,
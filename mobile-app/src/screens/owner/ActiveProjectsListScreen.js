@@ -1,9 +1,10 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useRef } from 'react';
 import {
   View,
   Text,
   StyleSheet,
   ScrollView,
+  FlatList,
   TouchableOpacity,
   RefreshControl,
   SafeAreaView,
@@ -13,15 +14,39 @@ import {
 } from 'react-native';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { useFocusEffect } from '@react-navigation/native';
-import { api } from '../../services/api';
+import { projectsAPI } from '../../utils/api';
 import AdminNavbar from '../../components/AdminNavbar';
+import { usePaginatedList } from '../../hooks/usePaginatedList';
+
+const ACTIVE_STATUSES = ['in-progress', 'planning', 'on-hold'];
+
+// Filter chips that narrow the statuses asked for
+const STATUS_FILTERS = {
+  'on-track': 'in-progress',
+  delayed: 'planning',
+};
 
 const ActiveProjectsListScreen = ({ navigation }) => {
-  const [refreshing, setRefreshing] = useState(false);
-  const [loading, setLoading] = useState(true);
-  const [projects, setProjects] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [activeFilters, setActiveFilters] = useState([]);
+  const [total, setTotal] = useState(0);
+
+  const statuses = activeFilters.map((filter) => STATUS_FILTERS[filter]).filter(Boolean);
+  const {
+    items: projects,
+    loading,
+    refreshing,
+    loadingMore,
+    refresh,
+    loadMore,
+  } = usePaginatedList(projectsAPI.getProjects, {
+    dataKey: 'projects',
+    params: {
+      status: (statuses.length ? statuses : ACTIVE_STATUSES).join(','),
+      ...(activeFilters.includes('high-priority') && { priority: 'high,urgent' }),
+    },
+    onResponse: (response) => setTotal(response.data?.pagination?.total || 0),
+  });
 
   const getClientDisplayName = (client) => {
     if (!client) return '';
@@ -30,32 +55,15 @@ const ActiveProjectsListScreen = ({ navigation }) => {
     return fullName || client.email || '';
   };
 
-  const fetchProjects = async () => {
-    try {
-      const data = await api.getProjects();
-      // Filter for active projects only
-      const activeProjects = data.filter(p => 
-        p.status === 'in-progress' || p.status === 'planning' || p.status === 'on-hold'
-      );
-      setProjects(activeProjects);
-    } catch (error) {
-      console.error("Error fetching projects:", error);
-    } finally {
-      setLoading(false);
-    }
-  };
-
+  // Reload when coming back to the screen, but not on the first focus
+  const focused = useRef(false);
   useFocusEffect(
     useCallback(() => {
-      fetchProjects();
-    }, [])
+      if (focused.current) refresh();
+      focused.current = true;
+    }, [refresh])
   );
 
-  const onRefresh = useCallback(() => {
-    setRefreshing(true);
-    fetchProjects().then(() => setRefreshing(false));
-  }, []);
-
   const toggleFilter = (filter) => {
     if (activeFilters.includes(filter)) {
       setActiveFilters(activeFilters.filter(f => f !== filter));
@@ -64,31 +72,15 @@ const ActiveProjectsListScreen = ({ navigation }) => {
     }
   };
 
-  // Filter and search logic
+  // Status and priority are filtered by the server; search covers the pages loaded
   const filteredProjects = projects.filter(project => {
-    // Search filter
     const query = searchQuery.toLowerCase();
     const clientDisplay = getClientDisplayName(project.client).toLowerCase();
-    const matchesSearch = searchQuery === '' ||
+    return searchQuery === '' ||
       (project.title || '').toLowerCase().includes(query) ||
       clientDisplay.includes(query);
-
-    // Active filters
-    let matchesFilters = true;
-    if (activeFilters.length > 0) {
-      if (activeFilters.includes('high-priority')) {
-        matchesFilters = matchesFilters && (project.priority === 'high' || project.priority === 'urgent');
-      }
-      if (activeFilters.includes('delayed')) {
-        matchesFilters = matchesFilters && project.status === 'planning';
-      }
-      if (activeFilters.includes('on-track')) {
-        matchesFilters = matchesFilters && project.status === 'in-progress';
-      }
-    }
-
-    return matchesSearch && matchesFilters;
   });
+  const resultCount = searchQuery ? filteredProjects.length : total;
 
   const getStatusConfig = (status, priority) => {
     if (priority === 'high' || priority === 'urgent' || status === 'planning') {
@@ -243,7 +235,7 @@ const ActiveProjectsListScreen = ({ navigation }) => {
       {/* Results Count */}
       <View style={styles.resultsContainer}>
         <Text style={styles.resultsText}>
-          {filteredProjects.length} project{filteredProjects.length !== 1 ? 's' : ''} found
+          {resultCount} project{resultCount !== 1 ? 's' : ''} found
         </Text>
         {activeFilters.length > 0 && (
           <TouchableOpacity onPress={() => setActiveFilters([])}>
@@ -253,30 +245,33 @@ const ActiveProjectsListScreen = ({ navigation }) => {
       </View>
 
       {/* Project List */}
-      <ScrollView
-        style={styles.scrollView}
-        contentContainerStyle={styles.scrollContent}
-        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
-        showsVerticalScrollIndicator={false}
-      >
-        {loading ? (
-          <ActivityIndicator size="large" color="#1976D2" style={{ marginTop: 40 }} />
-        ) : filteredProjects.length === 0 ? (
-          <View style={styles.emptyContainer}>
-            <MaterialCommunityIcons name="folder-open" size={64} color="#ccc" />
-            <Text style={styles.emptyText}>No projects found</Text>
-            <Text style={styles.emptySubtext}>
-              {searchQuery || activeFilters.length > 0 
-                ? 'Try adjusting your search or filters' 
-                : 'Start by adding a new project'}
-            </Text>
-          </View>
-        ) : (
-          filteredProjects.map(project => (
-            <ProjectCard key={project._id} project={project} />
-          ))
-        )}
-      </ScrollView>
+      {loading ? (
+        <ActivityIndicator size="large" color="#1976D2" style={{ marginTop: 40 }} />
+      ) : (
+        <FlatList
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+          data={filteredProjects}
+          keyExtractor={(project) => project._id}
+          renderItem={({ item }) => <ProjectCard project={item} />}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={refresh} />}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? <ActivityIndicator style={{ padding: 20 }} color="#1976D2" /> : null}
+          showsVerticalScrollIndicator={false}
+          ListEmptyComponent={
+            <View style={styles.emptyContainer}>
+              <MaterialCommunityIcons name="folder-open" size={64} color="#ccc" />
+              <Text style={styles.emptyText}>No projects found</Text>
+              <Text style={styles.emptySubtext}>
+                {searchQuery || activeFilters.length > 0
+                  ? 'Try adjusting your search or filters'
+                  : 'Start by adding a new project'}
+              </Text>
+            </View>
+          }
+        />
+      )}
     </SafeAreaView>
   );
 };
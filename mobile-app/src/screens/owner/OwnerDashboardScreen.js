@@ -18,6 +18,7 @@ import { Ionicons, MaterialCommunityIcons, FontAwesome5 } from '@expo/vector-ico
 import { useFocusEffect } from '@react-navigation/native';
 import { api } from '../../services/api';
 import { ordersAPI } from '../../services/ordersAPI';
+import { materialRequestsAPI } from '../../utils/api';
 import CommonHeader from '../../components/CommonHeader';
 
 const { width } = Dimensions.get('window');
@@ -35,7 +36,8 @@ const OwnerDashboardScreen = ({ navigation }) => {
   const [clients, setClients] = useState([]);
   const [quotations, setQuotations] = useState([]);
   const [allOrders, setAllOrders] = useState([]); // For vendor order updates
-  const [materialRequests, setMaterialRequests] = useState([]);
+  const [pendingRequests, setPendingRequests] = useState([]);
+  const [pendingRequestTotal, setPendingRequestTotal] = useState(0);
   const [teamStats, setTeamStats] = useState({});
   const [recentActivity, setRecentActivity] = useState([]);
   const [stats, setStats] = useState({ onTrack: 0, atRisk: 0, delayed: 0 });
@@ -54,11 +56,13 @@ const OwnerDashboardScreen = ({ navigation }) => {
       const results = await Promise.allSettled([
         api.getReceivables(),
         api.getPayables(),
-        // Backend defaults to `limit=10` for lists; dashboard needs full-ish datasets.
+        // Health stats and team utilization are still worked out from every
+        // project on the device, up to the server's project maxLimit of 1000.
         api.getProjects({ limit: 1000 }),
         api.getUsers('client'),
         ordersAPI.getOrders(),
-        api.getMaterialRequests({ limit: 1000 }),
+        // Only the two shown; the server counts the rest.
+        materialRequestsAPI.getMaterialRequests({ status: 'pending', limit: 2 }),
         api.getTeamStats(),
         api.getRecentActivity()
       ]);
@@ -71,7 +75,7 @@ const OwnerDashboardScreen = ({ navigation }) => {
       const projData = projResult.status === 'fulfilled' ? projResult.value : [];
       const clientData = clientResult.status === 'fulfilled' ? clientResult.value : [];
       const ordersResponse = ordersResult.status === 'fulfilled' ? ordersResult.value : { success: false };
-      const mrData = mrResult.status === 'fulfilled' ? mrResult.value : [];
+      const mrData = mrResult.status === 'fulfilled' ? mrResult.value.data?.materialRequests : [];
       const teamData = teamResult.status === 'fulfilled' ? teamResult.value : {};
       const activityData = activityResult.status === 'fulfilled' ? activityResult.value : [];
 
@@ -121,7 +125,8 @@ const OwnerDashboardScreen = ({ navigation }) => {
       setClients(Array.isArray(clientData) ? clientData : []);
       setQuotations(purchaseOrders);
       setAllOrders(allOrdersData);
-      setMaterialRequests(Array.isArray(mrData) ? mrData : []);
+      setPendingRequests(Array.isArray(mrData) ? mrData : []);
+      setPendingRequestTotal(mrResult.status === 'fulfilled' ? mrResult.value.data?.pagination?.total || 0 : 0);
       setTeamStats(teamData || {});
       setRecentActivity(Array.isArray(activityData) ? activityData : []);
       
@@ -154,7 +159,8 @@ const OwnerDashboardScreen = ({ navigation }) => {
       setClients([]);
       setQuotations([]);
       setAllOrders([]);
-      setMaterialRequests([]);
+      setPendingRequests([]);
+      setPendingRequestTotal(0);
       setTeamStats({});
       setRecentActivity([]);
       setStats({ onTrack: 0, atRisk: 0, delayed: 0 });
@@ -775,7 +781,6 @@ const OwnerDashboardScreen = ({ navigation }) => {
       : mappedQuotations.filter(q => q.status === quotationTab);
     
     const newQuotations = filteredQuotations.filter(q => q.status === 'new').slice(0, 2);
-    const pendingRequests = materialRequests.filter(mr => mr.status === 'pending').slice(0, 2);
 
     return (
       <View style={styles.sectionContainer}>
@@ -886,7 +891,7 @@ const OwnerDashboardScreen = ({ navigation }) => {
           {pendingRequests.length > 0 && (
             <>
               <Text style={[styles.subsectionTitle, { marginTop: 16 }]}>
-                📌 MATERIAL REQUESTS ({materialRequests.filter(mr => mr.status === 'pending').length})
+                📌 MATERIAL REQUESTS ({pendingRequestTotal})
               </Text>
               {pendingRequests.map(mr => (
                 <View key={mr._id} style={styles.quotationCard}>
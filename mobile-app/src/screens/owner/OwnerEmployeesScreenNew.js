@@ -276,7 +276,35 @@ const DayDetailsModal = ({ visible, date, dayData, employees, onClose }) => {
 
 // Employee Search Results Modal - Shows full employee details and attendance
 const EmployeeAttendanceModal = ({ visible, employee, attendanceRecords, projects, onClose }) => {
+    const [signingOut, setSigningOut] = useState(false);
+
     if (!visible || !employee) return null;
+
+    // Revokes every session; the employee's devices return to the login screen
+    const handleForceLogout = () => {
+        Alert.alert(
+            'Sign out all devices',
+            `Sign ${employee.firstName} out of every device? They will need to log in again.`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Sign out',
+                    style: 'destructive',
+                    onPress: async () => {
+                        try {
+                            setSigningOut(true);
+                            await api.forceLogoutUser(employee._id);
+                            Alert.alert('Done', `${employee.firstName} has been signed out of all devices.`);
+                        } catch (error) {
+                            Alert.alert('Error', error.message || 'Failed to sign out user');
+                        } finally {
+                            setSigningOut(false);
+                        }
+                    },
+                },
+            ]
+        );
+    };
     
     // Sort attendance records
     const sortedRecords = [...attendanceRecords].sort((a, b) => 
@@ -499,6 +527,25 @@ const EmployeeAttendanceModal = ({ visible, employee, attendanceRecords, project
                                 ))
                             )}
                         </View>
+
+                        {/* Account */}
+                        <View style={styles.infoSection}>
+                            <Text style={styles.sectionTitle}>🔐 ACCOUNT</Text>
+                            <TouchableOpacity
+                                style={styles.forceLogoutButton}
+                                onPress={handleForceLogout}
+                                disabled={signingOut}
+                            >
+                                {signingOut ? (
+                                    <ActivityIndicator size="small" color="#EF4444" />
+                                ) : (
+                                    <>
+                                        <Ionicons name="log-out-outline" size={18} color="#EF4444" />
+                                        <Text style={styles.forceLogoutText}>Sign out all devices</Text>
+                                    </>
+                                )}
+                            </TouchableOpacity>
+                        </View>
                     </ScrollView>
                 </View>
             </View>
@@ -1192,6 +1239,22 @@ const styles = StyleSheet.create({
     closeButton: {
         padding: 4,
     },
+    forceLogoutButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 8,
+        paddingVertical: 12,
+        borderRadius: 10,
+        borderWidth: 1,
+        borderColor: '#FECACA',
+        backgroundColor: '#FEF2F2',
+    },
+    forceLogoutText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#EF4444',
+    },
     
     // Attendance Row
     attendanceRow: {
@@ -140,6 +140,72 @@ const OwnerSettingsScreen = ({ navigation }) => {
           </TouchableOpacity>
         </View>
 
+        {/* Security */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>SECURITY</Text>
+
+          <TouchableOpacity
+            style={styles.settingItem}
+            onPress={() => navigation.navigate('ActiveSessions')}
+          >
+            <View style={styles.settingLeft}>
+              <Ionicons name="phone-portrait-outline" size={20} color="#6B7280" />
+              <View style={styles.settingInfo}>
+                <Text style={styles.settingText}>Active Sessions</Text>
+                <Text style={styles.settingSubtext}>Devices signed in to your account</Text>
+              </View>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color="#9CA3AF" />
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.settingItem}
+            onPress={() => navigation.navigate('TwoFactor')}
+          >
+            <View style={styles.settingLeft}>
+              <Ionicons name="shield-checkmark-outline" size={20} color="#6B7280" />
+              <View style={styles.settingInfo}>
+                <Text style={styles.settingText}>Two-Factor Authentication</Text>
+                <Text style={styles.settingSubtext}>Authenticator codes and which roles must use them</Text>
+              </View>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color="#9CA3AF" />
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.settingItem}
+            onPress={() => navigation.navigate('RolePermissions')}
+          >
+            <View style={styles.settingLeft}>
+              <Ionicons name="key-outline" size={20} color="#6B7280" />
+              <View style={styles.settingInfo}>
+                <Text style={styles.settingText}>Role Permissions</Text>
+                <Text style={styles.settingSubtext}>What employees, vendors and clients can do</Text>
+              </View>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color="#9CA3AF" />
+          </TouchableOpacity>
+        </View>
+
+        {/* Notifications */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>NOTIFICATIONS</Text>
+
+          <TouchableOpacity
+            style={styles.settingItem}
+            onPress={() => navigation.navigate('NotificationPreferences')}
+          >
+            <View style={styles.settingLeft}>
+              <Ionicons name="notifications-outline" size={20} color="#6B7280" />
+              <View style={styles.settingInfo}>
+                <Text style={styles.settingText}>Notification Preferences</Text>
+                <Text style={styles.settingSubtext}>Channels, quiet hours and daily digest</Text>
+              </View>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color="#9CA3AF" />
+          </TouchableOpacity>
+        </View>
+
         {/* Data & Sync */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>DATA & SYNC</Text>
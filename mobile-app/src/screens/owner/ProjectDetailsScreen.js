@@ -14,6 +14,34 @@ import {
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { useFocusEffect } from '@react-navigation/native';
 import { api } from '../../services/api';
+import ProjectDocumentList from '../../components/ProjectDocumentList';
+
+// Audit log labels for the History tab
+const ENTITY_LABELS = {
+  Project: 'project',
+  ProjectDocument: 'document',
+  Task: 'task',
+  PurchaseOrder: 'purchase order',
+  ClientInvoice: 'invoice',
+  VendorInvoice: 'vendor invoice',
+  MaterialRequest: 'material request',
+};
+
+const ACTION_CONFIG = {
+  create: { verb: 'created', icon: 'add-circle', color: '#4CAF50' },
+  update: { verb: 'updated', icon: 'create', color: '#1976D2' },
+  delete: { verb: 'deleted', icon: 'trash', color: '#D32F2F' },
+};
+
+const formatChangeValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+  if (typeof value === 'object') return '…';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return new Date(value).toLocaleDateString();
+  }
+  return String(value);
+};
 
 const ProjectDetailsScreen = ({ route, navigation }) => {
   const { projectId } = route.params || {};
@@ -25,6 +53,8 @@ const ProjectDetailsScreen = ({ route, navigation }) => {
   const [invoiceStats, setInvoiceStats] = useState({ total: 0, paid: 0, overdue: 0, pending: 0 });
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('overview');
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
 
   const getClientDisplayName = (client) => {
     if (!client) return 'N/A';
@@ -78,6 +108,23 @@ const ProjectDetailsScreen = ({ route, navigation }) => {
     }
   };
 
+  const loadHistory = async () => {
+    try {
+      setHistoryLoading(true);
+      const events = await api.getProjectHistory(projectId, { limit: 100 });
+      setHistory(Array.isArray(events) ? events : []);
+    } catch (error) {
+      console.error("Failed to load project history", error);
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  const selectTab = (tabId) => {
+    setActiveTab(tabId);
+    if (tabId === 'history') loadHistory();
+  };
+
   useFocusEffect(
     useCallback(() => {
       if (projectId) {
@@ -195,27 +242,31 @@ const ProjectDetailsScreen = ({ route, navigation }) => {
 
   const renderTabs = () => (
     <View style={styles.tabContainer}>
-      {[
-        { id: 'overview', label: 'OVERVIEW', icon: 'grid-outline' },
-        { id: 'tasks', label: 'TASKS', icon: 'checkbox-outline' },
-        { id: 'payments', label: 'PAYMENTS', icon: 'cash-outline' },
-        { id: 'team', label: 'TEAM', icon: 'people-outline' }
-      ].map((tab) => (
-        <TouchableOpacity 
-          key={tab.id}
-          style={[styles.tabItem, activeTab === tab.id && styles.activeTabItem]}
-          onPress={() => setActiveTab(tab.id)}
-        >
-          <Ionicons 
-            name={tab.icon} 
-            size={18} 
-            color={activeTab === tab.id ? '#1976D2' : '#888'} 
-          />
-          <Text style={[styles.tabText, activeTab === tab.id && styles.activeTabText]}>
-            {tab.label}
-          </Text>
-        </TouchableOpacity>
-      ))}
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {[
+          { id: 'overview', label: 'OVERVIEW', icon: 'grid-outline' },
+          { id: 'tasks', label: 'TASKS', icon: 'checkbox-outline' },
+          { id: 'payments', label: 'PAYMENTS', icon: 'cash-outline' },
+          { id: 'documents', label: 'DOCUMENTS', icon: 'document-text-outline' },
+          { id: 'team', label: 'TEAM', icon: 'people-outline' },
+          { id: 'history', label: 'HISTORY', icon: 'time-outline' }
+        ].map((tab) => (
+          <TouchableOpacity 
+            key={tab.id}
+            style={[styles.tabItem, activeTab === tab.id && styles.activeTabItem]}
+            onPress={() => selectTab(tab.id)}
+          >
+            <Ionicons 
+              name={tab.icon} 
+              size={18} 
+              color={activeTab === tab.id ? '#1976D2' : '#888'} 
+            />
+            <Text style={[styles.tabText, activeTab === tab.id && styles.activeTabText]}>
+              {tab.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
     </View>
   );
 
@@ -456,6 +507,12 @@ const ProjectDetailsScreen = ({ route, navigation }) => {
     </View>
   );
 
+  const renderDocuments = () => (
+    <ScrollView style={styles.tabContent} showsVerticalScrollIndicator={false}>
+      <ProjectDocumentList projectId={projectId} canManage />
+    </ScrollView>
+  );
+
   const renderTeam = () => (
     <ScrollView style={styles.tabContent} showsVerticalScrollIndicator={false}>
       <View style={styles.teamHeader}>
@@ -589,6 +646,53 @@ const ProjectDetailsScreen = ({ route, navigation }) => {
     );
   };
 
+  const renderHistory = () => (
+    <ScrollView style={styles.tabContent} showsVerticalScrollIndicator={false}>
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>🕘 CHANGE HISTORY</Text>
+
+        {historyLoading ? (
+          <ActivityIndicator style={{ marginTop: 16 }} color="#1976D2" />
+        ) : history.length === 0 ? (
+          <View style={styles.emptyContainer}>
+            <Ionicons name="time-outline" size={48} color="#eee" />
+            <Text style={styles.emptyText}>No changes recorded yet</Text>
+          </View>
+        ) : (
+          history.map((event) => {
+            const config = ACTION_CONFIG[event.action] || ACTION_CONFIG.update;
+            const actorName = event.actor
+              ? `${event.actor.firstName || ''} ${event.actor.lastName || ''}`.trim()
+              : 'System';
+            const changes = event.action === 'update' ? (event.changes || []) : [];
+
+            return (
+              <View key={event._id} style={styles.historyItem}>
+                <Ionicons name={config.icon} size={20} color={config.color} />
+                <View style={styles.historyInfo}>
+                  <Text style={styles.historyTitle}>
+                    {actorName} {config.verb} {ENTITY_LABELS[event.entityType] || event.entityType}
+                  </Text>
+                  {changes.slice(0, 5).map((change) => (
+                    <Text key={change.field} style={styles.historyChange} numberOfLines={1}>
+                      {change.field}: {formatChangeValue(change.before)} → {formatChangeValue(change.after)}
+                    </Text>
+                  ))}
+                  {changes.length > 5 && (
+                    <Text style={styles.historyChange}>+{changes.length - 5} more fields</Text>
+                  )}
+                  <Text style={styles.historyTime}>
+                    {new Date(event.createdAt).toLocaleString()}
+                  </Text>
+                </View>
+              </View>
+            );
+          })
+        )}
+      </View>
+    </ScrollView>
+  );
+
   return (
     <SafeAreaView style={styles.container}>
       <StatusBar barStyle="light-content" backgroundColor="#1A1A1A" />
@@ -598,7 +702,9 @@ const ProjectDetailsScreen = ({ route, navigation }) => {
         {activeTab === 'overview' && renderOverview()}
         {activeTab === 'tasks' && renderTasks()}
         {activeTab === 'payments' && renderPayments()}
+        {activeTab === 'documents' && renderDocuments()}
         {activeTab === 'team' && renderTeam()}
+        {activeTab === 'history' && renderHistory()}
       </View>
     </SafeAreaView>
   );
@@ -1166,6 +1272,31 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     justifyContent: 'center',
     padding: 40
+  },
+  historyItem: {
+    flexDirection: 'row',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    gap: 12
+  },
+  historyInfo: {
+    flex: 1
+  },
+  historyTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333'
+  },
+  historyChange: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2
+  },
+  historyTime: {
+    fontSize: 11,
+    color: '#999',
+    marginTop: 4
   }
 });
 
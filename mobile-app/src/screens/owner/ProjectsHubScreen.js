@@ -7,12 +7,15 @@ import {
     SafeAreaView,
     ScrollView,
     StatusBar,
-    ActivityIndicator
+    ActivityIndicator,
+    Alert
 } from 'react-native';
 import { Ionicons, FontAwesome5 } from '@expo/vector-icons';
 import { useFocusEffect } from '@react-navigation/native';
 import { api } from '../../services/api';
+import { projectsAPI } from '../../utils/api';
 import AdminNavbar from '../../components/AdminNavbar';
+import ProjectCopyModal from '../../components/ProjectCopyModal';
 
 const ProjectsHubScreen = ({ navigation }) => {
     const [stats, setStats] = useState({
@@ -23,24 +26,32 @@ const ProjectsHubScreen = ({ navigation }) => {
         completed: 0
     });
     const [recentUpdates, setRecentUpdates] = useState([]);
+    const [projects, setProjects] = useState([]);
+    const [copyMode, setCopyMode] = useState(null);
+    const [copying, setCopying] = useState(false);
     const [loading, setLoading] = useState(true);
 
+    // The server totals each bucket, so the hub never loads every project.
+    const countProjects = async (params) => {
+        const response = await projectsAPI.getProjects({ ...params, limit: 1 });
+        return response.data?.pagination?.total || 0;
+    };
+
     const fetchData = async () => {
         try {
-            const [projects, updates] = await Promise.all([
-                    // Backend defaults to `limit=10`; hub stats should reflect all projects.
-                    api.getProjects({ limit: 1000 }),
+            const [onTrack, atRisk, active, pending, completed, copyable, updates] = await Promise.all([
+                countProjects({ status: 'in-progress', 'priority[ne]': 'high' }),
+                countProjects({ priority: 'high' }),
+                countProjects({ status: 'in-progress' }),
+                countProjects({ status: 'planning' }),
+                countProjects({ status: 'completed' }),
+                // Only the most recently touched projects are offered for copying.
+                projectsAPI.getProjects({ 'status[ne]': 'cancelled', sort: '-updatedAt', limit: 100 }),
                 api.getRecentProjectTimelineUpdates(10).catch(() => []),
             ]);
-            
-            const onTrack = projects.filter(p => p.status === 'in-progress' && p.priority !== 'high').length;
-            const atRisk = projects.filter(p => p.priority === 'high').length;
-            
-            const active = projects.filter(p => p.status === 'in-progress').length;
-            const pending = projects.filter(p => p.status === 'planning').length;
-            const completed = projects.filter(p => p.status === 'completed').length;
 
             setStats({ onTrack, atRisk, active, pending, completed });
+            setProjects(copyable.data?.projects || []);
             setRecentUpdates(Array.isArray(updates) ? updates : []);
         } catch (error) {
             console.error(error);
@@ -57,6 +68,29 @@ const ProjectsHubScreen = ({ navigation }) => {
         return metaParts.join(' • ');
     };
 
+    const handleCopy = async ({ projectId, name, startDate }) => {
+        setCopying(true);
+        try {
+            if (copyMode === 'duplicate') {
+                const project = await api.duplicateProject(projectId, {
+                    title: name || undefined,
+                    startDate: new Date(startDate).toISOString(),
+                });
+                setCopyMode(null);
+                fetchData();
+                if (project?._id) navigation.navigate('ProjectDetails', { projectId: project._id });
+            } else {
+                const template = await api.saveProjectAsTemplate(projectId, { name });
+                setCopyMode(null);
+                Alert.alert('Template saved', `"${template?.name || name}" can be picked when creating a project.`);
+            }
+        } catch (error) {
+            Alert.alert('Error', error.message || 'Could not copy the project');
+        } finally {
+            setCopying(false);
+        }
+    };
+
     useFocusEffect(
         useCallback(() => {
             fetchData();
@@ -133,6 +167,25 @@ const ProjectsHubScreen = ({ navigation }) => {
                     <Text style={styles.statusCount}>{stats.completed}</Text>
                 </View>
 
+                {/* Reuse */}
+                <Text style={[styles.sectionTitle, { marginTop: 24 }]}>REUSE A PROJECT</Text>
+
+                <TouchableOpacity style={styles.statusRow} onPress={() => setCopyMode('duplicate')}>
+                    <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                        <Text style={{ fontSize: 18, marginRight: 12 }}>📑</Text>
+                        <Text style={styles.statusText}>Duplicate a Project</Text>
+                    </View>
+                    <Ionicons name="chevron-forward" size={18} color="#ccc" />
+                </TouchableOpacity>
+
+                <TouchableOpacity style={styles.statusRow} onPress={() => setCopyMode('template')}>
+                    <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                        <Text style={{ fontSize: 18, marginRight: 12 }}>🧩</Text>
+                        <Text style={styles.statusText}>Save as Template</Text>
+                    </View>
+                    <Ionicons name="chevron-forward" size={18} color="#ccc" />
+                </TouchableOpacity>
+
                 {/* Critical Alerts */}
                 <Text style={[styles.sectionTitle, { marginTop: 24 }]}>⚠️ CRITICAL ALERTS</Text>
                 <View style={styles.alertCard}>
@@ -184,6 +237,15 @@ const ProjectsHubScreen = ({ navigation }) => {
                 )}
 
             </ScrollView>
+
+            <ProjectCopyModal
+                visible={!!copyMode}
+                mode={copyMode || 'duplicate'}
+                projects={projects}
+                submitting={copying}
+                onSubmit={handleCopy}
+                onClose={() => setCopyMode(null)}
+            />
         </SafeAreaView>
     );
 };
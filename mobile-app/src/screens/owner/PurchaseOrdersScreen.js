@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useRef } from 'react';
 import {
     View,
     Text,
@@ -8,68 +8,60 @@ import {
     FlatList,
     TextInput,
     ActivityIndicator,
+    RefreshControl,
     StatusBar
 } from 'react-native';
 import { Ionicons, FontAwesome5 } from '@expo/vector-icons';
 import { useFocusEffect } from '@react-navigation/native';
 import { purchaseOrdersAPI } from '../../utils/api';
 import AdminNavbar from '../../components/AdminNavbar';
+import { usePaginatedList } from '../../hooks/usePaginatedList';
+
+// Normalize data to handle both formats
+const normalizeOrder = (order) => ({
+    ...order,
+    id: order._id || order.id,
+    poNumber: order.purchaseOrderNumber || order.poNumber,
+    vendorName: order.vendor?.vendorDetails?.companyName ||
+        `${order.vendor?.firstName || ''} ${order.vendor?.lastName || ''}`.trim() ||
+        order.vendorName || 'Unknown Vendor',
+    items: order.items?.length ? `${order.items.length} items` : order.items,
+    amount: order.totalAmount || order.finalAmount || order.amount || 0,
+});
 
 const PurchaseOrdersScreen = ({ navigation, route }) => {
     const targetOrderId = route?.params?.orderId;
-    const [orders, setOrders] = useState([]);
-    const [filteredOrders, setFilteredOrders] = useState([]);
-    const [loading, setLoading] = useState(true);
+    const [showAll, setShowAll] = useState(false);
     const [search, setSearch] = useState('');
-
-    const fetchData = async () => {
-        try {
-            const response = await purchaseOrdersAPI.getPurchaseOrders();
-            // Handle the response properly
-            const data = response.success
-                ? (response.data?.purchaseOrders || response.data || [])
-                : [];
-            // Normalize data to handle both formats
-            const normalizedOrders = (data || []).map(order => ({
-                ...order,
-                id: order._id || order.id,
-                poNumber: order.purchaseOrderNumber || order.poNumber,
-                vendorName: order.vendor?.vendorDetails?.companyName ||
-                    `${order.vendor?.firstName || ''} ${order.vendor?.lastName || ''}`.trim() ||
-                    order.vendorName || 'Unknown Vendor',
-                items: order.items?.length ? `${order.items.length} items` : order.items,
-                amount: order.totalAmount || order.finalAmount || order.amount || 0,
-            }));
-            setOrders(normalizedOrders);
-
-            // Apply initial filtering if targetOrderId is present
-            if (targetOrderId) {
-                const filtered = normalizedOrders.filter(o => o.id === targetOrderId || o._id === targetOrderId);
-                if (filtered.length > 0) {
-                    setFilteredOrders(filtered);
-                } else {
-                    setFilteredOrders(normalizedOrders);
-                }
-            } else {
-                setFilteredOrders(normalizedOrders);
-            }
-        } catch (error) {
-            console.error(error);
-        } finally {
-            setLoading(false);
-        }
-    };
-
+    const {
+        items,
+        loading,
+        refreshing,
+        loadingMore,
+        refresh,
+        loadMore,
+    } = usePaginatedList(purchaseOrdersAPI.getPurchaseOrders, { dataKey: 'purchaseOrders' });
+    const orders = items.map(normalizeOrder);
+
+    // Reload when coming back to the screen, but not on the first focus
+    const focused = useRef(false);
     useFocusEffect(
         useCallback(() => {
-            fetchData();
-        }, [])
+            if (focused.current) refresh();
+            focused.current = true;
+        }, [refresh])
     );
 
+    // A notification can open the screen on one order
+    const targetOrders = targetOrderId && !showAll
+        ? orders.filter(o => o.id === targetOrderId || o._id === targetOrderId)
+        : [];
+    const showingTarget = targetOrders.length === 1 && orders.length > 1;
+
     const getDisplayList = () => {
         // If we have a target order and haven't cleared it, show only that
-        if (targetOrderId && filteredOrders.length === 1 && orders.length > 1) {
-            return filteredOrders;
+        if (showingTarget) {
+            return targetOrders;
         }
 
         return orders.filter(item =>
@@ -146,14 +138,14 @@ const PurchaseOrdersScreen = ({ navigation, route }) => {
                 />
             </View>
 
-            {targetOrderId && filteredOrders.length === 1 && orders.length > 1 && (
+            {showingTarget && (
                 <View style={styles.filterBanner}>
                     <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
                         <Ionicons name="filter" size={16} color="#92400E" />
                         <Text style={styles.filterBannerText}>Showing specific order</Text>
                     </View>
                     <TouchableOpacity
-                        onPress={() => setFilteredOrders(orders)}
+                        onPress={() => setShowAll(true)}
                         style={{ backgroundColor: '#fff', paddingHorizontal: 10, paddingVertical: 4, borderRadius: 4 }}
                     >
                         <Text style={styles.clearFilterText}>Show All</Text>
@@ -166,6 +158,10 @@ const PurchaseOrdersScreen = ({ navigation, route }) => {
                 keyExtractor={item => item.id}
                 renderItem={renderItem}
                 contentContainerStyle={styles.listContent}
+                refreshControl={<RefreshControl refreshing={refreshing} onRefresh={refresh} />}
+                onEndReached={showingTarget ? undefined : loadMore}
+                onEndReachedThreshold={0.5}
+                ListFooterComponent={loadingMore ? <ActivityIndicator style={{ padding: 20 }} color="#333" /> : null}
                 ListEmptyComponent={
                     <View style={styles.center}>
                         <Text style={{ color: '#999' }}>No orders found</Text>
@@ -0,0 +1,258 @@
+/**
+ * RolePermissionsScreen
+ *
+ * Owner editor for what each role / sub-role may do.
+ * Switches override the built-in defaults; "Reset" returns to the default.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  TouchableOpacity,
+  Switch,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { permissionsAPI } from '../../utils/api';
+
+const SUBJECT_LABELS = {
+  employee: 'Employee',
+  'employee:designTeam': 'Design Team',
+  'employee:vendorTeam': 'Vendor Team',
+  'employee:executionTeam': 'Execution Team',
+  vendor: 'Vendor',
+  client: 'Client',
+  guest: 'Guest',
+};
+
+const RolePermissionsScreen = ({ navigation }) => {
+  const [matrix, setMatrix] = useState(null);
+  const [subject, setSubject] = useState('employee');
+  const [loading, setLoading] = useState(true);
+  const [savingKey, setSavingKey] = useState(null);
+
+  useEffect(() => {
+    loadMatrix();
+  }, []);
+
+  const loadMatrix = async () => {
+    try {
+      const response = await permissionsAPI.getMatrix();
+      if (response.success) {
+        setMatrix(response.data);
+      }
+    } catch (error) {
+      console.error('Load permissions error:', error);
+      Alert.alert('Error', 'Failed to load permissions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updatePermission = async (key, allowed) => {
+    try {
+      setSavingKey(key);
+      const response = await permissionsAPI.updatePermission(key, subject, allowed);
+      if (response.success) {
+        setMatrix(response.data);
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to update permission');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#1F2937" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Role Permissions</Text>
+        <View style={{ width: 24 }} />
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#FFC107" />
+        </View>
+      ) : (
+        <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+          {/* Role picker */}
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={styles.subjectRow}
+          >
+            {(matrix?.subjects || []).map((item) => (
+              <TouchableOpacity
+                key={item}
+                style={[styles.subjectChip, subject === item && styles.subjectChipActive]}
+                onPress={() => setSubject(item)}
+              >
+                <Text style={[styles.subjectText, subject === item && styles.subjectTextActive]}>
+                  {SUBJECT_LABELS[item] || item}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+
+          <Text style={styles.hint}>
+            Owners always have every permission. Sub-role settings take priority over the Employee settings.
+          </Text>
+
+          <View style={styles.section}>
+            {(matrix?.permissions || []).map((permission) => {
+              const enabled = permission.effective[subject];
+              const overridden = typeof permission.overrides[subject] === 'boolean';
+              return (
+                <View key={permission.key} style={styles.settingItem}>
+                  <View style={styles.settingInfo}>
+                    <Text style={styles.settingText}>{permission.description}</Text>
+                    <Text style={styles.settingSubtext}>
+                      {permission.key}{overridden ? ' · custom' : ''}
+                    </Text>
+                  </View>
+                  {overridden && (
+                    <TouchableOpacity
+                      onPress={() => updatePermission(permission.key, null)}
+                      disabled={savingKey !== null}
+                      style={styles.resetButton}
+                    >
+                      <Text style={styles.resetText}>Reset</Text>
+                    </TouchableOpacity>
+                  )}
+                  {savingKey === permission.key ? (
+                    <ActivityIndicator size="small" color="#FFC107" />
+                  ) : (
+                    <Switch
+                      value={enabled}
+                      onValueChange={(value) => updatePermission(permission.key, value)}
+                      disabled={savingKey !== null}
+                      trackColor={{ false: '#D1D5DB', true: '#FFC107' }}
+                      thumbColor={enabled ? '#FFFFFF' : '#F3F4F6'}
+                    />
+                  )}
+                </View>
+              );
+            })}
+          </View>
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    flex: 1,
+  },
+  subjectRow: {
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    gap: 8,
+  },
+  subjectChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    backgroundColor: '#FFFFFF',
+  },
+  subjectChipActive: {
+    backgroundColor: '#FFC107',
+    borderColor: '#FFC107',
+  },
+  subjectText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: '#4B5563',
+  },
+  subjectTextActive: {
+    color: '#1F2937',
+    fontWeight: '700',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#9CA3AF',
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  section: {
+    backgroundColor: '#FFFFFF',
+    marginBottom: 16,
+    paddingVertical: 8,
+  },
+  settingItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+    gap: 12,
+  },
+  settingInfo: {
+    flex: 1,
+  },
+  settingText: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#1F2937',
+  },
+  settingSubtext: {
+    fontSize: 13,
+    color: '#9CA3AF',
+    marginTop: 2,
+  },
+  resetButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  resetText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#B8860B',
+  },
+});
+
+export default RolePermissionsScreen;
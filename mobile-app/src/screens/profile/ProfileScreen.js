@@ -11,12 +11,12 @@ import {
   StatusBar,
   Platform,
   RefreshControl,
-  Image,
 } from 'react-native';
 import { useAuth } from '../../context/AuthContext';
 import { authAPI, serviceRequestsAPI } from '../../utils/api';
 import theme from '../../styles/theme';
 import { StandardCard } from '../../components/StandardCard';
+import SafeImage from '../../components/SafeImage';
 // import PermissionsStatus from '../../components/PermissionsStatus';
 // Note: react-native-image-picker is for bare React Native. For Expo, use expo-image-picker instead
 // import { launchImageLibrary, launchCamera, MediaType } from 'react-native-image-picker';
@@ -480,8 +480,8 @@ const ProfileScreen = ({ navigation }) => {
               >
                 <View style={styles.avatar}>
                   {profileImage ? (
-                    <Image
-                      source={{ uri: profileImage }}
+                    <SafeImage
+                      uri={profileImage}
                       style={styles.avatarImage}
                       onError={() => setProfileImage(null)}
                     />
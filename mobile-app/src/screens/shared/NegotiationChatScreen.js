@@ -152,8 +152,15 @@ const NegotiationChatScreen = ({ route, navigation }) => {
     
     console.log('[NegotiationChat] Setting up socket listeners for order:', orderId);
     
-    // Join the order room
-    socket.emit('joinOrder', { orderId, userId: currentUserId, userRole });
+    // Join the order room (the server checks access; rejoin after reconnects)
+    const joinOrderRoom = () => {
+      socket.emit('joinOrder', { orderId }, (result) => {
+        if (!result?.success) {
+          console.warn('[NegotiationChat] Could not join order room:', result?.message);
+        }
+      });
+    };
+    joinOrderRoom();
     
     // Listen for new messages
     const handleNewMessage = (message) => {
@@ -205,6 +212,7 @@ const NegotiationChatScreen = ({ route, navigation }) => {
       }
     };
     
+    socket.on('connect', joinOrderRoom);
     socket.on('newMessage', handleNewMessage);
     socket.on('quotationSubmitted', handleQuotationUpdate);
     socket.on('quotationAccepted', handleQuotationUpdate);
@@ -214,6 +222,7 @@ const NegotiationChatScreen = ({ route, navigation }) => {
     
     return () => {
       console.log('[NegotiationChat] Cleaning up socket listeners');
+      socket.off('connect', joinOrderRoom);
       socket.off('newMessage', handleNewMessage);
       socket.off('quotationSubmitted', handleQuotationUpdate);
       socket.off('quotationAccepted', handleQuotationUpdate);
@@ -7,7 +7,6 @@ import {
     ScrollView,
     ActivityIndicator,
     Platform,
-    Image,
     TextInput,
     Modal,
 } from 'react-native';
@@ -17,6 +16,7 @@ import { useAuth } from '../../context/AuthContext';
 import { usersAPI, authAPI } from '../../utils/api';
 import ToastMessage from '../../components/common/ToastMessage';
 import theme from '../../styles/theme';
+import SafeImage from '../../components/SafeImage';
 
 export default function VendorTeamProfileScreen({ navigation }) {
     const { user, updateUserLocally, logout } = useAuth();
@@ -290,7 +290,7 @@ export default function VendorTeamProfileScreen({ navigation }) {
                     <View style={styles.avatarContainer}>
                         <TouchableOpacity onPress={pickImage} disabled={isSaving}>
                             {profileImage ? (
-                                <Image source={{ uri: profileImage }} style={styles.avatar} />
+                                <SafeImage uri={profileImage} style={styles.avatar} fallbackText={null} />
                             ) : (
                                 <View style={styles.avatarPlaceholder}>
                                     <Text style={styles.avatarText}>
@@ -7,6 +7,7 @@
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { getServerBaseUrl } from '../utils/network';
+import { refreshAccessToken } from '../utils/api';
 
 // ============ CONFIGURATION ============
 
@@ -33,7 +34,7 @@ const getHeaders = async () => {
 
 // ============ API REQUEST HELPER ============
 
-const apiRequest = async (endpoint, options = {}) => {
+const apiRequest = async (endpoint, options = {}, retried = false) => {
   const url = `${API_BASE_URL}/api${endpoint}`;
   const headers = await getHeaders();
   
@@ -48,6 +49,11 @@ const apiRequest = async (endpoint, options = {}) => {
       },
     });
 
+    // Expired access token: refresh once and retry
+    if (response.status === 401 && !retried && await refreshAccessToken()) {
+      return apiRequest(endpoint, options, true);
+    }
+
     // Some backend errors return HTML (e.g., 404). Avoid crashing on JSON.parse.
     const raw = await response.text();
     let data;
@@ -132,6 +138,13 @@ class ApiService {
     });
     return response;
   }
+
+  async forceLogoutUser(userId) {
+    const response = await apiRequest(`/users/${userId}/force-logout`, {
+      method: 'POST',
+    });
+    return response;
+  }
   
   // ============ PROJECTS ============
   
@@ -169,6 +182,23 @@ class ApiService {
     return response.data?.project || response;
   }
 
+  // New project with the same setup, dated from startDate
+  async duplicateProject(projectId, { title, clientId, startDate } = {}) {
+    const response = await apiRequest(`/projects/${projectId}/duplicate`, {
+      method: 'POST',
+      body: JSON.stringify({ title, clientId, startDate }),
+    });
+    return response.data?.project || response;
+  }
+
+  async saveProjectAsTemplate(projectId, { name, description } = {}) {
+    const response = await apiRequest('/project-templates', {
+      method: 'POST',
+      body: JSON.stringify({ projectId, name, description }),
+    });
+    return response.data?.template || response;
+  }
+
   async getProjectTimeline(projectId, filters = {}) {
     const params = new URLSearchParams();
     if (filters.page) params.append('page', String(filters.page));
@@ -191,6 +221,17 @@ class ApiService {
     const response = await apiRequest(endpoint);
     return response.data?.events || response.events || [];
   }
+
+  // Audit log of changes to a project and its orders/invoices/requests (owner)
+  async getProjectHistory(projectId, filters = {}) {
+    const params = new URLSearchParams();
+    params.append('project', projectId);
+    if (filters.page) params.append('page', String(filters.page));
+    if (filters.limit) params.append('limit', String(filters.limit));
+
+    const response = await apiRequest(`/audit?${params.toString()}`);
+    return response.data?.events || [];
+  }
   
   // ============ FINANCE - INVOICES ============
   
@@ -7,6 +7,7 @@
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { getApiBaseUrl } from '../utils/network';
+import { refreshAccessToken } from '../utils/api';
 
 // Base API URL - matches main api.js configuration
 const API_BASE_URL = getApiBaseUrl();
@@ -32,7 +33,7 @@ const getHeaders = async () => {
 /**
  * Make API request with error handling
  */
-const apiRequest = async (endpoint, options = {}) => {
+const apiRequest = async (endpoint, options = {}, retried = false) => {
   const url = `${API_BASE_URL}${endpoint}`;
   const headers = await getHeaders();
   
@@ -47,6 +48,11 @@ const apiRequest = async (endpoint, options = {}) => {
       },
     });
     
+    // Expired access token: refresh once and retry
+    if (response.status === 401 && !retried && await refreshAccessToken()) {
+      return apiRequest(endpoint, options, true);
+    }
+
     const data = await response.json();
     
     if (!response.ok) {
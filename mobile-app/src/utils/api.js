@@ -7,6 +7,10 @@ import { getApiBaseUrl } from './network';
 // -----------------------------
 const BASE_URL = getApiBaseUrl();
 
+const TOKEN_KEY = '@houseway_token';
+const REFRESH_TOKEN_KEY = '@houseway_refresh_token';
+const USER_KEY = '@houseway_user';
+
 // -----------------------------
 // 📡 Axios Instance
 // -----------------------------
@@ -20,7 +24,7 @@ const api = axios.create({
 // -----------------------------
 api.interceptors.request.use(
   async (config) => {
-    const token = await AsyncStorage.getItem('@houseway_token');
+    const token = await AsyncStorage.getItem(TOKEN_KEY);
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -29,12 +33,88 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+// -----------------------------
+// 🔄 Token Refresh
+// -----------------------------
+// Access tokens are short-lived. On a 401 we swap the refresh token for a new
+// pair once (concurrent requests share the same refresh) and retry.
+let refreshPromise = null;
+let sessionExpiredHandler = null;
+
+// Requests that must never trigger a refresh
+const NO_REFRESH_URLS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/2fa/verify'];
+
+/**
+ * Called with no arguments when the session can't be refreshed
+ * (AuthContext uses this to return to the login screen)
+ */
+export const setSessionExpiredHandler = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+const expireSession = async () => {
+  await AsyncStorage.multiRemove([TOKEN_KEY, REFRESH_TOKEN_KEY, USER_KEY]);
+  if (sessionExpiredHandler) sessionExpiredHandler();
+};
+
+/**
+ * Exchange the stored refresh token for a new token pair
+ * @returns {Promise<string|null>} New access token, or null if the session is over
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await AsyncStorage.getItem(REFRESH_TOKEN_KEY);
+      if (!refreshToken) {
+        await expireSession();
+        return null;
+      }
+
+      try {
+        // Plain axios: this request must not go through our interceptors
+        const { data } = await axios.post(`${BASE_URL}/auth/refresh`, { refreshToken }, {
+          headers: { 'Content-Type': 'application/json' },
+          timeout: 30000,
+        });
+        await AsyncStorage.multiSet([
+          [TOKEN_KEY, data.data.token],
+          [REFRESH_TOKEN_KEY, data.data.refreshToken],
+        ]);
+        return data.data.token;
+      } catch (error) {
+        // Only a rejected refresh token ends the session; network errors don't
+        if (error.response?.status === 401) {
+          await expireSession();
+        }
+        return null;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // -----------------------------
 // ⚙️ Response Interceptor
 // -----------------------------
 api.interceptors.response.use(
   (response) => response.data,
-  (error) => {
+  async (error) => {
+    const config = error.config;
+    if (
+      error.response?.status === 401
+      && config
+      && !config._retried
+      && !NO_REFRESH_URLS.some((url) => config.url?.startsWith(url))
+    ) {
+      config._retried = true;
+      const token = await refreshAccessToken();
+      if (token) {
+        return api(config);
+      }
+    }
+
     if (__DEV__) {
       console.error('[API Error]', {
         status: error.response?.status,
@@ -75,6 +155,44 @@ export const authAPI = {
     });
   },
 
+  logout: () => api.post('/auth/logout'),
+
+  // Permission keys for the logged-in user (see PermissionsContext)
+  getPermissions: () => api.get('/auth/permissions'),
+
+  // Second login step when two-factor authentication is on
+  verifyTwoFactor: (twoFactorToken, code) =>
+    api.post('/auth/2fa/verify', { twoFactorToken, code }, {
+      headers: { 'Content-Type': 'application/json' },
+    }),
+
+  // Two-factor enrolment; twoFactorToken is passed when enrolling during login
+  getTwoFactorStatus: () => api.get('/auth/2fa'),
+  setupTwoFactor: (twoFactorToken) => api.post('/auth/2fa/setup', twoFactorToken ? { twoFactorToken } : {}),
+  enableTwoFactor: (code, twoFactorToken) =>
+    api.post('/auth/2fa/enable', twoFactorToken ? { code, twoFactorToken } : { code }, {
+      headers: { 'Content-Type': 'application/json' },
+    }),
+  disableTwoFactor: (password, code) =>
+    api.post('/auth/2fa/disable', { password, code }, {
+      headers: { 'Content-Type': 'application/json' },
+    }),
+  regenerateBackupCodes: (code) =>
+    api.post('/auth/2fa/backup-codes', { code }, {
+      headers: { 'Content-Type': 'application/json' },
+    }),
+  // Roles that must use two-factor authentication (owner)
+  getTwoFactorPolicy: () => api.get('/auth/2fa/policy'),
+  updateTwoFactorPolicy: (requiredFor) =>
+    api.put('/auth/2fa/policy', { requiredFor }, {
+      headers: { 'Content-Type': 'application/json' },
+    }),
+
+  // Active sessions (devices)
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
+
   getProfile: () => api.get('/auth/profile'),
   updateProfile: (userData) =>
     api.put('/auth/profile', userData, {
@@ -114,6 +232,7 @@ export const usersAPI = {
       headers: { 'Content-Type': 'application/json' },
     }),
   deleteUser: (id) => api.delete(`/users/${id}`),
+  forceLogout: (id) => api.post(`/users/${id}/force-logout`),
   getUsersByRole: (role) => api.get(`/users/role/${role}`),
   updateProfile: (data) => api.put('/users/profile', data, {
     headers: { 'Content-Type': 'application/json' },
@@ -159,12 +278,37 @@ export const projectsAPI = {
     api.put(`/projects/${id}/progress`, progressData, {
       headers: { 'Content-Type': 'application/json' },
     }),
+  // How the project's percentage is made up (milestones, tasks, deliveries)
+  getProgressBreakdown: (id) => api.get(`/projects/${id}/progress`),
+  // New project with this one's milestones, payments, material lists, tasks
+  // and checklist, dated from startDate (title, clientId, startDate optional)
+  duplicateProject: (id, data = {}) =>
+    api.post(`/projects/${id}/duplicate`, data, {
+      headers: { 'Content-Type': 'application/json' },
+    }),
   // Timeline methods
   addTimelineEvent: (id, eventData) =>
     api.post(`/projects/${id}/timeline`, eventData, {
       headers: { 'Content-Type': 'application/json' },
     }),
   getTimeline: (id) => api.get(`/projects/${id}/timeline`),
+  // Gantt schedule of the project's tasks with the critical path
+  getSchedule: (id) => api.get(`/projects/${id}/schedule`),
+  // Versioned project documents
+  getDocuments: (id) => api.get(`/projects/${id}/documents`),
+  uploadDocumentVersion: (id, documentId, formData) =>
+    api.post(`/projects/${id}/documents/${documentId}/versions`, formData, {
+      transformRequest: [(data) => data],
+    }),
+  markDocumentCurrent: (id, documentId, version) =>
+    api.put(`/projects/${id}/documents/${documentId}/current`, { version }),
+  getDocumentDiff: (id, documentId, params = {}) =>
+    api.get(`/projects/${id}/documents/${documentId}/diff`, { params }),
+  // Client sign-off on design/contract documents
+  requestDocumentApproval: (id, documentId, data = {}) =>
+    api.post(`/projects/${id}/documents/${documentId}/approval-requests`, data),
+  getApprovals: (id, params = {}) => api.get(`/projects/${id}/approvals`, { params }),
+  cancelApproval: (id, approvalId) => api.delete(`/projects/${id}/approvals/${approvalId}`),
   // Image/Media upload - delegates to files API
   uploadImages: (id, formData) =>
     api.post('/files/upload', formData, {
@@ -229,7 +373,21 @@ export const filesAPI = {
     transformRequest: [(data) => data],
   }),
   deleteFile: (id) => api.delete(`/files/id/${id}`),
-  getFileUrl: (filePath) => api.get('/files/download-url', { params: { path: filePath } }),
+  // Chunked uploads for large files (see utils/chunkedUpload)
+  startChunkedUpload: (data) => api.post('/files/uploads', data),
+  getChunkedUpload: (uploadId) => api.get(`/files/uploads/${uploadId}`),
+  getChunkedUploads: () => api.get('/files/uploads'),
+  uploadPart: (uploadId, index, bytes, checksum) =>
+    api.put(`/files/uploads/${uploadId}/parts/${index}`, bytes, {
+      headers: { 'Content-Type': 'application/octet-stream', 'X-Chunk-Checksum': checksum },
+      transformRequest: [(data) => data],
+      timeout: 120000,
+    }),
+  completeChunkedUpload: (uploadId) => api.post(`/files/uploads/${uploadId}/complete`, {}, { timeout: 300000 }),
+  abortChunkedUpload: (uploadId) => api.delete(`/files/uploads/${uploadId}`),
+  // Short-lived links for opening stored files
+  getFileLink: (id) => api.get(`/files/${id}/link`),
+  getLinkForUrl: (url) => api.post('/files/link', { url }),
   downloadFile: async (fileUrl, filename) => {
     // For web, open in new tab
     if (typeof window !== 'undefined') {
@@ -322,16 +480,59 @@ export const tasksAPI = {
   getUpcomingTasks: (days = 7) =>
     api.get('/tasks/upcoming', { params: { days } }),
   getTask: (taskId) => api.get(`/tasks/${taskId}`),
-  updateTask: (taskId, data) => api.put(`/tasks/${taskId}`, data, {
+  // scope 'following' also changes/deletes the later occurrences of a recurring task
+  updateTask: (taskId, data, scope = 'single') => api.put(`/tasks/${taskId}`, data, {
+    params: { scope },
     headers: { 'Content-Type': 'application/json' }
   }),
-  deleteTask: (taskId) => api.delete(`/tasks/${taskId}`),
+  deleteTask: (taskId, scope = 'single') => api.delete(`/tasks/${taskId}`, { params: { scope } }),
   updateTaskStatus: (taskId, status) =>
     api.put(`/tasks/${taskId}/status`, { status }, {
       headers: { 'Content-Type': 'application/json' }
     }),
 };
 
+// -----------------------------
+// 📋 TASK TEMPLATES API
+// -----------------------------
+export const taskTemplatesAPI = {
+  getTemplates: (params = {}) => api.get('/task-templates', { params }),
+  getTemplate: (id) => api.get(`/task-templates/${id}`),
+  createTemplate: (data) => api.post('/task-templates', data, {
+    headers: { 'Content-Type': 'application/json' }
+  }),
+  updateTemplate: (id, data) => api.put(`/task-templates/${id}`, data, {
+    headers: { 'Content-Type': 'application/json' }
+  }),
+  deleteTemplate: (id) => api.delete(`/task-templates/${id}`),
+  // Creates the template's tasks in the project, dated from startDate
+  applyTemplate: (id, { projectId, startDate }) =>
+    api.post(`/task-templates/${id}/apply`, { projectId, startDate }, {
+      headers: { 'Content-Type': 'application/json' }
+    }),
+};
+
+// -----------------------------
+// 🧩 PROJECT TEMPLATES API
+// -----------------------------
+export const projectTemplatesAPI = {
+  getTemplates: (params = {}) => api.get('/project-templates', { params }),
+  getTemplate: (id) => api.get(`/project-templates/${id}`),
+  // Saves the project's setup as a template
+  saveProjectAsTemplate: (projectId, { name, description } = {}) =>
+    api.post('/project-templates', { projectId, name, description }, {
+      headers: { 'Content-Type': 'application/json' }
+    }),
+  updateTemplate: (id, data) => api.put(`/project-templates/${id}`, data, {
+    headers: { 'Content-Type': 'application/json' }
+  }),
+  deleteTemplate: (id) => api.delete(`/project-templates/${id}`),
+  // Creates a project from the template, dated from startDate
+  instantiate: (id, data) => api.post(`/project-templates/${id}/instantiate`, data, {
+    headers: { 'Content-Type': 'application/json' }
+  }),
+};
+
 // -----------------------------
 // 💰 INVOICES API
 // -----------------------------
@@ -381,6 +582,9 @@ export const clientsAPI = {
     api.get(`/clients/me/projects/${projectId}/media`, { params }),
   getMyProjectDocuments: (projectId) =>
     api.get(`/clients/me/projects/${projectId}/documents`),
+  getMyApprovals: (params = {}) => api.get('/clients/me/approvals', { params }),
+  respondToApproval: (approvalId, data) =>
+    api.post(`/clients/me/approvals/${approvalId}/respond`, data),
 };
 
 // -----------------------------
@@ -535,6 +739,47 @@ export const notificationsAPI = {
   
   // Delete all notifications
   deleteAllNotifications: () => api.delete('/notifications'),
+
+  // Per-type channels, quiet hours and daily digest
+  getPreferences: () => api.get('/notifications/preferences'),
+
+  // Partial update, merged on the server
+  updatePreferences: (preferences) => api.put('/notifications/preferences', preferences),
+};
+
+// -----------------------------
+// 🔐 PERMISSIONS API (owner)
+// -----------------------------
+export const permissionsAPI = {
+  // Registry with defaults, overrides and effective grants per role/sub-role
+  getMatrix: () => api.get('/permissions'),
+
+  // allowed: true/false to override, null to reset to the default
+  updatePermission: (permission, subject, allowed) =>
+    api.put(`/permissions/${permission}`, { subject, allowed }, {
+      headers: { 'Content-Type': 'application/json' },
+    }),
+};
+
+// -----------------------------
+// 🔎 SEARCH API
+// -----------------------------
+export const searchAPI = {
+  // Results grouped by type; params: { types: 'projects,files', limit } (limit is per type)
+  search: (q, params = {}) => api.get('/search', { params: { q, ...params } }),
+};
+
+// -----------------------------
+// 📅 CALENDAR API
+// -----------------------------
+export const calendarAPI = {
+  // { enabled, createdAt } — the feed URL itself is only returned when it is created
+  getFeed: () => api.get('/calendar/feed'),
+
+  // New secret feed URL ({ url, createdAt }); the previous one stops working
+  createFeed: () => api.post('/calendar/feed'),
+
+  deleteFeed: () => api.delete('/calendar/feed'),
 };
 
 // -----------------------------
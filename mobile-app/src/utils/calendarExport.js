@@ -0,0 +1,128 @@
+/**
+ * Calendar Export
+ * Single tasks as .ics files for the phone's calendar app, in the same
+ * format as the server's calendar feed (GET /calendar/feed/:token.ics):
+ * floating local times, so a task at 09:00 stays at 09:00, with the task's
+ * reminder as an alarm.
+ */
+
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 20260302T093000 (UTC fields, written without a zone)
+const formatLocal = (date) => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+  + `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}00`;
+
+// Lines longer than 75 characters continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  for (let i = 0; i < line.length; i += parts.length ? 74 : 75) {
+    parts.push(line.slice(i, i + (parts.length ? 74 : 75)));
+  }
+  return parts.join('\r\n ');
+};
+
+/**
+ * The task's day at its HH:MM, with the wall-clock time in the UTC fields
+ * @param {Object} task - { date, time }
+ */
+const taskStart = (task) => {
+  const date = new Date(task.date);
+  const [hours = 9, minutes = 0] = (task.time || '').split(':').map(Number);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hours, minutes));
+};
+
+/**
+ * .ics text of one task
+ * @param {Object} task - { _id, taskName, taskDescription, date, time, notifyBefore, projectId }
+ * @param {Object} [options]
+ * @param {string} [options.projectTitle] - When projectId isn't populated
+ * @param {Date} [options.stamp] - Generation time (default: now)
+ * @returns {string}
+ */
+export const taskToICS = (task, { projectTitle, stamp = new Date() } = {}) => {
+  const start = taskStart(task);
+  const end = new Date(start.getTime() + 60 * 60 * 1000);
+  const title = projectTitle || task.projectId?.title;
+  const description = [title && `Project: ${title}`, task.taskDescription].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Houseway//Project Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    // Same UID as in the feed, so importing a task the feed also has doesn't duplicate it
+    `UID:task-${task._id}@houseway`,
+    `DTSTAMP:${stamp.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`,
+    `DTSTART:${formatLocal(start)}`,
+    `DTEND:${formatLocal(end)}`,
+    `SUMMARY:${escapeText(task.taskName)}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (task.notifyBefore > 0) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(task.taskName)}`,
+      `TRIGGER:-PT${Math.round(task.notifyBefore)}M`,
+      'END:VALARM'
+    );
+  }
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// "Site visit" -> "site-visit.ics"
+const fileName = (task) => `${(task.taskName || 'task').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'task'}.ics`;
+
+/**
+ * Hand a task to the calendar app: a download on web, the share sheet on mobile
+ * @param {Object} task
+ * @param {Object} [options] - See taskToICS
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export const exportTaskToCalendar = async (task, options) => {
+  try {
+    const text = taskToICS(task, options);
+
+    if (Platform.OS === 'web') {
+      const url = URL.createObjectURL(new Blob([text], { type: 'text/calendar' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName(task);
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+      return { success: true };
+    }
+
+    if (!(await Sharing.isAvailableAsync())) {
+      return { success: false, message: 'Sharing is not available on this device' };
+    }
+
+    const uri = `${FileSystem.cacheDirectory}${fileName(task)}`;
+    await FileSystem.writeAsStringAsync(uri, text);
+    await Sharing.shareAsync(uri, {
+      mimeType: 'text/calendar',
+      UTI: 'public.calendar-event',
+      dialogTitle: 'Add to Calendar',
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Calendar export error:', error);
+    return { success: false, message: error.message || 'Failed to export task' };
+  }
+};
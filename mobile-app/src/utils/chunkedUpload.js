@@ -0,0 +1,200 @@
+/**
+ * Chunked Upload
+ * Sends large files (site videos, drawing sets) to /files/uploads in parts,
+ * each with its SHA-256, so a dropped connection only costs the part in flight.
+ * Unfinished uploads are remembered on the device and picked up again after
+ * the app restarts (see resumePendingUploads).
+ */
+
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import { File as DeviceFile } from 'expo-file-system';
+import { filesAPI } from './api';
+
+// Files larger than this go through chunked uploads instead of one request
+export const CHUNKED_UPLOAD_THRESHOLD = 20 * 1024 * 1024;
+
+export const PENDING_UPLOADS_KEY = 'pendingUploads';
+
+const PART_ATTEMPTS = 3;
+
+let resuming = null;
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const sha256 = async (bytes) => toHex(await Crypto.digest(Crypto.CryptoDigestAlgorithm.SHA256, bytes));
+
+// Same file picked again -> same key, so its upload resumes
+const fingerprint = (file, size) => `${file.name}:${size}:${file.file?.lastModified || file.uri}`;
+
+const loadPending = async () => {
+  try {
+    return JSON.parse(await AsyncStorage.getItem(PENDING_UPLOADS_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const updatePending = async (update) => {
+  const pending = await loadPending();
+  update(pending);
+  await AsyncStorage.setItem(PENDING_UPLOADS_KEY, JSON.stringify(pending));
+};
+
+const sizeOf = (file) => {
+  if (file.size) return file.size;
+  if (file.file) return file.file.size;
+  return new DeviceFile(file.uri).size;
+};
+
+const readChunk = async (file, offset, length) => {
+  if (Platform.OS === 'web') {
+    const blob = file.file || await (await fetch(file.uri)).blob();
+    return new Uint8Array(await blob.slice(offset, offset + length).arrayBuffer());
+  }
+
+  const handle = new DeviceFile(file.uri).open();
+  try {
+    handle.offset = offset;
+    return handle.readBytes(length);
+  } finally {
+    handle.close();
+  }
+};
+
+const sendPart = async (uploadId, index, bytes) => {
+  const checksum = await sha256(bytes);
+  let lastError;
+  for (let attempt = 0; attempt < PART_ATTEMPTS; attempt++) {
+    try {
+      const response = await filesAPI.uploadPart(uploadId, index, bytes, checksum);
+      if (response.success) return response.data;
+      lastError = new Error(response.message);
+    } catch (error) {
+      lastError = error;
+      // Not worth retrying: the upload itself is gone or finished
+      if (error?.message && /Upload (not found|is)/.test(error.message)) break;
+    }
+  }
+  throw new Error(lastError?.message || `Part ${index + 1} could not be uploaded`);
+};
+
+/**
+ * Upload a file in parts, resuming an earlier attempt at the same file
+ * @param {object} file - { uri, name, type, size } from a picker; `file` holds the web File
+ * @param {object} options - Upload options
+ * @param {string} options.category - File category (documents, images, etc.)
+ * @param {string} options.projectId - Optional project ID
+ * @param {string[]} options.tags - Optional tags array
+ * @param {function} options.onProgress - Called with the fraction uploaded (0-1)
+ * @returns {Promise<{success: boolean, data?: object, message?: string}>}
+ */
+export const uploadInChunks = async (file, options = {}) => {
+  const { category = 'documents', projectId, tags = [], onProgress } = options;
+  const name = file.name || file.uri.split('/').pop() || `file_${Date.now()}`;
+  const type = file.type || file.mimeType || 'application/octet-stream';
+
+  try {
+    const size = sizeOf(file);
+    const key = fingerprint({ ...file, name }, size);
+
+    let upload = null;
+    const pending = (await loadPending())[key];
+    if (pending) {
+      const response = await filesAPI.getChunkedUpload(pending.uploadId).catch(() => null);
+      if (response?.success && response.data.status === 'uploading') upload = response.data;
+    }
+
+    if (!upload) {
+      const response = await filesAPI.startChunkedUpload({ name, mimeType: type, size, category, projectId, tags });
+      if (!response.success) throw new Error(response.message || 'Upload failed');
+      upload = response.data;
+      await updatePending((all) => {
+        all[key] = {
+          uploadId: upload.uploadId,
+          uri: file.uri,
+          name,
+          type,
+          size,
+          options: { category, projectId, tags },
+        };
+      });
+    }
+
+    let received = upload.receivedChunks.length;
+    onProgress?.(received / upload.totalChunks);
+
+    for (const index of upload.missingChunks) {
+      const offset = index * upload.chunkSize;
+      const bytes = await readChunk(file, offset, Math.min(upload.chunkSize, size - offset));
+      await sendPart(upload.uploadId, index, bytes);
+      received += 1;
+      onProgress?.(received / upload.totalChunks);
+    }
+
+    const response = await filesAPI.completeChunkedUpload(upload.uploadId);
+    if (!response.success) throw new Error(response.message || 'Upload failed');
+
+    await updatePending((all) => {
+      delete all[key];
+    });
+    return { success: true, data: response.data };
+  } catch (error) {
+    console.error('Chunked upload error:', error);
+    return { success: false, message: error.message || 'Failed to upload file' };
+  }
+};
+
+const resumeAll = async () => {
+  let completed = 0;
+  for (const [key, entry] of Object.entries(await loadPending())) {
+    let exists = false;
+    try {
+      exists = new DeviceFile(entry.uri).exists;
+    } catch (error) {
+      exists = false;
+    }
+
+    // Offline: try again next time
+    const response = await filesAPI.getChunkedUpload(entry.uploadId).catch((error) => error);
+    if (!response || response.originalError) continue;
+
+    if (!exists || !response.success || response.data.status !== 'uploading') {
+      if (!exists) filesAPI.abortChunkedUpload(entry.uploadId).catch(() => {});
+      await updatePending((all) => {
+        delete all[key];
+      });
+      continue;
+    }
+
+    const result = await uploadInChunks(
+      { uri: entry.uri, name: entry.name, type: entry.type, size: entry.size },
+      entry.options
+    );
+    if (result.success) completed += 1;
+  }
+  return completed;
+};
+
+/**
+ * Finish uploads interrupted by the app closing. Files that are no longer on
+ * the device are forgotten; web uploads resume when the file is picked again.
+ * @returns {Promise<number>} Number of uploads completed
+ */
+export const resumePendingUploads = () => {
+  if (Platform.OS === 'web') return Promise.resolve(0);
+  // Called again while running (e.g. the token was refreshed): share the run
+  if (!resuming) {
+    resuming = resumeAll().finally(() => {
+      resuming = null;
+    });
+  }
+  return resuming;
+};
+
+export default {
+  CHUNKED_UPLOAD_THRESHOLD,
+  uploadInChunks,
+  resumePendingUploads,
+};
@@ -22,6 +22,36 @@ export const ERROR_MESSAGES = {
   [ERROR_TYPES.UNKNOWN]: 'An unexpected error occurred. Please try again.',
 };
 
+// Messages for the codes of field errors, for errors sent without one
+export const FIELD_ERROR_MESSAGES = {
+  REQUIRED: 'This field is required.',
+  INVALID: 'This value is not valid.',
+  MISMATCH: 'This value does not match.',
+  DUPLICATE: 'This value is already in use.',
+};
+
+// The API's code for a request rejected by its validators
+const VALIDATION_FAILED = 'VALIDATION_FAILED';
+
+// Response body of an axios error; the api client rejects with the body itself
+const responseBody = (error) => error?.response?.data || error;
+
+/**
+ * Field errors of a rejected request as { field: message }, first error per field.
+ * Fields are paths such as 'email' or 'lineItems[0].description'.
+ */
+export const getFieldErrors = (error) => {
+  const errors = responseBody(error)?.errors;
+  if (!Array.isArray(errors)) return {};
+
+  return errors.reduce((fields, item) => {
+    if (item?.field && !fields[item.field]) {
+      fields[item.field] = item.message || FIELD_ERROR_MESSAGES[item.code] || FIELD_ERROR_MESSAGES.INVALID;
+    }
+    return fields;
+  }, {});
+};
+
 // Custom error class
 export class AppError extends Error {
   constructor(message, type = ERROR_TYPES.UNKNOWN, statusCode = null, details = null) {
@@ -58,7 +88,7 @@ export class ErrorHandler {
         } else if (status === 403) {
           errorType = ERROR_TYPES.AUTHORIZATION;
           message = customMessage || data?.message || ERROR_MESSAGES[ERROR_TYPES.AUTHORIZATION];
-        } else if (status === 422) {
+        } else if (status === 422 || data?.code === VALIDATION_FAILED) {
           errorType = ERROR_TYPES.VALIDATION;
           message = customMessage || data?.message || ERROR_MESSAGES[ERROR_TYPES.VALIDATION];
         } else {
@@ -69,6 +99,10 @@ export class ErrorHandler {
         errorType = ERROR_TYPES.SERVER;
         message = customMessage || data?.message || ERROR_MESSAGES[ERROR_TYPES.SERVER];
       }
+    } else if (error?.code === VALIDATION_FAILED) {
+      // Body of a rejected request, as the api client passes it on
+      errorType = ERROR_TYPES.VALIDATION;
+      message = customMessage || error.message || ERROR_MESSAGES[ERROR_TYPES.VALIDATION];
     } else if (error.request) {
       // Network error
       errorType = ERROR_TYPES.NETWORK;
@@ -89,6 +123,7 @@ export class ErrorHandler {
     return {
       type: errorType,
       message,
+      fieldErrors: getFieldErrors(error),
       originalError: error,
     };
   }
@@ -241,6 +276,8 @@ export const NetworkUtils = {
   getErrorMessage: (error) => {
     return error.response?.data?.message || error.message || 'Unknown error';
   },
+
+  isValidationError: (error) => responseBody(error)?.code === VALIDATION_FAILED,
 };
 
 export default ErrorHandler;
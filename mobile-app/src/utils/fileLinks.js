@@ -0,0 +1,77 @@
+/**
+ * File Links
+ * Stored files are not public: the server hands out short-lived signed links
+ * to users allowed to see them. This asks for a link when a file is shown or
+ * opened, and reuses it until shortly before it expires.
+ */
+
+import { filesAPI } from './api';
+import { getServerBaseUrl } from './network';
+
+// Ask for a fresh link this long before the current one expires
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+const links = new Map();
+const pending = new Map();
+
+// Device and inline URIs (picked photos, previews) are opened as they are
+const isLocalUri = (uri) => /^(file|data|blob|content|asset|ph):/i.test(uri);
+
+const toAbsoluteUrl = (uri) => {
+  if (/^https?:\/\//i.test(uri)) return uri;
+  return `${getServerBaseUrl()}${uri.startsWith('/') ? uri : `/${uri}`}`;
+};
+
+const request = (cacheKey, fetchLink) => {
+  const cached = links.get(cacheKey);
+  if (cached && (!cached.expiresAt || cached.expiresAt - EXPIRY_MARGIN_MS > Date.now())) {
+    return Promise.resolve(cached.url);
+  }
+
+  if (!pending.has(cacheKey)) {
+    const promise = fetchLink()
+      .then((response) => {
+        if (!response.success) throw new Error(response.message || 'Could not open this file');
+        const { url, expiresAt } = response.data;
+        links.set(cacheKey, { url, expiresAt: expiresAt ? new Date(expiresAt).getTime() : null });
+        return url;
+      })
+      .finally(() => pending.delete(cacheKey));
+    pending.set(cacheKey, promise);
+  }
+  return pending.get(cacheKey);
+};
+
+/**
+ * Get a URL that opens a stored file
+ * @param {string} uri - URL or path stored on a record
+ * @returns {Promise<string>} Signed link, or the URI itself for device and outside files
+ */
+export const getFileLink = (uri) => {
+  if (!uri || isLocalUri(uri)) return Promise.resolve(uri);
+  const url = toAbsoluteUrl(uri);
+  return request(url, () => filesAPI.getLinkForUrl(url));
+};
+
+/**
+ * Get a URL that opens a file record
+ * @param {string} fileId - File record ID
+ * @returns {Promise<string>} Signed link
+ */
+export const getFileLinkById = (fileId) => request(`id:${fileId}`, () => filesAPI.getFileLink(fileId));
+
+/**
+ * Forget a cached link, e.g. after it failed to load
+ * @param {string} uriOrFileId - URI or file ID passed to getFileLink/getFileLinkById
+ */
+export const forgetFileLink = (uriOrFileId) => {
+  if (!uriOrFileId) return;
+  links.delete(`id:${uriOrFileId}`);
+  if (!isLocalUri(uriOrFileId)) links.delete(toAbsoluteUrl(uriOrFileId));
+};
+
+export default {
+  getFileLink,
+  getFileLinkById,
+  forgetFileLink,
+};
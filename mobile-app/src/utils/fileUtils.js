@@ -8,6 +8,8 @@ import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
 import { filesAPI } from './api';
 import { getServerBaseUrl } from './network';
+import { getFileLink } from './fileLinks';
+import { CHUNKED_UPLOAD_THRESHOLD, uploadInChunks } from './chunkedUpload';
 
 /**
  * Get the full URL for a file path
@@ -44,7 +46,7 @@ export const getFileUrl = (filePath) => {
  */
 export const downloadFile = async (fileUrl, filename) => {
   try {
-    const fullUrl = getFileUrl(fileUrl);
+    const fullUrl = await getFileLink(getFileUrl(fileUrl));
     
     if (Platform.OS === 'web') {
       // For web, open in new tab or trigger download
@@ -94,7 +96,7 @@ export const downloadFile = async (fileUrl, filename) => {
  */
 export const openFile = async (fileUrl) => {
   try {
-    const fullUrl = getFileUrl(fileUrl);
+    const fullUrl = await getFileLink(getFileUrl(fileUrl));
     
     if (Platform.OS === 'web') {
       window.open(fullUrl, '_blank');
@@ -108,7 +110,7 @@ export const openFile = async (fileUrl) => {
       return { success: true };
     } else {
       // Fallback to download
-      return downloadFile(fullUrl, 'file');
+      return downloadFile(fileUrl, 'file');
     }
   } catch (error) {
     console.error('Open file error:', error);
@@ -123,9 +125,14 @@ export const openFile = async (fileUrl) => {
  * @param {string} options.category - File category (documents, images, etc.)
  * @param {string} options.projectId - Optional project ID
  * @param {string[]} options.tags - Optional tags array
+ * @param {function} options.onProgress - Progress (0-1) of large files, which are sent in parts
  * @returns {Promise<{success: boolean, data?: object, message?: string}>}
  */
 export const uploadFile = async (file, options = {}) => {
+  if ((file.size || file.file?.size) > CHUNKED_UPLOAD_THRESHOLD) {
+    return uploadInChunks(file, options);
+  }
+
   try {
     const { category = 'documents', projectId, tags = [] } = options;
     
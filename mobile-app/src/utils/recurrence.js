@@ -0,0 +1,48 @@
+/**
+ * Recurrence
+ * Repeat rules of recurring tasks, as the task form edits them and as
+ * POST /tasks takes them ({ frequency, interval, until | count, skipWeekends }).
+ */
+
+export const REPEAT_OPTIONS = [
+  { value: 'none', label: 'Never' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' },
+];
+
+const UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+/**
+ * Repeat rule for the API from the task form, or undefined when it doesn't repeat
+ * @param {Object} form - { repeat, repeatEnds: 'count' | 'until', repeatCount, repeatUntil, skipWeekends }
+ */
+export const toRecurrence = ({ repeat, repeatEnds, repeatCount, repeatUntil, skipWeekends }) => {
+  if (!repeat || repeat === 'none') return undefined;
+
+  return {
+    frequency: repeat,
+    skipWeekends: !!skipWeekends,
+    ...(repeatEnds === 'until'
+      ? { until: new Date(repeatUntil).toISOString() }
+      : { count: Math.max(1, parseInt(repeatCount, 10) || 1) }),
+  };
+};
+
+/**
+ * Short description of a repeat rule, e.g. "Every 2 weeks · 6 times"
+ * @param {Object} rule - A task's recurrence
+ */
+export const describeRecurrence = (rule) => {
+  if (!rule?.frequency) return '';
+
+  const interval = rule.interval || 1;
+  const label = REPEAT_OPTIONS.find((option) => option.value === rule.frequency)?.label;
+  let text = interval > 1 ? `Every ${interval} ${UNITS[rule.frequency]}s` : label;
+  if (rule.skipWeekends) text += ', weekdays only';
+  if (rule.count) text += ` · ${rule.count} times`;
+  else if (rule.until) text += ` · until ${formatDate(rule.until)}`;
+  return text;
+};
@@ -1,15 +1,55 @@
 import { io } from 'socket.io-client';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { getSocketBaseUrl } from './network';
+import { refreshAccessToken } from './api';
 
 const SOCKET_URL = getSocketBaseUrl();
+const TOKEN_KEY = '@houseway_token';
 
-// Create socket instance
+// Create socket instance. The server rejects unauthenticated handshakes, so we
+// only connect once a token exists (see connectSocket, called by AuthContext).
 const socket = io(SOCKET_URL, {
   transports: ['websocket', 'polling'],
+  autoConnect: false,
   reconnection: true,
   reconnectionAttempts: 5,
   reconnectionDelay: 1000,
   timeout: 10000,
+  // Read the token on every (re)connect so a new login is picked up
+  auth: (cb) => {
+    AsyncStorage.getItem(TOKEN_KEY)
+      .then((token) => cb({ token }))
+      .catch(() => cb({}));
+  },
 });
 
-export default socket;
\ No newline at end of file
+socket.on('connect_error', (error) => {
+  if (__DEV__) {
+    console.warn('[Socket] Connection error:', error.message);
+  }
+  // Access tokens are short-lived; renew and retry the handshake once
+  if (error.message === 'Token expired') {
+    refreshAccessToken().then((token) => {
+      if (token) socket.connect();
+    });
+  }
+});
+
+/**
+ * Connect (or reconnect with the current token) after login / app start
+ */
+export const connectSocket = () => {
+  if (socket.connected) {
+    socket.disconnect();
+  }
+  socket.connect();
+};
+
+/**
+ * Disconnect on logout so the socket leaves the user's rooms
+ */
+export const disconnectSocket = () => {
+  socket.disconnect();
+};
+
+export default socket;
@@ -1,5 +1,6 @@
 // Validation utility functions
 import { useState, useRef } from 'react';
+import { getFieldErrors } from './errorHandler';
 
 // Email validation
 export const validateEmail = (email) => {
@@ -346,6 +347,13 @@ export const useFormValidation = (initialData = {}) => {
     validator.clearError(fieldName);
   };
 
+  // Show the field errors of a request the API rejected; true if there were any
+  const setServerErrors = (error) => {
+    const fieldErrors = getFieldErrors(error);
+    setErrors(prev => ({ ...prev, ...fieldErrors }));
+    return Object.keys(fieldErrors).length > 0;
+  };
+
   return {
     data,
     errors,
@@ -354,6 +362,7 @@ export const useFormValidation = (initialData = {}) => {
     validateForm,
     clearErrors,
     clearError,
+    setServerErrors,
     validator,
     setData,
   };